@@ -204,6 +204,26 @@ namespace ByteShelf.Integration.Tests
             Assert.AreEqual(largeContent, downloadedContent);
         }
 
+        [TestMethod]
+        public async Task FullPipeline_SameNameUpload_BecomesNewVersionOfFile()
+        {
+            // Arrange
+            using MemoryStream firstStream = new MemoryStream(Encoding.UTF8.GetBytes("First version"));
+            using MemoryStream secondStream = new MemoryStream(Encoding.UTF8.GetBytes("Second version"));
+            Guid firstFileId = await _client.WriteFileAsync("versioned.txt", "text/plain", firstStream);
+
+            // Act
+            Guid secondFileId = await _client.WriteFileAsync("versioned.txt", "text/plain", secondStream);
+
+            // Assert
+            Assert.AreEqual(firstFileId, secondFileId);
+            Assert.AreEqual(1, (await _client.GetFilesAsync()).Count());
+
+            ShelfFile downloadedFile = await _client.ReadFileAsync(secondFileId);
+            using StreamReader reader = new StreamReader(downloadedFile.GetContentStream());
+            Assert.AreEqual("Second version", reader.ReadToEnd());
+        }
+
         [TestMethod]
         public async Task FullPipeline_MultipleFiles_ListAndDeleteSuccessfully()
         {
@@ -6,6 +6,7 @@ using Microsoft.AspNetCore.Http;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.VisualStudio.TestTools.UnitTesting;
 using Moq;
+using System.Text;
 using System.Text.Json;
 
 namespace ByteShelf.Tests
@@ -17,6 +18,7 @@ namespace ByteShelf.Tests
         private Mock<ITenantConfigurationService> _mockConfigService = null!;
         private Mock<IStorageService> _mockStorageService = null!;
         private Mock<IFileStorageService> _mockFileStorageService = null!;
+        private Mock<IAuditLogService> _mockAuditLogService = null!;
         private Mock<HttpContext> _mockHttpContext = null!;
         private TenantConfiguration _tenantConfig = null!;
 
@@ -26,6 +28,7 @@ namespace ByteShelf.Tests
             _mockConfigService = new Mock<ITenantConfigurationService>();
             _mockStorageService = new Mock<IStorageService>();
             _mockFileStorageService = new Mock<IFileStorageService>();
+            _mockAuditLogService = new Mock<IAuditLogService>();
             _mockHttpContext = new Mock<HttpContext>();
 
             // Setup the Items dictionary properly
@@ -67,7 +70,7 @@ namespace ByteShelf.Tests
             _mockStorageService.Setup(s => s.GetTotalUsageIncludingSubTenants("tenant2")).Returns(1024 * 1024 * 10); // 10MB used
             _mockStorageService.Setup(s => s.GetTotalUsageIncludingSubTenants("admin")).Returns(1024 * 1024 * 5); // 5MB used
 
-            _controller = new AdminController(_mockConfigService.Object, _mockStorageService.Object, _mockFileStorageService.Object);
+            _controller = new AdminController(_mockConfigService.Object, _mockStorageService.Object, _mockFileStorageService.Object, _mockAuditLogService.Object);
             _controller.ControllerContext = new ControllerContext
             {
                 HttpContext = _mockHttpContext.Object
@@ -79,7 +82,7 @@ namespace ByteShelf.Tests
         {
             // Act & Assert
             Assert.ThrowsException<ArgumentNullException>(() =>
-                new AdminController(null!, _mockStorageService.Object, _mockFileStorageService.Object));
+                new AdminController(null!, _mockStorageService.Object, _mockFileStorageService.Object, _mockAuditLogService.Object));
         }
 
         [TestMethod]
@@ -87,7 +90,7 @@ namespace ByteShelf.Tests
         {
             // Act & Assert
             Assert.ThrowsException<ArgumentNullException>(() =>
-                new AdminController(_mockConfigService.Object, null!, _mockFileStorageService.Object));
+                new AdminController(_mockConfigService.Object, null!, _mockFileStorageService.Object, _mockAuditLogService.Object));
         }
 
         [TestMethod]
@@ -95,7 +98,15 @@ namespace ByteShelf.Tests
         {
             // Act & Assert
             Assert.ThrowsException<ArgumentNullException>(() =>
-                new AdminController(_mockConfigService.Object, _mockStorageService.Object, null!));
+                new AdminController(_mockConfigService.Object, _mockStorageService.Object, null!, _mockAuditLogService.Object));
+        }
+
+        [TestMethod]
+        public void Constructor_WithNullAuditLogService_ThrowsArgumentNullException()
+        {
+            // Act & Assert
+            Assert.ThrowsException<ArgumentNullException>(() =>
+                new AdminController(_mockConfigService.Object, _mockStorageService.Object, _mockFileStorageService.Object, null!));
         }
 
         [TestMethod]
@@ -132,6 +143,50 @@ namespace ByteShelf.Tests
             Assert.IsInstanceOfType(result, typeof(ForbidResult));
         }
 
+        [TestMethod]
+        public void GetTenantTree_WhenUserIsAdmin_ReturnsSubTenantsWithSubtreeUsage()
+        {
+            // Arrange
+            SetupAdminUser();
+            TenantInfo tenant1 = _tenantConfig.Tenants["tenant1"];
+            TenantInfo subTenant = new TenantInfo { DisplayName = "Photos", StorageLimitBytes = 1024 * 1024 * 20, Parent = tenant1 };
+            tenant1.SubTenants["photos"] = subTenant;
+            _mockStorageService.Setup(s => s.GetCurrentUsage("tenant1")).Returns(1024 * 1024 * 15);
+            _mockStorageService.Setup(s => s.GetTotalUsageIncludingSubTenants("photos")).Returns(1024 * 1024 * 10);
+
+            // Act
+            IActionResult result = _controller.GetTenantTree();
+
+            // Assert
+            OkObjectResult okResult = (OkObjectResult)result;
+            List<TenantTreeNode> tree = (List<TenantTreeNode>)okResult.Value!;
+            CollectionAssert.AreEqual(new[] { "admin", "tenant1", "tenant2" }, tree.Select(node => node.TenantId).ToArray());
+
+            TenantTreeNode tenant1Node = tree[1];
+            Assert.AreEqual(1024L * 1024 * 15, tenant1Node.OwnUsageBytes);
+            Assert.AreEqual(1024L * 1024 * 25, tenant1Node.TotalUsageBytes);
+            Assert.AreEqual(25, tenant1Node.UsagePercentage, 0.001);
+
+            TenantTreeNode subTenantNode = tenant1Node.SubTenants.Single();
+            Assert.AreEqual("photos", subTenantNode.TenantId);
+            Assert.AreEqual("tenant1", subTenantNode.ParentTenantId);
+            Assert.AreEqual(1024L * 1024 * 10, subTenantNode.TotalUsageBytes);
+            Assert.AreEqual(0, subTenantNode.SubTenants.Count);
+        }
+
+        [TestMethod]
+        public void GetTenantTree_WhenUserIsNotAdmin_ReturnsForbid()
+        {
+            // Arrange
+            SetupNonAdminUser();
+
+            // Act
+            IActionResult result = _controller.GetTenantTree();
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(ForbidResult));
+        }
+
         [TestMethod]
         public async Task GetTenant_WhenUserIsAdminAndTenantExists_ReturnsTenantInfo()
         {
@@ -425,6 +480,170 @@ namespace ByteShelf.Tests
             Assert.AreEqual("Tenant not found", notFoundResult.Value);
         }
 
+        [TestMethod]
+        public async Task UpdateTenant_WhenUserIsAdminAndValidRequest_UpdatesTenant()
+        {
+            // Arrange
+            SetupAdminUser();
+            UpdateTenantRequest request = new UpdateTenantRequest
+            {
+                DisplayName = " Renamed Tenant ",
+                IsAdmin = false,
+                StorageLimitBytes = 1024L * 1024 * 1024 * 250, // 250GB
+                ParentTenantId = "admin"
+            };
+
+            _mockConfigService.Setup(c => c.GetTenant("tenant1")).Returns(_tenantConfig.Tenants["tenant1"]);
+            _mockConfigService.Setup(c => c.UpdateTenantDetailsAsync("tenant1", request.DisplayName, false, request.StorageLimitBytes, "admin"))
+                .ReturnsAsync(true);
+
+            // Act
+            IActionResult result = await _controller.UpdateTenant("tenant1", request, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(OkObjectResult));
+            _mockConfigService.Verify(c => c.UpdateTenantDetailsAsync("tenant1", request.DisplayName, false, request.StorageLimitBytes, "admin"), Times.Once);
+        }
+
+        [TestMethod]
+        public async Task UpdateTenant_WhenNewParentLacksFreeStorage_ReturnsBadRequestWithoutMoving()
+        {
+            // Arrange
+            SetupAdminUser();
+            UpdateTenantRequest request = new UpdateTenantRequest { DisplayName = "Tenant 1", StorageLimitBytes = 1024 * 1024 * 40, ParentTenantId = "tenant2" };
+            _mockConfigService.Setup(c => c.GetTenant("tenant1")).Returns(_tenantConfig.Tenants["tenant1"]);
+            _mockConfigService.Setup(c => c.GetTenant("tenant2")).Returns(_tenantConfig.Tenants["tenant2"]);
+            _mockStorageService.Setup(s => s.CanMoveData("tenant1", "tenant2", 1024 * 1024 * 25, 1024 * 1024 * 25)).Returns(false);
+
+            // Act
+            IActionResult result = await _controller.UpdateTenant("tenant1", request, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(BadRequestObjectResult));
+            _mockConfigService.Verify(c => c.UpdateTenantDetailsAsync(It.IsAny<string>(), It.IsAny<string>(), It.IsAny<bool>(), It.IsAny<long>(), It.IsAny<string?>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task UpdateTenant_WhenNewParentHasFreeStorage_MovesTenant()
+        {
+            // Arrange
+            SetupAdminUser();
+            UpdateTenantRequest request = new UpdateTenantRequest { DisplayName = "Tenant 1", StorageLimitBytes = 1024 * 1024 * 40, ParentTenantId = "tenant2" };
+            _mockConfigService.Setup(c => c.GetTenant("tenant1")).Returns(_tenantConfig.Tenants["tenant1"]);
+            _mockConfigService.Setup(c => c.GetTenant("tenant2")).Returns(_tenantConfig.Tenants["tenant2"]);
+            _mockStorageService.Setup(s => s.CanMoveData("tenant1", "tenant2", 1024 * 1024 * 25, 1024 * 1024 * 25)).Returns(true);
+            _mockConfigService.Setup(c => c.UpdateTenantDetailsAsync("tenant1", "Tenant 1", false, request.StorageLimitBytes, "tenant2")).ReturnsAsync(true);
+
+            // Act
+            IActionResult result = await _controller.UpdateTenant("tenant1", request, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(OkObjectResult));
+        }
+
+        [TestMethod]
+        public async Task UpdateTenant_WhenUserIsNotAdmin_ReturnsForbid()
+        {
+            // Arrange
+            SetupNonAdminUser();
+            UpdateTenantRequest request = new UpdateTenantRequest { DisplayName = "Tenant 1", StorageLimitBytes = 1024 };
+
+            // Act
+            IActionResult result = await _controller.UpdateTenant("tenant1", request, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(ForbidResult));
+        }
+
+        [TestMethod]
+        public async Task UpdateTenant_WhenTenantDoesNotExist_ReturnsNotFound()
+        {
+            // Arrange
+            SetupAdminUser();
+            UpdateTenantRequest request = new UpdateTenantRequest { DisplayName = "Tenant", StorageLimitBytes = 1024 };
+
+            // Act
+            IActionResult result = await _controller.UpdateTenant("nonexistent", request, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(NotFoundObjectResult));
+        }
+
+        [TestMethod]
+        public async Task UpdateTenant_WithLimitBelowUsage_ReturnsBadRequestWithReason()
+        {
+            // Arrange
+            SetupAdminUser();
+            UpdateTenantRequest request = new UpdateTenantRequest
+            {
+                DisplayName = "Tenant 1",
+                StorageLimitBytes = 1024 * 1024 * 10 // 10MB, while 25MB is used
+            };
+
+            _mockConfigService.Setup(c => c.GetTenant("tenant1")).Returns(_tenantConfig.Tenants["tenant1"]);
+
+            // Act
+            IActionResult result = await _controller.UpdateTenant("tenant1", request, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(BadRequestObjectResult));
+            StringAssert.Contains((string)((BadRequestObjectResult)result).Value!, "less than current usage");
+            _mockConfigService.Verify(c => c.UpdateTenantDetailsAsync(It.IsAny<string>(), It.IsAny<string>(), It.IsAny<bool>(), It.IsAny<long>(), It.IsAny<string?>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task UpdateTenant_WithoutStorageLimitForTopLevelNonAdmin_ReturnsBadRequest()
+        {
+            // Arrange
+            SetupAdminUser();
+            UpdateTenantRequest request = new UpdateTenantRequest { DisplayName = "Tenant 1", StorageLimitBytes = 0 };
+
+            _mockConfigService.Setup(c => c.GetTenant("tenant1")).Returns(_tenantConfig.Tenants["tenant1"]);
+
+            // Act
+            IActionResult result = await _controller.UpdateTenant("tenant1", request, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(BadRequestObjectResult));
+            Assert.AreEqual("Storage limit must be greater than 0 for non-admin tenants", ((BadRequestObjectResult)result).Value);
+        }
+
+        [TestMethod]
+        public async Task UpdateTenant_RemovingOwnAdminAccess_ReturnsBadRequest()
+        {
+            // Arrange
+            SetupAdminUser();
+            UpdateTenantRequest request = new UpdateTenantRequest { DisplayName = "Admin Tenant", IsAdmin = false, StorageLimitBytes = 1024 * 1024 * 100 };
+
+            _mockConfigService.Setup(c => c.GetTenant("admin")).Returns(_tenantConfig.Tenants["admin"]);
+
+            // Act
+            IActionResult result = await _controller.UpdateTenant("admin", request, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(BadRequestObjectResult));
+            _mockConfigService.Verify(c => c.UpdateTenantDetailsAsync(It.IsAny<string>(), It.IsAny<string>(), It.IsAny<bool>(), It.IsAny<long>(), It.IsAny<string?>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task UpdateTenant_WhenServiceRejectsParent_ReturnsBadRequestWithReason()
+        {
+            // Arrange
+            SetupAdminUser();
+            UpdateTenantRequest request = new UpdateTenantRequest { DisplayName = "Tenant 1", StorageLimitBytes = 1024 * 1024 * 100, ParentTenantId = "tenant1" };
+
+            _mockConfigService.Setup(c => c.GetTenant("tenant1")).Returns(_tenantConfig.Tenants["tenant1"]);
+            _mockConfigService.Setup(c => c.UpdateTenantDetailsAsync("tenant1", It.IsAny<string>(), It.IsAny<bool>(), It.IsAny<long>(), "tenant1"))
+                .ThrowsAsync(new ArgumentException("A tenant cannot be moved under itself or one of its subtenants"));
+
+            // Act
+            IActionResult result = await _controller.UpdateTenant("tenant1", request, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(BadRequestObjectResult));
+            Assert.AreEqual("A tenant cannot be moved under itself or one of its subtenants", ((BadRequestObjectResult)result).Value);
+        }
+
         [TestMethod]
         public async Task DeleteTenant_WhenUserIsAdminAndTenantExists_DeletesTenant()
         {
@@ -473,6 +692,167 @@ namespace ByteShelf.Tests
             Assert.AreEqual("Tenant not found", notFoundResult.Value);
         }
 
+        [TestMethod]
+        public async Task DeleteTenant_WhenTenantIsDeleted_RecordsTenantDeletedInAuditLog()
+        {
+            // Arrange
+            SetupAdminUser();
+
+            _mockConfigService.Setup(c => c.RemoveTenantAsync("tenant1"))
+                .ReturnsAsync(true);
+
+            // Act
+            await _controller.DeleteTenant("tenant1", CancellationToken.None);
+
+            // Assert
+            _mockAuditLogService.Verify(s => s.RecordAsync(It.Is<AuditLogEntry>(entry =>
+                entry.Action == AuditAction.TenantDeleted &&
+                entry.TenantId == "admin" &&
+                entry.TargetTenantId == "tenant1" &&
+                entry.TargetName == "Tenant 1")), Times.Once);
+        }
+
+        [TestMethod]
+        public async Task GetAuditLog_WhenUserIsNotAdmin_ReturnsForbid()
+        {
+            // Arrange
+            SetupNonAdminUser();
+
+            // Act
+            IActionResult result = await _controller.GetAuditLog(new AuditLogQuery(), CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(ForbidResult));
+            _mockAuditLogService.Verify(s => s.GetEntriesAsync(It.IsAny<AuditLogQuery>(), It.IsAny<CancellationToken>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task GetAuditLog_WithoutLimit_UsesDefaultLimit()
+        {
+            // Arrange
+            SetupAdminUser();
+            List<AuditLogEntry> entries = new List<AuditLogEntry>
+            {
+                new AuditLogEntry { Action = AuditAction.FileDeleted, TenantId = "tenant1" }
+            };
+            _mockAuditLogService
+                .Setup(s => s.GetEntriesAsync(It.IsAny<AuditLogQuery>(), It.IsAny<CancellationToken>()))
+                .ReturnsAsync(entries);
+
+            // Act
+            IActionResult result = await _controller.GetAuditLog(new AuditLogQuery { TenantId = "tenant1" }, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(OkObjectResult));
+            Assert.AreSame(entries, ((OkObjectResult)result).Value);
+            _mockAuditLogService.Verify(s => s.GetEntriesAsync(
+                It.Is<AuditLogQuery>(query => query.TenantId == "tenant1" && query.Limit == AdminController.DefaultAuditLogLimit),
+                It.IsAny<CancellationToken>()), Times.Once);
+        }
+
+        [TestMethod]
+        public async Task GetAuditLog_WithLimitAboveMaximum_CapsLimit()
+        {
+            // Arrange
+            SetupAdminUser();
+            _mockAuditLogService
+                .Setup(s => s.GetEntriesAsync(It.IsAny<AuditLogQuery>(), It.IsAny<CancellationToken>()))
+                .ReturnsAsync(new List<AuditLogEntry>());
+
+            // Act
+            await _controller.GetAuditLog(new AuditLogQuery { Limit = 1000000 }, CancellationToken.None);
+
+            // Assert
+            _mockAuditLogService.Verify(s => s.GetEntriesAsync(
+                It.Is<AuditLogQuery>(query => query.Limit == AdminController.MaxAuditLogLimit),
+                It.IsAny<CancellationToken>()), Times.Once);
+        }
+
+        [TestMethod]
+        public async Task GetAuditLog_WithNonPositiveLimit_ReturnsBadRequest()
+        {
+            // Arrange
+            SetupAdminUser();
+
+            // Act
+            IActionResult result = await _controller.GetAuditLog(new AuditLogQuery { Limit = 0 }, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(BadRequestObjectResult));
+        }
+
+        [TestMethod]
+        public async Task ExportAuditLog_AsCsv_ReturnsCsvFileWithoutLimit()
+        {
+            // Arrange
+            SetupAdminUser();
+            List<AuditLogEntry> entries = new List<AuditLogEntry>
+            {
+                new AuditLogEntry
+                {
+                    Timestamp = new DateTimeOffset(2026, 10, 1, 12, 0, 0, TimeSpan.Zero),
+                    Action = AuditAction.FileDeleted,
+                    TenantId = "tenant1",
+                    TargetName = "report.pdf"
+                }
+            };
+            _mockAuditLogService
+                .Setup(s => s.GetEntriesAsync(It.Is<AuditLogQuery>(query => query.Limit == null), It.IsAny<CancellationToken>()))
+                .ReturnsAsync(entries);
+
+            // Act
+            IActionResult result = await _controller.ExportAuditLog(new AuditLogQuery { Limit = 10 }, "csv", CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(FileContentResult));
+            FileContentResult fileResult = (FileContentResult)result;
+            Assert.AreEqual("text/csv", fileResult.ContentType);
+            Assert.AreEqual("audit-log.csv", fileResult.FileDownloadName);
+            string csv = Encoding.UTF8.GetString(fileResult.FileContents);
+            StringAssert.Contains(csv, "FileDeleted");
+            StringAssert.Contains(csv, "report.pdf");
+        }
+
+        [TestMethod]
+        public async Task ExportAuditLog_AsJson_ReturnsJsonFile()
+        {
+            // Arrange
+            SetupAdminUser();
+            List<AuditLogEntry> entries = new List<AuditLogEntry>
+            {
+                new AuditLogEntry { Action = AuditAction.TenantCreated, TargetTenantId = "tenant2" }
+            };
+            _mockAuditLogService
+                .Setup(s => s.GetEntriesAsync(It.IsAny<AuditLogQuery>(), It.IsAny<CancellationToken>()))
+                .ReturnsAsync(entries);
+
+            // Act
+            IActionResult result = await _controller.ExportAuditLog(new AuditLogQuery(), "JSON", CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(FileContentResult));
+            FileContentResult fileResult = (FileContentResult)result;
+            Assert.AreEqual("application/json", fileResult.ContentType);
+            Assert.AreEqual("audit-log.json", fileResult.FileDownloadName);
+            using JsonDocument document = JsonDocument.Parse(fileResult.FileContents);
+            Assert.AreEqual(1, document.RootElement.GetArrayLength());
+            Assert.AreEqual("TenantCreated", document.RootElement[0].GetProperty("action").GetString());
+        }
+
+        [TestMethod]
+        public async Task ExportAuditLog_WithUnsupportedFormat_ReturnsBadRequest()
+        {
+            // Arrange
+            SetupAdminUser();
+
+            // Act
+            IActionResult result = await _controller.ExportAuditLog(new AuditLogQuery(), "xml", CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(BadRequestObjectResult));
+            _mockAuditLogService.Verify(s => s.GetEntriesAsync(It.IsAny<AuditLogQuery>(), It.IsAny<CancellationToken>()), Times.Never);
+        }
+
         private void SetupAdminUser()
         {
             _mockHttpContext.Object.Items["TenantId"] = "admin";
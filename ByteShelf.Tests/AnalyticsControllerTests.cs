@@ -0,0 +1,122 @@
+using ByteShelf.Controllers;
+using ByteShelf.Services;
+using ByteShelfCommon;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.VisualStudio.TestTools.UnitTesting;
+using Moq;
+
+namespace ByteShelf.Tests
+{
+    [TestClass]
+    public class AnalyticsControllerTests
+    {
+        private AnalyticsController _controller = null!;
+        private Mock<IStorageAnalyticsService> _mockAnalyticsService = null!;
+        private Mock<HttpContext> _mockHttpContext = null!;
+
+        [TestInitialize]
+        public void Setup()
+        {
+            _mockAnalyticsService = new Mock<IStorageAnalyticsService>();
+            _mockHttpContext = new Mock<HttpContext>();
+
+            // Setup the Items dictionary properly
+            Dictionary<object, object?> items = new Dictionary<object, object?>();
+            _mockHttpContext.Setup(c => c.Items).Returns(items);
+
+            _controller = new AnalyticsController(_mockAnalyticsService.Object);
+            _controller.ControllerContext = new ControllerContext
+            {
+                HttpContext = _mockHttpContext.Object
+            };
+        }
+
+        [TestMethod]
+        public void Constructor_WithNullAnalyticsService_ThrowsArgumentNullException()
+        {
+            // Act & Assert
+            Assert.ThrowsException<ArgumentNullException>(() => new AnalyticsController(null!));
+        }
+
+        [TestMethod]
+        public async Task GetTenantAnalytics_ReturnsAnalyticsOfAuthenticatedTenant()
+        {
+            // Arrange
+            _mockHttpContext.Object.Items["TenantId"] = "tenant1";
+            StorageAnalytics analytics = CreateAnalytics("tenant1");
+            _mockAnalyticsService
+                .Setup(s => s.GetTenantAnalyticsAsync("tenant1", It.IsAny<CancellationToken>()))
+                .ReturnsAsync(analytics);
+
+            // Act
+            ActionResult<StorageAnalytics> result = await _controller.GetTenantAnalytics(CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result.Result, typeof(OkObjectResult));
+            Assert.AreSame(analytics, ((OkObjectResult)result.Result).Value);
+        }
+
+        [TestMethod]
+        public async Task GetTenantAnalytics_WithUnknownTenant_ReturnsNotFound()
+        {
+            // Arrange
+            _mockHttpContext.Object.Items["TenantId"] = "missing";
+
+            // Act
+            ActionResult<StorageAnalytics> result = await _controller.GetTenantAnalytics(CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result.Result, typeof(NotFoundResult));
+        }
+
+        [TestMethod]
+        public async Task GetInstanceAnalytics_WhenUserIsNotAdmin_ReturnsForbid()
+        {
+            // Arrange
+            _mockHttpContext.Object.Items["TenantId"] = "tenant1";
+            _mockHttpContext.Object.Items["IsAdmin"] = false;
+
+            // Act
+            ActionResult<StorageAnalytics> result = await _controller.GetInstanceAnalytics(CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result.Result, typeof(ForbidResult));
+            _mockAnalyticsService.Verify(s => s.GetInstanceAnalyticsAsync(It.IsAny<CancellationToken>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task GetInstanceAnalytics_WhenUserIsAdmin_ReturnsInstanceAnalytics()
+        {
+            // Arrange
+            _mockHttpContext.Object.Items["TenantId"] = "admin";
+            _mockHttpContext.Object.Items["IsAdmin"] = true;
+            StorageAnalytics analytics = CreateAnalytics(null);
+            _mockAnalyticsService
+                .Setup(s => s.GetInstanceAnalyticsAsync(It.IsAny<CancellationToken>()))
+                .ReturnsAsync(analytics);
+
+            // Act
+            ActionResult<StorageAnalytics> result = await _controller.GetInstanceAnalytics(CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result.Result, typeof(OkObjectResult));
+            Assert.AreSame(analytics, ((OkObjectResult)result.Result).Value);
+        }
+
+        private static StorageAnalytics CreateAnalytics(string? tenantId)
+        {
+            return new StorageAnalytics(
+                tenantId,
+                tenantId ?? "All tenants",
+                0,
+                0,
+                0,
+                new List<StorageBreakdownItem>(),
+                new List<StorageBreakdownItem>(),
+                new List<StorageBreakdownItem>(),
+                new List<StorageAnalyticsFile>(),
+                new List<StorageUsageSnapshot>());
+        }
+    }
+}
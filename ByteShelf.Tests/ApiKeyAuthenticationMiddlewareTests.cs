@@ -1,4 +1,5 @@
 using ByteShelf.Configuration;
+using ByteShelf.Extensions;
 using ByteShelf.Middleware;
 using ByteShelf.Services;
 using ByteShelfCommon;
@@ -16,12 +17,14 @@ namespace ByteShelf.Tests
         private TenantConfiguration _tenantConfig = null!;
         private ApiKeyAuthenticationMiddleware _middleware = null!;
         private Mock<RequestDelegate> _mockNext = null!;
+        private Mock<IAuditLogService> _mockAuditLogService = null!;
 
         [TestInitialize]
         public void Setup()
         {
             _mockConfigService = new Mock<ITenantConfigurationService>();
             _mockNext = new Mock<RequestDelegate>();
+            _mockAuditLogService = new Mock<IAuditLogService>();
 
             // Setup default tenant configuration
             _tenantConfig = new TenantConfiguration
@@ -56,7 +59,7 @@ namespace ByteShelf.Tests
             _mockConfigService.Setup(c => c.GetConfiguration()).Returns(_tenantConfig);
             _mockNext.Setup(n => n(It.IsAny<HttpContext>())).Returns(Task.CompletedTask);
 
-            _middleware = new ApiKeyAuthenticationMiddleware(_mockNext.Object, _mockConfigService.Object);
+            _middleware = new ApiKeyAuthenticationMiddleware(_mockNext.Object, _mockConfigService.Object, _mockAuditLogService.Object);
             ApiKeyAuthenticationMiddleware.FailedAttemptMillisecondDelay = 2;
         }
 
@@ -65,7 +68,7 @@ namespace ByteShelf.Tests
         {
             // Act & Assert
             Assert.ThrowsException<ArgumentNullException>(() =>
-                new ApiKeyAuthenticationMiddleware(null!, _mockConfigService.Object));
+                new ApiKeyAuthenticationMiddleware(null!, _mockConfigService.Object, _mockAuditLogService.Object));
         }
 
         [TestMethod]
@@ -73,7 +76,15 @@ namespace ByteShelf.Tests
         {
             // Act & Assert
             Assert.ThrowsException<ArgumentNullException>(() =>
-                new ApiKeyAuthenticationMiddleware(_mockNext.Object, null!));
+                new ApiKeyAuthenticationMiddleware(_mockNext.Object, null!, _mockAuditLogService.Object));
+        }
+
+        [TestMethod]
+        public void Constructor_WithNullAuditLogService_ThrowsArgumentNullException()
+        {
+            // Act & Assert
+            Assert.ThrowsException<ArgumentNullException>(() =>
+                new ApiKeyAuthenticationMiddleware(_mockNext.Object, _mockConfigService.Object, null!));
         }
 
         [TestMethod]
@@ -118,6 +129,34 @@ namespace ByteShelf.Tests
             Assert.AreEqual(200, context.Response.StatusCode);
         }
 
+        [TestMethod]
+        public async Task InvokeAsync_WithPublicSharePath_SkipsAuthentication()
+        {
+            // Arrange
+            HttpContext context = CreateHttpContext("/api/share/public/some-token/download");
+
+            // Act
+            await _middleware.InvokeAsync(context);
+
+            // Assert
+            _mockNext.Verify(n => n(context), Times.Once);
+            Assert.AreEqual(200, context.Response.StatusCode);
+        }
+
+        [TestMethod]
+        public async Task InvokeAsync_WithShareManagementPath_RequiresAuthentication()
+        {
+            // Arrange
+            HttpContext context = CreateHttpContext("/api/share");
+
+            // Act
+            await _middleware.InvokeAsync(context);
+
+            // Assert
+            _mockNext.Verify(n => n(It.IsAny<HttpContext>()), Times.Never);
+            Assert.AreEqual((int)HttpStatusCode.Unauthorized, context.Response.StatusCode);
+        }
+
         [TestMethod]
         public async Task InvokeAsync_WhenAuthenticationNotRequired_CallsNext()
         {
@@ -149,6 +188,7 @@ namespace ByteShelf.Tests
             Assert.AreEqual<string>("tenant1", (string)context.Items["TenantId"]!);
             Assert.AreEqual<bool>(false, (bool)context.Items["IsAdmin"]!);
             Assert.AreEqual<string>("tenant1", context.Request.Headers["X-Tenant-ID"]);
+            Assert.AreEqual<string>(TenantApiKey.TenantKeyName, (string)context.Items["ApiKeyName"]!);
         }
 
         [TestMethod]
@@ -353,6 +393,402 @@ namespace ByteShelf.Tests
             Assert.AreEqual(expectedException, actualException);
         }
 
+        [TestMethod]
+        public async Task InvokeAsync_WithNamedApiKey_SetsTenantAndKeyAndRecordsUse()
+        {
+            // Arrange
+            TenantApiKey namedKey = AddNamedApiKey("tenant1", "tenant1-backup-key");
+            HttpContext context = CreateHttpContext("/api/files");
+            context.Request.Headers["X-API-Key"] = "tenant1-backup-key";
+
+            // Act
+            await _middleware.InvokeAsync(context);
+
+            // Assert
+            _mockNext.Verify(n => n(context), Times.Once);
+            Assert.AreEqual<string>("tenant1", (string)context.Items["TenantId"]!);
+            Assert.AreEqual<Guid>(namedKey.Id, (Guid)context.Items["ApiKeyId"]!);
+            Assert.AreEqual<string>("tenant1-backup-key", (string)context.Items["ApiKeyName"]!);
+            _mockConfigService.Verify(c => c.RecordApiKeyUseAsync("tenant1", namedKey.Id), Times.Once);
+        }
+
+        [TestMethod]
+        public async Task InvokeAsync_WithNamedApiKeyOfAdminTenant_OnlyGrantsAdminWithAdminScope()
+        {
+            // Arrange
+            AddNamedApiKey("admin", "admin-files-key");
+            AddNamedApiKey("admin", "admin-scoped-key", ApiKeyScope.Admin);
+            HttpContext filesContext = CreateHttpContext("/api/files");
+            filesContext.Request.Headers["X-API-Key"] = "admin-files-key";
+            HttpContext adminContext = CreateHttpContext("/api/admin/tenants");
+            adminContext.Request.Headers["X-API-Key"] = "admin-scoped-key";
+
+            // Act
+            await _middleware.InvokeAsync(filesContext);
+            await _middleware.InvokeAsync(adminContext);
+
+            // Assert
+            Assert.AreEqual<bool>(false, (bool)filesContext.Items["IsAdmin"]!);
+            Assert.AreEqual<bool>(true, (bool)adminContext.Items["IsAdmin"]!);
+        }
+
+        [TestMethod]
+        public async Task InvokeAsync_WithExpiredNamedApiKey_ReturnsUnauthorized()
+        {
+            // Arrange
+            TenantApiKey namedKey = AddNamedApiKey("tenant1", "tenant1-old-key");
+            namedKey.ExpiresAt = DateTimeOffset.UtcNow.AddMinutes(-1);
+            HttpContext context = CreateHttpContext("/api/files");
+            context.Request.Headers["X-API-Key"] = "tenant1-old-key";
+
+            // Act
+            await _middleware.InvokeAsync(context);
+
+            // Assert
+            _mockNext.Verify(n => n(It.IsAny<HttpContext>()), Times.Never);
+            Assert.AreEqual((int)HttpStatusCode.Unauthorized, context.Response.StatusCode);
+
+            context.Response.Body.Position = 0;
+            using StreamReader reader = new StreamReader(context.Response.Body);
+            string responseBody = await reader.ReadToEndAsync();
+            Assert.IsTrue(responseBody.Contains("API key expired"));
+            _mockAuditLogService.Verify(a => a.RecordAsync(It.Is<AuditLogEntry>(entry =>
+                entry.Action == AuditAction.AuthenticationFailed &&
+                entry.TenantId == null &&
+                entry.TargetTenantId == "tenant1" &&
+                entry.TargetId == namedKey.Id.ToString())), Times.Once);
+        }
+
+        [TestMethod]
+        public async Task InvokeAsync_WithInvalidApiKey_RecordsFailedAuthenticationWithClientIp()
+        {
+            // Arrange
+            HttpContext context = CreateHttpContext("/api/files");
+            context.Request.Method = "GET";
+            context.Request.Headers["X-API-Key"] = "guessed-key";
+            context.Connection.RemoteIpAddress = IPAddress.Parse("203.0.113.7");
+
+            // Act
+            await _middleware.InvokeAsync(context);
+
+            // Assert
+            Assert.AreEqual((int)HttpStatusCode.Unauthorized, context.Response.StatusCode);
+            _mockAuditLogService.Verify(a => a.RecordAsync(It.Is<AuditLogEntry>(entry =>
+                entry.Action == AuditAction.AuthenticationFailed &&
+                entry.IpAddress == "203.0.113.7" &&
+                entry.Details == "Invalid API key for GET /api/files")), Times.Once);
+        }
+
+        [TestMethod]
+        public async Task InvokeAsync_WithForgedForwardedHeaders_RecordsConnectionIp()
+        {
+            // Arrange
+            HttpContext context = CreateHttpContext("/api/files");
+            context.Request.Method = "GET";
+            context.Request.Headers["X-API-Key"] = "guessed-key";
+            context.Request.Headers["X-Forwarded-For"] = "198.51.100.1";
+            context.Request.Headers["X-Real-IP"] = "198.51.100.2";
+            context.Connection.RemoteIpAddress = IPAddress.Parse("203.0.113.7");
+
+            // Act
+            await _middleware.InvokeAsync(context);
+
+            // Assert
+            Assert.AreEqual("203.0.113.7", context.GetClientIpAddress());
+            _mockAuditLogService.Verify(a => a.RecordAsync(It.Is<AuditLogEntry>(entry =>
+                entry.Action == AuditAction.AuthenticationFailed &&
+                entry.IpAddress == "203.0.113.7")), Times.Once);
+        }
+
+        [TestMethod]
+        public async Task InvokeAsync_WithValidApiKey_DoesNotRecordInAuditLog()
+        {
+            // Arrange
+            HttpContext context = CreateHttpContext("/api/files");
+            context.Request.Headers["X-API-Key"] = "tenant1-key";
+
+            // Act
+            await _middleware.InvokeAsync(context);
+
+            // Assert
+            _mockNext.Verify(n => n(context), Times.Once);
+            _mockAuditLogService.Verify(a => a.RecordAsync(It.IsAny<AuditLogEntry>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task InvokeAsync_WithReadOnlyKey_AllowsReadsAndRejectsChanges()
+        {
+            // Arrange
+            AddNamedApiKey("tenant1", "tenant1-read-key", ApiKeyScope.ReadOnly);
+            HttpContext readContext = CreateHttpContext("/api/files/search");
+            readContext.Request.Method = "GET";
+            readContext.Request.Headers["X-API-Key"] = "tenant1-read-key";
+            HttpContext archiveContext = CreateHttpContext("/api/files/archive");
+            archiveContext.Request.Method = "POST";
+            archiveContext.Request.Headers["X-API-Key"] = "tenant1-read-key";
+            HttpContext uploadContext = CreateHttpContext("/api/files/metadata");
+            uploadContext.Request.Method = "POST";
+            uploadContext.Request.Headers["X-API-Key"] = "tenant1-read-key";
+
+            // Act
+            await _middleware.InvokeAsync(readContext);
+            await _middleware.InvokeAsync(archiveContext);
+            await _middleware.InvokeAsync(uploadContext);
+
+            // Assert
+            _mockNext.Verify(n => n(readContext), Times.Once);
+            _mockNext.Verify(n => n(archiveContext), Times.Once);
+            _mockNext.Verify(n => n(uploadContext), Times.Never);
+            Assert.AreEqual((int)HttpStatusCode.Forbidden, uploadContext.Response.StatusCode);
+        }
+
+        [TestMethod]
+        public async Task InvokeAsync_WithUploadOnlyKey_AllowsUploadsAndRejectsDownloads()
+        {
+            // Arrange
+            AddNamedApiKey("tenant1", "tenant1-upload-key", ApiKeyScope.UploadOnly);
+            HttpContext chunkContext = CreateHttpContext($"/api/chunks/{Guid.NewGuid()}");
+            chunkContext.Request.Method = "PUT";
+            chunkContext.Request.Headers["X-API-Key"] = "tenant1-upload-key";
+            HttpContext metadataContext = CreateHttpContext("/api/files/metadata");
+            metadataContext.Request.Method = "POST";
+            metadataContext.Request.Headers["X-API-Key"] = "tenant1-upload-key";
+            HttpContext downloadContext = CreateHttpContext($"/api/files/{Guid.NewGuid()}/download");
+            downloadContext.Request.Method = "GET";
+            downloadContext.Request.Headers["X-API-Key"] = "tenant1-upload-key";
+
+            // Act
+            await _middleware.InvokeAsync(chunkContext);
+            await _middleware.InvokeAsync(metadataContext);
+            await _middleware.InvokeAsync(downloadContext);
+
+            // Assert
+            _mockNext.Verify(n => n(chunkContext), Times.Once);
+            _mockNext.Verify(n => n(metadataContext), Times.Once);
+            _mockNext.Verify(n => n(downloadContext), Times.Never);
+            Assert.AreEqual((int)HttpStatusCode.Forbidden, downloadContext.Response.StatusCode);
+        }
+
+        [TestMethod]
+        public async Task InvokeAsync_WithUploadOnlyKey_RejectsChangesToExistingFiles()
+        {
+            // Arrange
+            AddNamedApiKey("tenant1", "tenant1-upload-key", ApiKeyScope.UploadOnly);
+            Guid fileId = Guid.NewGuid();
+            List<HttpContext> contexts = new List<HttpContext>();
+            foreach ((string method, string path) in new[]
+            {
+                ("PUT", $"/api/files/{fileId}/name"),
+                ("PUT", $"/api/files/{fileId}/labels"),
+                ("POST", $"/api/files/{fileId}/move"),
+                ("POST", $"/api/files/{fileId}/versions/{Guid.NewGuid()}/restore"),
+            })
+            {
+                HttpContext context = CreateHttpContext(path);
+                context.Request.Method = method;
+                context.Request.Headers["X-API-Key"] = "tenant1-upload-key";
+                contexts.Add(context);
+            }
+
+            // Act
+            foreach (HttpContext context in contexts)
+            {
+                await _middleware.InvokeAsync(context);
+            }
+
+            // Assert
+            _mockNext.Verify(n => n(It.IsAny<HttpContext>()), Times.Never);
+            Assert.IsTrue(contexts.All(context => context.Response.StatusCode == (int)HttpStatusCode.Forbidden));
+        }
+
+        [TestMethod]
+        public async Task InvokeAsync_WithNoDeleteKey_RejectsDeletes()
+        {
+            // Arrange
+            AddNamedApiKey("tenant1", "tenant1-keep-key", ApiKeyScope.NoDelete);
+            HttpContext renameContext = CreateHttpContext($"/api/files/{Guid.NewGuid()}/name");
+            renameContext.Request.Method = "PUT";
+            renameContext.Request.Headers["X-API-Key"] = "tenant1-keep-key";
+            HttpContext deleteContext = CreateHttpContext($"/api/files/{Guid.NewGuid()}");
+            deleteContext.Request.Method = "DELETE";
+            deleteContext.Request.Headers["X-API-Key"] = "tenant1-keep-key";
+
+            // Act
+            await _middleware.InvokeAsync(renameContext);
+            await _middleware.InvokeAsync(deleteContext);
+
+            // Assert
+            _mockNext.Verify(n => n(renameContext), Times.Once);
+            _mockNext.Verify(n => n(deleteContext), Times.Never);
+            Assert.AreEqual((int)HttpStatusCode.Forbidden, deleteContext.Response.StatusCode);
+        }
+
+        [TestMethod]
+        public async Task InvokeAsync_WithNoDeleteKey_CannotChangeVersionLimit()
+        {
+            // Arrange
+            AddNamedApiKey("tenant1", "tenant1-keep-key", ApiKeyScope.NoDelete);
+            HttpContext context = CreateHttpContext("/api/tenant/version-limit");
+            context.Request.Method = "PUT";
+            context.Request.Headers["X-API-Key"] = "tenant1-keep-key";
+
+            // Act
+            await _middleware.InvokeAsync(context);
+
+            // Assert
+            _mockNext.Verify(n => n(It.IsAny<HttpContext>()), Times.Never);
+            Assert.AreEqual((int)HttpStatusCode.Forbidden, context.Response.StatusCode);
+        }
+
+        [TestMethod]
+        public async Task InvokeAsync_WithNoDeleteKey_AllowsUploadsThatCannotDelete()
+        {
+            // Arrange
+            AddNamedApiKey("tenant1", "tenant1-keep-key", ApiKeyScope.NoDelete);
+            HttpContext uploadContext = CreateHttpContext("/api/files/metadata");
+            uploadContext.Request.Method = "POST";
+            uploadContext.Request.Headers["X-API-Key"] = "tenant1-keep-key";
+            HttpContext fullAccessContext = CreateHttpContext("/api/files/metadata");
+            fullAccessContext.Request.Method = "POST";
+            fullAccessContext.Request.Headers["X-API-Key"] = "tenant1-key";
+
+            // Act
+            await _middleware.InvokeAsync(uploadContext);
+            await _middleware.InvokeAsync(fullAccessContext);
+
+            // Assert
+            _mockNext.Verify(n => n(uploadContext), Times.Once);
+            Assert.IsFalse(uploadContext.CanDelete());
+            Assert.IsTrue(fullAccessContext.CanDelete());
+        }
+
+        [TestMethod]
+        public async Task InvokeAsync_WithLimitedKey_CannotCreateKeys()
+        {
+            // Arrange
+            AddNamedApiKey("tenant1", "tenant1-keep-key", ApiKeyScope.NoDelete);
+            HttpContext context = CreateHttpContext("/api/keys");
+            context.Request.Method = "POST";
+            context.Request.Headers["X-API-Key"] = "tenant1-keep-key";
+
+            // Act
+            await _middleware.InvokeAsync(context);
+
+            // Assert
+            _mockNext.Verify(n => n(It.IsAny<HttpContext>()), Times.Never);
+            Assert.AreEqual((int)HttpStatusCode.Forbidden, context.Response.StatusCode);
+        }
+
+        [TestMethod]
+        public async Task InvokeAsync_WithAdminBrowsingAsTenant_ActsAsBrowsedTenant()
+        {
+            // Arrange
+            HttpContext context = CreateHttpContext("/api/files");
+            context.Request.Method = "GET";
+            context.Request.Headers["X-API-Key"] = "admin-key";
+            context.Request.Headers["X-Browse-Tenant"] = "tenant1";
+
+            // Act
+            await _middleware.InvokeAsync(context);
+
+            // Assert
+            _mockNext.Verify(n => n(context), Times.Once);
+            Assert.AreEqual<string>("tenant1", (string)context.Items["TenantId"]!);
+            Assert.AreEqual<bool>(false, (bool)context.Items["IsAdmin"]!);
+            Assert.AreEqual<string>("admin", (string)context.Items["BrowsingAdminTenantId"]!);
+        }
+
+        [TestMethod]
+        public async Task InvokeAsync_WithNonAdminBrowsingAsTenant_ReturnsForbidden()
+        {
+            // Arrange
+            HttpContext context = CreateHttpContext("/api/files");
+            context.Request.Method = "GET";
+            context.Request.Headers["X-API-Key"] = "tenant1-key";
+            context.Request.Headers["X-Browse-Tenant"] = "tenant2";
+
+            // Act
+            await _middleware.InvokeAsync(context);
+
+            // Assert
+            _mockNext.Verify(n => n(It.IsAny<HttpContext>()), Times.Never);
+            Assert.AreEqual((int)HttpStatusCode.Forbidden, context.Response.StatusCode);
+        }
+
+        [TestMethod]
+        public async Task InvokeAsync_WithUnknownBrowsedTenant_ReturnsNotFound()
+        {
+            // Arrange
+            HttpContext context = CreateHttpContext("/api/files");
+            context.Request.Method = "GET";
+            context.Request.Headers["X-API-Key"] = "admin-key";
+            context.Request.Headers["X-Browse-Tenant"] = "missing";
+
+            // Act
+            await _middleware.InvokeAsync(context);
+
+            // Assert
+            _mockNext.Verify(n => n(It.IsAny<HttpContext>()), Times.Never);
+            Assert.AreEqual((int)HttpStatusCode.NotFound, context.Response.StatusCode);
+        }
+
+        [TestMethod]
+        public async Task InvokeAsync_WhenBrowsingReadOnly_OnlyAllowsChangesInAdminMode()
+        {
+            // Arrange
+            HttpContext readOnlyContext = CreateHttpContext($"/api/files/{Guid.NewGuid()}");
+            readOnlyContext.Request.Method = "DELETE";
+            readOnlyContext.Request.Headers["X-API-Key"] = "admin-key";
+            readOnlyContext.Request.Headers["X-Browse-Tenant"] = "tenant1";
+            HttpContext adminModeContext = CreateHttpContext($"/api/files/{Guid.NewGuid()}");
+            adminModeContext.Request.Method = "DELETE";
+            adminModeContext.Request.Headers["X-API-Key"] = "admin-key";
+            adminModeContext.Request.Headers["X-Browse-Tenant"] = "tenant1";
+            adminModeContext.Request.Headers["X-Browse-Mode"] = "admin";
+
+            // Act
+            await _middleware.InvokeAsync(readOnlyContext);
+            await _middleware.InvokeAsync(adminModeContext);
+
+            // Assert
+            _mockNext.Verify(n => n(readOnlyContext), Times.Never);
+            _mockNext.Verify(n => n(adminModeContext), Times.Once);
+            Assert.AreEqual((int)HttpStatusCode.Forbidden, readOnlyContext.Response.StatusCode);
+        }
+
+        [TestMethod]
+        public async Task InvokeAsync_WhenBrowsingInAdminMode_CannotCreateKeys()
+        {
+            // Arrange
+            HttpContext context = CreateHttpContext("/api/keys");
+            context.Request.Method = "POST";
+            context.Request.Headers["X-API-Key"] = "admin-key";
+            context.Request.Headers["X-Browse-Tenant"] = "tenant1";
+            context.Request.Headers["X-Browse-Mode"] = "admin";
+
+            // Act
+            await _middleware.InvokeAsync(context);
+
+            // Assert
+            _mockNext.Verify(n => n(It.IsAny<HttpContext>()), Times.Never);
+            Assert.AreEqual((int)HttpStatusCode.Forbidden, context.Response.StatusCode);
+        }
+
+        private TenantApiKey AddNamedApiKey(string tenantId, string key, params ApiKeyScope[] scopes)
+        {
+            TenantApiKey namedKey = new TenantApiKey
+            {
+                Id = Guid.NewGuid(),
+                Name = key,
+                KeyHash = TenantApiKey.HashKey(key),
+                Scopes = scopes.ToList(),
+                CreatedAt = DateTimeOffset.UtcNow,
+            };
+
+            _tenantConfig.Tenants[tenantId].ApiKeys.Add(namedKey);
+            return namedKey;
+        }
+
         private static HttpContext CreateHttpContext(string path)
         {
             HttpContext context = new DefaultHttpContext();
@@ -0,0 +1,243 @@
+using ByteShelf.Controllers;
+using ByteShelf.Services;
+using ByteShelfCommon;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.VisualStudio.TestTools.UnitTesting;
+using Moq;
+
+namespace ByteShelf.Tests
+{
+    [TestClass]
+    public class ApiKeysControllerTests
+    {
+        private ApiKeysController _controller = null!;
+        private Mock<ITenantConfigurationService> _mockConfigService = null!;
+        private Mock<IAuditLogService> _mockAuditLogService = null!;
+        private Mock<HttpContext> _mockHttpContext = null!;
+        private TenantInfo _tenant = null!;
+
+        [TestInitialize]
+        public void Setup()
+        {
+            _mockConfigService = new Mock<ITenantConfigurationService>();
+            _mockAuditLogService = new Mock<IAuditLogService>();
+            _mockHttpContext = new Mock<HttpContext>();
+
+            Dictionary<object, object?> items = new Dictionary<object, object?>
+            {
+                ["TenantId"] = "tenant1",
+                ["IsAdmin"] = false
+            };
+            _mockHttpContext.Setup(c => c.Items).Returns(items);
+
+            _tenant = new TenantInfo
+            {
+                ApiKey = "tenant1-key",
+                DisplayName = "Tenant 1",
+                StorageLimitBytes = 1024 * 1024 * 100,
+            };
+            _mockConfigService.Setup(c => c.GetTenant("tenant1")).Returns(_tenant);
+
+            _controller = new ApiKeysController(_mockConfigService.Object, _mockAuditLogService.Object);
+            _controller.ControllerContext = new ControllerContext
+            {
+                HttpContext = _mockHttpContext.Object
+            };
+        }
+
+        [TestMethod]
+        public void Constructor_WithNullConfigService_ThrowsArgumentNullException()
+        {
+            // Act & Assert
+            Assert.ThrowsException<ArgumentNullException>(() => new ApiKeysController(null!, _mockAuditLogService.Object));
+        }
+
+        [TestMethod]
+        public void Constructor_WithNullAuditLogService_ThrowsArgumentNullException()
+        {
+            // Act & Assert
+            Assert.ThrowsException<ArgumentNullException>(() => new ApiKeysController(_mockConfigService.Object, null!));
+        }
+
+        [TestMethod]
+        public void GetApiKeys_ReturnsTenantKeyAndKeysByNameAndMarksCurrentKey()
+        {
+            // Arrange
+            TenantApiKey backupKey = new TenantApiKey { Id = Guid.NewGuid(), Name = "Backup", Hint = "…abcd" };
+            TenantApiKey archiveKey = new TenantApiKey { Id = Guid.NewGuid(), Name = "archive", Hint = "…efgh" };
+            _tenant.ApiKeys.Add(backupKey);
+            _tenant.ApiKeys.Add(archiveKey);
+            _mockHttpContext.Object.Items["ApiKeyId"] = backupKey.Id;
+
+            // Act
+            ActionResult<IEnumerable<ApiKeyInfo>> result = _controller.GetApiKeys();
+
+            // Assert
+            OkObjectResult okResult = (OkObjectResult)result.Result!;
+            List<ApiKeyInfo> keys = ((IEnumerable<ApiKeyInfo>)okResult.Value!).ToList();
+            CollectionAssert.AreEqual(new[] { TenantApiKey.TenantKeyName, "archive", "Backup" }, keys.Select(key => key.Name).ToArray());
+            Assert.AreEqual(TenantApiKey.TenantKeyId, keys[0].Id);
+            Assert.IsFalse(keys[0].IsCurrent);
+            Assert.IsFalse(keys[1].IsCurrent);
+            Assert.IsTrue(keys[2].IsCurrent);
+        }
+
+        [TestMethod]
+        public void GetApiKeys_WithTenantKey_MarksItCurrent()
+        {
+            // Act
+            ActionResult<IEnumerable<ApiKeyInfo>> result = _controller.GetApiKeys();
+
+            // Assert
+            ApiKeyInfo tenantKey = ((IEnumerable<ApiKeyInfo>)((OkObjectResult)result.Result!).Value!).Single();
+            Assert.AreEqual("…-key", tenantKey.Hint);
+            Assert.IsTrue(tenantKey.IsCurrent);
+            Assert.AreEqual(0, tenantKey.Scopes.Count);
+        }
+
+        [TestMethod]
+        public void GetApiKeys_WhenTenantKeyWasRevoked_LeavesItOut()
+        {
+            // Arrange
+            _tenant.ApiKey = string.Empty;
+
+            // Act
+            ActionResult<IEnumerable<ApiKeyInfo>> result = _controller.GetApiKeys();
+
+            // Assert
+            Assert.AreEqual(0, ((IEnumerable<ApiKeyInfo>)((OkObjectResult)result.Result!).Value!).Count());
+        }
+
+        [TestMethod]
+        public async Task CreateApiKey_ReturnsGeneratedKey()
+        {
+            // Arrange
+            CreateApiKeyRequest request = new CreateApiKeyRequest { Name = "Backup", Scopes = new List<ApiKeyScope> { ApiKeyScope.ReadOnly } };
+            _mockConfigService.Setup(c => c.CreateApiKeyAsync("tenant1", It.IsAny<TenantApiKey>())).ReturnsAsync("generated-key");
+
+            // Act
+            ActionResult<CreateApiKeyResponse> result = await _controller.CreateApiKey(request);
+
+            // Assert
+            OkObjectResult okResult = (OkObjectResult)result.Result!;
+            CreateApiKeyResponse response = (CreateApiKeyResponse)okResult.Value!;
+            Assert.AreEqual("generated-key", response.Key);
+            CollectionAssert.AreEqual(new List<ApiKeyScope> { ApiKeyScope.ReadOnly }, response.Info.Scopes);
+            _mockAuditLogService.Verify(s => s.RecordAsync(It.Is<AuditLogEntry>(entry =>
+                entry.Action == AuditAction.ApiKeyCreated &&
+                entry.TargetId == response.Info.Id.ToString() &&
+                entry.TargetName == "Backup" &&
+                entry.Details == "Scopes: ReadOnly")), Times.Once);
+        }
+
+        [TestMethod]
+        public async Task CreateApiKey_WithAdminScopeWhenNotAdmin_ReturnsForbid()
+        {
+            // Arrange
+            CreateApiKeyRequest request = new CreateApiKeyRequest { Name = "Admin", Scopes = new List<ApiKeyScope> { ApiKeyScope.Admin } };
+
+            // Act
+            ActionResult<CreateApiKeyResponse> result = await _controller.CreateApiKey(request);
+
+            // Assert
+            Assert.IsInstanceOfType(result.Result, typeof(ForbidResult));
+            _mockConfigService.Verify(c => c.CreateApiKeyAsync(It.IsAny<string>(), It.IsAny<TenantApiKey>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task CreateApiKey_WhenNameIsTaken_ReturnsConflict()
+        {
+            // Arrange
+            CreateApiKeyRequest request = new CreateApiKeyRequest { Name = "Backup" };
+            _mockConfigService.Setup(c => c.CreateApiKeyAsync("tenant1", It.IsAny<TenantApiKey>()))
+                .ThrowsAsync(new InvalidOperationException("An API key named \"Backup\" already exists"));
+
+            // Act
+            ActionResult<CreateApiKeyResponse> result = await _controller.CreateApiKey(request);
+
+            // Assert
+            Assert.IsInstanceOfType(result.Result, typeof(ConflictObjectResult));
+            _mockAuditLogService.Verify(s => s.RecordAsync(It.IsAny<AuditLogEntry>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task RotateApiKey_WithUnknownKey_ReturnsNotFound()
+        {
+            // Act
+            ActionResult<CreateApiKeyResponse> result = await _controller.RotateApiKey(Guid.NewGuid());
+
+            // Assert
+            Assert.IsInstanceOfType(result.Result, typeof(NotFoundObjectResult));
+            _mockConfigService.Verify(c => c.RotateApiKeyAsync(It.IsAny<string>(), It.IsAny<Guid>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task RotateApiKey_WithTenantKeyId_ReturnsGeneratedKey()
+        {
+            // Arrange
+            _mockConfigService.Setup(c => c.RotateApiKeyAsync("tenant1", TenantApiKey.TenantKeyId)).ReturnsAsync("generated-key");
+
+            // Act
+            ActionResult<CreateApiKeyResponse> result = await _controller.RotateApiKey(TenantApiKey.TenantKeyId);
+
+            // Assert
+            CreateApiKeyResponse response = (CreateApiKeyResponse)((OkObjectResult)result.Result!).Value!;
+            Assert.AreEqual("generated-key", response.Key);
+            Assert.AreEqual(TenantApiKey.TenantKeyName, response.Info.Name);
+            _mockAuditLogService.Verify(s => s.RecordAsync(It.Is<AuditLogEntry>(entry =>
+                entry.Action == AuditAction.ApiKeyRotated &&
+                entry.TargetId == TenantApiKey.TenantKeyId.ToString() &&
+                entry.TargetName == TenantApiKey.TenantKeyName)), Times.Once);
+        }
+
+        [TestMethod]
+        public async Task RevokeApiKey_WithTenantKeyIdWithoutOtherFullAccessKey_ReturnsConflict()
+        {
+            // Arrange
+            _mockConfigService.Setup(c => c.RevokeApiKeyAsync("tenant1", TenantApiKey.TenantKeyId))
+                .ThrowsAsync(new InvalidOperationException("The tenant key can only be revoked once the tenant has another key with the same access"));
+
+            // Act
+            ActionResult result = await _controller.RevokeApiKey(TenantApiKey.TenantKeyId);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(ConflictObjectResult));
+            _mockAuditLogService.Verify(s => s.RecordAsync(It.IsAny<AuditLogEntry>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task RevokeApiKey_WithTenantKeyIdWhenAlreadyRevoked_ReturnsNotFound()
+        {
+            // Arrange
+            _tenant.ApiKey = string.Empty;
+
+            // Act
+            ActionResult result = await _controller.RevokeApiKey(TenantApiKey.TenantKeyId);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(NotFoundObjectResult));
+            _mockConfigService.Verify(c => c.RevokeApiKeyAsync(It.IsAny<string>(), It.IsAny<Guid>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task RevokeApiKey_WithExistingKey_ReturnsNoContent()
+        {
+            // Arrange
+            TenantApiKey apiKey = new TenantApiKey { Id = Guid.NewGuid(), Name = "Backup" };
+            _tenant.ApiKeys.Add(apiKey);
+            _mockConfigService.Setup(c => c.RevokeApiKeyAsync("tenant1", apiKey.Id)).ReturnsAsync(true);
+
+            // Act
+            ActionResult result = await _controller.RevokeApiKey(apiKey.Id);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(NoContentResult));
+            _mockAuditLogService.Verify(s => s.RecordAsync(It.Is<AuditLogEntry>(entry =>
+                entry.Action == AuditAction.ApiKeyRevoked &&
+                entry.TargetTenantId == "tenant1" &&
+                entry.TargetId == apiKey.Id.ToString() &&
+                entry.TargetName == "Backup")), Times.Once);
+        }
+    }
+}
@@ -0,0 +1,210 @@
+using ByteShelf.Services;
+using ByteShelfCommon;
+using Microsoft.Extensions.Logging;
+using Microsoft.VisualStudio.TestTools.UnitTesting;
+using Moq;
+using System.IO.Compression;
+using System.Text;
+
+namespace ByteShelf.Tests
+{
+    [TestClass]
+    public class ArchiveServiceTests
+    {
+        private Mock<IFileStorageService> _mockFileStorageService = null!;
+        private Mock<ITenantConfigurationService> _mockConfigService = null!;
+        private TestLogger<ArchiveService> _logger = null!;
+        private ArchiveService _service = null!;
+        private TenantInfo _photos = null!;
+
+        [TestInitialize]
+        public void Setup()
+        {
+            _mockFileStorageService = new Mock<IFileStorageService>();
+            _mockConfigService = new Mock<ITenantConfigurationService>();
+            _logger = new TestLogger<ArchiveService>();
+
+            // "Photos" has the folders "2024" and "Empty"
+            _photos = new TenantInfo
+            {
+                DisplayName = "Photos",
+                SubTenants = new Dictionary<string, TenantInfo>
+                {
+                    ["photos-2024"] = new TenantInfo { DisplayName = "2024" },
+                    ["photos-empty"] = new TenantInfo { DisplayName = "Empty" }
+                }
+            };
+            _mockConfigService.Setup(c => c.GetTenant("photos")).Returns(_photos);
+
+            _service = new ArchiveService(_mockFileStorageService.Object, _mockConfigService.Object, _logger);
+        }
+
+        [TestMethod]
+        public void Constructor_WithNullFileStorageService_ThrowsArgumentNullException()
+        {
+            // Act & Assert
+            Assert.ThrowsException<ArgumentNullException>(() => new ArchiveService(null!, _mockConfigService.Object, _logger));
+        }
+
+        [TestMethod]
+        public async Task WriteArchiveAsync_WithFolder_MapsNestedSubtenantsToDirectories()
+        {
+            // Arrange
+            SetupFiles("photos", ("cover.jpg", "cover"));
+            SetupFiles("photos-2024", ("beach.jpg", "beach"));
+            SetupFiles("photos-empty");
+
+            // Act
+            Dictionary<string, string> entries = await WriteAndReadArchiveAsync(Array.Empty<Guid>(), new[] { "photos" });
+
+            // Assert
+            CollectionAssert.AreEquivalent(
+                new[] { "Photos/", "Photos/cover.jpg", "Photos/2024/", "Photos/2024/beach.jpg", "Photos/Empty/" },
+                entries.Keys.ToArray());
+            Assert.AreEqual("cover", entries["Photos/cover.jpg"]);
+            Assert.AreEqual("beach", entries["Photos/2024/beach.jpg"]);
+        }
+
+        [TestMethod]
+        public async Task WriteArchiveAsync_WithSelectedFiles_PutsThemAtTheRootWithUniqueSafeNames()
+        {
+            // Arrange
+            List<ShelfFileMetadata> files = SetupFiles("tenant1", ("report.pdf", "first"), ("report.pdf", "second"), ("../secret.txt", "secret"), ("..", "dots"));
+
+            // Act
+            Dictionary<string, string> entries = await WriteAndReadArchiveAsync(files.Select(file => file.Id), Array.Empty<string>());
+
+            // Assert
+            CollectionAssert.AreEquivalent(
+                new[] { "report.pdf", "report (2).pdf", ".._secret.txt", files[3].Id.ToString() },
+                entries.Keys.ToArray());
+            Assert.AreEqual("first", entries["report.pdf"]);
+            Assert.AreEqual("second", entries["report (2).pdf"]);
+        }
+
+        [TestMethod]
+        public async Task WriteArchiveAsync_WithEncryptedFile_LeavesItOutAndListsIt()
+        {
+            // Arrange
+            List<ShelfFileMetadata> files = SetupFiles("tenant1", ("plain.txt", "plain"), ("secret.txt", "ciphertext"));
+            files[1].Encryption = new FileEncryptionInfo();
+
+            // Act
+            Dictionary<string, string> entries = await WriteAndReadArchiveAsync(files.Select(file => file.Id), Array.Empty<string>());
+
+            // Assert
+            CollectionAssert.AreEqual(new[] { "plain.txt", ArchiveService.SkippedFilesEntryName }, entries.Keys.ToArray());
+            StringAssert.Contains(entries[ArchiveService.SkippedFilesEntryName], "secret.txt");
+            Assert.IsFalse(entries[ArchiveService.SkippedFilesEntryName].Contains("ciphertext"));
+        }
+
+        [TestMethod]
+        public async Task WriteArchiveAsync_WithoutEncryptedFiles_AddsNoNotice()
+        {
+            // Arrange
+            List<ShelfFileMetadata> files = SetupFiles("tenant1", ("plain.txt", "plain"));
+
+            // Act
+            Dictionary<string, string> entries = await WriteAndReadArchiveAsync(files.Select(file => file.Id), Array.Empty<string>());
+
+            // Assert
+            CollectionAssert.AreEqual(new[] { "plain.txt" }, entries.Keys.ToArray());
+        }
+
+        [TestMethod]
+        public async Task WriteArchiveAsync_ToNonSeekableStreamWithoutSynchronousWrites_WritesReadableArchive()
+        {
+            // Arrange
+            List<ShelfFileMetadata> files = SetupFiles("tenant1", ("notes.txt", "streamed"), ("large.txt", new string('x', 300000)));
+            using MemoryStream buffer = new MemoryStream();
+
+            // Act
+            await _service.WriteArchiveAsync(new NonSeekableStream(buffer), "tenant1", files.Select(file => file.Id), Array.Empty<string>());
+
+            // Assert
+            buffer.Position = 0;
+            using ZipArchive archive = new ZipArchive(buffer, ZipArchiveMode.Read);
+            Assert.AreEqual("streamed", ReadEntry(archive.GetEntry("notes.txt")!));
+            Assert.AreEqual(300000, ReadEntry(archive.GetEntry("large.txt")!).Length);
+        }
+
+        private List<ShelfFileMetadata> SetupFiles(string tenantId, params (string Name, string Content)[] contents)
+        {
+            List<ShelfFileMetadata> files = new List<ShelfFileMetadata>();
+            foreach ((string name, string content) in contents)
+            {
+                ShelfFileMetadata metadata = new ShelfFileMetadata(Guid.NewGuid(), name, "text/plain", content.Length, new List<Guid> { Guid.NewGuid() });
+                files.Add(metadata);
+
+                _mockFileStorageService
+                    .Setup(s => s.GetFileMetadataAsync(tenantId, metadata.Id, It.IsAny<CancellationToken>()))
+                    .ReturnsAsync(metadata);
+                _mockFileStorageService
+                    .Setup(s => s.GetFileStreamAsync(tenantId, metadata.Id, It.IsAny<CancellationToken>()))
+                    .ReturnsAsync(() => new MemoryStream(Encoding.UTF8.GetBytes(content)));
+            }
+
+            _mockFileStorageService
+                .Setup(s => s.GetFilesAsync(tenantId, It.IsAny<CancellationToken>()))
+                .ReturnsAsync(files);
+
+            return files;
+        }
+
+        private async Task<Dictionary<string, string>> WriteAndReadArchiveAsync(IEnumerable<Guid> fileIds, IEnumerable<string> folderIds)
+        {
+            using MemoryStream buffer = new MemoryStream();
+            await _service.WriteArchiveAsync(buffer, "tenant1", fileIds, folderIds);
+
+            buffer.Position = 0;
+            using ZipArchive archive = new ZipArchive(buffer, ZipArchiveMode.Read);
+            return archive.Entries.ToDictionary(entry => entry.FullName, ReadEntry);
+        }
+
+        private static string ReadEntry(ZipArchiveEntry entry)
+        {
+            using StreamReader reader = new StreamReader(entry.Open());
+            return reader.ReadToEnd();
+        }
+
+        /// <summary>
+        /// Behaves like a Kestrel response body, which refuses synchronous writes.
+        /// </summary>
+        private class NonSeekableStream : Stream
+        {
+            private readonly Stream _inner;
+
+            public NonSeekableStream(Stream inner) => _inner = inner;
+
+            public override bool CanRead => false;
+            public override bool CanSeek => false;
+            public override bool CanWrite => true;
+            public override long Length => throw new NotSupportedException();
+            public override long Position { get => throw new NotSupportedException(); set => throw new NotSupportedException(); }
+
+            public override void Flush() => throw new InvalidOperationException("Synchronous operations are disallowed.");
+            public override Task FlushAsync(CancellationToken cancellationToken) => _inner.FlushAsync(cancellationToken);
+            public override int Read(byte[] buffer, int offset, int count) => throw new NotSupportedException();
+            public override long Seek(long offset, SeekOrigin origin) => throw new NotSupportedException();
+            public override void SetLength(long value) => throw new NotSupportedException();
+            public override void Write(byte[] buffer, int offset, int count) => throw new InvalidOperationException("Synchronous operations are disallowed.");
+            public override Task WriteAsync(byte[] buffer, int offset, int count, CancellationToken cancellationToken) => _inner.WriteAsync(buffer, offset, count, cancellationToken);
+            public override ValueTask WriteAsync(ReadOnlyMemory<byte> buffer, CancellationToken cancellationToken = default) => _inner.WriteAsync(buffer, cancellationToken);
+        }
+
+        private class TestLogger<T> : ILogger<T>
+        {
+            public List<string> LogMessages { get; } = new List<string>();
+
+            public IDisposable? BeginScope<TState>(TState state) where TState : notnull => null;
+
+            public bool IsEnabled(LogLevel logLevel) => true;
+
+            public void Log<TState>(LogLevel logLevel, EventId eventId, TState state, Exception? exception, Func<TState, Exception?, string> formatter)
+            {
+                string message = formatter(state, exception);
+                LogMessages.Add($"[{logLevel}] {message}");
+            }
+        }
+    }
+}
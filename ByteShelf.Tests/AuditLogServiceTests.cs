@@ -0,0 +1,376 @@
+using ByteShelf.Configuration;
+using ByteShelf.Services;
+using ByteShelfCommon;
+using Microsoft.Extensions.Logging;
+using Microsoft.VisualStudio.TestTools.UnitTesting;
+
+namespace ByteShelf.Tests
+{
+    [TestClass]
+    public class AuditLogServiceTests
+    {
+        private string _tempStoragePath = null!;
+        private TestLogger<AuditLogService> _logger = null!;
+        private AuditLogService _service = null!;
+
+        [TestInitialize]
+        public void Setup()
+        {
+            _tempStoragePath = Path.Combine(Path.GetTempPath(), $"ByteShelf-AuditLog-Test-{Guid.NewGuid()}");
+            _logger = new TestLogger<AuditLogService>();
+            _service = new AuditLogService(_tempStoragePath, new AuditLogConfiguration { RetentionMonths = 0 }, _logger);
+        }
+
+        [TestCleanup]
+        public void Cleanup()
+        {
+            if (Directory.Exists(_tempStoragePath))
+            {
+                Directory.Delete(_tempStoragePath, true);
+            }
+        }
+
+        [TestMethod]
+        public void Constructor_WithNullStoragePath_ThrowsArgumentNullException()
+        {
+            // Act & Assert
+            Assert.ThrowsException<ArgumentNullException>(() => new AuditLogService(null!, new AuditLogConfiguration(), _logger));
+        }
+
+        [TestMethod]
+        public void Constructor_WithNullConfiguration_ThrowsArgumentNullException()
+        {
+            // Act & Assert
+            Assert.ThrowsException<ArgumentNullException>(() => new AuditLogService(_tempStoragePath, null!, _logger));
+        }
+
+        [TestMethod]
+        public void Constructor_WithNullLogger_ThrowsArgumentNullException()
+        {
+            // Act & Assert
+            Assert.ThrowsException<ArgumentNullException>(() => new AuditLogService(_tempStoragePath, new AuditLogConfiguration(), null!));
+        }
+
+        [TestMethod]
+        public async Task GetEntriesAsync_WithoutEntries_ReturnsEmptyList()
+        {
+            // Act
+            List<AuditLogEntry> entries = await _service.GetEntriesAsync(new AuditLogQuery());
+
+            // Assert
+            Assert.AreEqual(0, entries.Count);
+        }
+
+        [TestMethod]
+        public async Task RecordAsync_RecordsEntries_ReturnedMostRecentFirst()
+        {
+            // Arrange
+            Guid apiKeyId = Guid.NewGuid();
+            await _service.RecordAsync(CreateEntry(AuditAction.FileUploaded, "tenant1", new DateTimeOffset(2026, 10, 1, 9, 0, 0, TimeSpan.Zero)));
+            await _service.RecordAsync(new AuditLogEntry
+            {
+                Timestamp = new DateTimeOffset(2026, 10, 1, 10, 0, 0, TimeSpan.Zero),
+                Action = AuditAction.FileDeleted,
+                TenantId = "admin",
+                BrowsingAdminTenantId = "admin",
+                ApiKeyId = apiKeyId,
+                TargetTenantId = "tenant1",
+                TargetId = "file-1",
+                TargetName = "report.pdf",
+                Details = "Moved to trash",
+                IpAddress = "192.0.2.1"
+            });
+
+            // Act
+            List<AuditLogEntry> entries = await _service.GetEntriesAsync(new AuditLogQuery());
+
+            // Assert
+            Assert.AreEqual(2, entries.Count);
+            AuditLogEntry latest = entries[0];
+            Assert.AreEqual(AuditAction.FileDeleted, latest.Action);
+            Assert.AreEqual("admin", latest.TenantId);
+            Assert.AreEqual("admin", latest.BrowsingAdminTenantId);
+            Assert.AreEqual(apiKeyId, latest.ApiKeyId);
+            Assert.AreEqual("tenant1", latest.TargetTenantId);
+            Assert.AreEqual("file-1", latest.TargetId);
+            Assert.AreEqual("report.pdf", latest.TargetName);
+            Assert.AreEqual("Moved to trash", latest.Details);
+            Assert.AreEqual("192.0.2.1", latest.IpAddress);
+            Assert.AreEqual(AuditAction.FileUploaded, entries[1].Action);
+        }
+
+        [TestMethod]
+        public async Task RecordAsync_AppendsEntriesAsJsonLinesToFileOfTheirMonth()
+        {
+            // Arrange
+            DateTimeOffset timestamp = new DateTimeOffset(2026, 10, 1, 9, 0, 0, TimeSpan.Zero);
+            await _service.RecordAsync(CreateEntry(AuditAction.FolderCreated, "tenant1", timestamp));
+            await _service.RecordAsync(CreateEntry(AuditAction.FolderDeleted, "tenant1", timestamp));
+
+            // Act
+            string[] lines = await File.ReadAllLinesAsync(GetLogFilePath("operations", timestamp));
+
+            // Assert
+            Assert.AreEqual(2, lines.Length);
+            StringAssert.Contains(lines[0], "\"FolderCreated\"");
+            StringAssert.Contains(lines[1], "\"FolderDeleted\"");
+        }
+
+        [TestMethod]
+        public async Task RecordAsync_WithAuthenticationFailure_AppendsToItsOwnFile()
+        {
+            // Arrange
+            DateTimeOffset timestamp = new DateTimeOffset(2026, 10, 1, 9, 0, 0, TimeSpan.Zero);
+
+            // Act
+            await _service.RecordAsync(CreateEntry(AuditAction.AuthenticationFailed, null, timestamp));
+
+            // Assert
+            Assert.IsTrue(File.Exists(GetLogFilePath("authentication-failures", timestamp)));
+            Assert.IsFalse(File.Exists(GetLogFilePath("operations", timestamp)));
+        }
+
+        [TestMethod]
+        public async Task RecordAsync_DeletesFilesOfMonthsPastRetention()
+        {
+            // Arrange
+            DateTimeOffset now = DateTimeOffset.UtcNow;
+            await _service.RecordAsync(CreateEntry(AuditAction.FileUploaded, "old", now.AddMonths(-3)));
+            await _service.RecordAsync(CreateEntry(AuditAction.FileUploaded, "kept", now.AddMonths(-1)));
+            AuditLogService service = new AuditLogService(_tempStoragePath, new AuditLogConfiguration { RetentionMonths = 2 }, _logger);
+
+            // Act
+            await service.RecordAsync(CreateEntry(AuditAction.FileUploaded, "new", now));
+
+            // Assert
+            Assert.IsFalse(File.Exists(GetLogFilePath("operations", now.AddMonths(-3))));
+            List<AuditLogEntry> entries = await service.GetEntriesAsync(new AuditLogQuery());
+            CollectionAssert.AreEqual(new[] { "new", "kept" }, entries.Select(entry => entry.TenantId).ToArray());
+        }
+
+        [TestMethod]
+        public async Task GetEntriesAsync_WithTenantFilter_MatchesActingBrowsingAndTargetTenant()
+        {
+            // Arrange
+            DateTimeOffset timestamp = DateTimeOffset.UtcNow;
+            await _service.RecordAsync(CreateEntry(AuditAction.FileUploaded, "tenant1", timestamp));
+            await _service.RecordAsync(new AuditLogEntry { Timestamp = timestamp, Action = AuditAction.FileDeleted, TenantId = "admin", TargetTenantId = "tenant1" });
+            await _service.RecordAsync(new AuditLogEntry { Timestamp = timestamp, Action = AuditAction.FileDownloaded, TenantId = "tenant2", BrowsingAdminTenantId = "tenant1" });
+            await _service.RecordAsync(CreateEntry(AuditAction.FileUploaded, "tenant2", timestamp));
+
+            // Act
+            List<AuditLogEntry> entries = await _service.GetEntriesAsync(new AuditLogQuery { TenantId = "tenant1" });
+
+            // Assert
+            CollectionAssert.AreEqual(
+                new[] { AuditAction.FileDownloaded, AuditAction.FileDeleted, AuditAction.FileUploaded },
+                entries.Select(entry => entry.Action).ToArray());
+        }
+
+        [TestMethod]
+        public async Task GetEntriesAsync_WithActionFilter_ReturnsOnlyThatAction()
+        {
+            // Arrange
+            await _service.RecordAsync(CreateEntry(AuditAction.FileUploaded, "tenant1", DateTimeOffset.UtcNow));
+            await _service.RecordAsync(CreateEntry(AuditAction.AuthenticationFailed, null, DateTimeOffset.UtcNow));
+
+            // Act
+            List<AuditLogEntry> entries = await _service.GetEntriesAsync(new AuditLogQuery { Action = AuditAction.AuthenticationFailed });
+
+            // Assert
+            Assert.AreEqual(1, entries.Count);
+            Assert.AreEqual(AuditAction.AuthenticationFailed, entries[0].Action);
+        }
+
+        [TestMethod]
+        public async Task GetEntriesAsync_WithDateRange_IncludesFromAndExcludesTo()
+        {
+            // Arrange
+            DateTimeOffset from = new DateTimeOffset(2026, 10, 1, 0, 0, 0, TimeSpan.Zero);
+            DateTimeOffset to = new DateTimeOffset(2026, 10, 2, 0, 0, 0, TimeSpan.Zero);
+            await _service.RecordAsync(CreateEntry(AuditAction.FileUploaded, "before", from.AddSeconds(-1)));
+            await _service.RecordAsync(CreateEntry(AuditAction.FileUploaded, "start", from));
+            await _service.RecordAsync(CreateEntry(AuditAction.FileUploaded, "end", to.AddSeconds(-1)));
+            await _service.RecordAsync(CreateEntry(AuditAction.FileUploaded, "after", to));
+
+            // Act
+            List<AuditLogEntry> entries = await _service.GetEntriesAsync(new AuditLogQuery { From = from, To = to });
+
+            // Assert
+            CollectionAssert.AreEqual(new[] { "end", "start" }, entries.Select(entry => entry.TenantId).ToArray());
+        }
+
+        [TestMethod]
+        public async Task GetEntriesAsync_WithLimit_ReturnsMostRecentEntries()
+        {
+            // Arrange
+            DateTimeOffset timestamp = DateTimeOffset.UtcNow;
+            for (int i = 0; i < 5; i++)
+            {
+                await _service.RecordAsync(CreateEntry(AuditAction.FileUploaded, $"tenant{i}", timestamp.AddMinutes(i)));
+            }
+
+            // Act
+            List<AuditLogEntry> entries = await _service.GetEntriesAsync(new AuditLogQuery { Limit = 2 });
+
+            // Assert
+            CollectionAssert.AreEqual(new[] { "tenant4", "tenant3" }, entries.Select(entry => entry.TenantId).ToArray());
+        }
+
+        [TestMethod]
+        public async Task GetEntriesAsync_WithoutActionFilter_MergesAuthenticationFailuresByTime()
+        {
+            // Arrange
+            DateTimeOffset timestamp = new DateTimeOffset(2026, 10, 1, 9, 0, 0, TimeSpan.Zero);
+            await _service.RecordAsync(CreateEntry(AuditAction.FileUploaded, "first", timestamp));
+            await _service.RecordAsync(CreateEntry(AuditAction.AuthenticationFailed, "second", timestamp.AddMinutes(1)));
+            await _service.RecordAsync(CreateEntry(AuditAction.FileDeleted, "third", timestamp.AddMinutes(2)));
+
+            // Act
+            List<AuditLogEntry> entries = await _service.GetEntriesAsync(new AuditLogQuery());
+
+            // Assert
+            CollectionAssert.AreEqual(new[] { "third", "second", "first" }, entries.Select(entry => entry.TenantId).ToArray());
+        }
+
+        [TestMethod]
+        public async Task GetEntriesAsync_WithLimitReachedInRecentMonth_DoesNotReadEarlierMonths()
+        {
+            // Arrange
+            DateTimeOffset timestamp = new DateTimeOffset(2026, 10, 1, 9, 0, 0, TimeSpan.Zero);
+            await _service.RecordAsync(CreateEntry(AuditAction.FileUploaded, "september", timestamp.AddMonths(-1)));
+            await File.AppendAllTextAsync(GetLogFilePath("operations", timestamp.AddMonths(-1)), "{\"Timestamp\":\"2026-" + Environment.NewLine);
+            await _service.RecordAsync(CreateEntry(AuditAction.FileUploaded, "october", timestamp));
+
+            // Act
+            List<AuditLogEntry> entries = await _service.GetEntriesAsync(new AuditLogQuery { Limit = 1 });
+
+            // Assert
+            CollectionAssert.AreEqual(new[] { "october" }, entries.Select(entry => entry.TenantId).ToArray());
+            Assert.IsFalse(_logger.LogMessages.Any(message => message.StartsWith("[Warning]")));
+        }
+
+        [TestMethod]
+        public async Task GetEntriesAsync_WithLimit_ContinuesIntoEarlierMonths()
+        {
+            // Arrange
+            DateTimeOffset timestamp = new DateTimeOffset(2026, 10, 1, 9, 0, 0, TimeSpan.Zero);
+            await _service.RecordAsync(CreateEntry(AuditAction.FileUploaded, "august", timestamp.AddMonths(-2)));
+            await _service.RecordAsync(CreateEntry(AuditAction.FileUploaded, "september", timestamp.AddMonths(-1)));
+            await _service.RecordAsync(CreateEntry(AuditAction.FileUploaded, "october", timestamp));
+
+            // Act
+            List<AuditLogEntry> entries = await _service.GetEntriesAsync(new AuditLogQuery { Limit = 2 });
+
+            // Assert
+            CollectionAssert.AreEqual(new[] { "october", "september" }, entries.Select(entry => entry.TenantId).ToArray());
+        }
+
+        [TestMethod]
+        public async Task GetEntriesAsync_AfterRestart_ReturnsRecordedEntries()
+        {
+            // Arrange
+            await _service.RecordAsync(CreateEntry(AuditAction.TenantCreated, "admin", DateTimeOffset.UtcNow));
+
+            // Act
+            AuditLogService restartedService = new AuditLogService(_tempStoragePath, new AuditLogConfiguration(), _logger);
+            List<AuditLogEntry> entries = await restartedService.GetEntriesAsync(new AuditLogQuery());
+
+            // Assert
+            Assert.AreEqual(1, entries.Count);
+            Assert.AreEqual(AuditAction.TenantCreated, entries[0].Action);
+        }
+
+        [TestMethod]
+        public async Task GetEntriesAsync_WithUnreadableLine_SkipsItAndLogsWarning()
+        {
+            // Arrange
+            DateTimeOffset timestamp = DateTimeOffset.UtcNow;
+            await _service.RecordAsync(CreateEntry(AuditAction.FileUploaded, "tenant1", timestamp));
+            await File.AppendAllTextAsync(GetLogFilePath("operations", timestamp), "{\"Timestamp\":\"2026-" + Environment.NewLine);
+            await _service.RecordAsync(CreateEntry(AuditAction.FileDeleted, "tenant1", timestamp));
+
+            // Act
+            List<AuditLogEntry> entries = await _service.GetEntriesAsync(new AuditLogQuery());
+
+            // Assert
+            Assert.AreEqual(2, entries.Count);
+            Assert.IsTrue(_logger.LogMessages.Any(message => message.StartsWith("[Warning]") && message.Contains("Skipped 1")));
+        }
+
+        [TestMethod]
+        public void FormatCsv_WritesHeaderAndEntries()
+        {
+            // Arrange
+            AuditLogEntry entry = CreateEntry(AuditAction.FileDownloaded, "tenant1", new DateTimeOffset(2026, 10, 1, 12, 30, 0, TimeSpan.Zero));
+            entry.TargetName = "notes.txt";
+
+            // Act
+            string[] lines = AuditLogService.FormatCsv(new[] { entry }).Split(Environment.NewLine, StringSplitOptions.RemoveEmptyEntries);
+
+            // Assert
+            Assert.AreEqual(2, lines.Length);
+            Assert.AreEqual("Timestamp,Action,TenantId,BrowsingAdminTenantId,ApiKeyId,TargetTenantId,TargetId,TargetName,Details,IpAddress", lines[0]);
+            Assert.AreEqual("2026-10-01T12:30:00.0000000+00:00,FileDownloaded,tenant1,,,tenant1,,notes.txt,,", lines[1]);
+        }
+
+        [TestMethod]
+        public void FormatCsv_QuotesValuesWithSeparatorsAndQuotes()
+        {
+            // Arrange
+            AuditLogEntry entry = CreateEntry(AuditAction.FileUploaded, "tenant1", DateTimeOffset.UtcNow);
+            entry.TargetName = "a \"quoted\", name.txt";
+
+            // Act
+            string csv = AuditLogService.FormatCsv(new[] { entry });
+
+            // Assert
+            StringAssert.Contains(csv, ",\"a \"\"quoted\"\", name.txt\",");
+        }
+
+        [TestMethod]
+        public void FormatCsv_PrefixesValuesThatSpreadsheetsWouldRunAsFormulas()
+        {
+            // Arrange
+            AuditLogEntry entry = CreateEntry(AuditAction.FileUploaded, "tenant1", DateTimeOffset.UtcNow);
+            entry.TargetName = "=HYPERLINK(\"http://example.com\")";
+
+            // Act
+            string csv = AuditLogService.FormatCsv(new[] { entry });
+
+            // Assert
+            StringAssert.Contains(csv, ",\"'=HYPERLINK(\"\"http://example.com\"\")\",");
+        }
+
+        private string GetLogFilePath(string prefix, DateTimeOffset timestamp)
+        {
+            return Path.Combine(_tempStoragePath, "audit-log", $"{prefix}-{timestamp.UtcDateTime:yyyy-MM}.jsonl");
+        }
+
+        private static AuditLogEntry CreateEntry(AuditAction action, string? tenantId, DateTimeOffset timestamp)
+        {
+            return new AuditLogEntry
+            {
+                Timestamp = timestamp,
+                Action = action,
+                TenantId = tenantId,
+                TargetTenantId = tenantId
+            };
+        }
+
+        private class TestLogger<T> : ILogger<T>
+        {
+            public List<string> LogMessages { get; } = new List<string>();
+
+            public IDisposable? BeginScope<TState>(TState state) where TState : notnull => null;
+
+            public bool IsEnabled(LogLevel logLevel) => true;
+
+            public void Log<TState>(LogLevel logLevel, EventId eventId, TState state, Exception? exception, Func<TState, Exception?, string> formatter)
+            {
+                string message = formatter(state, exception);
+                LogMessages.Add($"[{logLevel}] {message}");
+            }
+        }
+    }
+}
@@ -0,0 +1,215 @@
+using ByteShelf.Controllers;
+using ByteShelf.Services;
+using ByteShelfCommon;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.VisualStudio.TestTools.UnitTesting;
+using Moq;
+
+namespace ByteShelf.Tests
+{
+    [TestClass]
+    public class ChunksControllerTests
+    {
+        private ChunksController _controller = null!;
+        private Mock<IFileStorageService> _mockFileStorageService = null!;
+        private Mock<ITenantConfigurationService> _mockConfigService = null!;
+        private Mock<IAuditLogService> _mockAuditLogService = null!;
+        private Mock<HttpContext> _mockHttpContext = null!;
+        private MemoryStream _requestBody = null!;
+
+        [TestInitialize]
+        public void Setup()
+        {
+            _mockFileStorageService = new Mock<IFileStorageService>();
+            _mockConfigService = new Mock<ITenantConfigurationService>();
+            _mockAuditLogService = new Mock<IAuditLogService>();
+            _mockHttpContext = new Mock<HttpContext>();
+
+            _requestBody = new MemoryStream(new byte[] { 1, 2, 3 });
+            _mockHttpContext.Setup(c => c.Items).Returns(new Dictionary<object, object?> { ["TenantId"] = "tenant1" });
+            _mockHttpContext.Setup(c => c.Request.Body).Returns(_requestBody);
+            _mockHttpContext.Setup(c => c.Request.Headers).Returns(new HeaderDictionary());
+
+            _mockConfigService.Setup(c => c.HasAccessToTenant("tenant1", "photos")).Returns(true);
+            _mockConfigService.Setup(c => c.GetTenant("photos")).Returns(new TenantInfo());
+
+            _controller = new ChunksController(_mockFileStorageService.Object, _mockConfigService.Object, _mockAuditLogService.Object);
+            _controller.ControllerContext = new ControllerContext
+            {
+                HttpContext = _mockHttpContext.Object
+            };
+        }
+
+        [TestCleanup]
+        public void Cleanup()
+        {
+            _requestBody.Dispose();
+        }
+
+        [TestMethod]
+        public async Task UploadChunk_WithNewId_ReturnsHashOfStoredData()
+        {
+            // Arrange
+            Guid chunkId = Guid.NewGuid();
+            _mockFileStorageService
+                .Setup(s => s.SaveVerifiedChunkAsync("tenant1", chunkId, _requestBody, null, It.IsAny<CancellationToken>()))
+                .ReturnsAsync(new string('a', 64));
+
+            // Act
+            IActionResult result = await _controller.UploadChunk(chunkId, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(OkObjectResult));
+            _mockAuditLogService.Verify(s => s.RecordAsync(It.IsAny<AuditLogEntry>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task GetChunk_WithFirstChunkOfFile_RecordsFileDownload()
+        {
+            // Arrange
+            ShelfFileMetadata file = SetupFile("tenant1");
+
+            // Act
+            IActionResult result = await _controller.GetChunk(file.ChunkIds[0], file.Id, null, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(FileStreamResult));
+            _mockAuditLogService.Verify(s => s.RecordAsync(It.Is<AuditLogEntry>(entry =>
+                entry.Action == AuditAction.FileDownloaded &&
+                entry.TargetTenantId == "tenant1" &&
+                entry.TargetId == file.Id.ToString() &&
+                entry.TargetName == "video.mp4")), Times.Once);
+        }
+
+        [TestMethod]
+        public async Task GetChunk_WithLaterChunkOfFile_DoesNotRecordDownload()
+        {
+            // Arrange
+            ShelfFileMetadata file = SetupFile("tenant1");
+
+            // Act
+            IActionResult result = await _controller.GetChunk(file.ChunkIds[1], file.Id, null, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(FileStreamResult));
+            _mockAuditLogService.Verify(s => s.RecordAsync(It.IsAny<AuditLogEntry>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task GetChunk_WithoutFileId_DoesNotRecordDownload()
+        {
+            // Arrange
+            ShelfFileMetadata file = SetupFile("tenant1");
+
+            // Act
+            await _controller.GetChunk(file.ChunkIds[0], null, null, CancellationToken.None);
+
+            // Assert
+            _mockAuditLogService.Verify(s => s.RecordAsync(It.IsAny<AuditLogEntry>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task GetChunkForTenant_WithFirstChunkOfVersion_RecordsVersionDownload()
+        {
+            // Arrange
+            Guid fileId = Guid.NewGuid();
+            Guid versionId = Guid.NewGuid();
+            ShelfFileMetadata version = new ShelfFileMetadata(versionId, "video.mp4", "video/mp4", 10, new List<Guid> { Guid.NewGuid() });
+            _mockFileStorageService
+                .Setup(s => s.GetFileVersionAsync("photos", fileId, versionId, It.IsAny<CancellationToken>()))
+                .ReturnsAsync(version);
+            _mockFileStorageService
+                .Setup(s => s.GetChunkAsync("photos", version.ChunkIds[0], It.IsAny<CancellationToken>()))
+                .ReturnsAsync(() => new MemoryStream(new byte[10]));
+
+            // Act
+            IActionResult result = await _controller.GetChunkForTenant("photos", version.ChunkIds[0], fileId, versionId, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(FileStreamResult));
+            _mockAuditLogService.Verify(s => s.RecordAsync(It.Is<AuditLogEntry>(entry =>
+                entry.Action == AuditAction.FileDownloaded &&
+                entry.TargetTenantId == "photos" &&
+                entry.TargetId == fileId.ToString() &&
+                entry.Details == $"Version {versionId}")), Times.Once);
+        }
+
+        [TestMethod]
+        public async Task GetChunk_WhenChunkDoesNotExist_ReturnsNotFoundWithoutRecordingDownload()
+        {
+            // Arrange
+            ShelfFileMetadata file = SetupFile("tenant1");
+            _mockFileStorageService
+                .Setup(s => s.GetChunkAsync("tenant1", file.ChunkIds[0], It.IsAny<CancellationToken>()))
+                .ThrowsAsync(new FileNotFoundException());
+
+            // Act
+            IActionResult result = await _controller.GetChunk(file.ChunkIds[0], file.Id, null, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(NotFoundResult));
+            _mockAuditLogService.Verify(s => s.RecordAsync(It.IsAny<AuditLogEntry>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task UploadChunk_WithIdOfStoredChunk_ReturnsConflict()
+        {
+            // Arrange
+            Guid chunkId = Guid.NewGuid();
+            _mockFileStorageService
+                .Setup(s => s.SaveVerifiedChunkAsync("tenant1", chunkId, _requestBody, null, It.IsAny<CancellationToken>()))
+                .ThrowsAsync(new InvalidOperationException($"A chunk with ID {chunkId} already exists"));
+
+            // Act
+            IActionResult result = await _controller.UploadChunk(chunkId, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(ConflictObjectResult));
+        }
+
+        [TestMethod]
+        public async Task UploadChunk_WhenQuotaExceeded_ReturnsPayloadTooLarge()
+        {
+            // Arrange
+            Guid chunkId = Guid.NewGuid();
+            _mockFileStorageService
+                .Setup(s => s.SaveVerifiedChunkAsync("tenant1", chunkId, _requestBody, null, It.IsAny<CancellationToken>()))
+                .ThrowsAsync(new StorageQuotaExceededException("tenant1", 3));
+
+            // Act
+            IActionResult result = await _controller.UploadChunk(chunkId, CancellationToken.None);
+
+            // Assert
+            Assert.AreEqual(413, ((ObjectResult)result).StatusCode);
+        }
+
+        [TestMethod]
+        public async Task UploadChunkForTenant_WithIdOfStoredChunk_ReturnsConflict()
+        {
+            // Arrange
+            Guid chunkId = Guid.NewGuid();
+            _mockFileStorageService
+                .Setup(s => s.SaveVerifiedChunkAsync("photos", chunkId, _requestBody, null, It.IsAny<CancellationToken>()))
+                .ThrowsAsync(new InvalidOperationException($"A chunk with ID {chunkId} already exists"));
+
+            // Act
+            IActionResult result = await _controller.UploadChunkForTenant("photos", chunkId, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(ConflictObjectResult));
+        }
+
+        private ShelfFileMetadata SetupFile(string tenantId)
+        {
+            ShelfFileMetadata file = new ShelfFileMetadata(Guid.NewGuid(), "video.mp4", "video/mp4", 20, new List<Guid> { Guid.NewGuid(), Guid.NewGuid() });
+            _mockFileStorageService
+                .Setup(s => s.GetFileMetadataAsync(tenantId, file.Id, It.IsAny<CancellationToken>()))
+                .ReturnsAsync(file);
+            _mockFileStorageService
+                .Setup(s => s.GetChunkAsync(tenantId, It.IsAny<Guid>(), It.IsAny<CancellationToken>()))
+                .ReturnsAsync(() => new MemoryStream(new byte[10]));
+            return file;
+        }
+    }
+}
@@ -0,0 +1,771 @@
+using ByteShelf.Controllers;
+using ByteShelf.Services;
+using ByteShelfCommon;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.VisualStudio.TestTools.UnitTesting;
+using Moq;
+
+namespace ByteShelf.Tests
+{
+    [TestClass]
+    public class FilesControllerTests
+    {
+        private FilesController _controller = null!;
+        private Mock<IFileStorageService> _mockFileStorageService = null!;
+        private Mock<ITenantConfigurationService> _mockConfigService = null!;
+        private Mock<IArchiveService> _mockArchiveService = null!;
+        private Mock<IAuditLogService> _mockAuditLogService = null!;
+        private Mock<HttpContext> _mockHttpContext = null!;
+        private TenantInfo _tenant = null!;
+
+        [TestInitialize]
+        public void Setup()
+        {
+            _mockFileStorageService = new Mock<IFileStorageService>();
+            _mockConfigService = new Mock<ITenantConfigurationService>();
+            _mockArchiveService = new Mock<IArchiveService>();
+            _mockAuditLogService = new Mock<IAuditLogService>();
+            _mockHttpContext = new Mock<HttpContext>();
+
+            Dictionary<object, object?> items = new Dictionary<object, object?> { ["TenantId"] = "tenant1" };
+            _mockHttpContext.Setup(c => c.Items).Returns(items);
+
+            // tenant1 has the folders "Photos" and "Documents", and "Photos" has the folder "2024"
+            _tenant = new TenantInfo
+            {
+                ApiKey = "key1",
+                DisplayName = "Tenant 1",
+                SubTenants = new Dictionary<string, TenantInfo>
+                {
+                    ["photos"] = new TenantInfo
+                    {
+                        DisplayName = "Photos",
+                        SubTenants = new Dictionary<string, TenantInfo>
+                        {
+                            ["photos-2024"] = new TenantInfo { DisplayName = "2024" }
+                        }
+                    },
+                    ["documents"] = new TenantInfo { DisplayName = "Documents" }
+                }
+            };
+
+            _mockConfigService.Setup(c => c.GetTenant("tenant1")).Returns(_tenant);
+
+            SetupFiles("tenant1", "notes.txt");
+            SetupFiles("photos", "beach.jpg", "notes about photos.txt");
+            SetupFiles("photos-2024", "Beach party.JPG");
+            SetupFiles("documents", "report.pdf", "beach-house-contract.pdf");
+
+            _controller = new FilesController(_mockFileStorageService.Object, _mockConfigService.Object, _mockArchiveService.Object, _mockAuditLogService.Object);
+            _controller.ControllerContext = new ControllerContext
+            {
+                HttpContext = _mockHttpContext.Object
+            };
+        }
+
+        [TestMethod]
+        public void Constructor_WithNullAuditLogService_ThrowsArgumentNullException()
+        {
+            // Act & Assert
+            Assert.ThrowsException<ArgumentNullException>(() =>
+                new FilesController(_mockFileStorageService.Object, _mockConfigService.Object, _mockArchiveService.Object, null!));
+        }
+
+        [TestMethod]
+        public async Task SearchFiles_WithWord_ReturnsMatchesFromNestedSubtenantsWithTheirPaths()
+        {
+            // Act
+            ActionResult<FileSearchResponse> result = await _controller.SearchFiles("beach", CancellationToken.None);
+
+            // Assert
+            FileSearchResponse response = GetResponse(result);
+            Assert.IsFalse(response.IsTruncated);
+            CollectionAssert.AreEqual(
+                new[] { "beach-house-contract.pdf", "beach.jpg", "Beach party.JPG" },
+                response.Results.Select(r => r.File.OriginalFilename).ToArray());
+
+            FileSearchResult nestedResult = response.Results[2];
+            Assert.AreEqual("photos-2024", nestedResult.TenantId);
+            CollectionAssert.AreEqual(new[] { "photos", "photos-2024" }, nestedResult.Path.Select(p => p.TenantId).ToArray());
+            CollectionAssert.AreEqual(new[] { "Photos", "2024" }, nestedResult.Path.Select(p => p.DisplayName).ToArray());
+        }
+
+        [TestMethod]
+        public async Task SearchFiles_WithSeveralWords_RequiresAllOfThem()
+        {
+            // Act
+            ActionResult<FileSearchResponse> result = await _controller.SearchFiles("notes photos", CancellationToken.None);
+
+            // Assert
+            FileSearchResponse response = GetResponse(result);
+            Assert.AreEqual(1, response.Results.Count);
+            Assert.AreEqual("notes about photos.txt", response.Results[0].File.OriginalFilename);
+        }
+
+        [TestMethod]
+        public async Task SearchFiles_WithWildcard_MatchesWholeName()
+        {
+            // Act
+            ActionResult<FileSearchResponse> result = await _controller.SearchFiles("*.pdf", CancellationToken.None);
+
+            // Assert
+            FileSearchResponse response = GetResponse(result);
+            CollectionAssert.AreEquivalent(
+                new[] { "report.pdf", "beach-house-contract.pdf" },
+                response.Results.Select(r => r.File.OriginalFilename).ToArray());
+        }
+
+        [TestMethod]
+        public async Task SearchFiles_WithQuestionMarkWildcard_MatchesOneCharacterIgnoringCase()
+        {
+            // Act
+            ActionResult<FileSearchResponse> result = await _controller.SearchFiles("BEACH?JPG", CancellationToken.None);
+
+            // Assert
+            FileSearchResponse response = GetResponse(result);
+            CollectionAssert.AreEqual(new[] { "beach.jpg" }, response.Results.Select(r => r.File.OriginalFilename).ToArray());
+        }
+
+        [TestMethod]
+        [Timeout(5000)]
+        public async Task SearchFiles_WithManyWildcardsAndLongName_ReturnsQuickly()
+        {
+            // Arrange
+            SetupFiles("documents", new string('a', 250) + ".txt", new string('a', 250) + "b");
+
+            // Act
+            ActionResult<FileSearchResponse> result = await _controller.SearchFiles("*a*a*a*a*a*a*a*a*a*a*a*a*a*a*a*a*a*a*a*a*b", CancellationToken.None);
+
+            // Assert
+            FileSearchResponse response = GetResponse(result);
+            CollectionAssert.AreEqual(new[] { new string('a', 250) + "b" }, response.Results.Select(r => r.File.OriginalFilename).ToArray());
+        }
+
+        [TestMethod]
+        public async Task SearchFiles_WithEmptyQuery_ReturnsRootFilesWithEmptyPath()
+        {
+            // Act
+            ActionResult<FileSearchResponse> result = await _controller.SearchFiles(null, CancellationToken.None);
+
+            // Assert
+            FileSearchResponse response = GetResponse(result);
+            Assert.AreEqual(6, response.Results.Count);
+            Assert.AreEqual("notes.txt", response.Results[0].File.OriginalFilename);
+            Assert.AreEqual(0, response.Results[0].Path.Count);
+        }
+
+        [TestMethod]
+        public async Task SearchFiles_WithTooManyMatches_IsTruncated()
+        {
+            // Arrange
+            string[] manyFiles = Enumerable.Range(0, FilesController.MaxSearchResults + 10).Select(i => $"file-{i}.txt").ToArray();
+            SetupFiles("documents", manyFiles);
+
+            // Act
+            ActionResult<FileSearchResponse> result = await _controller.SearchFiles("file-", CancellationToken.None);
+
+            // Assert
+            FileSearchResponse response = GetResponse(result);
+            Assert.IsTrue(response.IsTruncated);
+            Assert.AreEqual(FilesController.MaxSearchResults, response.Results.Count);
+        }
+
+        [TestMethod]
+        public async Task SearchFiles_WhenTenantDoesNotExist_ReturnsNotFound()
+        {
+            // Arrange
+            _mockConfigService.Setup(c => c.GetTenant("tenant1")).Returns((TenantInfo?)null);
+
+            // Act
+            ActionResult<FileSearchResponse> result = await _controller.SearchFiles("beach", CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result.Result, typeof(NotFoundResult));
+        }
+
+        [TestMethod]
+        public async Task DownloadArchive_WithoutFilesOrFolders_ReturnsBadRequest()
+        {
+            // Act
+            IActionResult result = await _controller.DownloadArchive(new CreateArchiveRequest(), CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(BadRequestObjectResult));
+            _mockArchiveService.Verify(s => s.WriteArchiveAsync(It.IsAny<Stream>(), It.IsAny<string>(), It.IsAny<IEnumerable<Guid>>(), It.IsAny<IEnumerable<string>>(), It.IsAny<CancellationToken>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task DownloadArchive_WithFolderOfAnotherTenant_ReturnsUnauthorized()
+        {
+            // Arrange
+            _mockConfigService.Setup(c => c.HasAccessToTenant("tenant1", "tenant1")).Returns(true);
+            _mockConfigService.Setup(c => c.HasAccessToTenant("tenant1", "other")).Returns(false);
+            CreateArchiveRequest request = new CreateArchiveRequest { FolderIds = new List<string> { "other" } };
+
+            // Act
+            IActionResult result = await _controller.DownloadArchive(request, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(UnauthorizedResult));
+            _mockArchiveService.Verify(s => s.WriteArchiveAsync(It.IsAny<Stream>(), It.IsAny<string>(), It.IsAny<IEnumerable<Guid>>(), It.IsAny<IEnumerable<string>>(), It.IsAny<CancellationToken>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task DownloadArchive_WithMissingFile_ReturnsNotFound()
+        {
+            // Arrange
+            _mockConfigService.Setup(c => c.HasAccessToTenant("tenant1", "tenant1")).Returns(true);
+            CreateArchiveRequest request = new CreateArchiveRequest { FileIds = new List<Guid> { Guid.NewGuid() } };
+
+            // Act
+            IActionResult result = await _controller.DownloadArchive(request, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(NotFoundResult));
+        }
+
+        [TestMethod]
+        public async Task MoveFile_ToSubtenant_ReturnsMovedFile()
+        {
+            // Arrange
+            Guid fileId = Guid.NewGuid();
+            ShelfFileMetadata moved = new ShelfFileMetadata(fileId, "notes.txt", "text/plain", 100, new List<Guid> { Guid.NewGuid() });
+            _mockConfigService.Setup(c => c.HasAccessToTenant("tenant1", It.IsAny<string>())).Returns(true);
+            _mockConfigService.Setup(c => c.GetTenant("photos")).Returns(_tenant.SubTenants["photos"]);
+            _mockFileStorageService
+                .Setup(s => s.MoveFileAsync("tenant1", fileId, "photos", It.IsAny<CancellationToken>()))
+                .ReturnsAsync(moved);
+
+            // Act
+            ActionResult<ShelfFileMetadata> result = await _controller.MoveFile(fileId, new FileTransferRequest { TargetTenantId = "photos" }, CancellationToken.None);
+
+            // Assert
+            OkObjectResult? okResult = result.Result as OkObjectResult;
+            Assert.IsNotNull(okResult);
+            Assert.AreSame(moved, okResult.Value);
+            _mockAuditLogService.Verify(s => s.RecordAsync(It.Is<AuditLogEntry>(entry =>
+                entry.Action == AuditAction.FileMoved &&
+                entry.TargetTenantId == "photos" &&
+                entry.TargetId == fileId.ToString() &&
+                entry.Details == "From tenant1")), Times.Once);
+        }
+
+        [TestMethod]
+        public async Task CopyFile_ToSubtenant_RecordsCopyInAuditLog()
+        {
+            // Arrange
+            Guid fileId = Guid.NewGuid();
+            ShelfFileMetadata copy = new ShelfFileMetadata(Guid.NewGuid(), "notes.txt", "text/plain", 100, new List<Guid> { Guid.NewGuid() });
+            _mockConfigService.Setup(c => c.HasAccessToTenant("tenant1", It.IsAny<string>())).Returns(true);
+            _mockConfigService.Setup(c => c.GetTenant("photos")).Returns(_tenant.SubTenants["photos"]);
+            _mockFileStorageService
+                .Setup(s => s.CopyFileAsync("tenant1", fileId, "photos", It.IsAny<CancellationToken>()))
+                .ReturnsAsync(copy);
+
+            // Act
+            ActionResult<ShelfFileMetadata> result = await _controller.CopyFile(fileId, new FileTransferRequest { TargetTenantId = "photos" }, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result.Result, typeof(OkObjectResult));
+            _mockAuditLogService.Verify(s => s.RecordAsync(It.Is<AuditLogEntry>(entry =>
+                entry.Action == AuditAction.FileCopied &&
+                entry.TargetTenantId == "photos" &&
+                entry.TargetId == copy.Id.ToString() &&
+                entry.Details == $"Copy of {fileId} in tenant1")), Times.Once);
+        }
+
+        [TestMethod]
+        public async Task MoveFile_ToSameFolder_ReturnsBadRequest()
+        {
+            // Arrange
+            _mockConfigService.Setup(c => c.HasAccessToTenant("tenant1", "tenant1")).Returns(true);
+
+            // Act
+            ActionResult<ShelfFileMetadata> result = await _controller.MoveFile(Guid.NewGuid(), new FileTransferRequest(), CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result.Result, typeof(BadRequestObjectResult));
+            _mockFileStorageService.Verify(s => s.MoveFileAsync(It.IsAny<string>(), It.IsAny<Guid>(), It.IsAny<string>(), It.IsAny<CancellationToken>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task CopyFile_ToFolderOfAnotherTenant_ReturnsUnauthorized()
+        {
+            // Arrange
+            _mockConfigService.Setup(c => c.HasAccessToTenant("tenant1", "tenant1")).Returns(true);
+            _mockConfigService.Setup(c => c.HasAccessToTenant("tenant1", "other")).Returns(false);
+
+            // Act
+            ActionResult<ShelfFileMetadata> result = await _controller.CopyFile(Guid.NewGuid(), new FileTransferRequest { TargetTenantId = "other" }, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result.Result, typeof(UnauthorizedResult));
+            _mockFileStorageService.Verify(s => s.CopyFileAsync(It.IsAny<string>(), It.IsAny<Guid>(), It.IsAny<string>(), It.IsAny<CancellationToken>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task CopyFile_WhenTargetQuotaExceeded_Returns413()
+        {
+            // Arrange
+            Guid fileId = Guid.NewGuid();
+            _mockConfigService.Setup(c => c.HasAccessToTenant("tenant1", It.IsAny<string>())).Returns(true);
+            _mockConfigService.Setup(c => c.GetTenant("documents")).Returns(_tenant.SubTenants["documents"]);
+            _mockFileStorageService
+                .Setup(s => s.CopyFileAsync("tenant1", fileId, "documents", It.IsAny<CancellationToken>()))
+                .ThrowsAsync(new StorageQuotaExceededException("documents", 100));
+
+            // Act
+            ActionResult<ShelfFileMetadata> result = await _controller.CopyFile(fileId, new FileTransferRequest { TargetTenantId = "documents" }, CancellationToken.None);
+
+            // Assert
+            ObjectResult? objectResult = result.Result as ObjectResult;
+            Assert.IsNotNull(objectResult);
+            Assert.AreEqual(413, objectResult.StatusCode);
+        }
+
+        [TestMethod]
+        public async Task MoveFile_WhenTargetHasFileWithSameName_ReturnsConflict()
+        {
+            // Arrange
+            Guid fileId = Guid.NewGuid();
+            _mockConfigService.Setup(c => c.HasAccessToTenant("tenant1", It.IsAny<string>())).Returns(true);
+            _mockConfigService.Setup(c => c.GetTenant("documents")).Returns(_tenant.SubTenants["documents"]);
+            _mockFileStorageService
+                .Setup(s => s.MoveFileAsync("tenant1", fileId, "documents", It.IsAny<CancellationToken>()))
+                .ThrowsAsync(new InvalidOperationException("A file named \"report.pdf\" already exists in that folder"));
+
+            // Act
+            ActionResult<ShelfFileMetadata> result = await _controller.MoveFile(fileId, new FileTransferRequest { TargetTenantId = "documents" }, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result.Result, typeof(ConflictObjectResult));
+        }
+
+        [TestMethod]
+        public async Task RenameFile_WhenSiblingHasName_ReturnsConflict()
+        {
+            // Arrange
+            Guid fileId = Guid.NewGuid();
+            _mockFileStorageService
+                .Setup(s => s.RenameFileAsync("tenant1", fileId, "report.pdf", It.IsAny<CancellationToken>()))
+                .ThrowsAsync(new InvalidOperationException("A file named \"report.pdf\" already exists in this folder"));
+
+            // Act
+            ActionResult<ShelfFileMetadata> result = await _controller.RenameFile(fileId, new RenameRequest { Name = "report.pdf" }, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result.Result, typeof(ConflictObjectResult));
+        }
+
+        [TestMethod]
+        public async Task RenameFile_WithInvalidName_ReturnsBadRequest()
+        {
+            // Act
+            ActionResult<ShelfFileMetadata> result = await _controller.RenameFile(Guid.NewGuid(), new RenameRequest { Name = "  " }, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result.Result, typeof(BadRequestObjectResult));
+            _mockFileStorageService.Verify(s => s.RenameFileAsync(It.IsAny<string>(), It.IsAny<Guid>(), It.IsAny<string>(), It.IsAny<CancellationToken>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task RenameFileForTenant_InSubtenant_ReturnsRenamedFile()
+        {
+            // Arrange
+            Guid fileId = Guid.NewGuid();
+            ShelfFileMetadata renamed = new ShelfFileMetadata(fileId, "sunset.jpg", "image/jpeg", 100, new List<Guid> { Guid.NewGuid() });
+            _mockConfigService.Setup(c => c.HasAccessToTenant("tenant1", "photos")).Returns(true);
+            _mockConfigService.Setup(c => c.GetTenant("photos")).Returns(_tenant.SubTenants["photos"]);
+            _mockFileStorageService
+                .Setup(s => s.GetFileMetadataAsync("photos", fileId, It.IsAny<CancellationToken>()))
+                .ReturnsAsync(new ShelfFileMetadata(fileId, "IMG_0042.jpg", "image/jpeg", 100, new List<Guid> { Guid.NewGuid() }));
+            _mockFileStorageService
+                .Setup(s => s.RenameFileAsync("photos", fileId, "sunset.jpg", It.IsAny<CancellationToken>()))
+                .ReturnsAsync(renamed);
+
+            // Act
+            ActionResult<ShelfFileMetadata> result = await _controller.RenameFileForTenant("photos", fileId, new RenameRequest { Name = "sunset.jpg" }, CancellationToken.None);
+
+            // Assert
+            OkObjectResult? okResult = result.Result as OkObjectResult;
+            Assert.IsNotNull(okResult);
+            Assert.AreSame(renamed, okResult.Value);
+            _mockAuditLogService.Verify(s => s.RecordAsync(It.Is<AuditLogEntry>(entry =>
+                entry.Action == AuditAction.FileRenamed &&
+                entry.TargetTenantId == "photos" &&
+                entry.TargetName == "sunset.jpg" &&
+                entry.Details == "Renamed from IMG_0042.jpg")), Times.Once);
+        }
+
+        [TestMethod]
+        public async Task CreateFileMetadata_WithNameOfExistingFile_ReturnsExistingFileIdAndRecordsUploader()
+        {
+            // Arrange
+            Guid existingId = Guid.NewGuid();
+            ShelfFileMetadata upload = new ShelfFileMetadata(Guid.NewGuid(), "notes.txt", "text/plain", 100, new List<Guid> { Guid.NewGuid() });
+            _mockHttpContext.Object.Items["ApiKeyName"] = "Phone backup";
+            _tenant.MaxFileVersions = 3;
+            _mockFileStorageService
+                .Setup(s => s.SaveUploadedFileAsync("tenant1", upload, 3, It.IsAny<CancellationToken>()))
+                .ReturnsAsync((string tenantId, ShelfFileMetadata metadata, int maxVersions, CancellationToken cancellationToken) =>
+                {
+                    metadata.Id = existingId;
+                    return metadata;
+                });
+
+            // Act
+            ActionResult result = await _controller.CreateFileMetadata(upload, CancellationToken.None);
+
+            // Assert
+            CreatedAtActionResult? createdResult = result as CreatedAtActionResult;
+            Assert.IsNotNull(createdResult);
+            Assert.AreEqual(existingId, createdResult.RouteValues!["fileId"]);
+            Assert.AreEqual("Phone backup", upload.UploadedBy);
+        }
+
+        [TestMethod]
+        public async Task CreateFileMetadata_WithNoDeleteKeyWhenFileKeepsNoMoreVersions_ReturnsForbiddenWithoutSaving()
+        {
+            // Arrange
+            ShelfFileMetadata upload = new ShelfFileMetadata(Guid.NewGuid(), "NOTES.txt", "text/plain", 100, new List<Guid> { Guid.NewGuid() });
+            _mockHttpContext.Object.Items["ApiKeyScopes"] = new List<ApiKeyScope> { ApiKeyScope.NoDelete };
+            _tenant.MaxFileVersions = 2;
+            SetupVersions("tenant1", "notes.txt", 2);
+
+            // Act
+            ActionResult result = await _controller.CreateFileMetadata(upload, CancellationToken.None);
+
+            // Assert
+            Assert.AreEqual(403, ((ObjectResult)result).StatusCode);
+            _mockFileStorageService.Verify(s => s.SaveUploadedFileAsync(It.IsAny<string>(), It.IsAny<ShelfFileMetadata>(), It.IsAny<int>(), It.IsAny<CancellationToken>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task CreateFileMetadata_WithNoDeleteKeyWhenVersionLimitIsZero_ReturnsForbidden()
+        {
+            // Arrange
+            ShelfFileMetadata upload = new ShelfFileMetadata(Guid.NewGuid(), "notes.txt", "text/plain", 100, new List<Guid> { Guid.NewGuid() });
+            _mockHttpContext.Object.Items["ApiKeyScopes"] = new List<ApiKeyScope> { ApiKeyScope.NoDelete };
+            _tenant.MaxFileVersions = 0;
+            SetupVersions("tenant1", "notes.txt", 0);
+
+            // Act
+            ActionResult result = await _controller.CreateFileMetadata(upload, CancellationToken.None);
+
+            // Assert
+            Assert.AreEqual(403, ((ObjectResult)result).StatusCode);
+        }
+
+        [TestMethod]
+        public async Task CreateFileMetadata_WithNoDeleteKeyWhenFileHasRoomForVersion_SavesUpload()
+        {
+            // Arrange
+            ShelfFileMetadata upload = new ShelfFileMetadata(Guid.NewGuid(), "notes.txt", "text/plain", 100, new List<Guid> { Guid.NewGuid() });
+            _mockHttpContext.Object.Items["ApiKeyScopes"] = new List<ApiKeyScope> { ApiKeyScope.NoDelete };
+            _tenant.MaxFileVersions = 2;
+            SetupVersions("tenant1", "notes.txt", 1);
+            _mockFileStorageService
+                .Setup(s => s.SaveUploadedFileAsync("tenant1", upload, 2, It.IsAny<CancellationToken>()))
+                .ReturnsAsync(upload);
+
+            // Act
+            ActionResult result = await _controller.CreateFileMetadata(upload, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(CreatedAtActionResult));
+        }
+
+        [TestMethod]
+        public async Task RestoreFileVersion_WithNoDeleteKeyWhenFileHasTooManyVersions_ReturnsForbiddenWithoutRestoring()
+        {
+            // Arrange
+            _mockHttpContext.Object.Items["ApiKeyScopes"] = new List<ApiKeyScope> { ApiKeyScope.NoDelete };
+            _tenant.MaxFileVersions = 2;
+            Guid fileId = SetupVersions("tenant1", "notes.txt", 3);
+
+            // Act
+            ActionResult<ShelfFileMetadata> result = await _controller.RestoreFileVersion(fileId, Guid.NewGuid(), CancellationToken.None);
+
+            // Assert
+            Assert.AreEqual(403, ((ObjectResult)result.Result!).StatusCode);
+            _mockFileStorageService.Verify(s => s.RestoreFileVersionAsync(
+                It.IsAny<string>(), It.IsAny<Guid>(), It.IsAny<Guid>(), It.IsAny<string?>(), It.IsAny<int>(), It.IsAny<CancellationToken>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task CreateFileMetadata_WithInvalidLabels_ReturnsBadRequest()
+        {
+            // Arrange
+            ShelfFileMetadata upload = new ShelfFileMetadata(Guid.NewGuid(), "notes.txt", "text/plain", 100, new List<Guid> { Guid.NewGuid() })
+            {
+                Tags = new List<string> { new string('a', FileLabelValidator.MaxNameLength + 1) }
+            };
+
+            // Act
+            ActionResult result = await _controller.CreateFileMetadata(upload, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(BadRequestObjectResult));
+            _mockFileStorageService.Verify(s => s.SaveUploadedFileAsync(It.IsAny<string>(), It.IsAny<ShelfFileMetadata>(), It.IsAny<int>(), It.IsAny<CancellationToken>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task CreateFileMetadata_WithIdOfExistingFile_ReturnsConflict()
+        {
+            // Arrange
+            ShelfFileMetadata upload = new ShelfFileMetadata(Guid.NewGuid(), "notes.txt", "text/plain", 100, new List<Guid> { Guid.NewGuid() });
+            _mockFileStorageService
+                .Setup(s => s.SaveUploadedFileAsync("tenant1", upload, It.IsAny<int>(), It.IsAny<CancellationToken>()))
+                .ThrowsAsync(new InvalidOperationException($"A file with ID {upload.Id} already exists"));
+
+            // Act
+            ActionResult result = await _controller.CreateFileMetadata(upload, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(ConflictObjectResult));
+            _mockAuditLogService.Verify(s => s.RecordAsync(It.IsAny<AuditLogEntry>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task CreateFileMetadata_WhenHashesDoNotMatchStoredChunks_ReturnsBadRequest()
+        {
+            // Arrange
+            ShelfFileMetadata upload = new ShelfFileMetadata(Guid.NewGuid(), "notes.txt", "text/plain", 100, new List<Guid> { Guid.NewGuid() });
+            _mockFileStorageService
+                .Setup(s => s.SaveUploadedFileAsync("tenant1", upload, It.IsAny<int>(), It.IsAny<CancellationToken>()))
+                .ThrowsAsync(new InvalidDataException("Chunk does not match its hash"));
+
+            // Act
+            ActionResult result = await _controller.CreateFileMetadata(upload, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(BadRequestObjectResult));
+            _mockAuditLogService.Verify(s => s.RecordAsync(It.IsAny<AuditLogEntry>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task GetFiles_WithTagAndAttributeFilters_ReturnsFilesWithAllOfThem()
+        {
+            // Arrange
+            ShelfFileMetadata match = new ShelfFileMetadata(Guid.NewGuid(), "build-1.zip", "application/zip", 100, new List<Guid>())
+            {
+                Tags = new List<string> { "Release" },
+                Attributes = new Dictionary<string, string> { ["project"] = "Apollo", ["build"] = "1" }
+            };
+            ShelfFileMetadata otherProject = new ShelfFileMetadata(Guid.NewGuid(), "build-2.zip", "application/zip", 100, new List<Guid>())
+            {
+                Tags = new List<string> { "release" },
+                Attributes = new Dictionary<string, string> { ["project"] = "gemini", ["build"] = "2" }
+            };
+            ShelfFileMetadata unlabeled = new ShelfFileMetadata(Guid.NewGuid(), "notes.txt", "text/plain", 100, new List<Guid>());
+            _mockFileStorageService
+                .Setup(s => s.GetFilesAsync("tenant1", It.IsAny<CancellationToken>()))
+                .ReturnsAsync(new[] { match, otherProject, unlabeled });
+
+            // Act
+            ActionResult<IEnumerable<ShelfFileMetadata>> result = await _controller.GetFiles(
+                new[] { "release" },
+                new[] { "project=apollo", "build" },
+                CancellationToken.None);
+
+            // Assert
+            OkObjectResult? okResult = result.Result as OkObjectResult;
+            Assert.IsNotNull(okResult);
+            IEnumerable<ShelfFileMetadata>? files = okResult.Value as IEnumerable<ShelfFileMetadata>;
+            Assert.IsNotNull(files);
+            Assert.AreSame(match, files.Single());
+        }
+
+        [TestMethod]
+        public async Task UpdateFileLabelsForTenant_InSubtenant_ReturnsLabeledFile()
+        {
+            // Arrange
+            Guid fileId = Guid.NewGuid();
+            ShelfFileMetadata labeled = new ShelfFileMetadata(fileId, "beach.jpg", "image/jpeg", 100, new List<Guid> { Guid.NewGuid() })
+            {
+                Tags = new List<string> { "summer" },
+                Attributes = new Dictionary<string, string> { ["camera"] = "X100" }
+            };
+            _mockConfigService.Setup(c => c.HasAccessToTenant("tenant1", "photos")).Returns(true);
+            _mockConfigService.Setup(c => c.GetTenant("photos")).Returns(_tenant.SubTenants["photos"]);
+            _mockFileStorageService
+                .Setup(s => s.UpdateFileLabelsAsync(
+                    "photos",
+                    fileId,
+                    It.Is<IEnumerable<string>?>(tags => tags!.SequenceEqual(new[] { "summer" })),
+                    It.Is<IDictionary<string, string>?>(attributes => attributes!["camera"] == "X100"),
+                    It.IsAny<CancellationToken>()))
+                .ReturnsAsync(labeled);
+
+            FileLabels labels = new FileLabels
+            {
+                Tags = new List<string> { " summer ", "SUMMER" },
+                Attributes = new Dictionary<string, string> { ["camera"] = "X100 " }
+            };
+
+            // Act
+            ActionResult<ShelfFileMetadata> result = await _controller.UpdateFileLabelsForTenant("photos", fileId, labels, CancellationToken.None);
+
+            // Assert
+            OkObjectResult? okResult = result.Result as OkObjectResult;
+            Assert.IsNotNull(okResult);
+            Assert.AreSame(labeled, okResult.Value);
+            _mockAuditLogService.Verify(s => s.RecordAsync(It.Is<AuditLogEntry>(entry =>
+                entry.Action == AuditAction.FileLabelsUpdated &&
+                entry.TargetTenantId == "photos" &&
+                entry.Details == "Tags: summer; Attributes: camera=X100")), Times.Once);
+        }
+
+        [TestMethod]
+        public async Task UpdateFileLabels_WithInvalidAttribute_ReturnsBadRequest()
+        {
+            // Arrange
+            FileLabels labels = new FileLabels
+            {
+                Attributes = new Dictionary<string, string> { ["build"] = "line\nbreak" }
+            };
+
+            // Act
+            ActionResult<ShelfFileMetadata> result = await _controller.UpdateFileLabels(Guid.NewGuid(), labels, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result.Result, typeof(BadRequestObjectResult));
+            _mockFileStorageService.Verify(s => s.UpdateFileLabelsAsync(
+                It.IsAny<string>(),
+                It.IsAny<Guid>(),
+                It.IsAny<IEnumerable<string>?>(),
+                It.IsAny<IDictionary<string, string>?>(),
+                It.IsAny<CancellationToken>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task GetFileVersionsForTenant_WhenFileDoesNotExist_ReturnsNotFound()
+        {
+            // Arrange
+            Guid fileId = Guid.NewGuid();
+            _mockConfigService.Setup(c => c.HasAccessToTenant("tenant1", "photos")).Returns(true);
+            _mockConfigService.Setup(c => c.GetTenant("photos")).Returns(_tenant.SubTenants["photos"]);
+            _mockFileStorageService
+                .Setup(s => s.GetFileVersionsAsync("photos", fileId, It.IsAny<CancellationToken>()))
+                .ReturnsAsync((IEnumerable<ShelfFileMetadata>?)null);
+
+            // Act
+            ActionResult<IEnumerable<ShelfFileMetadata>> result = await _controller.GetFileVersionsForTenant("photos", fileId, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result.Result, typeof(NotFoundResult));
+        }
+
+        [TestMethod]
+        public async Task RestoreFileVersionForTenant_InSubtenant_UsesPolicyInheritedFromParent()
+        {
+            // Arrange
+            Guid fileId = Guid.NewGuid();
+            Guid versionId = Guid.NewGuid();
+            TenantInfo photos = _tenant.SubTenants["photos"];
+            photos.Parent = _tenant;
+            _tenant.MaxFileVersions = 2;
+            ShelfFileMetadata restored = new ShelfFileMetadata(fileId, "beach.jpg", "image/jpeg", 100, new List<Guid> { Guid.NewGuid() });
+            _mockHttpContext.Setup(c => c.Request.Headers).Returns(new HeaderDictionary());
+            _mockConfigService.Setup(c => c.HasAccessToTenant("tenant1", "photos")).Returns(true);
+            _mockConfigService.Setup(c => c.GetTenant("photos")).Returns(photos);
+            _mockFileStorageService
+                .Setup(s => s.RestoreFileVersionAsync("photos", fileId, versionId, null, 2, It.IsAny<CancellationToken>()))
+                .ReturnsAsync(restored);
+
+            // Act
+            ActionResult<ShelfFileMetadata> result = await _controller.RestoreFileVersionForTenant("photos", fileId, versionId, CancellationToken.None);
+
+            // Assert
+            OkObjectResult? okResult = result.Result as OkObjectResult;
+            Assert.IsNotNull(okResult);
+            Assert.AreSame(restored, okResult.Value);
+            _mockAuditLogService.Verify(s => s.RecordAsync(It.Is<AuditLogEntry>(entry =>
+                entry.Action == AuditAction.FileVersionRestored &&
+                entry.TargetTenantId == "photos" &&
+                entry.Details == $"Version {versionId}")), Times.Once);
+        }
+
+        [TestMethod]
+        public async Task DeleteFile_RecordsFileDeletedWithFilenameInAuditLog()
+        {
+            // Arrange
+            Guid fileId = Guid.NewGuid();
+            ShelfFileMetadata metadata = new ShelfFileMetadata(fileId, "report.pdf", "application/pdf", 100, new List<Guid> { Guid.NewGuid() });
+            _mockHttpContext.Object.Items["ClientIpAddress"] = "198.51.100.4";
+            _mockFileStorageService
+                .Setup(s => s.GetFileMetadataAsync("tenant1", fileId, It.IsAny<CancellationToken>()))
+                .ReturnsAsync(metadata);
+            _mockFileStorageService
+                .Setup(s => s.TrashFileAsync("tenant1", fileId, It.IsAny<CancellationToken>()))
+                .ReturnsAsync(true);
+
+            // Act
+            ActionResult result = await _controller.DeleteFile(fileId, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(NoContentResult));
+            _mockAuditLogService.Verify(s => s.RecordAsync(It.Is<AuditLogEntry>(entry =>
+                entry.Action == AuditAction.FileDeleted &&
+                entry.TenantId == "tenant1" &&
+                entry.TargetTenantId == "tenant1" &&
+                entry.TargetId == fileId.ToString() &&
+                entry.TargetName == "report.pdf" &&
+                entry.IpAddress == "198.51.100.4")), Times.Once);
+        }
+
+        [TestMethod]
+        public async Task DeleteFile_WhenFileDoesNotExist_DoesNotRecordInAuditLog()
+        {
+            // Arrange
+            Guid fileId = Guid.NewGuid();
+            _mockFileStorageService
+                .Setup(s => s.TrashFileAsync("tenant1", fileId, It.IsAny<CancellationToken>()))
+                .ReturnsAsync((bool?)null);
+
+            // Act
+            ActionResult result = await _controller.DeleteFile(fileId, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(NotFoundResult));
+            _mockAuditLogService.Verify(s => s.RecordAsync(It.IsAny<AuditLogEntry>()), Times.Never);
+        }
+
+        private void SetupFiles(string tenantId, params string[] filenames)
+        {
+            List<ShelfFileMetadata> files = filenames
+                .Select(name => new ShelfFileMetadata(Guid.NewGuid(), name, "application/octet-stream", 100, new List<Guid> { Guid.NewGuid() }))
+                .ToList();
+
+            _mockFileStorageService
+                .Setup(s => s.GetFilesAsync(tenantId, It.IsAny<CancellationToken>()))
+                .ReturnsAsync(files);
+        }
+
+        private Guid SetupVersions(string tenantId, string filename, int versionCount)
+        {
+            ShelfFileMetadata file = new ShelfFileMetadata(Guid.NewGuid(), filename, "text/plain", 100, new List<Guid> { Guid.NewGuid() });
+            List<ShelfFileMetadata> versions = Enumerable.Range(0, versionCount)
+                .Select(_ => new ShelfFileMetadata(Guid.NewGuid(), filename, "text/plain", 100, new List<Guid> { Guid.NewGuid() }))
+                .ToList();
+
+            _mockFileStorageService
+                .Setup(s => s.GetFilesAsync(tenantId, It.IsAny<CancellationToken>()))
+                .ReturnsAsync(new List<ShelfFileMetadata> { file });
+            _mockFileStorageService
+                .Setup(s => s.GetFileVersionsAsync(tenantId, file.Id, It.IsAny<CancellationToken>()))
+                .ReturnsAsync(versions);
+            return file.Id;
+        }
+
+        private static FileSearchResponse GetResponse(ActionResult<FileSearchResponse> result)
+        {
+            OkObjectResult? okResult = result.Result as OkObjectResult;
+            Assert.IsNotNull(okResult);
+            FileSearchResponse? response = okResult.Value as FileSearchResponse;
+            Assert.IsNotNull(response);
+            return response;
+        }
+    }
+}
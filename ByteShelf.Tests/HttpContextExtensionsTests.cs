@@ -191,5 +191,28 @@ namespace ByteShelf.Tests
             _httpContext.Items["TenantId"] = "tenant-with-dashes";
             Assert.AreEqual("tenant-with-dashes", _httpContext.GetTenantId());
         }
+
+        [TestMethod]
+        public void GetApiKeyName_WithApiKeyName_ReturnsName()
+        {
+            // Arrange
+            _httpContext.Items["ApiKeyName"] = "Phone backup";
+
+            // Act
+            string? name = _httpContext.GetApiKeyName();
+
+            // Assert
+            Assert.AreEqual("Phone backup", name);
+        }
+
+        [TestMethod]
+        public void GetApiKeyName_WithoutApiKeyName_ReturnsNull()
+        {
+            // Act
+            string? name = _httpContext.GetApiKeyName();
+
+            // Assert
+            Assert.IsNull(name);
+        }
     }
 }
\ No newline at end of file
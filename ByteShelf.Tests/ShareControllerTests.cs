@@ -0,0 +1,341 @@
+using ByteShelf.Controllers;
+using ByteShelf.Services;
+using ByteShelfCommon;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.VisualStudio.TestTools.UnitTesting;
+using Moq;
+
+namespace ByteShelf.Tests
+{
+    [TestClass]
+    public class ShareControllerTests
+    {
+        private ShareController _controller = null!;
+        private Mock<IShareLinkService> _mockShareLinkService = null!;
+        private Mock<IFileStorageService> _mockFileStorageService = null!;
+        private Mock<ITenantConfigurationService> _mockConfigService = null!;
+        private Mock<IAuditLogService> _mockAuditLogService = null!;
+        private Mock<HttpContext> _mockHttpContext = null!;
+        private HeaderDictionary _requestHeaders = null!;
+        private ShareLink _fileLink = null!;
+        private ShareLink _folderLink = null!;
+        private ShelfFileMetadata _file = null!;
+
+        [TestInitialize]
+        public void Setup()
+        {
+            _mockShareLinkService = new Mock<IShareLinkService>();
+            _mockFileStorageService = new Mock<IFileStorageService>();
+            _mockConfigService = new Mock<ITenantConfigurationService>();
+            _mockAuditLogService = new Mock<IAuditLogService>();
+            _mockHttpContext = new Mock<HttpContext>();
+
+            _requestHeaders = new HeaderDictionary();
+            _mockHttpContext.Setup(c => c.Request.Headers).Returns(_requestHeaders);
+            _mockHttpContext.Setup(c => c.Items).Returns(new Dictionary<object, object?>());
+
+            _file = new ShelfFileMetadata(Guid.NewGuid(), "report.pdf", "application/pdf", 5, new List<Guid> { Guid.NewGuid() });
+            _fileLink = new ShareLink { Id = Guid.NewGuid(), OwnerTenantId = "tenant1", TenantId = "tenant1", FileId = _file.Id, Name = "report.pdf" };
+            _folderLink = new ShareLink { Id = Guid.NewGuid(), OwnerTenantId = "tenant1", TenantId = "photos", Name = "Photos" };
+            SetupLink("file-token", _fileLink);
+            SetupLink("folder-token", _folderLink);
+
+            _mockConfigService.Setup(c => c.GetTenant(It.IsAny<string>())).Returns(new TenantInfo());
+            _mockConfigService.Setup(c => c.HasAccessToTenant("photos", "photos")).Returns(true);
+            _mockConfigService.Setup(c => c.HasAccessToTenant("photos", "holiday")).Returns(true);
+            _mockConfigService.Setup(c => c.HasAccessToTenant("photos", "tenant1")).Returns(false);
+
+            _mockFileStorageService
+                .Setup(s => s.GetFileMetadataAsync(It.IsAny<string>(), _file.Id, It.IsAny<CancellationToken>()))
+                .ReturnsAsync(_file);
+            _mockFileStorageService
+                .Setup(s => s.GetFileStreamAsync(It.IsAny<string>(), _file.Id, It.IsAny<CancellationToken>()))
+                .ReturnsAsync(() => new MemoryStream(new byte[5]));
+            _mockShareLinkService.Setup(s => s.TryRecordDownloadAsync(It.IsAny<Guid>())).ReturnsAsync(true);
+
+            _controller = new ShareController(_mockShareLinkService.Object, _mockFileStorageService.Object, _mockConfigService.Object, _mockAuditLogService.Object);
+            _controller.ControllerContext = new ControllerContext
+            {
+                HttpContext = _mockHttpContext.Object
+            };
+        }
+
+        [TestMethod]
+        public void Constructor_WithNullAuditLogService_ThrowsArgumentNullException()
+        {
+            // Act & Assert
+            Assert.ThrowsException<ArgumentNullException>(() =>
+                new ShareController(_mockShareLinkService.Object, _mockFileStorageService.Object, _mockConfigService.Object, null!));
+        }
+
+        [TestMethod]
+        public async Task CreateShareLink_ForFile_RecordsInAuditLog()
+        {
+            // Arrange
+            _mockHttpContext.Object.Items["TenantId"] = "tenant1";
+            _mockConfigService.Setup(c => c.HasAccessToTenant("tenant1", "tenant1")).Returns(true);
+            _mockShareLinkService
+                .Setup(s => s.CreateLinkAsync("tenant1", "tenant1", _file.Id, "report.pdf", It.IsAny<DateTimeOffset>(), 3, null))
+                .ReturnsAsync(new ShareLink
+                {
+                    Id = _fileLink.Id,
+                    OwnerTenantId = "tenant1",
+                    TenantId = "tenant1",
+                    FileId = _file.Id,
+                    Name = "report.pdf",
+                    ExpiresAt = new DateTimeOffset(2026, 5, 1, 12, 0, 0, TimeSpan.Zero),
+                    MaxDownloads = 3
+                });
+
+            // Act
+            ActionResult<ShareLinkInfo> result = await _controller.CreateShareLink(
+                new CreateShareLinkRequest { FileId = _file.Id, ExpiresInHours = 24, MaxDownloads = 3 }, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result.Result, typeof(OkObjectResult));
+            _mockAuditLogService.Verify(s => s.RecordAsync(It.Is<AuditLogEntry>(entry =>
+                entry.Action == AuditAction.ShareLinkCreated &&
+                entry.TenantId == "tenant1" &&
+                entry.TargetId == _fileLink.Id.ToString() &&
+                entry.TargetName == "report.pdf" &&
+                entry.Details == "File; Expires 2026-05-01 12:00 UTC; At most 3 downloads")), Times.Once);
+        }
+
+        [TestMethod]
+        public async Task RevokeShareLink_RecordsInAuditLog()
+        {
+            // Arrange
+            _mockHttpContext.Object.Items["TenantId"] = "tenant1";
+            _mockShareLinkService.Setup(s => s.GetLinks("tenant1")).Returns(new[] { _fileLink });
+            _mockShareLinkService.Setup(s => s.RevokeLinkAsync("tenant1", _fileLink.Id)).ReturnsAsync(true);
+
+            // Act
+            ActionResult result = await _controller.RevokeShareLink(_fileLink.Id);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(NoContentResult));
+            _mockAuditLogService.Verify(s => s.RecordAsync(It.Is<AuditLogEntry>(entry =>
+                entry.Action == AuditAction.ShareLinkRevoked &&
+                entry.TargetId == _fileLink.Id.ToString() &&
+                entry.TargetName == "report.pdf")), Times.Once);
+        }
+
+        [TestMethod]
+        public async Task RevokeShareLink_WhenLinkDoesNotExist_ReturnsNotFoundWithoutRecordingInAuditLog()
+        {
+            // Arrange
+            _mockHttpContext.Object.Items["TenantId"] = "tenant1";
+            _mockShareLinkService.Setup(s => s.GetLinks("tenant1")).Returns(Array.Empty<ShareLink>());
+            _mockShareLinkService.Setup(s => s.RevokeLinkAsync("tenant1", It.IsAny<Guid>())).ReturnsAsync(false);
+
+            // Act
+            ActionResult result = await _controller.RevokeShareLink(Guid.NewGuid());
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(NotFoundResult));
+            _mockAuditLogService.Verify(s => s.RecordAsync(It.IsAny<AuditLogEntry>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task GetSharedContent_WhenLinkHasExpired_ReturnsGone()
+        {
+            // Arrange
+            SetupLink("expired-token", _fileLink, ShareLinkStatus.Expired);
+
+            // Act
+            ActionResult<SharedContentResponse> result = await _controller.GetSharedContent("expired-token", null, CancellationToken.None);
+
+            // Assert
+            Assert.AreEqual(410, ((ObjectResult)result.Result!).StatusCode);
+        }
+
+        [TestMethod]
+        public async Task GetSharedContent_WhenPasswordIsMissing_ReturnsUnauthorized()
+        {
+            // Arrange
+            SetupLink("protected-token", _fileLink, ShareLinkStatus.PasswordRequired);
+
+            // Act
+            ActionResult<SharedContentResponse> result = await _controller.GetSharedContent("protected-token", null, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result.Result, typeof(UnauthorizedObjectResult));
+        }
+
+        [TestMethod]
+        public async Task DownloadSharedFile_WithWrongPassword_ReturnsUnauthorizedWithoutCountingDownload()
+        {
+            // Arrange
+            _requestHeaders[ShareController.PasswordHeader] = Uri.EscapeDataString("wrong pässword");
+            _mockHttpContext.Object.Items["ClientIpAddress"] = "203.0.113.5";
+            ShareLink? link = _fileLink;
+            _mockShareLinkService
+                .Setup(s => s.ValidateToken("protected-token", "wrong pässword", "203.0.113.5", out link))
+                .Returns(ShareLinkStatus.InvalidPassword);
+
+            // Act
+            IActionResult result = await _controller.DownloadSharedFile("protected-token", CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(UnauthorizedObjectResult));
+            _mockShareLinkService.Verify(s => s.TryRecordDownloadAsync(It.IsAny<Guid>()), Times.Never);
+            _mockAuditLogService.Verify(s => s.RecordAsync(It.Is<AuditLogEntry>(entry =>
+                entry.Action == AuditAction.AuthenticationFailed &&
+                entry.TargetTenantId == "tenant1" &&
+                entry.TargetId == _fileLink.Id.ToString() &&
+                entry.IpAddress == "203.0.113.5" &&
+                entry.Details == "Wrong share link password")), Times.Once);
+        }
+
+        [TestMethod]
+        public async Task DownloadSharedFile_AfterTooManyWrongPasswords_ReturnsTooManyRequests()
+        {
+            // Arrange
+            SetupLink("locked-token", _fileLink, ShareLinkStatus.TooManyAttempts);
+
+            // Act
+            IActionResult result = await _controller.DownloadSharedFile("locked-token", CancellationToken.None);
+
+            // Assert
+            Assert.AreEqual(429, ((ObjectResult)result).StatusCode);
+            _mockShareLinkService.Verify(s => s.TryRecordDownloadAsync(It.IsAny<Guid>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task DownloadSharedFile_CountsDownloadAndReturnsFile()
+        {
+            // Act
+            IActionResult result = await _controller.DownloadSharedFile("file-token", CancellationToken.None);
+
+            // Assert
+            FileStreamResult fileResult = (FileStreamResult)result;
+            Assert.AreEqual("report.pdf", fileResult.FileDownloadName);
+            _mockShareLinkService.Verify(s => s.TryRecordDownloadAsync(_fileLink.Id), Times.Once);
+            _mockAuditLogService.Verify(s => s.RecordAsync(It.Is<AuditLogEntry>(entry =>
+                entry.Action == AuditAction.ShareLinkUsed &&
+                entry.TenantId == null &&
+                entry.TargetTenantId == "tenant1" &&
+                entry.TargetId == _file.Id.ToString() &&
+                entry.Details == $"Share link {_fileLink.Id}")), Times.Once);
+        }
+
+        [TestMethod]
+        public async Task DownloadSharedFile_WhenNoDownloadsAreLeft_ReturnsGoneWithoutReadingFile()
+        {
+            // Arrange
+            _mockShareLinkService.Setup(s => s.TryRecordDownloadAsync(_fileLink.Id)).ReturnsAsync(false);
+
+            // Act
+            IActionResult result = await _controller.DownloadSharedFile("file-token", CancellationToken.None);
+
+            // Assert
+            Assert.AreEqual(410, ((ObjectResult)result).StatusCode);
+            _mockFileStorageService.Verify(s => s.GetFileStreamAsync(It.IsAny<string>(), It.IsAny<Guid>(), It.IsAny<CancellationToken>()), Times.Never);
+            _mockAuditLogService.Verify(s => s.RecordAsync(It.IsAny<AuditLogEntry>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task DownloadSharedFile_WhenDownloadLimitWasReached_ReturnsGone()
+        {
+            // Arrange
+            SetupLink("used-token", _fileLink, ShareLinkStatus.DownloadLimitReached);
+
+            // Act
+            IActionResult result = await _controller.DownloadSharedFile("used-token", CancellationToken.None);
+
+            // Assert
+            Assert.AreEqual(410, ((ObjectResult)result).StatusCode);
+            _mockShareLinkService.Verify(s => s.TryRecordDownloadAsync(It.IsAny<Guid>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task DownloadSharedFile_ForEncryptedFile_ReturnsNotFoundWithoutCountingDownload()
+        {
+            // Arrange
+            _file.Encryption = new FileEncryptionInfo();
+
+            // Act
+            IActionResult result = await _controller.DownloadSharedFile("file-token", CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(NotFoundResult));
+            _mockShareLinkService.Verify(s => s.TryRecordDownloadAsync(It.IsAny<Guid>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task DownloadSharedFile_WithFolderLink_ReturnsNotFound()
+        {
+            // Act
+            IActionResult result = await _controller.DownloadSharedFile("folder-token", CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(NotFoundResult));
+        }
+
+        [TestMethod]
+        public async Task DownloadSharedFolderFile_FromSubfolder_CountsDownloadAndReturnsFile()
+        {
+            // Act
+            IActionResult result = await _controller.DownloadSharedFolderFile("folder-token", "holiday", _file.Id, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(FileStreamResult));
+            _mockFileStorageService.Verify(s => s.GetFileStreamAsync("holiday", _file.Id, It.IsAny<CancellationToken>()), Times.Once);
+            _mockShareLinkService.Verify(s => s.TryRecordDownloadAsync(_folderLink.Id), Times.Once);
+        }
+
+        [TestMethod]
+        public async Task DownloadSharedFolderFile_FromFolderOutsideSharedFolder_ReturnsNotFound()
+        {
+            // Act
+            IActionResult result = await _controller.DownloadSharedFolderFile("folder-token", "tenant1", _file.Id, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(NotFoundResult));
+            _mockFileStorageService.Verify(s => s.GetFileStreamAsync(It.IsAny<string>(), It.IsAny<Guid>(), It.IsAny<CancellationToken>()), Times.Never);
+            _mockShareLinkService.Verify(s => s.TryRecordDownloadAsync(It.IsAny<Guid>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task GetSharedContent_ForFolderOutsideSharedFolder_ReturnsNotFound()
+        {
+            // Act
+            ActionResult<SharedContentResponse> result = await _controller.GetSharedContent("folder-token", "tenant1", CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result.Result, typeof(NotFoundResult));
+            _mockFileStorageService.Verify(s => s.GetFilesAsync(It.IsAny<string>(), It.IsAny<CancellationToken>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task GetSharedContent_ForSubfolder_ListsItsUnencryptedFiles()
+        {
+            // Arrange
+            ShelfFileMetadata encrypted = new ShelfFileMetadata(Guid.NewGuid(), "secret.txt", "text/plain", 5, new List<Guid>())
+            {
+                Encryption = new FileEncryptionInfo()
+            };
+            _mockFileStorageService
+                .Setup(s => s.GetFilesAsync("holiday", It.IsAny<CancellationToken>()))
+                .ReturnsAsync(new[] { _file, encrypted });
+            _mockConfigService.Setup(c => c.GetSubTenants("holiday")).Returns(new Dictionary<string, TenantInfo>());
+
+            // Act
+            ActionResult<SharedContentResponse> result = await _controller.GetSharedContent("folder-token", "holiday", CancellationToken.None);
+
+            // Assert
+            SharedContentResponse content = (SharedContentResponse)((OkObjectResult)result.Result!).Value!;
+            Assert.AreEqual("holiday", content.FolderId);
+            CollectionAssert.AreEqual(new[] { "report.pdf" }, content.Files.Select(file => file.OriginalFilename).ToArray());
+        }
+
+        private void SetupLink(string token, ShareLink link, ShareLinkStatus status = ShareLinkStatus.Valid)
+        {
+            ShareLink? validatedLink = link;
+            _mockShareLinkService
+                .Setup(s => s.ValidateToken(token, It.IsAny<string?>(), It.IsAny<string?>(), out validatedLink))
+                .Returns(status);
+        }
+    }
+}
@@ -0,0 +1,244 @@
+using ByteShelf.Services;
+using Microsoft.Extensions.Logging;
+using Microsoft.VisualStudio.TestTools.UnitTesting;
+
+namespace ByteShelf.Tests
+{
+    [TestClass]
+    public class ShareLinkServiceTests
+    {
+        private string _tempStoragePath = null!;
+        private TestLogger<ShareLinkService> _logger = null!;
+        private ShareLinkService _service = null!;
+
+        [TestInitialize]
+        public void Setup()
+        {
+            _tempStoragePath = Path.Combine(Path.GetTempPath(), $"ByteShelf-ShareLink-Test-{Guid.NewGuid()}");
+            _logger = new TestLogger<ShareLinkService>();
+            _service = new ShareLinkService(_tempStoragePath, _logger);
+        }
+
+        [TestCleanup]
+        public void Cleanup()
+        {
+            if (Directory.Exists(_tempStoragePath))
+            {
+                Directory.Delete(_tempStoragePath, true);
+            }
+        }
+
+        [TestMethod]
+        public void Constructor_WithNullStoragePath_ThrowsArgumentNullException()
+        {
+            // Act & Assert
+            Assert.ThrowsException<ArgumentNullException>(() => new ShareLinkService(null!, _logger));
+        }
+
+        [TestMethod]
+        public async Task ValidateToken_WithCreatedLink_ReturnsValid()
+        {
+            // Arrange
+            Guid fileId = Guid.NewGuid();
+            ShareLink link = await _service.CreateLinkAsync("tenant1", "tenant1", fileId, "report.pdf", DateTimeOffset.UtcNow.AddHours(1), null, null);
+            string token = _service.CreateToken(link);
+
+            // Act
+            ShareLinkStatus status = _service.ValidateToken(token, null, null, out ShareLink? validatedLink);
+
+            // Assert
+            Assert.AreEqual(ShareLinkStatus.Valid, status);
+            Assert.IsNotNull(validatedLink);
+            Assert.AreEqual(link.Id, validatedLink.Id);
+            Assert.AreEqual(fileId, validatedLink.FileId);
+        }
+
+        [TestMethod]
+        public async Task ValidateToken_WithTamperedSignature_ReturnsNotFound()
+        {
+            // Arrange
+            ShareLink link = await _service.CreateLinkAsync("tenant1", "tenant1", null, "Photos", DateTimeOffset.UtcNow.AddHours(1), null, null);
+            string token = _service.CreateToken(link);
+            string tamperedToken = token.Substring(0, token.Length - 1) + (token.EndsWith("A") ? "B" : "A");
+
+            // Act
+            ShareLinkStatus status = _service.ValidateToken(tamperedToken, null, null, out ShareLink? validatedLink);
+
+            // Assert
+            Assert.AreEqual(ShareLinkStatus.NotFound, status);
+            Assert.IsNull(validatedLink);
+        }
+
+        [TestMethod]
+        public void ValidateToken_WithMalformedToken_ReturnsNotFound()
+        {
+            // Act
+            ShareLinkStatus status = _service.ValidateToken("not-a-token", null, null, out ShareLink? validatedLink);
+
+            // Assert
+            Assert.AreEqual(ShareLinkStatus.NotFound, status);
+            Assert.IsNull(validatedLink);
+        }
+
+        [TestMethod]
+        public async Task ValidateToken_WithExpiredLink_ReturnsExpired()
+        {
+            // Arrange
+            ShareLink link = await _service.CreateLinkAsync("tenant1", "tenant1", Guid.NewGuid(), "old.txt", DateTimeOffset.UtcNow.AddSeconds(-1), null, null);
+
+            // Act
+            ShareLinkStatus status = _service.ValidateToken(_service.CreateToken(link), null, null, out _);
+
+            // Assert
+            Assert.AreEqual(ShareLinkStatus.Expired, status);
+        }
+
+        [TestMethod]
+        public async Task ValidateToken_WithPassword_RequiresCorrectPassword()
+        {
+            // Arrange
+            ShareLink link = await _service.CreateLinkAsync("tenant1", "tenant1", Guid.NewGuid(), "secret.txt", DateTimeOffset.UtcNow.AddHours(1), null, "correct horse");
+            string token = _service.CreateToken(link);
+
+            // Act
+            ShareLinkStatus withoutPassword = _service.ValidateToken(token, null, null, out _);
+            ShareLinkStatus withWrongPassword = _service.ValidateToken(token, "battery staple", null, out _);
+            ShareLinkStatus withCorrectPassword = _service.ValidateToken(token, "correct horse", null, out _);
+
+            // Assert
+            Assert.AreEqual(ShareLinkStatus.PasswordRequired, withoutPassword);
+            Assert.AreEqual(ShareLinkStatus.InvalidPassword, withWrongPassword);
+            Assert.AreEqual(ShareLinkStatus.Valid, withCorrectPassword);
+            Assert.AreNotEqual("correct horse", link.PasswordHash);
+        }
+
+        [TestMethod]
+        public async Task ValidateToken_AfterTooManyWrongPasswordsFromClient_LocksOutOnlyThatClient()
+        {
+            // Arrange
+            ShareLink link = await _service.CreateLinkAsync("tenant1", "tenant1", Guid.NewGuid(), "secret.txt", DateTimeOffset.UtcNow.AddHours(1), null, "correct horse");
+            string token = _service.CreateToken(link);
+            for (int i = 0; i < ShareLinkService.MaxWrongPasswordsPerClient; i++)
+            {
+                Assert.AreEqual(ShareLinkStatus.InvalidPassword, _service.ValidateToken(token, $"guess {i}", "203.0.113.5", out _));
+            }
+
+            // Act
+            ShareLinkStatus lockedOut = _service.ValidateToken(token, "correct horse", "203.0.113.5", out ShareLink? lockedOutLink);
+            ShareLinkStatus otherClient = _service.ValidateToken(token, "correct horse", "198.51.100.7", out _);
+
+            // Assert
+            Assert.AreEqual(ShareLinkStatus.TooManyAttempts, lockedOut);
+            Assert.AreEqual(link.Id, lockedOutLink?.Id);
+            Assert.AreEqual(ShareLinkStatus.Valid, otherClient);
+        }
+
+        [TestMethod]
+        public async Task ValidateToken_AfterTooManyWrongPasswordsForLink_LocksOutEveryClient()
+        {
+            // Arrange
+            ShareLink link = await _service.CreateLinkAsync("tenant1", "tenant1", Guid.NewGuid(), "secret.txt", DateTimeOffset.UtcNow.AddHours(1), null, "correct horse");
+            ShareLink otherLink = await _service.CreateLinkAsync("tenant1", "tenant1", Guid.NewGuid(), "other.txt", DateTimeOffset.UtcNow.AddHours(1), null, "pin");
+            string token = _service.CreateToken(link);
+            for (int i = 0; i < ShareLinkService.MaxWrongPasswordsPerLink; i++)
+            {
+                _service.ValidateToken(token, "guess", $"203.0.113.{i}", out _);
+            }
+
+            // Act
+            ShareLinkStatus lockedOut = _service.ValidateToken(token, "correct horse", "198.51.100.7", out _);
+            ShareLinkStatus otherLinkStatus = _service.ValidateToken(_service.CreateToken(otherLink), "pin", "198.51.100.7", out _);
+
+            // Assert
+            Assert.AreEqual(ShareLinkStatus.TooManyAttempts, lockedOut);
+            Assert.AreEqual(ShareLinkStatus.Valid, otherLinkStatus);
+        }
+
+        [TestMethod]
+        public async Task TryRecordDownloadAsync_StopsAtDownloadLimit()
+        {
+            // Arrange
+            ShareLink link = await _service.CreateLinkAsync("tenant1", "tenant1", Guid.NewGuid(), "once.txt", DateTimeOffset.UtcNow.AddHours(1), 2, null);
+            string token = _service.CreateToken(link);
+
+            // Act
+            bool first = await _service.TryRecordDownloadAsync(link.Id);
+            bool second = await _service.TryRecordDownloadAsync(link.Id);
+            bool third = await _service.TryRecordDownloadAsync(link.Id);
+
+            // Assert
+            Assert.IsTrue(first);
+            Assert.IsTrue(second);
+            Assert.IsFalse(third);
+            Assert.AreEqual(ShareLinkStatus.DownloadLimitReached, _service.ValidateToken(token, null, null, out _));
+        }
+
+        [TestMethod]
+        public async Task RevokeLinkAsync_ByOwner_RemovesLink()
+        {
+            // Arrange
+            ShareLink link = await _service.CreateLinkAsync("tenant1", "tenant1", Guid.NewGuid(), "file.txt", DateTimeOffset.UtcNow.AddHours(1), null, null);
+            string token = _service.CreateToken(link);
+
+            // Act
+            bool revokedByOtherTenant = await _service.RevokeLinkAsync("tenant2", link.Id);
+            bool revokedByOwner = await _service.RevokeLinkAsync("tenant1", link.Id);
+
+            // Assert
+            Assert.IsFalse(revokedByOtherTenant);
+            Assert.IsTrue(revokedByOwner);
+            Assert.AreEqual(ShareLinkStatus.NotFound, _service.ValidateToken(token, null, null, out _));
+            Assert.AreEqual(0, _service.GetLinks("tenant1").Count());
+        }
+
+        [TestMethod]
+        public async Task GetLinks_ReturnsOnlyActiveLinksOfOwner()
+        {
+            // Arrange
+            await _service.CreateLinkAsync("tenant1", "tenant1", Guid.NewGuid(), "active.txt", DateTimeOffset.UtcNow.AddHours(1), null, null);
+            await _service.CreateLinkAsync("tenant1", "tenant1", Guid.NewGuid(), "expired.txt", DateTimeOffset.UtcNow.AddSeconds(-1), null, null);
+            await _service.CreateLinkAsync("tenant2", "tenant2", Guid.NewGuid(), "other.txt", DateTimeOffset.UtcNow.AddHours(1), null, null);
+
+            // Act
+            List<ShareLink> links = _service.GetLinks("tenant1").ToList();
+
+            // Assert
+            Assert.AreEqual(1, links.Count);
+            Assert.AreEqual("active.txt", links[0].Name);
+        }
+
+        [TestMethod]
+        public async Task Constructor_WithExistingStorage_KeepsLinksAndTokensValid()
+        {
+            // Arrange
+            ShareLink link = await _service.CreateLinkAsync("tenant1", "tenant1", Guid.NewGuid(), "kept.txt", DateTimeOffset.UtcNow.AddHours(1), 5, "pin");
+            await _service.TryRecordDownloadAsync(link.Id);
+            string token = _service.CreateToken(link);
+
+            // Act
+            ShareLinkService reloadedService = new ShareLinkService(_tempStoragePath, _logger);
+            ShareLinkStatus status = reloadedService.ValidateToken(token, "pin", null, out ShareLink? reloadedLink);
+
+            // Assert
+            Assert.AreEqual(ShareLinkStatus.Valid, status);
+            Assert.IsNotNull(reloadedLink);
+            Assert.AreEqual(1, reloadedLink.DownloadCount);
+            Assert.AreEqual(token, reloadedService.CreateToken(reloadedLink));
+        }
+
+        private class TestLogger<T> : ILogger<T>
+        {
+            public List<string> LogMessages { get; } = new List<string>();
+
+            public IDisposable? BeginScope<TState>(TState state) where TState : notnull => null;
+
+            public bool IsEnabled(LogLevel logLevel) => true;
+
+            public void Log<TState>(LogLevel logLevel, EventId eventId, TState state, Exception? exception, Func<TState, Exception?, string> formatter)
+            {
+                string message = formatter(state, exception);
+                LogMessages.Add($"[{logLevel}] {message}");
+            }
+        }
+    }
+}
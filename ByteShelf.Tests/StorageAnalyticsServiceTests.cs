@@ -0,0 +1,303 @@
+using ByteShelf.Configuration;
+using ByteShelf.Services;
+using ByteShelfCommon;
+using Microsoft.Extensions.Logging;
+using Microsoft.VisualStudio.TestTools.UnitTesting;
+using Moq;
+
+namespace ByteShelf.Tests
+{
+    [TestClass]
+    public class StorageAnalyticsServiceTests
+    {
+        private string _tempStoragePath = null!;
+        private Mock<IFileStorageService> _mockFileStorageService = null!;
+        private Mock<IStorageService> _mockStorageService = null!;
+        private Mock<ITenantConfigurationService> _mockConfigService = null!;
+        private TestLogger<StorageAnalyticsService> _logger = null!;
+        private TenantConfiguration _tenantConfig = null!;
+
+        [TestInitialize]
+        public void Setup()
+        {
+            _tempStoragePath = Path.Combine(Path.GetTempPath(), $"ByteShelf-Analytics-Test-{Guid.NewGuid()}");
+            _mockFileStorageService = new Mock<IFileStorageService>();
+            _mockStorageService = new Mock<IStorageService>();
+            _mockConfigService = new Mock<ITenantConfigurationService>();
+            _logger = new TestLogger<StorageAnalyticsService>();
+
+            // "Photos" has the folder "2024", which has the folder "Summer", and "Backups" is another top-level tenant
+            TenantInfo photos = new TenantInfo
+            {
+                DisplayName = "Photos",
+                SubTenants = new Dictionary<string, TenantInfo>
+                {
+                    ["photos-2024"] = new TenantInfo
+                    {
+                        DisplayName = "2024",
+                        SubTenants = new Dictionary<string, TenantInfo>
+                        {
+                            ["photos-summer"] = new TenantInfo { DisplayName = "Summer" }
+                        }
+                    }
+                }
+            };
+            TenantInfo backups = new TenantInfo { DisplayName = "Backups" };
+
+            _tenantConfig = new TenantConfiguration
+            {
+                Tenants = new Dictionary<string, TenantInfo>
+                {
+                    ["photos"] = photos,
+                    ["backups"] = backups
+                }
+            };
+            _mockConfigService.Setup(c => c.GetConfiguration()).Returns(_tenantConfig);
+            _mockConfigService.Setup(c => c.GetTenant("photos")).Returns(photos);
+            _mockConfigService.Setup(c => c.GetTenant("backups")).Returns(backups);
+
+            SetupFiles("photos", ("cover.jpg", "image/jpeg", 100, 1));
+            SetupFiles("photos-2024", ("beach.jpg", "IMAGE/JPEG", 300, 20));
+            SetupFiles("photos-summer", ("notes.txt", "text/plain; charset=utf-8", 50, 400), ("clip.mp4", "video/mp4", 1000, 60));
+            SetupFiles("backups", ("db.bak", "application/octet-stream", 5000, 200));
+        }
+
+        [TestCleanup]
+        public void Cleanup()
+        {
+            if (Directory.Exists(_tempStoragePath))
+            {
+                Directory.Delete(_tempStoragePath, true);
+            }
+        }
+
+        [TestMethod]
+        public void Constructor_WithNullFileStorageService_ThrowsArgumentNullException()
+        {
+            // Act & Assert
+            Assert.ThrowsException<ArgumentNullException>(() =>
+                new StorageAnalyticsService(_tempStoragePath, null!, _mockStorageService.Object, _mockConfigService.Object, _logger));
+        }
+
+        [TestMethod]
+        public async Task GetTenantAnalyticsAsync_WithUnknownTenant_ReturnsNull()
+        {
+            // Arrange
+            StorageAnalyticsService service = CreateService();
+
+            // Act
+            StorageAnalytics? analytics = await service.GetTenantAnalyticsAsync("missing");
+
+            // Assert
+            Assert.IsNull(analytics);
+        }
+
+        [TestMethod]
+        public async Task GetTenantAnalyticsAsync_GroupsNestedSubtenantsUnderTheirTopFolder()
+        {
+            // Arrange
+            StorageAnalyticsService service = CreateService();
+
+            // Act
+            StorageAnalytics? analytics = await service.GetTenantAnalyticsAsync("photos");
+
+            // Assert
+            Assert.IsNotNull(analytics);
+            Assert.AreEqual(4, analytics.FileCount);
+            Assert.AreEqual(1450L, analytics.TotalFileSizeBytes);
+            Assert.AreEqual(2, analytics.ByFolder.Count);
+            Assert.AreEqual("2024", analytics.ByFolder[0].Label);
+            Assert.AreEqual("photos-2024", analytics.ByFolder[0].TenantId);
+            Assert.AreEqual(3, analytics.ByFolder[0].FileCount);
+            Assert.AreEqual(1350L, analytics.ByFolder[0].SizeBytes);
+            Assert.AreEqual("Photos", analytics.ByFolder[1].Label);
+            Assert.AreEqual(100L, analytics.ByFolder[1].SizeBytes);
+        }
+
+        [TestMethod]
+        public async Task GetTenantAnalyticsAsync_NormalizesContentTypes()
+        {
+            // Arrange
+            StorageAnalyticsService service = CreateService();
+
+            // Act
+            StorageAnalytics? analytics = await service.GetTenantAnalyticsAsync("photos");
+
+            // Assert
+            Assert.IsNotNull(analytics);
+            CollectionAssert.AreEqual(
+                new[] { "video/mp4", "image/jpeg", "text/plain" },
+                analytics.ByContentType.Select(item => item.Label).ToArray());
+            Assert.AreEqual(2, analytics.ByContentType[1].FileCount);
+            Assert.AreEqual(400L, analytics.ByContentType[1].SizeBytes);
+        }
+
+        [TestMethod]
+        public async Task GetTenantAnalyticsAsync_WithManyContentTypes_CombinesTheSmallestIntoOther()
+        {
+            // Arrange
+            SetupFiles("backups", Enumerable.Range(1, 10)
+                .Select(i => ($"file{i}", $"application/type{i}", (long)i * 10, 1))
+                .ToArray());
+            StorageAnalyticsService service = CreateService();
+
+            // Act
+            StorageAnalytics? analytics = await service.GetTenantAnalyticsAsync("backups");
+
+            // Assert
+            Assert.IsNotNull(analytics);
+            Assert.AreEqual(StorageAnalyticsService.MaxContentTypes, analytics.ByContentType.Count);
+            Assert.AreEqual("application/type10", analytics.ByContentType[0].Label);
+            Assert.AreEqual("Other", analytics.ByContentType[^1].Label);
+            Assert.AreEqual(3, analytics.ByContentType[^1].FileCount);
+            Assert.AreEqual(60L, analytics.ByContentType[^1].SizeBytes);
+        }
+
+        [TestMethod]
+        public async Task GetTenantAnalyticsAsync_GroupsFilesByAgeIncludingEmptyGroups()
+        {
+            // Arrange
+            StorageAnalyticsService service = CreateService();
+
+            // Act
+            StorageAnalytics? analytics = await service.GetTenantAnalyticsAsync("photos");
+
+            // Assert
+            Assert.IsNotNull(analytics);
+            CollectionAssert.AreEqual(
+                new[] { "Last 7 days", "8–30 days", "1–3 months", "3–12 months", "Over a year" },
+                analytics.ByAge.Select(item => item.Label).ToArray());
+            CollectionAssert.AreEqual(
+                new[] { 100L, 300L, 1000L, 0L, 50L },
+                analytics.ByAge.Select(item => item.SizeBytes).ToArray());
+        }
+
+        [TestMethod]
+        public async Task GetTenantAnalyticsAsync_ListsLargestFilesWithTheirFolder()
+        {
+            // Arrange
+            StorageAnalyticsService service = CreateService();
+
+            // Act
+            StorageAnalytics? analytics = await service.GetTenantAnalyticsAsync("photos");
+
+            // Assert
+            Assert.IsNotNull(analytics);
+            CollectionAssert.AreEqual(
+                new[] { "clip.mp4", "beach.jpg", "cover.jpg", "notes.txt" },
+                analytics.LargestFiles.Select(file => file.Filename).ToArray());
+            Assert.AreEqual("photos-summer", analytics.LargestFiles[0].TenantId);
+            Assert.AreEqual("Summer", analytics.LargestFiles[0].FolderName);
+        }
+
+        [TestMethod]
+        public async Task GetInstanceAnalyticsAsync_GroupsFilesByTopLevelTenant()
+        {
+            // Arrange
+            _mockStorageService.Setup(s => s.GetTotalUsageIncludingSubTenants("photos")).Returns(1200);
+            _mockStorageService.Setup(s => s.GetTotalUsageIncludingSubTenants("backups")).Returns(5000);
+            StorageAnalyticsService service = CreateService();
+
+            // Act
+            StorageAnalytics analytics = await service.GetInstanceAnalyticsAsync();
+
+            // Assert
+            Assert.IsNull(analytics.TenantId);
+            Assert.AreEqual(5, analytics.FileCount);
+            Assert.AreEqual(6200L, analytics.UsageBytes);
+            CollectionAssert.AreEqual(
+                new[] { "backups", "photos" },
+                analytics.ByFolder.Select(item => item.TenantId).ToArray());
+            Assert.AreEqual(1450L, analytics.ByFolder[1].SizeBytes);
+        }
+
+        [TestMethod]
+        public async Task RecordSnapshotsAsync_RecordsTenantsAndInstanceAndReplacesTheSameDay()
+        {
+            // Arrange
+            StorageAnalyticsService service = CreateService();
+            _mockStorageService.Setup(s => s.GetTotalUsageIncludingSubTenants("photos")).Returns(1000);
+            _mockStorageService.Setup(s => s.GetTotalUsageIncludingSubTenants("backups")).Returns(500);
+            await service.RecordSnapshotsAsync();
+            _mockStorageService.Setup(s => s.GetTotalUsageIncludingSubTenants("photos")).Returns(1200);
+            _mockStorageService.Setup(s => s.GetTotalLogicalUsageIncludingSubTenants("photos")).Returns(1450);
+
+            // Act
+            await service.RecordSnapshotsAsync();
+
+            // Assert
+            StorageAnalytics? photos = await service.GetTenantAnalyticsAsync("photos");
+            StorageAnalytics instance = await service.GetInstanceAnalyticsAsync();
+            Assert.IsNotNull(photos);
+            Assert.AreEqual(1, photos.History.Count);
+            Assert.AreEqual(DateOnly.FromDateTime(DateTime.UtcNow), photos.History[0].Date);
+            Assert.AreEqual(1200L, photos.History[0].UsageBytes);
+            Assert.AreEqual(1450L, photos.History[0].LogicalUsageBytes);
+            Assert.AreEqual(1, instance.History.Count);
+            Assert.AreEqual(1700L, instance.History[0].UsageBytes);
+        }
+
+        [TestMethod]
+        public async Task RecordSnapshotsAsync_PersistsSnapshotsAndDropsRemovedTenants()
+        {
+            // Arrange
+            _mockStorageService.Setup(s => s.GetTotalUsageIncludingSubTenants("backups")).Returns(500);
+            StorageAnalyticsService service = CreateService();
+            await service.RecordSnapshotsAsync();
+            _tenantConfig.Tenants.Remove("photos");
+
+            // Act
+            StorageAnalyticsService reloadedService = CreateService();
+            await reloadedService.RecordSnapshotsAsync();
+            StorageAnalyticsService finalService = CreateService();
+
+            // Assert
+            string json = await File.ReadAllTextAsync(Path.Combine(_tempStoragePath, "storage-snapshots.json"));
+            StorageAnalytics? backups = await finalService.GetTenantAnalyticsAsync("backups");
+            Assert.IsNotNull(backups);
+            Assert.AreEqual(1, backups.History.Count);
+            Assert.AreEqual(500L, backups.History[0].UsageBytes);
+            Assert.IsFalse(json.Contains("photos-summer"));
+            Assert.IsFalse(_logger.LogMessages.Any(message => message.StartsWith("[Error]")));
+        }
+
+        private StorageAnalyticsService CreateService()
+        {
+            return new StorageAnalyticsService(
+                _tempStoragePath,
+                _mockFileStorageService.Object,
+                _mockStorageService.Object,
+                _mockConfigService.Object,
+                _logger);
+        }
+
+        private void SetupFiles(string tenantId, params (string Filename, string ContentType, long FileSize, int AgeDays)[] files)
+        {
+            List<ShelfFileMetadata> metadata = files
+                .Select(file => new ShelfFileMetadata(Guid.NewGuid(), file.Filename, file.ContentType, file.FileSize, new List<Guid>())
+                {
+                    CreatedAt = DateTimeOffset.UtcNow.AddDays(-file.AgeDays).AddHours(-1)
+                })
+                .ToList();
+
+            _mockFileStorageService
+                .Setup(s => s.GetFilesAsync(tenantId, It.IsAny<CancellationToken>()))
+                .ReturnsAsync(metadata);
+        }
+
+        private class TestLogger<T> : ILogger<T>
+        {
+            public List<string> LogMessages { get; } = new List<string>();
+
+            public IDisposable? BeginScope<TState>(TState state) where TState : notnull => null;
+
+            public bool IsEnabled(LogLevel logLevel) => true;
+
+            public void Log<TState>(LogLevel logLevel, EventId eventId, TState state, Exception? exception, Func<TState, Exception?, string> formatter)
+            {
+                string message = formatter(state, exception);
+                LogMessages.Add($"[{logLevel}] {message}");
+            }
+        }
+    }
+}
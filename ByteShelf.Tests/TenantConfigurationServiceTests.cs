@@ -1,4 +1,5 @@
 using ByteShelf.Configuration;
+using ByteShelf.Extensions;
 using ByteShelf.Services;
 using ByteShelfCommon;
 using Microsoft.Extensions.Logging;
@@ -913,6 +914,57 @@ namespace ByteShelf.Tests
                 _service.UpdateSubTenantStorageLimitAsync(parentTenantId, subTenantId, newStorageLimit));
         }
 
+        [TestMethod]
+        public async Task UpdateMaxFileVersionsAsync_SetsPolicyThatSubTenantsInherit()
+        {
+            // Arrange
+            TenantConfiguration config = _service.GetConfiguration();
+            TenantInfo subTenant = new TenantInfo { DisplayName = "Sub Tenant", Parent = config.Tenants["tenant1"] };
+            config.Tenants["tenant1"].SubTenants["subtenant1"] = subTenant;
+
+            // Act
+            bool result = await _service.UpdateMaxFileVersionsAsync("tenant1", 3);
+
+            // Assert
+            Assert.IsTrue(result);
+            Assert.AreEqual(3, config.Tenants["tenant1"].MaxFileVersions);
+            Assert.AreEqual(3, subTenant.GetEffectiveMaxFileVersions());
+        }
+
+        [TestMethod]
+        public async Task UpdateMaxFileVersionsAsync_WithNull_FallsBackToDefault()
+        {
+            // Arrange
+            TenantConfiguration config = _service.GetConfiguration();
+            config.Tenants["tenant1"].MaxFileVersions = 3;
+
+            // Act
+            bool result = await _service.UpdateMaxFileVersionsAsync("tenant1", null);
+
+            // Assert
+            Assert.IsTrue(result);
+            Assert.IsNull(config.Tenants["tenant1"].MaxFileVersions);
+            Assert.AreEqual(TenantInfo.DefaultMaxFileVersions, config.Tenants["tenant1"].GetEffectiveMaxFileVersions());
+        }
+
+        [TestMethod]
+        public async Task UpdateMaxFileVersionsAsync_ReturnsFalse_WhenTenantDoesNotExist()
+        {
+            // Act
+            bool result = await _service.UpdateMaxFileVersionsAsync("nonexistent", 3);
+
+            // Assert
+            Assert.IsFalse(result);
+        }
+
+        [TestMethod]
+        public async Task UpdateMaxFileVersionsAsync_ThrowsArgumentException_WhenValueIsNegative()
+        {
+            // Act & Assert
+            await Assert.ThrowsExceptionAsync<ArgumentException>(() =>
+                _service.UpdateMaxFileVersionsAsync("tenant1", -1));
+        }
+
         [TestMethod]
         public async Task DeleteSubTenantAsync_DeletesSubTenant_WhenSubTenantExists()
         {
@@ -1041,6 +1093,167 @@ namespace ByteShelf.Tests
             Assert.IsTrue(config.Tenants[parent2Id].SubTenants.ContainsKey(subTenant2Id));
         }
 
+        [TestMethod]
+        public async Task RenameSubTenantAsync_RenamesDeepSubTenant_WhenUsingHigherLevelParent()
+        {
+            // Arrange
+            string subTenantId = await _service.CreateSubTenantAsync("tenant1", "Sub Tenant");
+            string grandchildId = await _service.CreateSubTenantAsync(subTenantId, "Grandchild Tenant");
+
+            // Act
+            bool result = await _service.RenameSubTenantAsync("tenant1", grandchildId, "  Renamed  ");
+
+            // Assert
+            Assert.IsTrue(result);
+            Assert.AreEqual("Renamed", _service.GetTenant(grandchildId)!.DisplayName);
+        }
+
+        [TestMethod]
+        public async Task RenameSubTenantAsync_ThrowsInvalidOperationException_WhenSiblingHasName()
+        {
+            // Arrange
+            await _service.CreateSubTenantAsync("tenant1", "Photos");
+            string subTenantId = await _service.CreateSubTenantAsync("tenant1", "Documents");
+
+            // Act & Assert
+            await Assert.ThrowsExceptionAsync<InvalidOperationException>(
+                () => _service.RenameSubTenantAsync("tenant1", subTenantId, "photos"));
+            Assert.AreEqual("Documents", _service.GetTenant(subTenantId)!.DisplayName);
+        }
+
+        [TestMethod]
+        public async Task RenameSubTenantAsync_AllowsChangingCaseOfOwnName()
+        {
+            // Arrange
+            string subTenantId = await _service.CreateSubTenantAsync("tenant1", "photos");
+
+            // Act
+            bool result = await _service.RenameSubTenantAsync("tenant1", subTenantId, "Photos");
+
+            // Assert
+            Assert.IsTrue(result);
+            Assert.AreEqual("Photos", _service.GetTenant(subTenantId)!.DisplayName);
+        }
+
+        [TestMethod]
+        public async Task RenameSubTenantAsync_ReturnsFalse_WhenSubTenantIsNotDescendantOfSpecifiedParent()
+        {
+            // Arrange
+            string subTenantId = await _service.CreateSubTenantAsync("admin", "Sub Tenant");
+
+            // Act
+            bool result = await _service.RenameSubTenantAsync("tenant1", subTenantId, "Renamed");
+
+            // Assert
+            Assert.IsFalse(result);
+            Assert.AreEqual("Sub Tenant", _service.GetTenant(subTenantId)!.DisplayName);
+        }
+
+        [TestMethod]
+        public async Task RenameSubTenantAsync_ThrowsArgumentException_WhenNameIsInvalid()
+        {
+            // Arrange
+            string subTenantId = await _service.CreateSubTenantAsync("tenant1", "Sub Tenant");
+
+            // Act & Assert
+            await Assert.ThrowsExceptionAsync<ArgumentException>(
+                () => _service.RenameSubTenantAsync("tenant1", subTenantId, "a/b"));
+        }
+
+        [TestMethod]
+        public async Task UpdateTenantDetailsAsync_UpdatesTopLevelTenant()
+        {
+            // Act
+            bool result = await _service.UpdateTenantDetailsAsync("tenant1", " Renamed ", true, 2048, null);
+
+            // Assert
+            Assert.IsTrue(result);
+            TenantInfo tenant = _service.GetConfiguration().Tenants["tenant1"];
+            Assert.AreEqual("Renamed", tenant.DisplayName);
+            Assert.IsTrue(tenant.IsAdmin);
+            Assert.AreEqual(2048, tenant.StorageLimitBytes);
+        }
+
+        [TestMethod]
+        public async Task UpdateTenantDetailsAsync_MovesTenantWithSubTenantsUnderParent()
+        {
+            // Arrange
+            string subTenantId = await _service.CreateSubTenantAsync("tenant1", "Photos");
+            long limit = _service.GetTenant("tenant1")!.StorageLimitBytes;
+
+            // Act
+            bool result = await _service.UpdateTenantDetailsAsync("tenant1", "Tenant 1", false, limit, "admin");
+
+            // Assert
+            Assert.IsTrue(result);
+            Assert.IsFalse(_service.GetConfiguration().Tenants.ContainsKey("tenant1"));
+            Assert.IsTrue(_service.GetConfiguration().Tenants["admin"].SubTenants.ContainsKey("tenant1"));
+            Assert.IsTrue(_service.HasAccessToTenant("admin", subTenantId));
+            Assert.AreEqual(2, _service.GetTenantDepth(subTenantId));
+        }
+
+        [TestMethod]
+        public async Task UpdateTenantDetailsAsync_MovesSubTenantToTopLevel()
+        {
+            // Arrange
+            string subTenantId = await _service.CreateSubTenantAsync("tenant1", "Photos");
+
+            // Act
+            bool result = await _service.UpdateTenantDetailsAsync(subTenantId, "Photos", false, 1024, null);
+
+            // Assert
+            Assert.IsTrue(result);
+            Assert.IsTrue(_service.GetConfiguration().Tenants.ContainsKey(subTenantId));
+            Assert.AreEqual(0, _service.GetConfiguration().Tenants["tenant1"].SubTenants.Count);
+            Assert.IsNull(_service.GetTenant(subTenantId)!.Parent);
+        }
+
+        [TestMethod]
+        public async Task UpdateTenantDetailsAsync_ThrowsArgumentException_WhenParentIsOwnSubTenant()
+        {
+            // Arrange
+            string subTenantId = await _service.CreateSubTenantAsync("tenant1", "Photos");
+
+            // Act & Assert
+            await Assert.ThrowsExceptionAsync<ArgumentException>(
+                () => _service.UpdateTenantDetailsAsync("tenant1", "Tenant 1", false, 1024, subTenantId));
+            Assert.IsTrue(_service.GetConfiguration().Tenants.ContainsKey("tenant1"));
+        }
+
+        [TestMethod]
+        public async Task UpdateTenantDetailsAsync_ThrowsInvalidOperationException_WhenParentHasSubTenantWithName()
+        {
+            // Arrange
+            await _service.CreateSubTenantAsync("admin", "Tenant 1");
+
+            // Act & Assert
+            await Assert.ThrowsExceptionAsync<InvalidOperationException>(
+                () => _service.UpdateTenantDetailsAsync("tenant1", "tenant 1", false, 1024, "admin"));
+            Assert.IsTrue(_service.GetConfiguration().Tenants.ContainsKey("tenant1"));
+        }
+
+        [TestMethod]
+        public async Task UpdateTenantDetailsAsync_ThrowsArgumentException_WhenLimitExceedsParentLimit()
+        {
+            // Arrange
+            string subTenantId = await _service.CreateSubTenantAsync("tenant1", "Photos");
+            long parentLimit = _service.GetTenant("tenant1")!.StorageLimitBytes;
+
+            // Act & Assert
+            await Assert.ThrowsExceptionAsync<ArgumentException>(
+                () => _service.UpdateTenantDetailsAsync(subTenantId, "Photos", false, parentLimit + 1, "tenant1"));
+        }
+
+        [TestMethod]
+        public async Task UpdateTenantDetailsAsync_ReturnsFalse_WhenTenantDoesNotExist()
+        {
+            // Act
+            bool result = await _service.UpdateTenantDetailsAsync("nonexistent", "Name", false, 1024, null);
+
+            // Assert
+            Assert.IsFalse(result);
+        }
+
         [TestMethod]
         public async Task CanCreateSubTenantAsync_ReturnsTrue_WhenTenantExistsAndDepthNotExceeded()
         {
@@ -1144,6 +1357,290 @@ namespace ByteShelf.Tests
             Assert.IsTrue(exception.Message.Contains("maximum of 50 subtenants per tenant reached"));
         }
 
+        [TestMethod]
+        public async Task TrashSubTenantAsync_MovesSubTenantToDeletedSubTenants()
+        {
+            // Arrange
+            string parentTenantId = "tenant1";
+            string subTenantId = await _service.CreateSubTenantAsync(parentTenantId, "Photos");
+
+            // Act
+            bool result = await _service.TrashSubTenantAsync(parentTenantId, subTenantId);
+
+            // Assert
+            Assert.IsTrue(result);
+            Assert.IsFalse(_service.GetSubTenants(parentTenantId).ContainsKey(subTenantId));
+            Assert.IsNull(_service.GetTenant(subTenantId));
+
+            TenantInfo? deletedSubTenant = _service.GetDeletedSubTenant(parentTenantId, subTenantId);
+            Assert.IsNotNull(deletedSubTenant);
+            Assert.IsNotNull(deletedSubTenant.DeletedAt);
+        }
+
+        [TestMethod]
+        public async Task TrashSubTenantAsync_ReturnsFalse_WhenSubTenantDoesNotExist()
+        {
+            // Act
+            bool result = await _service.TrashSubTenantAsync("tenant1", "nonexistent");
+
+            // Assert
+            Assert.IsFalse(result);
+        }
+
+        [TestMethod]
+        public async Task RestoreSubTenantAsync_MovesSubTenantBackToParent()
+        {
+            // Arrange
+            string parentTenantId = "tenant1";
+            string subTenantId = await _service.CreateSubTenantAsync(parentTenantId, "Photos");
+            await _service.TrashSubTenantAsync(parentTenantId, subTenantId);
+
+            // Act
+            bool result = await _service.RestoreSubTenantAsync(parentTenantId, subTenantId);
+
+            // Assert
+            Assert.IsTrue(result);
+            TenantInfo? subTenant = _service.GetTenant(subTenantId);
+            Assert.IsNotNull(subTenant);
+            Assert.AreEqual("Photos", subTenant.DisplayName);
+            Assert.IsNull(subTenant.DeletedAt);
+            Assert.IsNull(_service.GetDeletedSubTenant(parentTenantId, subTenantId));
+        }
+
+        [TestMethod]
+        public async Task RestoreSubTenantAsync_AddsNumberToName_WhenNameIsTaken()
+        {
+            // Arrange
+            string parentTenantId = "tenant1";
+            string subTenantId = await _service.CreateSubTenantAsync(parentTenantId, "Photos");
+            await _service.TrashSubTenantAsync(parentTenantId, subTenantId);
+            await _service.CreateSubTenantAsync(parentTenantId, "photos");
+
+            // Act
+            bool result = await _service.RestoreSubTenantAsync(parentTenantId, subTenantId);
+
+            // Assert
+            Assert.IsTrue(result);
+            Assert.AreEqual("Photos (2)", _service.GetTenant(subTenantId)!.DisplayName);
+        }
+
+        [TestMethod]
+        public async Task RestoreSubTenantAsync_ReturnsFalse_WhenSubTenantIsNotInTrash()
+        {
+            // Arrange
+            string parentTenantId = "tenant1";
+            string subTenantId = await _service.CreateSubTenantAsync(parentTenantId, "Photos");
+
+            // Act
+            bool result = await _service.RestoreSubTenantAsync(parentTenantId, subTenantId);
+
+            // Assert
+            Assert.IsFalse(result);
+        }
+
+        [TestMethod]
+        public async Task DeleteSubTenantAsync_DeletesSubTenant_WhenSubTenantIsInTrash()
+        {
+            // Arrange
+            string parentTenantId = "tenant1";
+            string subTenantId = await _service.CreateSubTenantAsync(parentTenantId, "Photos");
+            await _service.TrashSubTenantAsync(parentTenantId, subTenantId);
+
+            // Act
+            bool result = await _service.DeleteSubTenantAsync(parentTenantId, subTenantId);
+
+            // Assert
+            Assert.IsTrue(result);
+            Assert.IsNull(_service.GetDeletedSubTenant(parentTenantId, subTenantId));
+        }
+
+        [TestMethod]
+        public async Task GetAllDescendantTenantIds_IncludesSubTenantsInTrash()
+        {
+            // Arrange
+            string parentTenantId = "tenant1";
+            string subTenantId = await _service.CreateSubTenantAsync(parentTenantId, "Photos");
+            string nestedSubTenantId = await _service.CreateSubTenantAsync(subTenantId, "2024");
+            await _service.TrashSubTenantAsync(subTenantId, nestedSubTenantId);
+
+            // Act
+            List<string> descendantIds = _service.GetAllDescendantTenantIds(parentTenantId).ToList();
+
+            // Assert
+            CollectionAssert.Contains(descendantIds, subTenantId);
+            CollectionAssert.Contains(descendantIds, nestedSubTenantId);
+        }
+
+        [TestMethod]
+        public async Task CreateApiKeyAsync_StoresHashAndReturnsKey()
+        {
+            // Arrange
+            TenantApiKey apiKey = new TenantApiKey { Name = " Backup script ", Scopes = new List<ApiKeyScope> { ApiKeyScope.NoDelete, ApiKeyScope.NoDelete } };
+
+            // Act
+            string? key = await _service.CreateApiKeyAsync("tenant1", apiKey);
+
+            // Assert
+            Assert.IsNotNull(key);
+            TenantApiKey storedKey = _service.GetTenant("tenant1")!.ApiKeys.Single();
+            Assert.AreEqual("Backup script", storedKey.Name);
+            Assert.AreEqual(TenantApiKey.HashKey(key), storedKey.KeyHash);
+            Assert.AreEqual($"…{key.Substring(key.Length - 4)}", storedKey.Hint);
+            CollectionAssert.AreEqual(new List<ApiKeyScope> { ApiKeyScope.NoDelete }, storedKey.Scopes);
+            Assert.IsFalse(File.ReadAllText(_testConfigPath).Contains(key));
+        }
+
+        [TestMethod]
+        public async Task CreateApiKeyAsync_ThrowsInvalidOperationException_WhenNameIsTaken()
+        {
+            // Arrange
+            await _service.CreateApiKeyAsync("tenant1", new TenantApiKey { Name = "Backup" });
+
+            // Act & Assert
+            await Assert.ThrowsExceptionAsync<InvalidOperationException>(() =>
+                _service.CreateApiKeyAsync("tenant1", new TenantApiKey { Name = "backup" }));
+        }
+
+        [TestMethod]
+        public async Task CreateApiKeyAsync_ThrowsArgumentException_WhenSettingsAreInvalid()
+        {
+            // Act & Assert
+            await Assert.ThrowsExceptionAsync<ArgumentException>(() =>
+                _service.CreateApiKeyAsync("tenant1", new TenantApiKey { Name = " " }));
+            await Assert.ThrowsExceptionAsync<ArgumentException>(() =>
+                _service.CreateApiKeyAsync("tenant1", new TenantApiKey { Name = "Both", Scopes = new List<ApiKeyScope> { ApiKeyScope.ReadOnly, ApiKeyScope.UploadOnly } }));
+            await Assert.ThrowsExceptionAsync<ArgumentException>(() =>
+                _service.CreateApiKeyAsync("tenant1", new TenantApiKey { Name = "Expired", ExpiresAt = DateTimeOffset.UtcNow.AddDays(-1) }));
+        }
+
+        [TestMethod]
+        public async Task RotateApiKeyAsync_ReplacesKeyAndKeepsSettings()
+        {
+            // Arrange
+            DateTimeOffset expiresAt = DateTimeOffset.UtcNow.AddDays(30);
+            TenantApiKey apiKey = new TenantApiKey { Name = "Backup", Scopes = new List<ApiKeyScope> { ApiKeyScope.ReadOnly }, ExpiresAt = expiresAt };
+            string? previousKey = await _service.CreateApiKeyAsync("tenant1", apiKey);
+
+            // Act
+            string? key = await _service.RotateApiKeyAsync("tenant1", apiKey.Id);
+
+            // Assert
+            Assert.IsNotNull(key);
+            Assert.AreNotEqual(previousKey, key);
+            TenantApiKey storedKey = _service.GetTenant("tenant1")!.ApiKeys.Single();
+            Assert.AreEqual(TenantApiKey.HashKey(key), storedKey.KeyHash);
+            Assert.AreEqual(expiresAt, storedKey.ExpiresAt);
+            CollectionAssert.AreEqual(new List<ApiKeyScope> { ApiKeyScope.ReadOnly }, storedKey.Scopes);
+        }
+
+        [TestMethod]
+        public async Task RevokeApiKeyAsync_RemovesKey_AndReturnsFalseForOtherTenants()
+        {
+            // Arrange
+            TenantApiKey apiKey = new TenantApiKey { Name = "Backup" };
+            await _service.CreateApiKeyAsync("tenant1", apiKey);
+
+            // Act
+            bool revokedByOtherTenant = await _service.RevokeApiKeyAsync("admin", apiKey.Id);
+            bool revoked = await _service.RevokeApiKeyAsync("tenant1", apiKey.Id);
+
+            // Assert
+            Assert.IsFalse(revokedByOtherTenant);
+            Assert.IsTrue(revoked);
+            Assert.AreEqual(0, _service.GetTenant("tenant1")!.ApiKeys.Count);
+        }
+
+        [TestMethod]
+        public async Task RotateApiKeyAsync_WithTenantKeyId_ReplacesTenantKey()
+        {
+            // Arrange
+            string previousKey = _service.GetTenant("tenant1")!.ApiKey;
+
+            // Act
+            string? key = await _service.RotateApiKeyAsync("tenant1", TenantApiKey.TenantKeyId);
+
+            // Assert
+            Assert.IsNotNull(key);
+            TenantInfo tenant = _service.GetTenant("tenant1")!;
+            Assert.AreEqual(key, tenant.ApiKey);
+            Assert.AreNotEqual(previousKey, tenant.ApiKey);
+            Assert.IsNotNull(tenant.ApiKeyCreatedAt);
+        }
+
+        [TestMethod]
+        public async Task RevokeApiKeyAsync_WithTenantKeyIdWithoutOtherFullAccessKey_ThrowsAndKeepsKey()
+        {
+            // Arrange
+            await _service.CreateApiKeyAsync("tenant1", new TenantApiKey { Name = "Backup", Scopes = new List<ApiKeyScope> { ApiKeyScope.NoDelete } });
+            string tenantKey = _service.GetTenant("tenant1")!.ApiKey;
+
+            // Act & Assert
+            await Assert.ThrowsExceptionAsync<InvalidOperationException>(() =>
+                _service.RevokeApiKeyAsync("tenant1", TenantApiKey.TenantKeyId));
+            Assert.AreEqual(tenantKey, _service.GetTenant("tenant1")!.ApiKey);
+        }
+
+        [TestMethod]
+        public async Task RevokeApiKeyAsync_WithTenantKeyIdAndOtherFullAccessKey_RemovesTenantKey()
+        {
+            // Arrange
+            await _service.CreateApiKeyAsync("tenant1", new TenantApiKey { Name = "Laptop" });
+
+            // Act
+            bool revoked = await _service.RevokeApiKeyAsync("tenant1", TenantApiKey.TenantKeyId);
+
+            // Assert
+            Assert.IsTrue(revoked);
+            Assert.AreEqual(string.Empty, _service.GetTenant("tenant1")!.ApiKey);
+            Assert.IsFalse(await _service.RevokeApiKeyAsync("tenant1", TenantApiKey.TenantKeyId));
+        }
+
+        [TestMethod]
+        public async Task RevokeApiKeyAsync_WithTenantKeyIdOfAdminTenant_RequiresKeyWithAdminScope()
+        {
+            // Arrange
+            await _service.CreateApiKeyAsync("admin", new TenantApiKey { Name = "Laptop" });
+
+            // Act & Assert
+            await Assert.ThrowsExceptionAsync<InvalidOperationException>(() =>
+                _service.RevokeApiKeyAsync("admin", TenantApiKey.TenantKeyId));
+
+            await _service.CreateApiKeyAsync("admin", new TenantApiKey { Name = "Admin laptop", Scopes = new List<ApiKeyScope> { ApiKeyScope.Admin } });
+            Assert.IsTrue(await _service.RevokeApiKeyAsync("admin", TenantApiKey.TenantKeyId));
+        }
+
+        [TestMethod]
+        public async Task CreateApiKeyAsync_ThrowsArgumentException_WhenNameIsThatOfTenantKey()
+        {
+            // Act & Assert
+            await Assert.ThrowsExceptionAsync<ArgumentException>(() =>
+                _service.CreateApiKeyAsync("tenant1", new TenantApiKey { Name = "tenant KEY" }));
+        }
+
+        [TestMethod]
+        public async Task RecordApiKeyUseAsync_SetsLastUsedAt()
+        {
+            // Arrange
+            TenantApiKey apiKey = new TenantApiKey { Name = "Backup" };
+            await _service.CreateApiKeyAsync("tenant1", apiKey);
+
+            // Act
+            await _service.RecordApiKeyUseAsync("tenant1", apiKey.Id);
+
+            // Assert
+            Assert.IsNotNull(_service.GetTenant("tenant1")!.ApiKeys.Single().LastUsedAt);
+        }
+
+        [TestMethod]
+        public async Task RecordApiKeyUseAsync_WithTenantKeyId_SetsApiKeyLastUsedAt()
+        {
+            // Act
+            await _service.RecordApiKeyUseAsync("tenant1", TenantApiKey.TenantKeyId);
+
+            // Assert
+            Assert.IsNotNull(_service.GetTenant("tenant1")!.ApiKeyLastUsedAt);
+        }
+
         private class TestLogger<T> : ILogger<T>
         {
             public List<string> LogMessages { get; } = new List<string>();
@@ -17,6 +17,7 @@ namespace ByteShelf.Tests
         private Mock<IStorageService> _mockStorageService = null!;
         private Mock<ITenantConfigurationService> _mockConfigService = null!;
         private Mock<IFileStorageService> _mockFileStorageService = null!;
+        private Mock<IAuditLogService> _mockAuditLogService = null!;
         private Mock<ILogger<TenantController>> _mockLogger = null!;
         private Mock<HttpContext> _mockHttpContext = null!;
         private TenantConfiguration _tenantConfig = null!;
@@ -27,6 +28,7 @@ namespace ByteShelf.Tests
             _mockStorageService = new Mock<IStorageService>();
             _mockConfigService = new Mock<ITenantConfigurationService>();
             _mockFileStorageService = new Mock<IFileStorageService>();
+            _mockAuditLogService = new Mock<IAuditLogService>();
             _mockLogger = new Mock<ILogger<TenantController>>();
             _mockHttpContext = new Mock<HttpContext>();
 
@@ -58,7 +60,7 @@ namespace ByteShelf.Tests
 
             _mockConfigService.Setup(c => c.GetConfiguration()).Returns(_tenantConfig);
 
-            _controller = new TenantController(_mockStorageService.Object, _mockConfigService.Object, _mockFileStorageService.Object, _mockLogger.Object);
+            _controller = new TenantController(_mockStorageService.Object, _mockConfigService.Object, _mockFileStorageService.Object, _mockAuditLogService.Object, _mockLogger.Object);
             _controller.ControllerContext = new ControllerContext
             {
                 HttpContext = _mockHttpContext.Object
@@ -70,7 +72,7 @@ namespace ByteShelf.Tests
         {
             // Act & Assert
             Assert.ThrowsException<ArgumentNullException>(() =>
-                new TenantController(null!, _mockConfigService.Object, _mockFileStorageService.Object, _mockLogger.Object));
+                new TenantController(null!, _mockConfigService.Object, _mockFileStorageService.Object, _mockAuditLogService.Object, _mockLogger.Object));
         }
 
         [TestMethod]
@@ -78,7 +80,7 @@ namespace ByteShelf.Tests
         {
             // Act & Assert
             Assert.ThrowsException<ArgumentNullException>(() =>
-                new TenantController(_mockStorageService.Object, null!, _mockFileStorageService.Object, _mockLogger.Object));
+                new TenantController(_mockStorageService.Object, null!, _mockFileStorageService.Object, _mockAuditLogService.Object, _mockLogger.Object));
         }
 
         [TestMethod]
@@ -86,7 +88,15 @@ namespace ByteShelf.Tests
         {
             // Act & Assert
             Assert.ThrowsException<ArgumentNullException>(() =>
-                new TenantController(_mockStorageService.Object, _mockConfigService.Object, null!, _mockLogger.Object));
+                new TenantController(_mockStorageService.Object, _mockConfigService.Object, null!, _mockAuditLogService.Object, _mockLogger.Object));
+        }
+
+        [TestMethod]
+        public void Constructor_WithNullAuditLogService_ThrowsArgumentNullException()
+        {
+            // Act & Assert
+            Assert.ThrowsException<ArgumentNullException>(() =>
+                new TenantController(_mockStorageService.Object, _mockConfigService.Object, _mockFileStorageService.Object, null!, _mockLogger.Object));
         }
 
         [TestMethod]
@@ -94,7 +104,7 @@ namespace ByteShelf.Tests
         {
             // Act & Assert
             Assert.ThrowsException<ArgumentNullException>(() =>
-                new TenantController(_mockStorageService.Object, _mockConfigService.Object, _mockFileStorageService.Object, null!));
+                new TenantController(_mockStorageService.Object, _mockConfigService.Object, _mockFileStorageService.Object, _mockAuditLogService.Object, null!));
         }
 
         [TestMethod]
@@ -159,6 +169,25 @@ namespace ByteShelf.Tests
             Assert.AreEqual(0.0, response.UsagePercentage); // 0% usage for unlimited
         }
 
+        [TestMethod]
+        public async Task GetTenantInfo_ForAdminTenantBrowsedByAnotherAdmin_ReturnsNoAdminStatus()
+        {
+            // Arrange
+            string tenantId = "admin";
+
+            _mockHttpContext.Object.Items["TenantId"] = tenantId;
+            _mockHttpContext.Object.Items["BrowsingAdminTenantId"] = "other-admin";
+            _mockConfigService.Setup(c => c.GetTenant(tenantId)).Returns(_tenantConfig.Tenants[tenantId]);
+
+            // Act
+            IActionResult result = await _controller.GetTenantInfo(CancellationToken.None);
+
+            // Assert
+            OkObjectResult okResult = (OkObjectResult)result;
+            TenantInfoResponse response = (TenantInfoResponse)okResult.Value!;
+            Assert.IsFalse(response.IsAdmin);
+        }
+
         [TestMethod]
         public async Task GetTenantInfo_WhenTenantNotFound_ReturnsNotFound()
         {
@@ -944,6 +973,38 @@ namespace ByteShelf.Tests
             Assert.IsTrue(response.GetType() == typeof(BadRequestObjectResult), "Should create a bad request response without tenant id in context");
         }
 
+        [TestMethod]
+        public async Task UpdateVersionLimit_UpdatesPolicy_WhenValidRequest()
+        {
+            // Arrange
+            string tenantId = "tenant1";
+            UpdateVersionLimitRequest request = new UpdateVersionLimitRequest { MaxFileVersions = 3 };
+
+            _mockHttpContext.Object.Items["TenantId"] = tenantId;
+            _mockConfigService.Setup(c => c.UpdateMaxFileVersionsAsync(tenantId, 3))
+                .ReturnsAsync(true);
+
+            // Act
+            IActionResult result = await _controller.UpdateVersionLimit(request, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(OkResult));
+        }
+
+        [TestMethod]
+        public async Task UpdateVersionLimit_ReturnsBadRequest_WhenValueIsNegative()
+        {
+            // Arrange
+            _mockHttpContext.Object.Items["TenantId"] = "tenant1";
+
+            // Act
+            IActionResult result = await _controller.UpdateVersionLimit(new UpdateVersionLimitRequest { MaxFileVersions = -1 }, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(BadRequestObjectResult));
+            _mockConfigService.Verify(c => c.UpdateMaxFileVersionsAsync(It.IsAny<string>(), It.IsAny<int?>()), Times.Never);
+        }
+
         [TestMethod]
         public async Task UpdateSubTenantStorageLimit_UpdatesStorageLimit_WhenValidRequest()
         {
@@ -1036,6 +1097,66 @@ namespace ByteShelf.Tests
             Assert.AreEqual("Subtenant not found", notFoundResult.Value);
         }
 
+        [TestMethod]
+        public async Task RenameSubTenant_RenamesSubTenant_WhenValidRequest()
+        {
+            // Arrange
+            _mockHttpContext.Object.Items["TenantId"] = "tenant1";
+            _mockConfigService.Setup(c => c.HasAccessToTenant("tenant1", "subtenant1")).Returns(true);
+            _mockConfigService.Setup(c => c.RenameSubTenantAsync("tenant1", "subtenant1", "Photos")).ReturnsAsync(true);
+
+            // Act
+            IActionResult result = await _controller.RenameSubTenant("subtenant1", new RenameRequest { Name = " Photos " }, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(OkResult));
+            _mockConfigService.Verify(c => c.RenameSubTenantAsync("tenant1", "subtenant1", "Photos"), Times.Once);
+        }
+
+        [TestMethod]
+        public async Task RenameSubTenant_ReturnsBadRequest_WhenNameIsInvalid()
+        {
+            // Arrange
+            _mockHttpContext.Object.Items["TenantId"] = "tenant1";
+
+            // Act
+            IActionResult result = await _controller.RenameSubTenant("subtenant1", new RenameRequest { Name = "a/b" }, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(BadRequestObjectResult));
+            _mockConfigService.Verify(c => c.RenameSubTenantAsync(It.IsAny<string>(), It.IsAny<string>(), It.IsAny<string>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task RenameSubTenant_ReturnsUnauthorized_WhenNoAccessToSubTenant()
+        {
+            // Arrange
+            _mockHttpContext.Object.Items["TenantId"] = "tenant1";
+            _mockConfigService.Setup(c => c.HasAccessToTenant("tenant1", "other")).Returns(false);
+
+            // Act
+            IActionResult result = await _controller.RenameSubTenant("other", new RenameRequest { Name = "Photos" }, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(UnauthorizedObjectResult));
+        }
+
+        [TestMethod]
+        public async Task RenameSubTenant_ReturnsConflict_WhenSiblingHasName()
+        {
+            // Arrange
+            _mockHttpContext.Object.Items["TenantId"] = "tenant1";
+            _mockConfigService.Setup(c => c.HasAccessToTenant("tenant1", "subtenant1")).Returns(true);
+            _mockConfigService.Setup(c => c.RenameSubTenantAsync("tenant1", "subtenant1", "Photos"))
+                .ThrowsAsync(new InvalidOperationException("A folder named \"Photos\" already exists in this folder"));
+
+            // Act
+            IActionResult result = await _controller.RenameSubTenant("subtenant1", new RenameRequest { Name = "Photos" }, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(ConflictObjectResult));
+        }
+
         [TestMethod]
         public async Task UpdateSubTenantStorageLimit_WithTenantIdNotInContext_ThrowsInvalidOperationException()
         {
@@ -1062,10 +1183,7 @@ namespace ByteShelf.Tests
             _mockHttpContext.Object.Items["TenantId"] = tenantId;
             _mockConfigService.Setup(c => c.HasAccessToTenant(tenantId, subTenantId)).Returns(true);
             _mockConfigService.Setup(c => c.GetTenant(subTenantId)).Returns(subTenant);
-            _mockConfigService.Setup(c => c.GetAllDescendantTenantIds(subTenantId)).Returns(Enumerable.Empty<string>());
-            _mockConfigService.Setup(c => c.DeleteSubTenantAsync(tenantId, subTenantId)).ReturnsAsync(true);
-            _mockFileStorageService.Setup(f => f.DeleteAllFilesRecursivelyAsync(subTenantId, It.IsAny<IEnumerable<string>>(), It.IsAny<CancellationToken>()))
-                .ReturnsAsync(3);
+            _mockConfigService.Setup(c => c.TrashSubTenantAsync(tenantId, subTenantId)).ReturnsAsync(true);
 
             // Act
             IActionResult result = await _controller.DeleteSubTenant(subTenantId, CancellationToken.None);
@@ -1074,6 +1192,33 @@ namespace ByteShelf.Tests
             Assert.IsInstanceOfType(result, typeof(OkResult));
         }
 
+        [TestMethod]
+        public async Task DeleteSubTenant_RecordsFolderDeletedInAuditLog()
+        {
+            // Arrange
+            string tenantId = "tenant1";
+            string subTenantId = "subtenant1";
+            TenantInfo subTenant = new TenantInfo { DisplayName = "Test Subtenant" };
+
+            _mockHttpContext.Object.Items["TenantId"] = tenantId;
+            _mockHttpContext.Object.Items["ClientIpAddress"] = "192.0.2.10";
+            _mockConfigService.Setup(c => c.HasAccessToTenant(tenantId, subTenantId)).Returns(true);
+            _mockConfigService.Setup(c => c.GetTenant(subTenantId)).Returns(subTenant);
+            _mockConfigService.Setup(c => c.TrashSubTenantAsync(tenantId, subTenantId)).ReturnsAsync(true);
+
+            // Act
+            await _controller.DeleteSubTenant(subTenantId, CancellationToken.None);
+
+            // Assert
+            _mockAuditLogService.Verify(s => s.RecordAsync(It.Is<AuditLogEntry>(entry =>
+                entry.Action == AuditAction.FolderDeleted &&
+                entry.TenantId == tenantId &&
+                entry.TargetTenantId == tenantId &&
+                entry.TargetId == subTenantId &&
+                entry.TargetName == "Test Subtenant" &&
+                entry.IpAddress == "192.0.2.10")), Times.Once);
+        }
+
         [TestMethod]
         public async Task DeleteSubTenant_ReturnsUnauthorized_WhenNoAccessToSubTenant()
         {
@@ -1125,58 +1270,30 @@ namespace ByteShelf.Tests
         }
 
         [TestMethod]
-        public async Task DeleteSubTenant_DeletesFilesRecursivelyAndSubTenant_WhenSubTenantExists()
+        public async Task DeleteSubTenant_MovesSubTenantToTrashWithoutDeletingFiles_WhenSubTenantExists()
         {
             // Arrange
             string tenantId = "tenant1";
             string subTenantId = "subtenant1";
-            string[] descendantIds = { "descendant1", "descendant2" };
             TenantInfo subTenant = new TenantInfo { DisplayName = "Test Subtenant" };
 
             _mockHttpContext.Object.Items["TenantId"] = tenantId;
             _mockConfigService.Setup(c => c.HasAccessToTenant(tenantId, subTenantId)).Returns(true);
             _mockConfigService.Setup(c => c.GetTenant(subTenantId)).Returns(subTenant);
-            _mockConfigService.Setup(c => c.GetAllDescendantTenantIds(subTenantId)).Returns(descendantIds);
-            _mockConfigService.Setup(c => c.DeleteSubTenantAsync(tenantId, subTenantId)).ReturnsAsync(true);
-            _mockFileStorageService.Setup(f => f.DeleteAllFilesRecursivelyAsync(subTenantId, descendantIds, It.IsAny<CancellationToken>()))
-                .ReturnsAsync(5);
+            _mockConfigService.Setup(c => c.TrashSubTenantAsync(tenantId, subTenantId)).ReturnsAsync(true);
 
             // Act
             IActionResult result = await _controller.DeleteSubTenant(subTenantId, CancellationToken.None);
 
             // Assert
             Assert.IsInstanceOfType(result, typeof(OkResult));
-            _mockFileStorageService.Verify(f => f.DeleteAllFilesRecursivelyAsync(subTenantId, descendantIds, It.IsAny<CancellationToken>()), Times.Once);
-            _mockConfigService.Verify(c => c.DeleteSubTenantAsync(tenantId, subTenantId), Times.Once);
-        }
-
-        [TestMethod]
-        public async Task DeleteSubTenant_Returns500_WhenFileDeletionFails()
-        {
-            // Arrange
-            string tenantId = "tenant1";
-            string subTenantId = "subtenant1";
-            TenantInfo subTenant = new TenantInfo { DisplayName = "Test Subtenant" };
-
-            _mockHttpContext.Object.Items["TenantId"] = tenantId;
-            _mockConfigService.Setup(c => c.HasAccessToTenant(tenantId, subTenantId)).Returns(true);
-            _mockConfigService.Setup(c => c.GetTenant(subTenantId)).Returns(subTenant);
-            _mockConfigService.Setup(c => c.GetAllDescendantTenantIds(subTenantId)).Returns(Enumerable.Empty<string>());
-            _mockFileStorageService.Setup(f => f.DeleteAllFilesRecursivelyAsync(subTenantId, It.IsAny<IEnumerable<string>>(), It.IsAny<CancellationToken>()))
-                .ThrowsAsync(new Exception("File deletion failed"));
-
-            // Act
-            IActionResult result = await _controller.DeleteSubTenant(subTenantId, CancellationToken.None);
-
-            // Assert
-            Assert.IsInstanceOfType(result, typeof(ObjectResult));
-            ObjectResult objectResult = (ObjectResult)result;
-            Assert.AreEqual(500, objectResult.StatusCode);
+            _mockConfigService.Verify(c => c.TrashSubTenantAsync(tenantId, subTenantId), Times.Once);
+            _mockFileStorageService.Verify(f => f.DeleteAllFilesRecursivelyAsync(It.IsAny<string>(), It.IsAny<IEnumerable<string>>(), It.IsAny<CancellationToken>()), Times.Never);
             _mockConfigService.Verify(c => c.DeleteSubTenantAsync(It.IsAny<string>(), It.IsAny<string>()), Times.Never);
         }
 
         [TestMethod]
-        public async Task DeleteSubTenant_RemovesSubTenantFromConfig_WhenFileDeletionSucceeds()
+        public async Task DeleteSubTenant_ReturnsNotFound_WhenMovingToTrashFails()
         {
             // Arrange
             string tenantId = "tenant1";
@@ -1186,18 +1303,13 @@ namespace ByteShelf.Tests
             _mockHttpContext.Object.Items["TenantId"] = tenantId;
             _mockConfigService.Setup(c => c.HasAccessToTenant(tenantId, subTenantId)).Returns(true);
             _mockConfigService.Setup(c => c.GetTenant(subTenantId)).Returns(subTenant);
-            _mockConfigService.Setup(c => c.GetAllDescendantTenantIds(subTenantId)).Returns(Enumerable.Empty<string>());
-            _mockConfigService.Setup(c => c.DeleteSubTenantAsync(tenantId, subTenantId)).ReturnsAsync(true);
-            _mockFileStorageService.Setup(f => f.DeleteAllFilesRecursivelyAsync(subTenantId, It.IsAny<IEnumerable<string>>(), It.IsAny<CancellationToken>()))
-                .ReturnsAsync(3);
+            _mockConfigService.Setup(c => c.TrashSubTenantAsync(tenantId, subTenantId)).ReturnsAsync(false);
 
             // Act
             IActionResult result = await _controller.DeleteSubTenant(subTenantId, CancellationToken.None);
 
             // Assert
-            Assert.IsInstanceOfType(result, typeof(OkResult));
-            _mockFileStorageService.Verify(f => f.DeleteAllFilesRecursivelyAsync(subTenantId, It.IsAny<IEnumerable<string>>(), It.IsAny<CancellationToken>()), Times.Once);
-            _mockConfigService.Verify(c => c.DeleteSubTenantAsync(tenantId, subTenantId), Times.Once);
+            Assert.IsInstanceOfType(result, typeof(NotFoundObjectResult));
         }
 
         [TestMethod]
@@ -1592,10 +1704,7 @@ namespace ByteShelf.Tests
             _mockHttpContext.Object.Items["TenantId"] = tenantId;
             _mockConfigService.Setup(c => c.HasAccessToTenant(tenantId, subTenantId)).Returns(true);
             _mockConfigService.Setup(c => c.GetTenant(subTenantId)).Returns(subTenant);
-            _mockConfigService.Setup(c => c.GetAllDescendantTenantIds(subTenantId)).Returns(Enumerable.Empty<string>());
-            _mockConfigService.Setup(c => c.DeleteSubTenantAsync(tenantId, subTenantId)).ReturnsAsync(true);
-            _mockFileStorageService.Setup(f => f.DeleteAllFilesRecursivelyAsync(subTenantId, It.IsAny<IEnumerable<string>>(), It.IsAny<CancellationToken>()))
-                .ReturnsAsync(3);
+            _mockConfigService.Setup(c => c.TrashSubTenantAsync(tenantId, subTenantId)).ReturnsAsync(true);
 
             // Act
             await _controller.DeleteSubTenant(subTenantId, CancellationToken.None);
@@ -1603,38 +1712,7 @@ namespace ByteShelf.Tests
             // Assert
             _mockConfigService.Verify(c => c.HasAccessToTenant(tenantId, subTenantId), Times.Once);
             _mockConfigService.Verify(c => c.GetTenant(subTenantId), Times.Once);
-            _mockConfigService.Verify(c => c.GetAllDescendantTenantIds(subTenantId), Times.Once);
-            _mockFileStorageService.Verify(f => f.DeleteAllFilesRecursivelyAsync(subTenantId, It.IsAny<IEnumerable<string>>(), It.IsAny<CancellationToken>()), Times.Once);
-            _mockConfigService.Verify(c => c.DeleteSubTenantAsync(tenantId, subTenantId), Times.Once);
-        }
-
-        [TestMethod]
-        public async Task DeleteSubTenant_CleansUpEmptyDirectories_WhenSubTenantExists()
-        {
-            // Arrange
-            string tenantId = "tenant1";
-            string subTenantId = "subtenant1";
-            string[] descendantIds = { "descendant1", "descendant2" };
-            TenantInfo subTenant = new TenantInfo { DisplayName = "Test Subtenant" };
-
-            _mockHttpContext.Object.Items["TenantId"] = tenantId;
-            _mockConfigService.Setup(c => c.HasAccessToTenant(tenantId, subTenantId)).Returns(true);
-            _mockConfigService.Setup(c => c.GetTenant(subTenantId)).Returns(subTenant);
-            _mockConfigService.Setup(c => c.GetAllDescendantTenantIds(subTenantId)).Returns(descendantIds);
-            _mockConfigService.Setup(c => c.DeleteSubTenantAsync(tenantId, subTenantId)).ReturnsAsync(true);
-            _mockFileStorageService.Setup(f => f.DeleteAllFilesRecursivelyAsync(subTenantId, descendantIds, It.IsAny<CancellationToken>()))
-                .ReturnsAsync(5);
-            _mockFileStorageService.Setup(f => f.CleanupEmptyDirectoriesAsync(subTenantId, descendantIds, It.IsAny<CancellationToken>()))
-                .ReturnsAsync(3);
-
-            // Act
-            IActionResult result = await _controller.DeleteSubTenant(subTenantId, CancellationToken.None);
-
-            // Assert
-            Assert.IsInstanceOfType(result, typeof(OkResult));
-            _mockFileStorageService.Verify(f => f.DeleteAllFilesRecursivelyAsync(subTenantId, descendantIds, It.IsAny<CancellationToken>()), Times.Once);
-            _mockFileStorageService.Verify(f => f.CleanupEmptyDirectoriesAsync(subTenantId, descendantIds, It.IsAny<CancellationToken>()), Times.Once);
-            _mockConfigService.Verify(c => c.DeleteSubTenantAsync(tenantId, subTenantId), Times.Once);
+            _mockConfigService.Verify(c => c.TrashSubTenantAsync(tenantId, subTenantId), Times.Once);
         }
 
         [TestMethod]
@@ -3,6 +3,7 @@ using ByteShelfCommon;
 using Microsoft.Extensions.Logging;
 using Microsoft.VisualStudio.TestTools.UnitTesting;
 using Moq;
+using System.Security.Cryptography;
 using System.Text;
 using System.Text.Json;
 
@@ -211,7 +212,7 @@ namespace ByteShelf.Tests
         }
 
         [TestMethod]
-        public async Task SaveChunkAsync_WhenQuotaExceeded_ThrowsInvalidOperationException()
+        public async Task SaveChunkAsync_WhenQuotaExceeded_ThrowsStorageQuotaExceededException()
         {
             // Arrange
             string tenantId = "tenant1";
@@ -223,13 +224,193 @@ namespace ByteShelf.Tests
                 .Returns(false);
 
             // Act & Assert
-            await Assert.ThrowsExceptionAsync<InvalidOperationException>(
+            await Assert.ThrowsExceptionAsync<StorageQuotaExceededException>(
                 () => _service.SaveChunkAsync(tenantId, chunkId, chunkStream));
 
             _mockStorageService.Verify(s => s.CanStoreData(tenantId, chunkContent.Length), Times.Once);
             _mockStorageService.Verify(s => s.RecordStorageUsed(It.IsAny<string>(), It.IsAny<long>()), Times.Never);
         }
 
+        [TestMethod]
+        public async Task SaveVerifiedChunkAsync_WithMatchingHash_SavesChunkAndReturnsHash()
+        {
+            // Arrange
+            string tenantId = "tenant1";
+            Guid chunkId = Guid.NewGuid();
+            byte[] chunkBytes = Encoding.UTF8.GetBytes("test chunk data");
+            string expectedSha256 = Convert.ToHexString(SHA256.HashData(chunkBytes)).ToLowerInvariant();
+            using MemoryStream chunkStream = new MemoryStream(chunkBytes);
+
+            _mockStorageService.Setup(s => s.CanStoreData(tenantId, chunkBytes.Length))
+                .Returns(true);
+
+            // Act
+            string result = await _service.SaveVerifiedChunkAsync(tenantId, chunkId, chunkStream, expectedSha256.ToUpperInvariant());
+
+            // Assert
+            Assert.AreEqual(expectedSha256, result);
+            _mockStorageService.Verify(s => s.RecordStorageUsed(tenantId, chunkBytes.Length), Times.Once);
+            Assert.IsTrue(File.Exists(Path.Combine(_tempStoragePath, tenantId, "bin", $"{chunkId}.bin")));
+        }
+
+        [TestMethod]
+        public async Task SaveVerifiedChunkAsync_WithMismatchingHash_ThrowsAndDoesNotKeepChunk()
+        {
+            // Arrange
+            string tenantId = "tenant1";
+            Guid chunkId = Guid.NewGuid();
+            using MemoryStream chunkStream = new MemoryStream(Encoding.UTF8.GetBytes("test chunk data"));
+            string wrongSha256 = new string('0', 64);
+
+            _mockStorageService.Setup(s => s.CanStoreData(tenantId, It.IsAny<long>()))
+                .Returns(true);
+
+            // Act & Assert
+            await Assert.ThrowsExceptionAsync<InvalidDataException>(
+                () => _service.SaveVerifiedChunkAsync(tenantId, chunkId, chunkStream, wrongSha256));
+
+            _mockStorageService.Verify(s => s.RecordStorageUsed(It.IsAny<string>(), It.IsAny<long>()), Times.Never);
+            Assert.IsFalse(File.Exists(Path.Combine(_tempStoragePath, tenantId, "bin", $"{chunkId}.bin")));
+        }
+
+        [TestMethod]
+        public async Task SaveVerifiedChunkAsync_WithoutExpectedHash_ReturnsComputedHash()
+        {
+            // Arrange
+            string tenantId = "tenant1";
+            byte[] chunkBytes = Encoding.UTF8.GetBytes("unverified chunk");
+            using MemoryStream chunkStream = new MemoryStream(chunkBytes);
+
+            _mockStorageService.Setup(s => s.CanStoreData(tenantId, chunkBytes.Length))
+                .Returns(true);
+
+            // Act
+            string result = await _service.SaveVerifiedChunkAsync(tenantId, Guid.NewGuid(), chunkStream, null);
+
+            // Assert
+            Assert.AreEqual(Convert.ToHexString(SHA256.HashData(chunkBytes)).ToLowerInvariant(), result);
+        }
+
+        [TestMethod]
+        public async Task SaveVerifiedChunkAsync_WithMismatchingHash_KeepsExistingChunk()
+        {
+            // Arrange
+            string tenantId = "tenant1";
+            Guid chunkId = Guid.NewGuid();
+            string chunkFile = Path.Combine(_tempStoragePath, tenantId, "bin", $"{chunkId}.bin");
+            Directory.CreateDirectory(Path.GetDirectoryName(chunkFile)!);
+            await File.WriteAllTextAsync(chunkFile, "stored chunk");
+            using MemoryStream chunkStream = new MemoryStream(Encoding.UTF8.GetBytes("replacement"));
+
+            _mockStorageService.Setup(s => s.CanStoreData(tenantId, It.IsAny<long>()))
+                .Returns(true);
+
+            // Act & Assert
+            await Assert.ThrowsExceptionAsync<InvalidDataException>(
+                () => _service.SaveVerifiedChunkAsync(tenantId, chunkId, chunkStream, new string('0', 64)));
+
+            Assert.AreEqual("stored chunk", await File.ReadAllTextAsync(chunkFile));
+            Assert.AreEqual(1, Directory.GetFiles(Path.GetDirectoryName(chunkFile)!).Length);
+        }
+
+        [TestMethod]
+        public async Task SaveVerifiedChunkAsync_WithIdOfStoredChunk_ThrowsAndKeepsExistingChunk()
+        {
+            // Arrange
+            Guid chunkId = Guid.NewGuid();
+            await WriteChunksAsync("tenant1", new Dictionary<Guid, string> { [chunkId] = "stored chunk" });
+            using MemoryStream chunkStream = new MemoryStream(Encoding.UTF8.GetBytes("replacement"));
+
+            _mockStorageService.Setup(s => s.CanStoreData("tenant1", It.IsAny<long>())).Returns(true);
+
+            // Act & Assert
+            await Assert.ThrowsExceptionAsync<InvalidOperationException>(
+                () => _service.SaveVerifiedChunkAsync("tenant1", chunkId, chunkStream, null));
+
+            Assert.AreEqual("stored chunk", await File.ReadAllTextAsync(Path.Combine(_tempStoragePath, "tenant1", "bin", $"{chunkId}.bin")));
+            _mockStorageService.Verify(s => s.RecordStorageUsed(It.IsAny<string>(), It.IsAny<long>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task SaveVerifiedChunkAsync_WithSameDataAsStoredChunk_ReturnsHashWithoutRecordingUsage()
+        {
+            // Arrange
+            Guid chunkId = Guid.NewGuid();
+            await WriteChunksAsync("tenant1", new Dictionary<Guid, string> { [chunkId] = "stored chunk" });
+            using MemoryStream chunkStream = new MemoryStream(Encoding.UTF8.GetBytes("stored chunk"));
+
+            // Act
+            string sha256 = await _service.SaveVerifiedChunkAsync("tenant1", chunkId, chunkStream, Sha256Hex("stored chunk"));
+
+            // Assert
+            Assert.AreEqual(Sha256Hex("stored chunk"), sha256);
+            Assert.AreEqual(2, Directory.GetFiles(Path.Combine(_tempStoragePath, "tenant1", "bin")).Length); // The chunk and its hash
+            _mockStorageService.Verify(s => s.RecordStorageUsed(It.IsAny<string>(), It.IsAny<long>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task SaveVerifiedChunkAsync_StoresComputedHashWithChunk()
+        {
+            // Arrange
+            string tenantId = "tenant1";
+            Guid chunkId = Guid.NewGuid();
+            byte[] chunkBytes = Encoding.UTF8.GetBytes("test chunk data");
+            using MemoryStream chunkStream = new MemoryStream(chunkBytes);
+
+            _mockStorageService.Setup(s => s.CanStoreData(tenantId, chunkBytes.Length))
+                .Returns(true);
+
+            // Act
+            string sha256 = await _service.SaveVerifiedChunkAsync(tenantId, chunkId, chunkStream, null);
+
+            // Assert
+            Assert.AreEqual(sha256, await _service.GetChunkSha256Async(tenantId, chunkId));
+        }
+
+        [TestMethod]
+        public async Task SaveVerifiedChunkAsync_RecordsComputedHashForLookup()
+        {
+            // Arrange
+            string tenantId = "tenant1";
+            Guid chunkId = Guid.NewGuid();
+            byte[] chunkBytes = Encoding.UTF8.GetBytes("test chunk data");
+            using MemoryStream chunkStream = new MemoryStream(chunkBytes);
+
+            _mockStorageService.Setup(s => s.CanStoreData(tenantId, chunkBytes.Length))
+                .Returns(true);
+
+            // Act
+            string sha256 = await _service.SaveVerifiedChunkAsync(tenantId, chunkId, chunkStream, null);
+
+            // Assert
+            _mockStorageService.Verify(s => s.RecordChunkHash(tenantId, chunkId, sha256), Times.Once);
+        }
+
+        [TestMethod]
+        public async Task GetChunkSha256Async_WhenHashWasNotStored_ComputesIt()
+        {
+            // Arrange
+            Guid chunkId = Guid.NewGuid();
+            ShelfFileMetadata metadata = new ShelfFileMetadata(Guid.NewGuid(), "test.txt", "text/plain", 5, new List<Guid> { chunkId });
+            await WriteFileAsync("tenant1", metadata, new Dictionary<Guid, string> { [chunkId] = "chunk" });
+
+            // Act
+            string? result = await _service.GetChunkSha256Async("tenant1", chunkId);
+
+            // Assert
+            Assert.AreEqual(Sha256Hex("chunk"), result);
+        }
+
+        [TestMethod]
+        public async Task GetChunkSha256Async_WhenChunkDoesNotExist_ReturnsNull()
+        {
+            // Act
+            string? result = await _service.GetChunkSha256Async("tenant1", Guid.NewGuid());
+
+            // Assert
+            Assert.IsNull(result);
+        }
+
         [TestMethod]
         public async Task SaveChunkAsync_WithNullStream_ThrowsArgumentNullException()
         {
@@ -267,37 +448,536 @@ namespace ByteShelf.Tests
         }
 
         [TestMethod]
-        public async Task DeleteFileAsync_WhenFileExists_DeletesChunksAndMetadata()
+        public async Task DeleteFileAsync_WhenFileExists_DeletesChunksAndMetadata()
+        {
+            // Arrange
+            string tenantId = "tenant1";
+            Guid fileId = Guid.NewGuid();
+            Guid chunkId1 = Guid.NewGuid();
+            Guid chunkId2 = Guid.NewGuid();
+
+            ShelfFileMetadata metadata = new ShelfFileMetadata(fileId, "test.txt", "text/plain", 2048, new List<Guid> { chunkId1, chunkId2 });
+
+            string tenantMetadataPath = Path.Combine(_tempStoragePath, tenantId, "metadata");
+            string tenantBinPath = Path.Combine(_tempStoragePath, tenantId, "bin");
+            Directory.CreateDirectory(tenantMetadataPath);
+            Directory.CreateDirectory(tenantBinPath);
+
+            // Create metadata file
+            await File.WriteAllTextAsync(Path.Combine(tenantMetadataPath, $"{fileId}.json"), JsonSerializer.Serialize(metadata, _jsonOptions));
+
+            // Create chunk files
+            await File.WriteAllTextAsync(Path.Combine(tenantBinPath, $"{chunkId1}.bin"), "chunk1");
+            await File.WriteAllTextAsync(Path.Combine(tenantBinPath, $"{chunkId2}.bin"), "chunk2");
+
+            // Act
+            await _service.DeleteFileAsync(tenantId, fileId);
+
+            // Assert
+            Assert.IsFalse(File.Exists(Path.Combine(tenantMetadataPath, $"{fileId}.json")));
+            Assert.IsFalse(File.Exists(Path.Combine(tenantBinPath, $"{chunkId1}.bin")));
+            Assert.IsFalse(File.Exists(Path.Combine(tenantBinPath, $"{chunkId2}.bin")));
+
+            _mockStorageService.Verify(s => s.RecordStorageFreed(tenantId, It.IsAny<long>()), Times.Once);
+        }
+
+        [TestMethod]
+        public async Task DeleteFileAsync_WhenChunkIsShared_KeepsSharedChunk()
+        {
+            // Arrange
+            string tenantId = "tenant1";
+            Guid fileId = Guid.NewGuid();
+            Guid sharedChunkId = Guid.NewGuid();
+            Guid ownChunkId = Guid.NewGuid();
+
+            ShelfFileMetadata metadata = new ShelfFileMetadata(fileId, "test.txt", "text/plain", 12, new List<Guid> { sharedChunkId, ownChunkId });
+
+            string tenantMetadataPath = Path.Combine(_tempStoragePath, tenantId, "metadata");
+            string tenantBinPath = Path.Combine(_tempStoragePath, tenantId, "bin");
+            Directory.CreateDirectory(tenantMetadataPath);
+            Directory.CreateDirectory(tenantBinPath);
+
+            await File.WriteAllTextAsync(Path.Combine(tenantMetadataPath, $"{fileId}.json"), JsonSerializer.Serialize(metadata, _jsonOptions));
+            await File.WriteAllTextAsync(Path.Combine(tenantBinPath, $"{sharedChunkId}.bin"), "shared");
+            await File.WriteAllTextAsync(Path.Combine(tenantBinPath, $"{ownChunkId}.bin"), "own");
+
+            // Another file still references the shared chunk
+            _mockStorageService.Setup(s => s.GetChunkReferenceCount(tenantId, sharedChunkId)).Returns(1);
+
+            // Act
+            await _service.DeleteFileAsync(tenantId, fileId);
+
+            // Assert
+            Assert.IsTrue(File.Exists(Path.Combine(tenantBinPath, $"{sharedChunkId}.bin")));
+            Assert.IsFalse(File.Exists(Path.Combine(tenantBinPath, $"{ownChunkId}.bin")));
+            _mockStorageService.Verify(s => s.RecordFileRemoved(tenantId, It.Is<ShelfFileMetadata>(m => m.Id == fileId)), Times.Once);
+            _mockStorageService.Verify(s => s.RecordStorageFreed(tenantId, "own".Length), Times.Once);
+        }
+
+        [TestMethod]
+        public async Task SaveFileMetadataAsync_RecordsChunkReferences()
+        {
+            // Arrange
+            string tenantId = "tenant1";
+            ShelfFileMetadata metadata = new ShelfFileMetadata(Guid.NewGuid(), "test.txt", "text/plain", 1024, new List<Guid> { Guid.NewGuid() });
+
+            // Act
+            await _service.SaveFileMetadataAsync(tenantId, metadata);
+
+            // Assert
+            _mockStorageService.Verify(s => s.RecordFileStored(tenantId, metadata), Times.Once);
+            _mockStorageService.Verify(s => s.RecordFileRemoved(It.IsAny<string>(), It.IsAny<ShelfFileMetadata>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task FindChunkBySha256_WhenChunkFileExists_ReturnsChunkId()
+        {
+            // Arrange
+            string tenantId = "tenant1";
+            Guid chunkId = Guid.NewGuid();
+            string sha256 = new string('b', 64);
+            string tenantBinPath = Path.Combine(_tempStoragePath, tenantId, "bin");
+            Directory.CreateDirectory(tenantBinPath);
+            await File.WriteAllTextAsync(Path.Combine(tenantBinPath, $"{chunkId}.bin"), "chunk");
+
+            _mockStorageService.Setup(s => s.FindChunkBySha256(tenantId, sha256)).Returns(chunkId);
+
+            // Act
+            Guid? result = _service.FindChunkBySha256(tenantId, sha256);
+
+            // Assert
+            Assert.AreEqual(chunkId, result);
+        }
+
+        [TestMethod]
+        public void FindChunkBySha256_WhenChunkFileIsMissing_ReturnsNull()
+        {
+            // Arrange
+            string tenantId = "tenant1";
+            string sha256 = new string('b', 64);
+            _mockStorageService.Setup(s => s.FindChunkBySha256(tenantId, sha256)).Returns(Guid.NewGuid());
+
+            // Act
+            Guid? result = _service.FindChunkBySha256(tenantId, sha256);
+
+            // Assert
+            Assert.IsNull(result);
+        }
+
+        [TestMethod]
+        public async Task CopyFileAsync_CopiesChunksAndMetadataToTargetTenant()
+        {
+            // Arrange
+            Guid fileId = Guid.NewGuid();
+            Guid chunkId = Guid.NewGuid();
+            ShelfFileMetadata metadata = new ShelfFileMetadata(fileId, "test.txt", "text/plain", 5, new List<Guid> { chunkId })
+            {
+                UploadedBy = "Phone backup",
+            };
+            await WriteFileAsync("tenant1", metadata, new Dictionary<Guid, string> { [chunkId] = "chunk" });
+
+            _mockStorageService.Setup(s => s.CanStoreData("tenant2", 5)).Returns(true);
+
+            // Act
+            ShelfFileMetadata? copy = await _service.CopyFileAsync("tenant1", fileId, "tenant2");
+
+            // Assert
+            Assert.IsNotNull(copy);
+            Assert.AreNotEqual(fileId, copy.Id);
+            Assert.AreEqual("test.txt", copy.OriginalFilename);
+            Assert.AreEqual("Phone backup", copy.UploadedBy);
+            Assert.AreNotEqual(chunkId, copy.ChunkIds[0]);
+            Assert.AreEqual("chunk", await File.ReadAllTextAsync(Path.Combine(_tempStoragePath, "tenant2", "bin", $"{copy.ChunkIds[0]}.bin")));
+            Assert.IsTrue(File.Exists(Path.Combine(_tempStoragePath, "tenant2", "metadata", $"{copy.Id}.json")));
+            Assert.IsTrue(File.Exists(Path.Combine(_tempStoragePath, "tenant1", "metadata", $"{fileId}.json")));
+            _mockStorageService.Verify(s => s.RecordStorageUsed("tenant2", 5), Times.Once);
+            _mockStorageService.Verify(s => s.RecordStorageFreed(It.IsAny<string>(), It.IsAny<long>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task CopyFileAsync_WhenTargetHasChunkWithSameHash_SharesIt()
+        {
+            // Arrange
+            Guid fileId = Guid.NewGuid();
+            Guid chunkId = Guid.NewGuid();
+            Guid existingChunkId = Guid.NewGuid();
+            string sha256 = Sha256Hex("chunk");
+            ShelfFileMetadata metadata = new ShelfFileMetadata(fileId, "test.txt", "text/plain", 5, new List<Guid> { chunkId })
+            {
+                ChunkHashes = new List<string> { new string('c', 64) },
+            };
+            await WriteFileAsync("tenant1", metadata, new Dictionary<Guid, string> { [chunkId] = "chunk" });
+
+            string targetBinPath = Path.Combine(_tempStoragePath, "tenant2", "bin");
+            Directory.CreateDirectory(targetBinPath);
+            await File.WriteAllTextAsync(Path.Combine(targetBinPath, $"{existingChunkId}.bin"), "chunk");
+
+            _mockStorageService.Setup(s => s.FindChunkBySha256("tenant2", sha256)).Returns(existingChunkId);
+            _mockStorageService.Setup(s => s.CanStoreData("tenant2", 0)).Returns(true);
+
+            // Act
+            ShelfFileMetadata? copy = await _service.CopyFileAsync("tenant1", fileId, "tenant2");
+
+            // Assert
+            Assert.IsNotNull(copy);
+            CollectionAssert.AreEqual(new[] { existingChunkId }, copy.ChunkIds);
+            Assert.AreEqual(1, Directory.GetFiles(targetBinPath).Length);
+            _mockStorageService.Verify(s => s.RecordStorageUsed("tenant2", 0), Times.Once);
+        }
+
+        [TestMethod]
+        public async Task CopyFileAsync_WhenQuotaExceeded_ThrowsAndLeavesTargetUntouched()
+        {
+            // Arrange
+            Guid fileId = Guid.NewGuid();
+            Guid chunkId = Guid.NewGuid();
+            ShelfFileMetadata metadata = new ShelfFileMetadata(fileId, "test.txt", "text/plain", 5, new List<Guid> { chunkId });
+            await WriteFileAsync("tenant1", metadata, new Dictionary<Guid, string> { [chunkId] = "chunk" });
+
+            _mockStorageService.Setup(s => s.CanStoreData("tenant2", 5)).Returns(false);
+
+            // Act & Assert
+            await Assert.ThrowsExceptionAsync<StorageQuotaExceededException>(
+                () => _service.CopyFileAsync("tenant1", fileId, "tenant2"));
+
+            Assert.IsFalse(Directory.Exists(Path.Combine(_tempStoragePath, "tenant2", "bin")));
+            _mockStorageService.Verify(s => s.RecordStorageUsed(It.IsAny<string>(), It.IsAny<long>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task CopyFileAsync_WhenFileDoesNotExist_ReturnsNull()
+        {
+            // Act
+            ShelfFileMetadata? copy = await _service.CopyFileAsync("tenant1", Guid.NewGuid(), "tenant2");
+
+            // Assert
+            Assert.IsNull(copy);
+        }
+
+        [TestMethod]
+        public async Task MoveFileAsync_KeepsFileIdAndRemovesItFromSourceTenant()
+        {
+            // Arrange
+            Guid fileId = Guid.NewGuid();
+            Guid chunkId = Guid.NewGuid();
+            ShelfFileMetadata metadata = new ShelfFileMetadata(fileId, "test.txt", "text/plain", 5, new List<Guid> { chunkId });
+            await WriteFileAsync("tenant1", metadata, new Dictionary<Guid, string> { [chunkId] = "chunk" });
+
+            _mockStorageService.Setup(s => s.CanMoveData("tenant1", "tenant2", 5, 5)).Returns(true);
+
+            // Act
+            ShelfFileMetadata? moved = await _service.MoveFileAsync("tenant1", fileId, "tenant2");
+
+            // Assert
+            Assert.IsNotNull(moved);
+            Assert.AreEqual(fileId, moved.Id);
+            Assert.IsTrue(File.Exists(Path.Combine(_tempStoragePath, "tenant2", "metadata", $"{fileId}.json")));
+            Assert.IsFalse(File.Exists(Path.Combine(_tempStoragePath, "tenant1", "metadata", $"{fileId}.json")));
+            Assert.IsFalse(File.Exists(Path.Combine(_tempStoragePath, "tenant1", "bin", $"{chunkId}.bin")));
+            _mockStorageService.Verify(s => s.RecordStorageUsed("tenant2", 5), Times.Once);
+            _mockStorageService.Verify(s => s.RecordStorageFreed("tenant1", 5), Times.Once);
+        }
+
+        [TestMethod]
+        public async Task MoveFileAsync_TakesEarlierVersionsAlong()
+        {
+            // Arrange
+            Guid fileId = Guid.NewGuid();
+            Guid chunkId = Guid.NewGuid();
+            Guid versionChunkId = Guid.NewGuid();
+            ShelfFileMetadata metadata = new ShelfFileMetadata(fileId, "test.txt", "text/plain", 5, new List<Guid> { chunkId });
+            ShelfFileMetadata version = new ShelfFileMetadata(Guid.NewGuid(), "test.txt", "text/plain", 3, new List<Guid> { versionChunkId });
+            await WriteFileAsync("tenant1", metadata, new Dictionary<Guid, string> { [chunkId] = "chunk", [versionChunkId] = "old" });
+            string sourceVersionsPath = Path.Combine(_tempStoragePath, "tenant1", "versions", fileId.ToString());
+            Directory.CreateDirectory(sourceVersionsPath);
+            await File.WriteAllTextAsync(Path.Combine(sourceVersionsPath, $"{version.Id}.json"), JsonSerializer.Serialize(version, _jsonOptions));
+
+            _mockStorageService.Setup(s => s.CanMoveData("tenant1", "tenant2", 8, 8)).Returns(true);
+
+            // Act
+            ShelfFileMetadata? moved = await _service.MoveFileAsync("tenant1", fileId, "tenant2");
+
+            // Assert
+            Assert.IsNotNull(moved);
+            List<ShelfFileMetadata> versions = (await _service.GetFileVersionsAsync("tenant2", fileId))!.ToList();
+            Assert.AreEqual(1, versions.Count);
+            Assert.AreEqual(version.Id, versions[0].Id);
+            Assert.AreEqual("old", await File.ReadAllTextAsync(Path.Combine(_tempStoragePath, "tenant2", "bin", $"{versions[0].ChunkIds[0]}.bin")));
+            Assert.IsFalse(Directory.Exists(sourceVersionsPath));
+            _mockStorageService.Verify(s => s.RecordFileStored("tenant2", It.Is<ShelfFileMetadata>(stored => stored.Id == version.Id)), Times.Once);
+        }
+
+        [TestMethod]
+        public async Task MoveFileAsync_WithChunkSharedByAnotherFile_DoesNotCountItAsFreed()
+        {
+            // Arrange
+            Guid fileId = Guid.NewGuid();
+            Guid chunkId = Guid.NewGuid();
+            ShelfFileMetadata metadata = new ShelfFileMetadata(fileId, "test.txt", "text/plain", 5, new List<Guid> { chunkId });
+            await WriteFileAsync("tenant1", metadata, new Dictionary<Guid, string> { [chunkId] = "chunk" });
+
+            _mockStorageService.Setup(s => s.GetChunkReferenceCount("tenant1", chunkId)).Returns(2);
+            _mockStorageService.Setup(s => s.CanMoveData("tenant1", "tenant2", 5, 0)).Returns(false);
+
+            // Act & Assert
+            await Assert.ThrowsExceptionAsync<StorageQuotaExceededException>(
+                () => _service.MoveFileAsync("tenant1", fileId, "tenant2"));
+
+            Assert.IsTrue(File.Exists(Path.Combine(_tempStoragePath, "tenant1", "metadata", $"{fileId}.json")));
+            _mockStorageService.Verify(s => s.CanStoreData(It.IsAny<string>(), It.IsAny<long>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task MoveFileAsync_WhenTargetHasFileWithSameName_ThrowsAndKeepsFile()
+        {
+            // Arrange
+            Guid fileId = Guid.NewGuid();
+            Guid chunkId = Guid.NewGuid();
+            Guid otherChunkId = Guid.NewGuid();
+            ShelfFileMetadata metadata = new ShelfFileMetadata(fileId, "report.pdf", "application/pdf", 5, new List<Guid> { chunkId });
+            ShelfFileMetadata existing = new ShelfFileMetadata(Guid.NewGuid(), "REPORT.pdf", "application/pdf", 5, new List<Guid> { otherChunkId });
+            await WriteFileAsync("tenant1", metadata, new Dictionary<Guid, string> { [chunkId] = "chunk" });
+            await WriteFileAsync("tenant2", existing, new Dictionary<Guid, string> { [otherChunkId] = "other" });
+
+            _mockStorageService.Setup(s => s.CanMoveData(It.IsAny<string>(), It.IsAny<string>(), It.IsAny<long>(), It.IsAny<long>())).Returns(true);
+
+            // Act & Assert
+            InvalidOperationException exception = await Assert.ThrowsExceptionAsync<InvalidOperationException>(
+                () => _service.MoveFileAsync("tenant1", fileId, "tenant2"));
+
+            StringAssert.Contains(exception.Message, "already exists");
+            Assert.IsTrue(File.Exists(Path.Combine(_tempStoragePath, "tenant1", "metadata", $"{fileId}.json")));
+            Assert.AreEqual(1, Directory.GetFiles(Path.Combine(_tempStoragePath, "tenant2", "metadata")).Length);
+        }
+
+        [TestMethod]
+        public async Task CopyFileAsync_WhenTargetHasFileWithSameName_Throws()
+        {
+            // Arrange
+            Guid fileId = Guid.NewGuid();
+            Guid chunkId = Guid.NewGuid();
+            ShelfFileMetadata metadata = new ShelfFileMetadata(fileId, "report.pdf", "application/pdf", 5, new List<Guid> { chunkId });
+            ShelfFileMetadata existing = new ShelfFileMetadata(Guid.NewGuid(), "report.pdf", "application/pdf", 5, new List<Guid> { Guid.NewGuid() });
+            await WriteFileAsync("tenant1", metadata, new Dictionary<Guid, string> { [chunkId] = "chunk" });
+            await WriteFileAsync("tenant2", existing, new Dictionary<Guid, string>());
+
+            _mockStorageService.Setup(s => s.CanStoreData(It.IsAny<string>(), It.IsAny<long>())).Returns(true);
+
+            // Act & Assert
+            await Assert.ThrowsExceptionAsync<InvalidOperationException>(
+                () => _service.CopyFileAsync("tenant1", fileId, "tenant2"));
+
+            _mockStorageService.Verify(s => s.RecordStorageUsed(It.IsAny<string>(), It.IsAny<long>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task MoveFileAsync_WithSameSourceAndTarget_ThrowsArgumentException()
+        {
+            // Act & Assert
+            await Assert.ThrowsExceptionAsync<ArgumentException>(
+                () => _service.MoveFileAsync("tenant1", Guid.NewGuid(), "tenant1"));
+        }
+
+        [TestMethod]
+        public async Task RenameFileAsync_ChangesNameAndKeepsChunks()
+        {
+            // Arrange
+            Guid fileId = Guid.NewGuid();
+            Guid chunkId = Guid.NewGuid();
+            ShelfFileMetadata metadata = new ShelfFileMetadata(fileId, "old.txt", "text/plain", 5, new List<Guid> { chunkId });
+            await WriteFileAsync("tenant1", metadata, new Dictionary<Guid, string> { [chunkId] = "chunk" });
+
+            // Act
+            ShelfFileMetadata? renamed = await _service.RenameFileAsync("tenant1", fileId, " new.txt ");
+
+            // Assert
+            Assert.IsNotNull(renamed);
+            Assert.AreEqual("new.txt", renamed.OriginalFilename);
+            ShelfFileMetadata? stored = await _service.GetFileMetadataAsync("tenant1", fileId);
+            Assert.AreEqual("new.txt", stored!.OriginalFilename);
+            CollectionAssert.AreEqual(new[] { chunkId }, stored.ChunkIds);
+            _mockStorageService.Verify(s => s.RecordFileStored(It.IsAny<string>(), It.IsAny<ShelfFileMetadata>()), Times.Never);
+            _mockStorageService.Verify(s => s.RecordFileRemoved(It.IsAny<string>(), It.IsAny<ShelfFileMetadata>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task RenameFileAsync_WhenSiblingHasName_ThrowsInvalidOperationException()
+        {
+            // Arrange
+            ShelfFileMetadata file = new ShelfFileMetadata(Guid.NewGuid(), "a.txt", "text/plain", 1, new List<Guid> { Guid.NewGuid() });
+            ShelfFileMetadata sibling = new ShelfFileMetadata(Guid.NewGuid(), "B.txt", "text/plain", 1, new List<Guid> { Guid.NewGuid() });
+            await WriteFileAsync("tenant1", file, new Dictionary<Guid, string>());
+            await WriteFileAsync("tenant1", sibling, new Dictionary<Guid, string>());
+
+            // Act & Assert
+            await Assert.ThrowsExceptionAsync<InvalidOperationException>(
+                () => _service.RenameFileAsync("tenant1", file.Id, "b.txt"));
+            Assert.AreEqual("a.txt", (await _service.GetFileMetadataAsync("tenant1", file.Id))!.OriginalFilename);
+        }
+
+        [TestMethod]
+        public async Task RenameFileAsync_WithInvalidName_ThrowsArgumentException()
+        {
+            // Act & Assert
+            await Assert.ThrowsExceptionAsync<ArgumentException>(
+                () => _service.RenameFileAsync("tenant1", Guid.NewGuid(), "folder/file.txt"));
+        }
+
+        [TestMethod]
+        public async Task RenameFileAsync_WhenFileDoesNotExist_ReturnsNull()
+        {
+            // Act
+            ShelfFileMetadata? renamed = await _service.RenameFileAsync("tenant1", Guid.NewGuid(), "new.txt");
+
+            // Assert
+            Assert.IsNull(renamed);
+        }
+
+        [TestMethod]
+        public async Task TrashFileAsync_MovesMetadataToTrashAndKeepsChunks()
+        {
+            // Arrange
+            Guid fileId = Guid.NewGuid();
+            Guid chunkId = Guid.NewGuid();
+            ShelfFileMetadata metadata = new ShelfFileMetadata(fileId, "test.txt", "text/plain", 5, new List<Guid> { chunkId });
+            await WriteFileAsync("tenant1", metadata, new Dictionary<Guid, string> { [chunkId] = "chunk" });
+
+            // Act
+            bool? result = await _service.TrashFileAsync("tenant1", fileId);
+
+            // Assert
+            Assert.AreEqual(true, result);
+            Assert.IsNull(await _service.GetFileMetadataAsync("tenant1", fileId));
+            Assert.IsTrue(File.Exists(Path.Combine(_tempStoragePath, "tenant1", "bin", $"{chunkId}.bin")));
+            List<ShelfFileMetadata> trashedFiles = (await _service.GetTrashedFilesAsync("tenant1")).ToList();
+            Assert.AreEqual(1, trashedFiles.Count);
+            Assert.AreEqual(fileId, trashedFiles[0].Id);
+            Assert.IsNotNull(trashedFiles[0].DeletedAt);
+            _mockStorageService.Verify(s => s.RecordFileRemoved(It.IsAny<string>(), It.IsAny<ShelfFileMetadata>()), Times.Never);
+            _mockStorageService.Verify(s => s.RecordStorageFreed(It.IsAny<string>(), It.IsAny<long>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task TrashFileAsync_WhenTrashHasFileWithSameId_KeepsBoth()
+        {
+            // Arrange
+            Guid fileId = Guid.NewGuid();
+            Guid earlierChunkId = Guid.NewGuid();
+            Guid chunkId = Guid.NewGuid();
+            ShelfFileMetadata earlier = new ShelfFileMetadata(fileId, "earlier.txt", "text/plain", 7, new List<Guid> { earlierChunkId });
+            ShelfFileMetadata metadata = new ShelfFileMetadata(fileId, "test.txt", "text/plain", 5, new List<Guid> { chunkId });
+            await WriteFileAsync("tenant1", earlier, new Dictionary<Guid, string> { [earlierChunkId] = "earlier" });
+            await _service.TrashFileAsync("tenant1", fileId);
+            await WriteFileAsync("tenant1", metadata, new Dictionary<Guid, string> { [chunkId] = "chunk" });
+
+            // Act
+            bool? result = await _service.TrashFileAsync("tenant1", fileId);
+
+            // Assert
+            Assert.AreEqual(true, result);
+            List<ShelfFileMetadata> trashedFiles = (await _service.GetTrashedFilesAsync("tenant1")).ToList();
+            Assert.AreEqual(2, trashedFiles.Count);
+            Assert.AreEqual("test.txt", trashedFiles.Single(file => file.Id == fileId).OriginalFilename);
+            Assert.AreEqual("earlier.txt", trashedFiles.Single(file => file.Id != fileId).OriginalFilename);
+            Assert.IsTrue(File.Exists(Path.Combine(_tempStoragePath, "tenant1", "bin", $"{earlierChunkId}.bin")));
+            _mockStorageService.Verify(s => s.RecordFileRemoved(It.IsAny<string>(), It.IsAny<ShelfFileMetadata>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task TrashFileAsync_WhenFileDoesNotExist_ReturnsNull()
+        {
+            // Act
+            bool? result = await _service.TrashFileAsync("tenant1", Guid.NewGuid());
+
+            // Assert
+            Assert.IsNull(result);
+        }
+
+        [TestMethod]
+        public async Task RestoreFileAsync_MovesFileBackFromTrash()
+        {
+            // Arrange
+            Guid fileId = Guid.NewGuid();
+            ShelfFileMetadata metadata = new ShelfFileMetadata(fileId, "test.txt", "text/plain", 5, new List<Guid> { Guid.NewGuid() });
+            await WriteFileAsync("tenant1", metadata, new Dictionary<Guid, string>());
+            await _service.TrashFileAsync("tenant1", fileId);
+
+            // Act
+            ShelfFileMetadata? restored = await _service.RestoreFileAsync("tenant1", fileId);
+
+            // Assert
+            Assert.IsNotNull(restored);
+            Assert.AreEqual(fileId, restored.Id);
+            Assert.AreEqual("test.txt", restored.OriginalFilename);
+            Assert.IsNull(restored.DeletedAt);
+            Assert.IsNotNull(await _service.GetFileMetadataAsync("tenant1", fileId));
+            Assert.AreEqual(0, (await _service.GetTrashedFilesAsync("tenant1")).Count());
+        }
+
+        [TestMethod]
+        public async Task RestoreFileAsync_WhenNameIsTaken_AddsNumber()
+        {
+            // Arrange
+            ShelfFileMetadata deleted = new ShelfFileMetadata(Guid.NewGuid(), "report.pdf", "application/pdf", 1, new List<Guid> { Guid.NewGuid() });
+            ShelfFileMetadata replacement = new ShelfFileMetadata(Guid.NewGuid(), "Report.pdf", "application/pdf", 1, new List<Guid> { Guid.NewGuid() });
+            await WriteFileAsync("tenant1", deleted, new Dictionary<Guid, string>());
+            await _service.TrashFileAsync("tenant1", deleted.Id);
+            await WriteFileAsync("tenant1", replacement, new Dictionary<Guid, string>());
+
+            // Act
+            ShelfFileMetadata? restored = await _service.RestoreFileAsync("tenant1", deleted.Id);
+
+            // Assert
+            Assert.IsNotNull(restored);
+            Assert.AreEqual("report (2).pdf", restored.OriginalFilename);
+            Assert.AreEqual("Report.pdf", (await _service.GetFileMetadataAsync("tenant1", replacement.Id))!.OriginalFilename);
+        }
+
+        [TestMethod]
+        public async Task RestoreFileAsync_WhenFileIsNotInTrash_ReturnsNull()
+        {
+            // Act
+            ShelfFileMetadata? restored = await _service.RestoreFileAsync("tenant1", Guid.NewGuid());
+
+            // Assert
+            Assert.IsNull(restored);
+        }
+
+        [TestMethod]
+        public async Task PurgeTrashedFileAsync_DeletesChunksAndFreesStorage()
         {
             // Arrange
-            string tenantId = "tenant1";
             Guid fileId = Guid.NewGuid();
-            Guid chunkId1 = Guid.NewGuid();
-            Guid chunkId2 = Guid.NewGuid();
-
-            ShelfFileMetadata metadata = new ShelfFileMetadata(fileId, "test.txt", "text/plain", 2048, new List<Guid> { chunkId1, chunkId2 });
+            Guid chunkId = Guid.NewGuid();
+            ShelfFileMetadata metadata = new ShelfFileMetadata(fileId, "test.txt", "text/plain", 5, new List<Guid> { chunkId });
+            await WriteFileAsync("tenant1", metadata, new Dictionary<Guid, string> { [chunkId] = "chunk" });
+            await _service.TrashFileAsync("tenant1", fileId);
 
-            string tenantMetadataPath = Path.Combine(_tempStoragePath, tenantId, "metadata");
-            string tenantBinPath = Path.Combine(_tempStoragePath, tenantId, "bin");
-            Directory.CreateDirectory(tenantMetadataPath);
-            Directory.CreateDirectory(tenantBinPath);
+            // Act
+            bool? result = await _service.PurgeTrashedFileAsync("tenant1", fileId);
 
-            // Create metadata file
-            await File.WriteAllTextAsync(Path.Combine(tenantMetadataPath, $"{fileId}.json"), JsonSerializer.Serialize(metadata, _jsonOptions));
+            // Assert
+            Assert.AreEqual(true, result);
+            Assert.AreEqual(0, (await _service.GetTrashedFilesAsync("tenant1")).Count());
+            Assert.IsFalse(File.Exists(Path.Combine(_tempStoragePath, "tenant1", "bin", $"{chunkId}.bin")));
+            _mockStorageService.Verify(s => s.RecordFileRemoved("tenant1", It.Is<ShelfFileMetadata>(m => m.Id == fileId)), Times.Once);
+            _mockStorageService.Verify(s => s.RecordStorageFreed("tenant1", 5), Times.Once);
+        }
 
-            // Create chunk files
-            await File.WriteAllTextAsync(Path.Combine(tenantBinPath, $"{chunkId1}.bin"), "chunk1");
-            await File.WriteAllTextAsync(Path.Combine(tenantBinPath, $"{chunkId2}.bin"), "chunk2");
+        [TestMethod]
+        public async Task PurgeTrashedFileAsync_WhenFileIsNotInTrash_ReturnsNull()
+        {
+            // Arrange
+            Guid fileId = Guid.NewGuid();
+            ShelfFileMetadata metadata = new ShelfFileMetadata(fileId, "test.txt", "text/plain", 5, new List<Guid> { Guid.NewGuid() });
+            await WriteFileAsync("tenant1", metadata, new Dictionary<Guid, string>());
 
             // Act
-            await _service.DeleteFileAsync(tenantId, fileId);
+            bool? result = await _service.PurgeTrashedFileAsync("tenant1", fileId);
 
             // Assert
-            Assert.IsFalse(File.Exists(Path.Combine(tenantMetadataPath, $"{fileId}.json")));
-            Assert.IsFalse(File.Exists(Path.Combine(tenantBinPath, $"{chunkId1}.bin")));
-            Assert.IsFalse(File.Exists(Path.Combine(tenantBinPath, $"{chunkId2}.bin")));
-
-            _mockStorageService.Verify(s => s.RecordStorageFreed(tenantId, It.IsAny<long>()), Times.Once);
+            Assert.IsNull(result);
+            Assert.IsNotNull(await _service.GetFileMetadataAsync("tenant1", fileId));
         }
 
         [TestMethod]
@@ -363,6 +1043,26 @@ namespace ByteShelf.Tests
             _mockStorageService.Verify(s => s.RecordStorageFreed(tenantId, It.IsAny<long>()), Times.Once);
         }
 
+        [TestMethod]
+        public async Task DeleteAllFilesAsync_AlsoDeletesFilesInTrash()
+        {
+            // Arrange
+            Guid chunkId = Guid.NewGuid();
+            ShelfFileMetadata kept = new ShelfFileMetadata(Guid.NewGuid(), "kept.txt", "text/plain", 1, new List<Guid> { Guid.NewGuid() });
+            ShelfFileMetadata trashed = new ShelfFileMetadata(Guid.NewGuid(), "trashed.txt", "text/plain", 5, new List<Guid> { chunkId });
+            await WriteFileAsync("tenant1", kept, new Dictionary<Guid, string>());
+            await WriteFileAsync("tenant1", trashed, new Dictionary<Guid, string> { [chunkId] = "chunk" });
+            await _service.TrashFileAsync("tenant1", trashed.Id);
+
+            // Act
+            int deletedCount = await _service.DeleteAllFilesAsync("tenant1");
+
+            // Assert
+            Assert.AreEqual(2, deletedCount);
+            Assert.AreEqual(0, (await _service.GetTrashedFilesAsync("tenant1")).Count());
+            Assert.IsFalse(File.Exists(Path.Combine(_tempStoragePath, "tenant1", "bin", $"{chunkId}.bin")));
+        }
+
         [TestMethod]
         public async Task DeleteAllFilesAsync_WhenMetadataFileIsCorrupted_ContinuesWithOtherFiles()
         {
@@ -430,6 +1130,367 @@ namespace ByteShelf.Tests
             Assert.ThrowsException<ArgumentNullException>(() => _service.CanStoreFile(null!, 1024));
         }
 
+        [TestMethod]
+        public async Task SaveUploadedFileAsync_WithNameOfExistingFile_KeepsIdAndPreviousContentAsVersion()
+        {
+            // Arrange
+            Guid oldChunkId = Guid.NewGuid();
+            Guid newChunkId = Guid.NewGuid();
+            ShelfFileMetadata existing = new ShelfFileMetadata(Guid.NewGuid(), "report.pdf", "application/pdf", 3, new List<Guid> { oldChunkId });
+            await WriteFileAsync("tenant1", existing, new Dictionary<Guid, string> { [oldChunkId] = "old", [newChunkId] = "new" });
+            ShelfFileMetadata upload = new ShelfFileMetadata(Guid.NewGuid(), "Report.pdf", "application/pdf", 3, new List<Guid> { newChunkId });
+
+            // Act
+            ShelfFileMetadata saved = await _service.SaveUploadedFileAsync("tenant1", upload, 5);
+
+            // Assert
+            Assert.AreEqual(existing.Id, saved.Id);
+            Assert.AreEqual(1, (await _service.GetFilesAsync("tenant1")).Count());
+            CollectionAssert.AreEqual(new List<Guid> { newChunkId }, (await _service.GetFileMetadataAsync("tenant1", existing.Id))!.ChunkIds);
+
+            List<ShelfFileMetadata> versions = (await _service.GetFileVersionsAsync("tenant1", existing.Id))!.ToList();
+            Assert.AreEqual(1, versions.Count);
+            Assert.AreNotEqual(existing.Id, versions[0].Id);
+            CollectionAssert.AreEqual(new List<Guid> { oldChunkId }, versions[0].ChunkIds);
+            Assert.IsTrue(File.Exists(Path.Combine(_tempStoragePath, "tenant1", "bin", $"{oldChunkId}.bin")));
+        }
+
+        [TestMethod]
+        public async Task SaveUploadedFileAsync_WithIdOfExistingFile_ThrowsAndKeepsFile()
+        {
+            // Arrange
+            Guid oldChunkId = Guid.NewGuid();
+            Guid newChunkId = Guid.NewGuid();
+            ShelfFileMetadata existing = new ShelfFileMetadata(Guid.NewGuid(), "report.pdf", "application/pdf", 3, new List<Guid> { oldChunkId });
+            await WriteFileAsync("tenant1", existing, new Dictionary<Guid, string> { [oldChunkId] = "old", [newChunkId] = "new" });
+            ShelfFileMetadata upload = new ShelfFileMetadata(existing.Id, "other.pdf", "application/pdf", 3, new List<Guid> { newChunkId });
+
+            // Act & Assert
+            await Assert.ThrowsExceptionAsync<InvalidOperationException>(
+                () => _service.SaveUploadedFileAsync("tenant1", upload, 5));
+
+            ShelfFileMetadata stored = (await _service.GetFileMetadataAsync("tenant1", existing.Id))!;
+            Assert.AreEqual("report.pdf", stored.OriginalFilename);
+            CollectionAssert.AreEqual(new List<Guid> { oldChunkId }, stored.ChunkIds);
+        }
+
+        [TestMethod]
+        public async Task SaveUploadedFileAsync_WithMatchingHashes_FillsInMissingChunkHashes()
+        {
+            // Arrange
+            Guid firstChunkId = Guid.NewGuid();
+            Guid secondChunkId = Guid.NewGuid();
+            await WriteChunksAsync("tenant1", new Dictionary<Guid, string> { [firstChunkId] = "hello ", [secondChunkId] = "world" });
+            ShelfFileMetadata upload = new ShelfFileMetadata(Guid.NewGuid(), "hello.txt", "text/plain", 11, new List<Guid> { firstChunkId, secondChunkId })
+            {
+                Sha256 = Sha256Hex("hello world").ToUpperInvariant(),
+                ChunkHashes = new List<string> { Sha256Hex("hello "), null! },
+            };
+
+            // Act
+            ShelfFileMetadata saved = await _service.SaveUploadedFileAsync("tenant1", upload, 5);
+
+            // Assert
+            Assert.AreEqual(Sha256Hex("hello world"), saved.Sha256);
+            CollectionAssert.AreEqual(new List<string> { Sha256Hex("hello "), Sha256Hex("world") }, saved.ChunkHashes);
+        }
+
+        [TestMethod]
+        public async Task SaveUploadedFileAsync_WithChunkHashOfOtherData_ThrowsAndSavesNothing()
+        {
+            // Arrange
+            Guid chunkId = Guid.NewGuid();
+            await WriteChunksAsync("tenant1", new Dictionary<Guid, string> { [chunkId] = "stored" });
+            ShelfFileMetadata upload = new ShelfFileMetadata(Guid.NewGuid(), "claimed.txt", "text/plain", 7, new List<Guid> { chunkId })
+            {
+                ChunkHashes = new List<string> { Sha256Hex("claimed") },
+            };
+
+            // Act & Assert
+            await Assert.ThrowsExceptionAsync<InvalidDataException>(
+                () => _service.SaveUploadedFileAsync("tenant1", upload, 5));
+
+            Assert.AreEqual(0, (await _service.GetFilesAsync("tenant1")).Count());
+            _mockStorageService.Verify(s => s.RecordFileStored(It.IsAny<string>(), It.IsAny<ShelfFileMetadata>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task SaveUploadedFileAsync_WithFileHashOfOtherData_ThrowsInvalidDataException()
+        {
+            // Arrange
+            Guid chunkId = Guid.NewGuid();
+            await WriteChunksAsync("tenant1", new Dictionary<Guid, string> { [chunkId] = "stored" });
+            ShelfFileMetadata upload = new ShelfFileMetadata(Guid.NewGuid(), "claimed.txt", "text/plain", 6, new List<Guid> { chunkId })
+            {
+                Sha256 = Sha256Hex("claimed"),
+            };
+
+            // Act & Assert
+            await Assert.ThrowsExceptionAsync<InvalidDataException>(
+                () => _service.SaveUploadedFileAsync("tenant1", upload, 5));
+        }
+
+        [TestMethod]
+        public async Task SaveUploadedFileAsync_WithHashOfChunkNotUploaded_ThrowsInvalidDataException()
+        {
+            // Arrange
+            ShelfFileMetadata upload = new ShelfFileMetadata(Guid.NewGuid(), "missing.txt", "text/plain", 7, new List<Guid> { Guid.NewGuid() })
+            {
+                ChunkHashes = new List<string> { Sha256Hex("missing") },
+            };
+
+            // Act & Assert
+            await Assert.ThrowsExceptionAsync<InvalidDataException>(
+                () => _service.SaveUploadedFileAsync("tenant1", upload, 5));
+        }
+
+        [TestMethod]
+        public async Task SaveUploadedFileAsync_WithEncryptedFile_DoesNotCheckFileHash()
+        {
+            // Arrange
+            Guid chunkId = Guid.NewGuid();
+            await WriteChunksAsync("tenant1", new Dictionary<Guid, string> { [chunkId] = "ciphertext" });
+            ShelfFileMetadata upload = new ShelfFileMetadata(Guid.NewGuid(), "secret.txt", "text/plain", 9, new List<Guid> { chunkId })
+            {
+                Sha256 = Sha256Hex("plaintext"),
+                ChunkHashes = new List<string> { Sha256Hex("ciphertext") },
+                Encryption = new FileEncryptionInfo(),
+            };
+
+            // Act
+            ShelfFileMetadata saved = await _service.SaveUploadedFileAsync("tenant1", upload, 5);
+
+            // Assert
+            Assert.AreEqual(Sha256Hex("plaintext"), saved.Sha256);
+        }
+
+        [TestMethod]
+        public async Task SaveUploadedFileAsync_WithNewName_SavesSeparateFile()
+        {
+            // Arrange
+            ShelfFileMetadata existing = new ShelfFileMetadata(Guid.NewGuid(), "report.pdf", "application/pdf", 1, new List<Guid> { Guid.NewGuid() });
+            await WriteFileAsync("tenant1", existing, new Dictionary<Guid, string>());
+            ShelfFileMetadata upload = new ShelfFileMetadata(Guid.NewGuid(), "summary.pdf", "application/pdf", 1, new List<Guid> { Guid.NewGuid() });
+
+            // Act
+            ShelfFileMetadata saved = await _service.SaveUploadedFileAsync("tenant1", upload, 5);
+
+            // Assert
+            Assert.AreEqual(upload.Id, saved.Id);
+            Assert.AreEqual(2, (await _service.GetFilesAsync("tenant1")).Count());
+            Assert.AreEqual(0, (await _service.GetFileVersionsAsync("tenant1", existing.Id))!.Count());
+        }
+
+        [TestMethod]
+        public async Task SaveUploadedFileAsync_BeyondMaxVersions_RemovesOldestVersions()
+        {
+            // Arrange
+            List<Guid> chunkIds = new List<Guid> { Guid.NewGuid(), Guid.NewGuid(), Guid.NewGuid() };
+            ShelfFileMetadata existing = new ShelfFileMetadata(Guid.NewGuid(), "notes.txt", "text/plain", 1, new List<Guid> { chunkIds[0] })
+            {
+                CreatedAt = DateTimeOffset.UtcNow.AddDays(-2)
+            };
+            await WriteFileAsync("tenant1", existing, chunkIds.ToDictionary(chunkId => chunkId, chunkId => "x"));
+            await _service.SaveUploadedFileAsync("tenant1", new ShelfFileMetadata(Guid.NewGuid(), "notes.txt", "text/plain", 1, new List<Guid> { chunkIds[1] })
+            {
+                CreatedAt = DateTimeOffset.UtcNow.AddDays(-1)
+            }, 1);
+
+            // Act
+            await _service.SaveUploadedFileAsync("tenant1", new ShelfFileMetadata(Guid.NewGuid(), "notes.txt", "text/plain", 1, new List<Guid> { chunkIds[2] }), 1);
+
+            // Assert
+            List<ShelfFileMetadata> versions = (await _service.GetFileVersionsAsync("tenant1", existing.Id))!.ToList();
+            Assert.AreEqual(1, versions.Count);
+            CollectionAssert.AreEqual(new List<Guid> { chunkIds[1] }, versions[0].ChunkIds);
+            Assert.IsFalse(File.Exists(Path.Combine(_tempStoragePath, "tenant1", "bin", $"{chunkIds[0]}.bin")));
+            _mockStorageService.Verify(s => s.RecordStorageFreed("tenant1", 1), Times.Once);
+        }
+
+        [TestMethod]
+        public async Task SaveUploadedFileAsync_WithNoVersionsKept_ReleasesPreviousContent()
+        {
+            // Arrange
+            Guid oldChunkId = Guid.NewGuid();
+            ShelfFileMetadata existing = new ShelfFileMetadata(Guid.NewGuid(), "notes.txt", "text/plain", 3, new List<Guid> { oldChunkId });
+            await WriteFileAsync("tenant1", existing, new Dictionary<Guid, string> { [oldChunkId] = "old" });
+
+            // Act
+            ShelfFileMetadata saved = await _service.SaveUploadedFileAsync("tenant1", new ShelfFileMetadata(Guid.NewGuid(), "notes.txt", "text/plain", 3, new List<Guid> { Guid.NewGuid() }), 0);
+
+            // Assert
+            Assert.AreEqual(existing.Id, saved.Id);
+            Assert.AreEqual(0, (await _service.GetFileVersionsAsync("tenant1", existing.Id))!.Count());
+            Assert.IsFalse(File.Exists(Path.Combine(_tempStoragePath, "tenant1", "bin", $"{oldChunkId}.bin")));
+            Assert.IsFalse(Directory.Exists(Path.Combine(_tempStoragePath, "tenant1", "versions", existing.Id.ToString())));
+        }
+
+        [TestMethod]
+        public async Task GetFileVersionsAsync_WhenFileDoesNotExist_ReturnsNull()
+        {
+            // Act
+            IEnumerable<ShelfFileMetadata>? versions = await _service.GetFileVersionsAsync("tenant1", Guid.NewGuid());
+
+            // Assert
+            Assert.IsNull(versions);
+        }
+
+        [TestMethod]
+        public async Task GetFileVersionStreamAsync_ReturnsContentOfVersion()
+        {
+            // Arrange
+            Guid oldChunkId = Guid.NewGuid();
+            ShelfFileMetadata existing = new ShelfFileMetadata(Guid.NewGuid(), "notes.txt", "text/plain", 3, new List<Guid> { oldChunkId });
+            await WriteFileAsync("tenant1", existing, new Dictionary<Guid, string> { [oldChunkId] = "old" });
+            await _service.SaveUploadedFileAsync("tenant1", new ShelfFileMetadata(Guid.NewGuid(), "notes.txt", "text/plain", 3, new List<Guid> { Guid.NewGuid() }), 5);
+            Guid versionId = (await _service.GetFileVersionsAsync("tenant1", existing.Id))!.Single().Id;
+
+            // Act
+            using Stream stream = await _service.GetFileVersionStreamAsync("tenant1", existing.Id, versionId);
+            using StreamReader reader = new StreamReader(stream);
+
+            // Assert
+            Assert.AreEqual("old", await reader.ReadToEndAsync());
+        }
+
+        [TestMethod]
+        public async Task RestoreFileVersionAsync_MakesVersionCurrentAndKeepsReplacedContent()
+        {
+            // Arrange
+            Guid oldChunkId = Guid.NewGuid();
+            Guid newChunkId = Guid.NewGuid();
+            ShelfFileMetadata existing = new ShelfFileMetadata(Guid.NewGuid(), "notes.txt", "text/plain", 3, new List<Guid> { oldChunkId });
+            await WriteFileAsync("tenant1", existing, new Dictionary<Guid, string> { [oldChunkId] = "old", [newChunkId] = "new" });
+            await _service.SaveUploadedFileAsync("tenant1", new ShelfFileMetadata(Guid.NewGuid(), "notes.txt", "text/plain", 3, new List<Guid> { newChunkId }), 5);
+            Guid versionId = (await _service.GetFileVersionsAsync("tenant1", existing.Id))!.Single().Id;
+
+            // Act
+            ShelfFileMetadata? restored = await _service.RestoreFileVersionAsync("tenant1", existing.Id, versionId, "Phone backup", 5);
+
+            // Assert
+            Assert.IsNotNull(restored);
+            Assert.AreEqual(existing.Id, restored.Id);
+            Assert.AreEqual("Phone backup", restored.UploadedBy);
+            CollectionAssert.AreEqual(new List<Guid> { oldChunkId }, (await _service.GetFileMetadataAsync("tenant1", existing.Id))!.ChunkIds);
+
+            List<ShelfFileMetadata> versions = (await _service.GetFileVersionsAsync("tenant1", existing.Id))!.ToList();
+            Assert.AreEqual(1, versions.Count);
+            Assert.AreNotEqual(versionId, versions[0].Id);
+            CollectionAssert.AreEqual(new List<Guid> { newChunkId }, versions[0].ChunkIds);
+        }
+
+        [TestMethod]
+        public async Task RestoreFileVersionAsync_WhenVersionDoesNotExist_ReturnsNull()
+        {
+            // Arrange
+            ShelfFileMetadata existing = new ShelfFileMetadata(Guid.NewGuid(), "notes.txt", "text/plain", 1, new List<Guid> { Guid.NewGuid() });
+            await WriteFileAsync("tenant1", existing, new Dictionary<Guid, string>());
+
+            // Act
+            ShelfFileMetadata? restored = await _service.RestoreFileVersionAsync("tenant1", existing.Id, Guid.NewGuid(), null, 5);
+
+            // Assert
+            Assert.IsNull(restored);
+        }
+
+        [TestMethod]
+        public async Task SaveUploadedFileAsync_NewVersionWithoutLabels_KeepsLabelsOfFile()
+        {
+            // Arrange
+            ShelfFileMetadata existing = new ShelfFileMetadata(Guid.NewGuid(), "build.zip", "application/zip", 1, new List<Guid> { Guid.NewGuid() })
+            {
+                Tags = new List<string> { "nightly" },
+                Attributes = new Dictionary<string, string> { ["project"] = "apollo" }
+            };
+            await WriteFileAsync("tenant1", existing, new Dictionary<Guid, string>());
+
+            // Act
+            ShelfFileMetadata saved = await _service.SaveUploadedFileAsync("tenant1", new ShelfFileMetadata(Guid.NewGuid(), "build.zip", "application/zip", 1, new List<Guid> { Guid.NewGuid() }), 5);
+
+            // Assert
+            CollectionAssert.AreEqual(new List<string> { "nightly" }, saved.Tags);
+            Assert.AreEqual("apollo", saved.Attributes!["project"]);
+        }
+
+        [TestMethod]
+        public async Task UpdateFileLabelsAsync_NormalizesAndSavesLabels()
+        {
+            // Arrange
+            ShelfFileMetadata existing = new ShelfFileMetadata(Guid.NewGuid(), "build.zip", "application/zip", 1, new List<Guid> { Guid.NewGuid() });
+            await WriteFileAsync("tenant1", existing, new Dictionary<Guid, string>());
+
+            // Act
+            ShelfFileMetadata? updated = await _service.UpdateFileLabelsAsync(
+                "tenant1",
+                existing.Id,
+                new List<string> { " release ", "Release", "nightly" },
+                new Dictionary<string, string> { [" build "] = " 1234 " });
+
+            // Assert
+            Assert.IsNotNull(updated);
+            ShelfFileMetadata saved = (await _service.GetFileMetadataAsync("tenant1", existing.Id))!;
+            CollectionAssert.AreEqual(new List<string> { "release", "nightly" }, saved.Tags);
+            Assert.AreEqual("1234", saved.Attributes!["build"]);
+        }
+
+        [TestMethod]
+        public async Task UpdateFileLabelsAsync_WithoutLabels_RemovesThem()
+        {
+            // Arrange
+            ShelfFileMetadata existing = new ShelfFileMetadata(Guid.NewGuid(), "build.zip", "application/zip", 1, new List<Guid> { Guid.NewGuid() })
+            {
+                Tags = new List<string> { "nightly" }
+            };
+            await WriteFileAsync("tenant1", existing, new Dictionary<Guid, string>());
+
+            // Act
+            await _service.UpdateFileLabelsAsync("tenant1", existing.Id, new List<string>(), null);
+
+            // Assert
+            ShelfFileMetadata saved = (await _service.GetFileMetadataAsync("tenant1", existing.Id))!;
+            Assert.IsNull(saved.Tags);
+            Assert.IsNull(saved.Attributes);
+        }
+
+        [TestMethod]
+        public async Task UpdateFileLabelsAsync_WithInvalidLabel_ThrowsArgumentException()
+        {
+            // Arrange
+            ShelfFileMetadata existing = new ShelfFileMetadata(Guid.NewGuid(), "build.zip", "application/zip", 1, new List<Guid> { Guid.NewGuid() });
+            await WriteFileAsync("tenant1", existing, new Dictionary<Guid, string>());
+
+            // Act & Assert
+            await Assert.ThrowsExceptionAsync<ArgumentException>(() =>
+                _service.UpdateFileLabelsAsync("tenant1", existing.Id, null, new Dictionary<string, string> { ["a=b"] = "c" }));
+        }
+
+        [TestMethod]
+        public async Task UpdateFileLabelsAsync_WhenFileDoesNotExist_ReturnsNull()
+        {
+            // Act
+            ShelfFileMetadata? updated = await _service.UpdateFileLabelsAsync("tenant1", Guid.NewGuid(), new List<string> { "release" }, null);
+
+            // Assert
+            Assert.IsNull(updated);
+        }
+
+        [TestMethod]
+        public async Task DeleteFileAsync_AlsoDeletesVersions()
+        {
+            // Arrange
+            Guid oldChunkId = Guid.NewGuid();
+            ShelfFileMetadata existing = new ShelfFileMetadata(Guid.NewGuid(), "notes.txt", "text/plain", 3, new List<Guid> { oldChunkId });
+            await WriteFileAsync("tenant1", existing, new Dictionary<Guid, string> { [oldChunkId] = "old" });
+            await _service.SaveUploadedFileAsync("tenant1", new ShelfFileMetadata(Guid.NewGuid(), "notes.txt", "text/plain", 3, new List<Guid> { Guid.NewGuid() }), 5);
+
+            // Act
+            await _service.DeleteFileAsync("tenant1", existing.Id);
+
+            // Assert
+            Assert.IsFalse(Directory.Exists(Path.Combine(_tempStoragePath, "tenant1", "versions", existing.Id.ToString())));
+            Assert.IsFalse(File.Exists(Path.Combine(_tempStoragePath, "tenant1", "bin", $"{oldChunkId}.bin")));
+        }
+
         [TestMethod]
         public void CanStoreFile_WithEmptyTenantId_ThrowsArgumentException()
         {
@@ -498,6 +1559,36 @@ namespace ByteShelf.Tests
                 () => _service.DeleteFileAsync(null!, Guid.NewGuid()));
         }
 
+        private async Task WriteFileAsync(string tenantId, ShelfFileMetadata metadata, Dictionary<Guid, string> chunks)
+        {
+            string tenantMetadataPath = Path.Combine(_tempStoragePath, tenantId, "metadata");
+            string tenantBinPath = Path.Combine(_tempStoragePath, tenantId, "bin");
+            Directory.CreateDirectory(tenantMetadataPath);
+            Directory.CreateDirectory(tenantBinPath);
+
+            await File.WriteAllTextAsync(Path.Combine(tenantMetadataPath, $"{metadata.Id}.json"), JsonSerializer.Serialize(metadata, _jsonOptions));
+            foreach (KeyValuePair<Guid, string> chunk in chunks)
+            {
+                await File.WriteAllTextAsync(Path.Combine(tenantBinPath, $"{chunk.Key}.bin"), chunk.Value);
+            }
+        }
+
+        private async Task WriteChunksAsync(string tenantId, Dictionary<Guid, string> chunks)
+        {
+            string tenantBinPath = Path.Combine(_tempStoragePath, tenantId, "bin");
+            Directory.CreateDirectory(tenantBinPath);
+
+            foreach (KeyValuePair<Guid, string> chunk in chunks)
+            {
+                await File.WriteAllTextAsync(Path.Combine(tenantBinPath, $"{chunk.Key}.bin"), chunk.Value);
+            }
+        }
+
+        private static string Sha256Hex(string content)
+        {
+            return Convert.ToHexString(SHA256.HashData(Encoding.UTF8.GetBytes(content))).ToLowerInvariant();
+        }
+
         private class TestLogger<T> : ILogger<T>
         {
             public IDisposable? BeginScope<TState>(TState state) where TState : notnull => null;
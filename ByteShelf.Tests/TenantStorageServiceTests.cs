@@ -417,6 +417,61 @@ namespace ByteShelf.Tests
             Assert.IsTrue(_service.CanStoreData("child2", 200 * 1024 * 1024));
         }
 
+        [TestMethod]
+        public void CanMoveData_BetweenSubTenantsOfFullParent_OnlyChecksTheLimitsTheDataMovesInto()
+        {
+            // Arrange - Parent has 500MB, child2 has its own limit of 150MB
+            TenantConfiguration configWithSubTenants = new TenantConfiguration
+            {
+                RequireAuthentication = true,
+                Tenants = new Dictionary<string, TenantInfo>
+                {
+                    ["parent"] = new TenantInfo
+                    {
+                        ApiKey = "parent-key",
+                        DisplayName = "Parent Tenant",
+                        StorageLimitBytes = 500 * 1024 * 1024, // 500MB
+                        IsAdmin = false,
+                        SubTenants = new Dictionary<string, TenantInfo>
+                        {
+                            ["child1"] = new TenantInfo
+                            {
+                                ApiKey = "child1-key",
+                                DisplayName = "Child 1",
+                                StorageLimitBytes = 500 * 1024 * 1024,
+                                IsAdmin = false,
+                                SubTenants = new Dictionary<string, TenantInfo>()
+                            },
+                            ["child2"] = new TenantInfo
+                            {
+                                ApiKey = "child2-key",
+                                DisplayName = "Child 2",
+                                StorageLimitBytes = 150 * 1024 * 1024, // 150MB
+                                IsAdmin = false,
+                                SubTenants = new Dictionary<string, TenantInfo>()
+                            }
+                        }
+                    }
+                }
+            };
+
+            configWithSubTenants.Tenants["parent"].SubTenants["child1"].Parent = configWithSubTenants.Tenants["parent"];
+            configWithSubTenants.Tenants["parent"].SubTenants["child2"].Parent = configWithSubTenants.Tenants["parent"];
+
+            _mockConfigService.Setup(c => c.GetConfiguration()).Returns(configWithSubTenants);
+
+            // Child1 uses 400MB, Child2 uses 100MB, so the parent is full
+            _service.RecordStorageUsed("child1", 400 * 1024 * 1024);
+            _service.RecordStorageUsed("child2", 100 * 1024 * 1024);
+
+            // Act & Assert
+            Assert.IsFalse(_service.CanStoreData("child2", 50 * 1024 * 1024)); // Storing new data doesn't fit the parent
+            Assert.IsTrue(_service.CanMoveData("child1", "child2", 50 * 1024 * 1024, 50 * 1024 * 1024)); // Moving it within the parent does
+            Assert.IsFalse(_service.CanMoveData("child1", "child2", 50 * 1024 * 1024, 0)); // Unless the move frees nothing
+            Assert.IsFalse(_service.CanMoveData("child1", "child2", 60 * 1024 * 1024, 60 * 1024 * 1024)); // Child2's own limit still applies
+            Assert.IsTrue(_service.CanMoveData("child2", "parent", 50 * 1024 * 1024, 50 * 1024 * 1024)); // Moving up into the parent fits too
+        }
+
         [TestMethod]
         public void CanStoreData_WithSharedStorage_WhenParentHasUnlimitedStorage()
         {
@@ -673,6 +728,192 @@ namespace ByteShelf.Tests
             Assert.AreEqual(1024 * 1024 * 50, usage);
         }
 
+        [TestMethod]
+        public void RecordFileStored_WithSharedChunk_CountsReferencesAndLogicalUsage()
+        {
+            // Arrange
+            string tenantId = "tenant1";
+            Guid sharedChunkId = Guid.NewGuid();
+            ShelfFileMetadata file1 = new ShelfFileMetadata(Guid.NewGuid(), "a.txt", "text/plain", 100, new List<Guid> { sharedChunkId });
+            ShelfFileMetadata file2 = new ShelfFileMetadata(Guid.NewGuid(), "b.txt", "text/plain", 100, new List<Guid> { sharedChunkId });
+
+            // Act
+            _service.RecordFileStored(tenantId, file1);
+            _service.RecordFileStored(tenantId, file2);
+
+            // Assert
+            Assert.AreEqual(2, _service.GetChunkReferenceCount(tenantId, sharedChunkId));
+            Assert.AreEqual(200, _service.GetLogicalUsage(tenantId));
+            Assert.AreEqual(0, _service.GetChunkReferenceCount("tenant2", sharedChunkId));
+        }
+
+        [TestMethod]
+        public void RecordFileRemoved_WithSharedChunk_KeepsChunkReferencedByOtherFile()
+        {
+            // Arrange
+            string tenantId = "tenant1";
+            Guid sharedChunkId = Guid.NewGuid();
+            Guid ownChunkId = Guid.NewGuid();
+            ShelfFileMetadata file1 = new ShelfFileMetadata(Guid.NewGuid(), "a.txt", "text/plain", 200, new List<Guid> { sharedChunkId, ownChunkId });
+            ShelfFileMetadata file2 = new ShelfFileMetadata(Guid.NewGuid(), "b.txt", "text/plain", 100, new List<Guid> { sharedChunkId });
+            _service.RecordFileStored(tenantId, file1);
+            _service.RecordFileStored(tenantId, file2);
+
+            // Act
+            _service.RecordFileRemoved(tenantId, file1);
+
+            // Assert
+            Assert.AreEqual(1, _service.GetChunkReferenceCount(tenantId, sharedChunkId));
+            Assert.AreEqual(0, _service.GetChunkReferenceCount(tenantId, ownChunkId));
+            Assert.AreEqual(100, _service.GetLogicalUsage(tenantId));
+        }
+
+        [TestMethod]
+        public void FindChunkBySha256_ReturnsChunkUntilNoFileReferencesIt()
+        {
+            // Arrange
+            string tenantId = "tenant1";
+            Guid chunkId = Guid.NewGuid();
+            string sha256 = new string('a', 64);
+            ShelfFileMetadata metadata = new ShelfFileMetadata(Guid.NewGuid(), "a.txt", "text/plain", 100, new List<Guid> { chunkId });
+
+            // Act
+            _service.RecordChunkHash(tenantId, chunkId, sha256);
+            Guid? foundBeforeReferenced = _service.FindChunkBySha256(tenantId, sha256);
+            _service.RecordFileStored(tenantId, metadata);
+            Guid? foundWhileStored = _service.FindChunkBySha256(tenantId, sha256.ToUpperInvariant());
+            Guid? foundByOtherTenant = _service.FindChunkBySha256("tenant2", sha256);
+            _service.RecordFileRemoved(tenantId, metadata);
+            Guid? foundAfterRemoval = _service.FindChunkBySha256(tenantId, sha256);
+
+            // Assert
+            Assert.IsNull(foundBeforeReferenced);
+            Assert.AreEqual(chunkId, foundWhileStored);
+            Assert.IsNull(foundByOtherTenant);
+            Assert.IsNull(foundAfterRemoval);
+        }
+
+        [TestMethod]
+        public void FindChunkBySha256_IgnoresHashesInFileMetadata()
+        {
+            // Arrange
+            string tenantId = "tenant1";
+            string claimedSha256 = new string('a', 64);
+            ShelfFileMetadata metadata = new ShelfFileMetadata(Guid.NewGuid(), "a.txt", "text/plain", 100, new List<Guid> { Guid.NewGuid() })
+            {
+                ChunkHashes = new List<string> { claimedSha256 }
+            };
+
+            // Act
+            _service.RecordFileStored(tenantId, metadata);
+
+            // Assert
+            Assert.IsNull(_service.FindChunkBySha256(tenantId, claimedSha256));
+        }
+
+        [TestMethod]
+        public void RebuildUsageCache_IndexesHashesStoredWithChunks()
+        {
+            // Arrange
+            string tenantId = "tenant1";
+            string tenantDir = Path.Combine(_tempStoragePath, tenantId);
+            string metadataDir = Path.Combine(tenantDir, "metadata");
+            string binDir = Path.Combine(tenantDir, "bin");
+            Directory.CreateDirectory(metadataDir);
+            Directory.CreateDirectory(binDir);
+
+            Guid chunkId = Guid.NewGuid();
+            string storedSha256 = new string('b', 64);
+            string claimedSha256 = new string('c', 64);
+            File.WriteAllBytes(Path.Combine(binDir, $"{chunkId}.bin"), new byte[100]);
+            File.WriteAllText(Path.Combine(binDir, $"{chunkId}.sha256"), storedSha256);
+
+            ShelfFileMetadata metadata = new ShelfFileMetadata(Guid.NewGuid(), "a.bin", "application/octet-stream", 100, new List<Guid> { chunkId })
+            {
+                ChunkHashes = new List<string> { claimedSha256 }
+            };
+            File.WriteAllText(Path.Combine(metadataDir, $"{metadata.Id}.json"), JsonSerializer.Serialize(metadata));
+
+            // Act
+            _service.RebuildUsageCache();
+
+            // Assert
+            Assert.AreEqual(chunkId, _service.FindChunkBySha256(tenantId, storedSha256));
+            Assert.IsNull(_service.FindChunkBySha256(tenantId, claimedSha256));
+        }
+
+        [TestMethod]
+        public void RebuildUsageCache_CountsSharedChunksOncePhysically()
+        {
+            // Arrange
+            string tenantId = "tenant1";
+            string tenantDir = Path.Combine(_tempStoragePath, tenantId);
+            string metadataDir = Path.Combine(tenantDir, "metadata");
+            string binDir = Path.Combine(tenantDir, "bin");
+            Directory.CreateDirectory(metadataDir);
+            Directory.CreateDirectory(binDir);
+
+            Guid sharedChunkId = Guid.NewGuid();
+            File.WriteAllBytes(Path.Combine(binDir, $"{sharedChunkId}.bin"), new byte[1000]);
+
+            ShelfFileMetadata file1 = new ShelfFileMetadata(Guid.NewGuid(), "a.bin", "application/octet-stream", 1000, new List<Guid> { sharedChunkId });
+            ShelfFileMetadata file2 = new ShelfFileMetadata(Guid.NewGuid(), "b.bin", "application/octet-stream", 1000, new List<Guid> { sharedChunkId });
+            File.WriteAllText(Path.Combine(metadataDir, $"{file1.Id}.json"), JsonSerializer.Serialize(file1));
+            File.WriteAllText(Path.Combine(metadataDir, $"{file2.Id}.json"), JsonSerializer.Serialize(file2));
+
+            // Act
+            _service.RebuildUsageCache();
+
+            // Assert
+            Assert.AreEqual(1000, _service.GetCurrentUsage(tenantId));
+            Assert.AreEqual(2000, _service.GetLogicalUsage(tenantId));
+            Assert.AreEqual(2, _service.GetChunkReferenceCount(tenantId, sharedChunkId));
+        }
+
+        [TestMethod]
+        public void RebuildUsageCache_CountsFilesInTrash()
+        {
+            // Arrange
+            string tenantId = "tenant1";
+            string tenantDir = Path.Combine(_tempStoragePath, tenantId);
+            string metadataDir = Path.Combine(tenantDir, "metadata");
+            string trashDir = Path.Combine(tenantDir, "trash");
+            Directory.CreateDirectory(metadataDir);
+            Directory.CreateDirectory(trashDir);
+
+            CreateTestMetadataFile(metadataDir, "file1.json", 1024 * 1024 * 10); // 10MB
+            CreateTestMetadataFile(trashDir, "file2.json", 1024 * 1024 * 5); // 5MB
+
+            // Act
+            _service.RebuildUsageCache();
+
+            // Assert
+            long usage = _service.GetCurrentUsage(tenantId);
+            Assert.AreEqual(1024 * 1024 * 15, usage); // Files in the trash still count towards the quota
+        }
+
+        [TestMethod]
+        public void RebuildUsageCache_CountsEarlierFileVersions()
+        {
+            // Arrange
+            string tenantId = "tenant1";
+            string tenantDir = Path.Combine(_tempStoragePath, tenantId);
+            string metadataDir = Path.Combine(tenantDir, "metadata");
+            string versionsDir = Path.Combine(tenantDir, "versions", Guid.NewGuid().ToString());
+            Directory.CreateDirectory(metadataDir);
+            Directory.CreateDirectory(versionsDir);
+
+            CreateTestMetadataFile(metadataDir, "file1.json", 1024 * 1024 * 10); // 10MB
+            CreateTestMetadataFile(versionsDir, "version1.json", 1024 * 1024 * 4); // 4MB
+
+            // Act
+            _service.RebuildUsageCache();
+
+            // Assert
+            long usage = _service.GetCurrentUsage(tenantId);
+            Assert.AreEqual(1024 * 1024 * 14, usage); // Earlier versions still count towards the quota
+        }
+
         private void CreateTestMetadataFile(string metadataDir, string filename, long fileSize)
         {
             ShelfFileMetadata metadata = new ShelfFileMetadata(
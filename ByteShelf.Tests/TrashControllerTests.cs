@@ -0,0 +1,257 @@
+using ByteShelf.Controllers;
+using ByteShelf.Services;
+using ByteShelfCommon;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.VisualStudio.TestTools.UnitTesting;
+using Moq;
+
+namespace ByteShelf.Tests
+{
+    [TestClass]
+    public class TrashControllerTests
+    {
+        private TrashController _controller = null!;
+        private Mock<ITrashService> _mockTrashService = null!;
+        private Mock<IFileStorageService> _mockFileStorageService = null!;
+        private Mock<ITenantConfigurationService> _mockConfigService = null!;
+        private Mock<IAuditLogService> _mockAuditLogService = null!;
+        private Mock<HttpContext> _mockHttpContext = null!;
+
+        [TestInitialize]
+        public void Setup()
+        {
+            _mockTrashService = new Mock<ITrashService>();
+            _mockFileStorageService = new Mock<IFileStorageService>();
+            _mockConfigService = new Mock<ITenantConfigurationService>();
+            _mockAuditLogService = new Mock<IAuditLogService>();
+            _mockHttpContext = new Mock<HttpContext>();
+
+            Dictionary<object, object?> items = new Dictionary<object, object?> { ["TenantId"] = "tenant1" };
+            _mockHttpContext.Setup(c => c.Items).Returns(items);
+
+            // tenant1 has the folder "photos", and "other" belongs to another tenant
+            _mockConfigService.Setup(c => c.HasAccessToTenant("tenant1", "tenant1")).Returns(true);
+            _mockConfigService.Setup(c => c.HasAccessToTenant("tenant1", "photos")).Returns(true);
+            _mockConfigService.Setup(c => c.HasAccessToTenant("tenant1", "other")).Returns(false);
+            _mockConfigService.Setup(c => c.GetTenant("tenant1")).Returns(new TenantInfo());
+            _mockConfigService.Setup(c => c.GetTenant("photos")).Returns(new TenantInfo());
+            _mockConfigService.Setup(c => c.GetTenant("other")).Returns(new TenantInfo());
+
+            _controller = new TrashController(_mockTrashService.Object, _mockFileStorageService.Object, _mockConfigService.Object, _mockAuditLogService.Object);
+            _controller.ControllerContext = new ControllerContext
+            {
+                HttpContext = _mockHttpContext.Object
+            };
+        }
+
+        [TestMethod]
+        public void Constructor_WithNullAuditLogService_ThrowsArgumentNullException()
+        {
+            // Act & Assert
+            Assert.ThrowsException<ArgumentNullException>(() =>
+                new TrashController(_mockTrashService.Object, _mockFileStorageService.Object, _mockConfigService.Object, null!));
+        }
+
+        [TestMethod]
+        public async Task GetTrash_ReturnsTrashOfAuthenticatedTenant()
+        {
+            // Arrange
+            TrashContentsResponse contents = new TrashContentsResponse(new List<TrashedFile>(), new List<TrashedFolder>(), 30);
+            _mockTrashService.Setup(s => s.GetTrashContentsAsync("tenant1", It.IsAny<CancellationToken>())).ReturnsAsync(contents);
+
+            // Act
+            ActionResult<TrashContentsResponse> result = await _controller.GetTrash(CancellationToken.None);
+
+            // Assert
+            Assert.AreSame(contents, ((OkObjectResult)result.Result!).Value);
+        }
+
+        [TestMethod]
+        public async Task RestoreFile_InSubtenant_ReturnsRestoredFile()
+        {
+            // Arrange
+            Guid fileId = Guid.NewGuid();
+            ShelfFileMetadata metadata = new ShelfFileMetadata(fileId, "beach.jpg", "image/jpeg", 5, new List<Guid> { Guid.NewGuid() });
+            _mockFileStorageService
+                .Setup(s => s.RestoreFileAsync("photos", fileId, It.IsAny<CancellationToken>()))
+                .ReturnsAsync(metadata);
+
+            // Act
+            ActionResult<ShelfFileMetadata> result = await _controller.RestoreFile("photos", fileId, CancellationToken.None);
+
+            // Assert
+            Assert.AreSame(metadata, ((OkObjectResult)result.Result!).Value);
+            _mockAuditLogService.Verify(s => s.RecordAsync(It.Is<AuditLogEntry>(entry =>
+                entry.Action == AuditAction.FileRestored &&
+                entry.TargetTenantId == "photos" &&
+                entry.TargetName == "beach.jpg")), Times.Once);
+        }
+
+        [TestMethod]
+        public async Task RestoreFile_OfAnotherTenant_ReturnsUnauthorizedWithoutRestoring()
+        {
+            // Act
+            ActionResult<ShelfFileMetadata> result = await _controller.RestoreFile("other", Guid.NewGuid(), CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result.Result, typeof(UnauthorizedResult));
+            _mockFileStorageService.Verify(s => s.RestoreFileAsync(It.IsAny<string>(), It.IsAny<Guid>(), It.IsAny<CancellationToken>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task RestoreFile_WhenFileIsNotInTrash_ReturnsNotFound()
+        {
+            // Arrange
+            _mockFileStorageService
+                .Setup(s => s.RestoreFileAsync("tenant1", It.IsAny<Guid>(), It.IsAny<CancellationToken>()))
+                .ReturnsAsync((ShelfFileMetadata?)null);
+
+            // Act
+            ActionResult<ShelfFileMetadata> result = await _controller.RestoreFile("tenant1", Guid.NewGuid(), CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result.Result, typeof(NotFoundResult));
+        }
+
+        [TestMethod]
+        public async Task PurgeFile_InSubtenant_PurgesAndRecordsInAuditLog()
+        {
+            // Arrange
+            Guid fileId = Guid.NewGuid();
+            _mockFileStorageService
+                .Setup(s => s.PurgeTrashedFileAsync("photos", fileId, It.IsAny<CancellationToken>()))
+                .ReturnsAsync(true);
+
+            // Act
+            ActionResult result = await _controller.PurgeFile("photos", fileId, CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(NoContentResult));
+            _mockAuditLogService.Verify(s => s.RecordAsync(It.Is<AuditLogEntry>(entry =>
+                entry.Action == AuditAction.FilePurged &&
+                entry.TenantId == "tenant1" &&
+                entry.TargetTenantId == "photos" &&
+                entry.TargetId == fileId.ToString())), Times.Once);
+        }
+
+        [TestMethod]
+        public async Task PurgeFile_OfAnotherTenant_ReturnsUnauthorizedWithoutPurging()
+        {
+            // Act
+            ActionResult result = await _controller.PurgeFile("other", Guid.NewGuid(), CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(UnauthorizedResult));
+            _mockFileStorageService.Verify(s => s.PurgeTrashedFileAsync(It.IsAny<string>(), It.IsAny<Guid>(), It.IsAny<CancellationToken>()), Times.Never);
+            _mockAuditLogService.Verify(s => s.RecordAsync(It.IsAny<AuditLogEntry>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task PurgeFile_WhenTenantDoesNotExist_ReturnsNotFound()
+        {
+            // Arrange
+            _mockConfigService.Setup(c => c.HasAccessToTenant("tenant1", "deleted")).Returns(true);
+            _mockConfigService.Setup(c => c.GetTenant("deleted")).Returns((TenantInfo?)null);
+
+            // Act
+            ActionResult result = await _controller.PurgeFile("deleted", Guid.NewGuid(), CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(NotFoundResult));
+            _mockFileStorageService.Verify(s => s.PurgeTrashedFileAsync(It.IsAny<string>(), It.IsAny<Guid>(), It.IsAny<CancellationToken>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task PurgeFile_WhenFileIsNotInTrash_ReturnsNotFoundWithoutRecordingInAuditLog()
+        {
+            // Arrange
+            _mockFileStorageService
+                .Setup(s => s.PurgeTrashedFileAsync("tenant1", It.IsAny<Guid>(), It.IsAny<CancellationToken>()))
+                .ReturnsAsync((bool?)null);
+
+            // Act
+            ActionResult result = await _controller.PurgeFile("tenant1", Guid.NewGuid(), CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(NotFoundResult));
+            _mockAuditLogService.Verify(s => s.RecordAsync(It.IsAny<AuditLogEntry>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task RestoreFolder_RestoresAndRecordsInAuditLog()
+        {
+            // Arrange
+            _mockConfigService.Setup(c => c.RestoreSubTenantAsync("tenant1", "photos")).ReturnsAsync(true);
+            _mockConfigService.Setup(c => c.GetTenant("photos")).Returns(new TenantInfo { DisplayName = "Photos" });
+
+            // Act
+            IActionResult result = await _controller.RestoreFolder("photos");
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(OkResult));
+            _mockAuditLogService.Verify(s => s.RecordAsync(It.Is<AuditLogEntry>(entry =>
+                entry.Action == AuditAction.FolderRestored &&
+                entry.TargetId == "photos" &&
+                entry.TargetName == "Photos")), Times.Once);
+        }
+
+        [TestMethod]
+        public async Task RestoreFolder_WhenParentIsFull_ReturnsBadRequest()
+        {
+            // Arrange
+            _mockConfigService
+                .Setup(c => c.RestoreSubTenantAsync("tenant1", "photos"))
+                .ThrowsAsync(new InvalidOperationException("Maximum number of subtenants reached"));
+
+            // Act
+            IActionResult result = await _controller.RestoreFolder("photos");
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(BadRequestObjectResult));
+        }
+
+        [TestMethod]
+        public async Task RestoreFolder_WhenNotInTrash_ReturnsNotFound()
+        {
+            // Arrange
+            _mockConfigService.Setup(c => c.RestoreSubTenantAsync("tenant1", "photos")).ReturnsAsync(false);
+
+            // Act
+            IActionResult result = await _controller.RestoreFolder("photos");
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(NotFoundObjectResult));
+        }
+
+        [TestMethod]
+        public async Task PurgeFolder_PurgesAndRecordsInAuditLog()
+        {
+            // Arrange
+            _mockTrashService.Setup(s => s.PurgeFolderAsync("tenant1", "photos", It.IsAny<CancellationToken>())).ReturnsAsync(true);
+
+            // Act
+            IActionResult result = await _controller.PurgeFolder("photos", CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(NoContentResult));
+            _mockAuditLogService.Verify(s => s.RecordAsync(It.Is<AuditLogEntry>(entry =>
+                entry.Action == AuditAction.FolderPurged &&
+                entry.TargetId == "photos")), Times.Once);
+        }
+
+        [TestMethod]
+        public async Task PurgeFolder_WhenNotInTrash_ReturnsNotFoundWithoutRecordingInAuditLog()
+        {
+            // Arrange
+            _mockTrashService.Setup(s => s.PurgeFolderAsync("tenant1", "photos", It.IsAny<CancellationToken>())).ReturnsAsync(false);
+
+            // Act
+            IActionResult result = await _controller.PurgeFolder("photos", CancellationToken.None);
+
+            // Assert
+            Assert.IsInstanceOfType(result, typeof(NotFoundObjectResult));
+            _mockAuditLogService.Verify(s => s.RecordAsync(It.IsAny<AuditLogEntry>()), Times.Never);
+        }
+    }
+}
@@ -0,0 +1,255 @@
+using ByteShelf.Configuration;
+using ByteShelf.Services;
+using ByteShelfCommon;
+using Microsoft.Extensions.Logging;
+using Microsoft.VisualStudio.TestTools.UnitTesting;
+using Moq;
+
+namespace ByteShelf.Tests
+{
+    [TestClass]
+    public class TrashServiceTests
+    {
+        private Mock<IFileStorageService> _mockFileStorageService = null!;
+        private Mock<ITenantConfigurationService> _mockConfigService = null!;
+        private Mock<IStorageService> _mockStorageService = null!;
+        private Mock<IAuditLogService> _mockAuditLogService = null!;
+        private TrashConfiguration _configuration = null!;
+        private TenantConfiguration _tenantConfiguration = null!;
+        private TrashService _service = null!;
+
+        [TestInitialize]
+        public void Setup()
+        {
+            _mockFileStorageService = new Mock<IFileStorageService>();
+            _mockConfigService = new Mock<ITenantConfigurationService>();
+            _mockStorageService = new Mock<IStorageService>();
+            _mockAuditLogService = new Mock<IAuditLogService>();
+            _configuration = new TrashConfiguration { RetentionDays = 30 };
+            _tenantConfiguration = new TenantConfiguration();
+
+            _mockConfigService.Setup(c => c.GetConfiguration()).Returns(_tenantConfiguration);
+            _mockFileStorageService.Setup(f => f.GetTrashedFilesAsync(It.IsAny<string>(), It.IsAny<CancellationToken>()))
+                .ReturnsAsync(Enumerable.Empty<ShelfFileMetadata>());
+
+            _service = new TrashService(
+                _mockFileStorageService.Object,
+                _mockConfigService.Object,
+                _mockStorageService.Object,
+                _mockAuditLogService.Object,
+                _configuration,
+                new Mock<ILogger<TrashService>>().Object);
+        }
+
+        [TestMethod]
+        public void Constructor_ThrowsArgumentNullException_WhenConfigurationIsNull()
+        {
+            // Act & Assert
+            Assert.ThrowsException<ArgumentNullException>(() => new TrashService(
+                _mockFileStorageService.Object,
+                _mockConfigService.Object,
+                _mockStorageService.Object,
+                _mockAuditLogService.Object,
+                null!,
+                new Mock<ILogger<TrashService>>().Object));
+        }
+
+        [TestMethod]
+        public void Constructor_ThrowsArgumentNullException_WhenAuditLogServiceIsNull()
+        {
+            // Act & Assert
+            Assert.ThrowsException<ArgumentNullException>(() => new TrashService(
+                _mockFileStorageService.Object,
+                _mockConfigService.Object,
+                _mockStorageService.Object,
+                null!,
+                _configuration,
+                new Mock<ILogger<TrashService>>().Object));
+        }
+
+        [TestMethod]
+        public async Task GetTrashContentsAsync_ReturnsFilesAndFoldersOfNestedSubTenants()
+        {
+            // Arrange
+            TenantInfo deletedFolder = new TenantInfo { DisplayName = "Old", DeletedAt = DateTimeOffset.UtcNow.AddDays(-2) };
+            TenantInfo photos = new TenantInfo { DisplayName = "Photos" };
+            photos.DeletedSubTenants["old"] = deletedFolder;
+            TenantInfo tenant = new TenantInfo { DisplayName = "Tenant" };
+            tenant.SubTenants["photos"] = photos;
+
+            ShelfFileMetadata deletedFile = new ShelfFileMetadata(Guid.NewGuid(), "beach.jpg", "image/jpeg", 10, new List<Guid>())
+            {
+                DeletedAt = DateTimeOffset.UtcNow.AddDays(-1)
+            };
+
+            _mockConfigService.Setup(c => c.GetTenant("tenant1")).Returns(tenant);
+            _mockFileStorageService.Setup(f => f.GetTrashedFilesAsync("photos", It.IsAny<CancellationToken>()))
+                .ReturnsAsync(new[] { deletedFile });
+            _mockStorageService.Setup(s => s.GetTotalLogicalUsageIncludingSubTenants("old")).Returns(500);
+
+            // Act
+            TrashContentsResponse trash = await _service.GetTrashContentsAsync("tenant1");
+
+            // Assert
+            Assert.AreEqual(30, trash.RetentionDays);
+
+            Assert.AreEqual(1, trash.Files.Count);
+            Assert.AreEqual("photos", trash.Files[0].TenantId);
+            Assert.AreEqual(deletedFile.Id, trash.Files[0].File.Id);
+            Assert.AreEqual("Photos", trash.Files[0].Path.Single().DisplayName);
+            Assert.AreEqual(deletedFile.DeletedAt!.Value.AddDays(30), trash.Files[0].PurgeAt);
+
+            Assert.AreEqual(1, trash.Folders.Count);
+            Assert.AreEqual("old", trash.Folders[0].TenantId);
+            Assert.AreEqual("Old", trash.Folders[0].DisplayName);
+            Assert.AreEqual(500, trash.Folders[0].SizeBytes);
+            Assert.AreEqual("Photos", trash.Folders[0].Path.Single().DisplayName);
+        }
+
+        [TestMethod]
+        public async Task GetTrashContentsAsync_DoesNotListContentsOfDeletedSubTenants()
+        {
+            // Arrange
+            TenantInfo deletedFolder = new TenantInfo { DisplayName = "Old", DeletedAt = DateTimeOffset.UtcNow };
+            TenantInfo tenant = new TenantInfo { DisplayName = "Tenant" };
+            tenant.DeletedSubTenants["old"] = deletedFolder;
+
+            _mockConfigService.Setup(c => c.GetTenant("tenant1")).Returns(tenant);
+
+            // Act
+            TrashContentsResponse trash = await _service.GetTrashContentsAsync("tenant1");
+
+            // Assert
+            Assert.AreEqual(1, trash.Folders.Count);
+            _mockFileStorageService.Verify(f => f.GetTrashedFilesAsync("old", It.IsAny<CancellationToken>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task PurgeFolderAsync_DeletesFilesOfFolderAndDescendants()
+        {
+            // Arrange
+            string tenantId = "tenant1";
+            string subTenantId = "subtenant1";
+            List<string> descendantIds = new List<string> { "child1", "grandchild1" };
+
+            _mockConfigService.Setup(c => c.GetDeletedSubTenant(tenantId, subTenantId)).Returns(new TenantInfo());
+            _mockConfigService.Setup(c => c.GetAllDescendantTenantIds(subTenantId)).Returns(descendantIds);
+            _mockConfigService.Setup(c => c.DeleteSubTenantAsync(tenantId, subTenantId)).ReturnsAsync(true);
+            _mockFileStorageService.Setup(f => f.DeleteAllFilesRecursivelyAsync(subTenantId, It.IsAny<IEnumerable<string>>(), It.IsAny<CancellationToken>()))
+                .ReturnsAsync(3);
+
+            // Act
+            bool result = await _service.PurgeFolderAsync(tenantId, subTenantId);
+
+            // Assert
+            Assert.IsTrue(result);
+            _mockFileStorageService.Verify(f => f.DeleteAllFilesRecursivelyAsync(
+                subTenantId,
+                It.Is<IEnumerable<string>>(ids => ids.SequenceEqual(descendantIds)),
+                It.IsAny<CancellationToken>()), Times.Once);
+            _mockFileStorageService.Verify(f => f.CleanupEmptyDirectoriesAsync(
+                subTenantId,
+                It.Is<IEnumerable<string>>(ids => ids.SequenceEqual(descendantIds)),
+                It.IsAny<CancellationToken>()), Times.Once);
+            _mockConfigService.Verify(c => c.DeleteSubTenantAsync(tenantId, subTenantId), Times.Once);
+        }
+
+        [TestMethod]
+        public async Task PurgeFolderAsync_ReturnsFalse_WhenSubTenantIsNotInTrash()
+        {
+            // Arrange
+            _mockConfigService.Setup(c => c.GetDeletedSubTenant("tenant1", "subtenant1")).Returns((TenantInfo?)null);
+
+            // Act
+            bool result = await _service.PurgeFolderAsync("tenant1", "subtenant1");
+
+            // Assert
+            Assert.IsFalse(result);
+            _mockFileStorageService.Verify(f => f.DeleteAllFilesRecursivelyAsync(It.IsAny<string>(), It.IsAny<IEnumerable<string>>(), It.IsAny<CancellationToken>()), Times.Never);
+            _mockConfigService.Verify(c => c.DeleteSubTenantAsync(It.IsAny<string>(), It.IsAny<string>()), Times.Never);
+        }
+
+        [TestMethod]
+        public async Task PurgeExpiredItemsAsync_PurgesOnlyItemsOlderThanRetentionPeriod()
+        {
+            // Arrange
+            TenantInfo tenant = new TenantInfo { DisplayName = "Tenant" };
+            tenant.DeletedSubTenants["expired"] = new TenantInfo { DisplayName = "Expired", DeletedAt = DateTimeOffset.UtcNow.AddDays(-31) };
+            tenant.DeletedSubTenants["recent"] = new TenantInfo { DisplayName = "Recent", DeletedAt = DateTimeOffset.UtcNow.AddDays(-1) };
+            _tenantConfiguration.Tenants["tenant1"] = tenant;
+
+            ShelfFileMetadata expiredFile = new ShelfFileMetadata(Guid.NewGuid(), "old.txt", "text/plain", 1, new List<Guid>())
+            {
+                DeletedAt = DateTimeOffset.UtcNow.AddDays(-40)
+            };
+            ShelfFileMetadata recentFile = new ShelfFileMetadata(Guid.NewGuid(), "new.txt", "text/plain", 1, new List<Guid>())
+            {
+                DeletedAt = DateTimeOffset.UtcNow
+            };
+
+            _mockConfigService.Setup(c => c.GetTenant("tenant1")).Returns(tenant);
+            _mockConfigService.Setup(c => c.GetDeletedSubTenant("tenant1", "expired")).Returns(tenant.DeletedSubTenants["expired"]);
+            _mockConfigService.Setup(c => c.GetAllDescendantTenantIds("expired")).Returns(Enumerable.Empty<string>());
+            _mockConfigService.Setup(c => c.DeleteSubTenantAsync("tenant1", "expired")).ReturnsAsync(true);
+            _mockFileStorageService.Setup(f => f.GetTrashedFilesAsync("tenant1", It.IsAny<CancellationToken>()))
+                .ReturnsAsync(new[] { expiredFile, recentFile });
+            _mockFileStorageService.Setup(f => f.PurgeTrashedFileAsync("tenant1", expiredFile.Id, It.IsAny<CancellationToken>()))
+                .ReturnsAsync(true);
+
+            // Act
+            int purgedCount = await _service.PurgeExpiredItemsAsync();
+
+            // Assert
+            Assert.AreEqual(2, purgedCount);
+            _mockFileStorageService.Verify(f => f.PurgeTrashedFileAsync("tenant1", expiredFile.Id, It.IsAny<CancellationToken>()), Times.Once);
+            _mockFileStorageService.Verify(f => f.PurgeTrashedFileAsync("tenant1", recentFile.Id, It.IsAny<CancellationToken>()), Times.Never);
+            _mockConfigService.Verify(c => c.DeleteSubTenantAsync("tenant1", "expired"), Times.Once);
+            _mockConfigService.Verify(c => c.DeleteSubTenantAsync("tenant1", "recent"), Times.Never);
+            _mockAuditLogService.Verify(s => s.RecordAsync(It.Is<AuditLogEntry>(entry =>
+                entry.Action == AuditAction.FilePurged &&
+                entry.TenantId == null &&
+                entry.TargetTenantId == "tenant1" &&
+                entry.TargetId == expiredFile.Id.ToString() &&
+                entry.TargetName == "old.txt" &&
+                entry.Details == "In the trash for more than 30 days")), Times.Once);
+            _mockAuditLogService.Verify(s => s.RecordAsync(It.Is<AuditLogEntry>(entry =>
+                entry.Action == AuditAction.FolderPurged &&
+                entry.TargetTenantId == "tenant1" &&
+                entry.TargetId == "expired" &&
+                entry.TargetName == "Expired")), Times.Once);
+            _mockAuditLogService.Verify(s => s.RecordAsync(It.IsAny<AuditLogEntry>()), Times.Exactly(2));
+        }
+
+        [TestMethod]
+        public async Task PurgeExpiredItemsAsync_ContinuesWithOtherItems_WhenPurgingAnItemFails()
+        {
+            // Arrange
+            TenantInfo tenant = new TenantInfo { DisplayName = "Tenant" };
+            _tenantConfiguration.Tenants["tenant1"] = tenant;
+
+            ShelfFileMetadata brokenFile = new ShelfFileMetadata(Guid.NewGuid(), "broken.txt", "text/plain", 1, new List<Guid>())
+            {
+                DeletedAt = DateTimeOffset.UtcNow.AddDays(-40)
+            };
+            ShelfFileMetadata expiredFile = new ShelfFileMetadata(Guid.NewGuid(), "old.txt", "text/plain", 1, new List<Guid>())
+            {
+                DeletedAt = DateTimeOffset.UtcNow.AddDays(-50)
+            };
+
+            _mockConfigService.Setup(c => c.GetTenant("tenant1")).Returns(tenant);
+            _mockFileStorageService.Setup(f => f.GetTrashedFilesAsync("tenant1", It.IsAny<CancellationToken>()))
+                .ReturnsAsync(new[] { brokenFile, expiredFile });
+            _mockFileStorageService.Setup(f => f.PurgeTrashedFileAsync("tenant1", brokenFile.Id, It.IsAny<CancellationToken>()))
+                .ThrowsAsync(new IOException("Disk error"));
+            _mockFileStorageService.Setup(f => f.PurgeTrashedFileAsync("tenant1", expiredFile.Id, It.IsAny<CancellationToken>()))
+                .ReturnsAsync(true);
+
+            // Act
+            int purgedCount = await _service.PurgeExpiredItemsAsync();
+
+            // Assert
+            Assert.AreEqual(1, purgedCount);
+            _mockFileStorageService.Verify(f => f.PurgeTrashedFileAsync("tenant1", expiredFile.Id, It.IsAny<CancellationToken>()), Times.Once);
+        }
+    }
+}
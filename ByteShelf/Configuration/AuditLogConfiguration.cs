@@ -0,0 +1,21 @@
+namespace ByteShelf.Configuration
+{
+    /// <summary>
+    /// Configuration settings for the audit log of file, folder and tenant operations.
+    /// </summary>
+    /// <remarks>
+    /// The settings can be configured through the "AuditLogConfiguration" section in appsettings.json
+    /// or via environment variables.
+    /// </remarks>
+    public class AuditLogConfiguration
+    {
+        /// <summary>
+        /// Gets or sets how many months of the audit log are kept, counting the current month.
+        /// </summary>
+        /// <remarks>
+        /// The log is written to one file per month, and a file is deleted once its month is no longer kept.
+        /// Set it to 0 to keep the whole log. The default value is 12 months.
+        /// </remarks>
+        public int RetentionMonths { get; set; } = 12;
+    }
+}
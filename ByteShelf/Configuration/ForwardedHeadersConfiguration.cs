@@ -0,0 +1,30 @@
+namespace ByteShelf.Configuration
+{
+    /// <summary>
+    /// Configuration settings for the reverse proxies ByteShelf runs behind.
+    /// </summary>
+    /// <remarks>
+    /// The settings can be configured through the "ForwardedHeadersConfiguration" section in appsettings.json
+    /// or via environment variables.
+    /// </remarks>
+    public class ForwardedHeadersConfiguration
+    {
+        /// <summary>
+        /// Gets or sets the IP addresses of the proxies whose X-Forwarded-For and X-Forwarded-Proto headers are trusted.
+        /// </summary>
+        /// <remarks>
+        /// Requests from any other address keep their connection address, so clients can't choose the IP
+        /// that rate limiting and the audit log use by sending the headers themselves.
+        /// The default is to trust only proxies on the loopback address.
+        /// </remarks>
+        public List<string> KnownProxies { get; set; } = new List<string>();
+
+        /// <summary>
+        /// Gets or sets the networks of the proxies whose forwarded headers are trusted, in CIDR notation (e.g. "10.0.0.0/8").
+        /// </summary>
+        /// <remarks>
+        /// Useful when the proxy's address isn't fixed, for example in a container network.
+        /// </remarks>
+        public List<string> KnownNetworks { get; set; } = new List<string>();
+    }
+}
@@ -0,0 +1,29 @@
+namespace ByteShelf.Configuration
+{
+    /// <summary>
+    /// Configuration settings for the trash that deleted files and folders are moved to.
+    /// </summary>
+    /// <remarks>
+    /// The settings can be configured through the "TrashConfiguration" section in appsettings.json
+    /// or via environment variables.
+    /// </remarks>
+    public class TrashConfiguration
+    {
+        /// <summary>
+        /// Gets or sets how many days deleted files and folders stay in the trash before they are purged.
+        /// </summary>
+        /// <remarks>
+        /// Items in the trash still count towards the storage quota, so a shorter period frees up space sooner.
+        /// The default value is 30 days.
+        /// </remarks>
+        public int RetentionDays { get; set; } = 30;
+
+        /// <summary>
+        /// Gets or sets how often the server looks for items to purge from the trash, in minutes.
+        /// </summary>
+        /// <remarks>
+        /// The default value is 60 minutes.
+        /// </remarks>
+        public int PurgeIntervalMinutes { get; set; } = 60;
+    }
+}
@@ -3,6 +3,8 @@ using ByteShelf.Extensions;
 using ByteShelf.Services;
 using ByteShelfCommon;
 using Microsoft.AspNetCore.Mvc;
+using System.Text;
+using System.Text.Json;
 
 namespace ByteShelf.Controllers
 {
@@ -12,18 +14,36 @@ namespace ByteShelf.Controllers
     /// <remarks>
     /// This controller provides REST API endpoints for tenant management operations including:
     /// - Listing all tenants and their information
+    /// - Showing all tenants as a tree of tenants and their subtenants
     /// - Creating new tenants
-    /// - Updating tenant configuration
+    /// - Updating tenant configuration, including moving tenants under other tenants
     /// - Viewing tenant storage usage
-    /// All endpoints require admin API key authentication.
+    /// - Viewing and exporting the audit log
+    /// All endpoints require admin API key authentication, and changes to tenants are recorded in the audit log.
     /// </remarks>
     [ApiController]
     [Route("api/admin")]
     public class AdminController : ControllerBase
     {
+        /// <summary>
+        /// The number of audit log entries returned when the request doesn't set a limit.
+        /// </summary>
+        public const int DefaultAuditLogLimit = 500;
+
+        /// <summary>
+        /// The largest number of audit log entries that can be returned at once. Exports are not limited.
+        /// </summary>
+        public const int MaxAuditLogLimit = 5000;
+
+        private static readonly JsonSerializerOptions AuditLogExportJsonOptions = new JsonSerializerOptions(JsonSerializerDefaults.Web)
+        {
+            WriteIndented = true
+        };
+
         private readonly ITenantConfigurationService _configService;
         private readonly IStorageService _storageService;
         private readonly IFileStorageService _fileStorageService;
+        private readonly IAuditLogService _auditLogService;
 
         /// <summary>
         /// Initializes a new instance of the <see cref="AdminController"/> class.
@@ -31,15 +51,18 @@ namespace ByteShelf.Controllers
         /// <param name="configService">The tenant configuration service.</param>
         /// <param name="storageService">The storage service for quota operations.</param>
         /// <param name="fileStorageService">The file storage service for file operations.</param>
+        /// <param name="auditLogService">The audit log service for recording tenant changes and reading the audit log.</param>
         /// <exception cref="ArgumentNullException">Thrown when any parameter is null.</exception>
         public AdminController(
             ITenantConfigurationService configService,
             IStorageService storageService,
-            IFileStorageService fileStorageService)
+            IFileStorageService fileStorageService,
+            IAuditLogService auditLogService)
         {
             _configService = configService ?? throw new ArgumentNullException(nameof(configService));
             _storageService = storageService ?? throw new ArgumentNullException(nameof(storageService));
             _fileStorageService = fileStorageService ?? throw new ArgumentNullException(nameof(fileStorageService));
+            _auditLogService = auditLogService ?? throw new ArgumentNullException(nameof(auditLogService));
         }
 
         /// <summary>
@@ -84,6 +107,7 @@ namespace ByteShelf.Controllers
                     IsAdmin = tenant.Value.IsAdmin,
                     StorageLimitBytes = storageLimit,
                     CurrentUsageBytes = currentUsage,
+                    LogicalUsageBytes = _storageService.GetTotalLogicalUsageIncludingSubTenants(tenant.Key),
                     AvailableSpaceBytes = availableSpace,
                     UsagePercentage = storageLimit > 0 ? (double)currentUsage / storageLimit * 100 : 0
                 });
@@ -92,6 +116,33 @@ namespace ByteShelf.Controllers
             return Ok(tenantInfo);
         }
 
+        /// <summary>
+        /// Gets all tenants as a tree of top-level tenants and their subtenants.
+        /// </summary>
+        /// <returns>The top-level tenants, each with its subtenants, ordered by display name.</returns>
+        /// <response code="200">Returns the tenant tree.</response>
+        /// <response code="401">If the API key is invalid or missing.</response>
+        /// <response code="403">If the user is not an admin.</response>
+        /// <remarks>
+        /// Every tenant in the tree has the storage usage of its own files and of its whole subtree,
+        /// which shows which subtenants take up the storage of a top-level tenant.
+        /// </remarks>
+        [HttpGet("tenant-tree")]
+        [ProducesResponseType(typeof(IEnumerable<TenantTreeNode>), 200)]
+        [ProducesResponseType(401)]
+        [ProducesResponseType(403)]
+        public IActionResult GetTenantTree()
+        {
+            // Check if user is admin
+            if (!HttpContext.IsAdmin())
+            {
+                return Forbid();
+            }
+
+            TenantConfiguration config = _configService.GetConfiguration();
+            return Ok(BuildTenantTree(config.Tenants, null));
+        }
+
         /// <summary>
         /// Gets detailed information about a specific tenant.
         /// </summary>
@@ -139,6 +190,7 @@ namespace ByteShelf.Controllers
                 IsAdmin = tenantInfo.IsAdmin,
                 StorageLimitBytes = storageLimit,
                 CurrentUsageBytes = currentUsage,
+                LogicalUsageBytes = _storageService.GetTotalLogicalUsageIncludingSubTenants(tenantId),
                 AvailableSpaceBytes = availableSpace,
                 UsagePercentage = storageLimit > 0 ? (double)currentUsage / storageLimit * 100 : 0
             });
@@ -219,6 +271,9 @@ namespace ByteShelf.Controllers
                 return StatusCode(500, new { message = "Failed to create tenant" });
             }
 
+            await _auditLogService.RecordAsync(HttpContext.CreateAuditEntry(
+                AuditAction.TenantCreated, request.TenantId, request.TenantId, request.DisplayName, request.IsAdmin ? "Admin tenant" : null));
+
             return CreatedAtAction(nameof(GetTenant), new { tenantId = request.TenantId }, new
             {
                 TenantId = request.TenantId,
@@ -289,6 +344,9 @@ namespace ByteShelf.Controllers
                 return StatusCode(500, new { message = "Failed to update tenant storage limit" });
             }
 
+            await _auditLogService.RecordAsync(HttpContext.CreateAuditEntry(
+                AuditAction.TenantUpdated, tenantId, tenantId, tenantInfo.DisplayName, $"Storage limit set to {request.StorageLimitBytes} bytes"));
+
             return Ok(new
             {
                 TenantId = tenantId,
@@ -301,6 +359,121 @@ namespace ByteShelf.Controllers
             });
         }
 
+        /// <summary>
+        /// Updates a tenant's display name, admin flag, storage limit and parent.
+        /// </summary>
+        /// <param name="tenantId">The ID of the tenant to update, which can be a subtenant.</param>
+        /// <param name="request">The new values of the tenant.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The updated tenant information.</returns>
+        /// <response code="200">Returns the updated tenant information.</response>
+        /// <response code="400">If a value is invalid, with a message that says which.</response>
+        /// <response code="401">If the API key is invalid or missing.</response>
+        /// <response code="403">If the user is not an admin.</response>
+        /// <response code="404">If the tenant does not exist.</response>
+        /// <response code="409">If another subtenant of the new parent has the same display name.</response>
+        /// <remarks>
+        /// All values are replaced at once, and nothing changes if one of them is invalid. A storage limit of 0
+        /// means unlimited, which top-level tenants can only have if they are admins, and the limit can't be less
+        /// than what the tenant and its subtenants already use. Setting the parent moves the tenant with all of its
+        /// files and subtenants, which the new parent needs to have free storage for, and admins cannot remove their
+        /// own admin access.
+        /// </remarks>
+        [HttpPut("tenants/{tenantId}")]
+        [ProducesResponseType(typeof(object), 200)]
+        [ProducesResponseType(400)]
+        [ProducesResponseType(401)]
+        [ProducesResponseType(403)]
+        [ProducesResponseType(404)]
+        [ProducesResponseType(409)]
+        public async Task<IActionResult> UpdateTenant(string tenantId, [FromBody] UpdateTenantRequest request, CancellationToken cancellationToken)
+        {
+            // Check if user is admin
+            if (!HttpContext.IsAdmin())
+            {
+                return Forbid();
+            }
+
+            // Check if tenant exists, at any level of the hierarchy
+            if (_configService.GetTenant(tenantId) == null)
+            {
+                return NotFound("Tenant not found");
+            }
+
+            // Validate request
+            if (string.IsNullOrWhiteSpace(request.DisplayName))
+            {
+                return BadRequest("Display name is required");
+            }
+
+            if (request.StorageLimitBytes < 0)
+            {
+                return BadRequest("Storage limit cannot be negative");
+            }
+
+            string? parentTenantId = string.IsNullOrWhiteSpace(request.ParentTenantId) ? null : request.ParentTenantId;
+            if (request.StorageLimitBytes == 0 && !request.IsAdmin && parentTenantId == null)
+            {
+                return BadRequest("Storage limit must be greater than 0 for non-admin tenants");
+            }
+
+            if (tenantId == HttpContext.GetTenantId() && !request.IsAdmin)
+            {
+                return BadRequest("Cannot remove admin access from your own tenant. Please use a different admin account to do this.");
+            }
+
+            // Check if new limit is sufficient for current usage
+            long currentUsage = _storageService.GetTotalUsageIncludingSubTenants(tenantId);
+            if (request.StorageLimitBytes > 0 && request.StorageLimitBytes < currentUsage)
+            {
+                return BadRequest($"New storage limit ({request.StorageLimitBytes} bytes) is less than current usage ({currentUsage} bytes)");
+            }
+
+            // The files of the tenant and its subtenants count towards the limits of the new parent from now on
+            TenantInfo? parent = parentTenantId == null ? null : _configService.GetTenant(parentTenantId);
+            if (parent != null && !ReferenceEquals(_configService.GetTenant(tenantId)!.Parent, parent)
+                && !_storageService.CanMoveData(tenantId, parentTenantId!, currentUsage, currentUsage))
+            {
+                return BadRequest($"The new parent tenant does not have enough free storage for the {currentUsage} bytes the tenant and its subtenants use");
+            }
+
+            bool success;
+            try
+            {
+                success = await _configService.UpdateTenantDetailsAsync(tenantId, request.DisplayName, request.IsAdmin, request.StorageLimitBytes, parentTenantId);
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(ex.Message);
+            }
+            catch (InvalidOperationException ex)
+            {
+                return Conflict(ex.Message);
+            }
+
+            if (!success)
+            {
+                return StatusCode(500, new { message = "Failed to update tenant" });
+            }
+
+            string updateDetails = $"Storage limit {request.StorageLimitBytes} bytes, admin {request.IsAdmin}, parent {parentTenantId ?? "none"}";
+            await _auditLogService.RecordAsync(HttpContext.CreateAuditEntry(
+                AuditAction.TenantUpdated, tenantId, tenantId, request.DisplayName.Trim(), updateDetails));
+
+            return Ok(new
+            {
+                TenantId = tenantId,
+                DisplayName = request.DisplayName.Trim(),
+                IsAdmin = request.IsAdmin,
+                ParentTenantId = parentTenantId,
+                StorageLimitBytes = request.StorageLimitBytes,
+                CurrentUsageBytes = currentUsage,
+                LogicalUsageBytes = _storageService.GetTotalLogicalUsageIncludingSubTenants(tenantId),
+                AvailableSpaceBytes = Math.Max(0, request.StorageLimitBytes - currentUsage),
+                UsagePercentage = request.StorageLimitBytes > 0 ? (double)currentUsage / request.StorageLimitBytes * 100 : 0
+            });
+        }
+
         /// <summary>
         /// Deletes a tenant if it has no files.
         /// </summary>
@@ -367,7 +540,112 @@ namespace ByteShelf.Controllers
                 return StatusCode(500, new { message = "Failed to delete tenant" });
             }
 
+            await _auditLogService.RecordAsync(HttpContext.CreateAuditEntry(AuditAction.TenantDeleted, tenantId, tenantId, tenantInfo.DisplayName));
             return NoContent();
         }
+
+        /// <summary>
+        /// Gets the entries of the audit log that match the filters.
+        /// </summary>
+        /// <param name="query">The filters for the entries.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The matching entries, most recent first.</returns>
+        /// <response code="200">Returns the matching entries.</response>
+        /// <response code="400">If the limit is not positive.</response>
+        /// <response code="401">If the API key is invalid or missing.</response>
+        /// <response code="403">If the user is not an admin.</response>
+        /// <remarks>
+        /// Returns at most <see cref="DefaultAuditLogLimit"/> entries unless a limit is given, and never more
+        /// than <see cref="MaxAuditLogLimit"/>. Use the export endpoint to get every matching entry.
+        /// </remarks>
+        [HttpGet("audit-log")]
+        [ProducesResponseType(typeof(List<AuditLogEntry>), 200)]
+        [ProducesResponseType(400)]
+        [ProducesResponseType(401)]
+        [ProducesResponseType(403)]
+        public async Task<IActionResult> GetAuditLog([FromQuery] AuditLogQuery query, CancellationToken cancellationToken)
+        {
+            // Check if user is admin
+            if (!HttpContext.IsAdmin())
+            {
+                return Forbid();
+            }
+
+            if (query.Limit.HasValue && query.Limit.Value <= 0)
+            {
+                return BadRequest("Limit must be greater than 0");
+            }
+
+            query.Limit = Math.Min(query.Limit ?? DefaultAuditLogLimit, MaxAuditLogLimit);
+            List<AuditLogEntry> entries = await _auditLogService.GetEntriesAsync(query, cancellationToken);
+            return Ok(entries);
+        }
+
+        /// <summary>
+        /// Exports the entries of the audit log that match the filters as a file.
+        /// </summary>
+        /// <param name="query">The filters for the entries. The limit is ignored.</param>
+        /// <param name="format">The format of the file, either <c>csv</c> or <c>json</c>.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>A CSV or JSON file with the matching entries, most recent first.</returns>
+        /// <response code="200">Returns the file.</response>
+        /// <response code="400">If the format is not supported.</response>
+        /// <response code="401">If the API key is invalid or missing.</response>
+        /// <response code="403">If the user is not an admin.</response>
+        [HttpGet("audit-log/export")]
+        [ProducesResponseType(typeof(FileContentResult), 200)]
+        [ProducesResponseType(400)]
+        [ProducesResponseType(401)]
+        [ProducesResponseType(403)]
+        public async Task<IActionResult> ExportAuditLog([FromQuery] AuditLogQuery query, [FromQuery] string? format, CancellationToken cancellationToken)
+        {
+            // Check if user is admin
+            if (!HttpContext.IsAdmin())
+            {
+                return Forbid();
+            }
+
+            string normalizedFormat = format?.Trim().ToLowerInvariant() ?? string.Empty;
+            if (normalizedFormat != "csv" && normalizedFormat != "json")
+            {
+                return BadRequest("Format must be either csv or json");
+            }
+
+            query.Limit = null;
+            List<AuditLogEntry> entries = await _auditLogService.GetEntriesAsync(query, cancellationToken);
+
+            if (normalizedFormat == "csv")
+            {
+                byte[] csv = Encoding.UTF8.GetBytes(AuditLogService.FormatCsv(entries));
+                return File(csv, "text/csv", "audit-log.csv");
+            }
+
+            byte[] json = JsonSerializer.SerializeToUtf8Bytes(entries, AuditLogExportJsonOptions);
+            return File(json, "application/json", "audit-log.json");
+        }
+
+        /// <summary>
+        /// Builds the tree nodes of a set of sibling tenants and all of their subtenants.
+        /// </summary>
+        /// <param name="tenants">The sibling tenants, keyed by tenant ID.</param>
+        /// <param name="parentTenantId">The ID of the tenant the siblings belong to, or <c>null</c> for the top-level tenants.</param>
+        /// <returns>The tree nodes, ordered by display name.</returns>
+        private List<TenantTreeNode> BuildTenantTree(Dictionary<string, TenantInfo> tenants, string? parentTenantId)
+        {
+            return tenants
+                .OrderBy(tenant => tenant.Value.DisplayName, StringComparer.OrdinalIgnoreCase)
+                .ThenBy(tenant => tenant.Key, StringComparer.Ordinal)
+                .Select(tenant => new TenantTreeNode(
+                    tenant.Key,
+                    tenant.Value.DisplayName,
+                    tenant.Value.IsAdmin,
+                    parentTenantId,
+                    tenant.Value.StorageLimitBytes,
+                    _storageService.GetCurrentUsage(tenant.Key),
+                    _storageService.GetTotalUsageIncludingSubTenants(tenant.Key),
+                    _storageService.GetTotalLogicalUsageIncludingSubTenants(tenant.Key),
+                    BuildTenantTree(tenant.Value.SubTenants, tenant.Key)))
+                .ToList();
+        }
     }
 }
\ No newline at end of file
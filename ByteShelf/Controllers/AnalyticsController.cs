@@ -0,0 +1,81 @@
+using ByteShelf.Extensions;
+using ByteShelf.Services;
+using ByteShelfCommon;
+using Microsoft.AspNetCore.Mvc;
+
+namespace ByteShelf.Controllers
+{
+    /// <summary>
+    /// Controller for breakdowns of the storage usage and its growth over time.
+    /// </summary>
+    /// <remarks>
+    /// This controller provides REST API endpoints for:
+    /// - Getting the storage breakdown of the authenticated tenant and all of its nested subtenants
+    /// - Getting the storage breakdown of the whole server (admin only)
+    /// Breakdowns group files by content type, folder and age, list the largest files and include
+    /// the daily usage snapshots recorded by the server.
+    /// </remarks>
+    [ApiController]
+    [Route("api/[controller]")]
+    public class AnalyticsController : ControllerBase
+    {
+        private readonly IStorageAnalyticsService _storageAnalyticsService;
+
+        /// <summary>
+        /// Initializes a new instance of the <see cref="AnalyticsController"/> class.
+        /// </summary>
+        /// <param name="storageAnalyticsService">The storage analytics service for computing the breakdowns.</param>
+        /// <exception cref="ArgumentNullException">Thrown when <paramref name="storageAnalyticsService"/> is null.</exception>
+        public AnalyticsController(IStorageAnalyticsService storageAnalyticsService)
+        {
+            _storageAnalyticsService = storageAnalyticsService ?? throw new ArgumentNullException(nameof(storageAnalyticsService));
+        }
+
+        /// <summary>
+        /// Gets the storage breakdown of the authenticated tenant and all of its nested subtenants.
+        /// </summary>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The storage breakdown and usage history of the tenant.</returns>
+        /// <response code="200">Returns the storage breakdown.</response>
+        /// <response code="401">If the API key is invalid or missing.</response>
+        /// <response code="404">If the tenant does not exist.</response>
+        [HttpGet]
+        [ProducesResponseType(typeof(StorageAnalytics), 200)]
+        [ProducesResponseType(401)]
+        [ProducesResponseType(404)]
+        public async Task<ActionResult<StorageAnalytics>> GetTenantAnalytics(CancellationToken cancellationToken)
+        {
+            string tenantId = HttpContext.GetTenantId();
+            StorageAnalytics? analytics = await _storageAnalyticsService.GetTenantAnalyticsAsync(tenantId, cancellationToken);
+            if (analytics == null)
+            {
+                return NotFound();
+            }
+
+            return Ok(analytics);
+        }
+
+        /// <summary>
+        /// Gets the storage breakdown of the whole server (admin only).
+        /// </summary>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The storage breakdown and usage history of the server, with the top-level tenants as folders.</returns>
+        /// <response code="200">Returns the storage breakdown.</response>
+        /// <response code="401">If the API key is invalid or missing.</response>
+        /// <response code="403">If the user is not an admin.</response>
+        [HttpGet("instance")]
+        [ProducesResponseType(typeof(StorageAnalytics), 200)]
+        [ProducesResponseType(401)]
+        [ProducesResponseType(403)]
+        public async Task<ActionResult<StorageAnalytics>> GetInstanceAnalytics(CancellationToken cancellationToken)
+        {
+            // Check if user is admin
+            if (!HttpContext.IsAdmin())
+            {
+                return Forbid();
+            }
+
+            return Ok(await _storageAnalyticsService.GetInstanceAnalyticsAsync(cancellationToken));
+        }
+    }
+}
@@ -0,0 +1,238 @@
+using ByteShelf.Extensions;
+using ByteShelf.Services;
+using ByteShelfCommon;
+using Microsoft.AspNetCore.Mvc;
+
+namespace ByteShelf.Controllers
+{
+    /// <summary>
+    /// Controller for the API keys of the authenticated tenant.
+    /// </summary>
+    /// <remarks>
+    /// This controller provides REST API endpoints for:
+    /// - Listing the keys of the authenticated tenant, without the keys themselves
+    /// - Generating a key with a name, scopes and an optional expiry time
+    /// - Rotating a key, which replaces it with a newly generated one
+    /// - Revoking a key
+    /// Generated keys are only returned once, since only their hashes are stored. The scopes are
+    /// enforced by the API key authentication middleware, which also stops keys with limited
+    /// access from changing keys. The key a tenant is created with is listed as
+    /// <see cref="TenantApiKey.TenantKeyName"/> with the ID <see cref="TenantApiKey.TenantKeyId"/>,
+    /// and can be rotated and revoked like the named keys. Every change to the keys is recorded in the audit log.
+    /// </remarks>
+    [ApiController]
+    [Route("api/keys")]
+    public class ApiKeysController : ControllerBase
+    {
+        private readonly ITenantConfigurationService _tenantConfigurationService;
+        private readonly IAuditLogService _auditLogService;
+
+        /// <summary>
+        /// Initializes a new instance of the <see cref="ApiKeysController"/> class.
+        /// </summary>
+        /// <param name="tenantConfigurationService">The tenant configuration service that stores the keys.</param>
+        /// <param name="auditLogService">The audit log service for recording changes to the keys.</param>
+        /// <exception cref="ArgumentNullException">Thrown when any of the parameters is null.</exception>
+        public ApiKeysController(ITenantConfigurationService tenantConfigurationService, IAuditLogService auditLogService)
+        {
+            _tenantConfigurationService = tenantConfigurationService ?? throw new ArgumentNullException(nameof(tenantConfigurationService));
+            _auditLogService = auditLogService ?? throw new ArgumentNullException(nameof(auditLogService));
+        }
+
+        /// <summary>
+        /// Lists the API keys of the authenticated tenant.
+        /// </summary>
+        /// <returns>The key the tenant was created with, unless it has been revoked, followed by the named keys ordered by name.</returns>
+        /// <response code="200">Returns the list of keys.</response>
+        /// <response code="401">If the API key is invalid or missing.</response>
+        [HttpGet]
+        [ProducesResponseType(typeof(IEnumerable<ApiKeyInfo>), 200)]
+        [ProducesResponseType(401)]
+        public ActionResult<IEnumerable<ApiKeyInfo>> GetApiKeys()
+        {
+            string tenantId = HttpContext.GetTenantId();
+            Guid? currentKeyId = HttpContext.GetApiKeyId();
+
+            TenantInfo? tenant = _tenantConfigurationService.GetTenant(tenantId);
+            if (tenant == null)
+                return Ok(Enumerable.Empty<ApiKeyInfo>());
+
+            List<ApiKeyInfo> keys = tenant.ApiKeys
+                .OrderBy(key => key.Name, StringComparer.OrdinalIgnoreCase)
+                .Select(key => new ApiKeyInfo(key, key.Id == currentKeyId))
+                .ToList();
+
+            // Requests made with the tenant key have no key ID, while one made by an admin browsing as the tenant uses the admin's key
+            if (!string.IsNullOrEmpty(tenant.ApiKey))
+                keys.Insert(0, new ApiKeyInfo(tenant, currentKeyId == null && HttpContext.GetBrowsingAdminTenantId() == null));
+
+            return Ok(keys);
+        }
+
+        /// <summary>
+        /// Generates a named API key for the authenticated tenant.
+        /// </summary>
+        /// <param name="request">The name, scopes and expiry time of the key.</param>
+        /// <returns>The generated key and its description.</returns>
+        /// <response code="200">Returns the generated key, which can't be retrieved again.</response>
+        /// <response code="400">If the name, the scopes or the expiry time are invalid.</response>
+        /// <response code="401">If the API key is invalid or missing.</response>
+        /// <response code="403">If the admin scope is requested without administrative privileges, or the request is made with a key with limited access.</response>
+        /// <response code="409">If the tenant already has a key with that name or has the maximum number of keys.</response>
+        [HttpPost]
+        [ProducesResponseType(typeof(CreateApiKeyResponse), 200)]
+        [ProducesResponseType(400)]
+        [ProducesResponseType(401)]
+        [ProducesResponseType(403)]
+        [ProducesResponseType(409)]
+        public async Task<ActionResult<CreateApiKeyResponse>> CreateApiKey([FromBody] CreateApiKeyRequest? request)
+        {
+            if (request == null)
+                return BadRequest("Request cannot be null");
+
+            // A key can't be given more access than the request that creates it has
+            List<ApiKeyScope> scopes = request.Scopes ?? new List<ApiKeyScope>();
+            if (scopes.Contains(ApiKeyScope.Admin) && !HttpContext.IsAdmin())
+                return Forbid();
+
+            string tenantId = HttpContext.GetTenantId();
+            TenantApiKey apiKey = new TenantApiKey
+            {
+                Name = request.Name,
+                Scopes = scopes,
+                ExpiresAt = request.ExpiresAt,
+            };
+
+            string? key;
+            try
+            {
+                key = await _tenantConfigurationService.CreateApiKeyAsync(tenantId, apiKey);
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(ex.Message);
+            }
+            catch (InvalidOperationException ex)
+            {
+                return Conflict(ex.Message);
+            }
+
+            if (key == null)
+                return StatusCode(500, new { message = "Failed to create API key" });
+
+            await _auditLogService.RecordAsync(HttpContext.CreateAuditEntry(
+                AuditAction.ApiKeyCreated, tenantId, apiKey.Id.ToString(), apiKey.Name, DescribeScopes(apiKey.Scopes)));
+            return Ok(new CreateApiKeyResponse(key, new ApiKeyInfo(apiKey, false)));
+        }
+
+        /// <summary>
+        /// Replaces an API key of the authenticated tenant with a newly generated one.
+        /// </summary>
+        /// <param name="keyId">The ID of the key to rotate, or <see cref="TenantApiKey.TenantKeyId"/> for the key the tenant was created with.</param>
+        /// <returns>The generated key and its description.</returns>
+        /// <response code="200">Returns the generated key, which can't be retrieved again.</response>
+        /// <response code="401">If the API key is invalid or missing.</response>
+        /// <response code="403">If the request is made with a key with limited access.</response>
+        /// <response code="404">If the tenant has no key with the specified ID.</response>
+        /// <remarks>
+        /// The key keeps its name, scopes and expiry time, and the previous key stops working immediately.
+        /// </remarks>
+        [HttpPost("{keyId}/rotate")]
+        [ProducesResponseType(typeof(CreateApiKeyResponse), 200)]
+        [ProducesResponseType(401)]
+        [ProducesResponseType(403)]
+        [ProducesResponseType(404)]
+        public async Task<ActionResult<CreateApiKeyResponse>> RotateApiKey(Guid keyId)
+        {
+            string tenantId = HttpContext.GetTenantId();
+
+            if (DescribeApiKey(tenantId, keyId) == null)
+                return NotFound("API key not found");
+
+            string? key = await _tenantConfigurationService.RotateApiKeyAsync(tenantId, keyId);
+            if (key == null)
+                return StatusCode(500, new { message = "Failed to rotate API key" });
+
+            ApiKeyInfo rotatedKey = DescribeApiKey(tenantId, keyId)!;
+            await _auditLogService.RecordAsync(HttpContext.CreateAuditEntry(AuditAction.ApiKeyRotated, tenantId, keyId.ToString(), rotatedKey.Name));
+            return Ok(new CreateApiKeyResponse(key, rotatedKey));
+        }
+
+        /// <summary>
+        /// Revokes an API key of the authenticated tenant.
+        /// </summary>
+        /// <param name="keyId">The ID of the key to revoke, or <see cref="TenantApiKey.TenantKeyId"/> for the key the tenant was created with.</param>
+        /// <returns>No content on successful revocation.</returns>
+        /// <response code="204">If the key was revoked.</response>
+        /// <response code="401">If the API key is invalid or missing.</response>
+        /// <response code="403">If the request is made with a key with limited access.</response>
+        /// <response code="404">If the tenant has no key with the specified ID.</response>
+        /// <response code="409">If the tenant key is revoked while the tenant has no other key with the same access.</response>
+        /// <remarks>
+        /// A key can revoke itself, after which the requests made with it are rejected. The tenant key can't be
+        /// brought back once it is revoked, so it can only be revoked while another unexpired key has full access.
+        /// </remarks>
+        [HttpDelete("{keyId}")]
+        [ProducesResponseType(204)]
+        [ProducesResponseType(401)]
+        [ProducesResponseType(403)]
+        [ProducesResponseType(404)]
+        [ProducesResponseType(409)]
+        public async Task<ActionResult> RevokeApiKey(Guid keyId)
+        {
+            string tenantId = HttpContext.GetTenantId();
+
+            ApiKeyInfo? revokedKey = DescribeApiKey(tenantId, keyId);
+            if (revokedKey == null)
+                return NotFound("API key not found");
+
+            bool revoked;
+            try
+            {
+                revoked = await _tenantConfigurationService.RevokeApiKeyAsync(tenantId, keyId);
+            }
+            catch (InvalidOperationException ex)
+            {
+                return Conflict(ex.Message);
+            }
+
+            if (!revoked)
+                return StatusCode(500, new { message = "Failed to revoke API key" });
+
+            await _auditLogService.RecordAsync(HttpContext.CreateAuditEntry(AuditAction.ApiKeyRevoked, tenantId, keyId.ToString(), revokedKey.Name));
+            return NoContent();
+        }
+
+        /// <summary>
+        /// Describes an API key of a tenant.
+        /// </summary>
+        /// <param name="tenantId">The ID of the tenant.</param>
+        /// <param name="keyId">The ID of the key.</param>
+        /// <returns>The description of the key, or null if the tenant has no key with that ID.</returns>
+        /// <remarks>
+        /// The key the tenant was created with counts until it has been revoked.
+        /// </remarks>
+        private ApiKeyInfo? DescribeApiKey(string tenantId, Guid keyId)
+        {
+            TenantInfo? tenant = _tenantConfigurationService.GetTenant(tenantId);
+            if (tenant == null)
+                return null;
+
+            if (keyId == TenantApiKey.TenantKeyId)
+                return string.IsNullOrEmpty(tenant.ApiKey) ? null : new ApiKeyInfo(tenant, false);
+
+            TenantApiKey? apiKey = tenant.ApiKeys.FirstOrDefault(key => key.Id == keyId);
+            return apiKey == null ? null : new ApiKeyInfo(apiKey, false);
+        }
+
+        /// <summary>
+        /// Describes the scopes of an API key for the audit log.
+        /// </summary>
+        /// <param name="scopes">The scopes of the key.</param>
+        /// <returns>The scopes, or a note that the key has full access.</returns>
+        private static string DescribeScopes(List<ApiKeyScope> scopes)
+        {
+            return scopes.Count == 0 ? "Full access" : $"Scopes: {string.Join(", ", scopes)}";
+        }
+    }
+}
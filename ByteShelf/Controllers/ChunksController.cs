@@ -1,5 +1,6 @@
 using ByteShelf.Extensions;
 using ByteShelf.Services;
+using ByteShelfCommon;
 using Microsoft.AspNetCore.Mvc;
 
 namespace ByteShelf.Controllers
@@ -11,32 +12,50 @@ namespace ByteShelf.Controllers
     /// This controller provides REST API endpoints for chunk operations including:
     /// - Retrieving individual chunks by ID, scoped to the authenticated tenant
     /// - Uploading new chunks for the authenticated tenant
+    /// - Looking up chunks the tenant already stores by content hash, so identical data is only stored once
     /// Chunks are the binary data pieces that make up the actual file content.
+    /// Chunks are not recorded in the audit log one by one. Uploads are recorded once the file metadata is saved, and a
+    /// download is recorded when the first chunk of a file is fetched with the file's ID.
     /// All endpoints require API key authentication and are scoped to the authenticated tenant.
     /// </remarks>
     [ApiController]
     [Route("api/[controller]")]
     public class ChunksController : ControllerBase
     {
+        /// <summary>
+        /// The request header a client can use to send the hex-encoded SHA-256 hash of an uploaded chunk.
+        /// </summary>
+        public const string ContentSha256Header = "X-Content-SHA256";
+
+        /// <summary>
+        /// The maximum number of hashes that can be looked up in a single request.
+        /// </summary>
+        public const int MaxLookupHashes = 1000;
+
         private readonly IFileStorageService _fileStorageService;
         private readonly ITenantConfigurationService _tenantConfigurationService;
+        private readonly IAuditLogService _auditLogService;
 
         /// <summary>
         /// Initializes a new instance of the <see cref="ChunksController"/> class.
         /// </summary>
         /// <param name="fileStorageService">The file storage service for chunk operations.</param>
         /// <param name="tenantConfigurationService">The tenant configuration service for access validation.</param>
-        /// <exception cref="ArgumentNullException">Thrown when <paramref name="fileStorageService"/> or <paramref name="tenantConfigurationService"/> is null.</exception>
-        public ChunksController(IFileStorageService fileStorageService, ITenantConfigurationService tenantConfigurationService)
+        /// <param name="auditLogService">The audit log service for recording file downloads.</param>
+        /// <exception cref="ArgumentNullException">Thrown when any of the parameters is null.</exception>
+        public ChunksController(IFileStorageService fileStorageService, ITenantConfigurationService tenantConfigurationService, IAuditLogService auditLogService)
         {
             _fileStorageService = fileStorageService ?? throw new ArgumentNullException(nameof(fileStorageService));
             _tenantConfigurationService = tenantConfigurationService ?? throw new ArgumentNullException(nameof(tenantConfigurationService));
+            _auditLogService = auditLogService ?? throw new ArgumentNullException(nameof(auditLogService));
         }
 
         /// <summary>
         /// Retrieves a chunk by its ID, scoped to the authenticated tenant.
         /// </summary>
         /// <param name="chunkId">The unique identifier of the chunk to retrieve.</param>
+        /// <param name="fileId">The ID of the file the chunk is downloaded for, if any.</param>
+        /// <param name="versionId">The ID of the earlier version of the file the chunk is downloaded for, if any.</param>
         /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
         /// <returns>The chunk data as a binary stream.</returns>
         /// <response code="200">Returns the chunk data as application/octet-stream.</response>
@@ -46,17 +65,21 @@ namespace ByteShelf.Controllers
         /// This endpoint returns the raw binary data of the chunk.
         /// The response content type is "application/octet-stream".
         /// Only chunks belonging to the authenticated tenant can be accessed.
+        /// A client downloading a file chunk by chunk passes the file's ID, and the version's ID for an earlier version,
+        /// so the download is recorded in the audit log when the file's first chunk is fetched.
         /// </remarks>
         [HttpGet("{chunkId}")]
         [ProducesResponseType(typeof(FileStreamResult), 200)]
         [ProducesResponseType(404)]
         [ProducesResponseType(401)]
-        public async Task<IActionResult> GetChunk(Guid chunkId, CancellationToken cancellationToken)
+        public async Task<IActionResult> GetChunk(Guid chunkId, [FromQuery] Guid? fileId, [FromQuery] Guid? versionId, CancellationToken cancellationToken)
         {
             try
             {
                 string tenantId = HttpContext.GetTenantId();
+                ShelfFileMetadata? downloadedFile = await FindFileStartingWithChunkAsync(tenantId, chunkId, fileId, versionId, cancellationToken);
                 Stream chunkStream = await _fileStorageService.GetChunkAsync(tenantId, chunkId, cancellationToken);
+                await RecordFileDownloadAsync(tenantId, downloadedFile, fileId, versionId);
                 return File(chunkStream, "application/octet-stream");
             }
             catch (FileNotFoundException)
@@ -70,6 +93,8 @@ namespace ByteShelf.Controllers
         /// </summary>
         /// <param name="targetTenantId">The ID of the tenant whose chunk to retrieve.</param>
         /// <param name="chunkId">The unique identifier of the chunk to retrieve.</param>
+        /// <param name="fileId">The ID of the file the chunk is downloaded for, if any.</param>
+        /// <param name="versionId">The ID of the earlier version of the file the chunk is downloaded for, if any.</param>
         /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
         /// <returns>The chunk data as a binary stream.</returns>
         /// <response code="200">Returns the chunk data as application/octet-stream.</response>
@@ -81,13 +106,14 @@ namespace ByteShelf.Controllers
         /// The authenticated tenant must have access to the specified tenant (either be the same tenant or a parent).
         /// This endpoint returns the raw binary data of the chunk.
         /// The response content type is "application/octet-stream".
+        /// The download of a file is recorded in the audit log when its first chunk is fetched with the file's ID.
         /// </remarks>
         [HttpGet("{targetTenantId}/{chunkId}")]
         [ProducesResponseType(typeof(FileStreamResult), 200)]
         [ProducesResponseType(401)]
         [ProducesResponseType(403)]
         [ProducesResponseType(404)]
-        public async Task<IActionResult> GetChunkForTenant(string targetTenantId, Guid chunkId, CancellationToken cancellationToken)
+        public async Task<IActionResult> GetChunkForTenant(string targetTenantId, Guid chunkId, [FromQuery] Guid? fileId, [FromQuery] Guid? versionId, CancellationToken cancellationToken)
         {
             string authenticatedTenantId = HttpContext.GetTenantId();
 
@@ -105,7 +131,9 @@ namespace ByteShelf.Controllers
 
             try
             {
+                ShelfFileMetadata? downloadedFile = await FindFileStartingWithChunkAsync(targetTenantId, chunkId, fileId, versionId, cancellationToken);
                 Stream chunkStream = await _fileStorageService.GetChunkAsync(targetTenantId, chunkId, cancellationToken);
+                await RecordFileDownloadAsync(targetTenantId, downloadedFile, fileId, versionId);
                 return File(chunkStream, "application/octet-stream");
             }
             catch (FileNotFoundException)
@@ -119,37 +147,53 @@ namespace ByteShelf.Controllers
         /// </summary>
         /// <param name="chunkId">The unique identifier for the chunk.</param>
         /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
-        /// <returns>The ID of the saved chunk.</returns>
-        /// <response code="200">Returns the chunk ID that was saved.</response>
-        /// <response code="400">If no content is provided in the request body.</response>
+        /// <returns>The ID of the saved chunk and the SHA-256 hash of the stored data.</returns>
+        /// <response code="200">Returns the chunk ID that was saved and its SHA-256 hash.</response>
+        /// <response code="400">If no content is provided, the hash header is malformed, or the data does not match the hash.</response>
         /// <response code="401">If the API key is invalid or missing.</response>
+        /// <response code="409">If a chunk with the same ID and other data already exists.</response>
         /// <response code="413">If the tenant would exceed their storage quota.</response>
         /// <remarks>
         /// This endpoint accepts binary data in the request body and stores it as a chunk.
-        /// If a chunk with the same ID already exists, it will be overwritten.
+        /// A chunk that is already stored is never overwritten, since files can share it. Uploading the same
+        /// data under its ID again succeeds without changing anything, and other data is refused.
         /// The chunk data should be sent as the raw request body without any encoding.
         /// The chunk will be stored for the authenticated tenant and quota limits will be enforced.
+        /// If the X-Content-SHA256 header is present, the received data is hashed while it is stored
+        /// and rejected if it does not match, so corruption in transit is detected.
         /// </remarks>
         [HttpPut("{chunkId}")]
         [ProducesResponseType(typeof(object), 200)]
         [ProducesResponseType(400)]
         [ProducesResponseType(401)]
+        [ProducesResponseType(409)]
         [ProducesResponseType(413)]
         public async Task<IActionResult> UploadChunk(Guid chunkId, CancellationToken cancellationToken)
         {
             if (Request.Body == null)
                 return BadRequest("No content provided");
 
+            if (!TryGetExpectedSha256(out string? expectedSha256))
+                return BadRequest($"The {ContentSha256Header} header must be a hex-encoded SHA-256 hash");
+
             try
             {
                 string tenantId = HttpContext.GetTenantId();
-                Guid savedChunkId = await _fileStorageService.SaveChunkAsync(tenantId, chunkId, Request.Body, cancellationToken);
-                return Ok(new { ChunkId = savedChunkId });
+                string sha256 = await _fileStorageService.SaveVerifiedChunkAsync(tenantId, chunkId, Request.Body, expectedSha256, cancellationToken);
+                return Ok(new { ChunkId = chunkId, Sha256 = sha256 });
+            }
+            catch (InvalidDataException ex)
+            {
+                return BadRequest(new { error = "Integrity check failed", message = ex.Message });
             }
-            catch (InvalidOperationException ex) when (ex.Message.Contains("exceed their storage quota"))
+            catch (StorageQuotaExceededException ex)
             {
                 return StatusCode(413, new { error = "Storage quota exceeded", message = ex.Message });
             }
+            catch (InvalidOperationException ex)
+            {
+                return Conflict(ex.Message);
+            }
         }
 
         /// <summary>
@@ -158,20 +202,24 @@ namespace ByteShelf.Controllers
         /// <param name="targetTenantId">The ID of the tenant for which to upload the chunk.</param>
         /// <param name="chunkId">The unique identifier for the chunk.</param>
         /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
-        /// <returns>The ID of the saved chunk.</returns>
-        /// <response code="200">Returns the chunk ID that was saved.</response>
-        /// <response code="400">If no content is provided in the request body.</response>
+        /// <returns>The ID of the saved chunk and the SHA-256 hash of the stored data.</returns>
+        /// <response code="200">Returns the chunk ID that was saved and its SHA-256 hash.</response>
+        /// <response code="400">If no content is provided, the hash header is malformed, or the data does not match the hash.</response>
         /// <response code="401">If the API key is invalid or missing.</response>
         /// <response code="403">If the authenticated tenant does not have access to the specified tenant.</response>
         /// <response code="404">If the specified tenant does not exist.</response>
+        /// <response code="409">If a chunk with the same ID and other data already exists.</response>
         /// <response code="413">If the tenant would exceed their storage quota.</response>
         /// <remarks>
         /// This endpoint allows a parent tenant to upload chunks for its subtenants.
         /// The authenticated tenant must have access to the specified tenant (either be the same tenant or a parent).
         /// This endpoint accepts binary data in the request body and stores it as a chunk.
-        /// If a chunk with the same ID already exists, it will be overwritten.
+        /// A chunk that is already stored is never overwritten, since files can share it. Uploading the same
+        /// data under its ID again succeeds without changing anything, and other data is refused.
         /// The chunk data should be sent as the raw request body without any encoding.
         /// The chunk will be stored for the specified tenant and quota limits will be enforced.
+        /// If the X-Content-SHA256 header is present, the received data is hashed while it is stored
+        /// and rejected if it does not match, so corruption in transit is detected.
         /// </remarks>
         [HttpPut("{targetTenantId}/{chunkId}")]
         [ProducesResponseType(typeof(object), 200)]
@@ -179,6 +227,7 @@ namespace ByteShelf.Controllers
         [ProducesResponseType(401)]
         [ProducesResponseType(403)]
         [ProducesResponseType(404)]
+        [ProducesResponseType(409)]
         [ProducesResponseType(413)]
         public async Task<IActionResult> UploadChunkForTenant(string targetTenantId, Guid chunkId, CancellationToken cancellationToken)
         {
@@ -199,15 +248,191 @@ namespace ByteShelf.Controllers
                 return NotFound();
             }
 
+            if (!TryGetExpectedSha256(out string? expectedSha256))
+                return BadRequest($"The {ContentSha256Header} header must be a hex-encoded SHA-256 hash");
+
             try
             {
-                Guid savedChunkId = await _fileStorageService.SaveChunkAsync(targetTenantId, chunkId, Request.Body, cancellationToken);
-                return Ok(new { ChunkId = savedChunkId });
+                string sha256 = await _fileStorageService.SaveVerifiedChunkAsync(targetTenantId, chunkId, Request.Body, expectedSha256, cancellationToken);
+                return Ok(new { ChunkId = chunkId, Sha256 = sha256 });
             }
-            catch (InvalidOperationException ex) when (ex.Message.Contains("exceed their storage quota"))
+            catch (InvalidDataException ex)
+            {
+                return BadRequest(new { error = "Integrity check failed", message = ex.Message });
+            }
+            catch (StorageQuotaExceededException ex)
             {
                 return StatusCode(413, new { error = "Storage quota exceeded", message = ex.Message });
             }
+            catch (InvalidOperationException ex)
+            {
+                return Conflict(ex.Message);
+            }
+        }
+
+        /// <summary>
+        /// Looks up which chunks the authenticated tenant already stores by their content hash.
+        /// </summary>
+        /// <param name="request">The hashes of the chunks to look up.</param>
+        /// <returns>The IDs of the stored chunks by hash.</returns>
+        /// <response code="200">Returns the chunks the tenant already stores.</response>
+        /// <response code="400">If no hashes are provided, too many are provided, or a hash is malformed.</response>
+        /// <response code="401">If the API key is invalid or missing.</response>
+        /// <remarks>
+        /// A client hashes each chunk before uploading it and asks this endpoint whether the tenant already has it.
+        /// Found chunks can be referenced in the file metadata instead of being uploaded again. Shared chunks are
+        /// reference counted, so deleting one file never removes chunks another file still uses.
+        /// Only chunks of files whose metadata includes chunk hashes can be found.
+        /// </remarks>
+        [HttpPost("lookup")]
+        [ProducesResponseType(typeof(ChunkLookupResponse), 200)]
+        [ProducesResponseType(400)]
+        [ProducesResponseType(401)]
+        public IActionResult LookupChunks([FromBody] ChunkLookupRequest request)
+        {
+            string tenantId = HttpContext.GetTenantId();
+            return LookupChunksForTenantInternal(tenantId, request);
+        }
+
+        /// <summary>
+        /// Looks up which chunks a specific tenant already stores by their content hash.
+        /// </summary>
+        /// <param name="targetTenantId">The ID of the tenant whose chunks to look up.</param>
+        /// <param name="request">The hashes of the chunks to look up.</param>
+        /// <returns>The IDs of the stored chunks by hash.</returns>
+        /// <response code="200">Returns the chunks the tenant already stores.</response>
+        /// <response code="400">If no hashes are provided, too many are provided, or a hash is malformed.</response>
+        /// <response code="401">If the API key is invalid or missing.</response>
+        /// <response code="403">If the authenticated tenant does not have access to the specified tenant.</response>
+        /// <response code="404">If the specified tenant does not exist.</response>
+        /// <remarks>
+        /// This endpoint allows a parent tenant to deduplicate uploads to its subtenants.
+        /// Chunks are only shared within a single tenant, never across tenants.
+        /// </remarks>
+        [HttpPost("{targetTenantId}/lookup")]
+        [ProducesResponseType(typeof(ChunkLookupResponse), 200)]
+        [ProducesResponseType(400)]
+        [ProducesResponseType(401)]
+        [ProducesResponseType(403)]
+        [ProducesResponseType(404)]
+        public IActionResult LookupChunksForTenant(string targetTenantId, [FromBody] ChunkLookupRequest request)
+        {
+            string authenticatedTenantId = HttpContext.GetTenantId();
+
+            // Validate access to the target tenant
+            if (!_tenantConfigurationService.HasAccessToTenant(authenticatedTenantId, targetTenantId))
+            {
+                return Unauthorized();
+            }
+
+            // Check if target tenant exists
+            if (_tenantConfigurationService.GetTenant(targetTenantId) == null)
+            {
+                return NotFound();
+            }
+
+            return LookupChunksForTenantInternal(targetTenantId, request);
+        }
+
+        /// <summary>
+        /// Validates a lookup request and finds the chunks a tenant stores for its hashes.
+        /// </summary>
+        /// <param name="tenantId">The tenant whose chunks to look up.</param>
+        /// <param name="request">The lookup request.</param>
+        /// <returns>The lookup response, or a bad request result if the request is invalid.</returns>
+        private IActionResult LookupChunksForTenantInternal(string tenantId, ChunkLookupRequest? request)
+        {
+            if (request?.Hashes == null || request.Hashes.Count == 0)
+                return BadRequest("At least one hash must be provided");
+
+            if (request.Hashes.Count > MaxLookupHashes)
+                return BadRequest($"At most {MaxLookupHashes} hashes can be looked up at once");
+
+            if (request.Hashes.Any(hash => !IsSha256Hex(hash)))
+                return BadRequest("Every hash must be a hex-encoded SHA-256 hash");
+
+            Dictionary<string, Guid> chunks = new Dictionary<string, Guid>();
+            foreach (string hash in request.Hashes.Select(hash => hash.ToLowerInvariant()).Distinct())
+            {
+                Guid? chunkId = _fileStorageService.FindChunkBySha256(tenantId, hash);
+                if (chunkId != null)
+                {
+                    chunks[hash] = chunkId.Value;
+                }
+            }
+
+            return Ok(new ChunkLookupResponse(chunks));
+        }
+
+        /// <summary>
+        /// Finds the file or version a chunk is downloaded for, if the chunk is its first one.
+        /// </summary>
+        /// <param name="tenantId">The tenant the chunk is downloaded from.</param>
+        /// <param name="chunkId">The ID of the downloaded chunk.</param>
+        /// <param name="fileId">The ID of the file the client downloads, if it passed one.</param>
+        /// <param name="versionId">The ID of the earlier version the client downloads, if it passed one.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The metadata of the file or version, or <c>null</c> if the chunk doesn't start a download.</returns>
+        /// <remarks>
+        /// Only the first chunk counts, so a download that is resumed or retries a later chunk is recorded once.
+        /// </remarks>
+        private async Task<ShelfFileMetadata?> FindFileStartingWithChunkAsync(string tenantId, Guid chunkId, Guid? fileId, Guid? versionId, CancellationToken cancellationToken)
+        {
+            if (fileId == null)
+                return null;
+
+            ShelfFileMetadata? metadata = versionId != null
+                ? await _fileStorageService.GetFileVersionAsync(tenantId, fileId.Value, versionId.Value, cancellationToken)
+                : await _fileStorageService.GetFileMetadataAsync(tenantId, fileId.Value, cancellationToken);
+
+            return metadata != null && metadata.ChunkIds.Count > 0 && metadata.ChunkIds[0] == chunkId ? metadata : null;
+        }
+
+        /// <summary>
+        /// Records the download of a file or version in the audit log.
+        /// </summary>
+        /// <param name="tenantId">The tenant the file is downloaded from.</param>
+        /// <param name="downloadedFile">The metadata of the file or version, or <c>null</c> if no download started.</param>
+        /// <param name="fileId">The ID of the file.</param>
+        /// <param name="versionId">The ID of the earlier version, if one is downloaded.</param>
+        /// <returns>A task that represents the asynchronous operation.</returns>
+        private async Task RecordFileDownloadAsync(string tenantId, ShelfFileMetadata? downloadedFile, Guid? fileId, Guid? versionId)
+        {
+            if (downloadedFile == null)
+                return;
+
+            await _auditLogService.RecordAsync(HttpContext.CreateAuditEntry(
+                AuditAction.FileDownloaded, tenantId, fileId.ToString(), downloadedFile.OriginalFilename, versionId != null ? $"Version {versionId}" : null));
+        }
+
+        /// <summary>
+        /// Reads the optional SHA-256 hash header from the current request.
+        /// </summary>
+        /// <param name="expectedSha256">The hash from the header, or <c>null</c> if the header is absent.</param>
+        /// <returns><c>false</c> if the header is present but is not a 64 character hex string; otherwise, <c>true</c>.</returns>
+        private bool TryGetExpectedSha256(out string? expectedSha256)
+        {
+            expectedSha256 = null;
+
+            string headerValue = Request.Headers[ContentSha256Header].ToString();
+            if (string.IsNullOrEmpty(headerValue))
+                return true;
+
+            if (!IsSha256Hex(headerValue))
+                return false;
+
+            expectedSha256 = headerValue;
+            return true;
+        }
+
+        /// <summary>
+        /// Checks whether a value is a hex-encoded SHA-256 hash.
+        /// </summary>
+        /// <param name="value">The value to check.</param>
+        /// <returns><c>true</c> if the value is a 64 character hex string; otherwise, <c>false</c>.</returns>
+        private static bool IsSha256Hex(string? value)
+        {
+            return value != null && value.Length == 64 && value.All(Uri.IsHexDigit);
         }
     }
 }
\ No newline at end of file
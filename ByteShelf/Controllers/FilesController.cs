@@ -2,6 +2,7 @@ using ByteShelf.Extensions;
 using ByteShelf.Services;
 using ByteShelfCommon;
 using Microsoft.AspNetCore.Mvc;
+using Microsoft.Net.Http.Headers;
 
 namespace ByteShelf.Controllers
 {
@@ -14,30 +15,54 @@ namespace ByteShelf.Controllers
     /// - Retrieving file metadata for a tenant
     /// - Creating file metadata for a tenant
     /// - Deleting files and their associated chunks for a tenant
+    /// - Searching by name across a tenant and all of its nested subtenants
+    /// - Downloading files and folders as a ZIP archive
+    /// - Moving and copying files between a tenant and its subtenants
+    /// - Renaming files
+    /// - Labeling files with tags and key/value attributes, and filtering the file list by them
+    /// - Listing, downloading and restoring earlier versions of files
+    /// Uploads, downloads and deletes are recorded in the audit log.
     /// All endpoints require API key authentication and are scoped to the authenticated tenant.
     /// </remarks>
     [ApiController]
     [Route("api/[controller]")]
     public class FilesController : ControllerBase
     {
+        /// <summary>
+        /// The maximum number of files a search returns.
+        /// </summary>
+        public const int MaxSearchResults = 500;
+
         private readonly IFileStorageService _fileStorageService;
         private readonly ITenantConfigurationService _tenantConfigurationService;
+        private readonly IArchiveService _archiveService;
+        private readonly IAuditLogService _auditLogService;
 
         /// <summary>
         /// Initializes a new instance of the <see cref="FilesController"/> class.
         /// </summary>
         /// <param name="fileStorageService">The file storage service for file operations.</param>
         /// <param name="tenantConfigurationService">The tenant configuration service for access validation.</param>
-        /// <exception cref="ArgumentNullException">Thrown when <paramref name="fileStorageService"/> or <paramref name="tenantConfigurationService"/> is null.</exception>
-        public FilesController(IFileStorageService fileStorageService, ITenantConfigurationService tenantConfigurationService)
+        /// <param name="archiveService">The archive service for ZIP downloads.</param>
+        /// <param name="auditLogService">The audit log service for recording uploads, downloads and changes to files.</param>
+        /// <exception cref="ArgumentNullException">Thrown when any of the parameters is null.</exception>
+        public FilesController(
+            IFileStorageService fileStorageService,
+            ITenantConfigurationService tenantConfigurationService,
+            IArchiveService archiveService,
+            IAuditLogService auditLogService)
         {
             _fileStorageService = fileStorageService ?? throw new ArgumentNullException(nameof(fileStorageService));
             _tenantConfigurationService = tenantConfigurationService ?? throw new ArgumentNullException(nameof(tenantConfigurationService));
+            _archiveService = archiveService ?? throw new ArgumentNullException(nameof(archiveService));
+            _auditLogService = auditLogService ?? throw new ArgumentNullException(nameof(auditLogService));
         }
 
         /// <summary>
         /// Retrieves metadata for all files belonging to the authenticated tenant.
         /// </summary>
+        /// <param name="tag">Tags the files must all have.</param>
+        /// <param name="attribute">Attributes the files must all have, as "key=value", or as "key" for any value.</param>
         /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
         /// <returns>A collection of file metadata for all files belonging to the tenant.</returns>
         /// <response code="200">Returns the list of file metadata.</response>
@@ -45,22 +70,25 @@ namespace ByteShelf.Controllers
         /// <remarks>
         /// This endpoint returns metadata only, not the actual file content.
         /// Use the chunks endpoints to retrieve file content.
-        /// All files returned belong to the authenticated tenant.
+        /// All files returned belong to the authenticated tenant. Tags, attribute keys and attribute
+        /// values are compared case-insensitively.
         /// </remarks>
         [HttpGet]
         [ProducesResponseType(typeof(IEnumerable<ShelfFileMetadata>), 200)]
         [ProducesResponseType(401)]
-        public async Task<ActionResult<IEnumerable<ShelfFileMetadata>>> GetFiles(CancellationToken cancellationToken)
+        public async Task<ActionResult<IEnumerable<ShelfFileMetadata>>> GetFiles([FromQuery] string[]? tag, [FromQuery] string[]? attribute, CancellationToken cancellationToken)
         {
             string tenantId = HttpContext.GetTenantId();
             IEnumerable<ShelfFileMetadata> files = await _fileStorageService.GetFilesAsync(tenantId, cancellationToken);
-            return Ok(files);
+            return Ok(FilterByLabels(files, tag, attribute));
         }
 
         /// <summary>
         /// Retrieves metadata for all files belonging to a specific tenant.
         /// </summary>
         /// <param name="targetTenantId">The ID of the tenant whose files to retrieve.</param>
+        /// <param name="tag">Tags the files must all have.</param>
+        /// <param name="attribute">Attributes the files must all have, as "key=value", or as "key" for any value.</param>
         /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
         /// <returns>A collection of file metadata for all files belonging to the specified tenant.</returns>
         /// <response code="200">Returns the list of file metadata.</response>
@@ -78,7 +106,7 @@ namespace ByteShelf.Controllers
         [ProducesResponseType(401)]
         [ProducesResponseType(403)]
         [ProducesResponseType(404)]
-        public async Task<ActionResult<IEnumerable<ShelfFileMetadata>>> GetFilesForTenant(string targetTenantId, CancellationToken cancellationToken)
+        public async Task<ActionResult<IEnumerable<ShelfFileMetadata>>> GetFilesForTenant(string targetTenantId, [FromQuery] string[]? tag, [FromQuery] string[]? attribute, CancellationToken cancellationToken)
         {
             string authenticatedTenantId = HttpContext.GetTenantId();
 
@@ -95,7 +123,61 @@ namespace ByteShelf.Controllers
             }
 
             IEnumerable<ShelfFileMetadata> files = await _fileStorageService.GetFilesAsync(targetTenantId, cancellationToken);
-            return Ok(files);
+            return Ok(FilterByLabels(files, tag, attribute));
+        }
+
+        /// <summary>
+        /// Searches the files of the authenticated tenant and all of its nested subtenants by name.
+        /// </summary>
+        /// <param name="q">Space separated words that must all appear in the file name. Words with * or ? wildcards must match the whole name instead.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The matching files with the folder path to each of them.</returns>
+        /// <response code="200">Returns the matching files.</response>
+        /// <response code="401">If the API key is invalid or missing.</response>
+        /// <response code="404">If the authenticated tenant no longer exists.</response>
+        /// <remarks>
+        /// Matching is case-insensitive and an empty query matches every file. Folders are searched
+        /// depth-first in display name order and files within a folder are sorted by name, so results
+        /// are grouped by folder. At most <see cref="MaxSearchResults"/> files are returned.
+        /// </remarks>
+        [HttpGet("search")]
+        [ProducesResponseType(typeof(FileSearchResponse), 200)]
+        [ProducesResponseType(401)]
+        [ProducesResponseType(404)]
+        public async Task<ActionResult<FileSearchResponse>> SearchFiles([FromQuery] string? q, CancellationToken cancellationToken)
+        {
+            string tenantId = HttpContext.GetTenantId();
+
+            TenantInfo? tenant = _tenantConfigurationService.GetTenant(tenantId);
+            if (tenant == null)
+            {
+                return NotFound();
+            }
+
+            List<string> terms = GetSearchTerms(q);
+            List<(string TenantId, List<FolderPathSegment> Path)> folders = new List<(string TenantId, List<FolderPathSegment> Path)>();
+            CollectSearchFolders(tenantId, tenant, new List<FolderPathSegment>(), folders);
+
+            List<FileSearchResult> results = new List<FileSearchResult>();
+            foreach ((string folderTenantId, List<FolderPathSegment> path) in folders)
+            {
+                IEnumerable<ShelfFileMetadata> files = await _fileStorageService.GetFilesAsync(folderTenantId, cancellationToken);
+                IEnumerable<ShelfFileMetadata> matches = files
+                    .Where(file => terms.All(term => MatchesSearchTerm(file.OriginalFilename, term)))
+                    .OrderBy(file => file.OriginalFilename, StringComparer.OrdinalIgnoreCase);
+
+                foreach (ShelfFileMetadata file in matches)
+                {
+                    if (results.Count == MaxSearchResults)
+                    {
+                        return Ok(new FileSearchResponse(results, true));
+                    }
+
+                    results.Add(new FileSearchResult(folderTenantId, path, file));
+                }
+            }
+
+            return Ok(new FileSearchResponse(results, false));
         }
 
         /// <summary>
@@ -180,22 +262,56 @@ namespace ByteShelf.Controllers
         /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
         /// <returns>The created file metadata.</returns>
         /// <response code="201">Returns the created file metadata.</response>
-        /// <response code="400">If the metadata is invalid.</response>
+        /// <response code="400">If the metadata is invalid or its hashes don't match the stored chunks.</response>
         /// <response code="401">If the API key is invalid or missing.</response>
+        /// <response code="403">If the API key can't delete and the upload would drop an earlier version.</response>
+        /// <response code="409">If the tenant already has a file with the ID in the metadata.</response>
         /// <remarks>
         /// This endpoint creates the file metadata record for the authenticated tenant.
         /// The actual file content should be uploaded as chunks using the chunks endpoints
-        /// before this metadata is created.
+        /// before this metadata is created. If the tenant already has a file with the same name,
+        /// the upload becomes a new version of it and the returned metadata has that file's ID.
+        /// A new version without tags or attributes keeps those of the existing file. Metadata with the ID
+        /// of an existing file is refused, so an upload can never replace a file without keeping a version.
+        /// API keys that can't delete can't upload a new version that would drop the oldest one.
         /// </remarks>
         [HttpPost("metadata")]
         [ProducesResponseType(typeof(ShelfFileMetadata), 201)]
         [ProducesResponseType(400)]
         [ProducesResponseType(401)]
+        [ProducesResponseType(403)]
+        [ProducesResponseType(409)]
         public async Task<ActionResult> CreateFileMetadata([FromBody] ShelfFileMetadata metadata, CancellationToken cancellationToken)
         {
             string tenantId = HttpContext.GetTenantId();
-            await _fileStorageService.SaveFileMetadataAsync(tenantId, metadata, cancellationToken);
-            return CreatedAtAction(nameof(GetFileMetadata), new { fileId = metadata.Id }, metadata);
+
+            string? labelError = NormalizeLabels(metadata);
+            if (labelError != null)
+                return BadRequest(labelError);
+
+            metadata.UploadedBy = HttpContext.GetApiKeyName();
+
+            int maxVersions = GetMaxFileVersions(tenantId);
+            ActionResult? versionViolation = await CheckUploadKeepsVersionsAsync(tenantId, metadata.OriginalFilename, maxVersions, cancellationToken);
+            if (versionViolation != null)
+                return versionViolation;
+
+            ShelfFileMetadata saved;
+            try
+            {
+                saved = await _fileStorageService.SaveUploadedFileAsync(tenantId, metadata, maxVersions, cancellationToken);
+            }
+            catch (InvalidDataException ex)
+            {
+                return BadRequest(new { error = "Integrity check failed", message = ex.Message });
+            }
+            catch (InvalidOperationException ex)
+            {
+                return Conflict(ex.Message);
+            }
+
+            await _auditLogService.RecordAsync(HttpContext.CreateAuditEntry(AuditAction.FileUploaded, tenantId, saved.Id.ToString(), saved.OriginalFilename));
+            return CreatedAtAction(nameof(GetFileMetadata), new { fileId = saved.Id }, saved);
         }
 
         /// <summary>
@@ -206,15 +322,20 @@ namespace ByteShelf.Controllers
         /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
         /// <returns>The created file metadata.</returns>
         /// <response code="201">Returns the created file metadata.</response>
-        /// <response code="400">If the metadata is invalid.</response>
+        /// <response code="400">If the metadata is invalid or its hashes don't match the stored chunks.</response>
         /// <response code="401">If the API key is invalid or missing.</response>
-        /// <response code="403">If the authenticated tenant does not have access to the specified tenant.</response>
+        /// <response code="403">If the authenticated tenant does not have access to the specified tenant, or the API key can't delete and the upload would drop an earlier version.</response>
         /// <response code="404">If the specified tenant does not exist.</response>
+        /// <response code="409">If the tenant already has a file with the ID in the metadata.</response>
         /// <remarks>
         /// This endpoint allows a parent tenant to create file metadata for its subtenants.
         /// The authenticated tenant must have access to the specified tenant (either be the same tenant or a parent).
         /// The actual file content should be uploaded as chunks using the chunks endpoints
-        /// before this metadata is created.
+        /// before this metadata is created. If the tenant already has a file with the same name,
+        /// the upload becomes a new version of it and the returned metadata has that file's ID.
+        /// A new version without tags or attributes keeps those of the existing file. Metadata with the ID
+        /// of an existing file is refused, so an upload can never replace a file without keeping a version.
+        /// API keys that can't delete can't upload a new version that would drop the oldest one.
         /// </remarks>
         [HttpPost("{targetTenantId}/metadata")]
         [ProducesResponseType(typeof(ShelfFileMetadata), 201)]
@@ -222,6 +343,7 @@ namespace ByteShelf.Controllers
         [ProducesResponseType(401)]
         [ProducesResponseType(403)]
         [ProducesResponseType(404)]
+        [ProducesResponseType(409)]
         public async Task<ActionResult> CreateFileMetadataForTenant(string targetTenantId, [FromBody] ShelfFileMetadata metadata, CancellationToken cancellationToken)
         {
             string authenticatedTenantId = HttpContext.GetTenantId();
@@ -238,8 +360,33 @@ namespace ByteShelf.Controllers
                 return NotFound();
             }
 
-            await _fileStorageService.SaveFileMetadataAsync(targetTenantId, metadata, cancellationToken);
-            return CreatedAtAction(nameof(GetFileMetadataForTenant), new { targetTenantId, fileId = metadata.Id }, metadata);
+            string? labelError = NormalizeLabels(metadata);
+            if (labelError != null)
+                return BadRequest(labelError);
+
+            metadata.UploadedBy = HttpContext.GetApiKeyName();
+
+            int maxVersions = GetMaxFileVersions(targetTenantId);
+            ActionResult? versionViolation = await CheckUploadKeepsVersionsAsync(targetTenantId, metadata.OriginalFilename, maxVersions, cancellationToken);
+            if (versionViolation != null)
+                return versionViolation;
+
+            ShelfFileMetadata saved;
+            try
+            {
+                saved = await _fileStorageService.SaveUploadedFileAsync(targetTenantId, metadata, maxVersions, cancellationToken);
+            }
+            catch (InvalidDataException ex)
+            {
+                return BadRequest(new { error = "Integrity check failed", message = ex.Message });
+            }
+            catch (InvalidOperationException ex)
+            {
+                return Conflict(ex.Message);
+            }
+
+            await _auditLogService.RecordAsync(HttpContext.CreateAuditEntry(AuditAction.FileUploaded, targetTenantId, saved.Id.ToString(), saved.OriginalFilename));
+            return CreatedAtAction(nameof(GetFileMetadataForTenant), new { targetTenantId, fileId = saved.Id }, saved);
         }
 
         /// <summary>
@@ -272,6 +419,7 @@ namespace ByteShelf.Controllers
 
             // Create a stream that reads all chunks in sequence
             Stream fileStream = await _fileStorageService.GetFileStreamAsync(tenantId, fileId, cancellationToken);
+            await _auditLogService.RecordAsync(HttpContext.CreateAuditEntry(AuditAction.FileDownloaded, tenantId, fileId.ToString(), metadata.OriginalFilename));
 
             // Return the file with proper headers for download
             return File(fileStream, metadata.ContentType, metadata.OriginalFilename);
@@ -323,23 +471,497 @@ namespace ByteShelf.Controllers
 
             // Create a stream that reads all chunks in sequence
             Stream fileStream = await _fileStorageService.GetFileStreamAsync(targetTenantId, fileId, cancellationToken);
+            await _auditLogService.RecordAsync(HttpContext.CreateAuditEntry(AuditAction.FileDownloaded, targetTenantId, fileId.ToString(), metadata.OriginalFilename));
 
             // Return the file with proper headers for download
             return File(fileStream, metadata.ContentType, metadata.OriginalFilename);
         }
 
         /// <summary>
-        /// Deletes a file and all its associated chunks, scoped to the authenticated tenant.
+        /// Downloads files and folders as a ZIP archive that is streamed as it is built.
+        /// </summary>
+        /// <param name="request">The files and folders to put in the archive.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The archive as application/zip.</returns>
+        /// <response code="200">Returns the archive.</response>
+        /// <response code="400">If the request has no files or folders.</response>
+        /// <response code="401">If the API key is invalid or missing, or the authenticated tenant does not have access to a tenant in the request.</response>
+        /// <response code="404">If a tenant or file in the request does not exist.</response>
+        /// <remarks>
+        /// The files are put at the root of the archive and every folder becomes a directory named
+        /// after it, containing its nested subtenants as subdirectories. Files that were encrypted in
+        /// the browser are left out, since the server can't decrypt them, and are listed in a text file
+        /// at the root of the archive instead. Everything is checked before
+        /// the archive starts, since errors can't be reported once the response has begun.
+        /// </remarks>
+        [HttpPost("archive")]
+        [ProducesResponseType(typeof(FileStreamResult), 200)]
+        [ProducesResponseType(400)]
+        [ProducesResponseType(401)]
+        [ProducesResponseType(404)]
+        public async Task<IActionResult> DownloadArchive([FromBody] CreateArchiveRequest request, CancellationToken cancellationToken)
+        {
+            if (request == null)
+                return BadRequest("Request body is required");
+
+            if (request.FileIds.Count == 0 && request.FolderIds.Count == 0)
+                return BadRequest("At least one file or folder is required");
+
+            string authenticatedTenantId = HttpContext.GetTenantId();
+            string tenantId = string.IsNullOrWhiteSpace(request.TenantId) ? authenticatedTenantId : request.TenantId;
+
+            if (!_tenantConfigurationService.HasAccessToTenant(authenticatedTenantId, tenantId))
+            {
+                return Unauthorized();
+            }
+
+            TenantInfo? tenant = _tenantConfigurationService.GetTenant(tenantId);
+            if (tenant == null)
+            {
+                return NotFound();
+            }
+
+            string? folderName = null;
+            foreach (string folderId in request.FolderIds)
+            {
+                if (!_tenantConfigurationService.HasAccessToTenant(authenticatedTenantId, folderId))
+                {
+                    return Unauthorized();
+                }
+
+                TenantInfo? folder = _tenantConfigurationService.GetTenant(folderId);
+                if (folder == null)
+                {
+                    return NotFound();
+                }
+
+                folderName = folder.DisplayName;
+            }
+
+            foreach (Guid fileId in request.FileIds)
+            {
+                if (await _fileStorageService.GetFileMetadataAsync(tenantId, fileId, cancellationToken) == null)
+                {
+                    return NotFound();
+                }
+            }
+
+            // A single folder is named after itself, anything else after the folder it was selected in
+            string archiveName = request.FolderIds.Count == 1 && request.FileIds.Count == 0 ? folderName! : tenant.DisplayName;
+            string archiveFileName = $"{(string.IsNullOrWhiteSpace(archiveName) ? "files" : archiveName)}.zip";
+            ContentDispositionHeaderValue contentDisposition = new ContentDispositionHeaderValue("attachment");
+            contentDisposition.SetHttpFileName(archiveFileName);
+
+            string archiveContents = $"ZIP archive of {request.FileIds.Count} files and {request.FolderIds.Count} folders";
+            await _auditLogService.RecordAsync(HttpContext.CreateAuditEntry(AuditAction.FileDownloaded, tenantId, null, archiveFileName, archiveContents));
+
+            Response.ContentType = "application/zip";
+            Response.Headers[HeaderNames.ContentDisposition] = contentDisposition.ToString();
+
+            await _archiveService.WriteArchiveAsync(Response.Body, tenantId, request.FileIds, request.FolderIds, cancellationToken);
+            return new EmptyResult();
+        }
+
+        /// <summary>
+        /// Moves a file to another folder, together with its chunks.
+        /// </summary>
+        /// <param name="fileId">The unique identifier of the file to move.</param>
+        /// <param name="request">The folder the file is in and the folder to move it to.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The metadata of the moved file.</returns>
+        /// <response code="200">Returns the metadata of the moved file.</response>
+        /// <response code="400">If the source and target folders are the same.</response>
+        /// <response code="401">If the API key is invalid or missing, or the authenticated tenant does not have access to either folder.</response>
+        /// <response code="404">If the file or either folder does not exist.</response>
+        /// <response code="409">If the target folder already has a file with the same name.</response>
+        /// <response code="413">If a storage limit the file moves into would be exceeded.</response>
+        /// <remarks>
+        /// Folders are the authenticated tenant and its subtenants. The file keeps its ID, and its storage
+        /// is freed in the source folder and counted in the target folder. Limits that cover both folders,
+        /// like that of a parent folder, only need room for what the move adds on top of what it frees.
+        /// </remarks>
+        [HttpPost("{fileId}/move")]
+        [ProducesResponseType(typeof(ShelfFileMetadata), 200)]
+        [ProducesResponseType(400)]
+        [ProducesResponseType(401)]
+        [ProducesResponseType(404)]
+        [ProducesResponseType(409)]
+        [ProducesResponseType(413)]
+        public async Task<ActionResult<ShelfFileMetadata>> MoveFile(Guid fileId, [FromBody] FileTransferRequest request, CancellationToken cancellationToken)
+        {
+            return await TransferFileAsync(fileId, request, true, cancellationToken);
+        }
+
+        /// <summary>
+        /// Copies a file to another folder, together with its chunks.
+        /// </summary>
+        /// <param name="fileId">The unique identifier of the file to copy.</param>
+        /// <param name="request">The folder the file is in and the folder to copy it to.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The metadata of the copy.</returns>
+        /// <response code="200">Returns the metadata of the copy, which has a new ID.</response>
+        /// <response code="400">If the source and target folders are the same.</response>
+        /// <response code="401">If the API key is invalid or missing, or the authenticated tenant does not have access to either folder.</response>
+        /// <response code="404">If the file or either folder does not exist.</response>
+        /// <response code="409">If the target folder already has a file with the same name.</response>
+        /// <response code="413">If the target folder would exceed its storage quota.</response>
+        /// <remarks>
+        /// Folders are the authenticated tenant and its subtenants. Chunks the target folder already stores
+        /// with the same content are shared, so only the rest counts towards its storage usage.
+        /// </remarks>
+        [HttpPost("{fileId}/copy")]
+        [ProducesResponseType(typeof(ShelfFileMetadata), 200)]
+        [ProducesResponseType(400)]
+        [ProducesResponseType(401)]
+        [ProducesResponseType(404)]
+        [ProducesResponseType(409)]
+        [ProducesResponseType(413)]
+        public async Task<ActionResult<ShelfFileMetadata>> CopyFile(Guid fileId, [FromBody] FileTransferRequest request, CancellationToken cancellationToken)
+        {
+            return await TransferFileAsync(fileId, request, false, cancellationToken);
+        }
+
+        /// <summary>
+        /// Renames a file, scoped to the authenticated tenant.
+        /// </summary>
+        /// <param name="fileId">The unique identifier of the file to rename.</param>
+        /// <param name="request">The rename request with the new file name.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The updated file metadata.</returns>
+        /// <response code="200">Returns the updated file metadata.</response>
+        /// <response code="400">If the name is not allowed.</response>
+        /// <response code="401">If the API key is invalid or missing.</response>
+        /// <response code="404">If the file does not exist.</response>
+        /// <response code="409">If another file in the same folder already has that name.</response>
+        /// <remarks>
+        /// Only the name changes, the file keeps its ID and its chunks. Names are compared case-insensitively
+        /// with the other files in the tenant.
+        /// </remarks>
+        [HttpPut("{fileId}/name")]
+        [ProducesResponseType(typeof(ShelfFileMetadata), 200)]
+        [ProducesResponseType(400)]
+        [ProducesResponseType(401)]
+        [ProducesResponseType(404)]
+        [ProducesResponseType(409)]
+        public async Task<ActionResult<ShelfFileMetadata>> RenameFile(Guid fileId, [FromBody] RenameRequest? request, CancellationToken cancellationToken)
+        {
+            string tenantId = HttpContext.GetTenantId();
+            return await RenameFileInTenantAsync(tenantId, fileId, request, cancellationToken);
+        }
+
+        /// <summary>
+        /// Renames a file for a specific tenant.
+        /// </summary>
+        /// <param name="targetTenantId">The ID of the tenant whose file to rename.</param>
+        /// <param name="fileId">The unique identifier of the file to rename.</param>
+        /// <param name="request">The rename request with the new file name.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The updated file metadata.</returns>
+        /// <response code="200">Returns the updated file metadata.</response>
+        /// <response code="400">If the name is not allowed.</response>
+        /// <response code="401">If the API key is invalid or missing, or the authenticated tenant does not have access to the specified tenant.</response>
+        /// <response code="404">If the file or the specified tenant does not exist.</response>
+        /// <response code="409">If another file in the same folder already has that name.</response>
+        /// <remarks>
+        /// This endpoint allows a parent tenant to rename files in its subtenants.
+        /// The authenticated tenant must have access to the specified tenant (either be the same tenant or a parent).
+        /// </remarks>
+        [HttpPut("{targetTenantId}/{fileId}/name")]
+        [ProducesResponseType(typeof(ShelfFileMetadata), 200)]
+        [ProducesResponseType(400)]
+        [ProducesResponseType(401)]
+        [ProducesResponseType(404)]
+        [ProducesResponseType(409)]
+        public async Task<ActionResult<ShelfFileMetadata>> RenameFileForTenant(string targetTenantId, Guid fileId, [FromBody] RenameRequest? request, CancellationToken cancellationToken)
+        {
+            string authenticatedTenantId = HttpContext.GetTenantId();
+
+            // Validate access to the target tenant
+            if (!_tenantConfigurationService.HasAccessToTenant(authenticatedTenantId, targetTenantId))
+            {
+                return Unauthorized();
+            }
+
+            // Check if target tenant exists
+            if (_tenantConfigurationService.GetTenant(targetTenantId) == null)
+            {
+                return NotFound();
+            }
+
+            return await RenameFileInTenantAsync(targetTenantId, fileId, request, cancellationToken);
+        }
+
+        /// <summary>
+        /// Replaces the tags and key/value attributes of a file.
+        /// </summary>
+        /// <param name="fileId">The unique identifier of the file.</param>
+        /// <param name="labels">The new tags and attributes.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The updated file metadata.</returns>
+        /// <response code="200">Returns the updated file metadata.</response>
+        /// <response code="400">If a tag or attribute is not allowed.</response>
+        /// <response code="401">If the API key is invalid or missing.</response>
+        /// <response code="404">If the file does not exist.</response>
+        /// <remarks>
+        /// The labels replace all previous ones, so leaving out tags or attributes removes them.
+        /// Whitespace around tags, keys and values is removed and duplicate tags are dropped.
+        /// </remarks>
+        [HttpPut("{fileId}/labels")]
+        [ProducesResponseType(typeof(ShelfFileMetadata), 200)]
+        [ProducesResponseType(400)]
+        [ProducesResponseType(401)]
+        [ProducesResponseType(404)]
+        public async Task<ActionResult<ShelfFileMetadata>> UpdateFileLabels(Guid fileId, [FromBody] FileLabels? labels, CancellationToken cancellationToken)
+        {
+            string tenantId = HttpContext.GetTenantId();
+            return await UpdateFileLabelsInTenantAsync(tenantId, fileId, labels, cancellationToken);
+        }
+
+        /// <summary>
+        /// Replaces the tags and key/value attributes of a file for a specific tenant.
+        /// </summary>
+        /// <param name="targetTenantId">The ID of the tenant whose file to label.</param>
+        /// <param name="fileId">The unique identifier of the file.</param>
+        /// <param name="labels">The new tags and attributes.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The updated file metadata.</returns>
+        /// <response code="200">Returns the updated file metadata.</response>
+        /// <response code="400">If a tag or attribute is not allowed.</response>
+        /// <response code="401">If the API key is invalid or missing, or the authenticated tenant does not have access to the specified tenant.</response>
+        /// <response code="404">If the file or the specified tenant does not exist.</response>
+        /// <remarks>
+        /// This endpoint allows a parent tenant to label files in its subtenants.
+        /// The authenticated tenant must have access to the specified tenant (either be the same tenant or a parent).
+        /// </remarks>
+        [HttpPut("{targetTenantId}/{fileId}/labels")]
+        [ProducesResponseType(typeof(ShelfFileMetadata), 200)]
+        [ProducesResponseType(400)]
+        [ProducesResponseType(401)]
+        [ProducesResponseType(404)]
+        public async Task<ActionResult<ShelfFileMetadata>> UpdateFileLabelsForTenant(string targetTenantId, Guid fileId, [FromBody] FileLabels? labels, CancellationToken cancellationToken)
+        {
+            string authenticatedTenantId = HttpContext.GetTenantId();
+
+            // Validate access to the target tenant
+            if (!_tenantConfigurationService.HasAccessToTenant(authenticatedTenantId, targetTenantId))
+            {
+                return Unauthorized();
+            }
+
+            // Check if target tenant exists
+            if (_tenantConfigurationService.GetTenant(targetTenantId) == null)
+            {
+                return NotFound();
+            }
+
+            return await UpdateFileLabelsInTenantAsync(targetTenantId, fileId, labels, cancellationToken);
+        }
+
+        /// <summary>
+        /// Lists the earlier versions of a file, scoped to the authenticated tenant.
+        /// </summary>
+        /// <param name="fileId">The unique identifier of the file.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The metadata of the earlier versions, most recent first.</returns>
+        /// <response code="200">Returns the metadata of the earlier versions.</response>
+        /// <response code="401">If the API key is invalid or missing.</response>
+        /// <response code="404">If the file does not exist.</response>
+        /// <remarks>
+        /// The ID in each entry is that of the version. The current version is not included,
+        /// it is described by the metadata of the file itself.
+        /// </remarks>
+        [HttpGet("{fileId}/versions")]
+        [ProducesResponseType(typeof(IEnumerable<ShelfFileMetadata>), 200)]
+        [ProducesResponseType(401)]
+        [ProducesResponseType(404)]
+        public async Task<ActionResult<IEnumerable<ShelfFileMetadata>>> GetFileVersions(Guid fileId, CancellationToken cancellationToken)
+        {
+            string tenantId = HttpContext.GetTenantId();
+
+            IEnumerable<ShelfFileMetadata>? versions = await _fileStorageService.GetFileVersionsAsync(tenantId, fileId, cancellationToken);
+            if (versions == null)
+                return NotFound();
+
+            return Ok(versions);
+        }
+
+        /// <summary>
+        /// Lists the earlier versions of a file of a specific tenant.
+        /// </summary>
+        /// <param name="targetTenantId">The ID of the tenant whose file it is.</param>
+        /// <param name="fileId">The unique identifier of the file.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The metadata of the earlier versions, most recent first.</returns>
+        /// <response code="200">Returns the metadata of the earlier versions.</response>
+        /// <response code="401">If the API key is invalid or missing, or the authenticated tenant does not have access to the specified tenant.</response>
+        /// <response code="404">If the file or the specified tenant does not exist.</response>
+        /// <remarks>
+        /// This endpoint allows a parent tenant to list the versions of files in its subtenants.
+        /// The authenticated tenant must have access to the specified tenant (either be the same tenant or a parent).
+        /// </remarks>
+        [HttpGet("{targetTenantId}/{fileId}/versions")]
+        [ProducesResponseType(typeof(IEnumerable<ShelfFileMetadata>), 200)]
+        [ProducesResponseType(401)]
+        [ProducesResponseType(404)]
+        public async Task<ActionResult<IEnumerable<ShelfFileMetadata>>> GetFileVersionsForTenant(string targetTenantId, Guid fileId, CancellationToken cancellationToken)
+        {
+            string authenticatedTenantId = HttpContext.GetTenantId();
+
+            // Validate access to the target tenant
+            if (!_tenantConfigurationService.HasAccessToTenant(authenticatedTenantId, targetTenantId))
+            {
+                return Unauthorized();
+            }
+
+            // Check if target tenant exists
+            if (_tenantConfigurationService.GetTenant(targetTenantId) == null)
+            {
+                return NotFound();
+            }
+
+            IEnumerable<ShelfFileMetadata>? versions = await _fileStorageService.GetFileVersionsAsync(targetTenantId, fileId, cancellationToken);
+            if (versions == null)
+                return NotFound();
+
+            return Ok(versions);
+        }
+
+        /// <summary>
+        /// Downloads an earlier version of a file, scoped to the authenticated tenant.
+        /// </summary>
+        /// <param name="fileId">The unique identifier of the file.</param>
+        /// <param name="versionId">The unique identifier of the version.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The content of the version as a binary stream.</returns>
+        /// <response code="200">Returns the content of the version.</response>
+        /// <response code="401">If the API key is invalid or missing.</response>
+        /// <response code="404">If the file or the version does not exist.</response>
+        [HttpGet("{fileId}/versions/{versionId}/download")]
+        [ProducesResponseType(typeof(FileStreamResult), 200)]
+        [ProducesResponseType(401)]
+        [ProducesResponseType(404)]
+        public async Task<IActionResult> DownloadFileVersion(Guid fileId, Guid versionId, CancellationToken cancellationToken)
+        {
+            string tenantId = HttpContext.GetTenantId();
+            return await DownloadFileVersionFromTenantAsync(tenantId, fileId, versionId, cancellationToken);
+        }
+
+        /// <summary>
+        /// Downloads an earlier version of a file of a specific tenant.
+        /// </summary>
+        /// <param name="targetTenantId">The ID of the tenant whose file it is.</param>
+        /// <param name="fileId">The unique identifier of the file.</param>
+        /// <param name="versionId">The unique identifier of the version.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The content of the version as a binary stream.</returns>
+        /// <response code="200">Returns the content of the version.</response>
+        /// <response code="401">If the API key is invalid or missing, or the authenticated tenant does not have access to the specified tenant.</response>
+        /// <response code="404">If the file, the version or the specified tenant does not exist.</response>
+        /// <remarks>
+        /// This endpoint allows a parent tenant to download versions of files in its subtenants.
+        /// The authenticated tenant must have access to the specified tenant (either be the same tenant or a parent).
+        /// </remarks>
+        [HttpGet("{targetTenantId}/{fileId}/versions/{versionId}/download")]
+        [ProducesResponseType(typeof(FileStreamResult), 200)]
+        [ProducesResponseType(401)]
+        [ProducesResponseType(404)]
+        public async Task<IActionResult> DownloadFileVersionForTenant(string targetTenantId, Guid fileId, Guid versionId, CancellationToken cancellationToken)
+        {
+            string authenticatedTenantId = HttpContext.GetTenantId();
+
+            // Validate access to the target tenant
+            if (!_tenantConfigurationService.HasAccessToTenant(authenticatedTenantId, targetTenantId))
+            {
+                return Unauthorized();
+            }
+
+            // Check if target tenant exists
+            if (_tenantConfigurationService.GetTenant(targetTenantId) == null)
+            {
+                return NotFound();
+            }
+
+            return await DownloadFileVersionFromTenantAsync(targetTenantId, fileId, versionId, cancellationToken);
+        }
+
+        /// <summary>
+        /// Makes an earlier version of a file its current version again, scoped to the authenticated tenant.
+        /// </summary>
+        /// <param name="fileId">The unique identifier of the file.</param>
+        /// <param name="versionId">The unique identifier of the version to restore.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The metadata of the file after the restore.</returns>
+        /// <response code="200">Returns the metadata of the file.</response>
+        /// <response code="401">If the API key is invalid or missing.</response>
+        /// <response code="403">If the API key can't delete and the file has more earlier versions than its folder keeps.</response>
+        /// <response code="404">If the file or the version does not exist.</response>
+        /// <remarks>
+        /// The file keeps its ID and name, and the content it had before becomes an earlier version.
+        /// </remarks>
+        [HttpPost("{fileId}/versions/{versionId}/restore")]
+        [ProducesResponseType(typeof(ShelfFileMetadata), 200)]
+        [ProducesResponseType(401)]
+        [ProducesResponseType(403)]
+        [ProducesResponseType(404)]
+        public async Task<ActionResult<ShelfFileMetadata>> RestoreFileVersion(Guid fileId, Guid versionId, CancellationToken cancellationToken)
+        {
+            string tenantId = HttpContext.GetTenantId();
+            return await RestoreFileVersionInTenantAsync(tenantId, fileId, versionId, cancellationToken);
+        }
+
+        /// <summary>
+        /// Makes an earlier version of a file of a specific tenant its current version again.
+        /// </summary>
+        /// <param name="targetTenantId">The ID of the tenant whose file it is.</param>
+        /// <param name="fileId">The unique identifier of the file.</param>
+        /// <param name="versionId">The unique identifier of the version to restore.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The metadata of the file after the restore.</returns>
+        /// <response code="200">Returns the metadata of the file.</response>
+        /// <response code="401">If the API key is invalid or missing, or the authenticated tenant does not have access to the specified tenant.</response>
+        /// <response code="403">If the API key can't delete and the file has more earlier versions than its folder keeps.</response>
+        /// <response code="404">If the file, the version or the specified tenant does not exist.</response>
+        /// <remarks>
+        /// This endpoint allows a parent tenant to restore versions of files in its subtenants.
+        /// The authenticated tenant must have access to the specified tenant (either be the same tenant or a parent).
+        /// </remarks>
+        [HttpPost("{targetTenantId}/{fileId}/versions/{versionId}/restore")]
+        [ProducesResponseType(typeof(ShelfFileMetadata), 200)]
+        [ProducesResponseType(401)]
+        [ProducesResponseType(403)]
+        [ProducesResponseType(404)]
+        public async Task<ActionResult<ShelfFileMetadata>> RestoreFileVersionForTenant(string targetTenantId, Guid fileId, Guid versionId, CancellationToken cancellationToken)
+        {
+            string authenticatedTenantId = HttpContext.GetTenantId();
+
+            // Validate access to the target tenant
+            if (!_tenantConfigurationService.HasAccessToTenant(authenticatedTenantId, targetTenantId))
+            {
+                return Unauthorized();
+            }
+
+            // Check if target tenant exists
+            if (_tenantConfigurationService.GetTenant(targetTenantId) == null)
+            {
+                return NotFound();
+            }
+
+            return await RestoreFileVersionInTenantAsync(targetTenantId, fileId, versionId, cancellationToken);
+        }
+
+        /// <summary>
+        /// Moves a file to the trash, scoped to the authenticated tenant.
         /// </summary>
         /// <param name="fileId">The unique identifier of the file to delete.</param>
         /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
         /// <returns>No content on successful deletion.</returns>
-        /// <response code="204">If the file was successfully deleted.</response>
+        /// <response code="204">If the file was successfully moved to the trash.</response>
         /// <response code="404">If the file with the specified ID does not exist or does not belong to the tenant.</response>
         /// <response code="401">If the API key is invalid or missing.</response>
         /// <remarks>
         /// This operation is idempotent - deleting a non-existent file will not throw an exception.
-        /// The operation deletes both the file metadata and all associated chunks.
+        /// The file can be restored from the trash until it is purged, and its chunks keep counting
+        /// towards the storage quota until then. Use the trash endpoints to restore or purge it.
         /// Only files belonging to the authenticated tenant can be deleted.
         /// </remarks>
         [HttpDelete("{fileId}")]
@@ -349,22 +971,17 @@ namespace ByteShelf.Controllers
         public async Task<ActionResult> DeleteFile(Guid fileId, CancellationToken cancellationToken)
         {
             string tenantId = HttpContext.GetTenantId();
-            bool? fileDeletedResult = await _fileStorageService.DeleteFileAsync(tenantId, fileId, cancellationToken);
-
-            if (fileDeletedResult == null)
-                return NotFound();
-
-            return NoContent();
+            return await TrashFileInTenantAsync(tenantId, fileId, cancellationToken);
         }
 
         /// <summary>
-        /// Deletes a file and all its associated chunks for a specific tenant.
+        /// Moves a file of a specific tenant to the trash.
         /// </summary>
         /// <param name="targetTenantId">The ID of the tenant whose file to delete.</param>
         /// <param name="fileId">The unique identifier of the file to delete.</param>
         /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
         /// <returns>No content on successful deletion.</returns>
-        /// <response code="204">If the file was successfully deleted.</response>
+        /// <response code="204">If the file was successfully moved to the trash.</response>
         /// <response code="401">If the API key is invalid or missing.</response>
         /// <response code="403">If the authenticated tenant does not have access to the specified tenant.</response>
         /// <response code="404">If the file with the specified ID does not exist or the specified tenant does not exist.</response>
@@ -372,7 +989,7 @@ namespace ByteShelf.Controllers
         /// This endpoint allows a parent tenant to delete files from its subtenants.
         /// The authenticated tenant must have access to the specified tenant (either be the same tenant or a parent).
         /// This operation is idempotent - deleting a non-existent file will not throw an exception.
-        /// The operation deletes both the file metadata and all associated chunks.
+        /// The file goes to the trash of the specified tenant, where it can be restored until it is purged.
         /// </remarks>
         [HttpDelete("{targetTenantId}/{fileId}")]
         [ProducesResponseType(204)]
@@ -395,12 +1012,408 @@ namespace ByteShelf.Controllers
                 return NotFound();
             }
 
-            bool? fileDeletedResult = await _fileStorageService.DeleteFileAsync(targetTenantId, fileId, cancellationToken);
+            return await TrashFileInTenantAsync(targetTenantId, fileId, cancellationToken);
+        }
+
+        /// <summary>
+        /// Validates a move or copy request and carries it out.
+        /// </summary>
+        /// <param name="fileId">The unique identifier of the file.</param>
+        /// <param name="request">The folder the file is in and the folder to move or copy it to.</param>
+        /// <param name="move">Whether to move the file rather than copy it.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The metadata of the moved file or the copy.</returns>
+        private async Task<ActionResult<ShelfFileMetadata>> TransferFileAsync(Guid fileId, FileTransferRequest request, bool move, CancellationToken cancellationToken)
+        {
+            if (request == null)
+                return BadRequest("Request body is required");
+
+            string authenticatedTenantId = HttpContext.GetTenantId();
+            string sourceTenantId = string.IsNullOrWhiteSpace(request.SourceTenantId) ? authenticatedTenantId : request.SourceTenantId;
+            string targetTenantId = string.IsNullOrWhiteSpace(request.TargetTenantId) ? authenticatedTenantId : request.TargetTenantId;
+
+            if (!_tenantConfigurationService.HasAccessToTenant(authenticatedTenantId, sourceTenantId) ||
+                !_tenantConfigurationService.HasAccessToTenant(authenticatedTenantId, targetTenantId))
+            {
+                return Unauthorized();
+            }
+
+            if (_tenantConfigurationService.GetTenant(sourceTenantId) == null || _tenantConfigurationService.GetTenant(targetTenantId) == null)
+            {
+                return NotFound();
+            }
+
+            if (sourceTenantId == targetTenantId)
+                return BadRequest("The file is already in that folder");
+
+            try
+            {
+                ShelfFileMetadata? metadata = move
+                    ? await _fileStorageService.MoveFileAsync(sourceTenantId, fileId, targetTenantId, cancellationToken)
+                    : await _fileStorageService.CopyFileAsync(sourceTenantId, fileId, targetTenantId, cancellationToken);
+
+                if (metadata == null)
+                    return NotFound();
+
+                await _auditLogService.RecordAsync(move
+                    ? HttpContext.CreateAuditEntry(AuditAction.FileMoved, targetTenantId, fileId.ToString(), metadata.OriginalFilename, $"From {sourceTenantId}")
+                    : HttpContext.CreateAuditEntry(AuditAction.FileCopied, targetTenantId, metadata.Id.ToString(), metadata.OriginalFilename, $"Copy of {fileId} in {sourceTenantId}"));
+                return Ok(metadata);
+            }
+            catch (StorageQuotaExceededException ex)
+            {
+                return StatusCode(413, new { error = "Storage quota exceeded", message = ex.Message });
+            }
+            catch (InvalidOperationException ex)
+            {
+                return Conflict(ex.Message);
+            }
+        }
+
+        /// <summary>
+        /// Validates a new file name and renames the file.
+        /// </summary>
+        /// <param name="tenantId">The ID of the tenant that holds the file.</param>
+        /// <param name="fileId">The unique identifier of the file.</param>
+        /// <param name="request">The rename request with the new file name.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The updated file metadata.</returns>
+        private async Task<ActionResult<ShelfFileMetadata>> RenameFileInTenantAsync(string tenantId, Guid fileId, RenameRequest? request, CancellationToken cancellationToken)
+        {
+            if (request == null)
+                return BadRequest("Request body is required");
+
+            string name = request.Name?.Trim() ?? string.Empty;
+            string? validationError = ItemNameValidator.GetValidationError(name);
+            if (validationError != null)
+                return BadRequest(validationError);
+
+            try
+            {
+                // The old name is read first, so the audit log shows what the file was called
+                ShelfFileMetadata? previous = await _fileStorageService.GetFileMetadataAsync(tenantId, fileId, cancellationToken);
+                ShelfFileMetadata? metadata = await _fileStorageService.RenameFileAsync(tenantId, fileId, name, cancellationToken);
+                if (metadata == null)
+                    return NotFound();
+
+                await _auditLogService.RecordAsync(HttpContext.CreateAuditEntry(
+                    AuditAction.FileRenamed, tenantId, fileId.ToString(), metadata.OriginalFilename, previous != null ? $"Renamed from {previous.OriginalFilename}" : null));
+                return Ok(metadata);
+            }
+            catch (InvalidOperationException ex)
+            {
+                return Conflict(ex.Message);
+            }
+        }
+
+        /// <summary>
+        /// Validates new labels and replaces those of the file.
+        /// </summary>
+        /// <param name="tenantId">The ID of the tenant that holds the file.</param>
+        /// <param name="fileId">The unique identifier of the file.</param>
+        /// <param name="labels">The new tags and attributes.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The updated file metadata.</returns>
+        private async Task<ActionResult<ShelfFileMetadata>> UpdateFileLabelsInTenantAsync(string tenantId, Guid fileId, FileLabels? labels, CancellationToken cancellationToken)
+        {
+            if (labels == null)
+                return BadRequest("Request body is required");
+
+            List<string>? tags = FileLabelValidator.NormalizeTags(labels.Tags);
+            Dictionary<string, string>? attributes = FileLabelValidator.NormalizeAttributes(labels.Attributes);
+            string? validationError = FileLabelValidator.GetValidationError(tags, attributes);
+            if (validationError != null)
+                return BadRequest(validationError);
+
+            ShelfFileMetadata? metadata = await _fileStorageService.UpdateFileLabelsAsync(tenantId, fileId, tags, attributes, cancellationToken);
+            if (metadata == null)
+                return NotFound();
+
+            await _auditLogService.RecordAsync(HttpContext.CreateAuditEntry(
+                AuditAction.FileLabelsUpdated, tenantId, fileId.ToString(), metadata.OriginalFilename, DescribeLabels(metadata.Tags, metadata.Attributes)));
+            return Ok(metadata);
+        }
+
+        /// <summary>
+        /// Returns the content of an earlier version of a file as a download.
+        /// </summary>
+        /// <param name="tenantId">The ID of the tenant that holds the file.</param>
+        /// <param name="fileId">The unique identifier of the file.</param>
+        /// <param name="versionId">The unique identifier of the version.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The content of the version, or not found if the version doesn't exist.</returns>
+        private async Task<IActionResult> DownloadFileVersionFromTenantAsync(string tenantId, Guid fileId, Guid versionId, CancellationToken cancellationToken)
+        {
+            ShelfFileMetadata? version = await _fileStorageService.GetFileVersionAsync(tenantId, fileId, versionId, cancellationToken);
+            if (version == null)
+                return NotFound();
+
+            Stream versionStream = await _fileStorageService.GetFileVersionStreamAsync(tenantId, fileId, versionId, cancellationToken);
+            await _auditLogService.RecordAsync(HttpContext.CreateAuditEntry(AuditAction.FileDownloaded, tenantId, fileId.ToString(), version.OriginalFilename, $"Version {versionId}"));
+            return File(versionStream, version.ContentType, version.OriginalFilename);
+        }
+
+        /// <summary>
+        /// Moves a file to the trash and records it in the audit log.
+        /// </summary>
+        /// <param name="tenantId">The ID of the tenant that holds the file.</param>
+        /// <param name="fileId">The unique identifier of the file.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>No content, or not found if the file doesn't exist.</returns>
+        private async Task<ActionResult> TrashFileInTenantAsync(string tenantId, Guid fileId, CancellationToken cancellationToken)
+        {
+            // The name is read first, since the metadata isn't among the tenant's files once it is in the trash
+            ShelfFileMetadata? metadata = await _fileStorageService.GetFileMetadataAsync(tenantId, fileId, cancellationToken);
+            bool? fileDeletedResult = await _fileStorageService.TrashFileAsync(tenantId, fileId, cancellationToken);
 
             if (fileDeletedResult == null)
                 return NotFound();
 
+            await _auditLogService.RecordAsync(HttpContext.CreateAuditEntry(AuditAction.FileDeleted, tenantId, fileId.ToString(), metadata?.OriginalFilename));
             return NoContent();
         }
+
+        /// <summary>
+        /// Restores an earlier version of a file, keeping as many versions as the tenant's policy allows.
+        /// </summary>
+        /// <param name="tenantId">The ID of the tenant that holds the file.</param>
+        /// <param name="fileId">The unique identifier of the file.</param>
+        /// <param name="versionId">The unique identifier of the version to restore.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The metadata of the file after the restore.</returns>
+        private async Task<ActionResult<ShelfFileMetadata>> RestoreFileVersionInTenantAsync(string tenantId, Guid fileId, Guid versionId, CancellationToken cancellationToken)
+        {
+            // The restored version stops being an earlier version, so the count only goes down if the file has too many
+            int maxVersions = GetMaxFileVersions(tenantId);
+            ActionResult? versionViolation = await CheckVersionsKeptAsync(tenantId, fileId, maxVersions, 0, cancellationToken);
+            if (versionViolation != null)
+                return versionViolation;
+
+            ShelfFileMetadata? metadata = await _fileStorageService.RestoreFileVersionAsync(
+                tenantId,
+                fileId,
+                versionId,
+                HttpContext.GetApiKeyName(),
+                maxVersions,
+                cancellationToken);
+
+            if (metadata == null)
+                return NotFound();
+
+            await _auditLogService.RecordAsync(HttpContext.CreateAuditEntry(
+                AuditAction.FileVersionRestored, tenantId, fileId.ToString(), metadata.OriginalFilename, $"Version {versionId}"));
+            return Ok(metadata);
+        }
+
+        /// <summary>
+        /// Refuses an upload that would drop an earlier version of the file with the same name, if the API key can't delete.
+        /// </summary>
+        /// <param name="tenantId">The ID of the tenant the file is uploaded to.</param>
+        /// <param name="filename">The name of the uploaded file.</param>
+        /// <param name="maxVersions">How many earlier versions of each file the tenant keeps.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The error result to return, or <c>null</c> if the upload can go ahead.</returns>
+        private async Task<ActionResult?> CheckUploadKeepsVersionsAsync(string tenantId, string filename, int maxVersions, CancellationToken cancellationToken)
+        {
+            if (HttpContext.CanDelete())
+                return null;
+
+            IEnumerable<ShelfFileMetadata> files = await _fileStorageService.GetFilesAsync(tenantId, cancellationToken);
+            ShelfFileMetadata? current = files.FirstOrDefault(file => string.Equals(file.OriginalFilename, filename, StringComparison.OrdinalIgnoreCase));
+            if (current == null)
+                return null;
+
+            // The current content of the file becomes an earlier version
+            return await CheckVersionsKeptAsync(tenantId, current.Id, maxVersions, 1, cancellationToken);
+        }
+
+        /// <summary>
+        /// Refuses a change to a file that would drop an earlier version of it, if the API key can't delete.
+        /// </summary>
+        /// <param name="tenantId">The ID of the tenant that holds the file.</param>
+        /// <param name="fileId">The unique identifier of the file.</param>
+        /// <param name="maxVersions">How many earlier versions of each file the tenant keeps.</param>
+        /// <param name="addedVersions">How many earlier versions the change adds.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The error result to return, or <c>null</c> if the change can go ahead.</returns>
+        private async Task<ActionResult?> CheckVersionsKeptAsync(string tenantId, Guid fileId, int maxVersions, int addedVersions, CancellationToken cancellationToken)
+        {
+            if (HttpContext.CanDelete())
+                return null;
+
+            IEnumerable<ShelfFileMetadata>? versions = await _fileStorageService.GetFileVersionsAsync(tenantId, fileId, cancellationToken);
+            int versionCount = (versions?.Count() ?? 0) + addedVersions;
+            if (maxVersions > 0 && versionCount <= maxVersions)
+                return null;
+
+            return StatusCode(403, new
+            {
+                error = "Insufficient API key scope",
+                message = $"This API key cannot delete, and the change would drop an earlier version of the file since its folder keeps {maxVersions}"
+            });
+        }
+
+        /// <summary>
+        /// Describes the labels of a file for the audit log.
+        /// </summary>
+        /// <param name="tags">The tags of the file.</param>
+        /// <param name="attributes">The attributes of the file.</param>
+        /// <returns>The tags and attributes, or a note that the file has none.</returns>
+        private static string DescribeLabels(List<string>? tags, Dictionary<string, string>? attributes)
+        {
+            List<string> parts = new List<string>();
+            if (tags != null && tags.Count > 0)
+                parts.Add($"Tags: {string.Join(", ", tags)}");
+            if (attributes != null && attributes.Count > 0)
+                parts.Add($"Attributes: {string.Join(", ", attributes.Select(attribute => $"{attribute.Key}={attribute.Value}"))}");
+
+            return parts.Count > 0 ? string.Join("; ", parts) : "No labels";
+        }
+
+        /// <summary>
+        /// Gets how many earlier versions of each file a tenant keeps.
+        /// </summary>
+        /// <param name="tenantId">The tenant ID.</param>
+        /// <returns>The effective version policy of the tenant.</returns>
+        private int GetMaxFileVersions(string tenantId)
+        {
+            TenantInfo? tenant = _tenantConfigurationService.GetTenant(tenantId);
+            return tenant?.GetEffectiveMaxFileVersions() ?? TenantInfo.DefaultMaxFileVersions;
+        }
+
+        /// <summary>
+        /// Normalizes the labels of uploaded file metadata and checks that they are allowed.
+        /// </summary>
+        /// <param name="metadata">The uploaded metadata, whose labels are replaced by the normalized ones.</param>
+        /// <returns>A message describing why the labels can't be used, or <c>null</c> if they can.</returns>
+        private static string? NormalizeLabels(ShelfFileMetadata metadata)
+        {
+            metadata.Tags = FileLabelValidator.NormalizeTags(metadata.Tags);
+            metadata.Attributes = FileLabelValidator.NormalizeAttributes(metadata.Attributes);
+            return FileLabelValidator.GetValidationError(metadata.Tags, metadata.Attributes);
+        }
+
+        /// <summary>
+        /// Keeps the files that have all of the requested tags and attributes.
+        /// </summary>
+        /// <param name="files">The files to filter.</param>
+        /// <param name="tags">The tags the files must have.</param>
+        /// <param name="attributes">The attributes the files must have, as "key=value", or as "key" for any value.</param>
+        /// <returns>The matching files, or all files if there are no filters.</returns>
+        private static IEnumerable<ShelfFileMetadata> FilterByLabels(IEnumerable<ShelfFileMetadata> files, string[]? tags, string[]? attributes)
+        {
+            List<string> requiredTags = (tags ?? Array.Empty<string>())
+                .Select(tag => tag.Trim())
+                .Where(tag => tag.Length > 0)
+                .ToList();
+
+            List<(string Key, string? Value)> requiredAttributes = new List<(string Key, string? Value)>();
+            foreach (string filter in (attributes ?? Array.Empty<string>()).Where(filter => !string.IsNullOrWhiteSpace(filter)))
+            {
+                int separatorIndex = filter.IndexOf('=');
+                requiredAttributes.Add(separatorIndex < 0
+                    ? (filter.Trim(), null)
+                    : (filter.Substring(0, separatorIndex).Trim(), filter.Substring(separatorIndex + 1).Trim()));
+            }
+
+            if (requiredTags.Count == 0 && requiredAttributes.Count == 0)
+                return files;
+
+            return files.Where(file =>
+                requiredTags.All(tag => file.Tags?.Contains(tag, StringComparer.OrdinalIgnoreCase) == true) &&
+                requiredAttributes.All(required => file.Attributes?.Any(attribute =>
+                    string.Equals(attribute.Key, required.Key, StringComparison.OrdinalIgnoreCase) &&
+                    (required.Value == null || string.Equals(attribute.Value, required.Value, StringComparison.OrdinalIgnoreCase))) == true))
+                .ToList();
+        }
+
+        /// <summary>
+        /// Splits a search query into the words a file name must match.
+        /// </summary>
+        /// <param name="query">The search query.</param>
+        /// <returns>The words of the query.</returns>
+        private static List<string> GetSearchTerms(string? query)
+        {
+            if (string.IsNullOrWhiteSpace(query))
+                return new List<string>();
+
+            return query.Split(' ', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries).ToList();
+        }
+
+        /// <summary>
+        /// Determines whether a file name matches a word of a search query, ignoring case.
+        /// </summary>
+        /// <param name="name">The file name.</param>
+        /// <param name="term">The word. Words with * or ? wildcards must match the whole name, others only have to appear in it.</param>
+        /// <returns><c>true</c> if the name matches; otherwise, <c>false</c>.</returns>
+        /// <remarks>
+        /// Wildcards are matched by going back only to the last *, instead of with a regular expression,
+        /// so a term with many wildcards can't make the search take exponential time.
+        /// </remarks>
+        private static bool MatchesSearchTerm(string name, string term)
+        {
+            if (!term.Contains('*') && !term.Contains('?'))
+                return name.Contains(term, StringComparison.OrdinalIgnoreCase);
+
+            int nameIndex = 0;
+            int termIndex = 0;
+            int starIndex = -1;
+            int starNameIndex = 0;
+
+            while (nameIndex < name.Length)
+            {
+                if (termIndex < term.Length && term[termIndex] == '*')
+                {
+                    starIndex = termIndex++;
+                    starNameIndex = nameIndex;
+                }
+                else if (termIndex < term.Length &&
+                    (term[termIndex] == '?' || char.ToUpperInvariant(term[termIndex]) == char.ToUpperInvariant(name[nameIndex])))
+                {
+                    termIndex++;
+                    nameIndex++;
+                }
+                else if (starIndex >= 0)
+                {
+                    // Let the last * take one more character and try the rest of the term again
+                    termIndex = starIndex + 1;
+                    nameIndex = ++starNameIndex;
+                }
+                else
+                {
+                    return false;
+                }
+            }
+
+            while (termIndex < term.Length && term[termIndex] == '*')
+                termIndex++;
+
+            return termIndex == term.Length;
+        }
+
+        /// <summary>
+        /// Recursively collects a tenant and its subtenants with the folder path to each of them.
+        /// </summary>
+        /// <param name="tenantId">The ID of the tenant to start from.</param>
+        /// <param name="tenant">The tenant to start from.</param>
+        /// <param name="path">The folder path to the tenant.</param>
+        /// <param name="folders">The list to add the tenants and their paths to.</param>
+        private static void CollectSearchFolders(
+            string tenantId,
+            TenantInfo tenant,
+            List<FolderPathSegment> path,
+            List<(string TenantId, List<FolderPathSegment> Path)> folders)
+        {
+            folders.Add((tenantId, path));
+
+            foreach (KeyValuePair<string, TenantInfo> subTenant in tenant.SubTenants.OrderBy(subTenant => subTenant.Value.DisplayName, StringComparer.OrdinalIgnoreCase))
+            {
+                List<FolderPathSegment> subTenantPath = new List<FolderPathSegment>(path)
+                {
+                    new FolderPathSegment(subTenant.Key, subTenant.Value.DisplayName)
+                };
+                CollectSearchFolders(subTenant.Key, subTenant.Value, subTenantPath, folders);
+            }
+        }
     }
 }
\ No newline at end of file
@@ -0,0 +1,421 @@
+using ByteShelf.Extensions;
+using ByteShelf.Services;
+using ByteShelfCommon;
+using Microsoft.AspNetCore.Mvc;
+
+namespace ByteShelf.Controllers
+{
+    /// <summary>
+    /// Controller for share links that give access to a file or a folder without an API key.
+    /// </summary>
+    /// <remarks>
+    /// This controller provides REST API endpoints for:
+    /// - Creating, listing and revoking share links, scoped to the authenticated tenant
+    /// - Viewing and downloading shared content through the public "api/share/public" routes
+    /// The public routes are skipped by the API key authentication middleware. Access to them
+    /// is controlled by the signed token in the URL, and by a password in the
+    /// <see cref="PasswordHeader"/> header for links that have one.
+    /// Wrong passwords are limited per link and per client by <see cref="IShareLinkService"/>, after which the
+    /// routes return 429 Too Many Requests for a while.
+    /// Encrypted files can't be shared, since the recipient wouldn't be able to decrypt them.
+    /// Creating and revoking links and downloading through them is recorded in the audit log.
+    /// </remarks>
+    [ApiController]
+    [Route("api/[controller]")]
+    public class ShareController : ControllerBase
+    {
+        /// <summary>
+        /// The request header that carries the URL-encoded password of a password protected link.
+        /// </summary>
+        public const string PasswordHeader = "X-Share-Password";
+
+        /// <summary>
+        /// The longest time a share link can stay valid, in hours.
+        /// </summary>
+        public const int MaxExpiryHours = 24 * 365;
+
+        private readonly IShareLinkService _shareLinkService;
+        private readonly IFileStorageService _fileStorageService;
+        private readonly ITenantConfigurationService _tenantConfigurationService;
+        private readonly IAuditLogService _auditLogService;
+
+        /// <summary>
+        /// Initializes a new instance of the <see cref="ShareController"/> class.
+        /// </summary>
+        /// <param name="shareLinkService">The share link service for creating and validating links.</param>
+        /// <param name="fileStorageService">The file storage service for reading shared files.</param>
+        /// <param name="tenantConfigurationService">The tenant configuration service for access validation.</param>
+        /// <param name="auditLogService">The audit log service for recording link changes and downloads through links.</param>
+        /// <exception cref="ArgumentNullException">Thrown when any of the parameters is null.</exception>
+        public ShareController(
+            IShareLinkService shareLinkService,
+            IFileStorageService fileStorageService,
+            ITenantConfigurationService tenantConfigurationService,
+            IAuditLogService auditLogService)
+        {
+            _shareLinkService = shareLinkService ?? throw new ArgumentNullException(nameof(shareLinkService));
+            _fileStorageService = fileStorageService ?? throw new ArgumentNullException(nameof(fileStorageService));
+            _tenantConfigurationService = tenantConfigurationService ?? throw new ArgumentNullException(nameof(tenantConfigurationService));
+            _auditLogService = auditLogService ?? throw new ArgumentNullException(nameof(auditLogService));
+        }
+
+        /// <summary>
+        /// Creates a share link for a file or a folder.
+        /// </summary>
+        /// <param name="request">What to share and the limits of the link.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The created link, including the token for the public URL.</returns>
+        /// <response code="200">Returns the created link.</response>
+        /// <response code="400">If the limits are invalid or the file is encrypted.</response>
+        /// <response code="401">If the API key is invalid or the tenant has no access to the target tenant.</response>
+        /// <response code="404">If the target tenant or file does not exist.</response>
+        /// <remarks>
+        /// When <see cref="CreateShareLinkRequest.FileId"/> is not set, the folder given by
+        /// <see cref="CreateShareLinkRequest.TenantId"/> is shared together with its subfolders.
+        /// </remarks>
+        [HttpPost]
+        [ProducesResponseType(typeof(ShareLinkInfo), 200)]
+        [ProducesResponseType(400)]
+        [ProducesResponseType(401)]
+        [ProducesResponseType(404)]
+        public async Task<ActionResult<ShareLinkInfo>> CreateShareLink([FromBody] CreateShareLinkRequest request, CancellationToken cancellationToken)
+        {
+            string authenticatedTenantId = HttpContext.GetTenantId();
+            string targetTenantId = string.IsNullOrWhiteSpace(request.TenantId) ? authenticatedTenantId : request.TenantId;
+
+            if (request.ExpiresInHours < 1 || request.ExpiresInHours > MaxExpiryHours)
+                return BadRequest($"The link must expire in between 1 and {MaxExpiryHours} hours");
+
+            if (request.MaxDownloads.HasValue && request.MaxDownloads.Value < 1)
+                return BadRequest("The download limit must be at least 1");
+
+            if (!_tenantConfigurationService.HasAccessToTenant(authenticatedTenantId, targetTenantId))
+                return Unauthorized();
+
+            TenantInfo? targetTenant = _tenantConfigurationService.GetTenant(targetTenantId);
+            if (targetTenant == null)
+                return NotFound();
+
+            string name = targetTenant.DisplayName;
+            if (request.FileId.HasValue)
+            {
+                ShelfFileMetadata? metadata = await _fileStorageService.GetFileMetadataAsync(targetTenantId, request.FileId.Value, cancellationToken);
+                if (metadata == null)
+                    return NotFound();
+
+                if (metadata.Encryption != null)
+                    return BadRequest("Encrypted files can't be shared, because they can only be decrypted with their passphrase");
+
+                name = metadata.OriginalFilename;
+            }
+
+            ShareLink link = await _shareLinkService.CreateLinkAsync(
+                authenticatedTenantId,
+                targetTenantId,
+                request.FileId,
+                name,
+                DateTimeOffset.UtcNow.AddHours(request.ExpiresInHours),
+                request.MaxDownloads,
+                request.Password);
+
+            await _auditLogService.RecordAsync(HttpContext.CreateAuditEntry(
+                AuditAction.ShareLinkCreated, targetTenantId, link.Id.ToString(), link.Name, DescribeShareLink(link)));
+            return Ok(CreateLinkInfo(link));
+        }
+
+        /// <summary>
+        /// Lists the active share links created by the authenticated tenant.
+        /// </summary>
+        /// <returns>The links that have not expired or been revoked, newest first.</returns>
+        /// <response code="200">Returns the list of links.</response>
+        /// <response code="401">If the API key is invalid or missing.</response>
+        [HttpGet]
+        [ProducesResponseType(typeof(IEnumerable<ShareLinkInfo>), 200)]
+        [ProducesResponseType(401)]
+        public ActionResult<IEnumerable<ShareLinkInfo>> GetShareLinks()
+        {
+            string tenantId = HttpContext.GetTenantId();
+
+            IEnumerable<ShareLinkInfo> links = _shareLinkService.GetLinks(tenantId).Select(CreateLinkInfo);
+            return Ok(links);
+        }
+
+        /// <summary>
+        /// Revokes a share link created by the authenticated tenant.
+        /// </summary>
+        /// <param name="linkId">The ID of the link to revoke.</param>
+        /// <returns>No content on successful revocation.</returns>
+        /// <response code="204">If the link was revoked.</response>
+        /// <response code="401">If the API key is invalid or missing.</response>
+        /// <response code="404">If the tenant has no link with the specified ID.</response>
+        [HttpDelete("{linkId}")]
+        [ProducesResponseType(204)]
+        [ProducesResponseType(401)]
+        [ProducesResponseType(404)]
+        public async Task<ActionResult> RevokeShareLink(Guid linkId)
+        {
+            string tenantId = HttpContext.GetTenantId();
+
+            ShareLink? link = _shareLinkService.GetLinks(tenantId).FirstOrDefault(existing => existing.Id == linkId);
+            bool revoked = await _shareLinkService.RevokeLinkAsync(tenantId, linkId);
+            if (!revoked)
+                return NotFound();
+
+            await _auditLogService.RecordAsync(HttpContext.CreateAuditEntry(AuditAction.ShareLinkRevoked, link?.TenantId, linkId.ToString(), link?.Name));
+            return NoContent();
+        }
+
+        /// <summary>
+        /// Describes the content a share link gives access to. Does not require an API key.
+        /// </summary>
+        /// <param name="token">The token from the share URL.</param>
+        /// <param name="folder">The ID of the subfolder to list, for folder links. Defaults to the shared folder.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The shared file, or the files and subfolders of the listed folder.</returns>
+        /// <response code="200">Returns the shared content.</response>
+        /// <response code="401">If the link needs a password and none or a wrong one was given.</response>
+        /// <response code="429">If too many wrong passwords were given for the link or from the client recently.</response>
+        /// <response code="404">If the link, the shared content or the subfolder does not exist.</response>
+        /// <response code="410">If the link has expired or has no downloads left.</response>
+        [HttpGet("public/{token}")]
+        [ProducesResponseType(typeof(SharedContentResponse), 200)]
+        [ProducesResponseType(401)]
+        [ProducesResponseType(404)]
+        [ProducesResponseType(410)]
+        [ProducesResponseType(429)]
+        public async Task<ActionResult<SharedContentResponse>> GetSharedContent(string token, [FromQuery] string? folder, CancellationToken cancellationToken)
+        {
+            (ActionResult? failure, ShareLink? link) = await ValidateShareLinkAsync(token);
+            if (failure != null || link == null)
+                return failure ?? NotFound();
+
+            int? remainingDownloads = link.MaxDownloads.HasValue ? link.MaxDownloads.Value - link.DownloadCount : null;
+
+            if (link.FileId.HasValue)
+            {
+                ShelfFileMetadata? metadata = await _fileStorageService.GetFileMetadataAsync(link.TenantId, link.FileId.Value, cancellationToken);
+                if (metadata == null)
+                    return NotFound();
+
+                List<SharedFileInfo> sharedFile = new List<SharedFileInfo> { CreateSharedFileInfo(metadata) };
+                return Ok(new SharedContentResponse(link.Name, false, link.ExpiresAt, remainingDownloads, null, sharedFile, new Dictionary<string, string>()));
+            }
+
+            string folderId = string.IsNullOrWhiteSpace(folder) ? link.TenantId : folder;
+            if (!IsInSharedFolder(link, folderId))
+                return NotFound();
+
+            IEnumerable<ShelfFileMetadata> files = await _fileStorageService.GetFilesAsync(folderId, cancellationToken);
+            List<SharedFileInfo> sharedFiles = files
+                .Where(file => file.Encryption == null)
+                .OrderBy(file => file.OriginalFilename)
+                .Select(CreateSharedFileInfo)
+                .ToList();
+
+            Dictionary<string, string> folders = _tenantConfigurationService.GetSubTenants(folderId)
+                .ToDictionary(subTenant => subTenant.Key, subTenant => subTenant.Value.DisplayName);
+
+            return Ok(new SharedContentResponse(link.Name, true, link.ExpiresAt, remainingDownloads, folderId, sharedFiles, folders));
+        }
+
+        /// <summary>
+        /// Downloads the file shared by a file link. Does not require an API key.
+        /// </summary>
+        /// <param name="token">The token from the share URL.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The complete file as a binary stream.</returns>
+        /// <response code="200">Returns the complete file.</response>
+        /// <response code="401">If the link needs a password and none or a wrong one was given.</response>
+        /// <response code="429">If too many wrong passwords were given for the link or from the client recently.</response>
+        /// <response code="404">If the link or the shared file does not exist, or the link shares a folder.</response>
+        /// <response code="410">If the link has expired or has no downloads left.</response>
+        /// <remarks>
+        /// Every successful request counts towards the download limit of the link.
+        /// </remarks>
+        [HttpGet("public/{token}/download")]
+        [ProducesResponseType(typeof(FileStreamResult), 200)]
+        [ProducesResponseType(401)]
+        [ProducesResponseType(404)]
+        [ProducesResponseType(410)]
+        [ProducesResponseType(429)]
+        public async Task<IActionResult> DownloadSharedFile(string token, CancellationToken cancellationToken)
+        {
+            (ActionResult? failure, ShareLink? link) = await ValidateShareLinkAsync(token);
+            if (failure != null || link == null)
+                return failure ?? NotFound();
+
+            if (!link.FileId.HasValue)
+                return NotFound();
+
+            return await DownloadSharedFileInternal(link, link.TenantId, link.FileId.Value, cancellationToken);
+        }
+
+        /// <summary>
+        /// Downloads a file from the folder shared by a folder link. Does not require an API key.
+        /// </summary>
+        /// <param name="token">The token from the share URL.</param>
+        /// <param name="folderId">The ID of the shared folder or one of its subfolders that holds the file.</param>
+        /// <param name="fileId">The ID of the file to download.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The complete file as a binary stream.</returns>
+        /// <response code="200">Returns the complete file.</response>
+        /// <response code="401">If the link needs a password and none or a wrong one was given.</response>
+        /// <response code="429">If too many wrong passwords were given for the link or from the client recently.</response>
+        /// <response code="404">If the link, the folder or the file does not exist, or the link shares a single file.</response>
+        /// <response code="410">If the link has expired or has no downloads left.</response>
+        /// <remarks>
+        /// Every successful request counts towards the download limit of the link.
+        /// </remarks>
+        [HttpGet("public/{token}/{folderId}/{fileId}/download")]
+        [ProducesResponseType(typeof(FileStreamResult), 200)]
+        [ProducesResponseType(401)]
+        [ProducesResponseType(404)]
+        [ProducesResponseType(410)]
+        [ProducesResponseType(429)]
+        public async Task<IActionResult> DownloadSharedFolderFile(string token, string folderId, Guid fileId, CancellationToken cancellationToken)
+        {
+            (ActionResult? failure, ShareLink? link) = await ValidateShareLinkAsync(token);
+            if (failure != null || link == null)
+                return failure ?? NotFound();
+
+            if (link.FileId.HasValue || !IsInSharedFolder(link, folderId))
+                return NotFound();
+
+            return await DownloadSharedFileInternal(link, folderId, fileId, cancellationToken);
+        }
+
+        /// <summary>
+        /// Streams a shared file after counting the download against the link.
+        /// </summary>
+        /// <param name="link">The link the file is downloaded through.</param>
+        /// <param name="tenantId">The ID of the tenant that holds the file.</param>
+        /// <param name="fileId">The ID of the file.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The file, or an error result.</returns>
+        private async Task<IActionResult> DownloadSharedFileInternal(ShareLink link, string tenantId, Guid fileId, CancellationToken cancellationToken)
+        {
+            ShelfFileMetadata? metadata = await _fileStorageService.GetFileMetadataAsync(tenantId, fileId, cancellationToken);
+            if (metadata == null || metadata.Encryption != null)
+                return NotFound();
+
+            // Counting happens under the service's lock, so parallel requests can't go over the limit
+            if (!await _shareLinkService.TryRecordDownloadAsync(link.Id))
+                return StatusCode(410, new { error = "Download limit reached", message = "This share link has no downloads left" });
+
+            await _auditLogService.RecordAsync(HttpContext.CreateAuditEntry(
+                AuditAction.ShareLinkUsed, tenantId, fileId.ToString(), metadata.OriginalFilename, $"Share link {link.Id}"));
+
+            Stream fileStream = await _fileStorageService.GetFileStreamAsync(tenantId, fileId, cancellationToken);
+            return File(fileStream, metadata.ContentType, metadata.OriginalFilename);
+        }
+
+        /// <summary>
+        /// Validates a share link token and the password header of the current request.
+        /// </summary>
+        /// <param name="token">The token from the share URL.</param>
+        /// <returns>
+        /// The error result to return, or <c>null</c> if the link can be used, and the link when it can be used.
+        /// </returns>
+        /// <remarks>
+        /// Wrong passwords are recorded in the audit log like refused API keys. The token is left out of the entry,
+        /// since it is all that is needed to use a link without a password.
+        /// </remarks>
+        private async Task<(ActionResult? Failure, ShareLink? Link)> ValidateShareLinkAsync(string token)
+        {
+            string? password = Request.Headers[PasswordHeader].FirstOrDefault();
+            if (!string.IsNullOrEmpty(password))
+                password = Uri.UnescapeDataString(password);
+
+            ShareLinkStatus status = _shareLinkService.ValidateToken(token, password, HttpContext.GetClientIpAddress(), out ShareLink? link);
+
+            if (status == ShareLinkStatus.InvalidPassword && link != null)
+            {
+                await _auditLogService.RecordAsync(HttpContext.CreateAuditEntry(
+                    AuditAction.AuthenticationFailed, link.TenantId, link.Id.ToString(), link.Name, "Wrong share link password"));
+            }
+
+            // Deleted tenants take their shared content with them
+            if (status == ShareLinkStatus.Valid && (link == null || _tenantConfigurationService.GetTenant(link.TenantId) == null))
+                status = ShareLinkStatus.NotFound;
+
+            switch (status)
+            {
+                case ShareLinkStatus.Valid:
+                    return (null, link);
+                case ShareLinkStatus.Expired:
+                    return (StatusCode(410, new { error = "Link expired", message = "This share link has expired" }), link);
+                case ShareLinkStatus.DownloadLimitReached:
+                    return (StatusCode(410, new { error = "Download limit reached", message = "This share link has no downloads left" }), link);
+                case ShareLinkStatus.PasswordRequired:
+                    return (Unauthorized(new { error = "Password required", message = "This share link is protected by a password" }), link);
+                case ShareLinkStatus.InvalidPassword:
+                    return (Unauthorized(new { error = "Invalid password", message = "The password is not correct" }), link);
+                case ShareLinkStatus.TooManyAttempts:
+                    return (StatusCode(429, new { error = "Too many attempts", message = "Too many wrong passwords were given, try again later" }), link);
+                default:
+                    return (NotFound(new { error = "Link not found", message = "This share link does not exist or has been revoked" }), link);
+            }
+        }
+
+        /// <summary>
+        /// Determines whether a folder is the folder shared by a link or one of its subfolders.
+        /// </summary>
+        /// <param name="link">The folder link.</param>
+        /// <param name="folderId">The ID of the folder to check.</param>
+        /// <returns><c>true</c> if the folder can be accessed through the link; otherwise, <c>false</c>.</returns>
+        private bool IsInSharedFolder(ShareLink link, string folderId)
+        {
+            return _tenantConfigurationService.HasAccessToTenant(link.TenantId, folderId);
+        }
+
+        /// <summary>
+        /// Creates the response model for a share link.
+        /// </summary>
+        /// <param name="link">The link.</param>
+        /// <returns>The response model.</returns>
+        private ShareLinkInfo CreateLinkInfo(ShareLink link)
+        {
+            return new ShareLinkInfo(
+                link.Id,
+                _shareLinkService.CreateToken(link),
+                link.TenantId,
+                link.FileId,
+                link.Name,
+                link.CreatedAt,
+                link.ExpiresAt,
+                link.MaxDownloads,
+                link.DownloadCount,
+                link.PasswordHash != null);
+        }
+
+        /// <summary>
+        /// Describes the limits of a share link for the audit log.
+        /// </summary>
+        /// <param name="link">The link.</param>
+        /// <returns>A description of what is shared, when the link expires and the limits it has.</returns>
+        private static string DescribeShareLink(ShareLink link)
+        {
+            List<string> parts = new List<string>
+            {
+                link.FileId.HasValue ? "File" : "Folder",
+                $"Expires {link.ExpiresAt.UtcDateTime:yyyy-MM-dd HH:mm} UTC"
+            };
+            if (link.MaxDownloads.HasValue)
+                parts.Add($"At most {link.MaxDownloads.Value} downloads");
+            if (link.PasswordHash != null)
+                parts.Add("Password protected");
+
+            return string.Join("; ", parts);
+        }
+
+        /// <summary>
+        /// Creates the public description of a shared file.
+        /// </summary>
+        /// <param name="metadata">The metadata of the file.</param>
+        /// <returns>The public description.</returns>
+        private static SharedFileInfo CreateSharedFileInfo(ShelfFileMetadata metadata)
+        {
+            return new SharedFileInfo(metadata.Id, metadata.OriginalFilename, metadata.ContentType, metadata.FileSize, metadata.CreatedAt);
+        }
+    }
+}
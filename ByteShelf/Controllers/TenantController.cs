@@ -13,7 +13,9 @@ namespace ByteShelf.Controllers
     /// - Retrieving tenant information and admin status
     /// - Retrieving tenant storage usage and limits
     /// - Checking if a file can be stored within quota limits
+    /// - Creating, renaming and deleting subtenants
     /// All endpoints require API key authentication and are scoped to the authenticated tenant.
+    /// Changes to the tenant and its subtenants are recorded in the audit log.
     /// </remarks>
     [ApiController]
     [Route("api/[controller]")]
@@ -22,6 +24,7 @@ namespace ByteShelf.Controllers
         private readonly IStorageService _storageService;
         private readonly ITenantConfigurationService _tenantConfigurationService;
         private readonly IFileStorageService _fileStorageService;
+        private readonly IAuditLogService _auditLogService;
         private readonly ILogger<TenantController> _logger;
 
         /// <summary>
@@ -30,17 +33,20 @@ namespace ByteShelf.Controllers
         /// <param name="storageService">The storage service for quota operations.</param>
         /// <param name="tenantConfigurationService">The tenant configuration service for tenant information.</param>
         /// <param name="fileStorageService">The file storage service for file operations.</param>
+        /// <param name="auditLogService">The audit log service for recording tenant and subtenant changes.</param>
         /// <param name="logger">The logger for recording controller operations.</param>
         /// <exception cref="ArgumentNullException">Thrown when any parameter is null.</exception>
         public TenantController(
             IStorageService storageService,
             ITenantConfigurationService tenantConfigurationService,
             IFileStorageService fileStorageService,
+            IAuditLogService auditLogService,
             ILogger<TenantController> logger)
         {
             _storageService = storageService ?? throw new ArgumentNullException(nameof(storageService));
             _tenantConfigurationService = tenantConfigurationService ?? throw new ArgumentNullException(nameof(tenantConfigurationService));
             _fileStorageService = fileStorageService ?? throw new ArgumentNullException(nameof(fileStorageService));
+            _auditLogService = auditLogService ?? throw new ArgumentNullException(nameof(auditLogService));
             _logger = logger ?? throw new ArgumentNullException(nameof(logger));
         }
 
@@ -79,14 +85,20 @@ namespace ByteShelf.Controllers
             long storageLimit = tenantInfo.StorageLimitBytes;
             long availableSpace = Math.Max(0, storageLimit - currentUsage);
 
+            // Named API keys of admin tenants only have administrative privileges with the admin scope,
+            // and admins browsing as an admin tenant don't get its privileges
+            bool isAdmin = tenantInfo.IsAdmin && HttpContext.GetBrowsingAdminTenantId() == null && (HttpContext.GetApiKeyId() == null || HttpContext.IsAdmin());
+
             TenantInfoResponse response = new TenantInfoResponse(
                 tenantId,
                 tenantInfo.DisplayName,
-                tenantInfo.IsAdmin,
+                isAdmin,
                 storageLimit,
                 currentUsage,
                 availableSpace,
-                storageLimit > 0 ? (double)currentUsage / storageLimit * 100 : 0);
+                storageLimit > 0 ? (double)currentUsage / storageLimit * 100 : 0,
+                _storageService.GetTotalLogicalUsageIncludingSubTenants(tenantId),
+                tenantInfo.GetEffectiveMaxFileVersions());
 
             return Ok(response);
         }
@@ -100,7 +112,8 @@ namespace ByteShelf.Controllers
         /// <response code="401">If the API key is invalid or missing.</response>
         /// <remarks>
         /// This endpoint provides information about the tenant's current storage usage
-        /// and their configured storage limits.
+        /// and their configured storage limits. The current usage is the physical space on disk,
+        /// the logical usage counts every file in full even when files share identical chunks.
         /// </remarks>
         [HttpGet("storage")]
         [ProducesResponseType(typeof(TenantStorageInfo), 200)]
@@ -119,7 +132,8 @@ namespace ByteShelf.Controllers
                 currentUsage,
                 storageLimit,
                 availableSpace,
-                storageLimit > 0 ? (double)currentUsage / storageLimit * 100 : 0);
+                storageLimit > 0 ? (double)currentUsage / storageLimit * 100 : 0,
+                _storageService.GetTotalLogicalUsageIncludingSubTenants(tenantId));
 
             return Ok(response);
         }
@@ -161,6 +175,50 @@ namespace ByteShelf.Controllers
             return Ok(response);
         }
 
+        /// <summary>
+        /// Sets how many earlier versions of each file the authenticated tenant keeps.
+        /// </summary>
+        /// <param name="request">The request with the number of versions to keep.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>Success status.</returns>
+        /// <response code="200">Returns success status.</response>
+        /// <response code="400">If the request is invalid.</response>
+        /// <response code="401">If the API key is invalid or missing.</response>
+        /// <response code="404">If the tenant is not found.</response>
+        /// <remarks>
+        /// The policy also applies to the subtenants that don't set their own. Files that already have more
+        /// versions than the new limit lose the oldest ones the next time they get a new version.
+        /// </remarks>
+        [HttpPut("version-limit")]
+        [ProducesResponseType(200)]
+        [ProducesResponseType(400)]
+        [ProducesResponseType(401)]
+        [ProducesResponseType(404)]
+        public async Task<IActionResult> UpdateVersionLimit([FromBody] UpdateVersionLimitRequest? request, CancellationToken cancellationToken)
+        {
+            if (request == null)
+            {
+                return BadRequest("Request cannot be null");
+            }
+
+            if (request.MaxFileVersions < 0)
+            {
+                return BadRequest("The number of versions to keep must be non-negative");
+            }
+
+            string tenantId = HttpContext.GetTenantId();
+            bool success = await _tenantConfigurationService.UpdateMaxFileVersionsAsync(tenantId, request.MaxFileVersions);
+
+            if (!success)
+            {
+                return NotFound("Tenant not found");
+            }
+
+            await _auditLogService.RecordAsync(HttpContext.CreateAuditEntry(
+                AuditAction.TenantUpdated, tenantId, tenantId, null, $"Version limit set to {request.MaxFileVersions}"));
+            return Ok();
+        }
+
         /// <summary>
         /// Gets all subtenants of the authenticated tenant.
         /// </summary>
@@ -295,6 +353,7 @@ namespace ByteShelf.Controllers
             {
                 string tenantId = HttpContext.GetTenantId();
                 string subTenantId = await _tenantConfigurationService.CreateSubTenantAsync(tenantId, request.DisplayName);
+                await _auditLogService.RecordAsync(HttpContext.CreateAuditEntry(AuditAction.FolderCreated, tenantId, subTenantId, request.DisplayName));
 
                 CreateSubTenantResponse response = new CreateSubTenantResponse(subTenantId, request.DisplayName, "Subtenant created successfully");
                 return CreatedAtAction(nameof(GetSubTenant), new { subTenantId = subTenantId }, response);
@@ -358,6 +417,7 @@ namespace ByteShelf.Controllers
 
                 // Create the subtenant under the parent subtenant
                 string subTenantId = await _tenantConfigurationService.CreateSubTenantAsync(parentSubtenantId, request.DisplayName);
+                await _auditLogService.RecordAsync(HttpContext.CreateAuditEntry(AuditAction.FolderCreated, parentSubtenantId, subTenantId, request.DisplayName));
 
                 CreateSubTenantResponse response = new CreateSubTenantResponse(subTenantId, request.DisplayName, "Subtenant created successfully");
                 return CreatedAtAction(nameof(GetSubTenant), new { subTenantId = subTenantId }, response);
@@ -408,11 +468,72 @@ namespace ByteShelf.Controllers
                 return NotFound("Subtenant not found");
             }
 
+            await _auditLogService.RecordAsync(HttpContext.CreateAuditEntry(
+                AuditAction.FolderUpdated, tenantId, subTenantId, null, $"Storage limit set to {request.StorageLimitBytes} bytes"));
+            return Ok();
+        }
+
+        /// <summary>
+        /// Renames a subtenant.
+        /// </summary>
+        /// <param name="subTenantId">The subtenant ID.</param>
+        /// <param name="request">The rename request with the new display name.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>Success status.</returns>
+        /// <response code="200">Returns success status.</response>
+        /// <response code="400">If the request is invalid or the name is not allowed.</response>
+        /// <response code="401">If the API key is invalid or missing, or if the authenticated tenant does not have access to the subtenant.</response>
+        /// <response code="404">If the subtenant is not found.</response>
+        /// <response code="409">If another subtenant in the same folder already has that name.</response>
+        /// <remarks>
+        /// This endpoint changes the display name of a subtenant at any depth below the authenticated tenant.
+        /// Names are compared case-insensitively with the subtenant's siblings.
+        /// </remarks>
+        [HttpPut("subtenants/{subTenantId}/name")]
+        [ProducesResponseType(200)]
+        [ProducesResponseType(400)]
+        [ProducesResponseType(401)]
+        [ProducesResponseType(404)]
+        [ProducesResponseType(409)]
+        public async Task<IActionResult> RenameSubTenant(string subTenantId, [FromBody] RenameRequest? request, CancellationToken cancellationToken)
+        {
+            if (request == null)
+            {
+                return BadRequest("Request cannot be null");
+            }
+
+            string name = request.Name?.Trim() ?? string.Empty;
+            string? validationError = ItemNameValidator.GetValidationError(name);
+            if (validationError != null)
+            {
+                return BadRequest(validationError);
+            }
+
+            string tenantId = HttpContext.GetTenantId();
+            if (!_tenantConfigurationService.HasAccessToTenant(tenantId, subTenantId))
+            {
+                return Unauthorized("You do not have permission to rename this subtenant");
+            }
+
+            try
+            {
+                bool success = await _tenantConfigurationService.RenameSubTenantAsync(tenantId, subTenantId, name);
+                if (!success)
+                {
+                    return NotFound("Subtenant not found");
+                }
+            }
+            catch (InvalidOperationException ex)
+            {
+                return Conflict(ex.Message);
+            }
+
+            await _auditLogService.RecordAsync(HttpContext.CreateAuditEntry(AuditAction.FolderUpdated, tenantId, subTenantId, name, "Renamed"));
             return Ok();
         }
 
         /// <summary>
-        /// Deletes a subtenant.
+        /// Moves a subtenant to the trash.
         /// </summary>
         /// <param name="subTenantId">The subtenant ID.</param>
         /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
@@ -420,17 +541,16 @@ namespace ByteShelf.Controllers
         /// <response code="200">Returns success status.</response>
         /// <response code="401">If the API key is invalid or missing, or if the authenticated tenant does not have permission to delete the subtenant.</response>
         /// <response code="404">If the subtenant is not found.</response>
-        /// <response code="500">If file deletion fails.</response>
         /// <remarks>
-        /// This endpoint deletes a subtenant and all its data.
+        /// The subtenant goes to the trash of its parent together with its files and subtenants, which
+        /// keep counting towards the storage quota. It can be restored from the trash until it is purged,
+        /// either by hand or automatically after the retention period.
         /// The authenticated tenant must have access to the subtenant to delete it.
-        /// This operation cannot be undone.
         /// </remarks>
         [HttpDelete("subtenants/{subTenantId}")]
         [ProducesResponseType(200)]
         [ProducesResponseType(401)]
         [ProducesResponseType(404)]
-        [ProducesResponseType(500)]
         public async Task<IActionResult> DeleteSubTenant(string subTenantId, CancellationToken cancellationToken)
         {
             string tenantId = HttpContext.GetTenantId();
@@ -448,37 +568,15 @@ namespace ByteShelf.Controllers
                 return NotFound("Subtenant not found");
             }
 
-            // Get all descendant tenant IDs for recursive deletion
-            IEnumerable<string> descendantTenantIds = _tenantConfigurationService.GetAllDescendantTenantIds(subTenantId);
-
-            // Delete all files for the subtenant and its descendants
-            try
-            {
-                int deletedFiles = await _fileStorageService.DeleteAllFilesRecursivelyAsync(subTenantId, descendantTenantIds, cancellationToken);
-                _logger.LogInformation("Deleted {DeletedFiles} files for subtenant {SubTenantId} and its {DescendantCount} descendants",
-                    deletedFiles, subTenantId, descendantTenantIds.Count());
-
-                // Clean up empty directories
-                int removedDirectories = await _fileStorageService.CleanupEmptyDirectoriesAsync(subTenantId, descendantTenantIds, cancellationToken);
-                _logger.LogInformation("Cleaned up {RemovedDirectories} empty directories for subtenant {SubTenantId} and its {DescendantCount} descendants",
-                    removedDirectories, subTenantId, descendantTenantIds.Count());
-            }
-            catch (Exception ex)
-            {
-                _logger.LogError(ex, "Failed to delete files for subtenant {SubTenantId}", subTenantId);
-                // If file deletion fails, don't remove the subtenant from configuration
-                // This prevents orphaned files without an owner
-                return StatusCode(500, new { message = "Failed to delete subtenant files. Please try again." });
-            }
-
-            // Only remove the subtenant from configuration if file deletion succeeded
-            bool success = await _tenantConfigurationService.DeleteSubTenantAsync(tenantId, subTenantId);
+            bool success = await _tenantConfigurationService.TrashSubTenantAsync(tenantId, subTenantId);
 
             if (!success)
             {
                 return NotFound("Subtenant not found");
             }
 
+            _logger.LogInformation("Tenant {TenantId} moved subtenant {SubTenantId} to the trash", tenantId, subTenantId);
+            await _auditLogService.RecordAsync(HttpContext.CreateAuditEntry(AuditAction.FolderDeleted, tenantId, subTenantId, subTenant.DisplayName, "Moved to trash"));
             return Ok();
         }
     }
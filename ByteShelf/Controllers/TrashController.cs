@@ -0,0 +1,201 @@
+using ByteShelf.Extensions;
+using ByteShelf.Services;
+using ByteShelfCommon;
+using Microsoft.AspNetCore.Mvc;
+
+namespace ByteShelf.Controllers
+{
+    /// <summary>
+    /// Controller for the trash that deleted files and subtenant folders are moved to.
+    /// </summary>
+    /// <remarks>
+    /// This controller provides REST API endpoints for:
+    /// - Listing the trash of the authenticated tenant and all of its nested subtenants
+    /// - Restoring deleted files and folders to where they were deleted from
+    /// - Permanently deleting files and folders from the trash
+    /// Items in the trash keep counting towards the storage quota, and are purged automatically
+    /// once they have been there for longer than the configured retention period.
+    /// Permanent deletions are recorded in the audit log.
+    /// </remarks>
+    [ApiController]
+    [Route("api/[controller]")]
+    public class TrashController : ControllerBase
+    {
+        private readonly ITrashService _trashService;
+        private readonly IFileStorageService _fileStorageService;
+        private readonly ITenantConfigurationService _tenantConfigurationService;
+        private readonly IAuditLogService _auditLogService;
+
+        /// <summary>
+        /// Initializes a new instance of the <see cref="TrashController"/> class.
+        /// </summary>
+        /// <param name="trashService">The trash service for listing the trash and purging folders.</param>
+        /// <param name="fileStorageService">The file storage service for restoring and purging files.</param>
+        /// <param name="tenantConfigurationService">The tenant configuration service for access validation and restoring folders.</param>
+        /// <param name="auditLogService">The audit log service for recording restores and permanent deletions.</param>
+        /// <exception cref="ArgumentNullException">Thrown when any of the parameters is null.</exception>
+        public TrashController(
+            ITrashService trashService,
+            IFileStorageService fileStorageService,
+            ITenantConfigurationService tenantConfigurationService,
+            IAuditLogService auditLogService)
+        {
+            _trashService = trashService ?? throw new ArgumentNullException(nameof(trashService));
+            _fileStorageService = fileStorageService ?? throw new ArgumentNullException(nameof(fileStorageService));
+            _tenantConfigurationService = tenantConfigurationService ?? throw new ArgumentNullException(nameof(tenantConfigurationService));
+            _auditLogService = auditLogService ?? throw new ArgumentNullException(nameof(auditLogService));
+        }
+
+        /// <summary>
+        /// Lists the files and folders in the trash of the authenticated tenant and all of its nested subtenants.
+        /// </summary>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The contents of the trash, most recently deleted first.</returns>
+        /// <response code="200">Returns the contents of the trash.</response>
+        /// <response code="401">If the API key is invalid or missing.</response>
+        [HttpGet]
+        [ProducesResponseType(typeof(TrashContentsResponse), 200)]
+        [ProducesResponseType(401)]
+        public async Task<ActionResult<TrashContentsResponse>> GetTrash(CancellationToken cancellationToken)
+        {
+            string tenantId = HttpContext.GetTenantId();
+            return Ok(await _trashService.GetTrashContentsAsync(tenantId, cancellationToken));
+        }
+
+        /// <summary>
+        /// Restores a file from the trash to the folder it was deleted from.
+        /// </summary>
+        /// <param name="targetTenantId">The ID of the tenant the file was deleted from.</param>
+        /// <param name="fileId">The unique identifier of the file.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The metadata of the restored file.</returns>
+        /// <response code="200">Returns the metadata of the restored file.</response>
+        /// <response code="401">If the API key is invalid or the tenant has no access to the specified tenant.</response>
+        /// <response code="404">If the specified tenant does not exist or the file is not in its trash.</response>
+        /// <remarks>
+        /// If another file in the folder has taken the file's name in the meantime, a number is added to it.
+        /// </remarks>
+        [HttpPost("files/{targetTenantId}/{fileId}/restore")]
+        [ProducesResponseType(typeof(ShelfFileMetadata), 200)]
+        [ProducesResponseType(401)]
+        [ProducesResponseType(404)]
+        public async Task<ActionResult<ShelfFileMetadata>> RestoreFile(string targetTenantId, Guid fileId, CancellationToken cancellationToken)
+        {
+            string authenticatedTenantId = HttpContext.GetTenantId();
+
+            if (!_tenantConfigurationService.HasAccessToTenant(authenticatedTenantId, targetTenantId))
+                return Unauthorized();
+
+            if (_tenantConfigurationService.GetTenant(targetTenantId) == null)
+                return NotFound();
+
+            ShelfFileMetadata? metadata = await _fileStorageService.RestoreFileAsync(targetTenantId, fileId, cancellationToken);
+            if (metadata == null)
+                return NotFound();
+
+            await _auditLogService.RecordAsync(HttpContext.CreateAuditEntry(AuditAction.FileRestored, targetTenantId, fileId.ToString(), metadata.OriginalFilename));
+            return Ok(metadata);
+        }
+
+        /// <summary>
+        /// Permanently deletes a file from the trash.
+        /// </summary>
+        /// <param name="targetTenantId">The ID of the tenant the file was deleted from.</param>
+        /// <param name="fileId">The unique identifier of the file.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>No content on successful deletion.</returns>
+        /// <response code="204">If the file was permanently deleted.</response>
+        /// <response code="401">If the API key is invalid or the tenant has no access to the specified tenant.</response>
+        /// <response code="404">If the specified tenant does not exist or the file is not in its trash.</response>
+        /// <remarks>
+        /// This operation cannot be undone. The chunks of the file that no other file shares are deleted too.
+        /// </remarks>
+        [HttpDelete("files/{targetTenantId}/{fileId}")]
+        [ProducesResponseType(204)]
+        [ProducesResponseType(401)]
+        [ProducesResponseType(404)]
+        public async Task<ActionResult> PurgeFile(string targetTenantId, Guid fileId, CancellationToken cancellationToken)
+        {
+            string authenticatedTenantId = HttpContext.GetTenantId();
+
+            if (!_tenantConfigurationService.HasAccessToTenant(authenticatedTenantId, targetTenantId))
+                return Unauthorized();
+
+            if (_tenantConfigurationService.GetTenant(targetTenantId) == null)
+                return NotFound();
+
+            bool? purged = await _fileStorageService.PurgeTrashedFileAsync(targetTenantId, fileId, cancellationToken);
+            if (purged == null)
+                return NotFound();
+
+            await _auditLogService.RecordAsync(HttpContext.CreateAuditEntry(AuditAction.FilePurged, targetTenantId, fileId.ToString(), null));
+            return NoContent();
+        }
+
+        /// <summary>
+        /// Restores a subtenant folder from the trash to the folder it was deleted from.
+        /// </summary>
+        /// <param name="subTenantId">The ID of the deleted subtenant.</param>
+        /// <returns>Success status.</returns>
+        /// <response code="200">If the folder was restored.</response>
+        /// <response code="400">If the folder it was deleted from already has the maximum number of subtenants.</response>
+        /// <response code="401">If the API key is invalid or missing.</response>
+        /// <response code="404">If the subtenant is not in the trash of the authenticated tenant or any of its subtenants.</response>
+        /// <remarks>
+        /// The folder comes back with all of its files and subtenants. If another folder next to it has
+        /// taken its name in the meantime, a number is added to it.
+        /// </remarks>
+        [HttpPost("folders/{subTenantId}/restore")]
+        [ProducesResponseType(200)]
+        [ProducesResponseType(400)]
+        [ProducesResponseType(401)]
+        [ProducesResponseType(404)]
+        public async Task<IActionResult> RestoreFolder(string subTenantId)
+        {
+            string tenantId = HttpContext.GetTenantId();
+
+            try
+            {
+                bool restored = await _tenantConfigurationService.RestoreSubTenantAsync(tenantId, subTenantId);
+                if (!restored)
+                    return NotFound("Subtenant not found in the trash");
+            }
+            catch (InvalidOperationException ex)
+            {
+                return BadRequest(ex.Message);
+            }
+
+            await _auditLogService.RecordAsync(HttpContext.CreateAuditEntry(
+                AuditAction.FolderRestored, tenantId, subTenantId, _tenantConfigurationService.GetTenant(subTenantId)?.DisplayName));
+            return Ok();
+        }
+
+        /// <summary>
+        /// Permanently deletes a subtenant folder from the trash, together with its files and subtenants.
+        /// </summary>
+        /// <param name="subTenantId">The ID of the deleted subtenant.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>No content on successful deletion.</returns>
+        /// <response code="204">If the folder was permanently deleted.</response>
+        /// <response code="401">If the API key is invalid or missing.</response>
+        /// <response code="404">If the subtenant is not in the trash of the authenticated tenant or any of its subtenants.</response>
+        /// <remarks>
+        /// This operation cannot be undone.
+        /// </remarks>
+        [HttpDelete("folders/{subTenantId}")]
+        [ProducesResponseType(204)]
+        [ProducesResponseType(401)]
+        [ProducesResponseType(404)]
+        public async Task<IActionResult> PurgeFolder(string subTenantId, CancellationToken cancellationToken)
+        {
+            string tenantId = HttpContext.GetTenantId();
+
+            bool purged = await _trashService.PurgeFolderAsync(tenantId, subTenantId, cancellationToken);
+            if (!purged)
+                return NotFound("Subtenant not found in the trash");
+
+            await _auditLogService.RecordAsync(HttpContext.CreateAuditEntry(AuditAction.FolderPurged, tenantId, subTenantId, null));
+            return NoContent();
+        }
+    }
+}
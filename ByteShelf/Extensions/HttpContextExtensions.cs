@@ -1,3 +1,5 @@
+using ByteShelfCommon;
+
 namespace ByteShelf.Extensions
 {
     /// <summary>
@@ -46,5 +48,122 @@ namespace ByteShelf.Extensions
 
             return context.Items.TryGetValue("IsAdmin", out object? isAdminObj) && isAdminObj is bool isAdmin && isAdmin;
         }
+
+        /// <summary>
+        /// Gets the ID of the named API key the current request was made with.
+        /// </summary>
+        /// <param name="context">The HTTP context.</param>
+        /// <returns>The ID of the key, or <c>null</c> if the request was made with the key the tenant was created with or without a key.</returns>
+        /// <exception cref="ArgumentNullException">Thrown when <paramref name="context"/> is null.</exception>
+        public static Guid? GetApiKeyId(this HttpContext context)
+        {
+            if (context == null)
+                throw new ArgumentNullException(nameof(context));
+
+            return context.Items.TryGetValue("ApiKeyId", out object? apiKeyIdObj) && apiKeyIdObj is Guid apiKeyId ? apiKeyId : null;
+        }
+
+        /// <summary>
+        /// Determines whether the API key the current request was made with may delete files and earlier versions of files.
+        /// </summary>
+        /// <param name="context">The HTTP context.</param>
+        /// <returns><c>false</c> if the request was made with a named key with a scope that leaves out deleting; otherwise, <c>true</c>.</returns>
+        /// <exception cref="ArgumentNullException">Thrown when <paramref name="context"/> is null.</exception>
+        public static bool CanDelete(this HttpContext context)
+        {
+            if (context == null)
+                throw new ArgumentNullException(nameof(context));
+
+            if (!context.Items.TryGetValue("ApiKeyScopes", out object? scopesObj) || scopesObj is not IEnumerable<ApiKeyScope> scopes)
+                return true;
+
+            return !scopes.Any(scope => scope == ApiKeyScope.ReadOnly || scope == ApiKeyScope.UploadOnly || scope == ApiKeyScope.NoDelete);
+        }
+
+        /// <summary>
+        /// Gets the ID of the admin tenant that is browsing as the current tenant.
+        /// </summary>
+        /// <param name="context">The HTTP context.</param>
+        /// <returns>The ID of the admin tenant, or <c>null</c> if the request isn't made by an admin browsing as another tenant.</returns>
+        /// <exception cref="ArgumentNullException">Thrown when <paramref name="context"/> is null.</exception>
+        /// <remarks>
+        /// While an admin browses as another tenant, <see cref="GetTenantId"/> returns the browsed tenant.
+        /// </remarks>
+        public static string? GetBrowsingAdminTenantId(this HttpContext context)
+        {
+            if (context == null)
+                throw new ArgumentNullException(nameof(context));
+
+            return context.Items.TryGetValue("BrowsingAdminTenantId", out object? tenantIdObj) && tenantIdObj is string tenantId ? tenantId : null;
+        }
+
+        /// <summary>
+        /// Gets the IP address the current request came from.
+        /// </summary>
+        /// <param name="context">The HTTP context.</param>
+        /// <returns>The IP address, or <c>null</c> if the authentication middleware hasn't handled the request.</returns>
+        /// <exception cref="ArgumentNullException">Thrown when <paramref name="context"/> is null.</exception>
+        /// <remarks>
+        /// The authentication middleware takes the address from the connection, which the forwarded headers middleware
+        /// resolves to the client's address for requests that come through a configured proxy.
+        /// </remarks>
+        public static string? GetClientIpAddress(this HttpContext context)
+        {
+            if (context == null)
+                throw new ArgumentNullException(nameof(context));
+
+            return context.Items.TryGetValue("ClientIpAddress", out object? ipAddressObj) && ipAddressObj is string ipAddress ? ipAddress : null;
+        }
+
+        /// <summary>
+        /// Creates an audit log entry for an operation done by the current request.
+        /// </summary>
+        /// <param name="context">The HTTP context.</param>
+        /// <param name="action">The operation.</param>
+        /// <param name="targetTenantId">The ID of the tenant the operation was done in.</param>
+        /// <param name="targetId">The ID of what the operation was done to.</param>
+        /// <param name="targetName">The name of what the operation was done to.</param>
+        /// <param name="details">More information about the operation.</param>
+        /// <returns>The entry, with the tenant, admin, API key and IP address of the request and the current time.</returns>
+        /// <exception cref="ArgumentNullException">Thrown when <paramref name="context"/> is null.</exception>
+        public static AuditLogEntry CreateAuditEntry(
+            this HttpContext context,
+            AuditAction action,
+            string? targetTenantId,
+            string? targetId,
+            string? targetName,
+            string? details = null)
+        {
+            if (context == null)
+                throw new ArgumentNullException(nameof(context));
+
+            return new AuditLogEntry
+            {
+                Timestamp = DateTimeOffset.UtcNow,
+                Action = action,
+                TenantId = context.Items.TryGetValue("TenantId", out object? tenantIdObj) ? tenantIdObj as string : null,
+                BrowsingAdminTenantId = context.GetBrowsingAdminTenantId(),
+                ApiKeyId = context.GetApiKeyId(),
+                TargetTenantId = targetTenantId,
+                TargetId = targetId,
+                TargetName = targetName,
+                Details = details,
+                IpAddress = context.GetClientIpAddress(),
+            };
+        }
+
+        /// <summary>
+        /// Gets the name of the API key the current request was made with, which identifies the key without exposing it.
+        /// </summary>
+        /// <param name="context">The HTTP context.</param>
+        /// <returns>The name of the named key, <see cref="TenantApiKey.TenantKeyName"/> for the key the tenant was created with, or <c>null</c> if the request wasn't authenticated.</returns>
+        /// <exception cref="ArgumentNullException">Thrown when <paramref name="context"/> is null.</exception>
+        public static string? GetApiKeyName(this HttpContext context)
+        {
+            if (context == null)
+                throw new ArgumentNullException(nameof(context));
+
+            return context.Items.TryGetValue("ApiKeyName", out object? apiKeyNameObj) ? apiKeyNameObj as string : null;
+        }
     }
 }
\ No newline at end of file
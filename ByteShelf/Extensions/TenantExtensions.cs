@@ -31,7 +31,28 @@ namespace ByteShelf.Extensions
                 storageLimit,
                 currentUsage,
                 availableSpace,
-                storageLimit > 0 ? (double)currentUsage / storageLimit * 100 : 0);
+                storageLimit > 0 ? (double)currentUsage / storageLimit * 100 : 0,
+                storageService.GetTotalLogicalUsageIncludingSubTenants(tenantId),
+                tenantInfo.GetEffectiveMaxFileVersions());
+        }
+
+        /// <summary>
+        /// Gets how many earlier versions of each file a tenant keeps.
+        /// </summary>
+        /// <param name="tenantInfo">The tenant information.</param>
+        /// <returns>The policy of the tenant itself or of its nearest ancestor that sets one, or <see cref="TenantInfo.DefaultMaxFileVersions"/> if none does.</returns>
+        public static int GetEffectiveMaxFileVersions(this TenantInfo tenantInfo)
+        {
+            TenantInfo? current = tenantInfo;
+            while (current != null)
+            {
+                if (current.MaxFileVersions.HasValue)
+                    return Math.Max(0, current.MaxFileVersions.Value);
+
+                current = current.Parent;
+            }
+
+            return TenantInfo.DefaultMaxFileVersions;
         }
 
         /// <summary>
@@ -1,10 +1,11 @@
 using ByteShelf.Configuration;
+using ByteShelf.Extensions;
 using ByteShelf.Services;
 using ByteShelfCommon;
 using Microsoft.Extensions.Primitives;
 using System.Collections.Concurrent;
 using System.Net;
-using System.Text;
+using System.Text.Json;
 
 namespace ByteShelf.Middleware
 {
@@ -18,13 +19,23 @@ namespace ByteShelf.Middleware
     /// It can be configured to require authentication for all endpoints or to skip authentication
     /// for specific paths (like health checks). When authentication fails, it returns a 401
     /// Unauthorized response with a JSON error message.
+    /// Besides the key each tenant is created with, tenants can have named keys (<see cref="TenantInfo.ApiKeys"/>),
+    /// which can expire and whose scopes are enforced here with a 403 Forbidden response.
+    /// Admins can browse as another tenant by naming it in the "X-Browse-Tenant" header, which makes the
+    /// request act as that tenant without administrative privileges. Browsing is read-only unless the
+    /// "X-Browse-Mode" header is "admin".
+    /// Requests refused for a missing, unknown or expired API key are recorded in the audit log.
     /// </remarks>
     public class ApiKeyAuthenticationMiddleware
     {
         private readonly RequestDelegate _next;
         private readonly ITenantConfigurationService _configService;
+        private readonly IAuditLogService _auditLogService;
         private const string ApiKeyHeaderName = "X-API-Key";
         private const string TenantIdHeaderName = "X-Tenant-ID";
+        private const string BrowseTenantHeaderName = "X-Browse-Tenant";
+        private const string BrowseModeHeaderName = "X-Browse-Mode";
+        private const string BrowseAdminMode = "admin";
 
         // Thread-safe dictionary to track failed authentication attempts by IP address
         private static readonly ConcurrentDictionary<string, FailedAttemptInfo> _failedAttempts = new ConcurrentDictionary<string, FailedAttemptInfo>();
@@ -40,13 +51,16 @@ namespace ByteShelf.Middleware
         /// </summary>
         /// <param name="next">The next middleware in the request pipeline.</param>
         /// <param name="configService">The tenant configuration service.</param>
-        /// <exception cref="ArgumentNullException">Thrown when <paramref name="next"/> or <paramref name="configService"/> is null.</exception>
+        /// <param name="auditLogService">The audit log service for recording failed authentication.</param>
+        /// <exception cref="ArgumentNullException">Thrown when any of the parameters is null.</exception>
         public ApiKeyAuthenticationMiddleware(
             RequestDelegate next,
-            ITenantConfigurationService configService)
+            ITenantConfigurationService configService,
+            IAuditLogService auditLogService)
         {
             _next = next ?? throw new ArgumentNullException(nameof(next));
             _configService = configService ?? throw new ArgumentNullException(nameof(configService));
+            _auditLogService = auditLogService ?? throw new ArgumentNullException(nameof(auditLogService));
         }
 
         /// <summary>
@@ -79,9 +93,15 @@ namespace ByteShelf.Middleware
         /// 5. Returns a 401 Unauthorized response if validation fails
         /// 6. Calls the next middleware if validation succeeds
         /// 7. Implements rate limiting for failed authentication attempts
+        /// 8. Switches to the browsed tenant when an admin browses as another tenant
+        /// 9. Records refused API keys in the audit log
         /// </remarks>
         public async Task InvokeAsync(HttpContext context)
         {
+            // Get client IP address for rate limiting and the audit log, which also records downloads through share links
+            string clientIp = GetClientIpAddress(context);
+            context.Items["ClientIpAddress"] = clientIp;
+
             // Skip authentication for certain paths (like health checks)
             if (ShouldSkipAuthentication(context.Request.Path))
             {
@@ -97,22 +117,30 @@ namespace ByteShelf.Middleware
                 return;
             }
 
-            // Get client IP address for rate limiting
-            string clientIp = GetClientIpAddress(context);
-
-            // Validate API key and get tenant ID
+            // Validate API key and get tenant ID, falling back to the named keys of the tenants
             string? tenantId = GetTenantIdFromApiKey(context.Request);
+            TenantApiKey? namedKey = null;
+            string? providedApiKey = context.Request.Headers[ApiKeyHeaderName].FirstOrDefault();
+            if (tenantId == null && !string.IsNullOrEmpty(providedApiKey))
+            {
+                namedKey = FindNamedApiKey(TenantApiKey.HashKey(providedApiKey), config.Tenants, out tenantId);
+            }
+
             if (tenantId == null)
             {
                 // Record failed attempt and apply rate limiting
                 await HandleFailedAuthentication(clientIp);
+                await RecordFailedAuthenticationAsync(context, null, null, null, string.IsNullOrEmpty(providedApiKey) ? "Missing API key" : "Invalid API key");
 
-                context.Response.StatusCode = (int)HttpStatusCode.Unauthorized;
-                context.Response.ContentType = "application/json";
+                await WriteErrorResponseAsync(context, HttpStatusCode.Unauthorized, "Invalid or missing API key", "Please provide a valid X-API-Key header");
+                return;
+            }
 
-                string errorResponse = "{\"error\":\"Invalid or missing API key\",\"message\":\"Please provide a valid X-API-Key header\"}";
-                byte[] errorBytes = Encoding.UTF8.GetBytes(errorResponse);
-                await context.Response.Body.WriteAsync(errorBytes);
+            // An expired key is a real key rather than a guess, so it doesn't count as a failed attempt
+            if (namedKey != null && namedKey.IsExpired(DateTimeOffset.UtcNow))
+            {
+                await RecordFailedAuthenticationAsync(context, tenantId, namedKey.Id.ToString(), namedKey.Name, "API key expired");
+                await WriteErrorResponseAsync(context, HttpStatusCode.Unauthorized, "API key expired", $"The API key \"{namedKey.Name}\" expired at {namedKey.ExpiresAt:u}");
                 return;
             }
 
@@ -120,17 +148,61 @@ namespace ByteShelf.Middleware
             TenantInfo? tenantInfo = GetTenantInfo(tenantId, config);
             if (tenantInfo == null)
             {
-                context.Response.StatusCode = (int)HttpStatusCode.Unauthorized;
-                context.Response.ContentType = "application/json";
-                string errorResponse = "{\"error\":\"Tenant not found\",\"message\":\"The authenticated tenant was not found in configuration\"}";
-                byte[] errorBytes = Encoding.UTF8.GetBytes(errorResponse);
-                await context.Response.Body.WriteAsync(errorBytes);
+                await RecordFailedAuthenticationAsync(context, tenantId, null, null, "Tenant not found");
+                await WriteErrorResponseAsync(context, HttpStatusCode.Unauthorized, "Tenant not found", "The authenticated tenant was not found in configuration");
                 return;
             }
 
+            if (namedKey != null)
+            {
+                string? scopeViolation = GetScopeViolation(context.Request, namedKey.Scopes);
+                if (scopeViolation != null)
+                {
+                    await WriteErrorResponseAsync(context, HttpStatusCode.Forbidden, "Insufficient API key scope", scopeViolation);
+                    return;
+                }
+
+                context.Items["ApiKeyId"] = namedKey.Id;
+                context.Items["ApiKeyScopes"] = namedKey.Scopes;
+            }
+
+            context.Items["ApiKeyName"] = namedKey?.Name ?? TenantApiKey.TenantKeyName;
+            await _configService.RecordApiKeyUseAsync(tenantId, namedKey?.Id ?? TenantApiKey.TenantKeyId);
+
+            // Named keys only get administrative privileges when they have the admin scope
+            bool isAdmin = tenantInfo.IsAdmin && (namedKey == null || namedKey.Scopes.Contains(ApiKeyScope.Admin));
+
+            string? browseTenantId = context.Request.Headers[BrowseTenantHeaderName].FirstOrDefault();
+            if (!string.IsNullOrEmpty(browseTenantId))
+            {
+                if (!isAdmin)
+                {
+                    await WriteErrorResponseAsync(context, HttpStatusCode.Forbidden, "Browsing not allowed", "Only admins can browse as another tenant");
+                    return;
+                }
+
+                if (GetTenantInfo(browseTenantId, config) == null)
+                {
+                    await WriteErrorResponseAsync(context, HttpStatusCode.NotFound, "Tenant not found", $"The tenant '{browseTenantId}' to browse as was not found");
+                    return;
+                }
+
+                string? browseViolation = GetBrowseViolation(context.Request);
+                if (browseViolation != null)
+                {
+                    await WriteErrorResponseAsync(context, HttpStatusCode.Forbidden, "Not allowed while browsing", browseViolation);
+                    return;
+                }
+
+                // The request acts as the browsed tenant, which doesn't get the admin's privileges
+                context.Items["BrowsingAdminTenantId"] = tenantId;
+                tenantId = browseTenantId;
+                isAdmin = false;
+            }
+
             // Add tenant ID and admin status to the request context for downstream components
             context.Items["TenantId"] = tenantId;
-            context.Items["IsAdmin"] = tenantInfo.IsAdmin;
+            context.Items["IsAdmin"] = isAdmin;
             context.Request.Headers[TenantIdHeaderName] = tenantId;
 
             await _next(context);
@@ -146,6 +218,7 @@ namespace ByteShelf.Middleware
         /// - Health check endpoints ("/health", "/healthz")
         /// - Swagger/OpenAPI documentation endpoints ("/swagger", "/swagger-ui")
         /// - Frontend resources ("/", "/styles.css", "/script.js", "/ping", "/favicon.ico")
+        /// - Public share link endpoints ("/api/share/public/"), which are protected by their signed tokens instead
         /// Additional paths can be added as needed.
         /// </remarks>
         private static bool ShouldSkipAuthentication(PathString path)
@@ -159,7 +232,8 @@ namespace ByteShelf.Middleware
                    pathValue == "/styles.css" ||
                    pathValue == "/script.js" ||
                    pathValue == "/ping" ||
-                   pathValue == "/favicon.ico";
+                   pathValue == "/favicon.ico" ||
+                   pathValue.StartsWith("/api/share/public/");
         }
 
         /// <summary>
@@ -168,30 +242,30 @@ namespace ByteShelf.Middleware
         /// <param name="context">The HTTP context.</param>
         /// <returns>The client IP address.</returns>
         /// <remarks>
-        /// This method checks for forwarded headers (X-Forwarded-For, X-Real-IP) to handle
-        /// requests that come through proxies or load balancers, falling back to the direct
-        /// connection IP address.
+        /// Forwarded headers are only honoured when they come from a configured proxy: the forwarded headers
+        /// middleware then has already replaced the connection address with the client's. Reading the headers
+        /// here would let any client forge the address used for rate limiting and the audit log.
         /// </remarks>
         private static string GetClientIpAddress(HttpContext context)
         {
-            // Check for forwarded headers first
-            string? forwardedFor = context.Request.Headers["X-Forwarded-For"].FirstOrDefault();
-            if (!string.IsNullOrEmpty(forwardedFor))
-            {
-                // X-Forwarded-For can contain multiple IPs, take the first one
-                return forwardedFor.Split(',')[0].Trim();
-            }
-
-            string? realIp = context.Request.Headers["X-Real-IP"].FirstOrDefault();
-            if (!string.IsNullOrEmpty(realIp))
-            {
-                return realIp;
-            }
-
-            // Fall back to the direct connection IP
             return context.Connection.RemoteIpAddress?.ToString() ?? "unknown";
         }
 
+        /// <summary>
+        /// Records a request that was refused because of its API key in the audit log.
+        /// </summary>
+        /// <param name="context">The HTTP context.</param>
+        /// <param name="tenantId">The ID of the tenant the key belongs to, if it is known.</param>
+        /// <param name="apiKeyId">The ID of the named key, if it is known.</param>
+        /// <param name="apiKeyName">The name of the named key, if it is known.</param>
+        /// <param name="reason">Why the key was refused.</param>
+        /// <returns>A task that represents the asynchronous operation.</returns>
+        private Task RecordFailedAuthenticationAsync(HttpContext context, string? tenantId, string? apiKeyId, string? apiKeyName, string reason)
+        {
+            string details = $"{reason} for {context.Request.Method} {context.Request.Path}";
+            return _auditLogService.RecordAsync(context.CreateAuditEntry(AuditAction.AuthenticationFailed, tenantId, apiKeyId, apiKeyName, details));
+        }
+
         /// <summary>
         /// Handles a failed authentication attempt by recording it and applying rate limiting.
         /// </summary>
@@ -262,6 +336,155 @@ namespace ByteShelf.Middleware
             return null;
         }
 
+        /// <summary>
+        /// Recursively searches for a named API key among tenants and their subtenants.
+        /// </summary>
+        /// <param name="keyHash">The hash of the provided key, as computed by <see cref="TenantApiKey.HashKey"/>.</param>
+        /// <param name="tenants">The tenants to search in, keyed by tenant ID.</param>
+        /// <param name="tenantId">The ID of the tenant that owns the key, or null if not found.</param>
+        /// <returns>The named key, or null if not found.</returns>
+        /// <remarks>
+        /// Subtenants in the trash are not searched, so their keys don't work until they are restored.
+        /// </remarks>
+        private static TenantApiKey? FindNamedApiKey(string keyHash, Dictionary<string, TenantInfo> tenants, out string? tenantId)
+        {
+            foreach (KeyValuePair<string, TenantInfo> tenant in tenants)
+            {
+                TenantApiKey? namedKey = tenant.Value.ApiKeys.FirstOrDefault(key => key.KeyHash == keyHash);
+                if (namedKey != null)
+                {
+                    tenantId = tenant.Key;
+                    return namedKey;
+                }
+
+                namedKey = FindNamedApiKey(keyHash, tenant.Value.SubTenants, out tenantId);
+                if (namedKey != null)
+                {
+                    return namedKey;
+                }
+            }
+
+            tenantId = null;
+            return null;
+        }
+
+        /// <summary>
+        /// Checks whether a request is allowed by the scopes of the named API key it was made with.
+        /// </summary>
+        /// <param name="request">The HTTP request to check.</param>
+        /// <param name="scopes">The scopes of the key.</param>
+        /// <returns>A message describing why the request isn't allowed, or <c>null</c> if it is.</returns>
+        /// <remarks>
+        /// Read-only keys can make GET requests and download archives. Upload-only keys can upload chunks and
+        /// file metadata, and read the tenant information, storage quota, folders and configuration that uploading needs.
+        /// Uploads can't replace existing files or chunks, since those IDs are refused for every key.
+        /// Keys that can't delete can make any request except DELETE and changing the version limit. The files controller
+        /// refuses their uploads and restores that would drop earlier versions. Keys with any of these scopes can't change keys,
+        /// since that would let them create a key with more access than they have.
+        /// </remarks>
+        private static string? GetScopeViolation(HttpRequest request, IReadOnlyCollection<ApiKeyScope> scopes)
+        {
+            string path = GetNormalizedPath(request);
+            string method = request.Method;
+            bool isRead = HttpMethods.IsGet(method) || HttpMethods.IsHead(method);
+
+            if (scopes.Contains(ApiKeyScope.ReadOnly) && !IsReadRequest(request))
+                return "This API key is read-only";
+
+            if (scopes.Contains(ApiKeyScope.UploadOnly))
+            {
+                bool isUploadRead = isRead && (
+                    path == "/api/tenant/info" ||
+                    path.StartsWith("/api/tenant/storage") ||
+                    path.StartsWith("/api/tenant/subtenants") ||
+                    path.StartsWith("/api/config/"));
+                bool isUpload =
+                    (HttpMethods.IsPut(method) && path.StartsWith("/api/chunks/")) ||
+                    (HttpMethods.IsPost(method) && path.StartsWith("/api/chunks/") && path.EndsWith("/lookup")) ||
+                    (HttpMethods.IsPost(method) && path.StartsWith("/api/files/") && path.EndsWith("/metadata"));
+
+                if (!isUploadRead && !isUpload)
+                    return "This API key can only upload files";
+            }
+
+            if (scopes.Contains(ApiKeyScope.NoDelete) && HttpMethods.IsDelete(method))
+                return "This API key cannot delete";
+
+            // A lower version limit drops the oldest versions of files the next time they get a new one
+            if (scopes.Contains(ApiKeyScope.NoDelete) && !isRead && path == "/api/tenant/version-limit")
+                return "This API key cannot change the version limit, since a lower limit deletes earlier versions";
+
+            bool isRestricted = scopes.Any(scope => scope != ApiKeyScope.Admin);
+            if (isRestricted && !isRead && path.StartsWith("/api/keys"))
+                return "API keys with limited access cannot change API keys";
+
+            return null;
+        }
+
+        /// <summary>
+        /// Checks whether a request is allowed while an admin browses as another tenant.
+        /// </summary>
+        /// <param name="request">The HTTP request to check.</param>
+        /// <returns>A message describing why the request isn't allowed, or <c>null</c> if it is.</returns>
+        /// <remarks>
+        /// In read-only mode only requests that read files are allowed. In both modes the browsed tenant's
+        /// API keys can't be changed, so browsing can't be used to get a key for the tenant.
+        /// </remarks>
+        private static string? GetBrowseViolation(HttpRequest request)
+        {
+            string path = GetNormalizedPath(request);
+            if (!HttpMethods.IsGet(request.Method) && !HttpMethods.IsHead(request.Method) && path.StartsWith("/api/keys"))
+                return "API keys cannot be changed while browsing as another tenant";
+
+            string? mode = request.Headers[BrowseModeHeaderName].FirstOrDefault();
+            bool isAdminMode = string.Equals(mode, BrowseAdminMode, StringComparison.OrdinalIgnoreCase);
+            if (!isAdminMode && !IsReadRequest(request))
+                return $"Browsing as another tenant is read-only unless the {BrowseModeHeaderName} header is \"{BrowseAdminMode}\"";
+
+            return null;
+        }
+
+        /// <summary>
+        /// Determines whether a request only reads files, which includes downloading files as an archive.
+        /// </summary>
+        /// <param name="request">The HTTP request to check.</param>
+        /// <returns><c>true</c> if the request is a GET or HEAD request or an archive download; otherwise, <c>false</c>.</returns>
+        private static bool IsReadRequest(HttpRequest request)
+        {
+            string method = request.Method;
+            if (HttpMethods.IsGet(method) || HttpMethods.IsHead(method))
+                return true;
+
+            return HttpMethods.IsPost(method) && GetNormalizedPath(request) == "/api/files/archive";
+        }
+
+        /// <summary>
+        /// Gets the path of a request in lowercase and without a trailing slash.
+        /// </summary>
+        /// <param name="request">The HTTP request.</param>
+        /// <returns>The normalized path.</returns>
+        private static string GetNormalizedPath(HttpRequest request)
+        {
+            return request.Path.Value?.ToLowerInvariant().TrimEnd('/') ?? string.Empty;
+        }
+
+        /// <summary>
+        /// Writes a JSON error response.
+        /// </summary>
+        /// <param name="context">The HTTP context for the current request.</param>
+        /// <param name="statusCode">The status code of the response.</param>
+        /// <param name="error">A short description of the error.</param>
+        /// <param name="message">A message explaining the error.</param>
+        /// <returns>A task that represents the asynchronous operation.</returns>
+        private static async Task WriteErrorResponseAsync(HttpContext context, HttpStatusCode statusCode, string error, string message)
+        {
+            context.Response.StatusCode = (int)statusCode;
+            context.Response.ContentType = "application/json";
+
+            byte[] errorBytes = JsonSerializer.SerializeToUtf8Bytes(new { error, message });
+            await context.Response.Body.WriteAsync(errorBytes);
+        }
+
         /// <summary>
         /// Recursively searches for a tenant with the specified API key in subtenants.
         /// </summary>
@@ -2,7 +2,10 @@ using ByteShelf.Configuration;
 using ByteShelf.Middleware;
 using ByteShelf.Resources;
 using ByteShelf.Services;
+using Microsoft.AspNetCore.HttpOverrides;
 using Microsoft.Extensions.Logging.Abstractions;
+using System.Globalization;
+using System.Net;
 using System.Threading.RateLimiting;
 
 namespace ByteShelf
@@ -45,6 +48,57 @@ namespace ByteShelf
                 return config;
             });
 
+            // Configure trash settings
+            builder.Services.AddSingleton<TrashConfiguration>(serviceProvider =>
+            {
+                TrashConfiguration config = new TrashConfiguration();
+                builder.Configuration.GetSection("TrashConfiguration").Bind(config);
+
+                // Override with environment variable if set
+                string? envRetentionDays = Environment.GetEnvironmentVariable("BYTESHELF_TRASH_RETENTION_DAYS");
+                if (!string.IsNullOrWhiteSpace(envRetentionDays) && int.TryParse(envRetentionDays, out int retentionDays))
+                {
+                    config.RetentionDays = retentionDays;
+                }
+
+                return config;
+            });
+
+            // Configure audit log settings
+            builder.Services.AddSingleton<AuditLogConfiguration>(serviceProvider =>
+            {
+                AuditLogConfiguration config = new AuditLogConfiguration();
+                builder.Configuration.GetSection("AuditLogConfiguration").Bind(config);
+
+                // Override with environment variable if set
+                string? envRetentionMonths = Environment.GetEnvironmentVariable("BYTESHELF_AUDIT_LOG_RETENTION_MONTHS");
+                if (!string.IsNullOrWhiteSpace(envRetentionMonths) && int.TryParse(envRetentionMonths, out int retentionMonths))
+                {
+                    config.RetentionMonths = retentionMonths;
+                }
+
+                return config;
+            });
+
+            // Configure the reverse proxies whose forwarded headers are trusted
+            ForwardedHeadersConfiguration forwardedHeadersConfiguration = new ForwardedHeadersConfiguration();
+            builder.Configuration.GetSection("ForwardedHeadersConfiguration").Bind(forwardedHeadersConfiguration);
+
+            // Override with environment variables if set
+            string? envKnownProxies = Environment.GetEnvironmentVariable("BYTESHELF_KNOWN_PROXIES");
+            if (!string.IsNullOrWhiteSpace(envKnownProxies))
+            {
+                forwardedHeadersConfiguration.KnownProxies = envKnownProxies.Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries).ToList();
+            }
+
+            string? envKnownNetworks = Environment.GetEnvironmentVariable("BYTESHELF_KNOWN_NETWORKS");
+            if (!string.IsNullOrWhiteSpace(envKnownNetworks))
+            {
+                forwardedHeadersConfiguration.KnownNetworks = envKnownNetworks.Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries).ToList();
+            }
+
+            ConfigureForwardedHeaders(builder.Services, forwardedHeadersConfiguration);
+
             // Configure file storage
             string? envStoragePath = Environment.GetEnvironmentVariable("BYTESHELF_STORAGE_PATH");
             string storagePath = envStoragePath ?? builder.Configuration["StoragePath"] ?? "byte-shelf-storage";
@@ -65,6 +119,54 @@ namespace ByteShelf
                 return new FileStorageService(storagePath, storageService, logger ?? new NullLogger<FileStorageService>());
             });
 
+            // Register share link service
+            builder.Services.AddSingleton<IShareLinkService>(serviceProvider =>
+            {
+                ILogger<ShareLinkService>? logger = serviceProvider.GetService<ILogger<ShareLinkService>>();
+                return new ShareLinkService(storagePath, logger ?? new NullLogger<ShareLinkService>());
+            });
+
+            // Register audit log service
+            builder.Services.AddSingleton<IAuditLogService>(serviceProvider =>
+            {
+                ILogger<AuditLogService>? logger = serviceProvider.GetService<ILogger<AuditLogService>>();
+                AuditLogConfiguration auditLogConfiguration = serviceProvider.GetRequiredService<AuditLogConfiguration>();
+                return new AuditLogService(storagePath, auditLogConfiguration, logger ?? new NullLogger<AuditLogService>());
+            });
+
+            // Register archive service
+            builder.Services.AddSingleton<IArchiveService>(serviceProvider =>
+            {
+                ILogger<ArchiveService>? logger = serviceProvider.GetService<ILogger<ArchiveService>>();
+                IFileStorageService fileStorageService = serviceProvider.GetRequiredService<IFileStorageService>();
+                ITenantConfigurationService configService = serviceProvider.GetRequiredService<ITenantConfigurationService>();
+                return new ArchiveService(fileStorageService, configService, logger ?? new NullLogger<ArchiveService>());
+            });
+
+            // Register trash service and the background service that purges it
+            builder.Services.AddSingleton<ITrashService>(serviceProvider =>
+            {
+                ILogger<TrashService>? logger = serviceProvider.GetService<ILogger<TrashService>>();
+                IFileStorageService fileStorageService = serviceProvider.GetRequiredService<IFileStorageService>();
+                ITenantConfigurationService configService = serviceProvider.GetRequiredService<ITenantConfigurationService>();
+                IStorageService storageService = serviceProvider.GetRequiredService<IStorageService>();
+                IAuditLogService auditLogService = serviceProvider.GetRequiredService<IAuditLogService>();
+                TrashConfiguration trashConfiguration = serviceProvider.GetRequiredService<TrashConfiguration>();
+                return new TrashService(fileStorageService, configService, storageService, auditLogService, trashConfiguration, logger ?? new NullLogger<TrashService>());
+            });
+            builder.Services.AddHostedService<TrashPurgeService>();
+
+            // Register storage analytics service and the background service that records daily usage snapshots
+            builder.Services.AddSingleton<IStorageAnalyticsService>(serviceProvider =>
+            {
+                ILogger<StorageAnalyticsService>? logger = serviceProvider.GetService<ILogger<StorageAnalyticsService>>();
+                IFileStorageService fileStorageService = serviceProvider.GetRequiredService<IFileStorageService>();
+                IStorageService storageService = serviceProvider.GetRequiredService<IStorageService>();
+                ITenantConfigurationService configService = serviceProvider.GetRequiredService<ITenantConfigurationService>();
+                return new StorageAnalyticsService(storagePath, fileStorageService, storageService, configService, logger ?? new NullLogger<StorageAnalyticsService>());
+            });
+            builder.Services.AddHostedService<StorageSnapshotService>();
+
             // Configure rate limiting
             ConfigureRateLimiting(builder.Services);
 
@@ -82,6 +184,9 @@ namespace ByteShelf
                 throw;
             }
 
+            // Resolve the client address from trusted proxies before anything reads it
+            app.UseForwardedHeaders();
+
             // Configure the HTTP request pipeline
             if (app.Environment.IsDevelopment())
             {
@@ -103,6 +208,40 @@ namespace ByteShelf
             app.Run();
         }
 
+        /// <summary>
+        /// Configures which forwarded headers are applied and which proxies they are accepted from.
+        /// </summary>
+        /// <param name="services">The service collection to configure.</param>
+        /// <param name="configuration">The configured proxies.</param>
+        /// <exception cref="InvalidOperationException">Thrown when a configured proxy address or network can't be parsed.</exception>
+        /// <remarks>
+        /// Proxies on the loopback address are always trusted. Headers from any other address are ignored,
+        /// so clients can't forge the IP address used for rate limiting and the audit log.
+        /// </remarks>
+        private static void ConfigureForwardedHeaders(IServiceCollection services, ForwardedHeadersConfiguration configuration)
+        {
+            services.Configure<ForwardedHeadersOptions>(options =>
+            {
+                options.ForwardedHeaders = ForwardedHeaders.XForwardedFor | ForwardedHeaders.XForwardedProto;
+
+                foreach (string proxy in configuration.KnownProxies)
+                {
+                    if (!IPAddress.TryParse(proxy, out IPAddress? address))
+                        throw new InvalidOperationException($"Invalid proxy address in ForwardedHeadersConfiguration: {proxy}");
+
+                    options.KnownProxies.Add(address);
+                }
+
+                foreach (string network in configuration.KnownNetworks)
+                {
+                    if (!Microsoft.AspNetCore.HttpOverrides.IPNetwork.TryParse(network, out Microsoft.AspNetCore.HttpOverrides.IPNetwork? ipNetwork))
+                        throw new InvalidOperationException($"Invalid proxy network in ForwardedHeadersConfiguration: {network}");
+
+                    options.KnownNetworks.Add(ipNetwork);
+                }
+            });
+        }
+
         /// <summary>
         /// Configures rate limiting with different limits per endpoint type.
         /// </summary>
@@ -117,6 +256,19 @@ namespace ByteShelf
                     string path = httpContext.Request.Path.ToString();
 
                     // Different limits based on endpoint type
+                    if (path.StartsWith("/api/share/public"))
+                    {
+                        // Public share links: 60 per minute per client, since they can be used without an API key
+                        string clientIp = httpContext.Connection.RemoteIpAddress?.ToString() ?? "unknown";
+                        return RateLimitPartition.GetFixedWindowLimiter(
+                            partitionKey: $"{clientIp}-share",
+                            factory: _ => new FixedWindowRateLimiterOptions
+                            {
+                                PermitLimit = 60,
+                                Window = TimeSpan.FromMinutes(1)
+                            });
+                    }
+
                     if (path.StartsWith("/api/chunks"))
                     {
                         // Chunk operations: 10,000 per minute (high throughput for file uploads/downloads)
@@ -168,6 +320,13 @@ namespace ByteShelf
                 options.OnRejected = async (context, token) =>
                 {
                     context.HttpContext.Response.StatusCode = 429;
+
+                    // Tell clients when the window resets, so their retries don't run into the limit again
+                    if (context.Lease.TryGetMetadata(MetadataName.RetryAfter, out TimeSpan retryAfter))
+                    {
+                        context.HttpContext.Response.Headers.RetryAfter = ((int)Math.Ceiling(retryAfter.TotalSeconds)).ToString(CultureInfo.InvariantCulture);
+                    }
+
                     await context.HttpContext.Response.WriteAsync("Rate limit exceeded. Please try again later.", token);
                 };
             });
@@ -1,10 +1,15 @@
 // Global state
 let currentApiKey = '';
 let currentTenantInfo = null;
+let browseTarget = null; // { tenantId, readOnly, adminTenantInfo } while an admin browses as another tenant
 let files = [];
 let subtenants = {};
 let currentPath = []; // Array of tenant IDs representing current navigation path
 let tenantCache = {}; // Cache for tenant information
+let uploadQueue = []; // Upload items shown in the transfer panel
+let downloadQueue = []; // Download items shown in the transfer panel
+let isProcessingUploadQueue = false;
+let eventListenersInitialized = false;
 
 // Custom modal functions
 function showAlert(message, title = 'Alert', type = 'info') {
@@ -103,10 +108,11 @@ function showConfirm(message, title = 'Confirm') {
     });
 }
 
-function showPrompt(message, title = 'Prompt', defaultValue = '') {
+function showPrompt(message, title = 'Prompt', defaultValue = '', options = {}) {
     return new Promise((resolve) => {
         const modal = document.getElementById('prompt-modal');
         const titleElement = document.getElementById('prompt-title');
+        const iconElement = modal.querySelector('.prompt-icon');
         const messageElement = document.querySelector('.prompt-message label');
         const inputElement = document.getElementById('folder-name-input');
         const okBtn = document.getElementById('prompt-ok-btn');
@@ -114,7 +120,11 @@ function showPrompt(message, title = 'Prompt', defaultValue = '') {
         
         // Set content
         titleElement.textContent = title;
+        iconElement.textContent = options.icon || '📁';
         messageElement.textContent = message;
+        inputElement.type = options.inputType || 'text';
+        inputElement.placeholder = options.placeholder || 'Enter folder name';
+        okBtn.textContent = options.okText || 'Create';
         inputElement.value = defaultValue;
         
         // Show modal and focus input
@@ -179,6 +189,17 @@ const API_BASE = (() => {
     return window.location.origin + basePath;
 })();
 
+// Transfer settings
+const DEFAULT_CHUNK_SIZE = 1024 * 1024; // Used when the server's chunk size can't be fetched
+const DEFAULT_UPLOAD_CONCURRENCY = 4;
+const MAX_UPLOAD_CONCURRENCY = 16;
+const TRANSFER_MAX_RETRIES = 5;
+const TRANSFER_INITIAL_RETRY_DELAY_MS = 500;
+const TRANSFER_MAX_RETRY_DELAY_MS = 30000;
+const CHUNK_LOOKUP_BATCH_SIZE = 1000; // The most hashes the server looks up in one request
+const MAX_IN_MEMORY_DOWNLOAD_BYTES = 2 * 1024 ** 3; // Larger downloads ask first when they can't be written to disk
+let serverChunkSize = null; // Cached result of /api/config/chunk-size
+
 // Utility functions
 function formatBytes(bytes) {
     if (bytes === 0) return '0 Bytes';
@@ -188,16 +209,61 @@ function formatBytes(bytes) {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }
 
+// Sizes typed as "250 GB" or "1.5tb", in the same 1024-based units formatBytes shows
+const BYTE_SIZE_UNITS = { '': 1, b: 1, bytes: 1, k: 1024, kb: 1024, m: 1024 ** 2, mb: 1024 ** 2, g: 1024 ** 3, gb: 1024 ** 3, t: 1024 ** 4, tb: 1024 ** 4 };
+
+function parseByteSize(text) {
+    const match = text.trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([a-z]*)$/);
+    if (!match || BYTE_SIZE_UNITS[match[2]] === undefined) {
+        return null;
+    }
+    return Math.round(parseFloat(match[1]) * BYTE_SIZE_UNITS[match[2]]);
+}
+
+function formatByteSizeInput(bytes) {
+    // Unlike formatBytes this never rounds, so saving a size that was not edited keeps it exactly
+    const units = [['TB', 1024 ** 4], ['GB', 1024 ** 3], ['MB', 1024 ** 2], ['KB', 1024]];
+    const unit = units.find(([, size]) => bytes > 0 && bytes % size === 0);
+    return unit ? `${bytes / unit[1]} ${unit[0]}` : `${bytes} bytes`;
+}
+
 function formatDate(dateString) {
     return new Date(dateString).toLocaleString();
 }
 
+function formatDuration(seconds) {
+    if (!isFinite(seconds) || seconds < 0) return '--';
+    const totalSeconds = Math.ceil(seconds);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const remainingSeconds = totalSeconds % 60;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    if (minutes > 0) return `${minutes}m ${remainingSeconds}s`;
+    return `${remainingSeconds}s`;
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+}
+
 // API functions
+function getAuthHeaders() {
+    // While an admin browses as another tenant, the server acts as that tenant
+    const headers = { 'X-API-Key': currentApiKey };
+    if (browseTarget) {
+        headers['X-Browse-Tenant'] = browseTarget.tenantId;
+        headers['X-Browse-Mode'] = browseTarget.readOnly ? 'read-only' : 'admin';
+    }
+    return headers;
+}
+
 async function makeApiRequest(endpoint, options = {}) {
     const url = `${API_BASE}${endpoint}`;
     const config = {
         headers: {
-            'X-API-Key': currentApiKey,
+            ...getAuthHeaders(),
             'Content-Type': 'application/json',
             ...options.headers
         },
@@ -206,8 +272,15 @@ async function makeApiRequest(endpoint, options = {}) {
 
     try {
         const response = await fetch(url, config);
+        if (response.status === 401) {
+            handleUnauthorized();
+        }
         if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            // The status lets callers retry rate limited and failed requests
+            const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+            error.status = response.status;
+            error.retryAfterSeconds = parseInt(response.headers.get('Retry-After'), 10) || null;
+            throw error;
         }
         return await response.json();
     } catch (error) {
@@ -220,7 +293,7 @@ async function makeApiRequestWithBody(endpoint, method = 'GET', body = null) {
     const options = {
         method,
         headers: {
-            'X-API-Key': currentApiKey,
+            ...getAuthHeaders(),
             'Content-Type': 'application/json'
         }
     };
@@ -240,47 +313,134 @@ async function authenticate() {
         return;
     }
 
+    let tenantInfo;
     try {
-        currentApiKey = apiKey;
-        
-        // Test authentication by getting tenant info
-        const tenantInfo = await makeApiRequest('/api/tenant/info');
-        currentTenantInfo = tenantInfo;
-        
-        // Show main application
-        document.getElementById('auth-section').style.display = 'none';
-        document.getElementById('main-section').style.display = 'block';
-        
-        // Load initial data
+        tenantInfo = await fetchTenantInfo(apiKey);
+    } catch (error) {
+        showError('Authentication failed: ' + error.message);
+        return;
+    }
+
+    // Adding an account from the header replaces the session that is still running
+    if (currentTenantInfo && !(await confirmLeavingTransfers())) {
+        return;
+    }
+
+    const rememberMode = document.getElementById('remember-mode').value;
+    try {
+        await rememberAccount(tenantInfo, apiKey, rememberMode);
+    } catch (error) {
+        showError('Could not remember the API key: ' + error.message);
+        return;
+    }
+
+    document.getElementById('api-key').value = '';
+    await startSession(apiKey, tenantInfo);
+}
+
+async function fetchTenantInfo(apiKey) {
+    // Uses its own request so a rejected key never affects the session that is already open
+    const response = await fetch(`${API_BASE}/api/tenant/info`, {
+        headers: { 'X-API-Key': apiKey }
+    });
+    if (!response.ok) {
+        throw new Error(response.status === 401 ? 'Invalid API key' : `HTTP ${response.status}: ${response.statusText}`);
+    }
+    return response.json();
+}
+
+async function startSession(apiKey, tenantInfo) {
+    // Switching accounts starts from a clean slate, the same as logging in again
+    if (currentTenantInfo) {
+        clearSession();
+    }
+
+    currentApiKey = apiKey;
+    currentTenantInfo = tenantInfo;
+    sessionStorage.setItem(ACTIVE_ACCOUNT_KEY, tenantInfo.tenantId);
+    updateRememberedAccountName(tenantInfo);
+
+    // Show main application
+    document.getElementById('auth-section').style.display = 'none';
+    document.getElementById('main-section').style.display = 'block';
+    document.getElementById('auth-error').style.display = 'none';
+    document.getElementById('auth-cancel-btn').style.display = 'none';
+
+    // Show admin button if user is admin
+    document.getElementById('admin-btn').style.display = currentTenantInfo.isAdmin ? 'inline-block' : 'none';
+
+    try {
+        // Load initial data, opening the folder and file from the URL if there are any
         await loadTenantInfo();
-        await loadFiles();
-        
-        // Show admin button if user is admin
-        if (currentTenantInfo.isAdmin) {
-            document.getElementById('admin-btn').style.display = 'inline-block';
-        }
-        
+        await applyRoute();
+
         // Setup event listeners
         setupEventListeners();
-        
+
+        // Offer to resume uploads that were interrupted in an earlier session
+        await loadPendingUploads();
     } catch (error) {
-        showError('Authentication failed: ' + error.message);
-        currentApiKey = '';
+        console.error('Failed to load the session:', error);
     }
 }
 
-function logout() {
+function clearSession() {
+    resetTransfers();
+    closeModal();
+    closeAdminModal();
+    closeShareModal();
+    closeShareLinks();
+    closeApiKeys();
+    closeTrash();
+    closeAnalytics();
+    closeAccountMenu();
+    document.getElementById('search-input').value = '';
+    resetFolderSearch();
+    closeFolderPicker(null);
+    cancelBulkOperation();
+    clearSelection();
     currentApiKey = '';
     currentTenantInfo = null;
+    browseTarget = null;
+    updateBrowseDisplay();
     files = [];
+    subtenants = {};
+    currentPath = [];
+    tenantCache = {};
+    fileDetailsPushedHistory = false;
     
+    // Folder links belong to the account that was signed in
+    replaceRoute();
+}
+
+function logout() {
+    clearSession();
+    sessionStorage.removeItem(ACTIVE_ACCOUNT_KEY);
+    showLoginScreen();
+}
+
+function showLoginScreen() {
     document.getElementById('auth-section').style.display = 'flex';
     document.getElementById('main-section').style.display = 'none';
     document.getElementById('api-key').value = '';
     document.getElementById('auth-error').style.display = 'none';
+    document.getElementById('auth-cancel-btn').style.display = 'none';
     
     // Hide admin button when logging out
     document.getElementById('admin-btn').style.display = 'none';
+    
+    renderRememberedAccounts();
+}
+
+function handleUnauthorized() {
+    // Several requests may fail at once, only the first one ends the session
+    if (!currentTenantInfo) {
+        return;
+    }
+
+    const displayName = getSignedInTenantInfo().displayName;
+    logout();
+    showError(`The API key for ${displayName} is no longer accepted. Please sign in again.`);
 }
 
 function showError(message) {
@@ -289,6 +449,341 @@ function showError(message) {
     errorElement.style.display = 'block';
 }
 
+// Remembered accounts
+const SESSION_ACCOUNTS_KEY = 'byteshelf-session-accounts';
+const SAVED_ACCOUNTS_KEY = 'byteshelf-saved-accounts';
+const ACTIVE_ACCOUNT_KEY = 'byteshelf-active-account';
+let unlockedApiKeys = {}; // API keys of PIN protected accounts unlocked since the page was loaded
+
+function getPinPromptOptions() {
+    return { inputType: 'password', placeholder: 'Enter PIN', okText: 'OK', icon: '🔒' };
+}
+
+function readAccounts(storage, storageKey) {
+    try {
+        return JSON.parse(storage.getItem(storageKey)) || {};
+    } catch (error) {
+        console.warn('Ignoring unreadable remembered accounts:', error);
+        return {};
+    }
+}
+
+function writeAccounts(storage, storageKey, accounts) {
+    storage.setItem(storageKey, JSON.stringify(accounts));
+}
+
+function getRememberedAccounts() {
+    // Session accounts hold the key itself, saved accounts hold it encrypted with the PIN
+    const sessionAccounts = readAccounts(sessionStorage, SESSION_ACCOUNTS_KEY);
+    const savedAccounts = readAccounts(localStorage, SAVED_ACCOUNTS_KEY);
+    const accounts = {};
+
+    Object.values(savedAccounts).forEach(account => {
+        accounts[account.tenantId] = { tenantId: account.tenantId, displayName: account.displayName, protectedByPin: true };
+    });
+    Object.values(sessionAccounts).forEach(account => {
+        accounts[account.tenantId] = { tenantId: account.tenantId, displayName: account.displayName, protectedByPin: false };
+    });
+
+    return Object.values(accounts).sort((a, b) => a.displayName.localeCompare(b.displayName));
+}
+
+async function rememberAccount(tenantInfo, apiKey, rememberMode) {
+    if (rememberMode === 'session') {
+        const sessionAccounts = readAccounts(sessionStorage, SESSION_ACCOUNTS_KEY);
+        sessionAccounts[tenantInfo.tenantId] = {
+            tenantId: tenantInfo.tenantId,
+            displayName: tenantInfo.displayName,
+            apiKey: apiKey
+        };
+        writeAccounts(sessionStorage, SESSION_ACCOUNTS_KEY, sessionAccounts);
+    } else if (rememberMode === 'pin') {
+        const pin = await promptForNewPin(tenantInfo.displayName);
+        if (!pin) {
+            throw new Error('No PIN was chosen');
+        }
+
+        const savedAccounts = readAccounts(localStorage, SAVED_ACCOUNTS_KEY);
+        savedAccounts[tenantInfo.tenantId] = {
+            tenantId: tenantInfo.tenantId,
+            displayName: tenantInfo.displayName,
+            ...await encryptApiKey(apiKey, pin, tenantInfo.tenantId)
+        };
+        writeAccounts(localStorage, SAVED_ACCOUNTS_KEY, savedAccounts);
+        unlockedApiKeys[tenantInfo.tenantId] = apiKey;
+    }
+}
+
+function updateRememberedAccountName(tenantInfo) {
+    // Keep the labels in step with display names changed by an admin
+    [[sessionStorage, SESSION_ACCOUNTS_KEY], [localStorage, SAVED_ACCOUNTS_KEY]].forEach(([storage, storageKey]) => {
+        const accounts = readAccounts(storage, storageKey);
+        const account = accounts[tenantInfo.tenantId];
+        if (account && account.displayName !== tenantInfo.displayName) {
+            account.displayName = tenantInfo.displayName;
+            writeAccounts(storage, storageKey, accounts);
+        }
+    });
+}
+
+function updateRememberedApiKey(tenantId, apiKey) {
+    // Accounts saved with a PIN hold the key encrypted, so they can only be updated by adding them again
+    const sessionAccounts = readAccounts(sessionStorage, SESSION_ACCOUNTS_KEY);
+    if (sessionAccounts[tenantId]) {
+        sessionAccounts[tenantId].apiKey = apiKey;
+        writeAccounts(sessionStorage, SESSION_ACCOUNTS_KEY, sessionAccounts);
+    }
+    if (unlockedApiKeys[tenantId]) {
+        unlockedApiKeys[tenantId] = apiKey;
+    }
+}
+
+async function forgetAccount(tenantId) {
+    const account = getRememberedAccounts().find(candidate => candidate.tenantId === tenantId);
+    if (!account) {
+        return;
+    }
+
+    const confirmed = await showConfirm(`Forget the API key for ${account.displayName} on this device?`, 'Forget Account');
+    if (!confirmed) {
+        return;
+    }
+
+    [[sessionStorage, SESSION_ACCOUNTS_KEY], [localStorage, SAVED_ACCOUNTS_KEY]].forEach(([storage, storageKey]) => {
+        const accounts = readAccounts(storage, storageKey);
+        delete accounts[tenantId];
+        writeAccounts(storage, storageKey, accounts);
+    });
+    delete unlockedApiKeys[tenantId];
+
+    renderRememberedAccounts();
+    renderAccountMenu();
+}
+
+async function getRememberedApiKey(tenantId) {
+    const sessionAccount = readAccounts(sessionStorage, SESSION_ACCOUNTS_KEY)[tenantId];
+    if (sessionAccount) {
+        return sessionAccount.apiKey;
+    }
+    if (unlockedApiKeys[tenantId]) {
+        return unlockedApiKeys[tenantId];
+    }
+
+    const savedAccount = readAccounts(localStorage, SAVED_ACCOUNTS_KEY)[tenantId];
+    if (!savedAccount) {
+        return null;
+    }
+
+    const pin = await showPrompt(`PIN for ${savedAccount.displayName}:`, 'Unlock Account', '', getPinPromptOptions());
+    if (!pin) {
+        return null;
+    }
+
+    const apiKey = await decryptApiKey(savedAccount, pin);
+    unlockedApiKeys[tenantId] = apiKey;
+    return apiKey;
+}
+
+async function useRememberedAccount(tenantId) {
+    closeAccountMenu();
+    const signedInTenantInfo = getSignedInTenantInfo();
+    if (signedInTenantInfo && signedInTenantInfo.tenantId === tenantId) {
+        return;
+    }
+
+    try {
+        const apiKey = await getRememberedApiKey(tenantId);
+        if (!apiKey) {
+            return;
+        }
+
+        const tenantInfo = await fetchTenantInfo(apiKey);
+        if (currentTenantInfo && !(await confirmLeavingTransfers())) {
+            return;
+        }
+        await startSession(apiKey, tenantInfo);
+    } catch (error) {
+        if (currentTenantInfo) {
+            await showAlert('Could not switch account: ' + error.message, 'Error', 'error');
+        } else {
+            showError('Authentication failed: ' + error.message);
+        }
+    }
+}
+
+async function confirmLeavingTransfers() {
+    const activeCount = uploadQueue.filter(item => item.status === 'queued' || item.status === 'uploading').length +
+        downloadQueue.filter(item => item.status === 'downloading').length;
+    if (activeCount === 0) {
+        return true;
+    }
+
+    return showConfirm(
+        `Switching accounts stops ${activeCount} running transfer(s). Interrupted uploads can be resumed after switching back.`,
+        'Switch Account');
+}
+
+async function promptForNewPin(displayName) {
+    const pin = await showPrompt(
+        `Choose a PIN to protect the API key for ${displayName} on this device:`,
+        'Remember Account', '', getPinPromptOptions());
+    if (!pin) {
+        return null;
+    }
+
+    const confirmation = await showPrompt('Enter the PIN again:', 'Confirm PIN', '', getPinPromptOptions());
+    if (confirmation !== pin) {
+        if (confirmation !== null) {
+            await showAlert('The PINs did not match.', 'Remember Account', 'error');
+        }
+        return null;
+    }
+    return pin;
+}
+
+async function encryptApiKey(apiKey, pin, tenantId) {
+    const salt = bytesToBase64(crypto.getRandomValues(new Uint8Array(16)));
+    const key = await deriveEncryptionKey(pin, salt, ENCRYPTION_ITERATIONS);
+    const iv = crypto.getRandomValues(new Uint8Array(ENCRYPTION_IV_BYTES));
+    // The tenant ID is bound to the ciphertext, so a key can't be moved to another account entry
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv: iv, additionalData: new TextEncoder().encode(tenantId) },
+        key,
+        new TextEncoder().encode(apiKey));
+    return {
+        salt: salt,
+        iterations: ENCRYPTION_ITERATIONS,
+        iv: bytesToBase64(iv),
+        encryptedApiKey: bytesToBase64(new Uint8Array(ciphertext))
+    };
+}
+
+async function decryptApiKey(savedAccount, pin) {
+    const key = await deriveEncryptionKey(pin, savedAccount.salt, savedAccount.iterations);
+    try {
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: base64ToBytes(savedAccount.iv), additionalData: new TextEncoder().encode(savedAccount.tenantId) },
+            key,
+            base64ToBytes(savedAccount.encryptedApiKey));
+        return new TextDecoder().decode(plaintext);
+    } catch (error) {
+        throw new Error('Wrong PIN');
+    }
+}
+
+function renderRememberedAccounts() {
+    const container = document.getElementById('remembered-accounts');
+    const accounts = getRememberedAccounts();
+
+    if (accounts.length === 0) {
+        container.style.display = 'none';
+        container.innerHTML = '';
+        return;
+    }
+
+    container.style.display = 'block';
+    container.innerHTML = `
+        <div class="remembered-accounts-title">Remembered accounts</div>
+        ${accounts.map(account => `
+            <div class="remembered-account">
+                <button class="remembered-account-btn" onclick="useRememberedAccount('${escapeHtml(account.tenantId)}')">
+                    ${account.protectedByPin ? '🔒' : '👤'} ${escapeHtml(account.displayName)}
+                </button>
+                <button class="remembered-account-forget" onclick="forgetAccount('${escapeHtml(account.tenantId)}')" title="Forget this account">✕</button>
+            </div>
+        `).join('')}
+    `;
+}
+
+function renderAccountMenu() {
+    const menu = document.getElementById('account-menu');
+    const signedInTenantInfo = getSignedInTenantInfo();
+    if (!signedInTenantInfo) {
+        menu.innerHTML = '';
+        return;
+    }
+
+    const accounts = getRememberedAccounts();
+    if (!accounts.some(account => account.tenantId === signedInTenantInfo.tenantId)) {
+        accounts.unshift({ tenantId: signedInTenantInfo.tenantId, displayName: signedInTenantInfo.displayName, protectedByPin: false });
+    }
+
+    menu.innerHTML = `
+        ${accounts.map(account => {
+            const isCurrent = account.tenantId === signedInTenantInfo.tenantId;
+            return `
+                <button class="account-menu-item ${isCurrent ? 'current' : ''}" onclick="useRememberedAccount('${escapeHtml(account.tenantId)}')">
+                    <span class="account-menu-check">${isCurrent ? '✓' : ''}</span>
+                    ${escapeHtml(account.displayName)}
+                    ${account.protectedByPin ? '<span class="account-menu-lock" title="Protected by a PIN">🔒</span>' : ''}
+                </button>
+            `;
+        }).join('')}
+        <button class="account-menu-item account-menu-add" onclick="showAddAccount()">
+            <span class="account-menu-check">+</span>
+            Add account…
+        </button>
+    `;
+}
+
+function toggleAccountMenu(event) {
+    event.stopPropagation();
+    const menu = document.getElementById('account-menu');
+    if (menu.classList.contains('open')) {
+        closeAccountMenu();
+        return;
+    }
+
+    // The menu lives outside the header, so place it under the button
+    const buttonRect = event.currentTarget.getBoundingClientRect();
+    menu.style.top = `${buttonRect.bottom + 6}px`;
+    menu.style.right = `${document.documentElement.clientWidth - buttonRect.right}px`;
+
+    renderAccountMenu();
+    menu.classList.add('open');
+}
+
+function closeAccountMenu() {
+    document.getElementById('account-menu').classList.remove('open');
+}
+
+function showAddAccount() {
+    // The current session keeps running behind the login screen until another account signs in
+    closeAccountMenu();
+    document.getElementById('main-section').style.display = 'none';
+    document.getElementById('auth-section').style.display = 'flex';
+    document.getElementById('auth-error').style.display = 'none';
+    document.getElementById('auth-cancel-btn').style.display = 'block';
+    renderRememberedAccounts();
+    document.getElementById('api-key').focus();
+}
+
+function cancelAddAccount() {
+    document.getElementById('auth-section').style.display = 'none';
+    document.getElementById('main-section').style.display = 'block';
+    document.getElementById('auth-cancel-btn').style.display = 'none';
+    document.getElementById('api-key').value = '';
+}
+
+async function restoreSession() {
+    renderRememberedAccounts();
+
+    // A reload signs straight back in if the key was remembered for this session
+    const tenantId = sessionStorage.getItem(ACTIVE_ACCOUNT_KEY);
+    const sessionAccount = tenantId ? readAccounts(sessionStorage, SESSION_ACCOUNTS_KEY)[tenantId] : null;
+    if (!sessionAccount) {
+        return;
+    }
+
+    try {
+        const tenantInfo = await fetchTenantInfo(sessionAccount.apiKey);
+        await startSession(sessionAccount.apiKey, tenantInfo);
+    } catch (error) {
+        sessionStorage.removeItem(ACTIVE_ACCOUNT_KEY);
+        showError(`Could not sign back in as ${sessionAccount.displayName}: ${error.message}`);
+    }
+}
+
 // Tenant information
 async function loadTenantInfo() {
     try {
@@ -296,6 +791,7 @@ async function loadTenantInfo() {
         
         document.getElementById('tenant-name').textContent = tenantInfo.displayName;
         document.getElementById('used-storage').textContent = formatBytes(tenantInfo.currentUsageBytes);
+        document.getElementById('logical-storage').textContent = formatBytes(tenantInfo.logicalUsageBytes);
         document.getElementById('available-storage').textContent = formatBytes(tenantInfo.availableSpaceBytes);
         document.getElementById('total-storage').textContent = formatBytes(tenantInfo.storageLimitBytes);
         document.getElementById('usage-percentage').textContent = `${tenantInfo.usagePercentage.toFixed(1)}%`;
@@ -307,6 +803,8 @@ async function loadTenantInfo() {
             usageBar.style.background = 'linear-gradient(90deg, #dc3545, #c82333)';
         } else if (tenantInfo.usagePercentage > 75) {
             usageBar.style.background = 'linear-gradient(90deg, #ffc107, #e0a800)';
+        } else {
+            usageBar.style.background = '';
         }
         
     } catch (error) {
@@ -325,11 +823,20 @@ async function loadFiles() {
         const endpoint = targetTenantId ? `/api/files/${targetTenantId}` : '/api/files';
         files = await makeApiRequest(endpoint);
         
+        // A selection only applies to the folder it was made in
+        if (currentPath.join('/') !== selectionFolderKey) {
+            clearSelection();
+            selectionFolderKey = currentPath.join('/');
+        }
+        
+        // Uploads, deletes and refreshes can change what a search of all folders finds
+        folderSearchCache = null;
+        
         // Load subtenants for current tenant
         await loadSubtenants();
         
-        // Always use displayFilesAndFolders to ensure breadcrumb is shown when in subtenants
-        displayFilesAndFolders(files, subtenants);
+        // Filters and sorts, keeping the breadcrumb shown when in subtenants
+        renderFileList();
         
     } catch (error) {
         console.error('Failed to load files:', error);
@@ -363,7 +870,7 @@ async function loadSubtenants() {
     }
 }
 
-function displayFilesAndFolders(filesToDisplay, subtenantsToDisplay) {
+function displayFilesAndFolders(filesToDisplay, subtenantsToDisplay, isFiltered = false) {
     const filesList = document.getElementById('files-list');
     
     // Create breadcrumb navigation
@@ -392,42 +899,60 @@ function displayFilesAndFolders(filesToDisplay, subtenantsToDisplay) {
         });
     });
     
+    // Items that are no longer shown, e.g. hidden by the search, can't stay selected
+    displayedItems = items;
+    const displayedKeys = new Set(items.map(getSelectionKey));
+    Array.from(selectedKeys).filter(key => !displayedKeys.has(key)).forEach(key => selectedKeys.delete(key));
+    
     // Always display breadcrumb if we're in a subtenant, even if no items
     if (items.length === 0) {
-        filesList.innerHTML = breadcrumb + '<div class="loading">No files or folders found</div>';
+        const message = isFiltered ? 'No files or folders match the search' : 'No files or folders found';
+        filesList.innerHTML = breadcrumb + `<div class="loading">${message}</div>`;
         return;
     }
     
-    // Display breadcrumb and items
-    filesList.innerHTML = breadcrumb + items.map(item => {
+    items.sort(compareFileListItems);
+    
+    // Display breadcrumb, selection and sort options and items
+    filesList.innerHTML = breadcrumb + createSelectionBar() + createSortBar() + items.map(item => {
+        const key = getSelectionKey(item);
+        const isSelected = selectedKeys.has(key);
+        const checkbox = `<input type="checkbox" class="select-checkbox" onclick="event.stopPropagation(); toggleSelection(event, '${key}')" title="Select (shift-click selects a range)"${isSelected ? ' checked' : ''}>`;
         if (item.type === 'folder') {
             return `
-                <div class="file-item folder-item" onclick="navigateToFolder('${item.id}').catch(console.error)">
+                <div class="file-item folder-item${isSelected ? ' selected' : ''}" data-select-key="${key}" onclick="if (!handleSelectionClick(event, '${key}')) navigateToFolder('${item.id}').catch(console.error)" ondragover="handleFolderDragOver(event)" ondragleave="handleFolderDragLeave(event)" ondrop="handleFolderDrop(event, '${item.id}')">
                     <div class="file-info">
                         <div class="file-name">
+                            ${checkbox}
                             <span class="folder-icon">📁</span>
-                            ${item.name}
+                            <span class="item-name">${escapeHtml(item.name)}</span>
                         </div>
                         <div class="file-meta">
                             ${formatBytes(item.tenantInfo.currentUsageBytes)} used
                         </div>
                     </div>
                     <div class="file-actions">
-                        <button class="folder-btn" onclick="event.stopPropagation(); showFolderActions('${item.id}', '${item.name}')">⋯</button>
+                        <button class="share-btn" onclick="event.stopPropagation(); showShareDialog(null, '${item.id}')">Share</button>
+                        <button class="rename-btn" onclick="event.stopPropagation(); startRename('${key}')">Rename</button>
+                        <button class="folder-btn" onclick="event.stopPropagation(); showFolderActions('${item.id}')">⋯</button>
                     </div>
                 </div>
             `;
         } else {
             return `
-                <div class="file-item">
-                    <div class="file-info">
-                        <div class="file-name">${item.name}</div>
+                <div class="file-item${isSelected ? ' selected' : ''}" data-select-key="${key}" draggable="true" ondragstart="handleFileDragStart(event, '${item.id}')" ondragend="handleFileDragEnd(event)" title="Drag onto a folder to move, hold ctrl or alt to copy">
+                    <div class="file-info clickable" onclick="if (!handleSelectionClick(event, '${key}')) openFileDetails('${item.id}')" title="Show details and preview">
+                        <div class="file-name">${checkbox}${item.file.encryption ? '<span class="encrypted-icon" title="Encrypted">🔒</span>' : ''}<span class="item-name">${escapeHtml(item.name)}</span></div>
                         <div class="file-meta">
-                            ${formatBytes(item.file.fileSize)} • ${formatDate(item.file.createdAt)} • ${item.file.chunkIds ? item.file.chunkIds.length : 0} chunks
+                            ${formatBytes(item.file.fileSize)} • ${escapeHtml(item.file.contentType || 'unknown type')} • ${formatDate(item.file.createdAt)} • ${item.file.chunkIds ? item.file.chunkIds.length : 0} chunks
                         </div>
+                        ${createLabelChips(item.file, true)}
                     </div>
                     <div class="file-actions">
+                        ${item.file.encryption ? '' : `<button class="share-btn" onclick="showShareDialog('${item.id}')">Share</button>`}
                         <button class="download-btn" onclick="downloadFile('${item.id}')">Download</button>
+                        <button class="rename-btn" onclick="startRename('${key}')">Rename</button>
+                        <button class="move-btn" onclick="moveFile('${item.id}')">Move to...</button>
                         <button class="delete-btn" onclick="deleteFile('${item.id}')">Delete</button>
                     </div>
                 </div>
@@ -436,60 +961,1160 @@ function displayFilesAndFolders(filesToDisplay, subtenantsToDisplay) {
     }).join('');
 }
 
-function createBreadcrumb() {
-    if (currentPath.length === 0) {
-        return '';
-    }
-    const breadcrumbItems = [
-        { id: null, name: currentTenantInfo.displayName }
-    ];
-    for (let i = 0; i < currentPath.length; i++) {
-        const tenantId = currentPath[i];
-        let displayName = tenantId; // fallback to tenant ID
-        if (tenantCache[tenantId]) {
-            displayName = tenantCache[tenantId].displayName;
-        } else if (i === currentPath.length - 1 && subtenants[tenantId]) {
-            displayName = subtenants[tenantId].displayName;
+// Sorting and search
+// Besides plain words, the search box understands filters such as
+// "type:image size:>10MB created:<2026-01-01 name:*.csv tag:release attr:project=apollo", and folders
+// are filtered the same way as files. Folders have no labels, so tag: and attr: only ever match files.
+const SORT_PREFERENCE_KEY = 'byteshelf-sort';
+const SORT_FIELDS = { name: 'Name', size: 'Size', created: 'Created', type: 'Type' };
+let currentSort = loadSortPreference();
+
+function loadSortPreference() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SORT_PREFERENCE_KEY));
+        if (saved && SORT_FIELDS[saved.field] && (saved.direction === 'asc' || saved.direction === 'desc')) {
+            return saved;
         }
-        breadcrumbItems.push({ id: tenantId, name: displayName });
+    } catch {
+        // An unreadable preference falls back to the default
+    }
+    return { field: 'name', direction: 'asc' };
+}
+
+function setSort(field) {
+    if (currentSort.field === field) {
+        currentSort = { field: field, direction: currentSort.direction === 'asc' ? 'desc' : 'asc' };
+    } else {
+        // Largest and newest first is what's usually wanted when sorting by those
+        currentSort = { field: field, direction: field === 'size' || field === 'created' ? 'desc' : 'asc' };
     }
+    localStorage.setItem(SORT_PREFERENCE_KEY, JSON.stringify(currentSort));
+    renderFileList();
+}
+
+function createSortBar() {
     return `
-        <div class="breadcrumb">
-            ${breadcrumbItems.map((item, index) => {
-                if (index === breadcrumbItems.length - 1) {
-                    return `<span class="breadcrumb-current">${item.name}</span>`;
-                } else {
-                    return `<span class="breadcrumb-item" onclick="navigateToPath(${index}).catch(console.error)">${item.name}</span>`;
-                }
-            }).join(' › ')}
+        <div class="sort-bar">
+            <span class="sort-label">Sort by</span>
+            ${Object.entries(SORT_FIELDS).map(([field, label]) => {
+                const isActive = currentSort.field === field;
+                const arrow = isActive ? (currentSort.direction === 'asc' ? ' ▲' : ' ▼') : '';
+                return `<button class="sort-btn${isActive ? ' active' : ''}" onclick="setSort('${field}')" type="button">${label}${arrow}</button>`;
+            }).join('')}
         </div>
     `;
 }
 
-async function navigateToFolder(tenantId) {
-    // Cache the current tenant info before navigating
-    if (currentPath.length > 0) {
-        const currentTenantId = currentPath[currentPath.length - 1];
-        if (subtenants[currentTenantId]) {
-            tenantCache[currentTenantId] = subtenants[currentTenantId];
-        }
+function compareFileListItems(a, b) {
+    // Folders stay above files whatever the sort
+    if (a.type !== b.type) {
+        return a.type === 'folder' ? -1 : 1;
     }
-    // Also cache the folder we're about to enter if we have its info
-    if (subtenants[tenantId]) {
-        tenantCache[tenantId] = subtenants[tenantId];
+    
+    const byName = a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' });
+    let result = 0;
+    switch (currentSort.field) {
+        case 'size':
+            result = getFileListItemSize(a) - getFileListItemSize(b);
+            break;
+        case 'created':
+            result = a.type === 'file' ? new Date(a.file.createdAt) - new Date(b.file.createdAt) : 0;
+            break;
+        case 'type':
+            result = a.type === 'file' ? (a.file.contentType || '').localeCompare(b.file.contentType || '') : 0;
+            break;
+        default:
+            result = byName;
     }
-    currentPath.push(tenantId);
-    await loadFiles();
+    
+    return (result || byName) * (currentSort.direction === 'asc' ? 1 : -1);
 }
 
-async function navigateToPath(index) {
-    currentPath = currentPath.slice(0, index);
-    await loadFiles();
+function getFileListItemSize(item) {
+    return item.type === 'folder' ? item.tenantInfo.currentUsageBytes : item.file.fileSize;
 }
 
-async function createFolder(event) {
-    if (event) {
-        event.preventDefault();
+function renderFileList() {
+    const searchInput = document.getElementById('search-input');
+    const query = parseSearchQuery(searchInput.value);
+    
+    // Filters that couldn't be understood are ignored, and the search box says which ones
+    searchInput.classList.toggle('invalid', query.invalid.length > 0);
+    searchInput.title = query.invalid.length > 0
+        ? `Not understood: ${query.invalid.join(', ')}`
+        : 'Filters: name:*.csv type:image size:>10MB created:<2026-01-01 (also >=, <= and =) tag:release attr:build=1234';
+    
+    if (searchAllFolders && !query.isEmpty) {
+        renderFolderSearch(query);
+        return;
+    }
+    
+    const matchingFiles = files.filter(file => matchesSearchQuery(query, {
+        kind: 'file',
+        name: file.originalFilename,
+        size: file.fileSize,
+        created: new Date(file.createdAt),
+        contentType: (file.contentType || '').toLowerCase(),
+        tags: file.tags || [],
+        attributes: file.attributes || {}
+    }));
+    const matchingSubtenants = Object.fromEntries(Object.entries(subtenants).filter(([, tenantInfo]) => matchesSearchQuery(query, {
+        kind: 'folder',
+        name: tenantInfo.displayName,
+        size: tenantInfo.currentUsageBytes,
+        created: null,
+        contentType: null,
+        tags: [],
+        attributes: {}
+    })));
+    
+    displayFilesAndFolders(matchingFiles, matchingSubtenants, !query.isEmpty);
+}
+
+function parseSearchQuery(text) {
+    const query = { terms: [], filters: [], invalid: [], isEmpty: true };
+    
+    // Quotes keep spaces inside a word or filter value, as in name:"annual report*"
+    const tokens = text.match(/(?:[^\s"]+|"[^"]*")+/g) || [];
+    tokens.forEach(token => {
+        const word = token.replace(/"/g, '');
+        const separatorIndex = word.indexOf(':');
+        const key = separatorIndex > 0 ? word.slice(0, separatorIndex).toLowerCase() : null;
+        
+        if (!key || !['name', 'type', 'size', 'created', 'tag', 'attr'].includes(key)) {
+            if (word) {
+                query.terms.push(word.toLowerCase());
+            }
+            return;
+        }
+        
+        const filter = createSearchFilter(key, word.slice(separatorIndex + 1));
+        if (filter) {
+            query.filters.push(filter);
+        } else {
+            query.invalid.push(token);
+        }
+    });
+    
+    query.isEmpty = query.terms.length === 0 && query.filters.length === 0;
+    return query;
+}
+
+function createSearchFilter(key, value) {
+    if (!value) {
+        return null;
+    }
+    
+    switch (key) {
+        case 'name': {
+            const pattern = createNamePattern(value);
+            return fields => pattern.test(fields.name);
+        }
+        case 'type': {
+            const type = value.toLowerCase();
+            return fields => matchesSearchType(fields, type);
+        }
+        case 'size': {
+            const comparison = parseSearchComparison(value, parseSearchSize);
+            return comparison ? fields => matchesSearchComparison(fields.size, comparison) : null;
+        }
+        case 'created': {
+            const comparison = parseSearchComparison(value, parseSearchDate);
+            return comparison ? fields => fields.created !== null && matchesSearchComparison(fields.created.getTime(), comparison) : null;
+        }
+        case 'tag': {
+            const tag = value.toLowerCase();
+            return fields => fields.tags.some(fileTag => fileTag.toLowerCase() === tag);
+        }
+        case 'attr': {
+            // attr:build=1234 needs that value, while attr:build only needs the attribute to be there
+            const separatorIndex = value.indexOf('=');
+            const name = (separatorIndex < 0 ? value : value.slice(0, separatorIndex)).toLowerCase();
+            const expected = separatorIndex < 0 ? null : value.slice(separatorIndex + 1).toLowerCase();
+            return name ? fields => matchesSearchAttribute(fields, name, expected) : null;
+        }
+    }
+    return null;
+}
+
+function createNamePattern(value) {
+    // Without wildcards the name only has to contain the value, like a plain search word
+    const escaped = value.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    if (!/[*?]/.test(value)) {
+        return new RegExp(escaped, 'i');
+    }
+    return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+}
+
+function matchesSearchType(fields, type) {
+    if (type === 'folder' || type === 'file') {
+        return fields.kind === type;
+    }
+    if (fields.kind === 'folder') {
+        return false;
+    }
+    
+    // "image" matches image/png, "pdf" matches application/pdf, and "csv" also matches by extension
+    const extension = fields.name.includes('.') ? fields.name.split('.').pop().toLowerCase() : '';
+    return fields.contentType === type ||
+        fields.contentType.startsWith(`${type}/`) ||
+        fields.contentType.endsWith(`/${type}`) ||
+        extension === type;
+}
+
+function matchesSearchAttribute(fields, name, expected) {
+    return Object.entries(fields.attributes).some(([key, value]) =>
+        key.toLowerCase() === name && (expected === null || value.toLowerCase() === expected));
+}
+
+function parseSearchComparison(value, parseRange) {
+    const match = value.match(/^(>=|<=|>|<|=)?(.+)$/);
+    const range = match ? parseRange(match[2]) : null;
+    return range ? { operator: match[1] || '=', start: range.start, end: range.end } : null;
+}
+
+function matchesSearchComparison(value, comparison) {
+    // A value matches "=" if it is in [start, end), so created:2026-01 matches the whole month
+    switch (comparison.operator) {
+        case '>': return value >= comparison.end;
+        case '>=': return value >= comparison.start;
+        case '<': return value < comparison.start;
+        case '<=': return value < comparison.end;
+        default: return value >= comparison.start && value < comparison.end;
+    }
+}
+
+function parseSearchSize(text) {
+    const bytes = parseByteSize(text);
+    return bytes === null ? null : { start: bytes, end: bytes + 1 };
+}
+
+function parseSearchDate(text) {
+    // Dates are local, and can be a year, a month or a day
+    const match = text.match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+    if (!match) {
+        return null;
+    }
+    const year = parseInt(match[1]);
+    const month = match[2] ? parseInt(match[2]) - 1 : null;
+    const day = match[3] ? parseInt(match[3]) : null;
+    
+    const start = new Date(year, month ?? 0, day ?? 1);
+    const end = day !== null
+        ? new Date(year, month, day + 1)
+        : month !== null ? new Date(year, month + 1, 1) : new Date(year + 1, 0, 1);
+    return { start: start.getTime(), end: end.getTime() };
+}
+
+function matchesSearchQuery(query, fields) {
+    const name = fields.name.toLowerCase();
+    return query.terms.every(term => name.includes(term)) &&
+        query.filters.every(filter => filter(fields));
+}
+
+// Searching all folders
+// The server finds files by name in every nested folder, and the rest of the query is applied here.
+// The server only gets the plain words, so what it returns always includes everything that matches.
+const FOLDER_SEARCH_DELAY_MS = 300;
+let searchAllFolders = false;
+let folderSearchTimer = null;
+let folderSearchCache = null; // { serverQuery, response } of the last search
+let folderSearchResults = []; // The results being shown, so rows can refer to them by index
+
+function setSearchAllFolders(enabled) {
+    searchAllFolders = enabled;
+    renderFileList();
+}
+
+function renderFolderSearch(query) {
+    // Words with wildcards are literal here, but the server would match them as patterns
+    const serverQuery = query.terms.filter(term => !/[*?]/.test(term)).join(' ');
+    
+    clearTimeout(folderSearchTimer);
+    if (folderSearchCache && folderSearchCache.serverQuery === serverQuery) {
+        displayFolderSearchResults(query, folderSearchCache.response);
+        return;
+    }
+    
+    document.getElementById('files-list').innerHTML = '<div class="loading">Searching all folders...</div>';
+    folderSearchTimer = setTimeout(async () => {
+        try {
+            const response = await makeApiRequest(`/api/files/search?q=${encodeURIComponent(serverQuery)}`);
+            folderSearchCache = { serverQuery, response };
+        } catch (error) {
+            console.error('Failed to search all folders:', error);
+            document.getElementById('files-list').innerHTML = '<div class="loading">Failed to search all folders</div>';
+            return;
+        }
+        
+        // The query may have changed while waiting for the server
+        if (searchAllFolders) {
+            renderFileList();
+        }
+    }, FOLDER_SEARCH_DELAY_MS);
+}
+
+function displayFolderSearchResults(query, response) {
+    const filesList = document.getElementById('files-list');
+    
+    folderSearchResults = response.results.filter(result => matchesSearchQuery(query, {
+        kind: 'file',
+        name: result.file.originalFilename,
+        size: result.file.fileSize,
+        created: new Date(result.file.createdAt),
+        contentType: (result.file.contentType || '').toLowerCase(),
+        tags: result.file.tags || [],
+        attributes: result.file.attributes || {}
+    }));
+    
+    const truncatedNotice = response.isTruncated
+        ? '<div class="search-truncated">Only the first matches are shown, add more words to narrow the search</div>'
+        : '';
+    if (folderSearchResults.length === 0) {
+        filesList.innerHTML = truncatedNotice + '<div class="loading">No files in any folder match the search</div>';
+        return;
+    }
+    
+    // The server returns the results folder by folder, so each folder becomes one group
+    const groups = new Map();
+    folderSearchResults.forEach((result, index) => {
+        const key = result.path.map(segment => segment.tenantId).join('/');
+        if (!groups.has(key)) {
+            groups.set(key, { firstIndex: index, path: result.path, items: [] });
+        }
+        groups.get(key).items.push({ type: 'file', index: index, name: result.file.originalFilename, file: result.file });
+    });
+    
+    filesList.innerHTML = truncatedNotice + createSortBar() + Array.from(groups.values()).map(group => {
+        const pathNames = [currentTenantInfo.displayName, ...group.path.map(segment => segment.displayName)];
+        group.items.sort(compareFileListItems);
+        return `
+            <div class="search-group">
+                <div class="search-group-path" onclick="openFolderSearchResult(${group.firstIndex}, false).catch(console.error)" title="Open this folder">
+                    <span class="folder-icon">📁</span>
+                    ${pathNames.map(name => escapeHtml(name)).join(' › ')}
+                </div>
+                ${group.items.map(item => `
+                    <div class="file-item">
+                        <div class="file-info clickable" onclick="openFolderSearchResult(${item.index}, true).catch(console.error)" title="Open the folder and show details">
+                            <div class="file-name">${item.file.encryption ? '<span class="encrypted-icon" title="Encrypted">🔒</span>' : ''}${escapeHtml(item.name)}</div>
+                            <div class="file-meta">
+                                ${formatBytes(item.file.fileSize)} • ${escapeHtml(item.file.contentType || 'unknown type')} • ${formatDate(item.file.createdAt)}
+                            </div>
+                            ${createLabelChips(item.file, true)}
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }).join('');
+}
+
+async function openFolderSearchResult(index, openFile) {
+    const result = folderSearchResults[index];
+    if (!result) {
+        return;
+    }
+    
+    // The path already has every display name the breadcrumb needs
+    result.path.forEach(segment => {
+        if (!tenantCache[segment.tenantId]) {
+            tenantCache[segment.tenantId] = { displayName: segment.displayName };
+        }
+    });
+    
+    // Leave the search, otherwise the folder would be hidden behind the results
+    resetFolderSearch();
+    document.getElementById('search-input').value = '';
+    
+    currentPath = result.path.map(segment => segment.tenantId);
+    pushRoute();
+    await loadFiles();
+    
+    if (openFile) {
+        openFileDetails(result.file.id);
+    }
+}
+
+function resetFolderSearch() {
+    clearTimeout(folderSearchTimer);
+    searchAllFolders = false;
+    folderSearchCache = null;
+    folderSearchResults = [];
+    document.getElementById('search-all-folders').checked = false;
+}
+
+// Selection and bulk actions
+// Items are selected with their checkboxes, and shift-click selects everything between
+// the last clicked item and this one. Ctrl- or cmd-clicking a row toggles it without opening it.
+let selectedKeys = new Set(); // "file:{id}" and "folder:{tenantId}" of the selected items
+let selectionAnchorKey = null; // The last clicked item, where shift-click ranges start
+let selectionFolderKey = null; // The folder the selection belongs to
+let displayedItems = []; // The items of the current folder in the order they are shown
+let bulkOperation = null; // { verb, done, total, abortController } while a bulk action runs
+
+function getSelectionKey(item) {
+    return `${item.type}:${item.id}`;
+}
+
+function getSelectedItems() {
+    return displayedItems.filter(item => selectedKeys.has(getSelectionKey(item)));
+}
+
+function handleSelectionClick(event, key) {
+    if (!event.shiftKey && !event.ctrlKey && !event.metaKey) {
+        return false;
+    }
+    // Shift-clicking also selects the text in between, which isn't what was meant
+    window.getSelection().removeAllRanges();
+    toggleSelection(event, key);
+    return true;
+}
+
+function toggleSelection(event, key) {
+    if (bulkOperation) {
+        updateSelectionDisplay();
+        return;
+    }
+    
+    const select = !selectedKeys.has(key);
+    const keys = displayedItems.map(getSelectionKey);
+    const anchorIndex = keys.indexOf(selectionAnchorKey);
+    let range = [key];
+    if (event.shiftKey && anchorIndex !== -1) {
+        const index = keys.indexOf(key);
+        range = keys.slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1);
+    }
+    
+    range.forEach(rangeKey => select ? selectedKeys.add(rangeKey) : selectedKeys.delete(rangeKey));
+    selectionAnchorKey = key;
+    updateSelectionDisplay();
+}
+
+function toggleSelectAll(select) {
+    if (bulkOperation) {
+        updateSelectionDisplay();
+        return;
+    }
+    
+    displayedItems.forEach(item => select ? selectedKeys.add(getSelectionKey(item)) : selectedKeys.delete(getSelectionKey(item)));
+    selectionAnchorKey = null;
+    updateSelectionDisplay();
+}
+
+function clearSelection() {
+    selectedKeys.clear();
+    selectionAnchorKey = null;
+}
+
+function createSelectionBar() {
+    const selectedItems = getSelectedItems();
+    const allSelected = displayedItems.length > 0 && selectedItems.length === displayedItems.length;
+    
+    let content;
+    if (bulkOperation) {
+        content = `
+            <span class="selection-summary">${bulkOperation.verb} ${Math.min(bulkOperation.done + 1, bulkOperation.total)} of ${bulkOperation.total}...</span>
+            <button class="btn btn-secondary" onclick="cancelBulkOperation()" type="button">Cancel</button>
+        `;
+    } else if (selectedItems.length > 0) {
+        content = `
+            <span class="selection-summary">${describeItems(selectedItems)} selected • ${formatBytes(getTotalSize(selectedItems))}</span>
+            <div class="file-actions">
+                <button class="download-btn" onclick="bulkDownload()" type="button">Download as ZIP</button>
+                <button class="move-btn" onclick="bulkTransfer('move')" type="button">Move to...</button>
+                <button class="move-btn" onclick="bulkTransfer('copy')" type="button">Copy to...</button>
+                <button class="delete-btn" onclick="bulkDelete()" type="button">Delete</button>
+            </div>
+            <button class="sort-btn" onclick="toggleSelectAll(false)" type="button">Clear</button>
+        `;
+    } else {
+        content = '<span class="selection-summary">Select all</span>';
+    }
+    
+    return `
+        <div id="selection-bar" class="selection-bar${selectedItems.length > 0 || bulkOperation ? ' active' : ''}">
+            <input type="checkbox" class="select-checkbox" onclick="toggleSelectAll(this.checked)" title="Select all"${allSelected ? ' checked' : ''}${bulkOperation ? ' disabled' : ''}>
+            ${content}
+        </div>
+    `;
+}
+
+function updateSelectionDisplay() {
+    document.querySelectorAll('#files-list [data-select-key]').forEach(row => {
+        const isSelected = selectedKeys.has(row.dataset.selectKey);
+        row.classList.toggle('selected', isSelected);
+        row.querySelector('.select-checkbox').checked = isSelected;
+    });
+    
+    const selectionBar = document.getElementById('selection-bar');
+    if (selectionBar) {
+        selectionBar.outerHTML = createSelectionBar();
+        
+        // Some but not all items selected shows as a dash in the select all checkbox
+        const selectedCount = getSelectedItems().length;
+        document.querySelector('#selection-bar .select-checkbox').indeterminate =
+            selectedCount > 0 && selectedCount < displayedItems.length;
+    }
+}
+
+function describeItems(items) {
+    const folderCount = items.filter(item => item.type === 'folder').length;
+    const fileCount = items.length - folderCount;
+    const parts = [];
+    if (fileCount > 0) {
+        parts.push(`${fileCount} file${fileCount === 1 ? '' : 's'}`);
+    }
+    if (folderCount > 0) {
+        parts.push(`${folderCount} folder${folderCount === 1 ? '' : 's'}`);
+    }
+    return parts.join(' and ');
+}
+
+function getTotalSize(items) {
+    return items.reduce((total, item) => total + (getFileListItemSize(item) || 0), 0);
+}
+
+async function bulkDelete() {
+    const items = getSelectedItems();
+    const folderWarning = items.some(item => item.type === 'folder')
+        ? ' Folders are moved with all of their contents.'
+        : '';
+    const confirmed = await showConfirm(
+        `Move ${describeItems(items)} (${formatBytes(getTotalSize(items))}) to the trash?${folderWarning} You can restore them from the trash until they are purged.`,
+        'Delete Selected'
+    );
+    if (!confirmed) {
+        return;
+    }
+    
+    const targetTenantId = currentPath.length > 0 ? currentPath[currentPath.length - 1] : null;
+    await runBulkOperation(items, 'Delete', 'Deleting', 'deleted', async (item, signal) => {
+        // Use fetch directly since DELETE with NoContent() response can't be parsed as JSON
+        let deleteUrl;
+        if (item.type === 'folder') {
+            deleteUrl = `${API_BASE}/api/tenant/subtenants/${item.id}`;
+        } else {
+            deleteUrl = targetTenantId
+                ? `${API_BASE}/api/files/${targetTenantId}/${item.id}`
+                : `${API_BASE}/api/files/${item.id}`;
+        }
+        
+        const response = await fetch(deleteUrl, {
+            method: 'DELETE',
+            headers: {
+                ...getAuthHeaders()
+            },
+            signal
+        });
+        
+        if (!response.ok) {
+            throw new Error(`Delete failed: ${response.statusText || response.status}`);
+        }
+    });
+}
+
+async function bulkDownload() {
+    // Encrypted files are decrypted in the browser, so the server can't put them in an archive
+    const items = getSelectedItems();
+    const archiveItems = items.filter(item => item.type === 'folder' || !item.file.encryption);
+    const encryptedCount = items.length - archiveItems.length;
+    if (archiveItems.length === 0) {
+        await showAlert('Encrypted files can only be downloaded one at a time, since they are decrypted in the browser.', 'Download Selected', 'info');
+        return;
+    }
+    
+    let message = `Download ${describeItems(archiveItems)} (${formatBytes(getTotalSize(archiveItems))}) as a ZIP archive?`;
+    if (encryptedCount > 0) {
+        message += ` ${encryptedCount} encrypted file(s) will be left out, download those one at a time instead.`;
+    }
+    const confirmed = await showConfirm(message, 'Download Selected');
+    if (!confirmed) {
+        return;
+    }
+    
+    const currentTenantId = currentPath.length > 0 ? currentPath[currentPath.length - 1] : null;
+    const folderName = currentTenantId && tenantCache[currentTenantId]
+        ? tenantCache[currentTenantId].displayName
+        : currentTenantInfo.displayName;
+    await downloadArchive(
+        archiveItems.filter(item => item.type === 'file').map(item => item.id),
+        archiveItems.filter(item => item.type === 'folder').map(item => item.id),
+        folderName,
+        getTotalSize(archiveItems)
+    );
+}
+
+async function bulkTransfer(mode) {
+    const isCopy = mode === 'copy';
+    const title = isCopy ? 'Copy' : 'Move';
+    const items = getSelectedItems();
+    const destination = await showFolderPicker(
+        `${title} ${describeItems(items)} (${formatBytes(getTotalSize(items))}) to`,
+        `${title} Here`
+    );
+    if (!destination) {
+        return;
+    }
+    
+    const sourceTenantId = currentPath.length > 0 ? currentPath[currentPath.length - 1] : null;
+    if (destination.tenantId === sourceTenantId) {
+        await showAlert('The selected items are already in that folder.', `${title} Selected`, 'info');
+        return;
+    }
+    
+    await runBulkOperation(items, title, isCopy ? 'Copying' : 'Moving', isCopy ? 'copied' : 'moved', async (item, signal) => {
+        if (item.type === 'folder') {
+            throw new Error(`folders cannot be ${isCopy ? 'copied' : 'moved'}`);
+        }
+        await transferFile(item.id, sourceTenantId, destination.tenantId, mode, signal);
+    });
+}
+
+async function transferFile(fileId, sourceTenantId, targetTenantId, mode, signal) {
+    // The server copies the chunks into the other folder, reusing any it already stores, and a move deletes the original after
+    return await makeApiRequest(`/api/files/${fileId}/${mode}`, {
+        method: 'POST',
+        body: JSON.stringify({ sourceTenantId: sourceTenantId || null, targetTenantId: targetTenantId || null }),
+        signal
+    });
+}
+
+async function runBulkOperation(items, title, verb, pastTense, operation) {
+    bulkOperation = { verb, done: 0, total: items.length, abortController: new AbortController() };
+    const signal = bulkOperation.abortController.signal;
+    const failures = [];
+    let succeeded = 0;
+    updateSelectionDisplay();
+    
+    // One item at a time keeps the requests well within the rate limits
+    for (const item of items) {
+        if (signal.aborted) {
+            break;
+        }
+        try {
+            await operation(item, signal);
+            succeeded++;
+        } catch (error) {
+            if (!signal.aborted) {
+                console.error(`Failed to process ${item.name}:`, error);
+                failures.push(`${item.name} (${error.message})`);
+            }
+        }
+        bulkOperation.done++;
+        updateSelectionDisplay();
+    }
+    
+    const cancelled = signal.aborted;
+    bulkOperation = null;
+    clearSelection();
+    await loadFiles();
+    await loadTenantInfo();
+    
+    let message = `${succeeded} of ${items.length} item(s) ${pastTense}`;
+    if (failures.length > 0) {
+        message += `, ${failures.length} failed`;
+    }
+    if (cancelled) {
+        message += `, the rest were cancelled`;
+    }
+    message += '.';
+    
+    if (failures.length > 0) {
+        message += ` Failed: ${failures.join(', ')}.`;
+        await showAlert(message, `${title} Finished`, succeeded > 0 ? 'warning' : 'error');
+    } else {
+        await showAlert(message, `${title} Complete`, cancelled ? 'warning' : 'success');
+    }
+}
+
+function cancelBulkOperation() {
+    if (bulkOperation) {
+        bulkOperation.abortController.abort();
+    }
+}
+
+// Moving files between folders
+// Files can be dragged onto a folder or a breadcrumb entry to move them there, or copied by holding ctrl or alt while dropping.
+// Dragging a selected file takes the other selected files along.
+let draggedFileIds = null;
+
+async function moveFile(fileId) {
+    const metadata = files.find(file => file.id === fileId);
+    if (!metadata) {
+        return;
+    }
+    
+    const destination = await showFolderPicker(`Move ${metadata.originalFilename} to`, 'Move Here');
+    if (!destination) {
+        return;
+    }
+    
+    const sourceTenantId = currentPath.length > 0 ? currentPath[currentPath.length - 1] : null;
+    if (destination.tenantId === sourceTenantId) {
+        await showAlert('The file is already in that folder.', 'Move File', 'info');
+        return;
+    }
+    
+    await moveFilesToFolder([fileId], destination.tenantId, 'move');
+}
+
+async function moveFilesToFolder(fileIds, targetTenantId, mode) {
+    const isCopy = mode === 'copy';
+    const sourceTenantId = currentPath.length > 0 ? currentPath[currentPath.length - 1] : null;
+    if ((targetTenantId || null) === sourceTenantId) {
+        return;
+    }
+    
+    if (fileIds.length > 1) {
+        const items = displayedItems.filter(item => item.type === 'file' && fileIds.includes(item.id));
+        await runBulkOperation(items, isCopy ? 'Copy' : 'Move', isCopy ? 'Copying' : 'Moving', isCopy ? 'copied' : 'moved',
+            (item, signal) => transferFile(item.id, sourceTenantId, targetTenantId, mode, signal));
+        return;
+    }
+    
+    try {
+        await transferFile(fileIds[0], sourceTenantId, targetTenantId, mode);
+        await loadFiles();
+        await loadTenantInfo();
+    } catch (error) {
+        console.error(`Failed to ${mode} file:`, error);
+        const reason = error.status === 413 ? 'the folder does not have enough storage left'
+            : error.status === 409 ? 'a file with that name is already in the folder'
+            : error.message;
+        await showAlert(`Failed to ${mode} file: ${reason}`, isCopy ? 'Copy Failed' : 'Move Failed', 'error');
+    }
+}
+
+function handleFileDragStart(event, fileId) {
+    const key = getSelectionKey({ type: 'file', id: fileId });
+    draggedFileIds = selectedKeys.has(key)
+        ? getSelectedItems().filter(item => item.type === 'file').map(item => item.id)
+        : [fileId];
+    
+    event.dataTransfer.effectAllowed = 'copyMove';
+    event.dataTransfer.setData('text/plain', draggedFileIds.join('\n'));
+    event.currentTarget.classList.add('dragging');
+}
+
+function handleFileDragEnd(event) {
+    draggedFileIds = null;
+    event.currentTarget.classList.remove('dragging');
+    document.querySelectorAll('.drop-target').forEach(element => element.classList.remove('drop-target'));
+}
+
+function handleFolderDragOver(event) {
+    // Only files dragged from the list can be dropped, files from the computer go to the upload area
+    if (!draggedFileIds || bulkOperation) {
+        return;
+    }
+    event.preventDefault();
+    event.dataTransfer.dropEffect = event.ctrlKey || event.altKey ? 'copy' : 'move';
+    event.currentTarget.classList.add('drop-target');
+}
+
+function handleFolderDragLeave(event) {
+    if (!event.currentTarget.contains(event.relatedTarget)) {
+        event.currentTarget.classList.remove('drop-target');
+    }
+}
+
+async function handleFolderDrop(event, targetTenantId) {
+    event.preventDefault();
+    event.currentTarget.classList.remove('drop-target');
+    const fileIds = draggedFileIds;
+    draggedFileIds = null;
+    if (!fileIds || fileIds.length === 0) {
+        return;
+    }
+    
+    await moveFilesToFolder(fileIds, targetTenantId || null, event.ctrlKey || event.altKey ? 'copy' : 'move');
+}
+
+// Renaming
+// Files and folders are renamed in place: the name turns into a text box, Enter or leaving it saves and Escape cancels.
+// The server checks the same rules and catches names taken by items this page hasn't loaded.
+const MAX_NAME_LENGTH = 255;
+let renameState = null;
+
+function validateItemName(name, type, id) {
+    if (!name) {
+        return 'Name is required';
+    }
+    if (name.length > MAX_NAME_LENGTH) {
+        return `Name cannot be longer than ${MAX_NAME_LENGTH} characters`;
+    }
+    if (name === '.' || name === '..') {
+        return 'Name cannot be "." or ".."';
+    }
+    if (/[/\\\u0000-\u001f\u007f-\u009f]/.test(name)) {
+        return 'Name cannot contain slashes or control characters';
+    }
+    
+    const siblingNames = type === 'folder'
+        ? Object.entries(subtenants).filter(([tenantId]) => tenantId !== id).map(([, info]) => info.displayName)
+        : files.filter(file => file.id !== id).map(file => file.originalFilename);
+    if (siblingNames.some(siblingName => siblingName.toLowerCase() === name.toLowerCase())) {
+        return `A ${type} named "${name}" already exists in this folder`;
+    }
+    return null;
+}
+
+async function renameItem(type, id, name) {
+    const currentTenantId = currentPath.length > 0 ? currentPath[currentPath.length - 1] : null;
+    let endpoint;
+    if (type === 'folder') {
+        endpoint = `/api/tenant/subtenants/${id}/name`;
+    } else {
+        endpoint = currentTenantId ? `/api/files/${currentTenantId}/${id}/name` : `/api/files/${id}/name`;
+    }
+    
+    // Fetch directly, so the reason a name was refused can be shown instead of just the status
+    const response = await fetch(`${API_BASE}${endpoint}`, {
+        method: 'PUT',
+        headers: {
+            ...getAuthHeaders(),
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ name })
+    });
+    if (response.status === 401) {
+        handleUnauthorized();
+    }
+    if (!response.ok) {
+        const reason = await response.text();
+        throw new Error(reason && reason.length < 300 ? reason.replace(/^"|"$/g, '') : `HTTP ${response.status}: ${response.statusText}`);
+    }
+    
+    if (type === 'folder' && tenantCache[id]) {
+        tenantCache[id].displayName = name;
+    }
+}
+
+function startRename(key) {
+    const item = displayedItems.find(displayedItem => getSelectionKey(displayedItem) === key);
+    const row = document.querySelector(`.file-item[data-select-key="${key}"]`);
+    if (!item || !row || bulkOperation) {
+        return;
+    }
+    if (renameState) {
+        if (renameState.saving) {
+            return;
+        }
+        cancelRename();
+        startRename(key);
+        return;
+    }
+    
+    renameState = { item, saving: false };
+    row.draggable = false;
+    row.querySelector('.item-name').innerHTML = `
+        <input type="text" class="rename-input" maxlength="${MAX_NAME_LENGTH}" value="${escapeHtml(item.name)}"
+            onclick="event.stopPropagation()" onkeydown="handleRenameKey(event)" onblur="commitRename()">
+        <span class="rename-error"></span>
+    `;
+    
+    // Like file managers, the extension is left out of the selection so typing replaces just the name
+    const input = row.querySelector('.rename-input');
+    const extensionStart = item.type === 'file' ? item.name.lastIndexOf('.') : -1;
+    input.focus();
+    input.setSelectionRange(0, extensionStart > 0 ? extensionStart : item.name.length);
+}
+
+function handleRenameKey(event) {
+    event.stopPropagation();
+    if (event.key === 'Enter') {
+        event.preventDefault();
+        commitRename();
+    } else if (event.key === 'Escape') {
+        event.preventDefault();
+        cancelRename();
+    }
+}
+
+async function commitRename() {
+    const state = renameState;
+    const input = document.querySelector('.rename-input');
+    if (!state || state.saving) {
+        return;
+    }
+    if (!input) {
+        renameState = null;
+        return;
+    }
+    
+    const name = input.value.trim();
+    if (name === state.item.name) {
+        cancelRename();
+        return;
+    }
+    
+    const error = validateItemName(name, state.item.type, state.item.id);
+    if (error) {
+        showRenameError(input, error);
+        return;
+    }
+    
+    state.saving = true;
+    input.disabled = true;
+    try {
+        await renameItem(state.item.type, state.item.id, name);
+        renameState = null;
+        await loadFiles();
+    } catch (error) {
+        console.error('Failed to rename:', error);
+        state.saving = false;
+        input.disabled = false;
+        input.focus();
+        showRenameError(input, error.message);
+    }
+}
+
+function cancelRename() {
+    if (!renameState) {
+        return;
+    }
+    renameState = null;
+    renderFileList();
+}
+
+function showRenameError(input, message) {
+    input.classList.add('invalid');
+    input.parentElement.querySelector('.rename-error').textContent = message;
+}
+
+// Folder picker
+// Lets the user browse from the root down through the folders and choose one, e.g. to move files into.
+let folderPicker = null; // { path, names, resolve } while the picker is open
+
+function showFolderPicker(title, chooseLabel) {
+    // A picker that is still open counts as cancelled
+    closeFolderPicker(null);
+    
+    document.getElementById('folder-picker-title').textContent = title;
+    document.getElementById('folder-picker-choose-btn').textContent = chooseLabel;
+    document.getElementById('folder-picker-modal').style.display = 'flex';
+    
+    return new Promise(resolve => {
+        folderPicker = { path: [], names: {}, resolve };
+        renderFolderPicker().catch(console.error);
+    });
+}
+
+async function renderFolderPicker() {
+    const picker = folderPicker;
+    const list = document.getElementById('folder-picker-list');
+    const pathElement = document.getElementById('folder-picker-path');
+    
+    const pathNames = [currentTenantInfo.displayName, ...picker.path.map(tenantId => picker.names[tenantId] || tenantId)];
+    pathElement.innerHTML = pathNames.map((name, index) => index === pathNames.length - 1
+        ? `<span class="breadcrumb-current">${escapeHtml(name)}</span>`
+        : `<span class="breadcrumb-item" onclick="openFolderPickerPath(${index})">${escapeHtml(name)}</span>`
+    ).join(' › ');
+    list.innerHTML = '<div class="loading">Loading folders...</div>';
+    
+    try {
+        const tenantId = picker.path.length > 0 ? picker.path[picker.path.length - 1] : null;
+        const folders = tenantId
+            ? await makeApiRequest(`/api/tenant/subtenants/${tenantId}/subtenants`)
+            : await makeApiRequest('/api/tenant/subtenants');
+        
+        // The user may have opened another folder while this one loaded
+        const shownTenantId = picker.path.length > 0 ? picker.path[picker.path.length - 1] : null;
+        if (folderPicker !== picker || shownTenantId !== tenantId) {
+            return;
+        }
+        
+        const entries = Object.entries(folders || {})
+            .sort(([, a], [, b]) => a.displayName.localeCompare(b.displayName, undefined, { numeric: true, sensitivity: 'base' }));
+        entries.forEach(([id, info]) => { picker.names[id] = info.displayName; });
+        list.innerHTML = entries.length === 0
+            ? '<div class="loading">No folders in here</div>'
+            : entries.map(([id, info]) => `
+                <div class="folder-picker-item" onclick="openFolderPickerFolder('${id}')">
+                    <span class="folder-icon">📁</span>${escapeHtml(info.displayName)}
+                </div>
+            `).join('');
+    } catch (error) {
+        console.error('Failed to load folders:', error);
+        list.innerHTML = '<div class="loading">Failed to load folders</div>';
+    }
+}
+
+function openFolderPickerFolder(tenantId) {
+    folderPicker.path.push(tenantId);
+    renderFolderPicker().catch(console.error);
+}
+
+function openFolderPickerPath(index) {
+    folderPicker.path = folderPicker.path.slice(0, index);
+    renderFolderPicker().catch(console.error);
+}
+
+function chooseFolderPickerFolder() {
+    const path = folderPicker.path.slice();
+    closeFolderPicker({ path, tenantId: path.length > 0 ? path[path.length - 1] : null });
+}
+
+function closeFolderPicker(result) {
+    document.getElementById('folder-picker-modal').style.display = 'none';
+    if (folderPicker) {
+        const resolve = folderPicker.resolve;
+        folderPicker = null;
+        resolve(result);
+    }
+}
+
+function createBreadcrumb() {
+    if (currentPath.length === 0) {
+        return '';
+    }
+    const breadcrumbItems = [
+        { id: null, name: currentTenantInfo.displayName }
+    ];
+    for (let i = 0; i < currentPath.length; i++) {
+        const tenantId = currentPath[i];
+        let displayName = tenantId; // fallback to tenant ID
+        if (tenantCache[tenantId]) {
+            displayName = tenantCache[tenantId].displayName;
+        } else if (i === currentPath.length - 1 && subtenants[tenantId]) {
+            displayName = subtenants[tenantId].displayName;
+        }
+        breadcrumbItems.push({ id: tenantId, name: displayName });
+    }
+    return `
+        <div class="breadcrumb">
+            ${breadcrumbItems.map((item, index) => {
+                if (index === breadcrumbItems.length - 1) {
+                    return `<span class="breadcrumb-current">${item.name}</span>`;
+                } else {
+                    return `<span class="breadcrumb-item" onclick="navigateToPath(${index}).catch(console.error)" ondragover="handleFolderDragOver(event)" ondragleave="handleFolderDragLeave(event)" ondrop="handleFolderDrop(event, '${item.id || ''}')">${item.name}</span>`;
+                }
+            }).join(' › ')}
+        </div>
+    `;
+}
+
+async function navigateToFolder(tenantId) {
+    // Cache the current tenant info before navigating
+    if (currentPath.length > 0) {
+        const currentTenantId = currentPath[currentPath.length - 1];
+        if (subtenants[currentTenantId]) {
+            tenantCache[currentTenantId] = subtenants[currentTenantId];
+        }
+    }
+    // Also cache the folder we're about to enter if we have its info
+    if (subtenants[tenantId]) {
+        tenantCache[tenantId] = subtenants[tenantId];
+    }
+    currentPath.push(tenantId);
+    pushRoute();
+    await loadFiles();
+}
+
+async function navigateToPath(index) {
+    currentPath = currentPath.slice(0, index);
+    pushRoute();
+    await loadFiles();
+}
+
+// Routing
+// The folder path and the open file live in the URL hash, e.g. #/subtenantId/nestedId?file=fileId,
+// so links can be shared and the browser's back and forward buttons move between folders.
+let fileDetailsPushedHistory = false; // Whether opening the file modal added the current history entry
+
+function parseRoute(hash) {
+    const [pathPart, queryPart] = hash.replace(/^#\/?/, '').split('?');
+    const path = pathPart.split('/').filter(segment => segment).map(decodeURIComponent);
+    const fileId = new URLSearchParams(queryPart || '').get('file');
+    return { path, fileId };
+}
+
+function buildRouteHash(path, fileId = null) {
+    const hash = '#/' + path.map(encodeURIComponent).join('/');
+    return fileId ? `${hash}?file=${encodeURIComponent(fileId)}` : hash;
+}
+
+function pushRoute(fileId = null) {
+    const hash = buildRouteHash(currentPath, fileId);
+    if (hash !== window.location.hash) {
+        history.pushState({ path: currentPath.slice(), fileId }, '', hash);
+    }
+}
+
+function replaceRoute(fileId = null) {
+    history.replaceState({ path: currentPath.slice(), fileId }, '', buildRouteHash(currentPath, fileId));
+}
+
+async function applyRoute() {
+    let route = parseRoute(window.location.hash);
+
+    try {
+        await cacheTenantNames(route.path);
+    } catch (error) {
+        console.warn('Could not open the linked folder:', error);
+        route = { path: [], fileId: null };
+        currentPath = [];
+        replaceRoute();
+        await showAlert('The linked folder could not be opened. It may have been deleted, or this account may not have access to it.', 'Link', 'warning');
+    }
+
+    // Only reload the listing when the folder changed, e.g. not when just the file modal was closed
+    const folderChanged = route.path.join('/') !== currentPath.join('/') || files.length === 0;
+    currentPath = route.path;
+    if (folderChanged) {
+        await loadFiles();
+    }
+
+    if (route.fileId) {
+        const metadata = files.find(file => file.id === route.fileId);
+        if (metadata) {
+            fileDetailsPushedHistory = false;
+            showFileDetails(metadata);
+        } else {
+            replaceRoute();
+            await showAlert('The linked file could not be found in this folder.', 'Link', 'warning');
+        }
+    } else if (document.getElementById('file-modal').style.display !== 'none') {
+        closeModal();
+    }
+}
+
+async function cacheTenantNames(path) {
+    // The breadcrumb needs a display name for every folder on the path, not just the last one
+    for (const tenantId of path) {
+        if (!tenantCache[tenantId]) {
+            const info = await makeApiRequest(`/api/tenant/subtenants/${encodeURIComponent(tenantId)}`);
+            tenantCache[tenantId] = info;
+        }
+    }
+}
+
+function handleRouteChange() {
+    if (!currentTenantInfo) {
+        return; // The route is applied once the user signs in
+    }
+    applyRoute().catch(console.error);
+}
+
+function closeFileDetails() {
+    if (fileDetailsPushedHistory) {
+        // Going back removes the file from the URL and keeps forward navigation working
+        fileDetailsPushedHistory = false;
+        closeModal();
+        history.back();
+        return;
+    }
+
+    closeModal();
+    if (parseRoute(window.location.hash).fileId) {
+        replaceRoute();
+    }
+}
+
+async function createFolder(event) {
+    if (event) {
+        event.preventDefault();
     }
     
     // Show custom prompt for folder name
@@ -499,432 +2124,3368 @@ async function createFolder(event) {
     }
     
     try {
-        // Get the current tenant ID (where we're creating the subtenant)
-        const currentTenantId = currentPath.length > 0 ? currentPath[currentPath.length - 1] : null;
+        // Get the current tenant ID (where we're creating the subtenant)
+        const currentTenantId = currentPath.length > 0 ? currentPath[currentPath.length - 1] : null;
+        
+        let response;
+        if (currentTenantId) {
+            // We're inside a subtenant, create under the current subtenant
+            response = await makeApiRequestWithBody(`/api/tenant/subtenants/${currentTenantId}/subtenants`, 'POST', {
+                displayName: folderName.trim()
+            });
+        } else {
+            // We're at root level, create under the authenticated tenant
+            response = await makeApiRequestWithBody('/api/tenant/subtenants', 'POST', {
+                displayName: folderName.trim()
+            });
+        }
+        
+        // Refresh the file list to show the new folder
+        await loadFiles();
+        
+        await showAlert(`Folder "${folderName}" created successfully!`, 'Folder Created', 'success');
+        
+    } catch (error) {
+        console.error('Failed to create folder:', error);
+        await showAlert('Failed to create folder: ' + error.message, 'Create Failed', 'error');
+    }
+}
+
+async function showFolderActions(tenantId) {
+    // Show a custom modal with folder info, renaming and delete button
+    const modal = document.getElementById('alert-modal');
+    const title = document.getElementById('alert-title');
+    const message = document.getElementById('alert-message');
+    const icon = document.getElementById('alert-icon');
+    const okBtn = document.getElementById('alert-ok-btn');
+    const cancelBtn = document.getElementById('alert-cancel-btn');
+    const folderName = subtenants[tenantId] ? subtenants[tenantId].displayName : tenantId;
+    const folderNameArgument = escapeHtml(JSON.stringify(folderName));
+    
+    title.textContent = 'Folder Info';
+    message.innerHTML = `
+        <div style="text-align: left; margin-bottom: 16px;">
+            <label for="folder-rename-input"><strong>Folder Name:</strong></label>
+            <div class="folder-rename">
+                <input type="text" id="folder-rename-input" class="rename-input" maxlength="${MAX_NAME_LENGTH}" value="${escapeHtml(folderName)}"
+                    onkeydown="if (event.key === 'Enter') { event.preventDefault(); renameFolderFromActions('${tenantId}'); }">
+                <button onclick="renameFolderFromActions('${tenantId}')" class="btn btn-secondary" id="folder-rename-btn">Rename</button>
+            </div>
+            <span class="rename-error" id="folder-rename-error"></span>
+            <strong>Tenant ID:</strong> ${tenantId}
+        </div>
+        <div style="text-align: center;">
+            <button onclick="downloadFolderArchive('${tenantId}', ${folderNameArgument})" class="btn btn-primary" style="margin-right: 8px;">
+                Download as ZIP
+            </button>
+            <button onclick="deleteSubtenant('${tenantId}', ${folderNameArgument})" class="btn btn-danger" style="margin-right: 8px;">
+                Delete Folder
+            </button>
+            <button onclick="closeFolderModal()" class="btn btn-secondary">
+                Close
+            </button>
+        </div>
+    `;
+    icon.textContent = '📁';
+    icon.className = 'alert-icon info';
+    
+    // Hide the default OK button since we have custom buttons
+    okBtn.style.display = 'none';
+    cancelBtn.style.display = 'none';
+    
+    modal.style.display = 'flex';
+}
+
+async function renameFolderFromActions(tenantId) {
+    const input = document.getElementById('folder-rename-input');
+    const errorElement = document.getElementById('folder-rename-error');
+    const button = document.getElementById('folder-rename-btn');
+    const name = input.value.trim();
+    if (!subtenants[tenantId] || name === subtenants[tenantId].displayName) {
+        return;
+    }
+    
+    const error = validateItemName(name, 'folder', tenantId);
+    if (error) {
+        input.classList.add('invalid');
+        errorElement.textContent = error;
+        return;
+    }
+    
+    button.disabled = true;
+    try {
+        await renameItem('folder', tenantId, name);
+        await loadFiles();
+        // Shown again so the other actions use the new name
+        await showFolderActions(tenantId);
+    } catch (error) {
+        console.error('Failed to rename folder:', error);
+        input.classList.add('invalid');
+        errorElement.textContent = error.message;
+        button.disabled = false;
+    }
+}
+
+function closeFolderModal() {
+    const modal = document.getElementById('alert-modal');
+    const okBtn = document.getElementById('alert-ok-btn');
+    const cancelBtn = document.getElementById('alert-cancel-btn');
+    
+    modal.style.display = 'none';
+    // Restore the default OK button for future use
+    okBtn.style.display = 'inline-block';
+    cancelBtn.style.display = 'none';
+}
+
+async function deleteSubtenant(tenantId, folderName) {
+    try {
+        // Show confirmation dialog
+        const confirmed = await showConfirm(
+            `Are you sure you want to delete the folder "${folderName}"?\n\nThe folder and all its contents are moved to the trash, where you can restore them until they are purged.`,
+            'Delete Folder'
+        );
+        
+        if (!confirmed) {
+            return;
+        }
+        
+        // Delete the subtenant using fetch directly (like deleteFile does)
+        const deleteUrl = `${API_BASE}/api/tenant/subtenants/${tenantId}`;
+        const response = await fetch(deleteUrl, {
+            method: 'DELETE',
+            headers: {
+                ...getAuthHeaders()
+            }
+        });
+        
+        if (!response.ok) {
+            throw new Error(`Delete failed: ${response.statusText}`);
+        }
+        
+        // Close the modal
+        closeFolderModal();
+        
+        // Refresh the file list to show the updated folder list
+        await loadFiles();
+        
+        // Refresh tenant info to update storage usage display
+        await loadTenantInfo();
+        
+        await showAlert(`Folder "${folderName}" has been moved to the trash.`, 'Folder Deleted', 'success');
+        
+    } catch (error) {
+        console.error('Failed to delete folder:', error);
+        await showAlert('Failed to delete folder: ' + error.message, 'Delete Failed', 'error');
+    }
+}
+
+async function refreshFiles(event) {
+    if (event) {
+        event.preventDefault();
+    }
+    await loadFiles();
+}
+
+// File upload
+function setupEventListeners() {
+    // Authenticating again after logout must not register duplicate listeners,
+    // otherwise every dropped file would be queued once per login
+    if (eventListenersInitialized) {
+        return;
+    }
+    eventListenersInitialized = true;
+
+    const dropZone = document.getElementById('drop-zone');
+    const fileInput = document.getElementById('file-input');
+    const searchInput = document.getElementById('search-input');
+    
+    initializeUploadSettings();
+    
+    // File input change
+    fileInput.addEventListener('change', handleFileSelect);
+    
+    // Drag and drop
+    dropZone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        dropZone.classList.add('dragover');
+    });
+    
+    dropZone.addEventListener('dragleave', () => {
+        dropZone.classList.remove('dragover');
+    });
+    
+    dropZone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        dropZone.classList.remove('dragover');
+        const droppedFiles = e.dataTransfer.files;
+        if (droppedFiles.length > 0) {
+            enqueueUploads(droppedFiles);
+        }
+    });
+    
+    // Search keeps folders and the breadcrumb, see parseSearchQuery for the filters
+    searchInput.addEventListener('input', renderFileList);
+}
+
+function handleFileSelect(event) {
+    const selectedFiles = event.target.files;
+    if (selectedFiles.length > 0) {
+        enqueueUploads(selectedFiles);
+    }
+    // Reset the input so selecting the same files again still triggers a change
+    event.target.value = '';
+}
+
+// Upload queue
+function createUploadItem(name, size, targetTenantId) {
+    return {
+        id: crypto.randomUUID(),
+        direction: 'upload',
+        file: null,
+        name: name,
+        size: size,
+        targetTenantId: targetTenantId,
+        status: 'queued', // 'queued', 'uploading', 'completed', 'failed', 'cancelled' or 'interrupted'
+        bytesTransferred: 0,
+        bytesAtStart: 0,
+        startedAt: null,
+        error: null,
+        resumeRecord: null, // Pending upload record from IndexedDB, if any
+        passphrase: null, // Only kept in memory, for encrypted uploads
+        labels: null, // Tags and attributes the uploaded file gets
+        cancelledByUser: false,
+        abortController: new AbortController()
+    };
+}
+
+async function enqueueUploads(fileList) {
+    // Capture the folder now so navigating away doesn't change where queued files end up
+    const targetTenantId = currentPath.length > 0 ? currentPath[currentPath.length - 1] : null;
+    const selectedFiles = Array.from(fileList);
+
+    const labels = parseLabelsText(document.getElementById('upload-labels').value, ',');
+    const labelsError = getLabelsError(labels);
+    if (labelsError) {
+        await showAlert(labelsError, 'Invalid Labels', 'error');
+        return;
+    }
+
+    let passphrase = null;
+    if (document.getElementById('encrypt-uploads').checked) {
+        passphrase = await promptForNewPassphrase();
+        if (!passphrase) {
+            return;
+        }
+    }
+
+    selectedFiles.forEach(file => {
+        const item = createUploadItem(file.name, file.size, targetTenantId);
+        item.file = file;
+        item.passphrase = passphrase;
+        item.labels = labels;
+        uploadQueue.push(item);
+    });
+
+    renderTransferPanel();
+    processUploadQueue();
+}
+
+async function processUploadQueue() {
+    if (isProcessingUploadQueue) {
+        return;
+    }
+    isProcessingUploadQueue = true;
+
+    const processedItems = [];
+    let item = uploadQueue.find(queued => queued.status === 'queued');
+    while (item) {
+        processedItems.push(item);
+        await runUploadItem(item);
+        item = uploadQueue.find(queued => queued.status === 'queued');
+    }
+
+    isProcessingUploadQueue = false;
+
+    // The user logged out while uploads were running
+    if (!currentApiKey) {
+        return;
+    }
+
+    await loadFiles();
+    await loadTenantInfo();
+    await showUploadSummary(processedItems);
+}
+
+async function runUploadItem(item) {
+    item.status = 'uploading';
+    item.error = null;
+    item.startedAt = performance.now();
+    renderTransferPanel();
+
+    try {
+        await handleFileUpload(item);
+        item.status = 'completed';
+        item.passphrase = null;
+    } catch (error) {
+        if (item.abortController.signal.aborted) {
+            item.status = 'cancelled';
+            // Only an explicit cancel abandons the upload; aborts caused by logout stay resumable
+            if (item.cancelledByUser && item.resumeRecord) {
+                await deletePendingUpload(item.resumeRecord.uploadId);
+            }
+        } else {
+            console.error('Upload failed:', error);
+            item.status = 'failed';
+            item.error = error.message;
+        }
+    }
+
+    renderTransferPanel();
+}
+
+async function showUploadSummary(processedItems) {
+    const completed = processedItems.filter(item => item.status === 'completed').length;
+    const failed = processedItems.filter(item => item.status === 'failed').length;
+    const cancelled = processedItems.filter(item => item.status === 'cancelled').length;
+
+    // Nothing to report if the user cancelled everything
+    if (completed === 0 && failed === 0) {
+        return;
+    }
+
+    let message = `${completed} of ${processedItems.length} file(s) uploaded`;
+    if (failed > 0) {
+        message += `, ${failed} failed`;
+    }
+    if (cancelled > 0) {
+        message += `, ${cancelled} cancelled`;
+    }
+    message += '.';
+
+    if (failed > 0) {
+        const failedNames = processedItems
+            .filter(item => item.status === 'failed')
+            .map(item => item.name)
+            .join(', ');
+        message += ` Failed: ${failedNames}. Failed uploads can be resumed from the transfer panel.`;
+        await showAlert(message, 'Upload Finished', completed > 0 ? 'warning' : 'error');
+    } else {
+        await showAlert(message, 'Upload Complete', 'success');
+    }
+}
+
+function cancelUpload(itemId) {
+    const item = uploadQueue.find(queued => queued.id === itemId);
+    if (!item) {
+        return;
+    }
+
+    item.cancelledByUser = true;
+    item.abortController.abort();
+    if (item.status === 'queued') {
+        item.status = 'cancelled';
+        if (item.resumeRecord) {
+            deletePendingUpload(item.resumeRecord.uploadId);
+        }
+        renderTransferPanel();
+    }
+}
+
+function clearFinishedTransfers() {
+    uploadQueue = uploadQueue.filter(item => item.status === 'queued' || item.status === 'uploading' || item.status === 'interrupted');
+    downloadQueue = downloadQueue.filter(item => item.status === 'downloading' || item.status === 'failed');
+    renderTransferPanel();
+}
+
+function resetTransfers() {
+    // Stop running uploads without discarding their saved progress
+    uploadQueue.forEach(item => item.abortController.abort());
+    downloadQueue.forEach(item => {
+        if (item.abortController) {
+            item.abortController.abort();
+        }
+    });
+    uploadQueue = [];
+    downloadQueue = [];
+    renderTransferPanel();
+}
+
+// Resumable uploads
+async function loadPendingUploads() {
+    const records = await getPendingUploads(currentTenantInfo.tenantId);
+
+    records.forEach(record => {
+        const alreadyQueued = uploadQueue.some(item =>
+            item.resumeRecord && item.resumeRecord.uploadId === record.uploadId);
+        if (alreadyQueued) {
+            return;
+        }
+
+        const item = createUploadItem(record.fileName, record.fileSize, record.targetTenantId);
+        item.status = 'interrupted';
+        item.resumeRecord = record;
+        item.bytesTransferred = getAcknowledgedBytes(record);
+        uploadQueue.push(item);
+    });
+
+    renderTransferPanel();
+}
+
+async function resumeUpload(itemId) {
+    const item = uploadQueue.find(queued => queued.id === itemId);
+    if (!item) {
+        return;
+    }
+
+    // After a reload the browser no longer has access to the file, so it has to be selected again
+    if (!item.file) {
+        const file = await selectFileForResume();
+        if (!file) {
+            return;
+        }
+
+        if (!matchesPendingUpload(file, item.resumeRecord)) {
+            await showAlert(`The selected file does not match "${item.name}". Please select the same file to resume the upload.`, 'Resume Failed', 'error');
+            return;
+        }
+
+        item.file = file;
+    }
+
+    if (item.resumeRecord.encryption && !item.passphrase) {
+        const passphrase = await showPrompt('Passphrase this upload was encrypted with:', 'Resume Encrypted Upload', '', getPassphrasePromptOptions());
+        if (!passphrase) {
+            return;
+        }
+        item.passphrase = passphrase;
+    }
+
+    item.status = 'queued';
+    item.cancelledByUser = false;
+    item.abortController = new AbortController();
+    renderTransferPanel();
+    processUploadQueue();
+}
+
+async function discardUpload(itemId) {
+    const item = uploadQueue.find(queued => queued.id === itemId);
+    if (!item) {
+        return;
+    }
+
+    const confirmed = await showConfirm(`Discard the interrupted upload of "${item.name}"? The progress made so far will be lost.`, 'Discard Upload');
+    if (!confirmed) {
+        return;
+    }
+
+    if (item.resumeRecord) {
+        await deletePendingUpload(item.resumeRecord.uploadId);
+    }
+    uploadQueue = uploadQueue.filter(queued => queued.id !== itemId);
+    renderTransferPanel();
+}
+
+function selectFileForResume() {
+    return new Promise((resolve) => {
+        const input = document.getElementById('resume-file-input');
+        input.value = '';
+        input.onchange = () => {
+            resolve(input.files.length > 0 ? input.files[0] : null);
+        };
+        input.click();
+    });
+}
+
+function matchesPendingUpload(file, record) {
+    return file.name === record.fileName &&
+        file.size === record.fileSize &&
+        file.lastModified === record.lastModified;
+}
+
+function getAcknowledgedBytes(record) {
+    let bytes = 0;
+    record.chunkIds.forEach((chunkId, index) => {
+        if (chunkId) {
+            const start = index * record.chunkSize;
+            bytes += Math.min(record.chunkSize, record.fileSize - start);
+        }
+    });
+    return bytes;
+}
+
+// Transfer panel
+function renderTransferPanel() {
+    const panel = document.getElementById('transfer-panel');
+    const list = document.getElementById('transfer-list');
+
+    const transfers = uploadQueue.concat(downloadQueue);
+    if (transfers.length === 0) {
+        panel.style.display = 'none';
+        list.innerHTML = '';
+        return;
+    }
+
+    panel.style.display = 'block';
+    list.innerHTML = transfers.map(item => `
+        <div class="transfer-item ${item.status}" id="transfer-${item.id}">
+            <div class="transfer-info">
+                <div class="transfer-name" title="${escapeHtml(item.name)}">${escapeHtml(item.name)}</div>
+                <div class="transfer-meta">${escapeHtml(getTransferStatusText(item))}</div>
+            </div>
+            <div class="progress-bar">
+                <div class="progress-fill" style="width: ${getTransferProgress(item)}%"></div>
+            </div>
+            <div class="file-actions">
+                ${getTransferActions(item)}
+            </div>
+        </div>
+    `).join('');
+
+    updateTransferSummary();
+}
+
+function getTransferActions(item) {
+    if (item.direction === 'download') {
+        return getDownloadActions(item);
+    }
+
+    switch (item.status) {
+        case 'queued':
+        case 'uploading':
+            return `<button onclick="cancelUpload('${item.id}')" class="delete-btn">Cancel</button>`;
+        case 'failed':
+        case 'interrupted':
+            if (!item.resumeRecord) {
+                return '';
+            }
+            return `
+                <button onclick="resumeUpload('${item.id}')" class="download-btn">Resume upload</button>
+                <button onclick="discardUpload('${item.id}')" class="delete-btn">Discard</button>
+            `;
+        default:
+            return '';
+    }
+}
+
+function updateTransferItem(item) {
+    const element = document.getElementById(`transfer-${item.id}`);
+    if (!element) {
+        return;
+    }
+
+    element.querySelector('.transfer-meta').textContent = getTransferStatusText(item);
+    element.querySelector('.progress-fill').style.width = `${getTransferProgress(item)}%`;
+    updateTransferSummary();
+}
+
+function updateTransferSummary() {
+    const parts = [];
+
+    if (uploadQueue.length > 0) {
+        const completed = uploadQueue.filter(item => item.status === 'completed').length;
+        const failed = uploadQueue.filter(item => item.status === 'failed').length;
+        const interrupted = uploadQueue.filter(item => item.status === 'interrupted').length;
+        const remaining = uploadQueue.filter(item => item.status === 'queued' || item.status === 'uploading').length;
+
+        parts.push(`${completed} of ${uploadQueue.length} uploaded`);
+        if (failed > 0) {
+            parts.push(`${failed} failed`);
+        }
+        if (interrupted > 0) {
+            parts.push(`${interrupted} interrupted`);
+        }
+        if (remaining > 0) {
+            parts.push(`${remaining} remaining`);
+        }
+    }
+
+    if (downloadQueue.length > 0) {
+        const completed = downloadQueue.filter(item => item.status === 'completed').length;
+        const failed = downloadQueue.filter(item => item.status === 'failed').length;
+
+        parts.push(`${completed} of ${downloadQueue.length} downloaded`);
+        if (failed > 0) {
+            parts.push(`${failed} download(s) failed`);
+        }
+    }
+
+    document.getElementById('transfer-summary').textContent = parts.join(' • ');
+}
+
+function getTransferProgress(item) {
+    if (item.status === 'completed') {
+        return 100;
+    }
+    return item.size > 0 ? Math.min(100, (item.bytesTransferred / item.size) * 100) : 0;
+}
+
+function getTransferStatusText(item) {
+    switch (item.status) {
+        case 'queued':
+            return `Queued • ${formatBytes(item.size)}`;
+        case 'uploading':
+        case 'downloading': {
+            const elapsedSeconds = (performance.now() - item.startedAt) / 1000;
+            const bytesThisSession = item.bytesTransferred - item.bytesAtStart;
+            if (bytesThisSession <= 0 || elapsedSeconds <= 0) {
+                return `Starting • ${formatBytes(item.bytesTransferred)} of ${formatBytes(item.size)}`;
+            }
+            const bytesPerSecond = bytesThisSession / elapsedSeconds;
+            const secondsLeft = (item.size - item.bytesTransferred) / bytesPerSecond;
+            return `${formatBytes(item.bytesTransferred)} of ${formatBytes(item.size)} • ` +
+                `${formatBytes(Math.max(1, Math.round(bytesPerSecond)))}/s • ${formatDuration(secondsLeft)} left`;
+        }
+        case 'completed':
+            return `${item.direction === 'download' ? 'Downloaded' : 'Uploaded'} • ${formatBytes(item.size)}`;
+        case 'failed':
+            return `Failed at ${formatBytes(item.bytesTransferred)} of ${formatBytes(item.size)}: ${item.error}`;
+        case 'cancelled':
+            return 'Cancelled';
+        case 'interrupted':
+            return `Interrupted • ${formatBytes(item.bytesTransferred)} of ${formatBytes(item.size)} uploaded`;
+        default:
+            return '';
+    }
+}
+
+async function handleFileUpload(item) {
+    const file = item.file;
+    const signal = item.abortController.signal;
+
+    // Continue a previous attempt for the same file and folder if one was saved
+    let record = item.resumeRecord || await findPendingUpload(file, item.targetTenantId, !!item.passphrase);
+    if (!record) {
+        const serverChunkSize = await getChunkSize();
+        record = {
+            uploadId: crypto.randomUUID(), // Also used as the file ID
+            ownerTenantId: currentTenantInfo.tenantId,
+            targetTenantId: item.targetTenantId,
+            fileName: file.name,
+            fileSize: file.size,
+            lastModified: file.lastModified,
+            contentType: file.type || 'application/octet-stream',
+            // Encrypted chunks grow by the IV and tag, so shrink the plaintext to stay within the server's chunk size
+            chunkSize: item.passphrase ? serverChunkSize - ENCRYPTION_OVERHEAD_BYTES : serverChunkSize,
+            chunkIds: [], // Acknowledged chunk IDs by chunk index
+            chunkHashes: [], // SHA-256 of each acknowledged chunk as stored
+            encryption: item.passphrase ? await createEncryptionParameters(item.passphrase) : null,
+            labels: item.labels,
+            createdAt: new Date().toISOString()
+        };
+        await savePendingUpload(record);
+    }
+    record.chunkHashes = record.chunkHashes || [];
+    item.resumeRecord = record;
+    item.bytesTransferred = getAcknowledgedBytes(record);
+    item.bytesAtStart = item.bytesTransferred;
+
+    let encryptionKey = null;
+    if (record.encryption) {
+        encryptionKey = await deriveEncryptionKey(item.passphrase, record.encryption.salt, record.encryption.iterations);
+        if (!(await verifyKeyCheck(encryptionKey, record.encryption.keyCheck))) {
+            item.passphrase = null;
+            throw new Error('The passphrase does not match the one this upload was started with');
+        }
+    }
+
+    // Find the chunks that haven't been acknowledged yet.
+    // Resumed uploads keep the chunk size they were started with.
+    const chunkSize = record.chunkSize;
+    const totalChunks = Math.ceil(file.size / chunkSize);
+    const pendingIndexes = [];
+    for (let i = 0; i < totalChunks; i++) {
+        if (!record.chunkIds[i]) {
+            pendingIndexes.push(i);
+        }
+    }
+
+    // Check if we can store the rest of the file
+    const remainingBytes = file.size - item.bytesTransferred +
+        (encryptionKey ? pendingIndexes.length * ENCRYPTION_OVERHEAD_BYTES : 0);
+    const canStoreEndpoint = item.targetTenantId 
+        ? `/api/tenant/storage/can-store?fileSizeBytes=${remainingBytes}&targetTenantId=${item.targetTenantId}`
+        : `/api/tenant/storage/can-store?fileSizeBytes=${remainingBytes}`;
+    // The tenant endpoints have a low rate limit, which a large queue can run into
+    const canStore = await retryTransientErrors(() => makeApiRequest(canStoreEndpoint, { signal }), signal);
+    
+    if (!canStore.canStore) {
+        throw new Error(canStore.reason || 'Storage quota exceeded');
+    }
+    
+    // Create file metadata. Uploads resumed after a reload get the labels they were started with.
+    const labels = item.labels || record.labels || { tags: [], attributes: {} };
+    const metadata = {
+        id: record.uploadId,
+        originalFilename: record.fileName,
+        contentType: record.contentType,
+        fileSize: record.fileSize,
+        chunkIds: [], // Will be populated as chunks are uploaded
+        encryption: record.encryption ? {
+            algorithm: record.encryption.algorithm,
+            keyDerivation: record.encryption.keyDerivation,
+            iterations: record.encryption.iterations,
+            salt: record.encryption.salt,
+            plaintextChunkSize: chunkSize
+        } : null,
+        tags: labels.tags.length > 0 ? labels.tags : null,
+        attributes: Object.keys(labels.attributes).length > 0 ? labels.attributes : null
+    };
+    
+    let fileHashPromise;
+    let chunkHashes = null;
+    let storedChunks = {};
+    if (encryptionKey) {
+        // Hash the whole file alongside the chunk uploads. This reads the file in order,
+        // which the parallel chunk uploads don't, and also covers chunks sent before a resume.
+        fileHashPromise = computeFileSha256(file, signal);
+        fileHashPromise.catch(() => {}); // Failures are reported when the hash is awaited
+    } else {
+        // Hash the chunks together with the whole file first, so the chunks the tenant already
+        // stores can be looked up in a few requests instead of one per chunk.
+        // Encrypted chunks use a random IV, so they never match and aren't looked up.
+        const hashes = await computeFileAndChunkSha256(file, chunkSize, signal);
+        fileHashPromise = Promise.resolve(hashes.fileSha256);
+        chunkHashes = hashes.chunkHashes;
+        storedChunks = await findStoredChunks(pendingIndexes.map(index => chunkHashes[index]), item.targetTenantId, signal);
+    }
+    
+    // Upload the missing chunks, several at a time
+    
+    let nextPendingIndex = 0;
+    let uploadFailed = false;
+    const uploadNextChunks = async () => {
+        while (!uploadFailed && nextPendingIndex < pendingIndexes.length) {
+            const index = pendingIndexes[nextPendingIndex++];
+            const start = index * chunkSize;
+            const end = Math.min(start + chunkSize, file.size);
+            const chunkId = crypto.randomUUID();
+            
+            try {
+                const chunk = encryptionKey
+                    ? await encryptChunk(encryptionKey, file.slice(start, end), index)
+                    : file.slice(start, end);
+                const chunkHash = chunkHashes ? chunkHashes[index] : await sha256Hex(chunk);
+                
+                // Reuse an identical chunk the tenant already stores instead of uploading it again,
+                // otherwise upload the chunk and get the returned chunk ID
+                const uploadedChunkId = storedChunks[chunkHash] ||
+                    await uploadChunkWithRetry(chunkId, chunk, chunkHash, item.targetTenantId, signal);
+                record.chunkIds[index] = uploadedChunkId;
+                record.chunkHashes[index] = chunkHash;
+                await savePendingUpload(record);
+            } catch (error) {
+                // Stop the other workers from picking up more chunks
+                uploadFailed = true;
+                throw error;
+            }
+            
+            // Update progress
+            item.bytesTransferred += end - start;
+            updateTransferItem(item);
+        }
+    };
+    
+    const workerCount = Math.min(getUploadConcurrency(), pendingIndexes.length);
+    // Let chunks already in flight finish so their IDs are saved before reporting the failure
+    const results = await Promise.allSettled(Array.from({ length: workerCount }, () => uploadNextChunks()));
+    const failure = results.find(result => result.status === 'rejected');
+    if (failure) {
+        throw failure.reason;
+    }
+    
+    // Update metadata with the actual chunk IDs and their hashes
+    metadata.chunkIds = record.chunkIds.slice(0, totalChunks);
+    metadata.chunkHashes = record.chunkHashes.slice(0, totalChunks).map(hash => hash || null);
+    metadata.sha256 = await fileHashPromise;
+    
+    // Save file metadata
+    const metadataEndpoint = item.targetTenantId 
+        ? `/api/files/${item.targetTenantId}/metadata`
+        : '/api/files/metadata';
+    await makeApiRequest(metadataEndpoint, {
+        method: 'POST',
+        body: JSON.stringify(metadata),
+        signal
+    });
+
+    await deletePendingUpload(record.uploadId);
+}
+
+async function uploadChunk(chunkId, chunk, chunkHash, targetTenantId, signal) {
+    const chunkUrl = targetTenantId 
+        ? `${API_BASE}/api/chunks/${targetTenantId}/${chunkId}`
+        : `${API_BASE}/api/chunks/${chunkId}`;
+        
+    // The server rejects the chunk if what it receives doesn't match the hash
+    const response = await fetch(chunkUrl, {
+        method: 'PUT',
+        headers: {
+            ...getAuthHeaders(),
+            'X-Content-SHA256': chunkHash
+        },
+        body: chunk,
+        signal
+    });
+    
+    if (!response.ok) {
+        const error = new Error(`Failed to upload chunk: ${response.status} ${response.statusText}`);
+        error.status = response.status;
+        error.retryAfterSeconds = parseInt(response.headers.get('Retry-After'), 10) || null;
+        throw error;
+    }
+    
+    // Parse the response to get the actual chunk ID that was saved
+    const result = await response.json();
+    return result.chunkId || chunkId; // Use returned ID or fallback to original
+}
+
+async function findStoredChunks(chunkHashes, targetTenantId, signal) {
+    const lookupEndpoint = targetTenantId
+        ? `/api/chunks/${targetTenantId}/lookup`
+        : '/api/chunks/lookup';
+    const uniqueHashes = [...new Set(chunkHashes)];
+    const storedChunks = {};
+    
+    for (let offset = 0; offset < uniqueHashes.length; offset += CHUNK_LOOKUP_BATCH_SIZE) {
+        const hashes = uniqueHashes.slice(offset, offset + CHUNK_LOOKUP_BATCH_SIZE);
+        const result = await retryTransientErrors(() => makeApiRequest(lookupEndpoint, {
+            method: 'POST',
+            body: JSON.stringify({ hashes }),
+            signal
+        }), signal);
+        Object.assign(storedChunks, result.chunks);
+    }
+    
+    return storedChunks;
+}
+
+async function uploadChunkWithRetry(chunkId, chunk, chunkHash, targetTenantId, signal) {
+    return retryTransientErrors(() => uploadChunk(chunkId, chunk, chunkHash, targetTenantId, signal), signal);
+}
+
+async function retryTransientErrors(operation, signal) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await operation();
+        } catch (error) {
+            if (signal.aborted || !isTransientTransferError(error) || attempt >= TRANSFER_MAX_RETRIES) {
+                throw error;
+            }
+
+            const delayMs = getRetryDelay(attempt, error.retryAfterSeconds);
+            console.warn(`Transfer request failed (${error.message}), retrying in ${delayMs}ms`);
+            await waitForRetry(delayMs, signal);
+        }
+    }
+}
+
+function isTransientTransferError(error) {
+    // fetch rejects with a TypeError when the network request itself fails
+    if (error instanceof TypeError) {
+        return true;
+    }
+    return error.status === 429 || error.status >= 500;
+}
+
+function getRetryDelay(attempt, retryAfterSeconds) {
+    if (retryAfterSeconds) {
+        return retryAfterSeconds * 1000;
+    }
+
+    // Exponential backoff with jitter so parallel chunks don't retry in lockstep
+    const backoff = Math.min(TRANSFER_MAX_RETRY_DELAY_MS, TRANSFER_INITIAL_RETRY_DELAY_MS * Math.pow(2, attempt));
+    return Math.round(backoff * (0.5 + Math.random() * 0.5));
+}
+
+function waitForRetry(delayMs, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timeout);
+            reject(new DOMException('Transfer cancelled', 'AbortError'));
+        };
+        const timeout = setTimeout(() => {
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, delayMs);
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+async function getChunkSize() {
+    if (serverChunkSize) {
+        return serverChunkSize;
+    }
+
+    try {
+        const config = await makeApiRequest('/api/config/chunk-size');
+        serverChunkSize = config.chunkSizeBytes;
+    } catch (error) {
+        console.warn('Failed to load chunk size, using default:', error);
+        return DEFAULT_CHUNK_SIZE;
+    }
+    return serverChunkSize;
+}
+
+function getUploadConcurrency() {
+    const saved = parseInt(localStorage.getItem('byteshelf-upload-concurrency'), 10);
+    if (!saved || saved < 1) {
+        return DEFAULT_UPLOAD_CONCURRENCY;
+    }
+    return Math.min(saved, MAX_UPLOAD_CONCURRENCY);
+}
+
+function setUploadConcurrency(value) {
+    localStorage.setItem('byteshelf-upload-concurrency', value);
+}
+
+function initializeUploadSettings() {
+    document.getElementById('upload-concurrency').value = getUploadConcurrency();
+}
+
+// Integrity hashes
+async function sha256Hex(blob) {
+    return digestToHex(await crypto.subtle.digest('SHA-256', await blob.arrayBuffer()));
+}
+
+function digestToHex(digest) {
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+async function computeFileAndChunkSha256(file, chunkSize, signal) {
+    const hasher = createSha256();
+    const chunkHashes = [];
+    
+    // Each chunk is read once for both hashes
+    for (let offset = 0; offset < file.size; offset += chunkSize) {
+        if (signal.aborted) {
+            throw new DOMException('Transfer cancelled', 'AbortError');
+        }
+        const bytes = new Uint8Array(await file.slice(offset, Math.min(offset + chunkSize, file.size)).arrayBuffer());
+        hasher.update(bytes);
+        chunkHashes.push(digestToHex(await crypto.subtle.digest('SHA-256', bytes)));
+    }
+    
+    return { fileSha256: hasher.digestHex(), chunkHashes };
+}
+
+async function computeFileSha256(file, signal) {
+    const sliceSize = 4 * 1024 * 1024;
+    const hasher = createSha256();
+    
+    for (let offset = 0; offset < file.size; offset += sliceSize) {
+        if (signal.aborted) {
+            throw new DOMException('Transfer cancelled', 'AbortError');
+        }
+        const slice = file.slice(offset, Math.min(offset + sliceSize, file.size));
+        hasher.update(new Uint8Array(await slice.arrayBuffer()));
+    }
+    
+    return hasher.digestHex();
+}
+
+// Incremental SHA-256, because crypto.subtle.digest needs the whole input in memory at once
+const SHA256_ROUND_CONSTANTS = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+function createSha256() {
+    const state = new Uint32Array([
+        0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+    ]);
+    const words = new Uint32Array(64);
+    const pending = new Uint8Array(64);
+    let pendingLength = 0;
+    let totalLength = 0;
+    
+    const rotateRight = (value, bits) => (value >>> bits) | (value << (32 - bits));
+    
+    const processBlock = (data, offset) => {
+        for (let i = 0; i < 16; i++) {
+            const j = offset + i * 4;
+            words[i] = (data[j] << 24) | (data[j + 1] << 16) | (data[j + 2] << 8) | data[j + 3];
+        }
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotateRight(words[i - 15], 7) ^ rotateRight(words[i - 15], 18) ^ (words[i - 15] >>> 3);
+            const s1 = rotateRight(words[i - 2], 17) ^ rotateRight(words[i - 2], 19) ^ (words[i - 2] >>> 10);
+            words[i] = words[i - 16] + s0 + words[i - 7] + s1;
+        }
+        
+        let [a, b, c, d, e, f, g, h] = state;
+        for (let i = 0; i < 64; i++) {
+            const s1 = rotateRight(e, 6) ^ rotateRight(e, 11) ^ rotateRight(e, 25);
+            const choice = (e & f) ^ (~e & g);
+            const temp1 = (h + s1 + choice + SHA256_ROUND_CONSTANTS[i] + words[i]) | 0;
+            const s0 = rotateRight(a, 2) ^ rotateRight(a, 13) ^ rotateRight(a, 22);
+            const majority = (a & b) ^ (a & c) ^ (b & c);
+            const temp2 = (s0 + majority) | 0;
+            h = g;
+            g = f;
+            f = e;
+            e = (d + temp1) | 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (temp1 + temp2) | 0;
+        }
+        
+        state[0] += a;
+        state[1] += b;
+        state[2] += c;
+        state[3] += d;
+        state[4] += e;
+        state[5] += f;
+        state[6] += g;
+        state[7] += h;
+    };
+    
+    const update = (bytes) => {
+        totalLength += bytes.length;
+        let offset = 0;
+        
+        if (pendingLength > 0) {
+            const take = Math.min(64 - pendingLength, bytes.length);
+            pending.set(bytes.subarray(0, take), pendingLength);
+            pendingLength += take;
+            offset = take;
+            if (pendingLength < 64) {
+                return;
+            }
+            processBlock(pending, 0);
+            pendingLength = 0;
+        }
+        
+        while (offset + 64 <= bytes.length) {
+            processBlock(bytes, offset);
+            offset += 64;
+        }
+        
+        if (offset < bytes.length) {
+            pending.set(bytes.subarray(offset), 0);
+            pendingLength = bytes.length - offset;
+        }
+    };
+    
+    const digestHex = () => {
+        const bitLength = totalLength * 8;
+        const padding = new Uint8Array((pendingLength < 56 ? 56 : 120) - pendingLength + 8);
+        padding[0] = 0x80;
+        const view = new DataView(padding.buffer);
+        view.setUint32(padding.length - 8, Math.floor(bitLength / 0x100000000));
+        view.setUint32(padding.length - 4, bitLength >>> 0);
+        update(padding);
+        return Array.from(state, word => word.toString(16).padStart(8, '0')).join('');
+    };
+    
+    return { update, digestHex };
+}
+
+// Client-side encryption
+const ENCRYPTION_ALGORITHM = 'AES-GCM';
+const ENCRYPTION_KEY_DERIVATION = 'PBKDF2-SHA256';
+const ENCRYPTION_ITERATIONS = 600000;
+const ENCRYPTION_IV_BYTES = 12;
+const ENCRYPTION_TAG_BYTES = 16;
+const ENCRYPTION_OVERHEAD_BYTES = ENCRYPTION_IV_BYTES + ENCRYPTION_TAG_BYTES;
+
+function getPassphrasePromptOptions() {
+    return { inputType: 'password', placeholder: 'Enter passphrase', okText: 'OK', icon: '🔒' };
+}
+
+async function promptForNewPassphrase() {
+    const passphrase = await showPrompt(
+        'Passphrase for encrypting the selected files. It never leaves this browser, so the files cannot be recovered if it is lost:',
+        'Encrypt Files', '', getPassphrasePromptOptions());
+    if (!passphrase) {
+        return null;
+    }
+
+    const confirmation = await showPrompt('Enter the passphrase again:', 'Confirm Passphrase', '', getPassphrasePromptOptions());
+    if (confirmation === null) {
+        return null;
+    }
+    if (confirmation !== passphrase) {
+        await showAlert('The passphrases did not match. No files were uploaded.', 'Encryption', 'error');
+        return null;
+    }
+    return passphrase;
+}
+
+async function createEncryptionParameters(passphrase) {
+    const salt = bytesToBase64(crypto.getRandomValues(new Uint8Array(16)));
+    const key = await deriveEncryptionKey(passphrase, salt, ENCRYPTION_ITERATIONS);
+    return {
+        algorithm: ENCRYPTION_ALGORITHM,
+        keyDerivation: ENCRYPTION_KEY_DERIVATION,
+        iterations: ENCRYPTION_ITERATIONS,
+        salt: salt,
+        // Stored locally only, so a resumed upload can't continue with a different passphrase
+        keyCheck: await createKeyCheck(key)
+    };
+}
+
+async function deriveEncryptionKey(passphrase, saltBase64, iterations) {
+    const passphraseKey = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: base64ToBytes(saltBase64), iterations: iterations },
+        passphraseKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']);
+}
+
+function getChunkAdditionalData(index) {
+    // Binding each chunk to its position means reordered or swapped chunks fail to decrypt
+    const data = new Uint8Array(4);
+    new DataView(data.buffer).setUint32(0, index);
+    return data;
+}
+
+async function encryptChunk(key, chunk, index) {
+    const iv = crypto.getRandomValues(new Uint8Array(ENCRYPTION_IV_BYTES));
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv: iv, additionalData: getChunkAdditionalData(index) },
+        key,
+        await chunk.arrayBuffer());
+    return new Blob([iv, ciphertext]);
+}
+
+async function decryptChunk(key, data, index) {
+    const bytes = new Uint8Array(await data.arrayBuffer());
+    try {
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: bytes.slice(0, ENCRYPTION_IV_BYTES), additionalData: getChunkAdditionalData(index) },
+            key,
+            bytes.slice(ENCRYPTION_IV_BYTES));
+        return new Blob([plaintext]);
+    } catch (error) {
+        const decryptionError = new Error('Could not decrypt the file. The passphrase may be wrong or the data may be corrupted');
+        decryptionError.decryptionFailed = true;
+        throw decryptionError;
+    }
+}
+
+async function createKeyCheck(key) {
+    const iv = crypto.getRandomValues(new Uint8Array(ENCRYPTION_IV_BYTES));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, new Uint8Array(16));
+    return { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(data)) };
+}
+
+async function verifyKeyCheck(key, keyCheck) {
+    try {
+        await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(keyCheck.iv) }, key, base64ToBytes(keyCheck.data));
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+// Pending upload storage (IndexedDB)
+const UPLOAD_DB_NAME = 'ByteShelfUploads';
+const UPLOAD_STORE_NAME = 'pendingUploads';
+
+function openUploadDatabase() {
+    return new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+
+        const request = indexedDB.open(UPLOAD_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(UPLOAD_STORE_NAME, { keyPath: 'uploadId' });
+            store.createIndex('ownerTenantId', 'ownerTenantId', { unique: false });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function runUploadStoreRequest(mode, createRequest) {
+    // Resuming is best effort, so storage problems must never fail the upload itself
+    try {
+        const db = await openUploadDatabase();
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction(UPLOAD_STORE_NAME, mode);
+            const request = createRequest(transaction.objectStore(UPLOAD_STORE_NAME));
+            transaction.oncomplete = () => {
+                db.close();
+                resolve(request.result);
+            };
+            transaction.onerror = () => {
+                db.close();
+                reject(transaction.error);
+            };
+        });
+    } catch (error) {
+        console.warn('Pending upload storage failed:', error);
+        return null;
+    }
+}
+
+async function getPendingUploads(ownerTenantId) {
+    const records = await runUploadStoreRequest('readonly', store => store.index('ownerTenantId').getAll(ownerTenantId));
+    return records || [];
+}
+
+async function findPendingUpload(file, targetTenantId, encrypted) {
+    const records = await getPendingUploads(currentTenantInfo.tenantId);
+    return records.find(record =>
+        record.targetTenantId === targetTenantId &&
+        !!record.encryption === encrypted &&
+        matchesPendingUpload(file, record)) || null;
+}
+
+async function savePendingUpload(record) {
+    await runUploadStoreRequest('readwrite', store => store.put(record));
+}
+
+async function deletePendingUpload(uploadId) {
+    await runUploadStoreRequest('readwrite', store => store.delete(uploadId));
+}
+
+// File operations
+async function downloadFile(fileId) {
+    try {
+        // Get the target tenant ID from current path
+        const targetTenantId = currentPath.length > 0 ? currentPath[currentPath.length - 1] : null;
+        const metadata = await getFileMetadata(fileId, targetTenantId);
+        const item = await createDownloadItem(metadata, targetTenantId);
+        if (!item) {
+            return;
+        }
+        
+        // Ask where to save before downloading anything, so chunks can be written to disk as they arrive
+        if (window.showSaveFilePicker) {
+            try {
+                item.fileHandle = await window.showSaveFilePicker({ suggestedName: item.name });
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    return; // The user closed the save dialog
+                }
+                throw error;
+            }
+        } else if (!(await confirmInMemoryDownload(item))) {
+            return;
+        }
+        
+        downloadQueue.push(item);
+        await runDownloadItem(item);
+        
+    } catch (error) {
+        console.error('Failed to download file:', error);
+        await showAlert('Failed to download file: ' + error.message, 'Download Failed', 'error');
+    }
+}
+
+async function createDownloadItem(metadata, targetTenantId, fileId = metadata.id) {
+    const item = {
+        id: crypto.randomUUID(),
+        direction: 'download',
+        fileId: fileId,
+        versionId: fileId !== metadata.id ? metadata.id : null, // Set when an earlier version of the file is downloaded
+        name: metadata.originalFilename,
+        size: metadata.fileSize,
+        contentType: metadata.contentType || 'application/octet-stream',
+        chunkIds: metadata.chunkIds || [],
+        chunkHashes: metadata.chunkHashes || [],
+        expectedSha256: metadata.sha256 || null,
+        fileHasher: metadata.sha256 ? createSha256() : null, // Fed with the file content in order
+        targetTenantId: targetTenantId,
+        status: 'downloading', // 'downloading', 'completed', 'failed' or 'cancelled'
+        nextChunkIndex: 0,
+        bytesTransferred: 0,
+        bytesAtStart: 0,
+        startedAt: null,
+        error: null,
+        encryption: metadata.encryption || null, // Set for files that were encrypted in the browser before upload
+        decryptionKey: null,
+        fileHandle: null, // Set when writing straight to disk through the File System Access API
+        parts: [], // Downloaded chunks when the File System Access API isn't available
+        abortController: null
+    };
+    
+    if (item.encryption && !(await promptForDecryptionKey(item))) {
+        return null;
+    }
+    
+    return item;
+}
+
+async function promptForDecryptionKey(item) {
+    let message = `"${item.name}" is encrypted. Enter its passphrase:`;
+    
+    // The passphrase isn't stored anywhere, so decrypting the first chunk is the only way to check it
+    // before a save dialog is shown or anything is written
+    for (;;) {
+        const passphrase = await showPrompt(message, 'Decrypt File', '', getPassphrasePromptOptions());
+        if (!passphrase) {
+            return false;
+        }
+        
+        item.decryptionKey = await deriveEncryptionKey(passphrase, item.encryption.salt, item.encryption.iterations);
+        if (item.chunkIds.length === 0) {
+            return true;
+        }
+        
+        try {
+            await downloadChunk(item, 0, new AbortController().signal);
+            return true;
+        } catch (error) {
+            item.decryptionKey = null;
+            if (!error.decryptionFailed) {
+                throw error;
+            }
+            message = `The passphrase for "${item.name}" is wrong. Enter it again:`;
+        }
+    }
+}
+
+async function downloadFolderArchive(tenantId, folderName) {
+    closeFolderModal();
+    const folder = subtenants[tenantId];
+    await downloadArchive([], [tenantId], folderName, folder ? folder.currentUsageBytes : 0);
+}
+
+async function downloadArchive(fileIds, folderIds, name, estimatedSize) {
+    try {
+        const targetTenantId = currentPath.length > 0 ? currentPath[currentPath.length - 1] : null;
+        const item = {
+            id: crypto.randomUUID(),
+            direction: 'download',
+            name: `${name}.zip`,
+            size: estimatedSize, // Only an estimate, the archive is built as it downloads
+            contentType: 'application/zip',
+            archive: { tenantId: targetTenantId, fileIds, folderIds },
+            status: 'downloading',
+            bytesTransferred: 0,
+            bytesAtStart: 0,
+            startedAt: null,
+            error: null,
+            fileHandle: null,
+            parts: [],
+            abortController: null
+        };
+        
+        // Ask where to save first, so the archive can be written to disk as it arrives
+        if (window.showSaveFilePicker) {
+            try {
+                item.fileHandle = await window.showSaveFilePicker({ suggestedName: item.name });
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    return; // The user closed the save dialog
+                }
+                throw error;
+            }
+        } else if (!(await confirmInMemoryDownload(item))) {
+            return;
+        }
+        
+        downloadQueue.push(item);
+        await runDownloadItem(item);
+        
+    } catch (error) {
+        console.error('Failed to download archive:', error);
+        await showAlert('Failed to download archive: ' + error.message, 'Download Failed', 'error');
+    }
+}
+
+async function downloadArchiveItem(item) {
+    const signal = item.abortController.signal;
+    
+    // The server builds the archive again on every request, so a retry starts from the beginning
+    item.bytesTransferred = 0;
+    item.bytesAtStart = 0;
+    item.parts = [];
+    
+    const response = await fetch(`${API_BASE}/api/files/archive`, {
+        method: 'POST',
+        headers: {
+            ...getAuthHeaders(),
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(item.archive),
+        signal
+    });
+    
+    if (!response.ok) {
+        throw new Error(`Failed to create the archive: ${response.status} ${response.statusText}`);
+    }
+    
+    const writable = item.fileHandle ? await item.fileHandle.createWritable() : null;
+    try {
+        const reader = response.body.getReader();
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) {
+                break;
+            }
+            if (writable) {
+                await writable.write(value);
+            } else {
+                item.parts.push(value);
+            }
+            item.bytesTransferred += value.length;
+            updateTransferItem(item);
+        }
+        
+        if (writable) {
+            await writable.close();
+        } else {
+            saveBlob(new Blob(item.parts, { type: item.contentType }), item.name);
+            item.parts = [];
+        }
+        item.size = item.bytesTransferred;
+    } catch (error) {
+        if (writable) {
+            await writable.abort();
+        }
+        item.parts = [];
+        throw error;
+    }
+}
+
+async function getFileMetadata(fileId, targetTenantId) {
+    const loaded = files.find(file => file.id === fileId);
+    if (loaded) {
+        return loaded;
+    }
+    
+    const endpoint = targetTenantId 
+        ? `/api/files/${targetTenantId}/${fileId}/metadata`
+        : `/api/files/${fileId}/metadata`;
+    return await makeApiRequest(endpoint);
+}
+
+async function runDownloadItem(item) {
+    item.status = 'downloading';
+    item.error = null;
+    item.startedAt = performance.now();
+    item.bytesAtStart = item.bytesTransferred;
+    item.abortController = new AbortController();
+    renderTransferPanel();
+    
+    try {
+        if (item.archive) {
+            await downloadArchiveItem(item);
+        } else if (item.fileHandle) {
+            await downloadChunksToFile(item);
+        } else {
+            await downloadChunksToBlob(item);
+        }
+        item.status = 'completed';
+    } catch (error) {
+        if (item.abortController.signal.aborted) {
+            item.status = 'cancelled';
+            item.parts = [];
+        } else {
+            console.error('Failed to download file:', error);
+            item.status = 'failed';
+            item.error = error.message;
+            item.passphraseRejected = !!error.decryptionFailed;
+        }
+    }
+    
+    renderTransferPanel();
+}
+
+async function downloadChunksToFile(item) {
+    const signal = item.abortController.signal;
+    const resuming = item.nextChunkIndex > 0;
+    const writable = await item.fileHandle.createWritable({ keepExistingData: resuming });
+    
+    try {
+        if (resuming) {
+            await writable.seek(item.bytesTransferred);
+        }
+        
+        while (item.nextChunkIndex < item.chunkIds.length) {
+            const data = await downloadChunk(item, item.nextChunkIndex, signal);
+            await writable.write(data);
+            await updateDownloadHash(item, data);
+            item.nextChunkIndex++;
+            item.bytesTransferred += data.size;
+            updateTransferItem(item);
+        }
+        
+        verifyDownloadHash(item);
+        await writable.close();
+    } catch (error) {
+        if (signal.aborted) {
+            await writable.abort();
+        } else {
+            // Keep the chunks written so far so the download can resume after them
+            await writable.close();
+        }
+        throw error;
+    }
+}
+
+async function downloadChunksToBlob(item) {
+    const signal = item.abortController.signal;
+    
+    // Without the File System Access API the whole file is kept in memory until it is saved,
+    // so only the chunks are small. confirmInMemoryDownload warns about large files first.
+    while (item.nextChunkIndex < item.chunkIds.length) {
+        const data = await downloadChunk(item, item.nextChunkIndex, signal);
+        item.parts.push(data);
+        await updateDownloadHash(item, data);
+        item.nextChunkIndex++;
+        item.bytesTransferred += data.size;
+        updateTransferItem(item);
+    }
+    
+    verifyDownloadHash(item);
+    const blob = new Blob(item.parts, { type: item.contentType });
+    item.parts = [];
+    saveBlob(blob, item.name);
+}
+
+async function downloadChunk(item, index, signal) {
+    const chunkId = item.chunkIds[index];
+    // The server records the download of the file when its first chunk is fetched
+    const params = new URLSearchParams({ fileId: item.fileId });
+    if (item.versionId) {
+        params.set('versionId', item.versionId);
+    }
+    const chunkUrl = item.targetTenantId 
+        ? `${API_BASE}/api/chunks/${item.targetTenantId}/${chunkId}?${params}`
+        : `${API_BASE}/api/chunks/${chunkId}?${params}`;
+    
+    return retryTransientErrors(async () => {
+        const response = await fetch(chunkUrl, {
+            headers: {
+                ...getAuthHeaders()
+            },
+            signal
+        });
+        
+        if (!response.ok) {
+            const error = new Error(`Failed to download chunk: ${response.status} ${response.statusText}`);
+            error.status = response.status;
+            error.retryAfterSeconds = parseInt(response.headers.get('Retry-After'), 10) || null;
+            throw error;
+        }
+        
+        const data = await response.blob();
+        
+        // Verify the stored bytes before decrypting, so corruption is reported as such
+        const expectedHash = item.chunkHashes[index];
+        if (expectedHash && await sha256Hex(data) !== expectedHash) {
+            throw new Error(`Chunk ${index + 1} of ${item.chunkIds.length} failed the integrity check`);
+        }
+        
+        return item.decryptionKey ? await decryptChunk(item.decryptionKey, data, index) : data;
+    }, signal);
+}
+
+async function updateDownloadHash(item, data) {
+    if (item.fileHasher) {
+        item.fileHasher.update(new Uint8Array(await data.arrayBuffer()));
+    }
+}
+
+function verifyDownloadHash(item) {
+    if (!item.fileHasher) {
+        return;
+    }
+    
+    // The hasher can't be used again after the digest, so a failed check starts the download over
+    const actualSha256 = item.fileHasher.digestHex();
+    if (actualSha256 !== item.expectedSha256) {
+        item.fileHasher = createSha256();
+        item.nextChunkIndex = 0;
+        item.bytesTransferred = 0;
+        item.parts = [];
+        throw new Error('The downloaded file does not match its SHA-256 hash');
+    }
+    item.fileHasher = null; // Verified, so checking again after a failed save doesn't digest twice
+}
+
+async function confirmInMemoryDownload(item) {
+    if (item.size <= MAX_IN_MEMORY_DOWNLOAD_BYTES) {
+        return true;
+    }
+    
+    return await showConfirm(
+        `This browser can't save downloads straight to disk, so all ${formatBytes(item.size)} of "${item.name}" have to fit in memory until the download is finished. The tab may crash if they don't.\n\nDownload anyway?`,
+        'Large Download');
+}
+
+function saveBlob(blob, filename) {
+    const url = window.URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.style.display = 'none';
+    
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    
+    // Clean up the blob URL
+    window.URL.revokeObjectURL(url);
+}
+
+function getDownloadActions(item) {
+    switch (item.status) {
+        case 'downloading':
+            return `<button onclick="cancelDownload('${item.id}')" class="delete-btn">Cancel</button>`;
+        case 'failed':
+            return `
+                <button onclick="resumeDownload('${item.id}')" class="download-btn">${item.archive ? 'Retry download' : 'Resume download'}</button>
+                <button onclick="cancelDownload('${item.id}')" class="delete-btn">Discard</button>
+            `;
+        default:
+            return '';
+    }
+}
+
+function cancelDownload(itemId) {
+    const item = downloadQueue.find(download => download.id === itemId);
+    if (!item) {
+        return;
+    }
+    
+    if (item.status === 'downloading') {
+        item.abortController.abort();
+    } else {
+        item.status = 'cancelled';
+        item.parts = [];
+        renderTransferPanel();
+    }
+}
+
+async function resumeDownload(itemId) {
+    const item = downloadQueue.find(download => download.id === itemId);
+    if (!item || item.status !== 'failed') {
+        return;
+    }
+    
+    // Resuming with the key that just failed to decrypt would fail again
+    if (item.passphraseRejected) {
+        try {
+            if (!(await promptForDecryptionKey(item))) {
+                return;
+            }
+        } catch (error) {
+            await showAlert('Failed to resume download: ' + error.message, 'Download Failed', 'error');
+            return;
+        }
+        item.passphraseRejected = false;
+    }
+    
+    await runDownloadItem(item);
+}
+
+async function deleteFile(fileId) {
+    const confirmed = await showConfirm('Are you sure you want to delete this file?\n\nIt is moved to the trash, where you can restore it until it is purged.', 'Delete File');
+    if (!confirmed) {
+        return;
+    }
+    
+    try {
+        // Get the target tenant ID from current path
+        const targetTenantId = currentPath.length > 0 ? currentPath[currentPath.length - 1] : null;
+        
+        // Use fetch directly since DELETE with NoContent() response can't be parsed as JSON
+        const deleteUrl = targetTenantId 
+            ? `${API_BASE}/api/files/${targetTenantId}/${fileId}`
+            : `${API_BASE}/api/files/${fileId}`;
+            
+        const response = await fetch(deleteUrl, {
+            method: 'DELETE',
+            headers: {
+                ...getAuthHeaders()
+            }
+        });
+        
+        if (!response.ok) {
+            throw new Error(`Delete failed: ${response.statusText}`);
+        }
+        
+        await loadFiles();
+        await loadTenantInfo();
+        await showAlert('File moved to the trash.', 'Delete Complete', 'success');
+        
+    } catch (error) {
+        console.error('Failed to delete file:', error);
+        await showAlert('Failed to delete file: ' + error.message, 'Delete Failed', 'error');
+    }
+}
+
+function openFileDetails(fileId) {
+    const metadata = files.find(file => file.id === fileId);
+    if (metadata) {
+        pushRoute(fileId);
+        fileDetailsPushedHistory = true;
+        showFileDetails(metadata);
+    }
+}
+
+function showFileDetails(metadata) {
+    const modal = document.getElementById('file-modal');
+    const modalTitle = document.getElementById('modal-title');
+    const modalContent = document.getElementById('modal-content');
+    
+    modalTitle.textContent = metadata.originalFilename;
+    modalContent.innerHTML = `
+        <div style="margin-bottom: 16px;">
+            <strong>File Name:</strong> ${escapeHtml(metadata.originalFilename)}<br>
+            <strong>Size:</strong> ${formatBytes(metadata.fileSize)}<br>
+            <strong>Type:</strong> ${escapeHtml(metadata.contentType)}<br>
+            <strong>Created:</strong> ${formatDate(metadata.createdAt)}<br>
+            <strong>Chunks:</strong> ${metadata.chunkIds ? metadata.chunkIds.length : 0}
+            ${metadata.sha256 ? `<br><strong>SHA-256:</strong> <code class="file-hash">${escapeHtml(metadata.sha256)}</code>` : ''}
+            ${metadata.encryption ? `<br><strong>Encryption:</strong> ${escapeHtml(metadata.encryption.algorithm)} (${escapeHtml(metadata.encryption.keyDerivation)}, ${metadata.encryption.iterations} iterations)` : ''}
+        </div>
+        <div id="file-labels-section" class="file-labels-section"></div>
+        <div id="file-preview" class="file-preview">
+            <div class="loading">Loading preview...</div>
+        </div>
+        <div id="file-versions" class="file-versions">
+            <div class="loading">Loading versions...</div>
+        </div>
+        <div class="modal-actions">
+            <button class="btn btn-primary" onclick="downloadFile('${metadata.id}')">Download</button>
+        </div>
+    `;
+    
+    modal.style.display = 'flex';
+    renderFileLabels(metadata);
+    renderFilePreview(metadata);
+    loadFileVersions(metadata);
+}
+
+function closeModal() {
+    document.getElementById('file-modal').style.display = 'none';
+    fileVersionsTarget = null;
+    fileLabelsTarget = null;
+    clearFilePreview();
+}
+
+// File versions
+let fileVersionsTarget = null; // The file in the details modal and its earlier versions, most recent first
+
+async function loadFileVersions(metadata) {
+    const container = document.getElementById('file-versions');
+    const targetTenantId = currentPath.length > 0 ? currentPath[currentPath.length - 1] : null;
+    fileVersionsTarget = { tenantId: targetTenantId, file: metadata, versions: [] };
+    
+    try {
+        const endpoint = targetTenantId
+            ? `/api/files/${targetTenantId}/${metadata.id}/versions`
+            : `/api/files/${metadata.id}/versions`;
+        const versions = await makeApiRequest(endpoint);
+        if (!fileVersionsTarget || fileVersionsTarget.file !== metadata) {
+            return; // Another file was opened while the versions loaded
+        }
+        fileVersionsTarget.versions = versions;
+        
+        const current = createFileVersionItem('Current version', metadata, '');
+        const earlier = versions.map((version, index) => createFileVersionItem(
+            `Version ${versions.length - index}`,
+            version,
+            `
+                <button class="btn btn-secondary" onclick="downloadFileVersion(${index})">Download</button>
+                <button class="btn btn-primary" onclick="restoreFileVersion(${index})">Restore as current</button>
+            `
+        ));
+        
+        container.innerHTML = `
+            <h4>Versions</h4>
+            <p class="trash-note">
+                ${escapeHtml(formatVersionLimit())}
+                <a href="#" onclick="event.preventDefault(); changeVersionLimit()">Change</a>
+            </p>
+            <div class="tenants-list">${current}${earlier.join('')}</div>
+        `;
+    } catch (error) {
+        console.error('Failed to load file versions:', error);
+        container.innerHTML = '<div class="preview-message">Failed to load the versions of this file</div>';
+    }
+}
+
+function createFileVersionItem(title, version, actions) {
+    return `
+        <div class="tenant-item">
+            <div class="tenant-header">
+                <div class="tenant-name">${escapeHtml(title)}</div>
+            </div>
+            <div class="tenant-storage">
+                <div class="storage-item">
+                    <div class="storage-label">Size</div>
+                    <div class="storage-value">${formatBytes(version.fileSize)}</div>
+                </div>
+                <div class="storage-item">
+                    <div class="storage-label">Uploaded</div>
+                    <div class="storage-value">${formatDate(version.createdAt)}</div>
+                </div>
+                <div class="storage-item">
+                    <div class="storage-label">Uploaded with key</div>
+                    <div class="storage-value">${version.uploadedBy ? escapeHtml(version.uploadedBy) : 'Unknown'}</div>
+                </div>
+            </div>
+            ${actions ? `<div class="tenant-actions">${actions}</div>` : ''}
+        </div>
+    `;
+}
+
+function formatVersionLimit() {
+    const maxVersions = currentTenantInfo ? currentTenantInfo.maxFileVersions : null;
+    if (maxVersions === 0) {
+        return 'Earlier versions are not kept, uploading a file with the same name replaces it.';
+    }
+    return `Uploading a file with the same name adds a new version, and the ${maxVersions} most recent earlier versions are kept. They count towards your storage limit.`;
+}
+
+async function downloadFileVersion(index) {
+    const version = fileVersionsTarget ? fileVersionsTarget.versions[index] : null;
+    if (!version) {
+        return;
+    }
+    
+    try {
+        // The version has its own chunks, so it downloads like any file
+        const item = await createDownloadItem(version, fileVersionsTarget.tenantId, fileVersionsTarget.file.id);
+        if (!item) {
+            return;
+        }
+        
+        if (window.showSaveFilePicker) {
+            try {
+                item.fileHandle = await window.showSaveFilePicker({ suggestedName: item.name });
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    return; // The user closed the save dialog
+                }
+                throw error;
+            }
+        }
+        
+        downloadQueue.push(item);
+        await runDownloadItem(item);
+        
+    } catch (error) {
+        console.error('Failed to download version:', error);
+        await showAlert('Failed to download version: ' + error.message, 'Download Failed', 'error');
+    }
+}
+
+async function restoreFileVersion(index) {
+    const version = fileVersionsTarget ? fileVersionsTarget.versions[index] : null;
+    if (!version) {
+        return;
+    }
+    
+    const { tenantId, file } = fileVersionsTarget;
+    const confirmed = await showConfirm(
+        `Make the version from ${formatDate(version.createdAt)} the current version of "${file.originalFilename}"?\n\nThe current version is kept as an earlier version.`,
+        'Restore Version'
+    );
+    if (!confirmed) {
+        return;
+    }
+    
+    try {
+        const endpoint = tenantId
+            ? `/api/files/${tenantId}/${file.id}/versions/${version.id}/restore`
+            : `/api/files/${file.id}/versions/${version.id}/restore`;
+        const restored = await makeApiRequest(endpoint, { method: 'POST' });
+        
+        await loadFiles();
+        await loadTenantInfo();
+        showFileDetails(files.find(item => item.id === restored.id) || restored);
+    } catch (error) {
+        console.error('Failed to restore version:', error);
+        await showAlert('Failed to restore version: ' + error.message, 'Restore Failed', 'error');
+    }
+}
+
+async function changeVersionLimit() {
+    const value = await showPrompt(
+        'How many earlier versions of each file to keep (0 keeps none):',
+        'Version History',
+        String(currentTenantInfo.maxFileVersions),
+        { okText: 'Save', icon: '🕘', inputType: 'number', placeholder: 'Number of versions' }
+    );
+    if (value === null || value === '') {
+        return;
+    }
+    
+    const maxFileVersions = Number(value);
+    if (!Number.isInteger(maxFileVersions) || maxFileVersions < 0) {
+        await showAlert('The number of versions must be a whole number of 0 or more.', 'Invalid Number', 'error');
+        return;
+    }
+    
+    try {
+        // Fetch directly, since the response has no body
+        const response = await fetch(`${API_BASE}/api/tenant/version-limit`, {
+            method: 'PUT',
+            headers: {
+                ...getAuthHeaders(),
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ maxFileVersions })
+        });
+        if (response.status === 401) {
+            handleUnauthorized();
+        }
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        
+        currentTenantInfo.maxFileVersions = maxFileVersions;
+        if (fileVersionsTarget) {
+            await loadFileVersions(fileVersionsTarget.file);
+        }
+    } catch (error) {
+        console.error('Failed to change version limit:', error);
+        await showAlert('Failed to change the number of versions: ' + error.message, 'Update Failed', 'error');
+    }
+}
+
+// File labels
+// Files can have tags and key/value attributes. As text, a label with "=" is an attribute and any
+// other label is a tag, as in "release, build=1234". The details editor takes one label per line instead,
+// so values there can contain commas. The limits match the ones the server checks.
+const LABEL_MAX_COUNT = 50;
+const LABEL_MAX_NAME_LENGTH = 64;
+const LABEL_MAX_VALUE_LENGTH = 1024;
+let fileLabelsTarget = null; // The tenant and file whose labels are shown in the details modal
+
+function parseLabelsText(text, separator) {
+    const labels = { tags: [], attributes: {} };
+    text.split(separator).map(label => label.trim()).filter(label => label).forEach(label => {
+        const separatorIndex = label.indexOf('=');
+        if (separatorIndex >= 0) {
+            labels.attributes[label.slice(0, separatorIndex).trim()] = label.slice(separatorIndex + 1).trim();
+        } else if (!labels.tags.some(tag => tag.toLowerCase() === label.toLowerCase())) {
+            labels.tags.push(label);
+        }
+    });
+    return labels;
+}
+
+function formatLabelsText(file, separator) {
+    const attributes = Object.entries(file.attributes || {}).map(([key, value]) => `${key}=${value}`);
+    return [...(file.tags || []), ...attributes].join(separator);
+}
+
+function getLabelsError(labels) {
+    const keys = Object.keys(labels.attributes);
+    if (labels.tags.length > LABEL_MAX_COUNT || keys.length > LABEL_MAX_COUNT) {
+        return `A file can have at most ${LABEL_MAX_COUNT} tags and ${LABEL_MAX_COUNT} attributes.`;
+    }
+    if (keys.includes('')) {
+        return 'Every attribute needs a name before the "=".';
+    }
+    const longName = [...labels.tags, ...keys].find(name => name.length > LABEL_MAX_NAME_LENGTH);
+    if (longName) {
+        return `"${longName}" is longer than ${LABEL_MAX_NAME_LENGTH} characters.`;
+    }
+    const longValueKey = keys.find(key => labels.attributes[key].length > LABEL_MAX_VALUE_LENGTH);
+    if (longValueKey) {
+        return `The value of "${longValueKey}" is longer than ${LABEL_MAX_VALUE_LENGTH} characters.`;
+    }
+    return null;
+}
+
+function createLabelChips(file, clickable) {
+    const chips = [
+        ...(file.tags || []).map(tag => createLabelChip(tag, `tag:${tag}`, clickable)),
+        ...Object.entries(file.attributes || {}).map(([key, value]) => value
+            ? createLabelChip(`${key}=${value}`, `attr:${key}=${value}`, clickable)
+            : createLabelChip(key, `attr:${key}`, clickable))
+    ];
+    return chips.length > 0 ? `<div class="file-labels">${chips.join('')}</div>` : '';
+}
+
+function createLabelChip(text, filter, clickable) {
+    if (!clickable) {
+        return `<span class="label-chip">${escapeHtml(text)}</span>`;
+    }
+    return `<span class="label-chip clickable" onclick="event.stopPropagation(); addSearchFilter(${escapeHtml(JSON.stringify(filter))})" title="Show files labeled ${escapeHtml(text)}">${escapeHtml(text)}</span>`;
+}
+
+function addSearchFilter(filter) {
+    // Values with spaces are quoted, which the search box understands
+    const separatorIndex = filter.indexOf(':');
+    const value = filter.slice(separatorIndex + 1);
+    const token = /\s/.test(value) ? `${filter.slice(0, separatorIndex + 1)}"${value}"` : filter;
+    
+    const searchInput = document.getElementById('search-input');
+    if (!searchInput.value.split(/\s+/).includes(token)) {
+        searchInput.value = `${searchInput.value.trim()} ${token}`.trim();
+    }
+    renderFileList();
+}
+
+function renderFileLabels(metadata) {
+    const container = document.getElementById('file-labels-section');
+    const targetTenantId = currentPath.length > 0 ? currentPath[currentPath.length - 1] : null;
+    fileLabelsTarget = { tenantId: targetTenantId, file: metadata };
+    
+    container.innerHTML = `
+        <h4>Labels</h4>
+        ${createLabelChips(metadata, false) || '<p class="trash-note">This file has no tags or attributes.</p>'}
+        <div class="tenant-actions">
+            <button class="btn btn-secondary" onclick="editFileLabels()">Edit labels</button>
+        </div>
+    `;
+}
+
+function editFileLabels() {
+    if (!fileLabelsTarget) {
+        return;
+    }
+    
+    const container = document.getElementById('file-labels-section');
+    container.innerHTML = `
+        <h4>Labels</h4>
+        <textarea id="file-labels-input" class="labels-input" rows="5" placeholder="release&#10;project=apollo">${escapeHtml(formatLabelsText(fileLabelsTarget.file, '\n'))}</textarea>
+        <p class="trash-note">One label per line. A line like build=1234 is an attribute, any other line is a tag.</p>
+        <div class="tenant-actions">
+            <button class="btn btn-secondary" onclick="renderFileLabels(fileLabelsTarget.file)">Cancel</button>
+            <button class="btn btn-primary" onclick="saveFileLabels()">Save</button>
+        </div>
+    `;
+    document.getElementById('file-labels-input').focus();
+}
+
+async function saveFileLabels() {
+    if (!fileLabelsTarget) {
+        return;
+    }
+    
+    const { tenantId, file } = fileLabelsTarget;
+    const labels = parseLabelsText(document.getElementById('file-labels-input').value, '\n');
+    const labelsError = getLabelsError(labels);
+    if (labelsError) {
+        await showAlert(labelsError, 'Invalid Labels', 'error');
+        return;
+    }
+    
+    try {
+        const endpoint = tenantId ? `/api/files/${tenantId}/${file.id}/labels` : `/api/files/${file.id}/labels`;
         
-        let response;
-        if (currentTenantId) {
-            // We're inside a subtenant, create under the current subtenant
-            response = await makeApiRequestWithBody(`/api/tenant/subtenants/${currentTenantId}/subtenants`, 'POST', {
-                displayName: folderName.trim()
-            });
-        } else {
-            // We're at root level, create under the authenticated tenant
-            response = await makeApiRequestWithBody('/api/tenant/subtenants', 'POST', {
-                displayName: folderName.trim()
-            });
+        // Fetch directly, so the reason labels were refused can be shown instead of just the status
+        const response = await fetch(`${API_BASE}${endpoint}`, {
+            method: 'PUT',
+            headers: {
+                ...getAuthHeaders(),
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(labels)
+        });
+        if (response.status === 401) {
+            handleUnauthorized();
+        }
+        if (!response.ok) {
+            const reason = await response.text();
+            throw new Error(reason && reason.length < 300 ? reason.replace(/^"|"$/g, '') : `HTTP ${response.status}: ${response.statusText}`);
         }
+        const updated = await response.json();
         
-        // Refresh the file list to show the new folder
+        // Only the labels changed, so the list is updated in place instead of reloaded
+        const index = files.findIndex(item => item.id === updated.id);
+        if (index >= 0) {
+            files[index] = updated;
+        }
+        folderSearchCache = null;
+        renderFileList();
+        
+        if (fileLabelsTarget && fileLabelsTarget.file === file) {
+            renderFileLabels(updated);
+        }
+    } catch (error) {
+        console.error('Failed to save labels:', error);
+        await showAlert('Failed to save labels: ' + error.message, 'Update Failed', 'error');
+    }
+}
+
+// Share links
+let shareDialogTarget = null; // The tenant and, for file links, the file being shared
+
+function showShareDialog(fileId, folderTenantId = null) {
+    let name;
+    if (fileId) {
+        const metadata = files.find(file => file.id === fileId);
+        name = metadata ? metadata.originalFilename : 'file';
+        const targetTenantId = currentPath.length > 0 ? currentPath[currentPath.length - 1] : null;
+        shareDialogTarget = { tenantId: targetTenantId, fileId: fileId };
+    } else {
+        name = subtenants[folderTenantId] ? subtenants[folderTenantId].displayName : 'folder';
+        shareDialogTarget = { tenantId: folderTenantId, fileId: null };
+    }
+    
+    document.getElementById('share-title').textContent = `Share "${name}"`;
+    document.getElementById('share-form').reset();
+    document.getElementById('share-form').style.display = '';
+    document.getElementById('share-result').style.display = 'none';
+    document.getElementById('share-modal').style.display = 'flex';
+}
+
+function closeShareModal() {
+    document.getElementById('share-modal').style.display = 'none';
+    shareDialogTarget = null;
+}
+
+async function createShareLink(event) {
+    event.preventDefault();
+    
+    const maxDownloads = document.getElementById('share-max-downloads').value;
+    const password = document.getElementById('share-password').value;
+    
+    try {
+        const link = await makeApiRequestWithBody('/api/share', 'POST', {
+            tenantId: shareDialogTarget.tenantId,
+            fileId: shareDialogTarget.fileId,
+            expiresInHours: parseInt(document.getElementById('share-expiry').value),
+            maxDownloads: maxDownloads ? parseInt(maxDownloads) : null,
+            password: password || null
+        });
+        
+        const urlInput = document.getElementById('share-url');
+        urlInput.value = getShareUrl(link.token);
+        document.getElementById('share-form').style.display = 'none';
+        document.getElementById('share-result').style.display = 'block';
+        urlInput.select();
+    } catch (error) {
+        console.error('Failed to create share link:', error);
+        await showAlert('Failed to create share link: ' + error.message, 'Share Failed', 'error');
+    }
+}
+
+function getShareUrl(token) {
+    return `${API_BASE}/?share=${encodeURIComponent(token)}`;
+}
+
+async function copyShareUrl(url, button = null) {
+    try {
+        await navigator.clipboard.writeText(url);
+        if (button) {
+            const originalText = button.textContent;
+            button.textContent = 'Copied';
+            setTimeout(() => { button.textContent = originalText; }, 2000);
+        }
+    } catch (error) {
+        // The clipboard API is only available on secure origins, so let the user copy it by hand
+        await showPrompt('Copy the link below:', 'Share Link', url, { okText: 'Close', icon: '🔗', placeholder: '' });
+    }
+}
+
+function showShareLinks() {
+    document.getElementById('share-links-modal').style.display = 'flex';
+    loadShareLinks();
+}
+
+function closeShareLinks() {
+    document.getElementById('share-links-modal').style.display = 'none';
+}
+
+async function loadShareLinks() {
+    const list = document.getElementById('share-links-list');
+    list.innerHTML = '<div class="loading">Loading shared links...</div>';
+    
+    try {
+        const links = await makeApiRequest('/api/share');
+        if (links.length === 0) {
+            list.innerHTML = '<div class="loading">No active shared links</div>';
+            return;
+        }
+        
+        list.innerHTML = links.map(link => {
+            const downloads = link.maxDownloads ? `${link.downloadCount} / ${link.maxDownloads}` : `${link.downloadCount}`;
+            return `
+                <div class="tenant-item">
+                    <div class="tenant-header">
+                        <div class="tenant-name">
+                            ${link.fileId ? '📄' : '📁'} ${escapeHtml(link.name)}
+                            ${link.hasPassword ? '<span class="encrypted-icon" title="Password protected">🔒</span>' : ''}
+                        </div>
+                    </div>
+                    <div class="tenant-storage">
+                        <div class="storage-item">
+                            <div class="storage-label">Created</div>
+                            <div class="storage-value">${formatDate(link.createdAt)}</div>
+                        </div>
+                        <div class="storage-item">
+                            <div class="storage-label">Expires</div>
+                            <div class="storage-value">${formatDate(link.expiresAt)}</div>
+                        </div>
+                        <div class="storage-item">
+                            <div class="storage-label">Downloads</div>
+                            <div class="storage-value">${downloads}</div>
+                        </div>
+                    </div>
+                    <div class="tenant-actions">
+                        <button onclick="copyShareUrl('${getShareUrl(link.token)}', this)" class="btn btn-primary">Copy Link</button>
+                        <button onclick="revokeShareLink('${link.id}')" class="btn btn-danger">Revoke</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    } catch (error) {
+        console.error('Failed to load share links:', error);
+        list.innerHTML = '<div class="loading">Failed to load shared links</div>';
+    }
+}
+
+async function revokeShareLink(linkId) {
+    const confirmed = await showConfirm(
+        'Are you sure you want to revoke this link?\n\nAnyone who has it will no longer be able to download through it.',
+        'Revoke Link'
+    );
+    if (!confirmed) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/share/${linkId}`, {
+            method: 'DELETE',
+            headers: {
+                ...getAuthHeaders()
+            }
+        });
+        
+        if (!response.ok) {
+            throw new Error(`Revoke failed: ${response.statusText}`);
+        }
+        
+        await loadShareLinks();
+    } catch (error) {
+        console.error('Failed to revoke share link:', error);
+        await showAlert('Failed to revoke link: ' + error.message, 'Revoke Failed', 'error');
+    }
+}
+
+// API keys
+// Named keys are only shown when they are generated or rotated, since the server keeps a hash of them.
+// Keys with limited access can't change keys, and the server refuses it with a message that is shown in the form.
+const API_KEY_SCOPE_NAMES = {
+    ReadOnly: 'Read only',
+    UploadOnly: 'Upload only',
+    NoDelete: 'No delete',
+    Admin: 'Admin'
+};
+let apiKeys = [];
+
+function showApiKeys() {
+    resetApiKeyForm();
+    document.getElementById('api-key-admin-option').style.display = currentTenantInfo && currentTenantInfo.isAdmin ? '' : 'none';
+    document.getElementById('api-keys-modal').style.display = 'flex';
+    loadApiKeys();
+}
+
+function closeApiKeys() {
+    document.getElementById('api-keys-modal').style.display = 'none';
+    resetApiKeyForm();
+}
+
+function resetApiKeyForm() {
+    document.getElementById('api-key-form').reset();
+    document.getElementById('api-key-form').style.display = '';
+    document.getElementById('api-key-value').value = '';
+    document.getElementById('api-key-result').style.display = 'none';
+    showFormError('api-key-error', '');
+}
+
+async function loadApiKeys() {
+    const list = document.getElementById('api-keys-list');
+    list.innerHTML = '<div class="loading">Loading API keys...</div>';
+    
+    try {
+        apiKeys = await makeApiRequest('/api/keys');
+        if (apiKeys.length === 0) {
+            list.innerHTML = '<div class="loading">No API keys have been generated</div>';
+            return;
+        }
+        
+        list.innerHTML = apiKeys.map(key => {
+            const scopes = key.scopes.length > 0
+                ? key.scopes.map(scope => createLabelChip(API_KEY_SCOPE_NAMES[scope] || scope, null, false)).join('')
+                : createLabelChip('Full access', null, false);
+            const expired = key.expiresAt && new Date(key.expiresAt) <= new Date();
+            const expires = key.expiresAt ? `${formatDate(key.expiresAt)}${expired ? ' (expired)' : ''}` : 'Never';
+            return `
+                <div class="tenant-item">
+                    <div class="tenant-header">
+                        <div class="tenant-name">
+                            🔑 ${escapeHtml(key.name)} <span class="trash-note">${escapeHtml(key.hint)}</span>
+                            ${key.isCurrent ? '<span class="admin-badge">This session</span>' : ''}
+                        </div>
+                    </div>
+                    <div class="file-labels">${scopes}</div>
+                    <div class="tenant-storage">
+                        <div class="storage-item">
+                            <div class="storage-label">Created</div>
+                            <div class="storage-value">${key.createdAt ? formatDate(key.createdAt) : 'Unknown'}</div>
+                        </div>
+                        <div class="storage-item">
+                            <div class="storage-label">Expires</div>
+                            <div class="storage-value">${expires}</div>
+                        </div>
+                        <div class="storage-item">
+                            <div class="storage-label">Last used</div>
+                            <div class="storage-value">${key.lastUsedAt ? formatDate(key.lastUsedAt) : 'Never'}</div>
+                        </div>
+                    </div>
+                    <div class="tenant-actions">
+                        <button onclick="rotateApiKey(${escapeHtml(JSON.stringify(key.id))})" class="btn btn-primary">Rotate</button>
+                        <button onclick="revokeApiKey(${escapeHtml(JSON.stringify(key.id))})" class="btn btn-danger">Revoke</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    } catch (error) {
+        console.error('Failed to load API keys:', error);
+        list.innerHTML = '<div class="loading">Failed to load API keys</div>';
+    }
+}
+
+function getApiKeyFormScopes() {
+    const access = document.getElementById('api-key-access').value;
+    const scopes = access ? [access] : [];
+    if (document.getElementById('api-key-no-delete').checked && access !== 'ReadOnly') {
+        scopes.push('NoDelete');
+    }
+    if (document.getElementById('api-key-admin').checked) {
+        scopes.push('Admin');
+    }
+    return scopes;
+}
+
+async function createApiKey(event) {
+    event.preventDefault();
+    showFormError('api-key-error', '');
+    
+    const days = document.getElementById('api-key-expiry').value;
+    try {
+        const created = await sendAdminRequest('/api/keys', 'POST', {
+            name: document.getElementById('api-key-name').value.trim(),
+            scopes: getApiKeyFormScopes(),
+            expiresAt: days ? new Date(Date.now() + parseInt(days) * 24 * 60 * 60 * 1000).toISOString() : null
+        });
+        
+        showGeneratedApiKey(created.key);
+        await loadApiKeys();
+    } catch (error) {
+        showFormError('api-key-error', error.message);
+    }
+}
+
+function showGeneratedApiKey(key) {
+    const input = document.getElementById('api-key-value');
+    input.value = key;
+    document.getElementById('api-key-form').style.display = 'none';
+    document.getElementById('api-key-result').style.display = 'block';
+    input.select();
+}
+
+async function copyApiKey(button) {
+    const key = document.getElementById('api-key-value').value;
+    try {
+        await navigator.clipboard.writeText(key);
+        const originalText = button.textContent;
+        button.textContent = 'Copied';
+        setTimeout(() => { button.textContent = originalText; }, 2000);
+    } catch (error) {
+        // The clipboard API is only available on secure origins, so let the user copy it by hand
+        await showPrompt('Copy the key below:', 'API Key', key, { okText: 'Close', icon: '🔑', placeholder: '' });
+    }
+}
+
+async function rotateApiKey(keyId) {
+    const key = apiKeys.find(candidate => candidate.id === keyId);
+    if (!key) {
+        return;
+    }
+    
+    const consequence = key.isCurrent
+        ? 'This session uses the key and will switch to the new one. If this account is saved with a PIN on this device, add it again with the new key.'
+        : 'The current key stops working immediately, so anything that uses it needs the new one.';
+    const confirmed = await showConfirm(`Rotate the key "${key.name}"?\n\n${consequence}`, 'Rotate Key');
+    if (!confirmed) {
+        return;
+    }
+    
+    try {
+        const rotated = await sendAdminRequest(`/api/keys/${encodeURIComponent(keyId)}/rotate`, 'POST', {});
+        if (key.isCurrent) {
+            currentApiKey = rotated.key;
+            updateRememberedApiKey(currentTenantInfo.tenantId, rotated.key);
+        }
+        
+        showGeneratedApiKey(rotated.key);
+        await loadApiKeys();
+    } catch (error) {
+        console.error('Failed to rotate API key:', error);
+        await showAlert('Failed to rotate key: ' + error.message, 'Rotate Failed', 'error');
+    }
+}
+
+async function revokeApiKey(keyId) {
+    const key = apiKeys.find(candidate => candidate.id === keyId);
+    if (!key) {
+        return;
+    }
+    
+    const consequence = key.isCurrent
+        ? 'This session uses the key, so you will be signed out.'
+        : 'Anything that uses the key will no longer be able to sign in with it.';
+    const confirmed = await showConfirm(`Revoke the key "${key.name}"?\n\n${consequence}`, 'Revoke Key');
+    if (!confirmed) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/keys/${encodeURIComponent(keyId)}`, {
+            method: 'DELETE',
+            headers: {
+                ...getAuthHeaders()
+            }
+        });
+        
+        if (!response.ok) {
+            throw new Error(await readAdminError(response));
+        }
+        
+        if (key.isCurrent) {
+            logout();
+            return;
+        }
+        
+        await loadApiKeys();
+    } catch (error) {
+        console.error('Failed to revoke API key:', error);
+        await showAlert('Failed to revoke key: ' + error.message, 'Revoke Failed', 'error');
+    }
+}
+
+// Trash
+// Deleted files and folders stay in the trash until they are restored or purged.
+function showTrash() {
+    document.getElementById('trash-modal').style.display = 'flex';
+    loadTrash();
+}
+
+function closeTrash() {
+    document.getElementById('trash-modal').style.display = 'none';
+}
+
+function formatTrashLocation(path) {
+    const pathNames = [currentTenantInfo.displayName, ...path.map(segment => segment.displayName)];
+    return pathNames.map(name => escapeHtml(name)).join(' › ');
+}
+
+function formatPurgeTime(purgeAt) {
+    const days = Math.ceil((new Date(purgeAt) - Date.now()) / (24 * 60 * 60 * 1000));
+    if (days <= 0) {
+        return 'Soon';
+    }
+    return days === 1 ? 'In 1 day' : `In ${days} days`;
+}
+
+function createTrashItem(icon, name, location, deletedAt, purgeAt, sizeBytes, actions) {
+    return `
+        <div class="tenant-item">
+            <div class="tenant-header">
+                <div class="tenant-name">${icon} ${escapeHtml(name)}</div>
+            </div>
+            <div class="tenant-storage">
+                <div class="storage-item">
+                    <div class="storage-label">Deleted from</div>
+                    <div class="storage-value">${location}</div>
+                </div>
+                <div class="storage-item">
+                    <div class="storage-label">Deleted</div>
+                    <div class="storage-value">${formatDate(deletedAt)}</div>
+                </div>
+                <div class="storage-item">
+                    <div class="storage-label">Size</div>
+                    <div class="storage-value">${formatBytes(sizeBytes)}</div>
+                </div>
+                <div class="storage-item">
+                    <div class="storage-label">Purged</div>
+                    <div class="storage-value">${formatPurgeTime(purgeAt)}</div>
+                </div>
+            </div>
+            <div class="tenant-actions">${actions}</div>
+        </div>
+    `;
+}
+
+async function loadTrash() {
+    const list = document.getElementById('trash-list');
+    const note = document.getElementById('trash-note');
+    list.innerHTML = '<div class="loading">Loading trash...</div>';
+    
+    try {
+        const trash = await makeApiRequest('/api/trash');
+        note.textContent = `Deleted items still count towards your storage limit, and are deleted forever after ${trash.retentionDays} days.`;
+        if (trash.files.length === 0 && trash.folders.length === 0) {
+            list.innerHTML = '<div class="loading">The trash is empty</div>';
+            return;
+        }
+        
+        const folderItems = trash.folders.map(folder => createTrashItem(
+            '📁',
+            folder.displayName,
+            formatTrashLocation(folder.path),
+            folder.deletedAt,
+            folder.purgeAt,
+            folder.sizeBytes,
+            `<button onclick="restoreTrashedFolder('${folder.tenantId}')" class="btn btn-primary">Restore</button>
+             <button onclick="purgeTrashedFolder('${folder.tenantId}', ${escapeHtml(JSON.stringify(folder.displayName))})" class="btn btn-danger">Delete Forever</button>`
+        ));
+        const fileItems = trash.files.map(trashedFile => createTrashItem(
+            '📄',
+            trashedFile.file.originalFilename,
+            formatTrashLocation(trashedFile.path),
+            trashedFile.file.deletedAt,
+            trashedFile.purgeAt,
+            trashedFile.file.fileSize,
+            `<button onclick="restoreTrashedFile('${trashedFile.tenantId}', '${trashedFile.file.id}')" class="btn btn-primary">Restore</button>
+             <button onclick="purgeTrashedFile('${trashedFile.tenantId}', '${trashedFile.file.id}')" class="btn btn-danger">Delete Forever</button>`
+        ));
+        list.innerHTML = folderItems.concat(fileItems).join('');
+    } catch (error) {
+        console.error('Failed to load trash:', error);
+        list.innerHTML = '<div class="loading">Failed to load trash</div>';
+    }
+}
+
+async function sendTrashRequest(endpoint, method) {
+    // Fetch directly, since some responses have no body and a refused restore comes with a reason
+    const response = await fetch(`${API_BASE}/api/trash/${endpoint}`, {
+        method,
+        headers: {
+            ...getAuthHeaders()
+        }
+    });
+    if (response.status === 401) {
+        handleUnauthorized();
+    }
+    if (!response.ok) {
+        const reason = await response.text();
+        throw new Error(reason && reason.length < 300 ? reason.replace(/^"|"$/g, '') : `HTTP ${response.status}: ${response.statusText}`);
+    }
+}
+
+async function restoreTrashedFile(tenantId, fileId) {
+    try {
+        await sendTrashRequest(`files/${tenantId}/${fileId}/restore`, 'POST');
+        await loadTrash();
+        await loadFiles();
+    } catch (error) {
+        console.error('Failed to restore file:', error);
+        await showAlert('Failed to restore file: ' + error.message, 'Restore Failed', 'error');
+    }
+}
+
+async function restoreTrashedFolder(tenantId) {
+    try {
+        await sendTrashRequest(`folders/${tenantId}/restore`, 'POST');
+        await loadTrash();
         await loadFiles();
+    } catch (error) {
+        console.error('Failed to restore folder:', error);
+        await showAlert('Failed to restore folder: ' + error.message, 'Restore Failed', 'error');
+    }
+}
+
+async function purgeTrashedFile(tenantId, fileId) {
+    const confirmed = await showConfirm('Are you sure you want to delete this file forever?\n\nThis action cannot be undone.', 'Delete Forever');
+    if (!confirmed) {
+        return;
+    }
+    
+    try {
+        await sendTrashRequest(`files/${tenantId}/${fileId}`, 'DELETE');
+        await loadTrash();
+        await loadTenantInfo();
+    } catch (error) {
+        console.error('Failed to purge file:', error);
+        await showAlert('Failed to delete file: ' + error.message, 'Delete Failed', 'error');
+    }
+}
+
+async function purgeTrashedFolder(tenantId, folderName) {
+    const confirmed = await showConfirm(
+        `Are you sure you want to delete the folder "${folderName}" forever?\n\nAll of its contents are deleted with it. This action cannot be undone.`,
+        'Delete Forever'
+    );
+    if (!confirmed) {
+        return;
+    }
+    
+    try {
+        await sendTrashRequest(`folders/${tenantId}`, 'DELETE');
+        await loadTrash();
+        await loadTenantInfo();
+    } catch (error) {
+        console.error('Failed to purge folder:', error);
+        await showAlert('Failed to delete folder: ' + error.message, 'Delete Failed', 'error');
+    }
+}
+
+// Storage analytics
+// The charts are inline SVG. Breakdowns add up the sizes of the files, so they can be larger than the used space
+// when files share chunks, and the growth chart is drawn from the usage the server records once a day.
+const ANALYTICS_CHART_WIDTH = 480;
+const ANALYTICS_LABEL_LENGTH = 24;
+let analyticsShowsInstance = false;
+
+function showAnalytics() {
+    analyticsShowsInstance = false;
+    document.getElementById('analytics-scope').style.display = currentTenantInfo.isAdmin ? 'flex' : 'none';
+    document.getElementById('analytics-modal').style.display = 'flex';
+    loadAnalytics();
+}
+
+function closeAnalytics() {
+    document.getElementById('analytics-modal').style.display = 'none';
+}
+
+function switchAnalyticsScope(showInstance) {
+    analyticsShowsInstance = showInstance;
+    loadAnalytics();
+}
+
+async function loadAnalytics() {
+    const showInstance = analyticsShowsInstance;
+    const content = document.getElementById('analytics-content');
+    document.getElementById('analytics-scope-tenant').classList.toggle('active', !showInstance);
+    document.getElementById('analytics-scope-instance').classList.toggle('active', showInstance);
+    content.innerHTML = '<div class="loading">Loading analytics...</div>';
+    
+    try {
+        const analytics = await makeApiRequest(showInstance ? '/api/analytics/instance' : '/api/analytics');
         
-        await showAlert(`Folder "${folderName}" created successfully!`, 'Folder Created', 'success');
+        // The other scope may have been chosen while this one was loading
+        if (showInstance !== analyticsShowsInstance) {
+            return;
+        }
         
+        content.innerHTML = renderAnalytics(analytics);
     } catch (error) {
-        console.error('Failed to create folder:', error);
-        await showAlert('Failed to create folder: ' + error.message, 'Create Failed', 'error');
+        console.error('Failed to load analytics:', error);
+        content.innerHTML = '<div class="loading">Failed to load analytics</div>';
     }
 }
 
-async function showFolderActions(tenantId, folderName) {
-    // Show a custom modal with folder info and delete button
-    const modal = document.getElementById('alert-modal');
-    const title = document.getElementById('alert-title');
-    const message = document.getElementById('alert-message');
-    const icon = document.getElementById('alert-icon');
-    const okBtn = document.getElementById('alert-ok-btn');
-    const cancelBtn = document.getElementById('alert-cancel-btn');
-    
-    title.textContent = 'Folder Info';
-    message.innerHTML = `
-        <div style="text-align: left; margin-bottom: 16px;">
-            <strong>Folder Name:</strong> ${folderName}<br>
-            <strong>Tenant ID:</strong> ${tenantId}
+function renderAnalytics(analytics) {
+    const fileCount = analytics.fileCount === 1 ? '1 file' : `${analytics.fileCount} files`;
+    return `
+        <div class="tenant-storage">
+            <div class="storage-item">
+                <div class="storage-label">${analytics.tenantId ? 'Tenant' : 'Server'}</div>
+                <div class="storage-value">${escapeHtml(analytics.displayName)}</div>
+            </div>
+            <div class="storage-item">
+                <div class="storage-label">Files</div>
+                <div class="storage-value">${formatBytes(analytics.totalFileSizeBytes)} in ${fileCount}</div>
+            </div>
+            <div class="storage-item">
+                <div class="storage-label">Used</div>
+                <div class="storage-value">${formatBytes(analytics.usageBytes)}</div>
+            </div>
         </div>
-        <div style="text-align: center;">
-            <button onclick="deleteSubtenant('${tenantId}', '${folderName}')" class="btn btn-danger" style="margin-right: 8px;">
-                Delete Folder
-            </button>
-            <button onclick="closeFolderModal()" class="btn btn-secondary">
-                Close
-            </button>
+        <div class="analytics-section">
+            <h4>Usage over time</h4>
+            ${renderGrowthChart(analytics.history)}
+        </div>
+        <div class="analytics-section">
+            <h4>By content type</h4>
+            ${renderBarChart(analytics.byContentType)}
+        </div>
+        <div class="analytics-section">
+            <h4>${analytics.tenantId ? 'By folder' : 'By tenant'}</h4>
+            ${renderBarChart(analytics.byFolder)}
+        </div>
+        <div class="analytics-section">
+            <h4>By age</h4>
+            ${renderBarChart(analytics.byAge)}
+        </div>
+        <div class="analytics-section">
+            <h4>Largest files</h4>
+            ${renderLargestFiles(analytics.largestFiles)}
         </div>
     `;
-    icon.textContent = '📁';
-    icon.className = 'alert-icon info';
+}
+
+function shortenChartLabel(label) {
+    // SVG text doesn't wrap or get an ellipsis, and the full label is in the tooltip
+    return label.length > ANALYTICS_LABEL_LENGTH ? `${label.slice(0, ANALYTICS_LABEL_LENGTH - 1)}…` : label;
+}
+
+function renderBarChart(items) {
+    if (items.every(item => item.fileCount === 0)) {
+        return '<div class="loading">No files</div>';
+    }
     
-    // Hide the default OK button since we have custom buttons
-    okBtn.style.display = 'none';
-    cancelBtn.style.display = 'none';
+    const rowHeight = 28;
+    const labelWidth = 170;
+    const valueWidth = 90;
+    const barWidth = ANALYTICS_CHART_WIDTH - labelWidth - valueWidth;
+    const largest = Math.max(...items.map(item => item.sizeBytes), 1);
     
-    modal.style.display = 'flex';
+    const rows = items.map((item, index) => {
+        const y = index * rowHeight;
+        const width = item.sizeBytes > 0 ? Math.max(item.sizeBytes / largest * barWidth, 2) : 0;
+        const fileCount = item.fileCount === 1 ? '1 file' : `${item.fileCount} files`;
+        return `
+            <g>
+                <title>${escapeHtml(item.label)}: ${formatBytes(item.sizeBytes)} in ${fileCount}</title>
+                <text x="0" y="${y + 19}" class="analytics-label">${escapeHtml(shortenChartLabel(item.label))}</text>
+                <rect x="${labelWidth}" y="${y + 6}" width="${width.toFixed(1)}" height="16" rx="3" class="analytics-bar"></rect>
+                <text x="${ANALYTICS_CHART_WIDTH}" y="${y + 19}" text-anchor="end" class="analytics-value">${formatBytes(item.sizeBytes)}</text>
+            </g>
+        `;
+    }).join('');
+    
+    return `<svg class="analytics-chart" viewBox="0 0 ${ANALYTICS_CHART_WIDTH} ${items.length * rowHeight}" role="img">${rows}</svg>`;
 }
 
-function closeFolderModal() {
-    const modal = document.getElementById('alert-modal');
-    const okBtn = document.getElementById('alert-ok-btn');
-    const cancelBtn = document.getElementById('alert-cancel-btn');
+function renderGrowthChart(history) {
+    if (history.length < 2) {
+        return '<div class="loading">The chart appears once usage has been recorded on two different days</div>';
+    }
     
-    modal.style.display = 'none';
-    // Restore the default OK button for future use
-    okBtn.style.display = 'inline-block';
-    cancelBtn.style.display = 'none';
+    const height = 180;
+    const left = 80;
+    const top = 10;
+    const plotWidth = ANALYTICS_CHART_WIDTH - left;
+    const plotHeight = height - top - 30;
+    // Days are parsed as local midnight, so they are shown as the same day in every time zone
+    const times = history.map(snapshot => new Date(`${snapshot.date}T00:00:00`).getTime());
+    const span = Math.max(times[times.length - 1] - times[0], 1);
+    const largest = Math.max(...history.map(snapshot => Math.max(snapshot.usageBytes, snapshot.logicalUsageBytes)), 1);
+    
+    const toPoints = getValue => history.map((snapshot, index) => {
+        const x = left + (times[index] - times[0]) / span * plotWidth;
+        const y = top + plotHeight - getValue(snapshot) / largest * plotHeight;
+        return `${x.toFixed(1)},${y.toFixed(1)}`;
+    }).join(' ');
+    
+    const firstDate = new Date(times[0]).toLocaleDateString();
+    const lastDate = new Date(times[times.length - 1]).toLocaleDateString();
+    return `
+        <svg class="analytics-chart" viewBox="0 0 ${ANALYTICS_CHART_WIDTH} ${height}" role="img">
+            <line x1="${left}" y1="${top + plotHeight}" x2="${ANALYTICS_CHART_WIDTH}" y2="${top + plotHeight}" class="analytics-axis"></line>
+            <line x1="${left}" y1="${top}" x2="${ANALYTICS_CHART_WIDTH}" y2="${top}" class="analytics-axis"></line>
+            <text x="${left - 8}" y="${top + 4}" text-anchor="end" class="analytics-value">${formatBytes(largest)}</text>
+            <text x="${left - 8}" y="${top + plotHeight + 4}" text-anchor="end" class="analytics-value">0</text>
+            <text x="${left}" y="${height - 6}" class="analytics-value">${firstDate}</text>
+            <text x="${ANALYTICS_CHART_WIDTH}" y="${height - 6}" text-anchor="end" class="analytics-value">${lastDate}</text>
+            <polyline points="${toPoints(snapshot => snapshot.logicalUsageBytes)}" class="analytics-line files"></polyline>
+            <polyline points="${toPoints(snapshot => snapshot.usageBytes)}" class="analytics-line"></polyline>
+        </svg>
+        <div class="analytics-legend">
+            <span class="analytics-legend-item"><span class="analytics-swatch"></span>Used</span>
+            <span class="analytics-legend-item"><span class="analytics-swatch files"></span>Files</span>
+        </div>
+    `;
 }
 
-async function deleteSubtenant(tenantId, folderName) {
+function renderLargestFiles(largestFiles) {
+    if (largestFiles.length === 0) {
+        return '<div class="loading">No files</div>';
+    }
+    
+    return `
+        <div class="tenants-list">
+            ${largestFiles.map(file => `
+                <div class="tenant-item">
+                    <div class="tenant-header">
+                        <div class="tenant-name">📄 ${escapeHtml(file.filename)}</div>
+                    </div>
+                    <div class="tenant-storage">
+                        <div class="storage-item">
+                            <div class="storage-label">Size</div>
+                            <div class="storage-value">${formatBytes(file.fileSize)}</div>
+                        </div>
+                        <div class="storage-item">
+                            <div class="storage-label">Folder</div>
+                            <div class="storage-value">${escapeHtml(file.folderName)}</div>
+                        </div>
+                        <div class="storage-item">
+                            <div class="storage-label">Uploaded</div>
+                            <div class="storage-value">${formatDate(file.createdAt)}</div>
+                        </div>
+                    </div>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+// Shared content
+// Opening the page with ?share=token shows what the link gives access to, without signing in.
+let sharedToken = null;
+let sharedPassword = null; // Entered by the recipient of a password protected link
+let sharedContent = null; // The last response of the public share endpoint
+let sharedFolderPath = []; // Subfolders opened below a shared folder, as { id, name }
+
+async function openSharedContent(token) {
+    sharedToken = token;
+    document.getElementById('auth-section').style.display = 'none';
+    document.getElementById('share-section').style.display = 'block';
+    await loadSharedContent();
+}
+
+function getSharedUrl(path = '') {
+    return `${API_BASE}/api/share/public/${encodeURIComponent(sharedToken)}${path}`;
+}
+
+function fetchShared(path = '') {
+    // Headers can only carry ISO-8859-1, so the password is URL-encoded
+    const headers = sharedPassword ? { 'X-Share-Password': encodeURIComponent(sharedPassword) } : {};
+    return fetch(getSharedUrl(path), { headers });
+}
+
+async function readSharedError(response) {
     try {
-        // Show confirmation dialog
-        const confirmed = await showConfirm(
-            `Are you sure you want to delete the folder "${folderName}"?\n\nThis will permanently delete the folder and all its contents. This action cannot be undone.`,
-            'Delete Folder'
-        );
+        return await response.json();
+    } catch {
+        return { error: response.statusText, message: `HTTP ${response.status}: ${response.statusText}` };
+    }
+}
+
+async function askForSharedPassword(response) {
+    const error = await readSharedError(response);
+    const message = error.error === 'Invalid password'
+        ? 'The password was not correct. Try again:'
+        : 'This link is protected by a password:';
+    const password = await showPrompt(message, 'Password Required', '', { inputType: 'password', placeholder: 'Enter password', okText: 'OK', icon: '🔒' });
+    if (password) {
+        sharedPassword = password;
+    }
+    return !!password;
+}
+
+async function loadSharedContent() {
+    const list = document.getElementById('shared-list');
+    const folderId = sharedFolderPath.length > 0 ? sharedFolderPath[sharedFolderPath.length - 1].id : null;
+    
+    try {
+        const response = await fetchShared(folderId ? `?folder=${encodeURIComponent(folderId)}` : '');
         
-        if (!confirmed) {
+        if (response.status === 401) {
+            if (await askForSharedPassword(response)) {
+                await loadSharedContent();
+            } else {
+                list.innerHTML = '<div class="shared-error">A password is needed to see what was shared.</div>';
+            }
             return;
         }
         
-        // Delete the subtenant using fetch directly (like deleteFile does)
-        const deleteUrl = `${API_BASE}/api/tenant/subtenants/${tenantId}`;
-        const response = await fetch(deleteUrl, {
-            method: 'DELETE',
-            headers: {
-                'X-API-Key': currentApiKey
-            }
-        });
-        
         if (!response.ok) {
-            throw new Error(`Delete failed: ${response.statusText}`);
+            const error = await readSharedError(response);
+            document.getElementById('shared-meta').textContent = '';
+            list.innerHTML = `<div class="shared-error">${escapeHtml(error.message)}</div>`;
+            return;
         }
         
-        // Close the modal
-        closeFolderModal();
-        
-        // Refresh the file list to show the updated folder list
-        await loadFiles();
-        
-        // Refresh tenant info to update storage usage display
-        await loadTenantInfo();
-        
-        await showAlert(`Folder "${folderName}" has been deleted successfully.`, 'Folder Deleted', 'success');
-        
+        sharedContent = await response.json();
+        renderSharedContent();
     } catch (error) {
-        console.error('Failed to delete folder:', error);
-        await showAlert('Failed to delete folder: ' + error.message, 'Delete Failed', 'error');
+        console.error('Failed to load shared content:', error);
+        list.innerHTML = `<div class="shared-error">Failed to load shared content: ${escapeHtml(error.message)}</div>`;
     }
 }
 
-function displayFiles(filesToDisplay) {
-    const filesList = document.getElementById('files-list');
+function renderSharedContent() {
+    const content = sharedContent;
+    const list = document.getElementById('shared-list');
+    
+    document.getElementById('shared-title').textContent = `${content.isFolder ? '📁' : '📄'} ${content.name}`;
+    const details = [`Available until ${formatDate(content.expiresAt)}`];
+    if (content.remainingDownloads !== null) {
+        details.push(`${content.remainingDownloads} download${content.remainingDownloads === 1 ? '' : 's'} left`);
+    }
+    document.getElementById('shared-meta').textContent = details.join(' • ');
+    
+    let breadcrumb = '';
+    if (sharedFolderPath.length > 0) {
+        const items = [{ name: content.name }, ...sharedFolderPath];
+        breadcrumb = `
+            <div class="breadcrumb">
+                ${items.map((item, index) => {
+                    if (index === items.length - 1) {
+                        return `<span class="breadcrumb-current">${escapeHtml(item.name)}</span>`;
+                    }
+                    return `<span class="breadcrumb-item" onclick="openSharedPath(${index})">${escapeHtml(item.name)}</span>`;
+                }).join(' › ')}
+            </div>
+        `;
+    }
     
-    if (filesToDisplay.length === 0) {
-        filesList.innerHTML = '<div class="loading">No files found</div>';
+    const folders = Object.entries(content.folders).sort(([, a], [, b]) => a.localeCompare(b));
+    if (folders.length === 0 && content.files.length === 0) {
+        list.innerHTML = breadcrumb + '<div class="loading">This folder is empty</div>';
         return;
     }
     
-    filesList.innerHTML = filesToDisplay.map(file => `
+    list.innerHTML = breadcrumb + folders.map(([folderId, folderName]) => `
+        <div class="file-item folder-item" onclick="openSharedFolder('${folderId}')">
+            <div class="file-info">
+                <div class="file-name">
+                    <span class="folder-icon">📁</span>
+                    ${escapeHtml(folderName)}
+                </div>
+            </div>
+        </div>
+    `).join('') + content.files.map(file => `
         <div class="file-item">
             <div class="file-info">
-                <div class="file-name">${file.originalFilename}</div>
+                <div class="file-name">${escapeHtml(file.originalFilename)}</div>
                 <div class="file-meta">
-                    ${formatBytes(file.fileSize)} • ${formatDate(file.createdAt)} • ${file.chunkIds ? file.chunkIds.length : 0} chunks
+                    ${formatBytes(file.fileSize)} • ${formatDate(file.createdAt)}
                 </div>
             </div>
             <div class="file-actions">
-                <button class="download-btn" onclick="downloadFile('${file.id}')">Download</button>
-                <button class="delete-btn" onclick="deleteFile('${file.id}')">Delete</button>
+                <button class="download-btn" onclick="downloadSharedFile('${file.id}')">Download</button>
             </div>
         </div>
     `).join('');
 }
 
-async function refreshFiles(event) {
-    if (event) {
-        event.preventDefault();
-    }
-    await loadFiles();
+async function openSharedFolder(folderId) {
+    sharedFolderPath.push({ id: folderId, name: sharedContent.folders[folderId] });
+    await loadSharedContent();
 }
 
-// File upload
-function setupEventListeners() {
-    const dropZone = document.getElementById('drop-zone');
-    const fileInput = document.getElementById('file-input');
-    const searchInput = document.getElementById('search-input');
-    
-    // File input change
-    fileInput.addEventListener('change', handleFileSelect);
-    
-    // Drag and drop
-    dropZone.addEventListener('dragover', (e) => {
-        e.preventDefault();
-        dropZone.classList.add('dragover');
-    });
-    
-    dropZone.addEventListener('dragleave', () => {
-        dropZone.classList.remove('dragover');
-    });
-    
-    dropZone.addEventListener('drop', (e) => {
-        e.preventDefault();
-        dropZone.classList.remove('dragover');
-        const files = e.dataTransfer.files;
-        if (files.length > 0) {
-            handleFileUpload(files[0]);
-        }
-    });
-    
-    // Search functionality
-    searchInput.addEventListener('input', (e) => {
-        const searchTerm = e.target.value.toLowerCase();
-        const filteredFiles = files.filter(file => 
-            file.originalFilename.toLowerCase().includes(searchTerm)
-        );
-        displayFiles(filteredFiles);
-    });
+async function openSharedPath(index) {
+    // Index 0 is the shared folder itself
+    sharedFolderPath = sharedFolderPath.slice(0, index);
+    await loadSharedContent();
 }
 
-function handleFileSelect(event) {
-    const file = event.target.files[0];
-    if (file) {
-        handleFileUpload(file);
+async function downloadSharedFile(fileId) {
+    const file = sharedContent.files.find(sharedFile => sharedFile.id === fileId);
+    const path = sharedContent.isFolder
+        ? `/${encodeURIComponent(sharedContent.folderId)}/${fileId}/download`
+        : '/download';
+    
+    // Without a password the browser can stream the file to disk by itself
+    if (!sharedPassword) {
+        const link = document.createElement('a');
+        link.href = getSharedUrl(path);
+        link.download = file ? file.originalFilename : '';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        return;
     }
-}
-
-async function handleFileUpload(file) {
+    
+    // The password has to be sent in a header, so the download is written to disk here instead
+    const filename = file ? file.originalFilename : 'download';
     try {
-        // Check if we can store the file
-        const uploadTargetTenantId = currentPath.length > 0 ? currentPath[currentPath.length - 1] : null;
-        const canStoreEndpoint = uploadTargetTenantId 
-            ? `/api/tenant/storage/can-store?fileSizeBytes=${file.size}&targetTenantId=${uploadTargetTenantId}`
-            : `/api/tenant/storage/can-store?fileSizeBytes=${file.size}`;
-        const canStore = await makeApiRequest(canStoreEndpoint);
-        
-        if (!canStore.canStore) {
-            await showAlert(`Cannot upload file: ${canStore.reason || 'Storage quota exceeded'}`, 'Upload Failed', 'error');
+        // Ask where to save before requesting the file, so a closed save dialog doesn't use up a download
+        let fileHandle = null;
+        if (window.showSaveFilePicker) {
+            try {
+                fileHandle = await window.showSaveFilePicker({ suggestedName: filename });
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    return; // The user closed the save dialog
+                }
+                throw error;
+            }
+        } else if (file && !(await confirmInMemoryDownload({ name: filename, size: file.fileSize }))) {
             return;
         }
         
-        // Show upload progress
-        const uploadProgress = document.getElementById('upload-progress');
-        const uploadBar = document.getElementById('upload-bar');
-        uploadProgress.style.display = 'block';
-        uploadBar.style.width = '0%';
+        const response = await fetchShared(path);
+        if (!response.ok) {
+            const error = await readSharedError(response);
+            throw new Error(error.message);
+        }
         
-        // Create file metadata
-        const fileId = crypto.randomUUID();
-        const metadata = {
-            id: fileId,
-            originalFilename: file.name,
-            contentType: file.type || 'application/octet-stream',
-            fileSize: file.size,
-            chunkIds: [] // Will be populated as chunks are uploaded
+        if (fileHandle) {
+            // Closes the file when the download is complete, and discards it if the download fails
+            await response.body.pipeTo(await fileHandle.createWritable());
+        } else {
+            saveBlob(await response.blob(), filename);
+        }
+        await loadSharedContent();
+    } catch (error) {
+        console.error('Failed to download shared file:', error);
+        await showAlert('Failed to download file: ' + error.message, 'Download Failed', 'error');
+    }
+}
+
+// File preview
+const PREVIEW_SIZE_LIMITS = {
+    image: 25 * 1024 * 1024,
+    pdf: 50 * 1024 * 1024,
+    audio: 100 * 1024 * 1024,
+    video: 100 * 1024 * 1024,
+    text: 2 * 1024 * 1024,
+    markdown: 2 * 1024 * 1024,
+    json: 5 * 1024 * 1024,
+    csv: 5 * 1024 * 1024
+};
+const PREVIEW_MAX_CSV_ROWS = 1000;
+let previewObjectUrl = null;
+let previewAbortController = null;
+
+function getPreviewKind(metadata) {
+    const contentType = (metadata.contentType || '').toLowerCase().split(';')[0].trim();
+    
+    if (contentType.startsWith('image/')) return 'image';
+    if (contentType === 'application/pdf') return 'pdf';
+    if (contentType.startsWith('audio/')) return 'audio';
+    if (contentType.startsWith('video/')) return 'video';
+    if (contentType === 'text/markdown' || contentType === 'text/x-markdown') return 'markdown';
+    if (contentType === 'application/json' || contentType.endsWith('+json')) return 'json';
+    if (contentType === 'text/csv') return 'csv';
+    if (contentType.startsWith('text/')) return 'text';
+    
+    // Browsers often send no type for these, so the upload falls back to application/octet-stream
+    if (contentType === '' || contentType === 'application/octet-stream') {
+        const extension = metadata.originalFilename.split('.').pop().toLowerCase();
+        const kindsByExtension = {
+            md: 'markdown',
+            markdown: 'markdown',
+            json: 'json',
+            csv: 'csv',
+            txt: 'text',
+            log: 'text'
         };
+        return kindsByExtension[extension] || null;
+    }
+    
+    return null;
+}
+
+async function renderFilePreview(metadata) {
+    const preview = document.getElementById('file-preview');
+    const kind = getPreviewKind(metadata);
+    
+    if (metadata.encryption) {
+        preview.innerHTML = '<p class="preview-message">This file is encrypted. Download it and enter its passphrase to view it.</p>';
+        return;
+    }
+    
+    if (!kind) {
+        preview.innerHTML = '<p class="preview-message">No preview is available for this file type. Download the file to view it.</p>';
+        return;
+    }
+    
+    if (metadata.fileSize > PREVIEW_SIZE_LIMITS[kind]) {
+        preview.innerHTML = `<p class="preview-message">This file is too large to preview (limit ${formatBytes(PREVIEW_SIZE_LIMITS[kind])}). Download the file to view it.</p>`;
+        return;
+    }
+    
+    clearFilePreview();
+    previewAbortController = new AbortController();
+    
+    try {
+        const blob = await fetchFileBlob(metadata.id, metadata.contentType, previewAbortController.signal);
+        await verifyPreviewHash(metadata, blob);
         
-        // Upload chunks
-        const chunkSize = 1024 * 1024; // 1MB chunks
-        const totalChunks = Math.ceil(file.size / chunkSize);
-        const chunkIds = [];
-        
-        for (let i = 0; i < totalChunks; i++) {
-            const start = i * chunkSize;
-            const end = Math.min(start + chunkSize, file.size);
-            const chunk = file.slice(start, end);
-            const chunkId = crypto.randomUUID();
-            
-            // Upload chunk and get the returned chunk ID
-            const uploadedChunkId = await uploadChunk(chunkId, chunk);
-            chunkIds.push(uploadedChunkId);
-            
-            // Update progress
-            const progress = ((i + 1) / totalChunks) * 100;
-            uploadBar.style.width = `${progress}%`;
+        switch (kind) {
+            case 'image':
+                previewObjectUrl = URL.createObjectURL(blob);
+                preview.innerHTML = `<img class="preview-media" src="${previewObjectUrl}" alt="${escapeHtml(metadata.originalFilename)}">`;
+                break;
+            case 'pdf':
+                previewObjectUrl = URL.createObjectURL(blob);
+                preview.innerHTML = `<iframe class="preview-pdf" src="${previewObjectUrl}" title="${escapeHtml(metadata.originalFilename)}"></iframe>`;
+                break;
+            case 'audio':
+                previewObjectUrl = URL.createObjectURL(blob);
+                preview.innerHTML = `<audio class="preview-media" src="${previewObjectUrl}" controls></audio>`;
+                break;
+            case 'video':
+                previewObjectUrl = URL.createObjectURL(blob);
+                preview.innerHTML = `<video class="preview-media" src="${previewObjectUrl}" controls></video>`;
+                break;
+            case 'markdown':
+                preview.innerHTML = `<div class="preview-markdown">${renderMarkdown(await blob.text())}</div>`;
+                break;
+            case 'json':
+                preview.innerHTML = renderJsonPreview(await blob.text());
+                break;
+            case 'csv':
+                preview.innerHTML = renderCsvPreview(await blob.text());
+                break;
+            default:
+                preview.innerHTML = `<pre class="preview-text">${escapeHtml(await blob.text())}</pre>`;
         }
-        
-        // Update metadata with the actual chunk IDs
-        metadata.chunkIds = chunkIds;
-        
-        // Save file metadata
-        const metadataTargetTenantId = currentPath.length > 0 ? currentPath[currentPath.length - 1] : null;
-        const metadataEndpoint = metadataTargetTenantId 
-            ? `/api/files/${metadataTargetTenantId}/metadata`
-            : '/api/files/metadata';
-        await makeApiRequestWithBody(metadataEndpoint, 'POST', metadata);
-        
-        // Hide progress and refresh files
-        uploadProgress.style.display = 'none';
-        await loadFiles();
-        await loadTenantInfo();
-        
-        await showAlert('File uploaded successfully!', 'Upload Complete', 'success');
-        
     } catch (error) {
-        console.error('Upload failed:', error);
-        await showAlert('Upload failed: ' + error.message, 'Upload Failed', 'error');
-        document.getElementById('upload-progress').style.display = 'none';
+        if (error.name === 'AbortError') {
+            return; // The modal was closed before the preview finished loading
+        }
+        console.error('Failed to load preview:', error);
+        preview.innerHTML = `<p class="preview-message">Could not load the preview: ${escapeHtml(error.message)}</p>`;
     }
 }
 
-async function uploadChunk(chunkId, chunk) {
-    // Get the target tenant ID from current path
+async function fetchFileBlob(fileId, contentType, signal) {
     const targetTenantId = currentPath.length > 0 ? currentPath[currentPath.length - 1] : null;
+    const downloadUrl = targetTenantId 
+        ? `${API_BASE}/api/files/${targetTenantId}/${fileId}/download`
+        : `${API_BASE}/api/files/${fileId}/download`;
     
-    const chunkUrl = targetTenantId 
-        ? `${API_BASE}/api/chunks/${targetTenantId}/${chunkId}`
-        : `${API_BASE}/api/chunks/${chunkId}`;
+    const response = await fetch(downloadUrl, {
+        headers: {
+            ...getAuthHeaders()
+        },
+        signal
+    });
+    
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    
+    const data = await response.blob();
+    return new Blob([data], { type: contentType });
+}
+
+async function verifyPreviewHash(metadata, blob) {
+    if (metadata.sha256 && await sha256Hex(blob) !== metadata.sha256) {
+        throw new Error('The file does not match its SHA-256 hash');
+    }
+}
+
+function clearFilePreview() {
+    if (previewAbortController) {
+        previewAbortController.abort();
+        previewAbortController = null;
+    }
+    if (previewObjectUrl) {
+        URL.revokeObjectURL(previewObjectUrl);
+        previewObjectUrl = null;
+    }
+}
+
+function renderMarkdown(markdown) {
+    const lines = escapeHtml(markdown).split(/\r?\n/);
+    const html = [];
+    let paragraph = [];
+    let listType = null;
+    let inCodeBlock = false;
+    let codeLines = [];
+    
+    const flushParagraph = () => {
+        if (paragraph.length > 0) {
+            html.push(`<p>${renderInlineMarkdown(paragraph.join(' '))}</p>`);
+            paragraph = [];
+        }
+    };
+    const closeList = () => {
+        if (listType) {
+            html.push(`</${listType}>`);
+            listType = null;
+        }
+    };
+    
+    lines.forEach(line => {
+        if (line.trim().startsWith('```')) {
+            if (inCodeBlock) {
+                html.push(`<pre><code>${codeLines.join('\n')}</code></pre>`);
+                codeLines = [];
+            } else {
+                flushParagraph();
+                closeList();
+            }
+            inCodeBlock = !inCodeBlock;
+            return;
+        }
+        if (inCodeBlock) {
+            codeLines.push(line);
+            return;
+        }
         
-    const response = await fetch(chunkUrl, {
-        method: 'PUT',
-        headers: {
-            'X-API-Key': currentApiKey
-        },
-        body: chunk
+        const heading = line.match(/^(#{1,6})\s+(.*)$/);
+        const unorderedItem = line.match(/^\s*[-*+]\s+(.*)$/);
+        const orderedItem = line.match(/^\s*\d+\.\s+(.*)$/);
+        const quote = line.match(/^&gt;\s?(.*)$/);
+        
+        if (heading) {
+            flushParagraph();
+            closeList();
+            const level = heading[1].length;
+            html.push(`<h${level}>${renderInlineMarkdown(heading[2])}</h${level}>`);
+        } else if (unorderedItem || orderedItem) {
+            flushParagraph();
+            const type = unorderedItem ? 'ul' : 'ol';
+            if (listType !== type) {
+                closeList();
+                html.push(`<${type}>`);
+                listType = type;
+            }
+            html.push(`<li>${renderInlineMarkdown((unorderedItem || orderedItem)[1])}</li>`);
+        } else if (quote) {
+            flushParagraph();
+            closeList();
+            html.push(`<blockquote>${renderInlineMarkdown(quote[1])}</blockquote>`);
+        } else if (/^(-{3,}|\*{3,})$/.test(line.trim())) {
+            flushParagraph();
+            closeList();
+            html.push('<hr>');
+        } else if (line.trim() === '') {
+            flushParagraph();
+            closeList();
+        } else {
+            closeList();
+            paragraph.push(line.trim());
+        }
     });
     
-    if (!response.ok) {
-        throw new Error(`Failed to upload chunk: ${response.statusText}`);
+    if (inCodeBlock) {
+        html.push(`<pre><code>${codeLines.join('\n')}</code></pre>`);
     }
+    flushParagraph();
+    closeList();
     
-    // Parse the response to get the actual chunk ID that was saved
-    const result = await response.json();
-    return result.ChunkId || chunkId; // Use returned ID or fallback to original
+    return html.join('\n');
 }
 
-// File operations
-async function downloadFile(fileId) {
+function renderInlineMarkdown(text) {
+    // The text is already HTML-escaped, so only the markdown syntax is turned into tags
+    return text
+        .replace(/`([^`]+)`/g, '<code>$1</code>')
+        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/\*([^*]+)\*/g, '<em>$1</em>')
+        .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>');
+}
+
+function renderJsonPreview(text) {
+    let value;
     try {
-        // Get the target tenant ID from current path
-        const targetTenantId = currentPath.length > 0 ? currentPath[currentPath.length - 1] : null;
-        
-        // Create a download link for the file
-        const downloadUrl = targetTenantId 
-            ? `${API_BASE}/api/files/${targetTenantId}/${fileId}/download`
-            : `${API_BASE}/api/files/${fileId}/download`;
-        
-        // Create a temporary link element and trigger the download
-        const link = document.createElement('a');
-        link.href = downloadUrl;
-        link.download = ''; // Let the browser determine the filename from the response headers
-        link.style.display = 'none';
-        
-        // Add the API key as a header (we'll need to use fetch instead)
-        const response = await fetch(downloadUrl, {
-            headers: {
-                'X-API-Key': currentApiKey
-            }
-        });
-        
-        if (!response.ok) {
-            throw new Error(`Download failed: ${response.statusText}`);
-        }
-        
-        // Get the filename from the Content-Disposition header or use a default
-        const contentDisposition = response.headers.get('Content-Disposition');
-        let filename = 'download';
-        if (contentDisposition) {
-            // Try multiple patterns to extract filename
-            let filenameMatch = contentDisposition.match(/filename\*?=UTF-8''([^;]+)/);
-            if (filenameMatch) {
-                // Handle UTF-8 encoded filename
-                filename = decodeURIComponent(filenameMatch[1]);
-            } else {
-                // Try standard filename format
-                filenameMatch = contentDisposition.match(/filename="([^"]+)"/);
-                if (filenameMatch) {
-                    filename = filenameMatch[1];
-                } else {
-                    // Try filename without quotes
-                    filenameMatch = contentDisposition.match(/filename=([^;]+)/);
-                    if (filenameMatch) {
-                        filename = filenameMatch[1];
-                    }
-                }
-            }
-        }
-        
-        // Create a blob and download it
-        const blob = await response.blob();
-        const url = window.URL.createObjectURL(blob);
-        link.href = url;
-        link.download = filename;
-        
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        
-        // Clean up the blob URL
-        window.URL.revokeObjectURL(url);
-        
+        value = JSON.parse(text);
     } catch (error) {
-        console.error('Failed to download file:', error);
-        await showAlert('Failed to download file: ' + error.message, 'Download Failed', 'error');
+        return `<p class="preview-message">Invalid JSON: ${escapeHtml(error.message)}</p><pre class="preview-text">${escapeHtml(text)}</pre>`;
     }
+    return `<div class="json-tree">${renderJsonValue(value, 0)}</div>`;
 }
 
-async function deleteFile(fileId) {
-    const confirmed = await showConfirm('Are you sure you want to delete this file?', 'Delete File');
-    if (!confirmed) {
-        return;
+function renderJsonValue(value, depth) {
+    if (value === null) {
+        return '<span class="json-null">null</span>';
+    }
+    if (typeof value === 'string') {
+        return `<span class="json-string">"${escapeHtml(value)}"</span>`;
+    }
+    if (typeof value === 'number' || typeof value === 'boolean') {
+        return `<span class="json-${typeof value}">${value}</span>`;
     }
     
-    try {
-        // Get the target tenant ID from current path
-        const targetTenantId = currentPath.length > 0 ? currentPath[currentPath.length - 1] : null;
+    const isArray = Array.isArray(value);
+    const entries = isArray ? value.map((item, index) => [index, item]) : Object.entries(value);
+    const [open, close] = isArray ? ['[', ']'] : ['{', '}'];
+    
+    if (entries.length === 0) {
+        return `${open}${close}`;
+    }
+    
+    // Only the first two levels start expanded so large documents stay readable
+    const children = entries.map(([key, item]) => `
+        <div class="json-entry">
+            ${isArray ? '' : `<span class="json-key">"${escapeHtml(key)}"</span>: `}${renderJsonValue(item, depth + 1)}
+        </div>
+    `).join('');
+    return `<details class="json-node"${depth < 2 ? ' open' : ''}><summary>${open} <span class="json-count">${entries.length} ${isArray ? 'items' : 'keys'}</span></summary>${children}</details>${close}`;
+}
+
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
         
-        // Use fetch directly since DELETE with NoContent() response can't be parsed as JSON
-        const deleteUrl = targetTenantId 
-            ? `${API_BASE}/api/files/${targetTenantId}/${fileId}`
-            : `${API_BASE}/api/files/${fileId}`;
-            
-        const response = await fetch(deleteUrl, {
-            method: 'DELETE',
-            headers: {
-                'X-API-Key': currentApiKey
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
             }
-        });
-        
-        if (!response.ok) {
-            throw new Error(`Delete failed: ${response.statusText}`);
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+            if (rows.length > PREVIEW_MAX_CSV_ROWS) {
+                return rows;
+            }
+        } else {
+            field += char;
         }
-        
-        await loadFiles();
-        await loadTenantInfo();
-        await showAlert('File deleted successfully!', 'Delete Complete', 'success');
-        
-    } catch (error) {
-        console.error('Failed to delete file:', error);
-        await showAlert('Failed to delete file: ' + error.message, 'Delete Failed', 'error');
     }
+    
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
 }
 
-function showFileDetails(metadata) {
-    const modal = document.getElementById('file-modal');
-    const modalTitle = document.getElementById('modal-title');
-    const modalContent = document.getElementById('modal-content');
+function renderCsvPreview(text) {
+    const rows = parseCsv(text);
+    if (rows.length === 0) {
+        return '<p class="preview-message">This CSV file is empty.</p>';
+    }
     
-    modalTitle.textContent = metadata.fileName;
-    modalContent.innerHTML = `
-        <div style="margin-bottom: 16px;">
-            <strong>File Name:</strong> ${metadata.originalFilename}<br>
-            <strong>Size:</strong> ${formatBytes(metadata.fileSize)}<br>
-            <strong>Type:</strong> ${metadata.contentType}<br>
-            <strong>Created:</strong> ${formatDate(metadata.createdAt)}<br>
-            <strong>Chunks:</strong> ${metadata.chunkIds ? metadata.chunkIds.length : 0}
-        </div>
-        <div style="text-align: center;">
-            <p style="color: #666; font-style: italic;">
-                Full file download functionality would require implementing chunk reconstruction.
-                This is a simplified demo showing file metadata.
-            </p>
+    const [header, ...body] = rows;
+    const shownRows = body.slice(0, PREVIEW_MAX_CSV_ROWS - 1);
+    const truncated = body.length > shownRows.length;
+    
+    return `
+        <div class="csv-preview">
+            <table class="csv-table">
+                <thead><tr>${header.map(cell => `<th>${escapeHtml(cell)}</th>`).join('')}</tr></thead>
+                <tbody>${shownRows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody>
+            </table>
         </div>
+        ${truncated ? `<p class="preview-message">Showing the first ${shownRows.length} rows. Download the file to see the rest.</p>` : ''}
     `;
-    
-    modal.style.display = 'flex';
-}
-
-function closeModal() {
-    document.getElementById('file-modal').style.display = 'none';
 }
 
 // Admin Panel Functions
+let adminTenants = []; // Every tenant in the admin panel, including subtenants
+let adminTenantTree = []; // The top-level tenants, each with its subtenants
+let expandedTenantIds = new Set(); // The tenants whose subtenants are shown in the tree
+let tenantEditorTarget = null; // The tenant being edited
+
 function showAdminPanel() {
     document.getElementById('admin-modal').style.display = 'flex';
     loadTenants();
@@ -950,6 +5511,10 @@ function switchTab(tabName) {
     
     // Add active class to clicked button
     event.target.classList.add('active');
+    
+    if (tabName === 'audit-log') {
+        loadAuditLog();
+    }
 }
 
 async function loadTenants() {
@@ -957,68 +5522,222 @@ async function loadTenants() {
         const tenantsList = document.getElementById('tenants-list');
         tenantsList.innerHTML = '<div class="loading">Loading tenants...</div>';
         
-        const tenants = await makeApiRequest('/api/admin/tenants');
+        adminTenantTree = await makeApiRequest('/api/admin/tenant-tree');
+        adminTenants = flattenTenantTree(adminTenantTree);
         
-        if (tenants.length === 0) {
+        if (adminTenantTree.length === 0) {
             tenantsList.innerHTML = '<div class="loading">No tenants found</div>';
             return;
         }
         
-        tenantsList.innerHTML = tenants.map(tenant => `
-            <div class="tenant-item">
-                <div class="tenant-header">
-                    <div>
-                        <span class="tenant-name">${tenant.displayName}</span>
-                        ${tenant.isAdmin ? '<span class="admin-badge">ADMIN</span>' : ''}
-                    </div>
-                    <span class="tenant-id">${tenant.tenantId}</span>
-                </div>
-                <div class="tenant-storage">
-                    <div class="storage-item">
-                        <div class="storage-label">Used</div>
-                        <div class="storage-value">${formatBytes(tenant.currentUsageBytes)}</div>
-                    </div>
-                    <div class="storage-item">
-                        <div class="storage-label">Available</div>
-                        <div class="storage-value">${formatBytes(tenant.availableSpaceBytes)}</div>
+        tenantsList.innerHTML = renderTenantTree(adminTenantTree);
+        
+    } catch (error) {
+        console.error('Failed to load tenants:', error);
+        document.getElementById('tenants-list').innerHTML = '<div class="loading">Failed to load tenants</div>';
+    }
+}
+
+// Tenant tree
+// Subtenants are shown below their parent when it is expanded. Usage is for the whole subtree,
+// which is what the storage limit applies to, and "Own files" leaves out the subtenants.
+function flattenTenantTree(nodes) {
+    return nodes.flatMap(node => [node, ...flattenTenantTree(node.subTenants)]);
+}
+
+function renderTenantTree(nodes) {
+    const signedInTenantId = getSignedInTenantInfo().tenantId;
+    return nodes.map(tenant => {
+        const tenantIdArgument = escapeHtml(JSON.stringify(tenant.tenantId));
+        const subTenantCount = tenant.subTenants.length;
+        const expanded = subTenantCount > 0 && expandedTenantIds.has(tenant.tenantId);
+        const available = tenant.storageLimitBytes > 0
+            ? formatBytes(Math.max(0, tenant.storageLimitBytes - tenant.totalUsageBytes))
+            : 'Unlimited';
+        
+        return `
+            <div class="tenant-tree-node">
+                <div class="tenant-item">
+                    <div class="tenant-header">
+                        <div>
+                            ${subTenantCount > 0
+                                ? `<button class="tenant-tree-toggle" onclick="toggleTenantTreeNode(${tenantIdArgument})" title="${expanded ? 'Hide' : 'Show'} subtenants" type="button">${expanded ? '▾' : '▸'}</button>`
+                                : '<span class="tenant-tree-toggle"></span>'}
+                            <span class="tenant-name">${escapeHtml(tenant.displayName)}</span>
+                            ${tenant.isAdmin ? '<span class="admin-badge">ADMIN</span>' : ''}
+                            ${subTenantCount > 0 ? `<span class="tenant-tree-count">${subTenantCount} ${subTenantCount === 1 ? 'subtenant' : 'subtenants'}</span>` : ''}
+                        </div>
+                        <span class="tenant-id">${escapeHtml(tenant.tenantId)}</span>
                     </div>
-                    <div class="storage-item">
-                        <div class="storage-label">Total</div>
-                        <div class="storage-value">${formatBytes(tenant.storageLimitBytes)}</div>
+                    <div class="tenant-storage">
+                        <div class="storage-item" title="Including subtenants">
+                            <div class="storage-label">Used</div>
+                            <div class="storage-value">${formatBytes(tenant.totalUsageBytes)}</div>
+                        </div>
+                        ${subTenantCount > 0 ? `
+                        <div class="storage-item" title="Without subtenants">
+                            <div class="storage-label">Own files</div>
+                            <div class="storage-value">${formatBytes(tenant.ownUsageBytes)}</div>
+                        </div>` : ''}
+                        <div class="storage-item">
+                            <div class="storage-label">Available</div>
+                            <div class="storage-value">${available}</div>
+                        </div>
+                        <div class="storage-item">
+                            <div class="storage-label">Total</div>
+                            <div class="storage-value">${tenant.storageLimitBytes > 0 ? formatBytes(tenant.storageLimitBytes) : 'Unlimited'}</div>
+                        </div>
+                        <div class="storage-item">
+                            <div class="storage-label">Usage</div>
+                            <div class="storage-value">${tenant.usagePercentage.toFixed(1)}%</div>
+                        </div>
                     </div>
-                    <div class="storage-item">
-                        <div class="storage-label">Usage</div>
-                        <div class="storage-value">${tenant.usagePercentage.toFixed(1)}%</div>
+                    <div class="tenant-actions">
+                        ${tenant.tenantId !== signedInTenantId ? `
+                        <button class="btn btn-secondary" onclick="browseAsTenant(${tenantIdArgument}, true)" title="Open the tenant's files without being able to change them">Browse</button>
+                        <button class="btn btn-secondary" onclick="browseAsTenant(${tenantIdArgument}, false)" title="Open the tenant's files and make changes as the tenant">Browse as admin</button>` : ''}
+                        <button class="btn btn-secondary" onclick="showTenantEditor(${tenantIdArgument})">Edit</button>
+                        ${tenant.parentTenantId ? '' : `<button class="btn btn-danger" onclick="deleteTenant(${tenantIdArgument})">Delete</button>`}
                     </div>
                 </div>
-                <div class="tenant-actions">
-                    <button class="btn btn-secondary" onclick="updateTenantStorage('${tenant.tenantId}', ${tenant.storageLimitBytes})">Update Storage</button>
-                    <button class="btn btn-danger" onclick="deleteTenant('${tenant.tenantId}')">Delete</button>
-                </div>
+                ${expanded ? `<div class="tenant-tree-children">${renderTenantTree(tenant.subTenants)}</div>` : ''}
             </div>
-        `).join('');
-        
-    } catch (error) {
-        console.error('Failed to load tenants:', error);
-        document.getElementById('tenants-list').innerHTML = '<div class="loading">Failed to load tenants</div>';
+        `;
+    }).join('');
+}
+
+function toggleTenantTreeNode(tenantId) {
+    if (expandedTenantIds.has(tenantId)) {
+        expandedTenantIds.delete(tenantId);
+    } else {
+        expandedTenantIds.add(tenantId);
+    }
+    document.getElementById('tenants-list').innerHTML = renderTenantTree(adminTenantTree);
+}
+
+// Tenant editing
+// Storage limits are typed with units, as in "250 GB", and an empty limit means unlimited.
+// Requests are sent without makeApiRequest, so the reason the server refused them can be shown in the form.
+async function sendAdminRequest(endpoint, method, body) {
+    const response = await fetch(`${API_BASE}${endpoint}`, {
+        method,
+        headers: {
+            ...getAuthHeaders(),
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+    });
+    if (response.status === 401) {
+        handleUnauthorized();
+    }
+    if (!response.ok) {
+        throw new Error(await readAdminError(response));
+    }
+    return response.json();
+}
+
+async function readAdminError(response) {
+    // Validation messages are plain text, or JSON with a message or with the errors of each field
+    const text = await response.text();
+    try {
+        const body = JSON.parse(text);
+        if (typeof body === 'string') {
+            return body;
+        }
+        if (body && body.message) {
+            return body.message;
+        }
+        if (body && body.errors) {
+            return Object.values(body.errors).flat().join(' ');
+        }
+    } catch {
+        if (text && text.length < 300) {
+            return text;
+        }
+    }
+    return `HTTP ${response.status}: ${response.statusText}`;
+}
+
+function showFormError(elementId, message) {
+    const element = document.getElementById(elementId);
+    element.textContent = message || '';
+    element.style.display = message ? '' : 'none';
+}
+
+function updateStorageLimitHint(inputId, hintId, emptyText) {
+    const text = document.getElementById(inputId).value.trim();
+    const bytes = parseByteSize(text);
+    let hint;
+    if (!text) {
+        hint = emptyText;
+    } else if (bytes === null) {
+        hint = 'Enter a size such as 500 MB, 250 GB or 1.5 TB';
+    } else {
+        hint = `${bytes.toLocaleString()} bytes`;
     }
+    document.getElementById(hintId).textContent = hint;
 }
 
-async function updateTenantStorage(tenantId, currentLimit) {
-    const newLimit = prompt(`Enter new storage limit for tenant ${tenantId} (current: ${formatBytes(currentLimit)}):`);
-    if (!newLimit || isNaN(newLimit)) return;
+function showTenantEditor(tenantId) {
+    const tenant = adminTenants.find(item => item.tenantId === tenantId);
+    if (!tenant) {
+        return;
+    }
+    tenantEditorTarget = tenant;
+    
+    document.getElementById('tenant-edit-title').textContent = `Edit "${tenant.displayName}"`;
+    document.getElementById('edit-display-name').value = tenant.displayName;
+    document.getElementById('edit-is-admin').checked = tenant.isAdmin;
+    document.getElementById('edit-storage-limit').value = tenant.storageLimitBytes > 0 ? formatByteSizeInput(tenant.storageLimitBytes) : '';
+    
+    // Any other tenant can become the parent, and the server refuses the ones that would create a loop
+    const parentSelect = document.getElementById('edit-parent');
+    parentSelect.innerHTML = '<option value="">None (top-level tenant)</option>' + adminTenants
+        .filter(other => other.tenantId !== tenantId)
+        .map(other => `<option value="${escapeHtml(other.tenantId)}">${escapeHtml(other.displayName)} (${escapeHtml(other.tenantId)})</option>`)
+        .join('');
+    parentSelect.value = tenant.parentTenantId || '';
+    
+    updateStorageLimitHint('edit-storage-limit', 'edit-storage-limit-hint', 'Unlimited');
+    showFormError('tenant-edit-error', null);
+    document.getElementById('tenant-edit-modal').style.display = 'flex';
+    document.getElementById('edit-display-name').focus();
+}
+
+function closeTenantEditor() {
+    document.getElementById('tenant-edit-modal').style.display = 'none';
+    tenantEditorTarget = null;
+}
+
+async function saveTenantEdit(event) {
+    event.preventDefault();
+    if (!tenantEditorTarget) {
+        return;
+    }
+    
+    const tenantId = tenantEditorTarget.tenantId;
+    const limitText = document.getElementById('edit-storage-limit').value.trim();
+    const storageLimit = limitText ? parseByteSize(limitText) : 0;
+    if (storageLimit === null) {
+        showFormError('tenant-edit-error', `"${limitText}" is not a storage size. Enter it as e.g. 250 GB, or leave it empty for unlimited.`);
+        return;
+    }
     
     try {
-        const response = await makeApiRequestWithBody(`/api/admin/tenants/${tenantId}/storage-limit`, 'PUT', {
-            storageLimitBytes: parseInt(newLimit)
+        await sendAdminRequest(`/api/admin/tenants/${encodeURIComponent(tenantId)}`, 'PUT', {
+            displayName: document.getElementById('edit-display-name').value.trim(),
+            isAdmin: document.getElementById('edit-is-admin').checked,
+            storageLimitBytes: storageLimit,
+            parentTenantId: document.getElementById('edit-parent').value || null
         });
         
-        await showAlert(`Storage limit updated successfully for ${tenantId}`, 'Update Complete', 'success');
+        closeTenantEditor();
+        await showAlert(`Tenant '${tenantId}' updated successfully`, 'Update Complete', 'success');
         await loadTenants();
         
     } catch (error) {
-        console.error('Failed to update storage limit:', error);
-        await showAlert('Failed to update storage limit: ' + error.message, 'Update Failed', 'error');
+        console.error('Failed to update tenant:', error);
+        showFormError('tenant-edit-error', error.message);
     }
 }
 
@@ -1030,7 +5749,7 @@ async function deleteTenant(tenantId) {
         const response = await fetch(`${API_BASE}/api/admin/tenants/${tenantId}`, {
             method: 'DELETE',
             headers: {
-                'X-API-Key': currentApiKey
+                ...getAuthHeaders()
             }
         });
         
@@ -1048,6 +5767,250 @@ async function deleteTenant(tenantId) {
     }
 }
 
+// Audit log
+// The list shows the most recent entries that match the filters, and the exports contain all of them.
+// Dates are whole days in the browser's time zone, so "To" is sent as the start of the next day.
+const AUDIT_LOG_LIMIT = 500;
+const AUDIT_ACTION_LABELS = {
+    FileUploaded: 'File uploaded',
+    FileDownloaded: 'File downloaded',
+    FileDeleted: 'File deleted',
+    FilePurged: 'File purged',
+    FileRestored: 'File restored',
+    FileMoved: 'File moved',
+    FileCopied: 'File copied',
+    FileRenamed: 'File renamed',
+    FileLabelsUpdated: 'File labels updated',
+    FileVersionRestored: 'File version restored',
+    FolderCreated: 'Folder created',
+    FolderUpdated: 'Folder updated',
+    FolderDeleted: 'Folder deleted',
+    FolderPurged: 'Folder purged',
+    FolderRestored: 'Folder restored',
+    TenantCreated: 'Tenant created',
+    TenantUpdated: 'Tenant updated',
+    TenantDeleted: 'Tenant deleted',
+    ApiKeyCreated: 'API key created',
+    ApiKeyRotated: 'API key rotated',
+    ApiKeyRevoked: 'API key revoked',
+    ShareLinkCreated: 'Share link created',
+    ShareLinkRevoked: 'Share link revoked',
+    ShareLinkUsed: 'Share link used',
+    AuthenticationFailed: 'Authentication failed'
+};
+
+function updateAuditLogFilterOptions() {
+    const tenantSelect = document.getElementById('audit-log-tenant');
+    const selectedTenantId = tenantSelect.value;
+    tenantSelect.innerHTML = '<option value="">All tenants</option>' + adminTenants
+        .map(tenant => `<option value="${escapeHtml(tenant.tenantId)}">${escapeHtml(tenant.displayName)} (${escapeHtml(tenant.tenantId)})</option>`)
+        .join('');
+    tenantSelect.value = adminTenants.some(tenant => tenant.tenantId === selectedTenantId) ? selectedTenantId : '';
+    
+    const actionSelect = document.getElementById('audit-log-action');
+    if (actionSelect.options.length === 0) {
+        actionSelect.innerHTML = '<option value="">All actions</option>' + Object.entries(AUDIT_ACTION_LABELS)
+            .map(([action, label]) => `<option value="${action}">${label}</option>`)
+            .join('');
+    }
+}
+
+function parseLocalDate(value) {
+    // new Date('2026-10-19') would be midnight UTC rather than midnight here
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+function getAuditLogQuery() {
+    const params = new URLSearchParams();
+    const tenantId = document.getElementById('audit-log-tenant').value;
+    const action = document.getElementById('audit-log-action').value;
+    const from = document.getElementById('audit-log-from').value;
+    const to = document.getElementById('audit-log-to').value;
+    
+    if (tenantId) {
+        params.set('tenantId', tenantId);
+    }
+    if (action) {
+        params.set('action', action);
+    }
+    if (from) {
+        params.set('from', parseLocalDate(from).toISOString());
+    }
+    if (to) {
+        const end = parseLocalDate(to);
+        end.setDate(end.getDate() + 1);
+        params.set('to', end.toISOString());
+    }
+    
+    return params;
+}
+
+async function loadAuditLog() {
+    updateAuditLogFilterOptions();
+    const auditLogList = document.getElementById('audit-log-list');
+    auditLogList.innerHTML = '<div class="loading">Loading audit log...</div>';
+    
+    try {
+        const params = getAuditLogQuery();
+        params.set('limit', AUDIT_LOG_LIMIT);
+        const entries = await makeApiRequest(`/api/admin/audit-log?${params}`);
+        
+        if (entries.length === 0) {
+            auditLogList.innerHTML = '<div class="loading">No entries match the filters</div>';
+            return;
+        }
+        
+        auditLogList.innerHTML = renderAuditLog(entries) + (entries.length >= AUDIT_LOG_LIMIT
+            ? `<p class="trash-note">Showing the ${AUDIT_LOG_LIMIT} most recent entries. Export the log to get all of them.</p>`
+            : '');
+    } catch (error) {
+        console.error('Failed to load audit log:', error);
+        auditLogList.innerHTML = '<div class="loading">Failed to load audit log</div>';
+    }
+}
+
+function applyAuditLogFilters(event) {
+    event.preventDefault();
+    loadAuditLog();
+}
+
+function renderAuditLog(entries) {
+    return `
+        <table class="audit-log-table">
+            <thead>
+                <tr><th>Time</th><th>Action</th><th>Tenant</th><th>Target</th><th>Details</th><th>IP address</th></tr>
+            </thead>
+            <tbody>
+                ${entries.map(entry => `
+                    <tr class="${entry.action === 'AuthenticationFailed' ? 'audit-log-failure' : ''}">
+                        <td>${escapeHtml(formatDate(entry.timestamp))}</td>
+                        <td>${escapeHtml(AUDIT_ACTION_LABELS[entry.action] || entry.action)}</td>
+                        <td>
+                            ${escapeHtml(entry.tenantId || describeAnonymousAuditLogActor(entry))}
+                            ${entry.browsingAdminTenantId ? `<div class="tenant-id">by admin ${escapeHtml(entry.browsingAdminTenantId)}</div>` : ''}
+                        </td>
+                        <td>
+                            ${escapeHtml(entry.targetName || entry.targetId || '')}
+                            ${entry.targetTenantId ? `<div class="tenant-id">in ${escapeHtml(entry.targetTenantId)}</div>` : ''}
+                        </td>
+                        <td>${escapeHtml(entry.details || '')}</td>
+                        <td>${escapeHtml(entry.ipAddress || '')}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Entries without a tenant were refused, came through a share link or were done by the server itself
+function describeAnonymousAuditLogActor(entry) {
+    if (entry.action === 'ShareLinkUsed') {
+        return 'Share link';
+    }
+    return entry.action === 'AuthenticationFailed' ? 'Unknown' : 'Server';
+}
+
+async function exportAuditLog(format) {
+    const params = getAuditLogQuery();
+    params.set('format', format);
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/admin/audit-log/export?${params}`, {
+            headers: getAuthHeaders()
+        });
+        if (response.status === 401) {
+            handleUnauthorized();
+        }
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        
+        saveBlob(await response.blob(), `audit-log.${format}`);
+    } catch (error) {
+        console.error('Failed to export audit log:', error);
+        await showAlert('Failed to export the audit log: ' + error.message, 'Export Failed', 'error');
+    }
+}
+
+// Browsing as another tenant
+// Admins can open any tenant in the file browser without its API key. The same key stays signed in and
+// requests name the browsed tenant, which the server refuses to change anything in unless admin mode was chosen.
+function getSignedInTenantInfo() {
+    return browseTarget ? browseTarget.adminTenantInfo : currentTenantInfo;
+}
+
+async function browseAsTenant(tenantId, readOnly) {
+    if (!(await confirmLeavingTransfers())) {
+        return;
+    }
+    
+    const previousTarget = browseTarget;
+    browseTarget = { tenantId, readOnly, adminTenantInfo: getSignedInTenantInfo() };
+    let tenantInfo;
+    try {
+        tenantInfo = await makeApiRequest('/api/tenant/info');
+    } catch (error) {
+        browseTarget = previousTarget;
+        await showAlert('Could not open the tenant: ' + error.message, 'Error', 'error');
+        return;
+    }
+    
+    closeAdminModal();
+    await openBrowsedTenant(tenantInfo);
+}
+
+async function exitBrowseAsTenant() {
+    if (!browseTarget || !(await confirmLeavingTransfers())) {
+        return;
+    }
+    
+    const adminTenantInfo = browseTarget.adminTenantInfo;
+    browseTarget = null;
+    await openBrowsedTenant(adminTenantInfo);
+}
+
+async function openBrowsedTenant(tenantInfo) {
+    // Starts from the root of the tenant, the same as switching accounts
+    resetTransfers();
+    closeModal();
+    closeShareModal();
+    closeShareLinks();
+    closeTrash();
+    document.getElementById('search-input').value = '';
+    resetFolderSearch();
+    clearSelection();
+    currentTenantInfo = tenantInfo;
+    files = [];
+    subtenants = {};
+    currentPath = [];
+    tenantCache = {};
+    fileDetailsPushedHistory = false;
+    replaceRoute();
+    updateBrowseDisplay();
+    
+    await loadTenantInfo();
+    await loadFiles();
+}
+
+function updateBrowseDisplay() {
+    const banner = document.getElementById('browse-banner');
+    if (browseTarget) {
+        const mode = browseTarget.readOnly ? 'read-only' : 'admin mode, changes are made as this tenant';
+        document.getElementById('browse-banner-text').textContent = `Browsing ${currentTenantInfo.displayName} (${currentTenantInfo.tenantId}) as ${browseTarget.adminTenantInfo.displayName}: ${mode}`;
+        banner.classList.toggle('read-only', browseTarget.readOnly);
+        banner.style.display = 'flex';
+    } else {
+        banner.style.display = 'none';
+    }
+    
+    // Keys and the admin panel belong to the signed in admin, so they wait until browsing ends
+    const signedInTenantInfo = getSignedInTenantInfo();
+    document.getElementById('main-section').classList.toggle('browsing-read-only', Boolean(browseTarget && browseTarget.readOnly));
+    document.getElementById('keys-btn').style.display = browseTarget ? 'none' : '';
+    document.getElementById('admin-btn').style.display = signedInTenantInfo && signedInTenantInfo.isAdmin && !browseTarget ? 'inline-block' : 'none';
+}
+
 // Theme management
 let currentTheme = 'auto'; // 'auto', 'light', or 'dark'
 
@@ -1124,7 +6087,7 @@ document.addEventListener('DOMContentLoaded', function() {
     window.addEventListener('click', function(event) {
         const modal = document.getElementById('file-modal');
         if (event.target === modal) {
-            closeModal();
+            closeFileDetails();
         }
     });
     
@@ -1135,6 +6098,24 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     });
     
+    // Close the account menu when clicking anywhere else
+    document.addEventListener('click', function(event) {
+        if (!event.target.closest('.account-switcher, .account-menu')) {
+            closeAccountMenu();
+        }
+    });
+    
+    // Browser back and forward move between folders and the file modal
+    window.addEventListener('popstate', handleRouteChange);
+    
+    // Share links show the shared content instead of the login
+    const shareToken = new URLSearchParams(window.location.search).get('share');
+    if (shareToken) {
+        openSharedContent(shareToken);
+    } else {
+        restoreSession();
+    }
+    
     // Admin form submission
     document.getElementById('create-tenant-form').addEventListener('submit', async function(event) {
         event.preventDefault();
@@ -1142,16 +6123,21 @@ document.addEventListener('DOMContentLoaded', function() {
         const tenantId = document.getElementById('new-tenant-id').value.trim();
         const apiKey = document.getElementById('new-api-key').value.trim();
         const displayName = document.getElementById('new-display-name').value.trim();
-        const storageLimit = parseInt(document.getElementById('new-storage-limit').value);
+        const storageLimitText = document.getElementById('new-storage-limit').value.trim();
+        const storageLimit = parseByteSize(storageLimitText);
         const isAdmin = document.getElementById('new-is-admin').checked;
         
-        if (!tenantId || !apiKey || !displayName || !storageLimit) {
-            await showAlert('Please fill in all required fields', 'Validation Error', 'error');
+        if (!tenantId || !apiKey || !displayName || !storageLimitText) {
+            showFormError('create-tenant-error', 'Please fill in all required fields');
+            return;
+        }
+        if (!storageLimit) {
+            showFormError('create-tenant-error', `"${storageLimitText}" is not a storage size. Enter it as e.g. 250 GB.`);
             return;
         }
         
         try {
-            const response = await makeApiRequestWithBody('/api/admin/tenants', 'POST', {
+            await sendAdminRequest('/api/admin/tenants', 'POST', {
                 tenantId: tenantId,
                 apiKey: apiKey,
                 displayName: displayName,
@@ -1163,6 +6149,8 @@ document.addEventListener('DOMContentLoaded', function() {
             
             // Clear form
             document.getElementById('create-tenant-form').reset();
+            updateStorageLimitHint('new-storage-limit', 'new-storage-limit-hint', '');
+            showFormError('create-tenant-error', null);
             
             // Switch to tenants tab and refresh
             switchTab('tenants');
@@ -1170,7 +6158,7 @@ document.addEventListener('DOMContentLoaded', function() {
             
         } catch (error) {
             console.error('Failed to create tenant:', error);
-            await showAlert('Failed to create tenant: ' + error.message, 'Create Failed', 'error');
+            showFormError('create-tenant-error', error.message);
         }
     });
 }); 
\ No newline at end of file
@@ -0,0 +1,306 @@
+using ByteShelfCommon;
+using System.IO.Compression;
+using System.Text;
+
+namespace ByteShelf.Services
+{
+    /// <summary>
+    /// Implementation of <see cref="IArchiveService"/> that streams stored files into a ZIP archive.
+    /// </summary>
+    /// <remarks>
+    /// Names are made safe for use as paths, and names that are taken within a directory get
+    /// a number added, like "report (2).pdf", so no entry in the archive overwrites another.
+    /// Encrypted files that were left out are listed in a text file at the root of the archive.
+    /// </remarks>
+    public class ArchiveService : IArchiveService
+    {
+        private static readonly char[] InvalidNameCharacters = { '/', '\\', ':', '*', '?', '"', '<', '>', '|' };
+
+        /// <summary>
+        /// The name of the entry that lists the encrypted files that were left out of the archive.
+        /// </summary>
+        public const string SkippedFilesEntryName = "Encrypted files not included.txt";
+
+        private const int CopyBufferSize = 81920;
+
+        private readonly IFileStorageService _fileStorageService;
+        private readonly ITenantConfigurationService _tenantConfigurationService;
+        private readonly ILogger<ArchiveService> _logger;
+
+        /// <summary>
+        /// Initializes a new instance of the <see cref="ArchiveService"/> class.
+        /// </summary>
+        /// <param name="fileStorageService">The file storage service to read the files from.</param>
+        /// <param name="tenantConfigurationService">The tenant configuration service to find the subtenants with.</param>
+        /// <param name="logger">The logger for recording service operations.</param>
+        /// <exception cref="ArgumentNullException">Thrown when any of the parameters is null.</exception>
+        public ArchiveService(
+            IFileStorageService fileStorageService,
+            ITenantConfigurationService tenantConfigurationService,
+            ILogger<ArchiveService> logger)
+        {
+            _fileStorageService = fileStorageService ?? throw new ArgumentNullException(nameof(fileStorageService));
+            _tenantConfigurationService = tenantConfigurationService ?? throw new ArgumentNullException(nameof(tenantConfigurationService));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        /// <inheritdoc/>
+        public async Task WriteArchiveAsync(Stream output, string tenantId, IEnumerable<Guid> fileIds, IEnumerable<string> folderTenantIds, CancellationToken cancellationToken = default)
+        {
+            if (output == null)
+                throw new ArgumentNullException(nameof(output));
+            if (string.IsNullOrWhiteSpace(tenantId))
+                throw new ArgumentException("Tenant ID cannot be null or empty", nameof(tenantId));
+
+            AsyncWriteBuffer archiveOutput = new AsyncWriteBuffer(output);
+            List<string> skippedFiles = new List<string>();
+
+            using (ZipArchive archive = new ZipArchive(archiveOutput, ZipArchiveMode.Create, leaveOpen: true))
+            {
+                HashSet<string> rootNames = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+
+                foreach (string folderTenantId in folderTenantIds ?? Enumerable.Empty<string>())
+                {
+                    TenantInfo? folder = _tenantConfigurationService.GetTenant(folderTenantId);
+                    if (folder == null)
+                        continue;
+
+                    string directoryPath = GetUniqueName(rootNames, GetSafeName(folder.DisplayName, folderTenantId)) + "/";
+                    await AddFolderAsync(archive, archiveOutput, folderTenantId, folder, directoryPath, skippedFiles, cancellationToken);
+                }
+
+                foreach (Guid fileId in fileIds ?? Enumerable.Empty<Guid>())
+                {
+                    ShelfFileMetadata? metadata = await _fileStorageService.GetFileMetadataAsync(tenantId, fileId, cancellationToken);
+                    if (metadata == null)
+                        continue;
+
+                    await AddFileAsync(archive, archiveOutput, tenantId, metadata, string.Empty, rootNames, skippedFiles, cancellationToken);
+                }
+
+                if (skippedFiles.Count > 0)
+                {
+                    await AddSkippedFilesEntryAsync(archive, archiveOutput, GetUniqueName(rootNames, SkippedFilesEntryName), skippedFiles, cancellationToken);
+                }
+            }
+
+            // The central directory is written when the archive is disposed
+            await archiveOutput.WriteBufferedAsync(cancellationToken);
+
+            _logger.LogInformation("Wrote an archive of {FileCount} files and {FolderCount} folders for tenant {TenantId}, leaving out {SkippedCount} encrypted files",
+                fileIds?.Count() ?? 0, folderTenantIds?.Count() ?? 0, tenantId, skippedFiles.Count);
+        }
+
+        /// <summary>
+        /// Adds a subtenant as a directory, with its files and, recursively, its nested subtenants.
+        /// </summary>
+        /// <param name="archive">The archive to add the folder to.</param>
+        /// <param name="archiveOutput">The buffer the archive writes to.</param>
+        /// <param name="tenantId">The ID of the subtenant.</param>
+        /// <param name="tenant">The subtenant.</param>
+        /// <param name="directoryPath">The path of the directory in the archive, ending with a slash.</param>
+        /// <param name="skippedFiles">The paths of the encrypted files that were left out.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>A task that represents the asynchronous operation.</returns>
+        private async Task AddFolderAsync(ZipArchive archive, AsyncWriteBuffer archiveOutput, string tenantId, TenantInfo tenant, string directoryPath, List<string> skippedFiles, CancellationToken cancellationToken)
+        {
+            // An entry for the directory itself keeps empty folders in the archive
+            archive.CreateEntry(directoryPath);
+
+            HashSet<string> names = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+
+            foreach (KeyValuePair<string, TenantInfo> subTenant in tenant.SubTenants.OrderBy(subTenant => subTenant.Value.DisplayName, StringComparer.OrdinalIgnoreCase))
+            {
+                string subDirectoryPath = directoryPath + GetUniqueName(names, GetSafeName(subTenant.Value.DisplayName, subTenant.Key)) + "/";
+                await AddFolderAsync(archive, archiveOutput, subTenant.Key, subTenant.Value, subDirectoryPath, skippedFiles, cancellationToken);
+            }
+
+            IEnumerable<ShelfFileMetadata> files = await _fileStorageService.GetFilesAsync(tenantId, cancellationToken);
+            foreach (ShelfFileMetadata metadata in files.OrderBy(file => file.OriginalFilename, StringComparer.OrdinalIgnoreCase))
+            {
+                await AddFileAsync(archive, archiveOutput, tenantId, metadata, directoryPath, names, skippedFiles, cancellationToken);
+            }
+        }
+
+        /// <summary>
+        /// Copies a stored file into the archive, or records it as skipped if it is encrypted.
+        /// </summary>
+        /// <param name="archive">The archive to add the file to.</param>
+        /// <param name="archiveOutput">The buffer the archive writes to.</param>
+        /// <param name="tenantId">The ID of the tenant that holds the file.</param>
+        /// <param name="metadata">The metadata of the file.</param>
+        /// <param name="directoryPath">The path of the directory in the archive, ending with a slash, or empty for the root.</param>
+        /// <param name="names">The names already taken in the directory.</param>
+        /// <param name="skippedFiles">The paths of the encrypted files that were left out.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>A task that represents the asynchronous operation.</returns>
+        private async Task AddFileAsync(ZipArchive archive, AsyncWriteBuffer archiveOutput, string tenantId, ShelfFileMetadata metadata, string directoryPath, HashSet<string> names, List<string> skippedFiles, CancellationToken cancellationToken)
+        {
+            if (metadata.Encryption != null)
+            {
+                _logger.LogDebug("Leaving encrypted file {FileId} of tenant {TenantId} out of the archive", metadata.Id, tenantId);
+                skippedFiles.Add(directoryPath + GetSafeName(metadata.OriginalFilename, metadata.Id.ToString()));
+                return;
+            }
+
+            string entryName = directoryPath + GetUniqueName(names, GetSafeName(metadata.OriginalFilename, metadata.Id.ToString()));
+            ZipArchiveEntry entry = archive.CreateEntry(entryName, CompressionLevel.Fastest);
+
+            // ZIP timestamps can't go before 1980, so files without a usable date keep the current time
+            if (metadata.CreatedAt.Year >= 1980 && metadata.CreatedAt.Year <= 2107)
+            {
+                entry.LastWriteTime = metadata.CreatedAt;
+            }
+
+            using (Stream entryStream = entry.Open())
+            using (Stream fileStream = await _fileStorageService.GetFileStreamAsync(tenantId, metadata.Id, cancellationToken))
+            {
+                byte[] buffer = new byte[CopyBufferSize];
+                int bytesRead;
+                while ((bytesRead = await fileStream.ReadAsync(buffer, cancellationToken)) > 0)
+                {
+                    await entryStream.WriteAsync(buffer.AsMemory(0, bytesRead), cancellationToken);
+
+                    // Sends on whatever the compression wrote synchronously, so the buffer never holds more than a block
+                    await archiveOutput.WriteBufferedAsync(cancellationToken);
+                }
+            }
+
+            // Closing the entry writes its sizes and checksum
+            await archiveOutput.WriteBufferedAsync(cancellationToken);
+        }
+
+        /// <summary>
+        /// Adds a text entry that lists the encrypted files that were left out of the archive.
+        /// </summary>
+        /// <param name="archive">The archive to add the entry to.</param>
+        /// <param name="archiveOutput">The buffer the archive writes to.</param>
+        /// <param name="entryName">The name of the entry.</param>
+        /// <param name="skippedFiles">The paths of the encrypted files that were left out.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>A task that represents the asynchronous operation.</returns>
+        private static async Task AddSkippedFilesEntryAsync(ZipArchive archive, AsyncWriteBuffer archiveOutput, string entryName, List<string> skippedFiles, CancellationToken cancellationToken)
+        {
+            StringBuilder notice = new StringBuilder();
+            notice.AppendLine("These files were encrypted in the browser, so the server can't put them in an archive.");
+            notice.AppendLine("Download them one at a time from ByteShelf to decrypt them.");
+            notice.AppendLine();
+            foreach (string skippedFile in skippedFiles)
+            {
+                notice.AppendLine(skippedFile);
+            }
+
+            ZipArchiveEntry entry = archive.CreateEntry(entryName, CompressionLevel.Fastest);
+            using (Stream entryStream = entry.Open())
+            {
+                await entryStream.WriteAsync(Encoding.UTF8.GetBytes(notice.ToString()), cancellationToken);
+            }
+
+            await archiveOutput.WriteBufferedAsync(cancellationToken);
+        }
+
+        /// <summary>
+        /// Makes a file or folder name safe to use as a single path segment in the archive.
+        /// </summary>
+        /// <param name="name">The name.</param>
+        /// <param name="fallback">The name to use if nothing usable is left of <paramref name="name"/>.</param>
+        /// <returns>The safe name.</returns>
+        private static string GetSafeName(string? name, string fallback)
+        {
+            string safeName = new string((name ?? string.Empty)
+                .Select(character => char.IsControl(character) || InvalidNameCharacters.Contains(character) ? '_' : character)
+                .ToArray())
+                .Trim();
+
+            // "." and ".." would point outside of the directory when the archive is extracted
+            return safeName.Length == 0 || safeName.All(character => character == '.') ? fallback : safeName;
+        }
+
+        /// <summary>
+        /// Adds a number to a name if it is already taken, and marks the result as taken.
+        /// </summary>
+        /// <param name="names">The names already taken in the directory.</param>
+        /// <param name="name">The name to make unique.</param>
+        /// <returns>The unique name.</returns>
+        private static string GetUniqueName(HashSet<string> names, string name)
+        {
+            string uniqueName = name;
+            string baseName = Path.GetFileNameWithoutExtension(name);
+            string extension = Path.GetExtension(name);
+
+            for (int number = 2; !names.Add(uniqueName); number++)
+            {
+                uniqueName = $"{baseName} ({number}){extension}";
+            }
+
+            return uniqueName;
+        }
+
+        /// <summary>
+        /// A stream that holds synchronous writes until they can be written to the output asynchronously.
+        /// </summary>
+        /// <remarks>
+        /// <see cref="ZipArchive"/> writes entry headers and the central directory synchronously, which
+        /// Kestrel refuses on response bodies. Those writes are kept here and sent on by
+        /// <see cref="WriteBufferedAsync"/>, while asynchronous writes go straight to the output.
+        /// </remarks>
+        private class AsyncWriteBuffer : Stream
+        {
+            private readonly Stream _output;
+            private readonly MemoryStream _buffer = new MemoryStream();
+
+            public AsyncWriteBuffer(Stream output) => _output = output;
+
+            public override bool CanRead => false;
+            public override bool CanSeek => false;
+            public override bool CanWrite => true;
+            public override long Length => throw new NotSupportedException();
+            public override long Position { get => throw new NotSupportedException(); set => throw new NotSupportedException(); }
+
+            /// <summary>
+            /// Writes everything that was written synchronously since the last call to the output.
+            /// </summary>
+            /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+            /// <returns>A task that represents the asynchronous operation.</returns>
+            public async Task WriteBufferedAsync(CancellationToken cancellationToken)
+            {
+                if (_buffer.Length == 0)
+                    return;
+
+                await _output.WriteAsync(_buffer.GetBuffer().AsMemory(0, (int)_buffer.Length), cancellationToken);
+                _buffer.SetLength(0);
+            }
+
+            public override void Write(byte[] buffer, int offset, int count) => _buffer.Write(buffer, offset, count);
+
+            public override void Write(ReadOnlySpan<byte> buffer) => _buffer.Write(buffer);
+
+            public override Task WriteAsync(byte[] buffer, int offset, int count, CancellationToken cancellationToken)
+            {
+                return WriteAsync(buffer.AsMemory(offset, count), cancellationToken).AsTask();
+            }
+
+            public override async ValueTask WriteAsync(ReadOnlyMemory<byte> buffer, CancellationToken cancellationToken = default)
+            {
+                // Anything written synchronously before comes first
+                await WriteBufferedAsync(cancellationToken);
+                await _output.WriteAsync(buffer, cancellationToken);
+            }
+
+            // Synchronous flushes are left to WriteBufferedAsync
+            public override void Flush()
+            {
+            }
+
+            public override async Task FlushAsync(CancellationToken cancellationToken)
+            {
+                await WriteBufferedAsync(cancellationToken);
+                await _output.FlushAsync(cancellationToken);
+            }
+
+            public override int Read(byte[] buffer, int offset, int count) => throw new NotSupportedException();
+            public override long Seek(long offset, SeekOrigin origin) => throw new NotSupportedException();
+            public override void SetLength(long value) => throw new NotSupportedException();
+        }
+    }
+}
@@ -0,0 +1,387 @@
+using ByteShelf.Configuration;
+using ByteShelfCommon;
+using System.Globalization;
+using System.Text;
+using System.Text.Json;
+
+namespace ByteShelf.Services
+{
+    /// <summary>
+    /// Implementation of <see cref="IAuditLogService"/> that appends entries to monthly JSON Lines files.
+    /// </summary>
+    /// <remarks>
+    /// Each entry is a line of JSON in the audit-log directory of the storage directory, in a file for the month it was
+    /// recorded in. Refused requests go to authentication-failures-yyyy-MM.jsonl and everything else to
+    /// operations-yyyy-MM.jsonl, so a flood of bad API keys neither waits for nor buries the operations. Files of
+    /// months past <see cref="AuditLogConfiguration.RetentionMonths"/> are deleted. Queries read the files from the
+    /// most recent month back and stop once they have enough entries. Lines that can't be read, such as one that was
+    /// cut off by a crash, are skipped.
+    /// </remarks>
+    public class AuditLogService : IAuditLogService
+    {
+        private const string OperationsFilePrefix = "operations";
+        private const string AuthenticationFailuresFilePrefix = "authentication-failures";
+        private const string MonthFormat = "yyyy-MM";
+
+        private static readonly string[] CsvColumns =
+        {
+            "Timestamp", "Action", "TenantId", "BrowsingAdminTenantId", "ApiKeyId",
+            "TargetTenantId", "TargetId", "TargetName", "Details", "IpAddress",
+        };
+
+        private readonly ILogger<AuditLogService> _logger;
+        private readonly string _logDirectory;
+        private readonly int _retentionMonths;
+        private readonly LogFileSet _operations = new LogFileSet(OperationsFilePrefix);
+        private readonly LogFileSet _authenticationFailures = new LogFileSet(AuthenticationFailuresFilePrefix);
+        private readonly JsonSerializerOptions _jsonOptions;
+
+        /// <summary>
+        /// Initializes a new instance of the <see cref="AuditLogService"/> class.
+        /// </summary>
+        /// <param name="storagePath">The base storage path where the audit log is kept.</param>
+        /// <param name="configuration">The audit log configuration with the retention period.</param>
+        /// <param name="logger">The logger for recording service operations.</param>
+        /// <exception cref="ArgumentNullException">Thrown when any of the parameters is null.</exception>
+        public AuditLogService(string storagePath, AuditLogConfiguration configuration, ILogger<AuditLogService> logger)
+        {
+            if (storagePath == null)
+                throw new ArgumentNullException(nameof(storagePath));
+
+            if (configuration == null)
+                throw new ArgumentNullException(nameof(configuration));
+
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+            _logDirectory = Path.Combine(storagePath, "audit-log");
+            _retentionMonths = configuration.RetentionMonths;
+
+            // Each entry has to fit on a single line
+            _jsonOptions = new JsonSerializerOptions
+            {
+                WriteIndented = false,
+            };
+
+            Directory.CreateDirectory(_logDirectory);
+        }
+
+        /// <inheritdoc/>
+        public async Task RecordAsync(AuditLogEntry entry)
+        {
+            if (entry == null)
+                throw new ArgumentNullException(nameof(entry));
+
+            LogFileSet fileSet = entry.Action == AuditAction.AuthenticationFailed ? _authenticationFailures : _operations;
+            string filePath = GetLogFilePath(fileSet.Prefix, GetMonth(entry.Timestamp));
+            string line = JsonSerializer.Serialize(entry, _jsonOptions) + Environment.NewLine;
+
+            await fileSet.WriteSemaphore.WaitAsync();
+            try
+            {
+                RemoveExpiredFiles(fileSet);
+                await File.AppendAllTextAsync(filePath, line);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to record {Action} by {TenantId} in the audit log {FilePath}", entry.Action, entry.TenantId, filePath);
+            }
+            finally
+            {
+                fileSet.WriteSemaphore.Release();
+            }
+        }
+
+        /// <inheritdoc/>
+        public async Task<List<AuditLogEntry>> GetEntriesAsync(AuditLogQuery query, CancellationToken cancellationToken = default)
+        {
+            if (query == null)
+                throw new ArgumentNullException(nameof(query));
+
+            List<string> prefixes = new List<string>();
+            if (query.Action != AuditAction.AuthenticationFailed)
+                prefixes.Add(OperationsFilePrefix);
+            if (query.Action == null || query.Action == AuditAction.AuthenticationFailed)
+                prefixes.Add(AuthenticationFailuresFilePrefix);
+
+            Dictionary<DateTime, List<string>> filesByMonth = new Dictionary<DateTime, List<string>>();
+            foreach (string prefix in prefixes)
+            {
+                foreach (KeyValuePair<DateTime, string> file in GetLogFiles(prefix))
+                {
+                    if (!filesByMonth.TryGetValue(file.Key, out List<string>? files))
+                    {
+                        files = new List<string>();
+                        filesByMonth[file.Key] = files;
+                    }
+
+                    files.Add(file.Value);
+                }
+            }
+
+            List<AuditLogEntry> entries = new List<AuditLogEntry>();
+            foreach (DateTime month in filesByMonth.Keys.OrderByDescending(fileMonth => fileMonth))
+            {
+                if (query.Limit.HasValue && entries.Count >= query.Limit.Value)
+                    break;
+
+                DateTimeOffset monthStart = new DateTimeOffset(month, TimeSpan.Zero);
+                if ((query.From.HasValue && monthStart.AddMonths(1) <= query.From.Value) ||
+                    (query.To.HasValue && monthStart >= query.To.Value))
+                    continue;
+
+                List<AuditLogEntry> monthEntries = new List<AuditLogEntry>();
+                foreach (string filePath in filesByMonth[month])
+                {
+                    monthEntries.AddRange(await ReadEntriesAsync(filePath, query, cancellationToken));
+                }
+
+                // Each file is most recent first, and the sort is stable, so entries recorded at the same time keep that order
+                entries.AddRange(monthEntries.OrderByDescending(entry => entry.Timestamp));
+            }
+
+            if (query.Limit.HasValue && entries.Count > query.Limit.Value)
+                entries.RemoveRange(query.Limit.Value, entries.Count - query.Limit.Value);
+
+            return entries;
+        }
+
+        /// <summary>
+        /// Formats audit log entries as CSV, with a header row.
+        /// </summary>
+        /// <param name="entries">The entries to format.</param>
+        /// <returns>The entries as CSV.</returns>
+        /// <remarks>
+        /// Values that a spreadsheet would run as a formula, such as a filename starting with "=", get a leading apostrophe.
+        /// </remarks>
+        public static string FormatCsv(IEnumerable<AuditLogEntry> entries)
+        {
+            if (entries == null)
+                throw new ArgumentNullException(nameof(entries));
+
+            StringBuilder csv = new StringBuilder();
+            csv.AppendLine(string.Join(",", CsvColumns));
+
+            foreach (AuditLogEntry entry in entries)
+            {
+                string?[] values =
+                {
+                    entry.Timestamp.ToString("O"),
+                    entry.Action.ToString(),
+                    entry.TenantId,
+                    entry.BrowsingAdminTenantId,
+                    entry.ApiKeyId?.ToString(),
+                    entry.TargetTenantId,
+                    entry.TargetId,
+                    entry.TargetName,
+                    entry.Details,
+                    entry.IpAddress,
+                };
+                csv.AppendLine(string.Join(",", values.Select(FormatCsvValue)));
+            }
+
+            return csv.ToString();
+        }
+
+        /// <summary>
+        /// Reads the entries of a log file that match a query.
+        /// </summary>
+        /// <param name="filePath">The path of the log file.</param>
+        /// <param name="query">The filters for the entries.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The matching entries, most recently recorded first.</returns>
+        private async Task<List<AuditLogEntry>> ReadEntriesAsync(string filePath, AuditLogQuery query, CancellationToken cancellationToken)
+        {
+            List<AuditLogEntry> entries = new List<AuditLogEntry>();
+            int skippedLines = 0;
+
+            try
+            {
+                // Entries may be appended while the file is being read, and an expired file may be deleted
+                using (FileStream stream = new FileStream(filePath, FileMode.Open, FileAccess.Read, FileShare.ReadWrite | FileShare.Delete))
+                using (StreamReader reader = new StreamReader(stream))
+                {
+                    string? line;
+                    while ((line = await reader.ReadLineAsync(cancellationToken)) != null)
+                    {
+                        if (string.IsNullOrWhiteSpace(line))
+                            continue;
+
+                        AuditLogEntry? entry = null;
+                        try
+                        {
+                            entry = JsonSerializer.Deserialize<AuditLogEntry>(line, _jsonOptions);
+                        }
+                        catch (JsonException)
+                        {
+                            skippedLines++;
+                        }
+
+                        if (entry != null && Matches(entry, query))
+                            entries.Add(entry);
+                    }
+                }
+            }
+            catch (FileNotFoundException)
+            {
+                return entries;
+            }
+
+            if (skippedLines > 0)
+                _logger.LogWarning("Skipped {Count} unreadable lines in the audit log {FilePath}", skippedLines, filePath);
+
+            // The file is in the order the entries were recorded, so the most recent ones are at the end
+            entries.Reverse();
+            return entries;
+        }
+
+        /// <summary>
+        /// Deletes the log files of a file set whose month is past the retention period.
+        /// </summary>
+        /// <param name="fileSet">The file set to clean up, whose write semaphore the caller holds.</param>
+        /// <remarks>
+        /// The files are checked once a month. A file that can't be deleted is tried again the next month.
+        /// </remarks>
+        private void RemoveExpiredFiles(LogFileSet fileSet)
+        {
+            if (_retentionMonths <= 0)
+                return;
+
+            DateTime currentMonth = GetMonth(DateTimeOffset.UtcNow);
+            if (fileSet.CheckedMonth == currentMonth)
+                return;
+
+            fileSet.CheckedMonth = currentMonth;
+            DateTime oldestKeptMonth = currentMonth.AddMonths(1 - _retentionMonths);
+
+            foreach (KeyValuePair<DateTime, string> file in GetLogFiles(fileSet.Prefix).Where(logFile => logFile.Key < oldestKeptMonth))
+            {
+                try
+                {
+                    File.Delete(file.Value);
+                    _logger.LogInformation("Deleted the audit log {FilePath}, which is older than {RetentionMonths} months", file.Value, _retentionMonths);
+                }
+                catch (Exception ex) when (ex is IOException || ex is UnauthorizedAccessException)
+                {
+                    _logger.LogWarning(ex, "Failed to delete the expired audit log {FilePath}", file.Value);
+                }
+            }
+        }
+
+        /// <summary>
+        /// Finds the log files of a file set.
+        /// </summary>
+        /// <param name="prefix">The prefix of the file names.</param>
+        /// <returns>The paths of the files by the month they are for.</returns>
+        private Dictionary<DateTime, string> GetLogFiles(string prefix)
+        {
+            Dictionary<DateTime, string> files = new Dictionary<DateTime, string>();
+            if (!Directory.Exists(_logDirectory))
+                return files;
+
+            foreach (string filePath in Directory.EnumerateFiles(_logDirectory, $"{prefix}-*.jsonl"))
+            {
+                string monthText = Path.GetFileNameWithoutExtension(filePath).Substring(prefix.Length + 1);
+                if (DateTime.TryParseExact(monthText, MonthFormat, CultureInfo.InvariantCulture, DateTimeStyles.None, out DateTime month))
+                    files[month] = filePath;
+            }
+
+            return files;
+        }
+
+        /// <summary>
+        /// Gets the path of the log file of a file set for a month.
+        /// </summary>
+        /// <param name="prefix">The prefix of the file name.</param>
+        /// <param name="month">The first day of the month.</param>
+        /// <returns>The path of the log file.</returns>
+        private string GetLogFilePath(string prefix, DateTime month)
+        {
+            return Path.Combine(_logDirectory, $"{prefix}-{month.ToString(MonthFormat, CultureInfo.InvariantCulture)}.jsonl");
+        }
+
+        /// <summary>
+        /// Gets the month a point in time is in, in UTC.
+        /// </summary>
+        /// <param name="timestamp">The point in time.</param>
+        /// <returns>The first day of the month.</returns>
+        private static DateTime GetMonth(DateTimeOffset timestamp)
+        {
+            DateTime utc = timestamp.UtcDateTime;
+            return new DateTime(utc.Year, utc.Month, 1);
+        }
+
+        /// <summary>
+        /// Determines whether an entry matches a query.
+        /// </summary>
+        /// <param name="entry">The entry to check.</param>
+        /// <param name="query">The filters for the entries.</param>
+        /// <returns><c>true</c> if the entry matches every filter that is set; otherwise, <c>false</c>.</returns>
+        private static bool Matches(AuditLogEntry entry, AuditLogQuery query)
+        {
+            if (!string.IsNullOrWhiteSpace(query.TenantId) &&
+                entry.TenantId != query.TenantId &&
+                entry.BrowsingAdminTenantId != query.TenantId &&
+                entry.TargetTenantId != query.TenantId)
+                return false;
+
+            if (query.Action.HasValue && entry.Action != query.Action.Value)
+                return false;
+
+            if (query.From.HasValue && entry.Timestamp < query.From.Value)
+                return false;
+
+            if (query.To.HasValue && entry.Timestamp >= query.To.Value)
+                return false;
+
+            return true;
+        }
+
+        /// <summary>
+        /// Quotes a CSV value if needed.
+        /// </summary>
+        /// <param name="value">The value to format.</param>
+        /// <returns>The value as a CSV field.</returns>
+        private static string FormatCsvValue(string? value)
+        {
+            if (string.IsNullOrEmpty(value))
+                return string.Empty;
+
+            if ("=+-@\t\r".Contains(value[0]))
+                value = "'" + value;
+
+            if (value.IndexOfAny(new[] { ',', '"', '\n', '\r' }) >= 0)
+                return $"\"{value.Replace("\"", "\"\"")}\"";
+
+            return value;
+        }
+
+        /// <summary>
+        /// The monthly log files that entries of one kind are appended to.
+        /// </summary>
+        private class LogFileSet
+        {
+            /// <summary>
+            /// Initializes a new instance of the <see cref="LogFileSet"/> class.
+            /// </summary>
+            /// <param name="prefix">The prefix of the file names.</param>
+            public LogFileSet(string prefix)
+            {
+                Prefix = prefix;
+            }
+
+            /// <summary>
+            /// Gets the prefix of the file names, which are followed by the month.
+            /// </summary>
+            public string Prefix { get; }
+
+            /// <summary>
+            /// Gets the semaphore that lets one entry at a time be appended to the files.
+            /// </summary>
+            public SemaphoreSlim WriteSemaphore { get; } = new SemaphoreSlim(1, 1);
+
+            /// <summary>
+            /// Gets or sets the month in which the files were last checked for expired ones.
+            /// </summary>
+            public DateTime? CheckedMonth { get; set; }
+        }
+    }
+}
@@ -1,4 +1,5 @@
 using ByteShelfCommon;
+using System.Security.Cryptography;
 using System.Text.Json;
 
 namespace ByteShelf.Services
@@ -52,43 +53,7 @@ namespace ByteShelf.Services
         {
             ValidateTenantId(tenantId);
 
-            List<ShelfFileMetadata> files = new List<ShelfFileMetadata>();
-            string tenantMetadataPath = GetTenantMetadataPath(tenantId);
-
-            if (!Directory.Exists(tenantMetadataPath))
-            {
-                return files;
-            }
-
-            string[] metadataFiles = Directory.GetFiles(tenantMetadataPath, "*.json");
-            _logger.LogDebug("Found {Count} metadata files for tenant {TenantId}", metadataFiles.Length, tenantId);
-
-            foreach (string metadataFile in metadataFiles)
-            {
-                if (cancellationToken.IsCancellationRequested)
-                    break;
-
-                try
-                {
-                    string jsonContent = await File.ReadAllTextAsync(metadataFile, cancellationToken);
-                    ShelfFileMetadata? metadata = JsonSerializer.Deserialize<ShelfFileMetadata>(jsonContent, _jsonOptions);
-
-                    if (metadata != null)
-                    {
-                        files.Add(metadata);
-                    }
-                    else
-                    {
-                        _logger.LogWarning("Failed to deserialize metadata file for tenant {TenantId}: {File}", tenantId, metadataFile);
-                    }
-                }
-                catch (Exception ex)
-                {
-                    _logger.LogError(ex, "Error reading metadata file for tenant {TenantId}: {File}", tenantId, metadataFile);
-                }
-            }
-
-            return files;
+            return await ReadMetadataDirectoryAsync(tenantId, GetTenantMetadataPath(tenantId), cancellationToken);
         }
 
         /// <inheritdoc/>
@@ -96,22 +61,8 @@ namespace ByteShelf.Services
         {
             ValidateTenantId(tenantId);
 
-            string tenantMetadataPath = GetTenantMetadataPath(tenantId);
-            string metadataFile = Path.Combine(tenantMetadataPath, $"{fileId}.json");
-
-            if (!File.Exists(metadataFile))
-                return null;
-
-            try
-            {
-                string jsonContent = await File.ReadAllTextAsync(metadataFile, cancellationToken);
-                return JsonSerializer.Deserialize<ShelfFileMetadata>(jsonContent, _jsonOptions);
-            }
-            catch (Exception ex)
-            {
-                _logger.LogError(ex, "Error reading metadata file for tenant {TenantId}: {File}", tenantId, metadataFile);
-                return null;
-            }
+            string metadataFile = Path.Combine(GetTenantMetadataPath(tenantId), $"{fileId}.json");
+            return await ReadMetadataFileAsync(tenantId, metadataFile, cancellationToken);
         }
 
         /// <inheritdoc/>
@@ -132,6 +83,13 @@ namespace ByteShelf.Services
 
         /// <inheritdoc/>
         public async Task<Guid> SaveChunkAsync(string tenantId, Guid chunkId, Stream chunkData, CancellationToken cancellationToken = default)
+        {
+            await SaveVerifiedChunkAsync(tenantId, chunkId, chunkData, null, cancellationToken);
+            return chunkId;
+        }
+
+        /// <inheritdoc/>
+        public async Task<string> SaveVerifiedChunkAsync(string tenantId, Guid chunkId, Stream chunkData, string? expectedSha256, CancellationToken cancellationToken = default)
         {
             ValidateTenantId(tenantId);
 
@@ -143,30 +101,90 @@ namespace ByteShelf.Services
 
             string chunkFile = Path.Combine(tenantBinPath, $"{chunkId}.bin");
 
+            // The data is written next to the chunk first, so data that is rejected never replaces what is stored
+            string tempFile = Path.Combine(tenantBinPath, $"{chunkId}.{Guid.NewGuid():N}.tmp");
+
             long chunkSize;
-            using (FileStream fileStream = File.Create(chunkFile))
+            string sha256;
+            try
             {
-                // Copy the data to the file
-                await chunkData.CopyToAsync(fileStream, cancellationToken);
-                chunkSize = fileStream.Length;
-            }
+                using (IncrementalHash hash = IncrementalHash.CreateHash(HashAlgorithmName.SHA256))
+                using (FileStream fileStream = File.Create(tempFile))
+                {
+                    // Copy the data to the file, hashing it on the way so large chunks never have to be buffered
+                    byte[] buffer = new byte[81920];
+                    int bytesRead;
+                    while ((bytesRead = await chunkData.ReadAsync(buffer, cancellationToken)) > 0)
+                    {
+                        hash.AppendData(buffer, 0, bytesRead);
+                        await fileStream.WriteAsync(buffer.AsMemory(0, bytesRead), cancellationToken);
+                    }
 
-            // Check quota after saving (since we can't know the size beforehand for non-seekable streams)
-            if (!_storageService.CanStoreData(tenantId, chunkSize))
-            {
-                // Clean up the file we just created
+                    chunkSize = fileStream.Length;
+                    sha256 = Convert.ToHexString(hash.GetHashAndReset()).ToLowerInvariant();
+                }
+
+                // The data was corrupted in transit, don't keep it
+                if (expectedSha256 != null && !string.Equals(sha256, expectedSha256, StringComparison.OrdinalIgnoreCase))
+                    throw new InvalidDataException($"Chunk {chunkId} failed the integrity check: expected SHA-256 {expectedSha256.ToLowerInvariant()} but received {sha256}");
+
+                // A stored chunk can be shared by several files, so it is never replaced. Sending the same data
+                // again, as when retrying an upload that did go through, leaves it as it is.
                 if (File.Exists(chunkFile))
                 {
-                    File.Delete(chunkFile);
+                    if (string.Equals(await GetChunkSha256Async(tenantId, chunkId, cancellationToken), sha256, StringComparison.OrdinalIgnoreCase))
+                        return sha256;
+
+                    throw new InvalidOperationException($"A chunk with ID {chunkId} already exists");
                 }
-                throw new InvalidOperationException($"Tenant {tenantId} would exceed their storage quota by storing {chunkSize} bytes");
+
+                // Check quota after receiving the data (since we can't know the size beforehand for non-seekable streams)
+                if (!_storageService.CanStoreData(tenantId, chunkSize))
+                    throw new StorageQuotaExceededException(tenantId, chunkSize);
+
+                File.Move(tempFile, chunkFile, false);
+            }
+            finally
+            {
+                if (File.Exists(tempFile))
+                    File.Delete(tempFile);
             }
 
+            // The hash is kept so file metadata can be checked against what was actually stored
+            await File.WriteAllTextAsync(GetChunkHashFile(tenantBinPath, chunkId), sha256, CancellationToken.None);
+            _storageService.RecordChunkHash(tenantId, chunkId, sha256);
+
             // Record the storage usage
             _storageService.RecordStorageUsed(tenantId, chunkSize);
 
             _logger.LogDebug("Saved chunk {ChunkId} for tenant {TenantId} ({SizeBytes} bytes)", chunkId, tenantId, chunkSize);
-            return chunkId;
+            return sha256;
+        }
+
+        /// <inheritdoc/>
+        public async Task<string?> GetChunkSha256Async(string tenantId, Guid chunkId, CancellationToken cancellationToken = default)
+        {
+            ValidateTenantId(tenantId);
+
+            string tenantBinPath = GetTenantBinPath(tenantId);
+            string chunkFile = Path.Combine(tenantBinPath, $"{chunkId}.bin");
+            if (!File.Exists(chunkFile))
+                return null;
+
+            string hashFile = GetChunkHashFile(tenantBinPath, chunkId);
+            if (File.Exists(hashFile))
+                return (await File.ReadAllTextAsync(hashFile, cancellationToken)).Trim();
+
+            // Chunks stored before their hashes were kept get theirs computed once
+            string sha256;
+            using (FileStream stream = File.OpenRead(chunkFile))
+            {
+                sha256 = Convert.ToHexString(await SHA256.HashDataAsync(stream, cancellationToken)).ToLowerInvariant();
+            }
+
+            await File.WriteAllTextAsync(hashFile, sha256, cancellationToken);
+            _storageService.RecordChunkHash(tenantId, chunkId, sha256);
+            return sha256;
         }
 
         /// <inheritdoc/>
@@ -183,9 +201,23 @@ namespace ByteShelf.Services
             string metadataFile = Path.Combine(tenantMetadataPath, $"{metadata.Id}.json");
             string jsonContent = JsonSerializer.Serialize(metadata, _jsonOptions);
 
+            // Metadata that is overwritten stops referencing its chunks once the new metadata is in place
+            ShelfFileMetadata? previousMetadata = await GetFileMetadataAsync(tenantId, metadata.Id, cancellationToken);
+
             await File.WriteAllTextAsync(metadataFile, jsonContent, cancellationToken);
+            _storageService.RecordFileStored(tenantId, metadata);
 
             _logger.LogDebug("Saved metadata for file {FileId} for tenant {TenantId}", metadata.Id, tenantId);
+
+            if (previousMetadata != null)
+            {
+                long totalFreed = ReleaseFileChunks(tenantId, previousMetadata);
+                if (totalFreed > 0)
+                {
+                    _storageService.RecordStorageFreed(tenantId, totalFreed);
+                    _logger.LogInformation("Freed {FreedBytes} bytes for tenant {TenantId} by replacing file {FileId}", totalFreed, tenantId, metadata.Id);
+                }
+            }
         }
 
         /// <inheritdoc/>
@@ -198,21 +230,8 @@ namespace ByteShelf.Services
             if (metadata == null)
                 return null;
 
-            long totalFreed = 0;
-            string tenantBinPath = GetTenantBinPath(tenantId);
-
-            // Delete all chunks and calculate freed space
-            foreach (Guid chunkId in metadata.ChunkIds)
-            {
-                string chunkFile = Path.Combine(tenantBinPath, $"{chunkId}.bin");
-                if (File.Exists(chunkFile))
-                {
-                    FileInfo fileInfo = new FileInfo(chunkFile);
-                    totalFreed += fileInfo.Length;
-                    File.Delete(chunkFile);
-                    _logger.LogDebug("Deleted chunk {ChunkId} for tenant {TenantId}", chunkId, tenantId);
-                }
-            }
+            // Delete the chunks no other file shares and calculate freed space
+            long totalFreed = ReleaseFileChunks(tenantId, metadata);
 
             // Delete metadata file
             string tenantMetadataPath = GetTenantMetadataPath(tenantId);
@@ -223,6 +242,10 @@ namespace ByteShelf.Services
                 _logger.LogDebug("Deleted metadata for file {FileId} for tenant {TenantId}", fileId, tenantId);
             }
 
+            // The earlier versions go with the file, unless a file with the same ID in the trash still owns them
+            if (!File.Exists(Path.Combine(GetTenantTrashPath(tenantId), $"{fileId}.json")))
+                totalFreed += await RemoveOldVersionsAsync(tenantId, fileId, 0, cancellationToken);
+
             // Record the freed storage
             if (totalFreed > 0)
             {
@@ -240,15 +263,13 @@ namespace ByteShelf.Services
 
             int deletedCount = 0;
             long totalFreed = 0;
-            string tenantMetadataPath = GetTenantMetadataPath(tenantId);
-            string tenantBinPath = GetTenantBinPath(tenantId);
 
-            if (!Directory.Exists(tenantMetadataPath))
-            {
-                return deletedCount;
-            }
+            // Files in the trash hold on to their chunks too, so they go as well
+            string[] metadataFiles = new[] { GetTenantMetadataPath(tenantId), GetTenantTrashPath(tenantId) }
+                .Where(Directory.Exists)
+                .SelectMany(directoryPath => Directory.GetFiles(directoryPath, "*.json"))
+                .ToArray();
 
-            string[] metadataFiles = Directory.GetFiles(tenantMetadataPath, "*.json");
             _logger.LogDebug("Found {Count} metadata files for tenant {TenantId} to delete", metadataFiles.Length, tenantId);
 
             foreach (string metadataFile in metadataFiles)
@@ -263,18 +284,8 @@ namespace ByteShelf.Services
 
                     if (metadata != null)
                     {
-                        // Delete all chunks for this file
-                        foreach (Guid chunkId in metadata.ChunkIds)
-                        {
-                            string chunkFile = Path.Combine(tenantBinPath, $"{chunkId}.bin");
-                            if (File.Exists(chunkFile))
-                            {
-                                FileInfo fileInfo = new FileInfo(chunkFile);
-                                totalFreed += fileInfo.Length;
-                                File.Delete(chunkFile);
-                                _logger.LogDebug("Deleted chunk {ChunkId} for tenant {TenantId}", chunkId, tenantId);
-                            }
-                        }
+                        // Delete the chunks of this file that no other file shares
+                        totalFreed += ReleaseFileChunks(tenantId, metadata);
 
                         // Delete metadata file
                         File.Delete(metadataFile);
@@ -288,6 +299,20 @@ namespace ByteShelf.Services
                 }
             }
 
+            // Earlier versions of the files hold on to their chunks as well
+            string versionsPath = GetTenantVersionsPath(tenantId);
+            if (Directory.Exists(versionsPath))
+            {
+                foreach (string fileVersionsPath in Directory.GetDirectories(versionsPath))
+                {
+                    if (cancellationToken.IsCancellationRequested)
+                        break;
+
+                    if (Guid.TryParse(Path.GetFileName(fileVersionsPath), out Guid fileId))
+                        totalFreed += await RemoveOldVersionsAsync(tenantId, fileId, 0, cancellationToken);
+                }
+            }
+
             // Record the freed storage
             if (totalFreed > 0)
             {
@@ -412,6 +437,38 @@ namespace ByteShelf.Services
                 }
             }
 
+            // Clean up trash directory
+            string trashPath = GetTenantTrashPath(tenantId);
+            if (Directory.Exists(trashPath) && IsDirectoryEmpty(trashPath))
+            {
+                try
+                {
+                    Directory.Delete(trashPath);
+                    _logger.LogDebug("Removed empty trash directory for tenant {TenantId}", tenantId);
+                    removedCount++;
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogWarning(ex, "Failed to remove empty trash directory for tenant {TenantId}", tenantId);
+                }
+            }
+
+            // Clean up versions directory
+            string versionsPath = GetTenantVersionsPath(tenantId);
+            if (Directory.Exists(versionsPath) && IsDirectoryEmpty(versionsPath))
+            {
+                try
+                {
+                    Directory.Delete(versionsPath);
+                    _logger.LogDebug("Removed empty versions directory for tenant {TenantId}", tenantId);
+                    removedCount++;
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogWarning(ex, "Failed to remove empty versions directory for tenant {TenantId}", tenantId);
+                }
+            }
+
             // Clean up binary directory
             string binPath = GetTenantBinPath(tenantId);
             if (Directory.Exists(binPath) && IsDirectoryEmpty(binPath))
@@ -428,7 +485,7 @@ namespace ByteShelf.Services
                 }
             }
 
-            // If both subdirectories are gone and the tenant directory is empty, remove it too
+            // If the subdirectories are gone and the tenant directory is empty, remove it too
             if (Directory.Exists(tenantPath) && IsDirectoryEmpty(tenantPath))
             {
                 try
@@ -486,24 +543,798 @@ namespace ByteShelf.Services
             return _storageService.CanStoreData(tenantId, fileSizeBytes);
         }
 
-        /// <summary>
-        /// Gets the metadata directory path for a specific tenant.
-        /// </summary>
-        /// <param name="tenantId">The tenant ID.</param>
-        /// <returns>The path to the tenant's metadata directory.</returns>
-        private string GetTenantMetadataPath(string tenantId)
+        /// <inheritdoc/>
+        public Guid? FindChunkBySha256(string tenantId, string sha256)
         {
-            return Path.Combine(_storagePath, tenantId, "metadata");
+            ValidateTenantId(tenantId);
+
+            Guid? chunkId = _storageService.FindChunkBySha256(tenantId, sha256);
+            if (chunkId == null)
+                return null;
+
+            // Only offer chunks that are actually on disk
+            string chunkFile = Path.Combine(GetTenantBinPath(tenantId), $"{chunkId}.bin");
+            return File.Exists(chunkFile) ? chunkId : null;
         }
 
-        /// <summary>
-        /// Gets the binary storage directory path for a specific tenant.
-        /// </summary>
-        /// <param name="tenantId">The tenant ID.</param>
-        /// <returns>The path to the tenant's binary storage directory.</returns>
-        private string GetTenantBinPath(string tenantId)
+        /// <inheritdoc/>
+        public async Task<ShelfFileMetadata?> CopyFileAsync(string sourceTenantId, Guid fileId, string targetTenantId, CancellationToken cancellationToken = default)
         {
-            return Path.Combine(_storagePath, tenantId, "bin");
+            return await CopyFileToTenantAsync(sourceTenantId, fileId, targetTenantId, false, cancellationToken);
+        }
+
+        /// <inheritdoc/>
+        public async Task<ShelfFileMetadata?> MoveFileAsync(string sourceTenantId, Guid fileId, string targetTenantId, CancellationToken cancellationToken = default)
+        {
+            ShelfFileMetadata? movedMetadata = await CopyFileToTenantAsync(sourceTenantId, fileId, targetTenantId, true, cancellationToken);
+            if (movedMetadata == null)
+                return null;
+
+            await DeleteFileAsync(sourceTenantId, fileId, CancellationToken.None);
+
+            _logger.LogInformation("Moved file {FileId} from tenant {SourceTenantId} to tenant {TargetTenantId}", fileId, sourceTenantId, targetTenantId);
+            return movedMetadata;
+        }
+
+        /// <inheritdoc/>
+        public async Task<ShelfFileMetadata?> RenameFileAsync(string tenantId, Guid fileId, string newFilename, CancellationToken cancellationToken = default)
+        {
+            ValidateTenantId(tenantId);
+
+            string filename = newFilename?.Trim() ?? string.Empty;
+            string? validationError = ItemNameValidator.GetValidationError(filename);
+            if (validationError != null)
+                throw new ArgumentException(validationError, nameof(newFilename));
+
+            ShelfFileMetadata? metadata = await GetFileMetadataAsync(tenantId, fileId, cancellationToken);
+            if (metadata == null)
+                return null;
+
+            if (metadata.OriginalFilename == filename)
+                return metadata;
+
+            IEnumerable<ShelfFileMetadata> siblings = await GetFilesAsync(tenantId, cancellationToken);
+            if (siblings.Any(file => file.Id != fileId && string.Equals(file.OriginalFilename, filename, StringComparison.OrdinalIgnoreCase)))
+                throw new InvalidOperationException($"A file named \"{filename}\" already exists in this folder");
+
+            string previousFilename = metadata.OriginalFilename;
+            metadata.OriginalFilename = filename;
+
+            // Only the name changes, so the chunk references stay as they are and the metadata is written directly
+            string metadataFile = Path.Combine(GetTenantMetadataPath(tenantId), $"{fileId}.json");
+            await File.WriteAllTextAsync(metadataFile, JsonSerializer.Serialize(metadata, _jsonOptions), cancellationToken);
+
+            _logger.LogInformation("Renamed file {FileId} for tenant {TenantId} from {PreviousFilename} to {Filename}", fileId, tenantId, previousFilename, filename);
+            return metadata;
+        }
+
+        /// <inheritdoc/>
+        public async Task<ShelfFileMetadata?> UpdateFileLabelsAsync(string tenantId, Guid fileId, IEnumerable<string>? tags, IDictionary<string, string>? attributes, CancellationToken cancellationToken = default)
+        {
+            ValidateTenantId(tenantId);
+
+            List<string>? normalizedTags = FileLabelValidator.NormalizeTags(tags);
+            Dictionary<string, string>? normalizedAttributes = FileLabelValidator.NormalizeAttributes(attributes);
+            string? validationError = FileLabelValidator.GetValidationError(normalizedTags, normalizedAttributes);
+            if (validationError != null)
+                throw new ArgumentException(validationError);
+
+            ShelfFileMetadata? metadata = await GetFileMetadataAsync(tenantId, fileId, cancellationToken);
+            if (metadata == null)
+                return null;
+
+            metadata.Tags = normalizedTags;
+            metadata.Attributes = normalizedAttributes;
+
+            // Like a rename, only the metadata changes and the chunk references stay as they are
+            string metadataFile = Path.Combine(GetTenantMetadataPath(tenantId), $"{fileId}.json");
+            await File.WriteAllTextAsync(metadataFile, JsonSerializer.Serialize(metadata, _jsonOptions), cancellationToken);
+
+            _logger.LogInformation("Updated labels of file {FileId} for tenant {TenantId} to {TagCount} tags and {AttributeCount} attributes",
+                fileId, tenantId, normalizedTags?.Count ?? 0, normalizedAttributes?.Count ?? 0);
+            return metadata;
+        }
+
+        /// <inheritdoc/>
+        public async Task<bool?> TrashFileAsync(string tenantId, Guid fileId, CancellationToken cancellationToken = default)
+        {
+            ValidateTenantId(tenantId);
+
+            ShelfFileMetadata? metadata = await GetFileMetadataAsync(tenantId, fileId, cancellationToken);
+            if (metadata == null)
+                return null;
+
+            string trashPath = GetTenantTrashPath(tenantId);
+            string trashFile = Path.Combine(trashPath, $"{fileId}.json");
+            Directory.CreateDirectory(trashPath);
+
+            // An earlier file with the same ID in the trash is kept too, under a new ID
+            if (File.Exists(trashFile))
+            {
+                ShelfFileMetadata? earlierFile = await ReadMetadataFileAsync(tenantId, trashFile, cancellationToken);
+                if (earlierFile != null)
+                {
+                    earlierFile.Id = Guid.NewGuid();
+                    await File.WriteAllTextAsync(Path.Combine(trashPath, $"{earlierFile.Id}.json"), JsonSerializer.Serialize(earlierFile, _jsonOptions), cancellationToken);
+                    File.Delete(trashFile);
+                    _logger.LogInformation("Kept earlier file {FileId} in the trash of tenant {TenantId} as {NewFileId}", fileId, tenantId, earlierFile.Id);
+                }
+            }
+
+            // The file keeps its chunk references, only its metadata moves to the trash
+            metadata.DeletedAt = DateTimeOffset.UtcNow;
+            await File.WriteAllTextAsync(trashFile, JsonSerializer.Serialize(metadata, _jsonOptions), cancellationToken);
+            File.Delete(Path.Combine(GetTenantMetadataPath(tenantId), $"{fileId}.json"));
+
+            _logger.LogInformation("Moved file {FileId} for tenant {TenantId} to the trash", fileId, tenantId);
+            return true;
+        }
+
+        /// <inheritdoc/>
+        public async Task<IEnumerable<ShelfFileMetadata>> GetTrashedFilesAsync(string tenantId, CancellationToken cancellationToken = default)
+        {
+            ValidateTenantId(tenantId);
+
+            return await ReadMetadataDirectoryAsync(tenantId, GetTenantTrashPath(tenantId), cancellationToken);
+        }
+
+        /// <inheritdoc/>
+        public async Task<ShelfFileMetadata?> RestoreFileAsync(string tenantId, Guid fileId, CancellationToken cancellationToken = default)
+        {
+            ValidateTenantId(tenantId);
+
+            string trashFile = Path.Combine(GetTenantTrashPath(tenantId), $"{fileId}.json");
+            ShelfFileMetadata? metadata = await ReadMetadataFileAsync(tenantId, trashFile, cancellationToken);
+            if (metadata == null)
+                return null;
+
+            IEnumerable<ShelfFileMetadata> files = await GetFilesAsync(tenantId, cancellationToken);
+            metadata.OriginalFilename = ItemNameValidator.GetUniqueName(metadata.OriginalFilename, files.Select(file => file.OriginalFilename), true);
+            metadata.DeletedAt = null;
+
+            // A file moved here since can have the same ID, in which case the restored file gets a new one
+            if (files.Any(file => file.Id == fileId))
+                metadata.Id = Guid.NewGuid();
+
+            string tenantMetadataPath = GetTenantMetadataPath(tenantId);
+            Directory.CreateDirectory(tenantMetadataPath);
+            await File.WriteAllTextAsync(Path.Combine(tenantMetadataPath, $"{metadata.Id}.json"), JsonSerializer.Serialize(metadata, _jsonOptions), cancellationToken);
+            File.Delete(trashFile);
+
+            _logger.LogInformation("Restored file {FileId} for tenant {TenantId} from the trash as {RestoredFileId}", fileId, tenantId, metadata.Id);
+            return metadata;
+        }
+
+        /// <inheritdoc/>
+        public async Task<bool?> PurgeTrashedFileAsync(string tenantId, Guid fileId, CancellationToken cancellationToken = default)
+        {
+            ValidateTenantId(tenantId);
+
+            string trashFile = Path.Combine(GetTenantTrashPath(tenantId), $"{fileId}.json");
+            ShelfFileMetadata? metadata = await ReadMetadataFileAsync(tenantId, trashFile, cancellationToken);
+            if (metadata == null)
+                return null;
+
+            // Delete the chunks no other file shares and calculate freed space
+            long totalFreed = ReleaseFileChunks(tenantId, metadata);
+            File.Delete(trashFile);
+            _logger.LogDebug("Purged file {FileId} for tenant {TenantId} from the trash", fileId, tenantId);
+
+            // The earlier versions go with the file, unless a file with the same ID was moved here since and owns them
+            if (await GetFileMetadataAsync(tenantId, fileId, cancellationToken) == null)
+                totalFreed += await RemoveOldVersionsAsync(tenantId, fileId, 0, cancellationToken);
+
+            if (totalFreed > 0)
+            {
+                _storageService.RecordStorageFreed(tenantId, totalFreed);
+                _logger.LogInformation("Freed {FreedBytes} bytes for tenant {TenantId} by purging file {FileId}", totalFreed, tenantId, fileId);
+            }
+
+            return true;
+        }
+
+        /// <inheritdoc/>
+        public async Task<ShelfFileMetadata> SaveUploadedFileAsync(string tenantId, ShelfFileMetadata metadata, int maxVersions, CancellationToken cancellationToken = default)
+        {
+            ValidateTenantId(tenantId);
+
+            if (metadata == null)
+                throw new ArgumentNullException(nameof(metadata));
+
+            await VerifyFileHashesAsync(tenantId, metadata, cancellationToken);
+
+            List<ShelfFileMetadata> files = (await GetFilesAsync(tenantId, cancellationToken)).ToList();
+
+            // An upload never replaces a file by its ID, since that would lose the file's content without keeping a version
+            if (files.Any(file => file.Id == metadata.Id) || File.Exists(Path.Combine(GetTenantTrashPath(tenantId), $"{metadata.Id}.json")))
+                throw new InvalidOperationException($"A file with ID {metadata.Id} already exists");
+
+            ShelfFileMetadata? current = files.FirstOrDefault(file => string.Equals(file.OriginalFilename, metadata.OriginalFilename, StringComparison.OrdinalIgnoreCase));
+            if (current == null)
+            {
+                await SaveFileMetadataAsync(tenantId, metadata, cancellationToken);
+                return metadata;
+            }
+
+            // The upload becomes the current version of the file with the same name, which keeps its ID
+            Guid fileId = current.Id;
+            metadata.Id = fileId;
+
+            // Labels belong to the file rather than to its content, so an upload without any keeps those of the file
+            if (metadata.Tags == null && metadata.Attributes == null)
+            {
+                metadata.Tags = current.Tags;
+                metadata.Attributes = current.Attributes;
+            }
+
+            _storageService.RecordFileStored(tenantId, metadata);
+
+            long totalFreed = await ArchiveVersionAsync(tenantId, current, maxVersions, cancellationToken);
+            await File.WriteAllTextAsync(Path.Combine(GetTenantMetadataPath(tenantId), $"{fileId}.json"), JsonSerializer.Serialize(metadata, _jsonOptions), cancellationToken);
+            totalFreed += await RemoveOldVersionsAsync(tenantId, fileId, maxVersions, cancellationToken);
+
+            if (totalFreed > 0)
+            {
+                _storageService.RecordStorageFreed(tenantId, totalFreed);
+                _logger.LogInformation("Freed {FreedBytes} bytes for tenant {TenantId} by dropping old versions of file {FileId}", totalFreed, tenantId, fileId);
+            }
+
+            _logger.LogInformation("Saved a new version of file {FileId} for tenant {TenantId}", fileId, tenantId);
+            return metadata;
+        }
+
+        /// <inheritdoc/>
+        public async Task<IEnumerable<ShelfFileMetadata>?> GetFileVersionsAsync(string tenantId, Guid fileId, CancellationToken cancellationToken = default)
+        {
+            ValidateTenantId(tenantId);
+
+            if (await GetFileMetadataAsync(tenantId, fileId, cancellationToken) == null)
+                return null;
+
+            List<ShelfFileMetadata> versions = await ReadMetadataDirectoryAsync(tenantId, GetFileVersionsPath(tenantId, fileId), cancellationToken);
+            return versions.OrderByDescending(version => version.CreatedAt).ToList();
+        }
+
+        /// <inheritdoc/>
+        public async Task<ShelfFileMetadata?> GetFileVersionAsync(string tenantId, Guid fileId, Guid versionId, CancellationToken cancellationToken = default)
+        {
+            ValidateTenantId(tenantId);
+
+            return await ReadMetadataFileAsync(tenantId, Path.Combine(GetFileVersionsPath(tenantId, fileId), $"{versionId}.json"), cancellationToken);
+        }
+
+        /// <inheritdoc/>
+        public async Task<Stream> GetFileVersionStreamAsync(string tenantId, Guid fileId, Guid versionId, CancellationToken cancellationToken = default)
+        {
+            ShelfFileMetadata? version = await GetFileVersionAsync(tenantId, fileId, versionId, cancellationToken);
+            if (version == null)
+                throw new FileNotFoundException($"Version {versionId} of file {fileId} not found for tenant {tenantId}");
+
+            return new ConcatenatedStream(version.ChunkIds.Select(chunkId =>
+                GetChunkAsync(tenantId, chunkId, cancellationToken).Result));
+        }
+
+        /// <inheritdoc/>
+        public async Task<ShelfFileMetadata?> RestoreFileVersionAsync(string tenantId, Guid fileId, Guid versionId, string? restoredBy, int maxVersions, CancellationToken cancellationToken = default)
+        {
+            ValidateTenantId(tenantId);
+
+            ShelfFileMetadata? current = await GetFileMetadataAsync(tenantId, fileId, cancellationToken);
+            if (current == null)
+                return null;
+
+            string versionFile = Path.Combine(GetFileVersionsPath(tenantId, fileId), $"{versionId}.json");
+            ShelfFileMetadata? version = await ReadMetadataFileAsync(tenantId, versionFile, cancellationToken);
+            if (version == null)
+                return null;
+
+            // The version's chunk references carry over to the current version, which keeps the file's ID and name
+            version.Id = fileId;
+            version.OriginalFilename = current.OriginalFilename;
+            version.CreatedAt = DateTimeOffset.UtcNow;
+            version.UploadedBy = restoredBy;
+            version.Tags = current.Tags;
+            version.Attributes = current.Attributes;
+
+            long totalFreed = await ArchiveVersionAsync(tenantId, current, maxVersions, cancellationToken);
+            await File.WriteAllTextAsync(Path.Combine(GetTenantMetadataPath(tenantId), $"{fileId}.json"), JsonSerializer.Serialize(version, _jsonOptions), cancellationToken);
+            File.Delete(versionFile);
+            totalFreed += await RemoveOldVersionsAsync(tenantId, fileId, maxVersions, cancellationToken);
+
+            if (totalFreed > 0)
+            {
+                _storageService.RecordStorageFreed(tenantId, totalFreed);
+                _logger.LogInformation("Freed {FreedBytes} bytes for tenant {TenantId} by dropping old versions of file {FileId}", totalFreed, tenantId, fileId);
+            }
+
+            _logger.LogInformation("Restored version {VersionId} of file {FileId} for tenant {TenantId}", versionId, fileId, tenantId);
+            return version;
+        }
+
+        /// <summary>
+        /// Checks the hashes in uploaded file metadata against the hashes of the stored chunks.
+        /// </summary>
+        /// <param name="tenantId">The tenant ID.</param>
+        /// <param name="metadata">The uploaded metadata. Chunk hashes the client left out are filled in with the stored ones.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <exception cref="InvalidDataException">Thrown when a hash doesn't match the stored data.</exception>
+        /// <remarks>
+        /// The file hash is only checked for unencrypted files, since the hash of an encrypted file
+        /// covers the plaintext, which the server never sees.
+        /// </remarks>
+        private async Task VerifyFileHashesAsync(string tenantId, ShelfFileMetadata metadata, CancellationToken cancellationToken)
+        {
+            if (metadata.ChunkHashes != null)
+            {
+                if (metadata.ChunkHashes.Count != metadata.ChunkIds.Count)
+                    throw new InvalidDataException("The metadata must have one chunk hash per chunk");
+
+                for (int i = 0; i < metadata.ChunkIds.Count; i++)
+                {
+                    string? storedHash = await GetChunkSha256Async(tenantId, metadata.ChunkIds[i], cancellationToken);
+                    string? claimedHash = metadata.ChunkHashes[i];
+                    if (storedHash == null)
+                    {
+                        if (claimedHash != null)
+                            throw new InvalidDataException($"Chunk {metadata.ChunkIds[i]} has not been uploaded");
+                        continue;
+                    }
+
+                    if (claimedHash != null && !string.Equals(claimedHash, storedHash, StringComparison.OrdinalIgnoreCase))
+                        throw new InvalidDataException($"Chunk {metadata.ChunkIds[i]} does not match its hash: expected SHA-256 {claimedHash.ToLowerInvariant()} but stored {storedHash}");
+
+                    metadata.ChunkHashes[i] = storedHash;
+                }
+            }
+
+            if (metadata.Sha256 == null || metadata.Encryption != null)
+                return;
+
+            string tenantBinPath = GetTenantBinPath(tenantId);
+            using IncrementalHash hash = IncrementalHash.CreateHash(HashAlgorithmName.SHA256);
+            byte[] buffer = new byte[81920];
+            foreach (Guid chunkId in metadata.ChunkIds)
+            {
+                string chunkFile = Path.Combine(tenantBinPath, $"{chunkId}.bin");
+                if (!File.Exists(chunkFile))
+                    throw new InvalidDataException($"Chunk {chunkId} has not been uploaded");
+
+                using FileStream stream = File.OpenRead(chunkFile);
+                int bytesRead;
+                while ((bytesRead = await stream.ReadAsync(buffer, cancellationToken)) > 0)
+                {
+                    hash.AppendData(buffer, 0, bytesRead);
+                }
+            }
+
+            string sha256 = Convert.ToHexString(hash.GetHashAndReset()).ToLowerInvariant();
+            if (!string.Equals(metadata.Sha256, sha256, StringComparison.OrdinalIgnoreCase))
+                throw new InvalidDataException($"The stored chunks do not match the file hash: expected SHA-256 {metadata.Sha256.ToLowerInvariant()} but stored {sha256}");
+
+            metadata.Sha256 = sha256;
+        }
+
+        /// <summary>
+        /// Keeps the content of a file that is being replaced as an earlier version.
+        /// </summary>
+        /// <param name="tenantId">The tenant ID.</param>
+        /// <param name="current">The metadata of the content being replaced. Its ID is changed to the ID of the version.</param>
+        /// <param name="maxVersions">How many earlier versions the tenant keeps. With 0 the content is released instead.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The number of bytes freed on disk, which the caller records.</returns>
+        private async Task<long> ArchiveVersionAsync(string tenantId, ShelfFileMetadata current, int maxVersions, CancellationToken cancellationToken)
+        {
+            if (maxVersions <= 0)
+                return ReleaseFileChunks(tenantId, current);
+
+            // The version keeps the chunk references the current metadata had
+            string versionsPath = GetFileVersionsPath(tenantId, current.Id);
+            Directory.CreateDirectory(versionsPath);
+            current.Id = Guid.NewGuid();
+            await File.WriteAllTextAsync(Path.Combine(versionsPath, $"{current.Id}.json"), JsonSerializer.Serialize(current, _jsonOptions), cancellationToken);
+            return 0;
+        }
+
+        /// <summary>
+        /// Removes the oldest earlier versions of a file, releasing their chunks.
+        /// </summary>
+        /// <param name="tenantId">The tenant ID.</param>
+        /// <param name="fileId">The unique identifier of the file.</param>
+        /// <param name="keepCount">How many of the most recent versions to keep. With 0 all of them are removed.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The number of bytes freed on disk, which the caller records.</returns>
+        private async Task<long> RemoveOldVersionsAsync(string tenantId, Guid fileId, int keepCount, CancellationToken cancellationToken)
+        {
+            string versionsPath = GetFileVersionsPath(tenantId, fileId);
+            if (!Directory.Exists(versionsPath))
+                return 0;
+
+            long totalFreed = 0;
+            List<ShelfFileMetadata> versions = await ReadMetadataDirectoryAsync(tenantId, versionsPath, cancellationToken);
+            foreach (ShelfFileMetadata version in versions.OrderByDescending(version => version.CreatedAt).Skip(Math.Max(0, keepCount)))
+            {
+                totalFreed += ReleaseFileChunks(tenantId, version);
+                File.Delete(Path.Combine(versionsPath, $"{version.Id}.json"));
+                _logger.LogDebug("Removed version {VersionId} of file {FileId} for tenant {TenantId}", version.Id, fileId, tenantId);
+            }
+
+            if (IsDirectoryEmpty(versionsPath))
+                Directory.Delete(versionsPath);
+
+            return totalFreed;
+        }
+
+        /// <summary>
+        /// Copies a file's chunks and metadata to another tenant.
+        /// </summary>
+        /// <param name="sourceTenantId">The ID of the tenant that holds the file.</param>
+        /// <param name="fileId">The unique identifier of the file.</param>
+        /// <param name="targetTenantId">The ID of the tenant to copy the file to.</param>
+        /// <param name="keepFileId">Whether the copy keeps the file's ID, as when moving it.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The metadata of the copy, or <c>null</c> if the file doesn't exist.</returns>
+        /// <exception cref="StorageQuotaExceededException">Thrown when the target tenant would exceed its storage quota.</exception>
+        /// <exception cref="InvalidOperationException">Thrown when the target tenant already has a file with the same name.</exception>
+        /// <remarks>
+        /// The quota is checked for all the chunks that need copying before any are copied, and chunks
+        /// copied before a failure are deleted again, so a failed copy leaves the target tenant as it was.
+        /// When moving, the chunks the source tenant frees are taken into account for the limits that
+        /// cover both tenants.
+        /// </remarks>
+        private async Task<ShelfFileMetadata?> CopyFileToTenantAsync(string sourceTenantId, Guid fileId, string targetTenantId, bool keepFileId, CancellationToken cancellationToken)
+        {
+            ValidateTenantId(sourceTenantId);
+            ValidateTenantId(targetTenantId);
+
+            if (sourceTenantId == targetTenantId)
+                throw new ArgumentException("The source and target tenants must be different", nameof(targetTenantId));
+
+            ShelfFileMetadata? metadata = await GetFileMetadataAsync(sourceTenantId, fileId, cancellationToken);
+            if (metadata == null)
+                return null;
+
+            // Same rule as for renames, so a copy or move never ends up next to a file with its name
+            IEnumerable<ShelfFileMetadata> targetFiles = await GetFilesAsync(targetTenantId, cancellationToken);
+            if (targetFiles.Any(file => string.Equals(file.OriginalFilename, metadata.OriginalFilename, StringComparison.OrdinalIgnoreCase)))
+                throw new InvalidOperationException($"A file named \"{metadata.OriginalFilename}\" already exists in that folder");
+
+            // A moved file takes its earlier versions along, unless a file with the same ID in the trash owns them
+            List<ShelfFileMetadata> versions = keepFileId && !File.Exists(Path.Combine(GetTenantTrashPath(sourceTenantId), $"{fileId}.json"))
+                ? await ReadMetadataDirectoryAsync(sourceTenantId, GetFileVersionsPath(sourceTenantId, fileId), cancellationToken)
+                : new List<ShelfFileMetadata>();
+
+            string sourceBinPath = GetTenantBinPath(sourceTenantId);
+            string targetBinPath = GetTenantBinPath(targetTenantId);
+
+            // Work out which chunks the target already has, and how much the others take up
+            Dictionary<Guid, Guid> targetChunkIds = new Dictionary<Guid, Guid>();
+            Dictionary<Guid, string?> chunkHashes = new Dictionary<Guid, string?>();
+            List<Guid> chunksToCopy = new List<Guid>();
+            long bytesToCopy = 0;
+            foreach (Guid chunkId in metadata.ChunkIds.Concat(versions.SelectMany(version => version.ChunkIds)))
+            {
+                if (targetChunkIds.ContainsKey(chunkId) || chunksToCopy.Contains(chunkId))
+                    continue;
+
+                string sourceChunkFile = Path.Combine(sourceBinPath, $"{chunkId}.bin");
+                if (!File.Exists(sourceChunkFile))
+                    throw new FileNotFoundException($"Chunk with ID {chunkId} not found for tenant {sourceTenantId}", sourceChunkFile);
+
+                string? chunkHash = await GetChunkSha256Async(sourceTenantId, chunkId, cancellationToken);
+                Guid? existingChunkId = chunkHash == null ? null : FindChunkBySha256(targetTenantId, chunkHash);
+                if (existingChunkId.HasValue)
+                {
+                    targetChunkIds[chunkId] = existingChunkId.Value;
+                    continue;
+                }
+
+                chunksToCopy.Add(chunkId);
+                chunkHashes[chunkId] = chunkHash;
+                bytesToCopy += new FileInfo(sourceChunkFile).Length;
+            }
+
+            bool canStore = keepFileId
+                ? _storageService.CanMoveData(sourceTenantId, targetTenantId, bytesToCopy, GetBytesFreedByRemoving(sourceTenantId, versions.Prepend(metadata)))
+                : _storageService.CanStoreData(targetTenantId, bytesToCopy);
+            if (!canStore)
+                throw new StorageQuotaExceededException(targetTenantId, bytesToCopy);
+
+            Directory.CreateDirectory(targetBinPath);
+            List<string> copiedChunkFiles = new List<string>();
+            Dictionary<Guid, string> newChunkHashes = new Dictionary<Guid, string>();
+            try
+            {
+                foreach (Guid chunkId in chunksToCopy)
+                {
+                    cancellationToken.ThrowIfCancellationRequested();
+
+                    Guid newChunkId = Guid.NewGuid();
+                    string targetChunkFile = Path.Combine(targetBinPath, $"{newChunkId}.bin");
+                    string? chunkHash = chunkHashes[chunkId];
+
+                    using (FileStream source = File.OpenRead(Path.Combine(sourceBinPath, $"{chunkId}.bin")))
+                    using (FileStream target = File.Create(targetChunkFile))
+                    {
+                        copiedChunkFiles.Add(targetChunkFile);
+                        await source.CopyToAsync(target, cancellationToken);
+                    }
+
+                    if (chunkHash != null)
+                    {
+                        string targetHashFile = GetChunkHashFile(targetBinPath, newChunkId);
+                        copiedChunkFiles.Add(targetHashFile);
+                        await File.WriteAllTextAsync(targetHashFile, chunkHash, cancellationToken);
+                        newChunkHashes[newChunkId] = chunkHash;
+                    }
+
+                    targetChunkIds[chunkId] = newChunkId;
+                }
+
+                // A moved file keeps its ID, unless the target happens to have a file with that ID already, in use, in the trash or with versions
+                bool canKeepFileId = keepFileId
+                    && await GetFileMetadataAsync(targetTenantId, metadata.Id, cancellationToken) == null
+                    && !File.Exists(Path.Combine(GetTenantTrashPath(targetTenantId), $"{metadata.Id}.json"))
+                    && !Directory.Exists(GetFileVersionsPath(targetTenantId, metadata.Id));
+                ShelfFileMetadata copy = CopyMetadata(metadata, canKeepFileId ? metadata.Id : Guid.NewGuid(), targetChunkIds);
+
+                _storageService.RecordStorageUsed(targetTenantId, bytesToCopy);
+                copiedChunkFiles.Clear(); // The chunks are accounted for now, and the metadata takes them over
+                await SaveFileMetadataAsync(targetTenantId, copy, cancellationToken);
+
+                if (versions.Count > 0)
+                {
+                    string targetVersionsPath = GetFileVersionsPath(targetTenantId, copy.Id);
+                    Directory.CreateDirectory(targetVersionsPath);
+                    foreach (ShelfFileMetadata version in versions)
+                    {
+                        ShelfFileMetadata versionCopy = CopyMetadata(version, version.Id, targetChunkIds);
+                        await File.WriteAllTextAsync(Path.Combine(targetVersionsPath, $"{versionCopy.Id}.json"), JsonSerializer.Serialize(versionCopy, _jsonOptions), cancellationToken);
+                        _storageService.RecordFileStored(targetTenantId, versionCopy);
+                    }
+                }
+
+                foreach (KeyValuePair<Guid, string> newChunkHash in newChunkHashes)
+                {
+                    _storageService.RecordChunkHash(targetTenantId, newChunkHash.Key, newChunkHash.Value);
+                }
+
+                _logger.LogDebug("Copied file {FileId} from tenant {SourceTenantId} to tenant {TargetTenantId} as {CopyId}, {CopiedChunks} chunks and {VersionCount} versions copied",
+                    fileId, sourceTenantId, targetTenantId, copy.Id, chunksToCopy.Count, versions.Count);
+                return copy;
+            }
+            finally
+            {
+                foreach (string copiedChunkFile in copiedChunkFiles)
+                {
+                    if (File.Exists(copiedChunkFile))
+                        File.Delete(copiedChunkFile);
+                }
+            }
+        }
+
+        /// <summary>
+        /// Creates a copy of file metadata that refers to the chunks another tenant stores the content in.
+        /// </summary>
+        /// <param name="metadata">The metadata to copy.</param>
+        /// <param name="id">The ID of the copy.</param>
+        /// <param name="chunkIds">The IDs of the chunks in the other tenant, by the IDs of the chunks they are copies of.</param>
+        /// <returns>The copy.</returns>
+        private static ShelfFileMetadata CopyMetadata(ShelfFileMetadata metadata, Guid id, Dictionary<Guid, Guid> chunkIds)
+        {
+            return new ShelfFileMetadata(
+                id,
+                metadata.OriginalFilename,
+                metadata.ContentType,
+                metadata.FileSize,
+                metadata.ChunkIds.Select(chunkId => chunkIds[chunkId]).ToList())
+            {
+                CreatedAt = metadata.CreatedAt,
+                Sha256 = metadata.Sha256,
+                ChunkHashes = metadata.ChunkHashes?.ToList(),
+                Encryption = metadata.Encryption,
+                UploadedBy = metadata.UploadedBy,
+                Tags = metadata.Tags?.ToList(),
+                Attributes = metadata.Attributes != null ? new Dictionary<string, string>(metadata.Attributes) : null,
+            };
+        }
+
+        /// <summary>
+        /// Works out how many bytes removing files would free, counting only the chunks no other file references.
+        /// </summary>
+        /// <param name="tenantId">The tenant ID.</param>
+        /// <param name="files">The metadata of the files, such as a file and its earlier versions.</param>
+        /// <returns>The number of bytes that would be freed on disk.</returns>
+        private long GetBytesFreedByRemoving(string tenantId, IEnumerable<ShelfFileMetadata> files)
+        {
+            string tenantBinPath = GetTenantBinPath(tenantId);
+            long freedBytes = 0;
+
+            foreach (IGrouping<Guid, Guid> chunkReferences in files.SelectMany(file => file.ChunkIds).GroupBy(chunkId => chunkId))
+            {
+                if (_storageService.GetChunkReferenceCount(tenantId, chunkReferences.Key) > chunkReferences.Count())
+                    continue;
+
+                string chunkFile = Path.Combine(tenantBinPath, $"{chunkReferences.Key}.bin");
+                if (File.Exists(chunkFile))
+                    freedBytes += new FileInfo(chunkFile).Length;
+            }
+
+            return freedBytes;
+        }
+
+        /// <summary>
+        /// Releases the chunk references of a file and deletes the chunks that are no longer referenced.
+        /// </summary>
+        /// <param name="tenantId">The tenant ID.</param>
+        /// <param name="metadata">The metadata of the file whose chunks to release.</param>
+        /// <returns>The number of bytes freed on disk.</returns>
+        /// <remarks>
+        /// Chunks that are shared with other files are kept, so deleting one file never breaks another.
+        /// </remarks>
+        private long ReleaseFileChunks(string tenantId, ShelfFileMetadata metadata)
+        {
+            _storageService.RecordFileRemoved(tenantId, metadata);
+
+            long totalFreed = 0;
+            string tenantBinPath = GetTenantBinPath(tenantId);
+
+            foreach (Guid chunkId in metadata.ChunkIds.Distinct())
+            {
+                int referenceCount = _storageService.GetChunkReferenceCount(tenantId, chunkId);
+                if (referenceCount > 0)
+                {
+                    _logger.LogDebug("Kept chunk {ChunkId} for tenant {TenantId}, still referenced {ReferenceCount} times", chunkId, tenantId, referenceCount);
+                    continue;
+                }
+
+                string chunkFile = Path.Combine(tenantBinPath, $"{chunkId}.bin");
+                if (File.Exists(chunkFile))
+                {
+                    FileInfo fileInfo = new FileInfo(chunkFile);
+                    totalFreed += fileInfo.Length;
+                    File.Delete(chunkFile);
+                    _logger.LogDebug("Deleted chunk {ChunkId} for tenant {TenantId}", chunkId, tenantId);
+                }
+
+                string hashFile = GetChunkHashFile(tenantBinPath, chunkId);
+                if (File.Exists(hashFile))
+                    File.Delete(hashFile);
+            }
+
+            return totalFreed;
+        }
+
+        /// <summary>
+        /// Reads the metadata of all files in a directory.
+        /// </summary>
+        /// <param name="tenantId">The tenant ID, for logging.</param>
+        /// <param name="directoryPath">The metadata or trash directory of the tenant.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The metadata that could be read, or an empty list if the directory doesn't exist.</returns>
+        private async Task<List<ShelfFileMetadata>> ReadMetadataDirectoryAsync(string tenantId, string directoryPath, CancellationToken cancellationToken)
+        {
+            List<ShelfFileMetadata> files = new List<ShelfFileMetadata>();
+
+            if (!Directory.Exists(directoryPath))
+            {
+                return files;
+            }
+
+            string[] metadataFiles = Directory.GetFiles(directoryPath, "*.json");
+            _logger.LogDebug("Found {Count} metadata files for tenant {TenantId}", metadataFiles.Length, tenantId);
+
+            foreach (string metadataFile in metadataFiles)
+            {
+                if (cancellationToken.IsCancellationRequested)
+                    break;
+
+                try
+                {
+                    string jsonContent = await File.ReadAllTextAsync(metadataFile, cancellationToken);
+                    ShelfFileMetadata? metadata = JsonSerializer.Deserialize<ShelfFileMetadata>(jsonContent, _jsonOptions);
+
+                    if (metadata != null)
+                    {
+                        files.Add(metadata);
+                    }
+                    else
+                    {
+                        _logger.LogWarning("Failed to deserialize metadata file for tenant {TenantId}: {File}", tenantId, metadataFile);
+                    }
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Error reading metadata file for tenant {TenantId}: {File}", tenantId, metadataFile);
+                }
+            }
+
+            return files;
+        }
+
+        /// <summary>
+        /// Reads the metadata of a single file.
+        /// </summary>
+        /// <param name="tenantId">The tenant ID, for logging.</param>
+        /// <param name="metadataFile">The path of the metadata file.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The metadata, or <c>null</c> if the file doesn't exist or can't be read.</returns>
+        private async Task<ShelfFileMetadata?> ReadMetadataFileAsync(string tenantId, string metadataFile, CancellationToken cancellationToken)
+        {
+            if (!File.Exists(metadataFile))
+                return null;
+
+            try
+            {
+                string jsonContent = await File.ReadAllTextAsync(metadataFile, cancellationToken);
+                return JsonSerializer.Deserialize<ShelfFileMetadata>(jsonContent, _jsonOptions);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error reading metadata file for tenant {TenantId}: {File}", tenantId, metadataFile);
+                return null;
+            }
+        }
+
+        /// <summary>
+        /// Gets the metadata directory path for a specific tenant.
+        /// </summary>
+        /// <param name="tenantId">The tenant ID.</param>
+        /// <returns>The path to the tenant's metadata directory.</returns>
+        private string GetTenantMetadataPath(string tenantId)
+        {
+            return Path.Combine(_storagePath, tenantId, "metadata");
+        }
+
+        /// <summary>
+        /// Gets the binary storage directory path for a specific tenant.
+        /// </summary>
+        /// <param name="tenantId">The tenant ID.</param>
+        /// <returns>The path to the tenant's binary storage directory.</returns>
+        private string GetTenantBinPath(string tenantId)
+        {
+            return Path.Combine(_storagePath, tenantId, "bin");
+        }
+
+        /// <summary>
+        /// Gets the path of the file that holds the hash of a stored chunk.
+        /// </summary>
+        /// <param name="tenantBinPath">The binary storage directory of the tenant.</param>
+        /// <param name="chunkId">The chunk ID.</param>
+        /// <returns>The path of the file with the lowercase hex-encoded SHA-256 hash of the chunk, next to the chunk itself.</returns>
+        private static string GetChunkHashFile(string tenantBinPath, Guid chunkId)
+        {
+            return Path.Combine(tenantBinPath, $"{chunkId}.sha256");
+        }
+
+        /// <summary>
+        /// Gets the trash directory path for a specific tenant.
+        /// </summary>
+        /// <param name="tenantId">The tenant ID.</param>
+        /// <returns>The path to the directory that holds the metadata of the tenant's deleted files.</returns>
+        private string GetTenantTrashPath(string tenantId)
+        {
+            return Path.Combine(_storagePath, tenantId, "trash");
+        }
+
+        /// <summary>
+        /// Gets the versions directory path for a specific tenant.
+        /// </summary>
+        /// <param name="tenantId">The tenant ID.</param>
+        /// <returns>The path to the directory that holds the earlier versions of the tenant's files, one subdirectory per file.</returns>
+        private string GetTenantVersionsPath(string tenantId)
+        {
+            return Path.Combine(_storagePath, tenantId, "versions");
+        }
+
+        /// <summary>
+        /// Gets the directory path for the earlier versions of a file.
+        /// </summary>
+        /// <param name="tenantId">The tenant ID.</param>
+        /// <param name="fileId">The unique identifier of the file.</param>
+        /// <returns>The path to the directory that holds the metadata of the file's earlier versions.</returns>
+        private string GetFileVersionsPath(string tenantId, Guid fileId)
+        {
+            return Path.Combine(GetTenantVersionsPath(tenantId), fileId.ToString());
         }
 
         /// <summary>
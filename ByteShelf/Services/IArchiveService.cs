@@ -0,0 +1,29 @@
+namespace ByteShelf.Services
+{
+    /// <summary>
+    /// Defines the contract for writing files and folders to a ZIP archive.
+    /// </summary>
+    /// <remarks>
+    /// Folders are subtenants, and become directories in the archive named after their display
+    /// names, with their nested subtenants as subdirectories. Files that were encrypted in the
+    /// browser are left out, since the server can't decrypt them, and are listed in a text file
+    /// at the root of the archive.
+    /// </remarks>
+    public interface IArchiveService
+    {
+        /// <summary>
+        /// Writes a ZIP archive with the specified files and folders to a stream.
+        /// </summary>
+        /// <param name="output">The stream to write the archive to. It doesn't need to be seekable and is left open.</param>
+        /// <param name="tenantId">The ID of the tenant that holds the files.</param>
+        /// <param name="fileIds">The IDs of the files to put at the root of the archive.</param>
+        /// <param name="folderTenantIds">The IDs of the subtenants to put in the archive as directories.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>A task that represents the asynchronous operation.</returns>
+        /// <remarks>
+        /// Each file is copied into the archive chunk by chunk as the archive is written, so neither
+        /// the files nor the archive are held in memory. The stream is only written to asynchronously. Files and folders that no longer exist are skipped.
+        /// </remarks>
+        Task WriteArchiveAsync(Stream output, string tenantId, IEnumerable<Guid> fileIds, IEnumerable<string> folderTenantIds, CancellationToken cancellationToken = default);
+    }
+}
@@ -0,0 +1,37 @@
+using ByteShelfCommon;
+
+namespace ByteShelf.Services
+{
+    /// <summary>
+    /// Defines the contract for the append-only audit log of file, folder and tenant operations.
+    /// </summary>
+    /// <remarks>
+    /// Controllers record what was done with <see cref="RecordAsync"/> once an operation has succeeded, and the
+    /// authentication middleware records the requests it refuses. Entries can only be added, never changed, and are only
+    /// removed once they are older than the retention period.
+    /// </remarks>
+    public interface IAuditLogService
+    {
+        /// <summary>
+        /// Appends an entry to the audit log.
+        /// </summary>
+        /// <param name="entry">The entry to append.</param>
+        /// <returns>A task that represents the asynchronous operation.</returns>
+        /// <remarks>
+        /// Failures are logged rather than thrown, so an operation that has already been done is never reported as failed.
+        /// The entry is written even if the request is cancelled, since the operation it records has happened.
+        /// </remarks>
+        Task RecordAsync(AuditLogEntry entry);
+
+        /// <summary>
+        /// Gets the entries of the audit log that match a query.
+        /// </summary>
+        /// <param name="query">The filters for the entries.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The matching entries, most recent first.</returns>
+        /// <remarks>
+        /// With <see cref="AuditLogQuery.Limit"/> set, only as much of the log is read as is needed to find that many entries.
+        /// </remarks>
+        Task<List<AuditLogEntry>> GetEntriesAsync(AuditLogQuery query, CancellationToken cancellationToken = default);
+    }
+}
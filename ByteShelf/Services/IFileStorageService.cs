@@ -48,9 +48,39 @@ namespace ByteShelf.Services
         /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
         /// <returns>The chunk ID that was saved.</returns>
         /// <exception cref="ArgumentNullException">Thrown when <paramref name="chunkData"/> is null.</exception>
-        /// <exception cref="InvalidOperationException">Thrown when the tenant would exceed their storage quota.</exception>
+        /// <exception cref="StorageQuotaExceededException">Thrown when the tenant would exceed their storage quota.</exception>
+        /// <exception cref="InvalidOperationException">Thrown when the tenant already has a chunk with the ID and other data.</exception>
         Task<Guid> SaveChunkAsync(string tenantId, Guid chunkId, Stream chunkData, CancellationToken cancellationToken = default);
 
+        /// <summary>
+        /// Saves a chunk with the specified ID, scoped to a tenant, and verifies its integrity.
+        /// </summary>
+        /// <param name="tenantId">The tenant ID.</param>
+        /// <param name="chunkId">The unique identifier for the chunk.</param>
+        /// <param name="chunkData">A stream containing the chunk data to be stored.</param>
+        /// <param name="expectedSha256">The hex-encoded SHA-256 hash the client computed for the chunk, or <c>null</c> to skip verification.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The lowercase hex-encoded SHA-256 hash of the stored chunk data.</returns>
+        /// <exception cref="ArgumentNullException">Thrown when <paramref name="chunkData"/> is null.</exception>
+        /// <exception cref="InvalidDataException">Thrown when the received data does not match <paramref name="expectedSha256"/>. The chunk is not kept.</exception>
+        /// <exception cref="StorageQuotaExceededException">Thrown when the tenant would exceed their storage quota.</exception>
+        /// <exception cref="InvalidOperationException">Thrown when the tenant already has a chunk with the ID and other data. The stored chunk is kept.</exception>
+        /// <remarks>
+        /// Stored chunks can be shared by several files, so they are never replaced. Saving the same data under the ID
+        /// of a stored chunk again, as when an upload is retried, changes nothing. The computed hash is stored with the
+        /// chunk so it can be read back with <see cref="GetChunkSha256Async"/>.
+        /// </remarks>
+        Task<string> SaveVerifiedChunkAsync(string tenantId, Guid chunkId, Stream chunkData, string? expectedSha256, CancellationToken cancellationToken = default);
+
+        /// <summary>
+        /// Gets the SHA-256 hash the server computed for a stored chunk, scoped to a tenant.
+        /// </summary>
+        /// <param name="tenantId">The tenant ID.</param>
+        /// <param name="chunkId">The unique identifier of the chunk.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The lowercase hex-encoded SHA-256 hash of the chunk, or <c>null</c> if the chunk doesn't exist.</returns>
+        Task<string?> GetChunkSha256Async(string tenantId, Guid chunkId, CancellationToken cancellationToken = default);
+
         /// <summary>
         /// Saves file metadata, scoped to a tenant.
         /// </summary>
@@ -62,7 +92,7 @@ namespace ByteShelf.Services
         Task SaveFileMetadataAsync(string tenantId, ShelfFileMetadata metadata, CancellationToken cancellationToken = default);
 
         /// <summary>
-        /// Deletes a file and all its associated chunks, scoped to a tenant.
+        /// Deletes a file and the associated chunks that no other file shares, scoped to a tenant.
         /// </summary>
         /// <param name="tenantId">The tenant ID.</param>
         /// <param name="fileId">The unique identifier of the file to delete.</param>
@@ -71,7 +101,7 @@ namespace ByteShelf.Services
         Task<bool?> DeleteFileAsync(string tenantId, Guid fileId, CancellationToken cancellationToken = default);
 
         /// <summary>
-        /// Deletes all files and their associated chunks for a specific tenant.
+        /// Deletes all files and their associated chunks for a specific tenant, including the files in its trash.
         /// </summary>
         /// <param name="tenantId">The tenant ID.</param>
         /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
@@ -96,6 +126,17 @@ namespace ByteShelf.Services
         /// <returns><c>true</c> if the tenant can store the file; otherwise, <c>false</c>.</returns>
         bool CanStoreFile(string tenantId, long fileSizeBytes);
 
+        /// <summary>
+        /// Finds a chunk the tenant already stores by the SHA-256 hash of its content.
+        /// </summary>
+        /// <param name="tenantId">The tenant ID.</param>
+        /// <param name="sha256">The hex-encoded SHA-256 hash of the chunk content.</param>
+        /// <returns>The ID of a stored chunk with the same content, or <c>null</c> if the tenant doesn't have one.</returns>
+        /// <remarks>
+        /// A client can reference the returned chunk in its file metadata instead of uploading the same data again.
+        /// </remarks>
+        Guid? FindChunkBySha256(string tenantId, string sha256);
+
         /// <summary>
         /// Deletes all files and their associated chunks for a tenant and all its descendant tenants.
         /// </summary>
@@ -113,5 +154,177 @@ namespace ByteShelf.Services
         /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
         /// <returns>The number of directories that were removed.</returns>
         Task<int> CleanupEmptyDirectoriesAsync(string tenantId, IEnumerable<string> descendantTenantIds, CancellationToken cancellationToken = default);
+
+        /// <summary>
+        /// Copies a file and its chunks from one tenant to another.
+        /// </summary>
+        /// <param name="sourceTenantId">The ID of the tenant that holds the file.</param>
+        /// <param name="fileId">The unique identifier of the file.</param>
+        /// <param name="targetTenantId">The ID of the tenant to copy the file to.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The metadata of the copy, which has a new ID, or <c>null</c> if the file doesn't exist.</returns>
+        /// <exception cref="StorageQuotaExceededException">Thrown when the target tenant would exceed its storage quota.</exception>
+        /// <exception cref="InvalidOperationException">Thrown when the target tenant already has a file with the same name.</exception>
+        /// <remarks>
+        /// Chunks the target tenant already stores with the same content are shared instead of copied,
+        /// and only the chunks that are copied count towards the target tenant's storage usage. Only the
+        /// current version is copied, and the copy keeps who uploaded it.
+        /// </remarks>
+        Task<ShelfFileMetadata?> CopyFileAsync(string sourceTenantId, Guid fileId, string targetTenantId, CancellationToken cancellationToken = default);
+
+        /// <summary>
+        /// Moves a file and its chunks from one tenant to another.
+        /// </summary>
+        /// <param name="sourceTenantId">The ID of the tenant that holds the file.</param>
+        /// <param name="fileId">The unique identifier of the file.</param>
+        /// <param name="targetTenantId">The ID of the tenant to move the file to.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The metadata of the moved file, or <c>null</c> if the file doesn't exist.</returns>
+        /// <exception cref="StorageQuotaExceededException">Thrown when a storage limit the file moves into would be exceeded.</exception>
+        /// <exception cref="InvalidOperationException">Thrown when the target tenant already has a file with the same name.</exception>
+        /// <remarks>
+        /// The file keeps its ID and takes its earlier versions along. It is copied to the target tenant
+        /// first and only removed from the source tenant once the copy is complete, which frees its storage there. Limits that cover
+        /// both tenants, like that of a shared parent, are only checked for what the move adds on top
+        /// of what it frees.
+        /// </remarks>
+        Task<ShelfFileMetadata?> MoveFileAsync(string sourceTenantId, Guid fileId, string targetTenantId, CancellationToken cancellationToken = default);
+
+        /// <summary>
+        /// Renames a file.
+        /// </summary>
+        /// <param name="tenantId">The ID of the tenant that holds the file.</param>
+        /// <param name="fileId">The unique identifier of the file.</param>
+        /// <param name="newFilename">The new file name, which must pass <see cref="ItemNameValidator.GetValidationError"/>.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The updated metadata, or <c>null</c> if the file doesn't exist.</returns>
+        /// <exception cref="ArgumentException">Thrown when <paramref name="newFilename"/> is not a valid name.</exception>
+        /// <exception cref="InvalidOperationException">Thrown when another file in the tenant already has that name.</exception>
+        /// <remarks>
+        /// Names are compared case-insensitively, so a file can't be renamed to a name that only differs
+        /// in case from another file in the same tenant, but it can change the case of its own name.
+        /// </remarks>
+        Task<ShelfFileMetadata?> RenameFileAsync(string tenantId, Guid fileId, string newFilename, CancellationToken cancellationToken = default);
+
+        /// <summary>
+        /// Replaces the tags and key/value attributes of a file.
+        /// </summary>
+        /// <param name="tenantId">The ID of the tenant that holds the file.</param>
+        /// <param name="fileId">The unique identifier of the file.</param>
+        /// <param name="tags">The new tags, or <c>null</c> to remove all tags.</param>
+        /// <param name="attributes">The new attributes, or <c>null</c> to remove all attributes.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The updated metadata, or <c>null</c> if the file doesn't exist.</returns>
+        /// <exception cref="ArgumentException">Thrown when the labels don't pass <see cref="FileLabelValidator.GetValidationError"/> once normalized.</exception>
+        /// <remarks>
+        /// The labels are normalized with <see cref="FileLabelValidator.NormalizeTags"/> and <see cref="FileLabelValidator.NormalizeAttributes"/>
+        /// first. They belong to the file, so they stay the same when a new version is uploaded or an earlier version is restored.
+        /// </remarks>
+        Task<ShelfFileMetadata?> UpdateFileLabelsAsync(string tenantId, Guid fileId, IEnumerable<string>? tags, IDictionary<string, string>? attributes, CancellationToken cancellationToken = default);
+
+        /// <summary>
+        /// Moves a file to the trash of its tenant.
+        /// </summary>
+        /// <param name="tenantId">The ID of the tenant that holds the file.</param>
+        /// <param name="fileId">The unique identifier of the file.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns><c>true</c> if the file was moved to the trash, or <c>null</c> if the file doesn't exist.</returns>
+        /// <remarks>
+        /// The file keeps its chunks, so it still counts towards the tenant's storage usage until it is purged.
+        /// If the trash already holds a file with the same ID, that file is kept under a new ID.
+        /// </remarks>
+        Task<bool?> TrashFileAsync(string tenantId, Guid fileId, CancellationToken cancellationToken = default);
+
+        /// <summary>
+        /// Retrieves metadata for all files in the trash of a specific tenant.
+        /// </summary>
+        /// <param name="tenantId">The tenant ID.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>A collection of file metadata, where <see cref="ShelfFileMetadata.DeletedAt"/> is when each file was deleted.</returns>
+        Task<IEnumerable<ShelfFileMetadata>> GetTrashedFilesAsync(string tenantId, CancellationToken cancellationToken = default);
+
+        /// <summary>
+        /// Restores a file from the trash of its tenant.
+        /// </summary>
+        /// <param name="tenantId">The ID of the tenant the file was deleted from.</param>
+        /// <param name="fileId">The unique identifier of the file.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The metadata of the restored file, or <c>null</c> if the file isn't in the trash.</returns>
+        /// <remarks>
+        /// If another file in the tenant has taken the file's name in the meantime, a number is added to it.
+        /// </remarks>
+        Task<ShelfFileMetadata?> RestoreFileAsync(string tenantId, Guid fileId, CancellationToken cancellationToken = default);
+
+        /// <summary>
+        /// Permanently deletes a file from the trash of its tenant, together with the chunks that no other file shares.
+        /// </summary>
+        /// <param name="tenantId">The ID of the tenant the file was deleted from.</param>
+        /// <param name="fileId">The unique identifier of the file.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns><c>true</c> if the file was deleted, or <c>null</c> if the file isn't in the trash.</returns>
+        Task<bool?> PurgeTrashedFileAsync(string tenantId, Guid fileId, CancellationToken cancellationToken = default);
+
+        /// <summary>
+        /// Saves the metadata of an uploaded file, as a new version of the tenant's file with the same name if there is one.
+        /// </summary>
+        /// <param name="tenantId">The tenant ID.</param>
+        /// <param name="metadata">The metadata of the uploaded file.</param>
+        /// <param name="maxVersions">How many earlier versions of each file the tenant keeps.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The saved metadata, which has the ID of the existing file if the upload became a new version of it.</returns>
+        /// <remarks>
+        /// Names are compared case-insensitively. The content that is replaced is kept as an earlier version, and the
+        /// oldest versions beyond <paramref name="maxVersions"/> are removed. Versions still count towards the storage usage.
+        /// A new version without tags or attributes keeps those of the existing file.
+        /// The chunk hashes and, for unencrypted files, the file hash are checked against the stored chunks first.
+        /// </remarks>
+        /// <exception cref="InvalidDataException">Thrown when a hash in the metadata doesn't match the stored data.</exception>
+        /// <exception cref="InvalidOperationException">Thrown when the tenant already has a file with the ID, in use or in the trash.</exception>
+        Task<ShelfFileMetadata> SaveUploadedFileAsync(string tenantId, ShelfFileMetadata metadata, int maxVersions, CancellationToken cancellationToken = default);
+
+        /// <summary>
+        /// Retrieves the earlier versions of a file.
+        /// </summary>
+        /// <param name="tenantId">The tenant ID.</param>
+        /// <param name="fileId">The unique identifier of the file.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The metadata of the versions, most recent first, where the ID is that of the version, or <c>null</c> if the file doesn't exist.</returns>
+        Task<IEnumerable<ShelfFileMetadata>?> GetFileVersionsAsync(string tenantId, Guid fileId, CancellationToken cancellationToken = default);
+
+        /// <summary>
+        /// Retrieves the metadata of an earlier version of a file.
+        /// </summary>
+        /// <param name="tenantId">The tenant ID.</param>
+        /// <param name="fileId">The unique identifier of the file.</param>
+        /// <param name="versionId">The unique identifier of the version.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The metadata of the version, or <c>null</c> if it doesn't exist.</returns>
+        Task<ShelfFileMetadata?> GetFileVersionAsync(string tenantId, Guid fileId, Guid versionId, CancellationToken cancellationToken = default);
+
+        /// <summary>
+        /// Gets a stream that reads the content of an earlier version of a file.
+        /// </summary>
+        /// <param name="tenantId">The tenant ID.</param>
+        /// <param name="fileId">The unique identifier of the file.</param>
+        /// <param name="versionId">The unique identifier of the version.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>A stream that reads the chunks of the version in order.</returns>
+        /// <exception cref="FileNotFoundException">Thrown when the version doesn't exist.</exception>
+        Task<Stream> GetFileVersionStreamAsync(string tenantId, Guid fileId, Guid versionId, CancellationToken cancellationToken = default);
+
+        /// <summary>
+        /// Makes an earlier version of a file its current version again.
+        /// </summary>
+        /// <param name="tenantId">The tenant ID.</param>
+        /// <param name="fileId">The unique identifier of the file.</param>
+        /// <param name="versionId">The unique identifier of the version to restore.</param>
+        /// <param name="restoredBy">The name of the API key that restores the version.</param>
+        /// <param name="maxVersions">How many earlier versions of each file the tenant keeps.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The metadata of the file after the restore, or <c>null</c> if the file or the version doesn't exist.</returns>
+        /// <remarks>
+        /// The file keeps its ID and name. The content it had before is kept as an earlier version in turn.
+        /// </remarks>
+        Task<ShelfFileMetadata?> RestoreFileVersionAsync(string tenantId, Guid fileId, Guid versionId, string? restoredBy, int maxVersions, CancellationToken cancellationToken = default);
     }
 }
\ No newline at end of file
@@ -0,0 +1,110 @@
+namespace ByteShelf.Services
+{
+    /// <summary>
+    /// Defines the contract for creating, validating and revoking share links.
+    /// </summary>
+    /// <remarks>
+    /// Share links give access to a single file or a folder without an API key. Each link
+    /// is identified by a signed token and is limited in time, and optionally in the number
+    /// of downloads and by a password.
+    /// </remarks>
+    public interface IShareLinkService
+    {
+        /// <summary>
+        /// Creates a new share link.
+        /// </summary>
+        /// <param name="ownerTenantId">The ID of the tenant creating the link.</param>
+        /// <param name="tenantId">The ID of the tenant that holds the shared content.</param>
+        /// <param name="fileId">The ID of the shared file, or <c>null</c> to share the folder.</param>
+        /// <param name="name">The name of the shared file or folder.</param>
+        /// <param name="expiresAt">When the link stops working.</param>
+        /// <param name="maxDownloads">How many downloads the link allows, or <c>null</c> for no limit.</param>
+        /// <param name="password">The password needed to use the link, or <c>null</c> for no password.</param>
+        /// <returns>The created link.</returns>
+        Task<ShareLink> CreateLinkAsync(string ownerTenantId, string tenantId, Guid? fileId, string name, DateTimeOffset expiresAt, int? maxDownloads, string? password);
+
+        /// <summary>
+        /// Gets the links created by a tenant that have not expired.
+        /// </summary>
+        /// <param name="ownerTenantId">The ID of the tenant that created the links.</param>
+        /// <returns>The active links, newest first.</returns>
+        IEnumerable<ShareLink> GetLinks(string ownerTenantId);
+
+        /// <summary>
+        /// Revokes a share link so it can no longer be used.
+        /// </summary>
+        /// <param name="ownerTenantId">The ID of the tenant that created the link.</param>
+        /// <param name="linkId">The ID of the link to revoke.</param>
+        /// <returns><c>true</c> if the link was revoked; <c>false</c> if the tenant has no such link.</returns>
+        Task<bool> RevokeLinkAsync(string ownerTenantId, Guid linkId);
+
+        /// <summary>
+        /// Creates the signed token that identifies a link in public URLs.
+        /// </summary>
+        /// <param name="link">The link to create the token for.</param>
+        /// <returns>The token.</returns>
+        string CreateToken(ShareLink link);
+
+        /// <summary>
+        /// Checks a token and an optional password and returns the link they give access to.
+        /// </summary>
+        /// <param name="token">The token from the share URL.</param>
+        /// <param name="password">The password provided by the recipient, if any.</param>
+        /// <param name="clientIp">The IP address of the recipient, which wrong passwords are counted for, if known.</param>
+        /// <param name="link">The link the token belongs to, set when the link exists.</param>
+        /// <returns>Whether the link can be used, or why it can't.</returns>
+        /// <remarks>
+        /// Wrong passwords are counted per link and per client, and once either has had too many recently,
+        /// passwords aren't checked until the lockout is over.
+        /// </remarks>
+        ShareLinkStatus ValidateToken(string token, string? password, string? clientIp, out ShareLink? link);
+
+        /// <summary>
+        /// Counts a download made through a link, if the link has downloads left.
+        /// </summary>
+        /// <param name="linkId">The ID of the link.</param>
+        /// <returns><c>true</c> if the download was counted; <c>false</c> if the link is gone or has no downloads left.</returns>
+        Task<bool> TryRecordDownloadAsync(Guid linkId);
+    }
+
+    /// <summary>
+    /// The result of validating a share link token.
+    /// </summary>
+    public enum ShareLinkStatus
+    {
+        /// <summary>
+        /// The link can be used.
+        /// </summary>
+        Valid,
+
+        /// <summary>
+        /// The token is malformed, its signature is wrong, or the link was revoked.
+        /// </summary>
+        NotFound,
+
+        /// <summary>
+        /// The link has expired.
+        /// </summary>
+        Expired,
+
+        /// <summary>
+        /// All the downloads the link allows have been made.
+        /// </summary>
+        DownloadLimitReached,
+
+        /// <summary>
+        /// The link is protected by a password and none was provided.
+        /// </summary>
+        PasswordRequired,
+
+        /// <summary>
+        /// The provided password is wrong.
+        /// </summary>
+        InvalidPassword,
+
+        /// <summary>
+        /// Too many wrong passwords were given for the link or from the client recently, so the password wasn't checked.
+        /// </summary>
+        TooManyAttempts,
+    }
+}
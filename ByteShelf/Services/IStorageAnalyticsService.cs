@@ -0,0 +1,40 @@
+using ByteShelfCommon;
+
+namespace ByteShelf.Services
+{
+    /// <summary>
+    /// Defines the contract for breaking down storage usage and recording how it grows over time.
+    /// </summary>
+    /// <remarks>
+    /// Breakdowns are computed from the stored files when they are requested. The usage history comes from
+    /// daily snapshots of every tenant and of the whole server, which are recorded by <see cref="RecordSnapshotsAsync"/>.
+    /// </remarks>
+    public interface IStorageAnalyticsService
+    {
+        /// <summary>
+        /// Gets the storage breakdown of a tenant and all of its subtenants.
+        /// </summary>
+        /// <param name="tenantId">The tenant ID.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The breakdown, or <c>null</c> if the tenant doesn't exist.</returns>
+        Task<StorageAnalytics?> GetTenantAnalyticsAsync(string tenantId, CancellationToken cancellationToken = default);
+
+        /// <summary>
+        /// Gets the storage breakdown of all tenants on the server.
+        /// </summary>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The breakdown, with the top-level tenants as folders.</returns>
+        Task<StorageAnalytics> GetInstanceAnalyticsAsync(CancellationToken cancellationToken = default);
+
+        /// <summary>
+        /// Records today's storage usage of every tenant and of the whole server.
+        /// </summary>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>A task that represents the asynchronous operation.</returns>
+        /// <remarks>
+        /// Recording again on the same day replaces that day's snapshots, and snapshots older than
+        /// <see cref="StorageAnalyticsService.SnapshotRetentionDays"/> days are dropped.
+        /// </remarks>
+        Task RecordSnapshotsAsync(CancellationToken cancellationToken = default);
+    }
+}
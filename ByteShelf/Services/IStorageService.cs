@@ -1,3 +1,5 @@
+using ByteShelfCommon;
+
 namespace ByteShelf.Services
 {
     /// <summary>
@@ -7,6 +9,10 @@ namespace ByteShelf.Services
     /// This service provides thread-safe operations for checking storage quotas
     /// and tracking usage per tenant. It maintains usage data in memory for
     /// performance and persists it to disk periodically.
+    /// Usage is tracked both physically (the bytes of the chunks on disk, which
+    /// is what quotas are enforced against) and logically (the combined size of
+    /// the files). The two differ when chunks are shared between files, which
+    /// is tracked through per-tenant chunk reference counts.
     /// </remarks>
     public interface IStorageService
     {
@@ -23,6 +29,21 @@ namespace ByteShelf.Services
         /// </remarks>
         bool CanStoreData(string tenantId, long sizeBytes);
 
+        /// <summary>
+        /// Checks if data can be moved from one tenant to another without exceeding any storage limit.
+        /// </summary>
+        /// <param name="sourceTenantId">The ID of the tenant the data is moved out of.</param>
+        /// <param name="targetTenantId">The ID of the tenant the data is moved into.</param>
+        /// <param name="sizeBytes">The size of data to be stored in the target tenant in bytes.</param>
+        /// <param name="freedBytes">The size of data the move frees in the source tenant in bytes.</param>
+        /// <returns><c>true</c> if the data can be moved; otherwise, <c>false</c>.</returns>
+        /// <remarks>
+        /// Works like <see cref="CanStoreData"/>, except that limits whose usage also counts the source
+        /// tenant, like the limit of a parent of both tenants, are only checked for
+        /// <paramref name="sizeBytes"/> minus <paramref name="freedBytes"/>, since that is all the move adds to them.
+        /// </remarks>
+        bool CanMoveData(string sourceTenantId, string targetTenantId, long sizeBytes, long freedBytes);
+
         /// <summary>
         /// Records that a tenant has stored the specified amount of data.
         /// </summary>
@@ -65,5 +86,75 @@ namespace ByteShelf.Services
         /// <param name="tenantId">The tenant ID.</param>
         /// <returns>The total storage usage including subtenants in bytes.</returns>
         long GetTotalUsageIncludingSubTenants(string tenantId);
+
+        /// <summary>
+        /// Gets the logical storage usage for a tenant, which is the combined size of all its files.
+        /// </summary>
+        /// <param name="tenantId">The tenant ID.</param>
+        /// <returns>The logical storage usage in bytes.</returns>
+        /// <remarks>
+        /// Chunks shared between several files are counted once per file, so the logical
+        /// usage can be larger than the physical usage returned by <see cref="GetCurrentUsage"/>.
+        /// </remarks>
+        long GetLogicalUsage(string tenantId);
+
+        /// <summary>
+        /// Gets the total logical storage usage for a tenant including all subtenants recursively.
+        /// </summary>
+        /// <param name="tenantId">The tenant ID.</param>
+        /// <returns>The total logical storage usage including subtenants in bytes.</returns>
+        long GetTotalLogicalUsageIncludingSubTenants(string tenantId);
+
+        /// <summary>
+        /// Records that a file has been stored, adding a reference to each of its chunks.
+        /// </summary>
+        /// <param name="tenantId">The tenant ID.</param>
+        /// <param name="metadata">The metadata of the stored file.</param>
+        /// <remarks>
+        /// This method is thread-safe. It increases the tenant's logical usage by the size of the file.
+        /// The physical usage and the chunk hashes are recorded separately when chunks are saved.
+        /// </remarks>
+        void RecordFileStored(string tenantId, ShelfFileMetadata metadata);
+
+        /// <summary>
+        /// Records the hash the server computed for a saved chunk, so the chunk can be found with <see cref="FindChunkBySha256"/>.
+        /// </summary>
+        /// <param name="tenantId">The tenant ID.</param>
+        /// <param name="chunkId">The chunk ID.</param>
+        /// <param name="sha256">The hex encoded SHA-256 hash of the stored chunk data.</param>
+        /// <remarks>
+        /// This method is thread-safe. The hash is forgotten again once no file references the chunk.
+        /// </remarks>
+        void RecordChunkHash(string tenantId, Guid chunkId, string sha256);
+
+        /// <summary>
+        /// Records that a file has been removed, releasing the reference it held to each of its chunks.
+        /// </summary>
+        /// <param name="tenantId">The tenant ID.</param>
+        /// <param name="metadata">The metadata of the removed file.</param>
+        /// <remarks>
+        /// This method is thread-safe. Chunks whose reference count drops to zero are no longer
+        /// used by any file and can be deleted by the caller, see <see cref="GetChunkReferenceCount"/>.
+        /// </remarks>
+        void RecordFileRemoved(string tenantId, ShelfFileMetadata metadata);
+
+        /// <summary>
+        /// Gets the number of file references to a chunk.
+        /// </summary>
+        /// <param name="tenantId">The tenant ID.</param>
+        /// <param name="chunkId">The chunk ID.</param>
+        /// <returns>The number of times the chunk is referenced by the tenant's files, or 0 if it is not referenced.</returns>
+        int GetChunkReferenceCount(string tenantId, Guid chunkId);
+
+        /// <summary>
+        /// Finds a chunk that the tenant already holds by the SHA-256 hash of its content.
+        /// </summary>
+        /// <param name="tenantId">The tenant ID.</param>
+        /// <param name="sha256">The hex encoded SHA-256 hash of the chunk content.</param>
+        /// <returns>The ID of a referenced chunk with the given hash, or <c>null</c> if the tenant doesn't hold one.</returns>
+        /// <remarks>
+        /// Only chunks whose hash the server computed when saving them can be found. Hashes in file metadata are never indexed.
+        /// </remarks>
+        Guid? FindChunkBySha256(string tenantId, string sha256);
     }
 }
\ No newline at end of file
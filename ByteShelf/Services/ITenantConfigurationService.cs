@@ -48,6 +48,25 @@ namespace ByteShelf.Services
         /// </remarks>
         Task<bool> UpdateTenantAsync(string tenantId, TenantInfo tenantInfo);
 
+        /// <summary>
+        /// Changes the display name, admin flag and storage limit of a tenant, and moves it under another parent.
+        /// </summary>
+        /// <param name="tenantId">The ID of the tenant, which can be a subtenant.</param>
+        /// <param name="displayName">The new display name. Subtenants are folders, so it must then pass <see cref="ItemNameValidator.GetValidationError"/>.</param>
+        /// <param name="isAdmin">Whether the tenant has administrative privileges.</param>
+        /// <param name="storageLimitBytes">The new storage limit in bytes, 0 meaning unlimited.</param>
+        /// <param name="parentTenantId">The ID of the tenant to move the tenant under, or <c>null</c> to make it a top-level tenant.</param>
+        /// <returns>True if the tenant was updated, false if it doesn't exist or the configuration couldn't be saved.</returns>
+        /// <exception cref="ArgumentException">Thrown when a value is invalid, the parent doesn't exist or is the tenant itself or one of its subtenants,
+        /// the storage limit is larger than the parent's, or the move would break the depth or subtenant limits.</exception>
+        /// <exception cref="InvalidOperationException">Thrown when another subtenant of the parent already has the display name.</exception>
+        /// <remarks>
+        /// Nothing is changed unless all values are valid. Moving a tenant takes its files and subtenants along,
+        /// since files are stored by tenant ID and not by position in the hierarchy. Storage usage isn't known here,
+        /// so callers check that the new parent has room for it with <see cref="IStorageService.CanMoveData"/> first.
+        /// </remarks>
+        Task<bool> UpdateTenantDetailsAsync(string tenantId, string displayName, bool isAdmin, long storageLimitBytes, string? parentTenantId);
+
         /// <summary>
         /// Removes a tenant from the configuration.
         /// </summary>
@@ -110,13 +129,107 @@ namespace ByteShelf.Services
         Task<bool> UpdateSubTenantStorageLimitAsync(string parentTenantId, string subTenantId, long newStorageLimit);
 
         /// <summary>
-        /// Deletes a subtenant.
+        /// Updates how many earlier versions of each file a tenant keeps.
+        /// </summary>
+        /// <param name="tenantId">The ID of the tenant, which can be a subtenant.</param>
+        /// <param name="maxFileVersions">The number of versions to keep, or <c>null</c> to use the policy of the parent tenant.</param>
+        /// <returns>True if the update was successful, false if the tenant doesn't exist.</returns>
+        /// <exception cref="ArgumentException">Thrown when the tenant ID is empty or the number of versions is negative.</exception>
+        Task<bool> UpdateMaxFileVersionsAsync(string tenantId, int? maxFileVersions);
+
+        /// <summary>
+        /// Generates a named API key for a tenant.
+        /// </summary>
+        /// <param name="tenantId">The ID of the tenant, which can be a subtenant.</param>
+        /// <param name="apiKey">The key to add, with its name, scopes and expiry. The ID, hash, hint and creation time are set by this method.</param>
+        /// <returns>The generated key, which is only stored as a hash, or null if the tenant doesn't exist or the configuration couldn't be saved.</returns>
+        /// <exception cref="ArgumentException">Thrown when the name, the scopes or the expiry time are invalid.</exception>
+        /// <exception cref="InvalidOperationException">Thrown when the tenant already has a key with that name or has the maximum number of keys.</exception>
+        Task<string?> CreateApiKeyAsync(string tenantId, TenantApiKey apiKey);
+
+        /// <summary>
+        /// Replaces an API key of a tenant with a newly generated one, keeping its name, scopes and expiry.
+        /// </summary>
+        /// <param name="tenantId">The ID of the tenant that owns the key.</param>
+        /// <param name="keyId">The ID of the key, or <see cref="TenantApiKey.TenantKeyId"/> for the key the tenant was created with.</param>
+        /// <returns>The generated key, or null if the tenant has no key with that ID or the configuration couldn't be saved.</returns>
+        /// <remarks>
+        /// The previous key stops working immediately.
+        /// </remarks>
+        Task<string?> RotateApiKeyAsync(string tenantId, Guid keyId);
+
+        /// <summary>
+        /// Removes an API key of a tenant, so it stops working.
+        /// </summary>
+        /// <param name="tenantId">The ID of the tenant that owns the key.</param>
+        /// <param name="keyId">The ID of the key, or <see cref="TenantApiKey.TenantKeyId"/> for the key the tenant was created with.</param>
+        /// <returns>True if the key was removed, false if the tenant has no key with that ID or the configuration couldn't be saved.</returns>
+        /// <exception cref="InvalidOperationException">Thrown when revoking the key the tenant was created with while the tenant has no
+        /// other unexpired key with full access, and administrative privileges if the tenant has them.</exception>
+        Task<bool> RevokeApiKeyAsync(string tenantId, Guid keyId);
+
+        /// <summary>
+        /// Records that an API key was used to authenticate.
+        /// </summary>
+        /// <param name="tenantId">The ID of the tenant that owns the key.</param>
+        /// <param name="keyId">The ID of the key, or <see cref="TenantApiKey.TenantKeyId"/> for the key the tenant was created with.</param>
+        /// <returns>A task that represents the asynchronous operation.</returns>
+        /// <remarks>
+        /// To avoid writing the configuration file on every request, the time is only saved when the
+        /// previously recorded time is a few minutes old.
+        /// </remarks>
+        Task RecordApiKeyUseAsync(string tenantId, Guid keyId);
+
+        /// <summary>
+        /// Renames a subtenant by changing its display name.
+        /// </summary>
+        /// <param name="parentTenantId">The ID of the tenant that renames the subtenant, which can be any of its ancestors.</param>
+        /// <param name="subTenantId">The subtenant ID.</param>
+        /// <param name="displayName">The new display name, which must pass <see cref="ItemNameValidator.GetValidationError"/>.</param>
+        /// <returns>True if the subtenant was renamed, false if it isn't a descendant of the parent tenant or the configuration couldn't be saved.</returns>
+        /// <exception cref="ArgumentException">Thrown when <paramref name="displayName"/> is not a valid name.</exception>
+        /// <exception cref="InvalidOperationException">Thrown when a sibling of the subtenant already has that display name.</exception>
+        Task<bool> RenameSubTenantAsync(string parentTenantId, string subTenantId, string displayName);
+
+        /// <summary>
+        /// Deletes a subtenant permanently, whether it is in the trash or not.
         /// </summary>
         /// <param name="parentTenantId">The parent tenant ID.</param>
         /// <param name="subTenantId">The subtenant ID.</param>
         /// <returns>True if the deletion was successful.</returns>
         Task<bool> DeleteSubTenantAsync(string parentTenantId, string subTenantId);
 
+        /// <summary>
+        /// Moves a subtenant to the trash of its parent.
+        /// </summary>
+        /// <param name="parentTenantId">The ID of the tenant that deletes the subtenant, which can be any of its ancestors.</param>
+        /// <param name="subTenantId">The subtenant ID.</param>
+        /// <returns>True if the subtenant was moved to the trash, false if it isn't a descendant of the parent tenant or the configuration couldn't be saved.</returns>
+        /// <remarks>
+        /// The subtenant keeps its files, subtenants and storage usage, but can't be accessed until it is restored.
+        /// </remarks>
+        Task<bool> TrashSubTenantAsync(string parentTenantId, string subTenantId);
+
+        /// <summary>
+        /// Restores a subtenant from the trash to the place it was deleted from.
+        /// </summary>
+        /// <param name="parentTenantId">The ID of the tenant that restores the subtenant, which can be any of its ancestors.</param>
+        /// <param name="subTenantId">The subtenant ID.</param>
+        /// <returns>True if the subtenant was restored, false if it isn't in the trash under the parent tenant or the configuration couldn't be saved.</returns>
+        /// <exception cref="InvalidOperationException">Thrown when the subtenant's parent has the maximum number of subtenants.</exception>
+        /// <remarks>
+        /// If a sibling has taken the subtenant's display name in the meantime, a number is added to it.
+        /// </remarks>
+        Task<bool> RestoreSubTenantAsync(string parentTenantId, string subTenantId);
+
+        /// <summary>
+        /// Gets a subtenant that is in the trash.
+        /// </summary>
+        /// <param name="parentTenantId">The ID of any of the subtenant's ancestors.</param>
+        /// <param name="subTenantId">The subtenant ID.</param>
+        /// <returns>The subtenant information, or null if it isn't in the trash under the parent.</returns>
+        TenantInfo? GetDeletedSubTenant(string parentTenantId, string subTenantId);
+
         /// <summary>
         /// Checks if a tenant can create subtenants (depth limit not reached).
         /// </summary>
@@ -147,9 +260,9 @@ namespace ByteShelf.Services
         bool HasAccessToTenant(string accessingTenantId, string targetTenantId);
 
         /// <summary>
-        /// Gets all descendant tenant IDs for a given tenant.
+        /// Gets all descendant tenant IDs for a given tenant, including the ones in the trash.
         /// </summary>
-        /// <param name="tenantId">The tenant ID to get descendants for.</param>
+        /// <param name="tenantId">The tenant ID to get descendants for, which can be a subtenant in the trash.</param>
         /// <returns>A collection of descendant tenant IDs.</returns>
         IEnumerable<string> GetAllDescendantTenantIds(string tenantId);
     }
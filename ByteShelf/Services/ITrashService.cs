@@ -0,0 +1,44 @@
+using ByteShelfCommon;
+
+namespace ByteShelf.Services
+{
+    /// <summary>
+    /// Defines the contract for browsing and purging the trash of a tenant and its subtenants.
+    /// </summary>
+    /// <remarks>
+    /// Deleted files are kept in the trash of the tenant they were deleted from, and deleted subtenants
+    /// in the trash of their parent. Items stay there until they are restored, purged by hand, or purged
+    /// automatically once they have been in the trash for longer than the retention period.
+    /// </remarks>
+    public interface ITrashService
+    {
+        /// <summary>
+        /// Gets the number of days items stay in the trash before they are purged.
+        /// </summary>
+        int RetentionDays { get; }
+
+        /// <summary>
+        /// Gets the files and folders in the trash of a tenant and of all its nested subtenants.
+        /// </summary>
+        /// <param name="tenantId">The tenant ID.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The contents of the trash, most recently deleted first.</returns>
+        Task<TrashContentsResponse> GetTrashContentsAsync(string tenantId, CancellationToken cancellationToken = default);
+
+        /// <summary>
+        /// Permanently deletes a subtenant from the trash, together with its files and subtenants.
+        /// </summary>
+        /// <param name="parentTenantId">The ID of any of the subtenant's ancestors.</param>
+        /// <param name="subTenantId">The ID of the subtenant in the trash.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>True if the subtenant was purged, false if it isn't in the trash under the parent tenant.</returns>
+        Task<bool> PurgeFolderAsync(string parentTenantId, string subTenantId, CancellationToken cancellationToken = default);
+
+        /// <summary>
+        /// Permanently deletes all items of all tenants that have been in the trash for longer than the retention period.
+        /// </summary>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The number of files and folders that were purged.</returns>
+        Task<int> PurgeExpiredItemsAsync(CancellationToken cancellationToken = default);
+    }
+}
@@ -0,0 +1,67 @@
+namespace ByteShelf.Services
+{
+    /// <summary>
+    /// A share link as it is persisted on the server.
+    /// </summary>
+    /// <remarks>
+    /// The password is only stored as a salted PBKDF2 hash. The token handed out to
+    /// recipients is not stored, it is recreated from the link ID and the expiry time.
+    /// </remarks>
+    public class ShareLink
+    {
+        /// <summary>
+        /// Gets or sets the unique identifier of the link.
+        /// </summary>
+        public Guid Id { get; set; }
+
+        /// <summary>
+        /// Gets or sets the ID of the tenant that created the link.
+        /// </summary>
+        public string OwnerTenantId { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the ID of the tenant that holds the shared content.
+        /// </summary>
+        public string TenantId { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the ID of the shared file, or <c>null</c> if the folder <see cref="TenantId"/> is shared.
+        /// </summary>
+        public Guid? FileId { get; set; }
+
+        /// <summary>
+        /// Gets or sets the name of the shared file or folder at the time the link was created.
+        /// </summary>
+        public string Name { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets when the link was created.
+        /// </summary>
+        public DateTimeOffset CreatedAt { get; set; }
+
+        /// <summary>
+        /// Gets or sets when the link stops working.
+        /// </summary>
+        public DateTimeOffset ExpiresAt { get; set; }
+
+        /// <summary>
+        /// Gets or sets how many downloads the link allows, or <c>null</c> for no limit.
+        /// </summary>
+        public int? MaxDownloads { get; set; }
+
+        /// <summary>
+        /// Gets or sets how many downloads have been made through the link.
+        /// </summary>
+        public int DownloadCount { get; set; }
+
+        /// <summary>
+        /// Gets or sets the base64-encoded PBKDF2 hash of the password, or <c>null</c> if the link has no password.
+        /// </summary>
+        public string? PasswordHash { get; set; }
+
+        /// <summary>
+        /// Gets or sets the base64-encoded salt used when hashing the password.
+        /// </summary>
+        public string? PasswordSalt { get; set; }
+    }
+}
@@ -0,0 +1,440 @@
+using System.Security.Cryptography;
+using System.Text;
+using System.Text.Json;
+
+namespace ByteShelf.Services
+{
+    /// <summary>
+    /// Implementation of <see cref="IShareLinkService"/> that keeps share links in a JSON file.
+    /// </summary>
+    /// <remarks>
+    /// Links are kept in memory and written to share-links.json in the storage directory whenever
+    /// they change. Tokens are signed with HMAC-SHA256 using a key that is generated on first use
+    /// and stored in share-links.key next to it, so tokens stay valid across restarts.
+    /// Expired links are kept for a week, so recipients are told the link expired rather than
+    /// that it doesn't exist, and are then dropped the next time the links are saved.
+    /// Wrong passwords are counted in memory for each link and each client IP address. After
+    /// <see cref="MaxWrongPasswordsPerClient"/> from a client or <see cref="MaxWrongPasswordsPerLink"/> for a link
+    /// within <see cref="WrongPasswordWindow"/>, passwords aren't checked until the window is over, which
+    /// stops passwords from being guessed and spares the cost of hashing each guess.
+    /// </remarks>
+    public class ShareLinkService : IShareLinkService
+    {
+        private const int PasswordIterations = 100000;
+        private const int PasswordSaltBytes = 16;
+        private const int PasswordHashBytes = 32;
+        private const int SigningKeyBytes = 32;
+        private static readonly TimeSpan ExpiredLinkRetention = TimeSpan.FromDays(7);
+
+        /// <summary>
+        /// How many wrong passwords a client can give for any links within <see cref="WrongPasswordWindow"/>.
+        /// </summary>
+        public const int MaxWrongPasswordsPerClient = 5;
+
+        /// <summary>
+        /// How many wrong passwords can be given for a link within <see cref="WrongPasswordWindow"/>, from any clients.
+        /// </summary>
+        public const int MaxWrongPasswordsPerLink = 20;
+
+        /// <summary>
+        /// How long wrong passwords are counted for, starting at the first one.
+        /// </summary>
+        public static readonly TimeSpan WrongPasswordWindow = TimeSpan.FromMinutes(15);
+
+        private readonly string _linksFilePath;
+        private readonly string _keyFilePath;
+        private readonly ILogger<ShareLinkService> _logger;
+        private readonly object _linksLock = new object();
+        private readonly SemaphoreSlim _saveSemaphore = new SemaphoreSlim(1, 1);
+        private readonly Dictionary<Guid, ShareLink> _links;
+        private readonly object _wrongPasswordsLock = new object();
+        private readonly Dictionary<string, WrongPasswordInfo> _wrongPasswords = new Dictionary<string, WrongPasswordInfo>();
+        private readonly byte[] _signingKey;
+        private readonly JsonSerializerOptions _jsonOptions;
+
+        /// <summary>
+        /// Information about the wrong passwords given for a link or from a client.
+        /// </summary>
+        private class WrongPasswordInfo
+        {
+            /// <summary>
+            /// Gets or sets the number of wrong passwords.
+            /// </summary>
+            public int Count { get; set; }
+
+            /// <summary>
+            /// Gets or sets when the first of them was given.
+            /// </summary>
+            public DateTimeOffset FirstAttemptAt { get; set; }
+        }
+
+        /// <summary>
+        /// Initializes a new instance of the <see cref="ShareLinkService"/> class.
+        /// </summary>
+        /// <param name="storagePath">The base storage path where the links and the signing key are kept.</param>
+        /// <param name="logger">The logger for recording service operations.</param>
+        /// <exception cref="ArgumentNullException">Thrown when <paramref name="storagePath"/> or <paramref name="logger"/> is null.</exception>
+        public ShareLinkService(string storagePath, ILogger<ShareLinkService> logger)
+        {
+            if (storagePath == null)
+                throw new ArgumentNullException(nameof(storagePath));
+
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+            _linksFilePath = Path.Combine(storagePath, "share-links.json");
+            _keyFilePath = Path.Combine(storagePath, "share-links.key");
+
+            _jsonOptions = new JsonSerializerOptions
+            {
+                WriteIndented = true,
+            };
+
+            Directory.CreateDirectory(storagePath);
+            _signingKey = LoadOrCreateSigningKey();
+            _links = LoadLinks();
+        }
+
+        /// <inheritdoc/>
+        public async Task<ShareLink> CreateLinkAsync(string ownerTenantId, string tenantId, Guid? fileId, string name, DateTimeOffset expiresAt, int? maxDownloads, string? password)
+        {
+            if (string.IsNullOrWhiteSpace(ownerTenantId))
+                throw new ArgumentException("Owner tenant ID cannot be null or empty", nameof(ownerTenantId));
+            if (string.IsNullOrWhiteSpace(tenantId))
+                throw new ArgumentException("Tenant ID cannot be null or empty", nameof(tenantId));
+
+            ShareLink link = new ShareLink
+            {
+                Id = Guid.NewGuid(),
+                OwnerTenantId = ownerTenantId,
+                TenantId = tenantId,
+                FileId = fileId,
+                Name = name ?? string.Empty,
+                CreatedAt = DateTimeOffset.UtcNow,
+                ExpiresAt = expiresAt,
+                MaxDownloads = maxDownloads,
+            };
+
+            if (!string.IsNullOrEmpty(password))
+            {
+                byte[] salt = RandomNumberGenerator.GetBytes(PasswordSaltBytes);
+                link.PasswordSalt = Convert.ToBase64String(salt);
+                link.PasswordHash = Convert.ToBase64String(HashPassword(password, salt));
+            }
+
+            lock (_linksLock)
+            {
+                _links[link.Id] = link;
+            }
+
+            await SaveLinksAsync();
+
+            _logger.LogInformation("Tenant {OwnerTenantId} created share link {LinkId} for {Target} in tenant {TenantId}",
+                ownerTenantId, link.Id, fileId?.ToString() ?? "the folder", tenantId);
+
+            return link;
+        }
+
+        /// <inheritdoc/>
+        public IEnumerable<ShareLink> GetLinks(string ownerTenantId)
+        {
+            DateTimeOffset now = DateTimeOffset.UtcNow;
+
+            lock (_linksLock)
+            {
+                return _links.Values
+                    .Where(link => link.OwnerTenantId == ownerTenantId && link.ExpiresAt > now)
+                    .OrderByDescending(link => link.CreatedAt)
+                    .ToList();
+            }
+        }
+
+        /// <inheritdoc/>
+        public async Task<bool> RevokeLinkAsync(string ownerTenantId, Guid linkId)
+        {
+            lock (_linksLock)
+            {
+                if (!_links.TryGetValue(linkId, out ShareLink? link) || link.OwnerTenantId != ownerTenantId)
+                    return false;
+
+                _links.Remove(linkId);
+            }
+
+            await SaveLinksAsync();
+
+            _logger.LogInformation("Tenant {OwnerTenantId} revoked share link {LinkId}", ownerTenantId, linkId);
+            return true;
+        }
+
+        /// <inheritdoc/>
+        public string CreateToken(ShareLink link)
+        {
+            if (link == null)
+                throw new ArgumentNullException(nameof(link));
+
+            string linkId = link.Id.ToString("N");
+            return $"{linkId}.{CreateSignature(linkId, link.ExpiresAt)}";
+        }
+
+        /// <inheritdoc/>
+        public ShareLinkStatus ValidateToken(string token, string? password, string? clientIp, out ShareLink? link)
+        {
+            link = null;
+
+            string[] parts = (token ?? string.Empty).Split('.');
+            if (parts.Length != 2 || !Guid.TryParseExact(parts[0], "N", out Guid linkId))
+                return ShareLinkStatus.NotFound;
+
+            ShareLink? storedLink;
+            lock (_linksLock)
+            {
+                _links.TryGetValue(linkId, out storedLink);
+            }
+
+            if (storedLink == null)
+                return ShareLinkStatus.NotFound;
+
+            // The signature covers the expiry time, so a token can't outlive the link it was made for
+            byte[] expectedSignature = Encoding.ASCII.GetBytes(CreateSignature(parts[0], storedLink.ExpiresAt));
+            byte[] providedSignature = Encoding.ASCII.GetBytes(parts[1]);
+            if (!CryptographicOperations.FixedTimeEquals(expectedSignature, providedSignature))
+                return ShareLinkStatus.NotFound;
+
+            link = storedLink;
+
+            if (storedLink.ExpiresAt <= DateTimeOffset.UtcNow)
+                return ShareLinkStatus.Expired;
+
+            if (storedLink.MaxDownloads.HasValue && storedLink.DownloadCount >= storedLink.MaxDownloads.Value)
+                return ShareLinkStatus.DownloadLimitReached;
+
+            if (storedLink.PasswordHash != null && storedLink.PasswordSalt != null)
+            {
+                if (string.IsNullOrEmpty(password))
+                    return ShareLinkStatus.PasswordRequired;
+
+                if (IsLockedOut(storedLink.Id, clientIp))
+                    return ShareLinkStatus.TooManyAttempts;
+
+                byte[] expectedHash = Convert.FromBase64String(storedLink.PasswordHash);
+                byte[] providedHash = HashPassword(password, Convert.FromBase64String(storedLink.PasswordSalt));
+                if (!CryptographicOperations.FixedTimeEquals(expectedHash, providedHash))
+                {
+                    RecordWrongPassword(storedLink.Id, clientIp);
+                    return ShareLinkStatus.InvalidPassword;
+                }
+            }
+
+            return ShareLinkStatus.Valid;
+        }
+
+        /// <inheritdoc/>
+        public async Task<bool> TryRecordDownloadAsync(Guid linkId)
+        {
+            lock (_linksLock)
+            {
+                if (!_links.TryGetValue(linkId, out ShareLink? link))
+                    return false;
+
+                if (link.MaxDownloads.HasValue && link.DownloadCount >= link.MaxDownloads.Value)
+                    return false;
+
+                link.DownloadCount++;
+            }
+
+            await SaveLinksAsync();
+            return true;
+        }
+
+        /// <summary>
+        /// Creates the URL-safe base64 HMAC-SHA256 signature of a link ID and expiry time.
+        /// </summary>
+        /// <param name="linkId">The link ID in the "N" format.</param>
+        /// <param name="expiresAt">When the link stops working.</param>
+        /// <returns>The signature.</returns>
+        private string CreateSignature(string linkId, DateTimeOffset expiresAt)
+        {
+            byte[] data = Encoding.UTF8.GetBytes($"{linkId}.{expiresAt.ToUnixTimeSeconds()}");
+            byte[] signature = HMACSHA256.HashData(_signingKey, data);
+
+            return Convert.ToBase64String(signature)
+                .TrimEnd('=')
+                .Replace('+', '-')
+                .Replace('/', '_');
+        }
+
+        /// <summary>
+        /// Determines whether too many wrong passwords were given recently for a link or from a client.
+        /// </summary>
+        /// <param name="linkId">The ID of the link.</param>
+        /// <param name="clientIp">The IP address of the client, if known.</param>
+        /// <returns><c>true</c> if the password shouldn't be checked; otherwise, <c>false</c>.</returns>
+        private bool IsLockedOut(Guid linkId, string? clientIp)
+        {
+            DateTimeOffset windowStart = DateTimeOffset.UtcNow - WrongPasswordWindow;
+
+            lock (_wrongPasswordsLock)
+            {
+                bool IsOverLimit(string key, int limit) =>
+                    _wrongPasswords.TryGetValue(key, out WrongPasswordInfo? info) && info.FirstAttemptAt > windowStart && info.Count >= limit;
+
+                return IsOverLimit(GetLinkAttemptsKey(linkId), MaxWrongPasswordsPerLink) ||
+                    (clientIp != null && IsOverLimit(GetClientAttemptsKey(clientIp), MaxWrongPasswordsPerClient));
+            }
+        }
+
+        /// <summary>
+        /// Counts a wrong password for a link and for the client that gave it.
+        /// </summary>
+        /// <param name="linkId">The ID of the link.</param>
+        /// <param name="clientIp">The IP address of the client, if known.</param>
+        private void RecordWrongPassword(Guid linkId, string? clientIp)
+        {
+            DateTimeOffset now = DateTimeOffset.UtcNow;
+            DateTimeOffset windowStart = now - WrongPasswordWindow;
+
+            lock (_wrongPasswordsLock)
+            {
+                // Counts whose window is over are dropped, so guesses from many addresses don't pile up
+                foreach (string expiredKey in _wrongPasswords.Where(entry => entry.Value.FirstAttemptAt <= windowStart).Select(entry => entry.Key).ToList())
+                {
+                    _wrongPasswords.Remove(expiredKey);
+                }
+
+                List<string> keys = new List<string> { GetLinkAttemptsKey(linkId) };
+                if (clientIp != null)
+                    keys.Add(GetClientAttemptsKey(clientIp));
+
+                foreach (string key in keys)
+                {
+                    if (!_wrongPasswords.TryGetValue(key, out WrongPasswordInfo? info))
+                    {
+                        info = new WrongPasswordInfo { FirstAttemptAt = now };
+                        _wrongPasswords[key] = info;
+                    }
+
+                    info.Count++;
+                }
+            }
+
+            _logger.LogWarning("Wrong password for share link {LinkId} from {ClientIp}", linkId, clientIp ?? "an unknown address");
+        }
+
+        /// <summary>
+        /// Gets the key the wrong passwords for a link are counted under.
+        /// </summary>
+        /// <param name="linkId">The ID of the link.</param>
+        /// <returns>The key.</returns>
+        private static string GetLinkAttemptsKey(Guid linkId)
+        {
+            return $"link:{linkId:N}";
+        }
+
+        /// <summary>
+        /// Gets the key the wrong passwords from a client are counted under.
+        /// </summary>
+        /// <param name="clientIp">The IP address of the client.</param>
+        /// <returns>The key.</returns>
+        private static string GetClientAttemptsKey(string clientIp)
+        {
+            return $"client:{clientIp}";
+        }
+
+        /// <summary>
+        /// Hashes a link password with PBKDF2-SHA256.
+        /// </summary>
+        /// <param name="password">The password to hash.</param>
+        /// <param name="salt">The salt to hash the password with.</param>
+        /// <returns>The hash.</returns>
+        private static byte[] HashPassword(string password, byte[] salt)
+        {
+            return Rfc2898DeriveBytes.Pbkdf2(password, salt, PasswordIterations, HashAlgorithmName.SHA256, PasswordHashBytes);
+        }
+
+        /// <summary>
+        /// Loads the token signing key, generating and storing a new one if there is none.
+        /// </summary>
+        /// <returns>The signing key.</returns>
+        private byte[] LoadOrCreateSigningKey()
+        {
+            if (File.Exists(_keyFilePath))
+            {
+                try
+                {
+                    byte[] key = Convert.FromBase64String(File.ReadAllText(_keyFilePath).Trim());
+                    if (key.Length == SigningKeyBytes)
+                        return key;
+                }
+                catch (FormatException ex)
+                {
+                    _logger.LogWarning(ex, "Share link signing key in {FilePath} is invalid", _keyFilePath);
+                }
+
+                _logger.LogWarning("Replacing the share link signing key, existing share links will stop working");
+            }
+
+            byte[] newKey = RandomNumberGenerator.GetBytes(SigningKeyBytes);
+            File.WriteAllText(_keyFilePath, Convert.ToBase64String(newKey));
+            return newKey;
+        }
+
+        /// <summary>
+        /// Loads the persisted share links.
+        /// </summary>
+        /// <returns>The links by their IDs, or an empty dictionary if the file doesn't exist or is invalid.</returns>
+        private Dictionary<Guid, ShareLink> LoadLinks()
+        {
+            try
+            {
+                if (File.Exists(_linksFilePath))
+                {
+                    string json = File.ReadAllText(_linksFilePath);
+                    List<ShareLink>? links = JsonSerializer.Deserialize<List<ShareLink>>(json, _jsonOptions);
+
+                    if (links != null)
+                    {
+                        _logger.LogDebug("Loaded {Count} share links", links.Count);
+                        return links.ToDictionary(link => link.Id);
+                    }
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to load share links from {FilePath}", _linksFilePath);
+            }
+
+            return new Dictionary<Guid, ShareLink>();
+        }
+
+        /// <summary>
+        /// Drops links that expired more than <see cref="ExpiredLinkRetention"/> ago and writes the rest to disk.
+        /// </summary>
+        /// <returns>A task that represents the asynchronous operation.</returns>
+        private async Task SaveLinksAsync()
+        {
+            await _saveSemaphore.WaitAsync();
+            try
+            {
+                string json;
+                lock (_linksLock)
+                {
+                    DateTimeOffset cutoff = DateTimeOffset.UtcNow - ExpiredLinkRetention;
+                    foreach (Guid expiredId in _links.Values.Where(link => link.ExpiresAt <= cutoff).Select(link => link.Id).ToList())
+                    {
+                        _links.Remove(expiredId);
+                    }
+
+                    json = JsonSerializer.Serialize(_links.Values.ToList(), _jsonOptions);
+                }
+
+                await File.WriteAllTextAsync(_linksFilePath, json);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to save share links to {FilePath}", _linksFilePath);
+            }
+            finally
+            {
+                _saveSemaphore.Release();
+            }
+        }
+    }
+}
@@ -0,0 +1,471 @@
+using ByteShelf.Configuration;
+using ByteShelfCommon;
+using System.Text.Json;
+
+namespace ByteShelf.Services
+{
+    /// <summary>
+    /// Implementation of <see cref="IStorageAnalyticsService"/> that keeps the usage snapshots in a JSON file.
+    /// </summary>
+    /// <remarks>
+    /// Snapshots are kept in memory and written to storage-snapshots.json in the storage directory whenever
+    /// they are recorded. Snapshots of tenants that no longer exist are dropped the next time they are recorded.
+    /// </remarks>
+    public class StorageAnalyticsService : IStorageAnalyticsService
+    {
+        /// <summary>
+        /// The number of days snapshots are kept for.
+        /// </summary>
+        public const int SnapshotRetentionDays = 365;
+
+        /// <summary>
+        /// The maximum number of content types in a breakdown, including the "Other" item.
+        /// </summary>
+        public const int MaxContentTypes = 8;
+
+        /// <summary>
+        /// The number of files listed as the largest files.
+        /// </summary>
+        public const int MaxLargestFiles = 10;
+
+        private const string InstanceDisplayName = "All tenants";
+        private const string OtherContentTypesLabel = "Other";
+        private const string UnknownContentType = "application/octet-stream";
+
+        // The file age groups, from the newest files to the oldest, where the last group has no upper limit
+        private static readonly (int MaxAgeDays, string Label)[] AgeGroups =
+        {
+            (7, "Last 7 days"),
+            (30, "8–30 days"),
+            (90, "1–3 months"),
+            (365, "3–12 months"),
+            (int.MaxValue, "Over a year"),
+        };
+
+        private readonly IFileStorageService _fileStorageService;
+        private readonly IStorageService _storageService;
+        private readonly ITenantConfigurationService _tenantConfigurationService;
+        private readonly ILogger<StorageAnalyticsService> _logger;
+        private readonly string _snapshotsFilePath;
+        private readonly object _snapshotsLock = new object();
+        private readonly SemaphoreSlim _saveSemaphore = new SemaphoreSlim(1, 1);
+        private readonly StorageSnapshotHistory _snapshots;
+        private readonly JsonSerializerOptions _jsonOptions;
+
+        /// <summary>
+        /// Initializes a new instance of the <see cref="StorageAnalyticsService"/> class.
+        /// </summary>
+        /// <param name="storagePath">The base storage path where the snapshots are kept.</param>
+        /// <param name="fileStorageService">The file storage service to read the files from.</param>
+        /// <param name="storageService">The storage service with the storage usage of each tenant.</param>
+        /// <param name="tenantConfigurationService">The tenant configuration service to find the tenants and subtenants with.</param>
+        /// <param name="logger">The logger for recording service operations.</param>
+        /// <exception cref="ArgumentNullException">Thrown when any of the parameters is null.</exception>
+        public StorageAnalyticsService(
+            string storagePath,
+            IFileStorageService fileStorageService,
+            IStorageService storageService,
+            ITenantConfigurationService tenantConfigurationService,
+            ILogger<StorageAnalyticsService> logger)
+        {
+            if (storagePath == null)
+                throw new ArgumentNullException(nameof(storagePath));
+
+            _fileStorageService = fileStorageService ?? throw new ArgumentNullException(nameof(fileStorageService));
+            _storageService = storageService ?? throw new ArgumentNullException(nameof(storageService));
+            _tenantConfigurationService = tenantConfigurationService ?? throw new ArgumentNullException(nameof(tenantConfigurationService));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+            _snapshotsFilePath = Path.Combine(storagePath, "storage-snapshots.json");
+
+            _jsonOptions = new JsonSerializerOptions
+            {
+                WriteIndented = true,
+            };
+
+            Directory.CreateDirectory(storagePath);
+            _snapshots = LoadSnapshots();
+        }
+
+        /// <inheritdoc/>
+        public async Task<StorageAnalytics?> GetTenantAnalyticsAsync(string tenantId, CancellationToken cancellationToken = default)
+        {
+            if (string.IsNullOrWhiteSpace(tenantId))
+                throw new ArgumentException("Tenant ID cannot be null or empty", nameof(tenantId));
+
+            TenantInfo? tenant = _tenantConfigurationService.GetTenant(tenantId);
+            if (tenant == null)
+                return null;
+
+            // The tenant's own files are one folder, and each subtenant is another together with its nested subtenants
+            List<AnalyzedFile> files = new List<AnalyzedFile>();
+            Dictionary<string, string> folderNames = new Dictionary<string, string> { [tenantId] = tenant.DisplayName };
+            await AddFilesAsync(tenantId, tenant.DisplayName, tenantId, files, cancellationToken);
+            foreach (KeyValuePair<string, TenantInfo> subTenant in tenant.SubTenants.ToList())
+            {
+                folderNames[subTenant.Key] = subTenant.Value.DisplayName;
+                await AddFolderFilesAsync(subTenant.Key, subTenant.Value, subTenant.Key, files, cancellationToken);
+            }
+
+            List<StorageUsageSnapshot> history;
+            lock (_snapshotsLock)
+            {
+                history = _snapshots.Tenants.TryGetValue(tenantId, out List<StorageUsageSnapshot>? snapshots)
+                    ? snapshots.ToList()
+                    : new List<StorageUsageSnapshot>();
+            }
+
+            long usageBytes = _storageService.GetTotalUsageIncludingSubTenants(tenantId);
+            return BuildAnalytics(tenantId, tenant.DisplayName, usageBytes, files, folderNames, history);
+        }
+
+        /// <inheritdoc/>
+        public async Task<StorageAnalytics> GetInstanceAnalyticsAsync(CancellationToken cancellationToken = default)
+        {
+            TenantConfiguration config = _tenantConfigurationService.GetConfiguration();
+
+            List<AnalyzedFile> files = new List<AnalyzedFile>();
+            Dictionary<string, string> folderNames = new Dictionary<string, string>();
+            long usageBytes = 0;
+            foreach (KeyValuePair<string, TenantInfo> tenant in config.Tenants.ToList())
+            {
+                folderNames[tenant.Key] = tenant.Value.DisplayName;
+                usageBytes += _storageService.GetTotalUsageIncludingSubTenants(tenant.Key);
+                await AddFolderFilesAsync(tenant.Key, tenant.Value, tenant.Key, files, cancellationToken);
+            }
+
+            List<StorageUsageSnapshot> history;
+            lock (_snapshotsLock)
+            {
+                history = _snapshots.Instance.ToList();
+            }
+
+            return BuildAnalytics(null, InstanceDisplayName, usageBytes, files, folderNames, history);
+        }
+
+        /// <inheritdoc/>
+        public async Task RecordSnapshotsAsync(CancellationToken cancellationToken = default)
+        {
+            DateOnly today = DateOnly.FromDateTime(DateTime.UtcNow);
+            TenantConfiguration config = _tenantConfigurationService.GetConfiguration();
+
+            Dictionary<string, StorageUsageSnapshot> tenantSnapshots = new Dictionary<string, StorageUsageSnapshot>();
+            CollectSnapshots(config.Tenants, today, tenantSnapshots);
+
+            // Top-level tenants include their subtenants, so together they are the whole server
+            StorageUsageSnapshot instanceSnapshot = new StorageUsageSnapshot
+            {
+                Date = today,
+                UsageBytes = config.Tenants.Keys.Sum(tenantId => tenantSnapshots[tenantId].UsageBytes),
+                LogicalUsageBytes = config.Tenants.Keys.Sum(tenantId => tenantSnapshots[tenantId].LogicalUsageBytes),
+            };
+
+            DateOnly cutoff = today.AddDays(-SnapshotRetentionDays);
+            lock (_snapshotsLock)
+            {
+                AddSnapshot(_snapshots.Instance, instanceSnapshot, cutoff);
+
+                foreach (string removedTenantId in _snapshots.Tenants.Keys.Where(tenantId => !tenantSnapshots.ContainsKey(tenantId)).ToList())
+                {
+                    _snapshots.Tenants.Remove(removedTenantId);
+                }
+
+                foreach (KeyValuePair<string, StorageUsageSnapshot> snapshot in tenantSnapshots)
+                {
+                    if (!_snapshots.Tenants.TryGetValue(snapshot.Key, out List<StorageUsageSnapshot>? snapshots))
+                    {
+                        snapshots = new List<StorageUsageSnapshot>();
+                        _snapshots.Tenants[snapshot.Key] = snapshots;
+                    }
+
+                    AddSnapshot(snapshots, snapshot.Value, cutoff);
+                }
+            }
+
+            await SaveSnapshotsAsync(cancellationToken);
+            _logger.LogDebug("Recorded the storage usage of {TenantCount} tenants for {Date}", tenantSnapshots.Count, today);
+        }
+
+        /// <summary>
+        /// Adds the files of a tenant to the files being analyzed.
+        /// </summary>
+        /// <param name="tenantId">The ID of the tenant.</param>
+        /// <param name="displayName">The display name of the tenant.</param>
+        /// <param name="folderTenantId">The ID of the folder the files are grouped under.</param>
+        /// <param name="files">The files being analyzed.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>A task that represents the asynchronous operation.</returns>
+        private async Task AddFilesAsync(string tenantId, string displayName, string folderTenantId, List<AnalyzedFile> files, CancellationToken cancellationToken)
+        {
+            IEnumerable<ShelfFileMetadata> tenantFiles = await _fileStorageService.GetFilesAsync(tenantId, cancellationToken);
+            files.AddRange(tenantFiles.Select(file => new AnalyzedFile(file, tenantId, displayName, folderTenantId)));
+        }
+
+        /// <summary>
+        /// Adds the files of a tenant and, recursively, of its subtenants to the files being analyzed.
+        /// </summary>
+        /// <param name="tenantId">The ID of the tenant.</param>
+        /// <param name="tenant">The tenant.</param>
+        /// <param name="folderTenantId">The ID of the folder the files are grouped under.</param>
+        /// <param name="files">The files being analyzed.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>A task that represents the asynchronous operation.</returns>
+        private async Task AddFolderFilesAsync(string tenantId, TenantInfo tenant, string folderTenantId, List<AnalyzedFile> files, CancellationToken cancellationToken)
+        {
+            await AddFilesAsync(tenantId, tenant.DisplayName, folderTenantId, files, cancellationToken);
+
+            foreach (KeyValuePair<string, TenantInfo> subTenant in tenant.SubTenants.ToList())
+            {
+                await AddFolderFilesAsync(subTenant.Key, subTenant.Value, folderTenantId, files, cancellationToken);
+            }
+        }
+
+        /// <summary>
+        /// Breaks down the analyzed files.
+        /// </summary>
+        /// <param name="tenantId">The ID of the tenant, or <c>null</c> for the whole server.</param>
+        /// <param name="displayName">The display name of the tenant, or a name for the whole server.</param>
+        /// <param name="usageBytes">The physical storage usage in bytes.</param>
+        /// <param name="files">The analyzed files.</param>
+        /// <param name="folderNames">The display names of the folders the files are grouped under, keyed by tenant ID.</param>
+        /// <param name="history">The daily snapshots of the storage usage.</param>
+        /// <returns>The breakdown.</returns>
+        private static StorageAnalytics BuildAnalytics(
+            string? tenantId,
+            string displayName,
+            long usageBytes,
+            List<AnalyzedFile> files,
+            Dictionary<string, string> folderNames,
+            List<StorageUsageSnapshot> history)
+        {
+            List<StorageBreakdownItem> byFolder = files
+                .GroupBy(file => file.FolderTenantId)
+                .Select(group => new StorageBreakdownItem(folderNames[group.Key], group.Count(), group.Sum(file => file.Metadata.FileSize), group.Key))
+                .OrderByDescending(item => item.SizeBytes)
+                .ToList();
+
+            DateTimeOffset now = DateTimeOffset.UtcNow;
+            List<StorageBreakdownItem> byAge = AgeGroups
+                .Select((ageGroup, index) =>
+                {
+                    int minAgeDays = index == 0 ? int.MinValue : AgeGroups[index - 1].MaxAgeDays;
+                    List<AnalyzedFile> groupFiles = files
+                        .Where(file => GetAgeDays(file, now) > minAgeDays && GetAgeDays(file, now) <= ageGroup.MaxAgeDays)
+                        .ToList();
+                    return new StorageBreakdownItem(ageGroup.Label, groupFiles.Count, groupFiles.Sum(file => file.Metadata.FileSize));
+                })
+                .ToList();
+
+            List<StorageAnalyticsFile> largestFiles = files
+                .OrderByDescending(file => file.Metadata.FileSize)
+                .Take(MaxLargestFiles)
+                .Select(file => new StorageAnalyticsFile(file.Metadata, file.TenantId, file.FolderName))
+                .ToList();
+
+            return new StorageAnalytics(
+                tenantId,
+                displayName,
+                files.Count,
+                files.Sum(file => file.Metadata.FileSize),
+                usageBytes,
+                GetContentTypeBreakdown(files),
+                byFolder,
+                byAge,
+                largestFiles,
+                history);
+        }
+
+        /// <summary>
+        /// Groups files by content type, combining the smallest content types into an "Other" item.
+        /// </summary>
+        /// <param name="files">The analyzed files.</param>
+        /// <returns>At most <see cref="MaxContentTypes"/> items, largest first except for "Other", which is last.</returns>
+        /// <remarks>
+        /// Content types are compared without their parameters, so "text/plain; charset=utf-8" is "text/plain".
+        /// </remarks>
+        private static List<StorageBreakdownItem> GetContentTypeBreakdown(List<AnalyzedFile> files)
+        {
+            List<StorageBreakdownItem> contentTypes = files
+                .GroupBy(file => NormalizeContentType(file.Metadata.ContentType))
+                .Select(group => new StorageBreakdownItem(group.Key, group.Count(), group.Sum(file => file.Metadata.FileSize)))
+                .OrderByDescending(item => item.SizeBytes)
+                .ToList();
+
+            if (contentTypes.Count <= MaxContentTypes)
+                return contentTypes;
+
+            List<StorageBreakdownItem> otherContentTypes = contentTypes.Skip(MaxContentTypes - 1).ToList();
+            List<StorageBreakdownItem> breakdown = contentTypes.Take(MaxContentTypes - 1).ToList();
+            breakdown.Add(new StorageBreakdownItem(OtherContentTypesLabel, otherContentTypes.Sum(item => item.FileCount), otherContentTypes.Sum(item => item.SizeBytes)));
+            return breakdown;
+        }
+
+        /// <summary>
+        /// Removes the parameters from a content type and makes it lowercase.
+        /// </summary>
+        /// <param name="contentType">The content type of a file.</param>
+        /// <returns>The normalized content type, or application/octet-stream if the file has none.</returns>
+        private static string NormalizeContentType(string? contentType)
+        {
+            string mediaType = contentType?.Split(';')[0].Trim().ToLowerInvariant() ?? string.Empty;
+            return mediaType.Length > 0 ? mediaType : UnknownContentType;
+        }
+
+        /// <summary>
+        /// Gets how many whole days ago a file was uploaded.
+        /// </summary>
+        /// <param name="file">The analyzed file.</param>
+        /// <param name="now">The current time.</param>
+        /// <returns>The age of the file in days, which is 0 for files uploaded in the last 24 hours.</returns>
+        private static int GetAgeDays(AnalyzedFile file, DateTimeOffset now)
+        {
+            return (int)Math.Max(0, (now - file.Metadata.CreatedAt).TotalDays);
+        }
+
+        /// <summary>
+        /// Recursively creates today's snapshots of tenants and their subtenants.
+        /// </summary>
+        /// <param name="tenants">The tenants, keyed by tenant ID.</param>
+        /// <param name="today">The day of the snapshots.</param>
+        /// <param name="snapshots">The snapshots, keyed by tenant ID.</param>
+        private void CollectSnapshots(Dictionary<string, TenantInfo> tenants, DateOnly today, Dictionary<string, StorageUsageSnapshot> snapshots)
+        {
+            foreach (KeyValuePair<string, TenantInfo> tenant in tenants.ToList())
+            {
+                snapshots[tenant.Key] = new StorageUsageSnapshot
+                {
+                    Date = today,
+                    UsageBytes = _storageService.GetTotalUsageIncludingSubTenants(tenant.Key),
+                    LogicalUsageBytes = _storageService.GetTotalLogicalUsageIncludingSubTenants(tenant.Key),
+                };
+
+                CollectSnapshots(tenant.Value.SubTenants, today, snapshots);
+            }
+        }
+
+        /// <summary>
+        /// Adds a snapshot to a history, replacing the snapshot of the same day and dropping the expired ones.
+        /// </summary>
+        /// <param name="snapshots">The history, oldest first.</param>
+        /// <param name="snapshot">The snapshot to add.</param>
+        /// <param name="cutoff">The day before which snapshots are dropped.</param>
+        private static void AddSnapshot(List<StorageUsageSnapshot> snapshots, StorageUsageSnapshot snapshot, DateOnly cutoff)
+        {
+            snapshots.RemoveAll(existing => existing.Date == snapshot.Date || existing.Date < cutoff);
+            snapshots.Add(snapshot);
+            snapshots.Sort((a, b) => a.Date.CompareTo(b.Date));
+        }
+
+        /// <summary>
+        /// Loads the snapshots from the snapshots file.
+        /// </summary>
+        /// <returns>The loaded snapshots, or no snapshots if the file doesn't exist or can't be read.</returns>
+        private StorageSnapshotHistory LoadSnapshots()
+        {
+            try
+            {
+                if (File.Exists(_snapshotsFilePath))
+                {
+                    string json = File.ReadAllText(_snapshotsFilePath);
+                    StorageSnapshotHistory? snapshots = JsonSerializer.Deserialize<StorageSnapshotHistory>(json, _jsonOptions);
+
+                    if (snapshots != null)
+                    {
+                        _logger.LogDebug("Loaded storage snapshots of {Count} tenants", snapshots.Tenants.Count);
+                        return snapshots;
+                    }
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to load storage snapshots from {FilePath}", _snapshotsFilePath);
+            }
+
+            return new StorageSnapshotHistory();
+        }
+
+        /// <summary>
+        /// Saves the snapshots to the snapshots file.
+        /// </summary>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>A task that represents the asynchronous operation.</returns>
+        private async Task SaveSnapshotsAsync(CancellationToken cancellationToken)
+        {
+            await _saveSemaphore.WaitAsync(cancellationToken);
+            try
+            {
+                string json;
+                lock (_snapshotsLock)
+                {
+                    json = JsonSerializer.Serialize(_snapshots, _jsonOptions);
+                }
+
+                await File.WriteAllTextAsync(_snapshotsFilePath, json, cancellationToken);
+            }
+            catch (Exception ex) when (ex is not OperationCanceledException)
+            {
+                _logger.LogError(ex, "Failed to save storage snapshots to {FilePath}", _snapshotsFilePath);
+            }
+            finally
+            {
+                _saveSemaphore.Release();
+            }
+        }
+
+        /// <summary>
+        /// The daily snapshots of the whole server and of each tenant, as stored in the snapshots file.
+        /// </summary>
+        private class StorageSnapshotHistory
+        {
+            /// <summary>
+            /// Gets or sets the snapshots of the whole server, oldest first.
+            /// </summary>
+            public List<StorageUsageSnapshot> Instance { get; set; } = new List<StorageUsageSnapshot>();
+
+            /// <summary>
+            /// Gets or sets the snapshots of each tenant, oldest first, keyed by tenant ID.
+            /// </summary>
+            public Dictionary<string, List<StorageUsageSnapshot>> Tenants { get; set; } = new Dictionary<string, List<StorageUsageSnapshot>>();
+        }
+
+        /// <summary>
+        /// A file being analyzed, with the tenant it is in and the folder it is grouped under.
+        /// </summary>
+        private class AnalyzedFile
+        {
+            /// <summary>
+            /// Initializes a new instance of the <see cref="AnalyzedFile"/> class.
+            /// </summary>
+            /// <param name="metadata">The metadata of the file.</param>
+            /// <param name="tenantId">The ID of the tenant the file is in.</param>
+            /// <param name="folderName">The display name of the tenant the file is in.</param>
+            /// <param name="folderTenantId">The ID of the folder the file is grouped under.</param>
+            public AnalyzedFile(ShelfFileMetadata metadata, string tenantId, string folderName, string folderTenantId)
+            {
+                Metadata = metadata;
+                TenantId = tenantId;
+                FolderName = folderName;
+                FolderTenantId = folderTenantId;
+            }
+
+            /// <summary>
+            /// Gets the metadata of the file.
+            /// </summary>
+            public ShelfFileMetadata Metadata { get; }
+
+            /// <summary>
+            /// Gets the ID of the tenant the file is in.
+            /// </summary>
+            public string TenantId { get; }
+
+            /// <summary>
+            /// Gets the display name of the tenant the file is in.
+            /// </summary>
+            public string FolderName { get; }
+
+            /// <summary>
+            /// Gets the ID of the folder the file is grouped under, which is the tenant itself or one of its ancestors.
+            /// </summary>
+            public string FolderTenantId { get; }
+        }
+    }
+}
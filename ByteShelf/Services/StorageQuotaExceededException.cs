@@ -0,0 +1,34 @@
+namespace ByteShelf.Services
+{
+    /// <summary>
+    /// The exception that is thrown when storing data would take a tenant over its storage quota.
+    /// </summary>
+    /// <remarks>
+    /// Controllers turn this into a 413 response. It derives from <see cref="InvalidOperationException"/>
+    /// so callers that treat every refused operation the same way keep working.
+    /// </remarks>
+    public class StorageQuotaExceededException : InvalidOperationException
+    {
+        /// <summary>
+        /// Initializes a new instance of the <see cref="StorageQuotaExceededException"/> class.
+        /// </summary>
+        /// <param name="tenantId">The ID of the tenant that would exceed its quota.</param>
+        /// <param name="sizeBytes">The number of bytes that could not be stored.</param>
+        public StorageQuotaExceededException(string tenantId, long sizeBytes)
+            : base($"Tenant {tenantId} would exceed their storage quota by storing {sizeBytes} bytes")
+        {
+            TenantId = tenantId;
+            SizeBytes = sizeBytes;
+        }
+
+        /// <summary>
+        /// Gets the ID of the tenant that would exceed its quota.
+        /// </summary>
+        public string TenantId { get; }
+
+        /// <summary>
+        /// Gets the number of bytes that could not be stored.
+        /// </summary>
+        public long SizeBytes { get; }
+    }
+}
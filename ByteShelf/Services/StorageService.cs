@@ -12,6 +12,8 @@ namespace ByteShelf.Services
     /// This service maintains usage data in memory for performance and persists it
     /// to disk periodically. All operations are thread-safe using locks to prevent
     /// race conditions when multiple requests are updating usage simultaneously.
+    /// Chunk reference counts and logical usage are not persisted, they are always
+    /// rebuilt from the metadata files on startup since those are the source of truth.
     /// </remarks>
     public class StorageService : IStorageService
     {
@@ -20,6 +22,8 @@ namespace ByteShelf.Services
         private readonly ILogger<StorageService> _logger;
         private readonly object _usageLock = new object();
         private readonly Dictionary<string, long> _usageCache = new Dictionary<string, long>();
+        private readonly Dictionary<string, long> _logicalUsageCache = new Dictionary<string, long>();
+        private readonly Dictionary<string, TenantChunkIndex> _chunkIndexes = new Dictionary<string, TenantChunkIndex>();
         private readonly string _usageFilePath;
         private int _operationCount = 0;
         private const int PersistInterval = 10; // Persist every 10 operations
@@ -51,6 +55,26 @@ namespace ByteShelf.Services
 
         /// <inheritdoc/>
         public bool CanStoreData(string tenantId, long sizeBytes)
+        {
+            return CanStoreDataInternal(tenantId, sizeBytes, null, 0);
+        }
+
+        /// <inheritdoc/>
+        public bool CanMoveData(string sourceTenantId, string targetTenantId, long sizeBytes, long freedBytes)
+        {
+            TenantInfo? sourceTenant = GetTenantRecursive(_configService.GetConfiguration(), sourceTenantId);
+            return CanStoreDataInternal(targetTenantId, sizeBytes, sourceTenant, freedBytes);
+        }
+
+        /// <summary>
+        /// Checks if a tenant can store the specified amount of data, optionally as part of a move.
+        /// </summary>
+        /// <param name="tenantId">The tenant ID to check.</param>
+        /// <param name="sizeBytes">The size of data to be stored in bytes.</param>
+        /// <param name="sourceTenant">The tenant the data is moved out of, or <c>null</c> if it is new data.</param>
+        /// <param name="freedBytes">The size of data the move frees in <paramref name="sourceTenant"/> in bytes.</param>
+        /// <returns><c>true</c> if the tenant can store the data; otherwise, <c>false</c>.</returns>
+        private bool CanStoreDataInternal(string tenantId, long sizeBytes, TenantInfo? sourceTenant, long freedBytes)
         {
             TenantConfiguration config = _configService.GetConfiguration();
             TenantInfo? tenant = GetTenantRecursive(config, tenantId);
@@ -63,7 +87,7 @@ namespace ByteShelf.Services
 
             lock (_usageLock)
             {
-                long currentUsage = GetTotalUsageIncludingSubTenants(tenantId);
+                long currentUsage = CalculateTotalUsageRecursive(tenant, _usageCache);
                 long individualLimit = tenant.StorageLimitBytes;
 
                 if (individualLimit == 0) // A value of 0 means unlimited
@@ -74,8 +98,10 @@ namespace ByteShelf.Services
                     return true;
                 }
 
-                // Check individual limit first
-                bool canStoreIndividual = currentUsage + sizeBytes <= individualLimit;
+                // Check individual limit first. A move that adds nothing under a limit always fits it,
+                // even if the usage is already over it.
+                long individualSize = GetAddedBytes(tenant, sizeBytes, sourceTenant, freedBytes);
+                bool canStoreIndividual = (sourceTenant != null && individualSize <= 0) || currentUsage + individualSize <= individualLimit;
                 if (!canStoreIndividual)
                 {
                     _logger.LogDebug(
@@ -99,10 +125,11 @@ namespace ByteShelf.Services
                     }
 
                     // Calculate total usage of parent and all subtenants
-                    long totalParentUsage = CalculateTotalUsageRecursive(tenant.Parent);
+                    long totalParentUsage = CalculateTotalUsageRecursive(tenant.Parent, _usageCache);
 
                     // The subtenant is limited by both its own limit and the parent's remaining quota
-                    bool canStoreShared = totalParentUsage + sizeBytes <= parentLimit;
+                    long sharedSize = GetAddedBytes(tenant.Parent, sizeBytes, sourceTenant, freedBytes);
+                    bool canStoreShared = (sourceTenant != null && sharedSize <= 0) || totalParentUsage + sharedSize <= parentLimit;
                     bool canStore = canStoreIndividual && canStoreShared;
 
                     _logger.LogDebug(
@@ -116,13 +143,33 @@ namespace ByteShelf.Services
                     // Root tenant - only check individual limit
                     _logger.LogDebug(
                         "Quota check for tenant {TenantId}: root tenant, current={CurrentUsage}, limit={Limit}, requested={Requested}, canStore={CanStore}",
-                        tenantId, currentUsage, individualLimit, sizeBytes, canStoreIndividual);
+                        tenantId, currentUsage, individualLimit, individualSize, canStoreIndividual);
 
                     return canStoreIndividual;
                 }
             }
         }
 
+        /// <summary>
+        /// Works out how much a store or move adds to the usage counted against a tenant's limit.
+        /// </summary>
+        /// <param name="limitTenant">The tenant whose limit is checked.</param>
+        /// <param name="sizeBytes">The size of data to be stored in bytes.</param>
+        /// <param name="sourceTenant">The tenant the data is moved out of, or <c>null</c> if it is new data.</param>
+        /// <param name="freedBytes">The size of data the move frees in <paramref name="sourceTenant"/> in bytes.</param>
+        /// <returns>The number of bytes added, which is negative if the move frees more than it stores.</returns>
+        private static long GetAddedBytes(TenantInfo limitTenant, long sizeBytes, TenantInfo? sourceTenant, long freedBytes)
+        {
+            // The usage of a tenant includes its subtenants, so a move out of one of them frees space under the same limit
+            for (TenantInfo? current = sourceTenant; current != null; current = current.Parent)
+            {
+                if (ReferenceEquals(current, limitTenant))
+                    return sizeBytes - freedBytes;
+            }
+
+            return sizeBytes;
+        }
+
         /// <inheritdoc/>
         public void RecordStorageUsed(string tenantId, long sizeBytes)
         {
@@ -178,13 +225,123 @@ namespace ByteShelf.Services
             return 0;
         }
 
+        /// <inheritdoc/>
+        public long GetLogicalUsage(string tenantId)
+        {
+            lock (_usageLock)
+            {
+                return _logicalUsageCache.TryGetValue(tenantId, out long usage) ? usage : 0;
+            }
+        }
+
+        /// <inheritdoc/>
+        public long GetTotalLogicalUsageIncludingSubTenants(string tenantId)
+        {
+            TenantConfiguration config = _configService.GetConfiguration();
+            TenantInfo? tenant = GetTenantRecursive(config, tenantId);
+
+            if (tenant == null)
+                return 0;
+
+            lock (_usageLock)
+            {
+                return CalculateTotalUsageRecursive(tenant, _logicalUsageCache);
+            }
+        }
+
+        /// <inheritdoc/>
+        public void RecordFileStored(string tenantId, ShelfFileMetadata metadata)
+        {
+            if (metadata == null)
+                throw new ArgumentNullException(nameof(metadata));
+
+            lock (_usageLock)
+            {
+                TenantChunkIndex chunkIndex = GetOrCreateChunkIndex(_chunkIndexes, tenantId);
+                foreach (Guid chunkId in metadata.ChunkIds)
+                {
+                    chunkIndex.AddReference(chunkId);
+                }
+
+                long logicalUsage = _logicalUsageCache.TryGetValue(tenantId, out long usage) ? usage : 0;
+                _logicalUsageCache[tenantId] = logicalUsage + metadata.FileSize;
+
+                _logger.LogDebug(
+                    "Recorded file {FileId} for tenant {TenantId}: {ChunkCount} chunk references, logical total: {LogicalUsage}",
+                    metadata.Id, tenantId, metadata.ChunkIds.Count, logicalUsage + metadata.FileSize);
+            }
+        }
+
+        /// <inheritdoc/>
+        public void RecordFileRemoved(string tenantId, ShelfFileMetadata metadata)
+        {
+            if (metadata == null)
+                throw new ArgumentNullException(nameof(metadata));
+
+            lock (_usageLock)
+            {
+                if (_chunkIndexes.TryGetValue(tenantId, out TenantChunkIndex? chunkIndex))
+                {
+                    foreach (Guid chunkId in metadata.ChunkIds)
+                    {
+                        chunkIndex.RemoveReference(chunkId);
+                    }
+                }
+
+                long logicalUsage = _logicalUsageCache.TryGetValue(tenantId, out long usage) ? usage : 0;
+                long newLogicalUsage = Math.Max(0, logicalUsage - metadata.FileSize); // Don't go below 0
+                _logicalUsageCache[tenantId] = newLogicalUsage;
+
+                _logger.LogDebug(
+                    "Released file {FileId} for tenant {TenantId}: {ChunkCount} chunk references, logical total: {LogicalUsage}",
+                    metadata.Id, tenantId, metadata.ChunkIds.Count, newLogicalUsage);
+            }
+        }
+
+        /// <inheritdoc/>
+        public void RecordChunkHash(string tenantId, Guid chunkId, string sha256)
+        {
+            if (string.IsNullOrWhiteSpace(sha256))
+                throw new ArgumentException("The hash cannot be empty", nameof(sha256));
+
+            lock (_usageLock)
+            {
+                GetOrCreateChunkIndex(_chunkIndexes, tenantId).SetHash(chunkId, sha256);
+            }
+        }
+
+        /// <inheritdoc/>
+        public int GetChunkReferenceCount(string tenantId, Guid chunkId)
+        {
+            lock (_usageLock)
+            {
+                return _chunkIndexes.TryGetValue(tenantId, out TenantChunkIndex? chunkIndex)
+                    ? chunkIndex.GetReferenceCount(chunkId)
+                    : 0;
+            }
+        }
+
+        /// <inheritdoc/>
+        public Guid? FindChunkBySha256(string tenantId, string sha256)
+        {
+            if (string.IsNullOrWhiteSpace(sha256))
+                return null;
+
+            lock (_usageLock)
+            {
+                return _chunkIndexes.TryGetValue(tenantId, out TenantChunkIndex? chunkIndex)
+                    ? chunkIndex.FindBySha256(sha256)
+                    : null;
+            }
+        }
+
         /// <summary>
         /// Rebuilds the usage cache from metadata files and persists the results.
         /// </summary>
         /// <remarks>
         /// This method scans all tenant metadata directories to recalculate usage
-        /// from actual stored files. This is useful for correcting inconsistencies
-        /// or after manual file operations outside the normal API.
+        /// and chunk reference counts from actual stored files. This is useful for
+        /// correcting inconsistencies or after manual file operations outside the normal API.
         /// The method validates against the tenant configuration to ensure only
         /// valid tenants are included in the cache.
         /// </remarks>
@@ -192,7 +349,9 @@ namespace ByteShelf.Services
         {
             try
             {
-                Dictionary<string, long> actualUsage = RebuildUsageFromMetadata();
+                Dictionary<string, long> logicalUsage = new Dictionary<string, long>();
+                Dictionary<string, TenantChunkIndex> chunkIndexes = new Dictionary<string, TenantChunkIndex>();
+                Dictionary<string, long> actualUsage = RebuildUsageFromMetadata(logicalUsage, chunkIndexes);
 
                 lock (_usageLock)
                 {
@@ -201,6 +360,8 @@ namespace ByteShelf.Services
                     {
                         _usageCache[kvp.Key] = kvp.Value;
                     }
+
+                    ReplaceChunkData(logicalUsage, chunkIndexes);
                 }
 
                 PersistUsageData();
@@ -234,15 +395,20 @@ namespace ByteShelf.Services
             if (tenant == null)
                 return 0;
 
-            return CalculateTotalUsageRecursive(tenant);
+            lock (_usageLock)
+            {
+                return CalculateTotalUsageRecursive(tenant, _usageCache);
+            }
         }
 
         /// <summary>
         /// Recursively calculates the total usage for a tenant and all its subtenants.
+        /// This method should only be called from within a lock.
         /// </summary>
         /// <param name="tenant">The tenant information.</param>
+        /// <param name="usageCache">The usage cache to sum, either the physical or the logical one.</param>
         /// <returns>The total usage including all subtenants.</returns>
-        private long CalculateTotalUsageRecursive(TenantInfo tenant)
+        private long CalculateTotalUsageRecursive(TenantInfo tenant, Dictionary<string, long> usageCache)
         {
             // Find the tenant ID by searching for this tenant in the configuration
             TenantConfiguration config = _configService.GetConfiguration();
@@ -252,13 +418,13 @@ namespace ByteShelf.Services
                 return 0;
 
             // Get own usage
-            long ownUsage = GetCurrentUsageInternal(tenantId);
+            long ownUsage = usageCache.TryGetValue(tenantId, out long usage) ? usage : 0;
 
-            // Add usage from all subtenants
+            // Add usage from all subtenants, including the ones in the trash since they still take up space
             long subTenantUsage = 0;
-            foreach (KeyValuePair<string, TenantInfo> subTenant in tenant.SubTenants)
+            foreach (KeyValuePair<string, TenantInfo> subTenant in tenant.SubTenants.Concat(tenant.DeletedSubTenants))
             {
-                subTenantUsage += CalculateTotalUsageRecursive(subTenant.Value);
+                subTenantUsage += CalculateTotalUsageRecursive(subTenant.Value, usageCache);
             }
 
             return ownUsage + subTenantUsage;
@@ -299,12 +465,12 @@ namespace ByteShelf.Services
         /// <returns>The found tenant, or null if not found.</returns>
         private TenantInfo? FindTenantInSubTenants(string tenantId, TenantInfo tenant)
         {
-            if (tenant.SubTenants.TryGetValue(tenantId, out TenantInfo? found))
+            if (tenant.SubTenants.TryGetValue(tenantId, out TenantInfo? found) || tenant.DeletedSubTenants.TryGetValue(tenantId, out found))
             {
                 return found;
             }
 
-            foreach (TenantInfo subTenant in tenant.SubTenants.Values)
+            foreach (TenantInfo subTenant in tenant.SubTenants.Values.Concat(tenant.DeletedSubTenants.Values))
             {
                 TenantInfo? result = FindTenantInSubTenants(tenantId, subTenant);
                 if (result != null)
@@ -350,7 +516,7 @@ namespace ByteShelf.Services
         /// <returns>The tenant ID, or null if not found.</returns>
         private string? FindTenantIdInSubTenants(TenantInfo tenant, TenantInfo parentTenant)
         {
-            foreach (KeyValuePair<string, TenantInfo> kvp in parentTenant.SubTenants)
+            foreach (KeyValuePair<string, TenantInfo> kvp in parentTenant.SubTenants.Concat(parentTenant.DeletedSubTenants))
             {
                 if (ReferenceEquals(kvp.Value, tenant))
                     return kvp.Key;
@@ -393,8 +559,10 @@ namespace ByteShelf.Services
                 // First, try to load cached usage data
                 Dictionary<string, long> cachedUsage = LoadCachedUsageData();
 
-                // Then rebuild usage from actual metadata files
-                Dictionary<string, long> actualUsage = RebuildUsageFromMetadata();
+                // Then rebuild usage and chunk references from actual metadata files
+                Dictionary<string, long> logicalUsage = new Dictionary<string, long>();
+                Dictionary<string, TenantChunkIndex> chunkIndexes = new Dictionary<string, TenantChunkIndex>();
+                Dictionary<string, long> actualUsage = RebuildUsageFromMetadata(logicalUsage, chunkIndexes);
 
                 // Get all valid tenant IDs from configuration
                 HashSet<string> validTenantIds = GetAllValidTenantIds();
@@ -419,6 +587,8 @@ namespace ByteShelf.Services
                             _usageCache[kvp.Key] = kvp.Value;
                         }
                     }
+
+                    ReplaceChunkData(logicalUsage, chunkIndexes);
                 }
 
                 _logger.LogInformation("Rebuilt usage data for {Count} tenants from metadata files", _usageCache.Count);
@@ -463,8 +633,16 @@ namespace ByteShelf.Services
         /// <summary>
         /// Rebuilds usage data by scanning all tenant metadata directories.
         /// </summary>
-        /// <returns>A dictionary of tenant usage data calculated from actual stored files.</returns>
-        private Dictionary<string, long> RebuildUsageFromMetadata()
+        /// <param name="logicalUsage">Receives the logical usage of each tenant.</param>
+        /// <param name="chunkIndexes">Receives the chunk references of each tenant.</param>
+        /// <returns>A dictionary of tenant physical usage data calculated from actual stored files.</returns>
+        /// <remarks>
+        /// A chunk shared by several files only counts once towards the physical usage. Its size is read
+        /// from the chunk file, falling back to an even share of the file size if the chunk file is missing.
+        /// </remarks>
+        private Dictionary<string, long> RebuildUsageFromMetadata(
+            Dictionary<string, long> logicalUsage,
+            Dictionary<string, TenantChunkIndex> chunkIndexes)
         {
             Dictionary<string, long> usage = new Dictionary<string, long>();
 
@@ -493,15 +671,22 @@ namespace ByteShelf.Services
                         continue;
                     }
 
-                    string metadataPath = Path.Combine(tenantDir, "metadata");
+                    // Files in the trash and earlier versions of files still reference their chunks until they are purged
+                    string[] metadataFiles = new[] { "metadata", "trash", "versions" }
+                        .Select(directoryName => Path.Combine(tenantDir, directoryName))
+                        .Where(Directory.Exists)
+                        .SelectMany(directoryPath => Directory.GetFiles(directoryPath, "*.json", SearchOption.AllDirectories))
+                        .ToArray();
 
-                    if (!Directory.Exists(metadataPath))
+                    if (metadataFiles.Length == 0)
                     {
                         continue;
                     }
 
                     long tenantUsage = 0;
-                    string[] metadataFiles = Directory.GetFiles(metadataPath, "*.json");
+                    long tenantLogicalUsage = 0;
+                    string binPath = Path.Combine(tenantDir, "bin");
+                    TenantChunkIndex chunkIndex = GetOrCreateChunkIndex(chunkIndexes, tenantId);
 
                     foreach (string metadataFile in metadataFiles)
                     {
@@ -512,7 +697,21 @@ namespace ByteShelf.Services
 
                             if (metadata != null)
                             {
-                                tenantUsage += metadata.FileSize;
+                                tenantLogicalUsage += metadata.FileSize;
+
+                                for (int i = 0; i < metadata.ChunkIds.Count; i++)
+                                {
+                                    Guid chunkId = metadata.ChunkIds[i];
+                                    if (chunkIndex.AddReference(chunkId) == 1)
+                                    {
+                                        // First reference to this chunk, so it takes up space on disk
+                                        tenantUsage += GetChunkSize(binPath, chunkId, metadata, i);
+
+                                        string? sha256 = ReadChunkHash(binPath, chunkId);
+                                        if (sha256 != null)
+                                            chunkIndex.SetHash(chunkId, sha256);
+                                    }
+                                }
                             }
                         }
                         catch (Exception ex)
@@ -524,6 +723,7 @@ namespace ByteShelf.Services
                     if (tenantUsage > 0 || metadataFiles.Length > 0)
                     {
                         usage[tenantId] = tenantUsage;
+                        logicalUsage[tenantId] = tenantLogicalUsage;
                         _logger.LogDebug("Calculated usage for tenant {TenantId}: {Usage} bytes from {FileCount} files",
                             tenantId, tenantUsage, metadataFiles.Length);
                     }
@@ -539,6 +739,83 @@ namespace ByteShelf.Services
             return usage;
         }
 
+        /// <summary>
+        /// Gets the size of a chunk for the usage calculation.
+        /// </summary>
+        /// <param name="binPath">The binary storage directory of the tenant.</param>
+        /// <param name="chunkId">The chunk ID.</param>
+        /// <param name="metadata">The metadata of a file referencing the chunk.</param>
+        /// <param name="index">The index of the chunk within the file.</param>
+        /// <returns>The size of the chunk file, or an even share of the file size if it doesn't exist.</returns>
+        private static long GetChunkSize(string binPath, Guid chunkId, ShelfFileMetadata metadata, int index)
+        {
+            FileInfo chunkFile = new FileInfo(Path.Combine(binPath, $"{chunkId}.bin"));
+            if (chunkFile.Exists)
+                return chunkFile.Length;
+
+            long share = metadata.FileSize / metadata.ChunkIds.Count;
+            return index == metadata.ChunkIds.Count - 1
+                ? metadata.FileSize - share * (metadata.ChunkIds.Count - 1)
+                : share;
+        }
+
+        /// <summary>
+        /// Reads the hash the server stored next to a chunk when it was saved.
+        /// </summary>
+        /// <param name="binPath">The binary storage directory of the tenant.</param>
+        /// <param name="chunkId">The chunk ID.</param>
+        /// <returns>The hex encoded SHA-256 hash of the chunk, or <c>null</c> if none was stored.</returns>
+        /// <remarks>
+        /// The hashes in file metadata come from clients, so they are never used to index chunks.
+        /// </remarks>
+        private static string? ReadChunkHash(string binPath, Guid chunkId)
+        {
+            string hashFile = Path.Combine(binPath, $"{chunkId}.sha256");
+            if (!File.Exists(hashFile))
+                return null;
+
+            string sha256 = File.ReadAllText(hashFile).Trim();
+            return sha256.Length > 0 ? sha256 : null;
+        }
+
+        /// <summary>
+        /// Gets the chunk index of a tenant, creating it if it doesn't exist yet.
+        /// </summary>
+        /// <param name="chunkIndexes">The chunk indexes by tenant ID.</param>
+        /// <param name="tenantId">The tenant ID.</param>
+        /// <returns>The chunk index of the tenant.</returns>
+        private static TenantChunkIndex GetOrCreateChunkIndex(Dictionary<string, TenantChunkIndex> chunkIndexes, string tenantId)
+        {
+            if (!chunkIndexes.TryGetValue(tenantId, out TenantChunkIndex? chunkIndex))
+            {
+                chunkIndex = new TenantChunkIndex();
+                chunkIndexes[tenantId] = chunkIndex;
+            }
+
+            return chunkIndex;
+        }
+
+        /// <summary>
+        /// Replaces the logical usage and chunk references with freshly rebuilt data.
+        /// This method should only be called from within a lock.
+        /// </summary>
+        /// <param name="logicalUsage">The rebuilt logical usage by tenant ID.</param>
+        /// <param name="chunkIndexes">The rebuilt chunk indexes by tenant ID.</param>
+        private void ReplaceChunkData(Dictionary<string, long> logicalUsage, Dictionary<string, TenantChunkIndex> chunkIndexes)
+        {
+            _logicalUsageCache.Clear();
+            foreach (KeyValuePair<string, long> kvp in logicalUsage)
+            {
+                _logicalUsageCache[kvp.Key] = kvp.Value;
+            }
+
+            _chunkIndexes.Clear();
+            foreach (KeyValuePair<string, TenantChunkIndex> kvp in chunkIndexes)
+            {
+                _chunkIndexes[kvp.Key] = kvp.Value;
+            }
+        }
+
         /// <summary>
         /// Gets all valid tenant IDs from the configuration, including subtenants.
         /// </summary>
@@ -559,14 +836,14 @@ namespace ByteShelf.Services
         }
 
         /// <summary>
-        /// Recursively adds all subtenant IDs to the provided set.
+        /// Recursively adds all subtenant IDs to the provided set, including the ones in the trash.
         /// </summary>
         /// <param name="parentId">The parent tenant ID.</param>
         /// <param name="tenant">The tenant information.</param>
         /// <param name="validTenantIds">The set to add tenant IDs to.</param>
         private void AddSubTenantIds(string parentId, TenantInfo tenant, HashSet<string> validTenantIds)
         {
-            foreach (KeyValuePair<string, TenantInfo> subTenant in tenant.SubTenants)
+            foreach (KeyValuePair<string, TenantInfo> subTenant in tenant.SubTenants.Concat(tenant.DeletedSubTenants))
             {
                 validTenantIds.Add(subTenant.Key);
                 AddSubTenantIds(subTenant.Key, subTenant.Value, validTenantIds);
@@ -599,5 +876,98 @@ namespace ByteShelf.Services
                 _logger.LogError(ex, "Failed to persist usage data to {FilePath}", _usageFilePath);
             }
         }
+
+        /// <summary>
+        /// Tracks how many files reference each chunk of a tenant, and which chunk holds which content.
+        /// </summary>
+        /// <remarks>
+        /// This class is not thread-safe, it is only accessed from within the usage lock.
+        /// </remarks>
+        private class TenantChunkIndex
+        {
+            private readonly Dictionary<Guid, int> _referenceCounts = new Dictionary<Guid, int>();
+            private readonly Dictionary<string, Guid> _chunksBySha256 = new Dictionary<string, Guid>(StringComparer.OrdinalIgnoreCase);
+            private readonly Dictionary<Guid, string> _sha256ByChunk = new Dictionary<Guid, string>();
+
+            /// <summary>
+            /// Adds a reference to a chunk.
+            /// </summary>
+            /// <param name="chunkId">The chunk ID.</param>
+            /// <returns>The new reference count of the chunk.</returns>
+            public int AddReference(Guid chunkId)
+            {
+                int count = GetReferenceCount(chunkId) + 1;
+                _referenceCounts[chunkId] = count;
+                return count;
+            }
+
+            /// <summary>
+            /// Sets the hash of a chunk's content, replacing the hash of any content it held before.
+            /// </summary>
+            /// <param name="chunkId">The chunk ID.</param>
+            /// <param name="sha256">The hash the server computed for the chunk.</param>
+            public void SetHash(Guid chunkId, string sha256)
+            {
+                ForgetHash(chunkId);
+                _sha256ByChunk[chunkId] = sha256;
+                _chunksBySha256.TryAdd(sha256, chunkId);
+            }
+
+            /// <summary>
+            /// Removes a reference to a chunk, forgetting the chunk when it is no longer referenced.
+            /// </summary>
+            /// <param name="chunkId">The chunk ID.</param>
+            /// <returns>The remaining reference count of the chunk.</returns>
+            public int RemoveReference(Guid chunkId)
+            {
+                int count = GetReferenceCount(chunkId) - 1;
+                if (count > 0)
+                {
+                    _referenceCounts[chunkId] = count;
+                    return count;
+                }
+
+                _referenceCounts.Remove(chunkId);
+                ForgetHash(chunkId);
+                return 0;
+            }
+
+            /// <summary>
+            /// Removes the hash of a chunk from the index.
+            /// </summary>
+            /// <param name="chunkId">The chunk ID.</param>
+            private void ForgetHash(Guid chunkId)
+            {
+                if (_sha256ByChunk.Remove(chunkId, out string? sha256)
+                    && _chunksBySha256.TryGetValue(sha256, out Guid indexedChunkId)
+                    && indexedChunkId == chunkId)
+                {
+                    _chunksBySha256.Remove(sha256);
+                }
+            }
+
+            /// <summary>
+            /// Gets the reference count of a chunk.
+            /// </summary>
+            /// <param name="chunkId">The chunk ID.</param>
+            /// <returns>The reference count, or 0 if the chunk isn't referenced.</returns>
+            public int GetReferenceCount(Guid chunkId)
+            {
+                return _referenceCounts.TryGetValue(chunkId, out int count) ? count : 0;
+            }
+
+            /// <summary>
+            /// Finds a referenced chunk by the hash of its content.
+            /// </summary>
+            /// <param name="sha256">The hex encoded SHA-256 hash.</param>
+            /// <returns>The chunk ID, or <c>null</c> if no referenced chunk has the hash.</returns>
+            /// <remarks>
+            /// Chunks that no file references yet belong to uploads in progress, which could still abandon them.
+            /// </remarks>
+            public Guid? FindBySha256(string sha256)
+            {
+                return _chunksBySha256.TryGetValue(sha256, out Guid chunkId) && GetReferenceCount(chunkId) > 0 ? chunkId : null;
+            }
+        }
     }
 }
\ No newline at end of file
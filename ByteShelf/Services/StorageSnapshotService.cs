@@ -0,0 +1,50 @@
+namespace ByteShelf.Services
+{
+    /// <summary>
+    /// Background service that records the daily storage usage snapshots used to chart storage growth.
+    /// </summary>
+    /// <remarks>
+    /// Usage is recorded when the server starts and then every hour. Each recording replaces the snapshots of the
+    /// same day, so the history ends up with the last usage seen each day.
+    /// </remarks>
+    public class StorageSnapshotService : BackgroundService
+    {
+        private static readonly TimeSpan SnapshotInterval = TimeSpan.FromHours(1);
+
+        private readonly IStorageAnalyticsService _storageAnalyticsService;
+        private readonly ILogger<StorageSnapshotService> _logger;
+
+        /// <summary>
+        /// Initializes a new instance of the <see cref="StorageSnapshotService"/> class.
+        /// </summary>
+        /// <param name="storageAnalyticsService">The storage analytics service that records the snapshots.</param>
+        /// <param name="logger">The logger for recording service operations.</param>
+        /// <exception cref="ArgumentNullException">Thrown when any of the parameters is null.</exception>
+        public StorageSnapshotService(IStorageAnalyticsService storageAnalyticsService, ILogger<StorageSnapshotService> logger)
+        {
+            _storageAnalyticsService = storageAnalyticsService ?? throw new ArgumentNullException(nameof(storageAnalyticsService));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        /// <inheritdoc/>
+        protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+        {
+            using (PeriodicTimer timer = new PeriodicTimer(SnapshotInterval))
+            {
+                do
+                {
+                    try
+                    {
+                        await _storageAnalyticsService.RecordSnapshotsAsync(stoppingToken);
+                    }
+                    catch (Exception ex) when (ex is not OperationCanceledException)
+                    {
+                        // Keep trying on the next tick, a missed recording is filled in later the same day
+                        _logger.LogError(ex, "Failed to record storage usage snapshots");
+                    }
+                }
+                while (await timer.WaitForNextTickAsync(stoppingToken));
+            }
+        }
+    }
+}
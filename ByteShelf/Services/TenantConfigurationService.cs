@@ -144,6 +144,68 @@ namespace ByteShelf.Services
             return saved;
         }
 
+        /// <inheritdoc/>
+        public async Task<bool> UpdateTenantDetailsAsync(string tenantId, string displayName, bool isAdmin, long storageLimitBytes, string? parentTenantId)
+        {
+            if (string.IsNullOrWhiteSpace(tenantId))
+                throw new ArgumentException("Tenant ID cannot be null or empty", nameof(tenantId));
+
+            string name = displayName?.Trim() ?? string.Empty;
+            if (name.Length == 0)
+                throw new ArgumentException("Display name cannot be null or empty", nameof(displayName));
+
+            if (storageLimitBytes < 0)
+                throw new ArgumentException("Storage limit cannot be negative", nameof(storageLimitBytes));
+
+            string? previousParentId;
+            lock (_configLock)
+            {
+                TenantInfo? tenant = GetTenant(tenantId);
+                if (tenant == null)
+                {
+                    _logger.LogWarning("Attempted to update non-existent tenant: {TenantId}", tenantId);
+                    return false;
+                }
+
+                TenantInfo? parent = null;
+                if (parentTenantId != null)
+                {
+                    parent = GetTenant(parentTenantId);
+                    if (parent == null)
+                        throw new ArgumentException($"Parent tenant '{parentTenantId}' not found", nameof(parentTenantId));
+
+                    ValidateNewParent(tenantId, tenant, parentTenantId, parent, name, storageLimitBytes);
+                }
+
+                // Nothing has been changed yet, so an invalid value above leaves the tenant as it was
+                Dictionary<string, TenantInfo> previousSiblings = tenant.Parent?.SubTenants ?? _currentConfiguration.Tenants;
+                previousParentId = tenant.Parent == null ? null : FindTenantId(tenant.Parent);
+                if (!ReferenceEquals(tenant.Parent, parent))
+                {
+                    previousSiblings.Remove(tenantId);
+                    (parent?.SubTenants ?? _currentConfiguration.Tenants)[tenantId] = tenant;
+                    tenant.Parent = parent;
+                }
+
+                tenant.DisplayName = name;
+                tenant.IsAdmin = isAdmin;
+                tenant.StorageLimitBytes = storageLimitBytes;
+            }
+
+            bool saved = await SaveConfigurationAsync();
+            if (saved)
+            {
+                if (previousParentId != parentTenantId)
+                {
+                    _logger.LogInformation("Moved tenant {TenantId} from {PreviousParentId} to {ParentTenantId}", tenantId, previousParentId ?? "the top level", parentTenantId ?? "the top level");
+                }
+
+                _logger.LogInformation("Updated tenant: {TenantId}", tenantId);
+            }
+
+            return saved;
+        }
+
         /// <inheritdoc/>
         public async Task<bool> RemoveTenantAsync(string tenantId)
         {
@@ -382,7 +444,264 @@ namespace ByteShelf.Services
         }
 
         /// <summary>
-        /// Deletes a subtenant.
+        /// Updates how many earlier versions of each file a tenant keeps.
+        /// </summary>
+        /// <param name="tenantId">The ID of the tenant, which can be a subtenant.</param>
+        /// <param name="maxFileVersions">The number of versions to keep, or <c>null</c> to use the policy of the parent tenant.</param>
+        /// <returns>True if the update was successful, false if the tenant doesn't exist.</returns>
+        /// <exception cref="ArgumentException">Thrown when the tenant ID is empty or the number of versions is negative.</exception>
+        public async Task<bool> UpdateMaxFileVersionsAsync(string tenantId, int? maxFileVersions)
+        {
+            if (string.IsNullOrWhiteSpace(tenantId))
+                throw new ArgumentException("Tenant ID cannot be null or empty", nameof(tenantId));
+
+            if (maxFileVersions < 0)
+                throw new ArgumentException("The number of versions to keep cannot be negative", nameof(maxFileVersions));
+
+            TenantInfo? tenant = GetTenant(tenantId);
+            if (tenant == null)
+            {
+                _logger.LogWarning("Tenant not found: {TenantId}", tenantId);
+                return false;
+            }
+
+            tenant.MaxFileVersions = maxFileVersions;
+
+            bool saved = await SaveConfigurationAsync();
+            if (saved)
+            {
+                _logger.LogInformation("Updated tenant {TenantId} file version limit to {MaxFileVersions}", tenantId, maxFileVersions?.ToString() ?? "inherited");
+            }
+
+            return saved;
+        }
+
+        /// <summary>
+        /// Generates a named API key for a tenant.
+        /// </summary>
+        /// <param name="tenantId">The ID of the tenant, which can be a subtenant.</param>
+        /// <param name="apiKey">The key to add, with its name, scopes and expiry.</param>
+        /// <returns>The generated key, or null if the tenant doesn't exist or the configuration couldn't be saved.</returns>
+        public async Task<string?> CreateApiKeyAsync(string tenantId, TenantApiKey apiKey)
+        {
+            if (string.IsNullOrWhiteSpace(tenantId))
+                throw new ArgumentException("Tenant ID cannot be null or empty", nameof(tenantId));
+
+            if (apiKey == null)
+                throw new ArgumentNullException(nameof(apiKey));
+
+            string name = apiKey.Name?.Trim() ?? string.Empty;
+            List<ApiKeyScope> scopes = (apiKey.Scopes ?? new List<ApiKeyScope>()).Distinct().OrderBy(scope => scope).ToList();
+            ValidateApiKeySettings(name, scopes, apiKey.ExpiresAt);
+
+            string key = GenerateUniqueApiKey();
+
+            lock (_configLock)
+            {
+                TenantInfo? tenant = GetTenant(tenantId);
+                if (tenant == null)
+                {
+                    _logger.LogWarning("Tenant not found: {TenantId}", tenantId);
+                    return null;
+                }
+
+                if (tenant.ApiKeys.Any(existing => string.Equals(existing.Name, name, StringComparison.OrdinalIgnoreCase)))
+                    throw new InvalidOperationException($"An API key named \"{name}\" already exists");
+
+                if (tenant.ApiKeys.Count >= MaxApiKeysPerTenant)
+                    throw new InvalidOperationException($"A tenant cannot have more than {MaxApiKeysPerTenant} API keys");
+
+                apiKey.Id = Guid.NewGuid();
+                apiKey.Name = name;
+                apiKey.Scopes = scopes;
+                apiKey.CreatedAt = DateTimeOffset.UtcNow;
+                apiKey.LastUsedAt = null;
+                SetApiKeySecret(apiKey, key);
+                tenant.ApiKeys.Add(apiKey);
+            }
+
+            bool saved = await SaveConfigurationAsync();
+            if (!saved)
+                return null;
+
+            _logger.LogInformation("Created API key {KeyId} ({KeyName}) for tenant {TenantId}", apiKey.Id, name, tenantId);
+            return key;
+        }
+
+        /// <summary>
+        /// Replaces an API key of a tenant with a newly generated one.
+        /// </summary>
+        /// <param name="tenantId">The ID of the tenant that owns the key.</param>
+        /// <param name="keyId">The ID of the key.</param>
+        /// <returns>The generated key, or null if the tenant has no key with that ID or the configuration couldn't be saved.</returns>
+        public async Task<string?> RotateApiKeyAsync(string tenantId, Guid keyId)
+        {
+            if (string.IsNullOrWhiteSpace(tenantId))
+                throw new ArgumentException("Tenant ID cannot be null or empty", nameof(tenantId));
+
+            string key = GenerateUniqueApiKey();
+
+            lock (_configLock)
+            {
+                TenantInfo? tenant = GetTenant(tenantId);
+                TenantApiKey? apiKey = tenant?.ApiKeys.FirstOrDefault(existing => existing.Id == keyId);
+                if (tenant != null && keyId == TenantApiKey.TenantKeyId && !string.IsNullOrEmpty(tenant.ApiKey))
+                {
+                    tenant.ApiKey = key;
+                    tenant.ApiKeyCreatedAt = DateTimeOffset.UtcNow;
+                    tenant.ApiKeyLastUsedAt = null;
+                }
+                else if (apiKey != null)
+                {
+                    apiKey.CreatedAt = DateTimeOffset.UtcNow;
+                    apiKey.LastUsedAt = null;
+                    SetApiKeySecret(apiKey, key);
+                }
+                else
+                {
+                    _logger.LogWarning("API key {KeyId} not found for tenant {TenantId}", keyId, tenantId);
+                    return null;
+                }
+            }
+
+            bool saved = await SaveConfigurationAsync();
+            if (!saved)
+                return null;
+
+            _logger.LogInformation("Rotated API key {KeyId} for tenant {TenantId}", keyId, tenantId);
+            return key;
+        }
+
+        /// <summary>
+        /// Removes an API key of a tenant, so it stops working.
+        /// </summary>
+        /// <param name="tenantId">The ID of the tenant that owns the key.</param>
+        /// <param name="keyId">The ID of the key.</param>
+        /// <returns>True if the key was removed.</returns>
+        public async Task<bool> RevokeApiKeyAsync(string tenantId, Guid keyId)
+        {
+            if (string.IsNullOrWhiteSpace(tenantId))
+                throw new ArgumentException("Tenant ID cannot be null or empty", nameof(tenantId));
+
+            lock (_configLock)
+            {
+                TenantInfo? tenant = GetTenant(tenantId);
+                if (tenant != null && keyId == TenantApiKey.TenantKeyId && !string.IsNullOrEmpty(tenant.ApiKey))
+                {
+                    // Without another key with the same access the tenant would be locked out for good
+                    DateTimeOffset now = DateTimeOffset.UtcNow;
+                    bool hasReplacement = tenant.ApiKeys.Any(existing =>
+                        !existing.IsExpired(now) &&
+                        existing.Scopes.All(scope => scope == ApiKeyScope.Admin) &&
+                        (!tenant.IsAdmin || existing.Scopes.Contains(ApiKeyScope.Admin)));
+                    if (!hasReplacement)
+                        throw new InvalidOperationException("The tenant key can only be revoked once the tenant has another key with the same access");
+
+                    tenant.ApiKey = string.Empty;
+                    tenant.ApiKeyCreatedAt = null;
+                    tenant.ApiKeyLastUsedAt = null;
+                }
+                else if (tenant == null || tenant.ApiKeys.RemoveAll(existing => existing.Id == keyId) == 0)
+                {
+                    _logger.LogWarning("API key {KeyId} not found for tenant {TenantId}", keyId, tenantId);
+                    return false;
+                }
+            }
+
+            bool saved = await SaveConfigurationAsync();
+            if (saved)
+            {
+                _logger.LogInformation("Revoked API key {KeyId} of tenant {TenantId}", keyId, tenantId);
+            }
+
+            return saved;
+        }
+
+        /// <summary>
+        /// Records that an API key was used to authenticate.
+        /// </summary>
+        /// <param name="tenantId">The ID of the tenant that owns the key.</param>
+        /// <param name="keyId">The ID of the key.</param>
+        /// <returns>A task that represents the asynchronous operation.</returns>
+        public async Task RecordApiKeyUseAsync(string tenantId, Guid keyId)
+        {
+            DateTimeOffset now = DateTimeOffset.UtcNow;
+
+            lock (_configLock)
+            {
+                TenantInfo? tenant = GetTenant(tenantId);
+                if (tenant != null && keyId == TenantApiKey.TenantKeyId)
+                {
+                    if (tenant.ApiKeyLastUsedAt.HasValue && now - tenant.ApiKeyLastUsedAt.Value < ApiKeyUseRecordInterval)
+                        return;
+
+                    tenant.ApiKeyLastUsedAt = now;
+                }
+                else
+                {
+                    TenantApiKey? apiKey = tenant?.ApiKeys.FirstOrDefault(existing => existing.Id == keyId);
+                    if (apiKey == null || (apiKey.LastUsedAt.HasValue && now - apiKey.LastUsedAt.Value < ApiKeyUseRecordInterval))
+                        return;
+
+                    apiKey.LastUsedAt = now;
+                }
+            }
+
+            await SaveConfigurationAsync();
+        }
+
+        /// <summary>
+        /// Renames a subtenant by changing its display name.
+        /// </summary>
+        /// <param name="parentTenantId">The ID of the tenant that renames the subtenant, which can be any of its ancestors.</param>
+        /// <param name="subTenantId">The subtenant ID.</param>
+        /// <param name="displayName">The new display name.</param>
+        /// <returns>True if the subtenant was renamed.</returns>
+        public async Task<bool> RenameSubTenantAsync(string parentTenantId, string subTenantId, string displayName)
+        {
+            if (string.IsNullOrWhiteSpace(parentTenantId))
+                throw new ArgumentException("Parent tenant ID cannot be null or empty", nameof(parentTenantId));
+
+            if (string.IsNullOrWhiteSpace(subTenantId))
+                throw new ArgumentException("Subtenant ID cannot be null or empty", nameof(subTenantId));
+
+            string name = displayName?.Trim() ?? string.Empty;
+            string? validationError = ItemNameValidator.GetValidationError(name);
+            if (validationError != null)
+                throw new ArgumentException(validationError, nameof(displayName));
+
+            TenantInfo? parentTenant = GetTenant(parentTenantId);
+            TenantInfo? subTenant = GetTenant(subTenantId);
+            if (parentTenant == null || subTenant == null || !IsDescendantOf(subTenant, parentTenant))
+            {
+                _logger.LogWarning("Subtenant {SubTenantId} not found under parent {ParentTenantId}", subTenantId, parentTenantId);
+                return false;
+            }
+
+            if (subTenant.DisplayName == name)
+                return true;
+
+            // Folders next to each other can't share a name, the same as files in a folder
+            TenantInfo immediateParent = subTenant.Parent!;
+            bool nameTaken = immediateParent.SubTenants.Any(sibling =>
+                sibling.Key != subTenantId && string.Equals(sibling.Value.DisplayName, name, StringComparison.OrdinalIgnoreCase));
+            if (nameTaken)
+                throw new InvalidOperationException($"A folder named \"{name}\" already exists in this folder");
+
+            string previousName = subTenant.DisplayName;
+            subTenant.DisplayName = name;
+
+            bool saved = await SaveConfigurationAsync();
+            if (saved)
+            {
+                _logger.LogInformation("Renamed subtenant {SubTenantId} from {PreviousName} to {DisplayName}", subTenantId, previousName, name);
+            }
+
+            return saved;
+        }
+
+        /// <summary>
+        /// Deletes a subtenant permanently, whether it is in the trash or not.
         /// </summary>
         /// <param name="parentTenantId">The parent tenant ID.</param>
         /// <param name="subTenantId">The subtenant ID.</param>
@@ -404,7 +723,7 @@ namespace ByteShelf.Services
             }
 
             // Find the subtenant to be deleted
-            TenantInfo? subTenantToDelete = GetTenant(subTenantId);
+            TenantInfo? subTenantToDelete = GetTenant(subTenantId) ?? FindDeletedSubTenant(subTenantId, parentTenant);
             if (subTenantToDelete == null)
             {
                 _logger.LogWarning("Subtenant not found: {SubTenantId}", subTenantId);
@@ -427,7 +746,7 @@ namespace ByteShelf.Services
             }
 
             // Remove the subtenant from its immediate parent
-            if (!immediateParent.SubTenants.Remove(subTenantId))
+            if (!immediateParent.SubTenants.Remove(subTenantId) && !immediateParent.DeletedSubTenants.Remove(subTenantId))
             {
                 _logger.LogWarning("Failed to remove subtenant {SubTenantId} from its parent", subTenantId);
                 return false;
@@ -442,6 +761,112 @@ namespace ByteShelf.Services
             return saved;
         }
 
+        /// <summary>
+        /// Moves a subtenant to the trash of its parent.
+        /// </summary>
+        /// <param name="parentTenantId">The ID of the tenant that deletes the subtenant, which can be any of its ancestors.</param>
+        /// <param name="subTenantId">The subtenant ID.</param>
+        /// <returns>True if the subtenant was moved to the trash.</returns>
+        public async Task<bool> TrashSubTenantAsync(string parentTenantId, string subTenantId)
+        {
+            if (string.IsNullOrWhiteSpace(parentTenantId))
+                throw new ArgumentException("Parent tenant ID cannot be null or empty", nameof(parentTenantId));
+
+            if (string.IsNullOrWhiteSpace(subTenantId))
+                throw new ArgumentException("Subtenant ID cannot be null or empty", nameof(subTenantId));
+
+            lock (_configLock)
+            {
+                TenantInfo? parentTenant = GetTenant(parentTenantId);
+                TenantInfo? subTenant = GetTenant(subTenantId);
+                if (parentTenant == null || subTenant == null || !IsDescendantOf(subTenant, parentTenant))
+                {
+                    _logger.LogWarning("Subtenant {SubTenantId} not found under parent {ParentTenantId}", subTenantId, parentTenantId);
+                    return false;
+                }
+
+                // The subtenant keeps its parent, so it can be restored to the same place
+                TenantInfo immediateParent = subTenant.Parent!;
+                immediateParent.SubTenants.Remove(subTenantId);
+                subTenant.DeletedAt = DateTimeOffset.UtcNow;
+                immediateParent.DeletedSubTenants[subTenantId] = subTenant;
+            }
+
+            bool saved = await SaveConfigurationAsync();
+            if (saved)
+            {
+                _logger.LogInformation("Moved subtenant {SubTenantId} to the trash under parent {ParentTenantId}", subTenantId, parentTenantId);
+            }
+
+            return saved;
+        }
+
+        /// <summary>
+        /// Restores a subtenant from the trash to the place it was deleted from.
+        /// </summary>
+        /// <param name="parentTenantId">The ID of the tenant that restores the subtenant, which can be any of its ancestors.</param>
+        /// <param name="subTenantId">The subtenant ID.</param>
+        /// <returns>True if the subtenant was restored.</returns>
+        public async Task<bool> RestoreSubTenantAsync(string parentTenantId, string subTenantId)
+        {
+            if (string.IsNullOrWhiteSpace(parentTenantId))
+                throw new ArgumentException("Parent tenant ID cannot be null or empty", nameof(parentTenantId));
+
+            if (string.IsNullOrWhiteSpace(subTenantId))
+                throw new ArgumentException("Subtenant ID cannot be null or empty", nameof(subTenantId));
+
+            lock (_configLock)
+            {
+                TenantInfo? parentTenant = GetTenant(parentTenantId);
+                TenantInfo? subTenant = parentTenant == null ? null : FindDeletedSubTenant(subTenantId, parentTenant);
+                if (subTenant == null)
+                {
+                    _logger.LogWarning("Subtenant {SubTenantId} not found in the trash under parent {ParentTenantId}", subTenantId, parentTenantId);
+                    return false;
+                }
+
+                TenantInfo immediateParent = subTenant.Parent!;
+                if (immediateParent.SubTenants.Count >= MaxSubTenantsPerTenant)
+                    throw new InvalidOperationException($"Cannot restore subtenant: maximum of {MaxSubTenantsPerTenant} subtenants per tenant reached");
+
+                // A folder with the same name may have been created since, in which case the restored one gets a number
+                subTenant.DisplayName = ItemNameValidator.GetUniqueName(
+                    subTenant.DisplayName,
+                    immediateParent.SubTenants.Values.Select(sibling => sibling.DisplayName),
+                    false);
+
+                immediateParent.DeletedSubTenants.Remove(subTenantId);
+                subTenant.DeletedAt = null;
+                immediateParent.SubTenants[subTenantId] = subTenant;
+            }
+
+            bool saved = await SaveConfigurationAsync();
+            if (saved)
+            {
+                _logger.LogInformation("Restored subtenant {SubTenantId} from the trash under parent {ParentTenantId}", subTenantId, parentTenantId);
+            }
+
+            return saved;
+        }
+
+        /// <summary>
+        /// Gets a subtenant that is in the trash.
+        /// </summary>
+        /// <param name="parentTenantId">The ID of any of the subtenant's ancestors.</param>
+        /// <param name="subTenantId">The subtenant ID.</param>
+        /// <returns>The subtenant information, or null if it isn't in the trash under the parent.</returns>
+        public TenantInfo? GetDeletedSubTenant(string parentTenantId, string subTenantId)
+        {
+            if (string.IsNullOrWhiteSpace(parentTenantId) || string.IsNullOrWhiteSpace(subTenantId))
+                return null;
+
+            TenantInfo? parentTenant = GetTenant(parentTenantId);
+            if (parentTenant == null)
+                return null;
+
+            return FindDeletedSubTenant(subTenantId, parentTenant);
+        }
+
         /// <summary>
         /// Checks if a tenant can create subtenants (depth and horizontal limits not reached).
         /// </summary>
@@ -548,16 +973,18 @@ namespace ByteShelf.Services
         }
 
         /// <summary>
-        /// Gets all descendant tenant IDs for a given tenant.
+        /// Gets all descendant tenant IDs for a given tenant, including the ones in the trash.
         /// </summary>
-        /// <param name="tenantId">The tenant ID to get descendants for.</param>
+        /// <param name="tenantId">The tenant ID to get descendants for, which can be a subtenant in the trash.</param>
         /// <returns>A collection of descendant tenant IDs.</returns>
         public IEnumerable<string> GetAllDescendantTenantIds(string tenantId)
         {
             if (string.IsNullOrWhiteSpace(tenantId))
                 return Enumerable.Empty<string>();
 
-            TenantInfo? tenant = GetTenant(tenantId);
+            TenantInfo? tenant = GetTenant(tenantId) ?? GetConfiguration().Tenants.Values
+                .Select(rootTenant => FindDeletedSubTenant(tenantId, rootTenant))
+                .FirstOrDefault(found => found != null);
             if (tenant == null)
                 return Enumerable.Empty<string>();
 
@@ -573,7 +1000,7 @@ namespace ByteShelf.Services
         /// <param name="descendantIds">The list to add descendant IDs to.</param>
         private void CollectDescendantIds(TenantInfo tenant, List<string> descendantIds)
         {
-            foreach (KeyValuePair<string, TenantInfo> subTenant in tenant.SubTenants)
+            foreach (KeyValuePair<string, TenantInfo> subTenant in tenant.SubTenants.Concat(tenant.DeletedSubTenants))
             {
                 descendantIds.Add(subTenant.Key);
                 CollectDescendantIds(subTenant.Value, descendantIds);
@@ -602,6 +1029,111 @@ namespace ByteShelf.Services
 
         private const int MaxSubTenantDepth = 10;
         private const int MaxSubTenantsPerTenant = 50;
+        private const int MaxApiKeysPerTenant = 50;
+        private const int MaxApiKeyNameLength = 64;
+        private static readonly TimeSpan ApiKeyUseRecordInterval = TimeSpan.FromMinutes(5);
+
+        /// <summary>
+        /// Checks the name, scopes and expiry time of a named API key.
+        /// </summary>
+        /// <param name="name">The trimmed name of the key.</param>
+        /// <param name="scopes">The scopes of the key.</param>
+        /// <param name="expiresAt">When the key stops working, or <c>null</c> if it doesn't expire.</param>
+        /// <exception cref="ArgumentException">Thrown when any of the values is invalid.</exception>
+        private static void ValidateApiKeySettings(string name, List<ApiKeyScope> scopes, DateTimeOffset? expiresAt)
+        {
+            if (string.IsNullOrEmpty(name))
+                throw new ArgumentException("API key name cannot be empty", nameof(name));
+
+            if (name.Length > MaxApiKeyNameLength)
+                throw new ArgumentException($"API key name cannot be longer than {MaxApiKeyNameLength} characters", nameof(name));
+
+            if (name.Any(char.IsControl))
+                throw new ArgumentException("API key name cannot contain control characters", nameof(name));
+
+            if (string.Equals(name, TenantApiKey.TenantKeyName, StringComparison.OrdinalIgnoreCase))
+                throw new ArgumentException($"\"{TenantApiKey.TenantKeyName}\" is the name of the key the tenant was created with", nameof(name));
+
+            if (scopes.Any(scope => !Enum.IsDefined(scope)))
+                throw new ArgumentException("Unknown API key scope", nameof(scopes));
+
+            if (scopes.Contains(ApiKeyScope.ReadOnly) && scopes.Contains(ApiKeyScope.UploadOnly))
+                throw new ArgumentException("An API key cannot be both read-only and upload-only", nameof(scopes));
+
+            if (expiresAt.HasValue && expiresAt.Value <= DateTimeOffset.UtcNow)
+                throw new ArgumentException("The expiry time must be in the future", nameof(expiresAt));
+        }
+
+        /// <summary>
+        /// Stores the hash and hint of a newly generated key on a named API key.
+        /// </summary>
+        /// <param name="apiKey">The named API key.</param>
+        /// <param name="key">The generated key.</param>
+        private static void SetApiKeySecret(TenantApiKey apiKey, string key)
+        {
+            apiKey.KeyHash = TenantApiKey.HashKey(key);
+            apiKey.Hint = $"…{key.Substring(key.Length - 4)}";
+        }
+
+        /// <summary>
+        /// Checks that a tenant can be made a subtenant of another tenant.
+        /// </summary>
+        /// <param name="tenantId">The ID of the tenant to move.</param>
+        /// <param name="tenant">The tenant to move.</param>
+        /// <param name="parentTenantId">The ID of the new parent.</param>
+        /// <param name="parent">The new parent.</param>
+        /// <param name="displayName">The display name the tenant will have.</param>
+        /// <param name="storageLimitBytes">The storage limit the tenant will have.</param>
+        /// <exception cref="ArgumentException">Thrown when the tenant can't be a subtenant of the parent.</exception>
+        /// <exception cref="InvalidOperationException">Thrown when another subtenant of the parent has the display name.</exception>
+        private void ValidateNewParent(string tenantId, TenantInfo tenant, string parentTenantId, TenantInfo parent, string displayName, long storageLimitBytes)
+        {
+            if (ReferenceEquals(parent, tenant) || IsDescendantOf(parent, tenant))
+                throw new ArgumentException("A tenant cannot be moved under itself or one of its subtenants", nameof(parentTenantId));
+
+            // Subtenants are shown as folders, so their names follow the same rules
+            string? nameError = ItemNameValidator.GetValidationError(displayName);
+            if (nameError != null)
+                throw new ArgumentException(nameError, nameof(displayName));
+
+            if (parent.StorageLimitBytes > 0 && storageLimitBytes > parent.StorageLimitBytes)
+                throw new ArgumentException("Storage limit cannot be larger than the storage limit of the parent tenant", nameof(storageLimitBytes));
+
+            if (!ReferenceEquals(tenant.Parent, parent))
+            {
+                if (FindTenantDepth(parentTenantId, 0) + 1 + GetSubTreeHeight(tenant) > MaxSubTenantDepth)
+                    throw new ArgumentException($"Cannot move tenant: maximum depth of {MaxSubTenantDepth} levels would be exceeded", nameof(parentTenantId));
+
+                if (parent.SubTenants.Count >= MaxSubTenantsPerTenant)
+                    throw new ArgumentException($"Cannot move tenant: maximum of {MaxSubTenantsPerTenant} subtenants per tenant reached", nameof(parentTenantId));
+            }
+
+            bool nameTaken = parent.SubTenants.Any(sibling =>
+                sibling.Key != tenantId && string.Equals(sibling.Value.DisplayName, displayName, StringComparison.OrdinalIgnoreCase));
+            if (nameTaken)
+                throw new InvalidOperationException($"A folder named \"{displayName}\" already exists in the parent tenant");
+        }
+
+        /// <summary>
+        /// Gets how many levels of subtenants a tenant has below it.
+        /// </summary>
+        /// <param name="tenant">The tenant to measure.</param>
+        /// <returns>0 for a tenant without subtenants.</returns>
+        private static int GetSubTreeHeight(TenantInfo tenant)
+        {
+            return tenant.SubTenants.Values.Select(subTenant => GetSubTreeHeight(subTenant) + 1).DefaultIfEmpty(0).Max();
+        }
+
+        /// <summary>
+        /// Finds the ID of a tenant that is in the configuration.
+        /// </summary>
+        /// <param name="tenant">The tenant to find.</param>
+        /// <returns>The ID of the tenant, or <c>null</c> if it isn't in the configuration.</returns>
+        private string? FindTenantId(TenantInfo tenant)
+        {
+            Dictionary<string, TenantInfo> siblings = tenant.Parent?.SubTenants ?? _currentConfiguration.Tenants;
+            return siblings.FirstOrDefault(sibling => ReferenceEquals(sibling.Value, tenant)).Key;
+        }
 
         /// <summary>
         /// Recursively calculates the depth of a tenant in the hierarchy.
@@ -677,6 +1209,34 @@ namespace ByteShelf.Services
             return null;
         }
 
+        /// <summary>
+        /// Recursively searches for a subtenant in the trash of a tenant and of its subtenants.
+        /// </summary>
+        /// <param name="tenantId">The tenant ID to find.</param>
+        /// <param name="tenant">The tenant to search in.</param>
+        /// <returns>The found tenant, or null if not found.</returns>
+        /// <remarks>
+        /// Subtenants inside a deleted subtenant are not searched, since they are restored and purged together with it.
+        /// </remarks>
+        private TenantInfo? FindDeletedSubTenant(string tenantId, TenantInfo tenant)
+        {
+            if (tenant.DeletedSubTenants.TryGetValue(tenantId, out TenantInfo? found))
+            {
+                return found;
+            }
+
+            foreach (TenantInfo subTenant in tenant.SubTenants.Values)
+            {
+                TenantInfo? result = FindDeletedSubTenant(tenantId, subTenant);
+                if (result != null)
+                {
+                    return result;
+                }
+            }
+
+            return null;
+        }
+
         /// <summary>
         /// Generates a unique API key.
         /// </summary>
@@ -712,7 +1272,7 @@ namespace ByteShelf.Services
         private bool ApiKeyExists(string apiKey, TenantConfiguration config)
         {
             // Check root tenants
-            if (config.Tenants.Values.Any(t => t.ApiKey == apiKey))
+            if (config.Tenants.Values.Any(t => HasApiKey(t, apiKey)))
                 return true;
 
             // Check all subtenants recursively
@@ -733,10 +1293,10 @@ namespace ByteShelf.Services
         /// <returns>True if the API key exists.</returns>
         private bool ApiKeyExistsInSubTenants(string apiKey, TenantInfo tenant)
         {
-            if (tenant.SubTenants.Values.Any(t => t.ApiKey == apiKey))
+            if (tenant.SubTenants.Values.Concat(tenant.DeletedSubTenants.Values).Any(t => HasApiKey(t, apiKey)))
                 return true;
 
-            foreach (TenantInfo subTenant in tenant.SubTenants.Values)
+            foreach (TenantInfo subTenant in tenant.SubTenants.Values.Concat(tenant.DeletedSubTenants.Values))
             {
                 if (ApiKeyExistsInSubTenants(apiKey, subTenant))
                     return true;
@@ -745,6 +1305,21 @@ namespace ByteShelf.Services
             return false;
         }
 
+        /// <summary>
+        /// Checks if a tenant has an API key, either as its own key or as one of its named keys.
+        /// </summary>
+        /// <param name="tenant">The tenant to check.</param>
+        /// <param name="apiKey">The API key to check.</param>
+        /// <returns>True if the tenant has the API key.</returns>
+        private static bool HasApiKey(TenantInfo tenant, string apiKey)
+        {
+            if (tenant.ApiKey == apiKey)
+                return true;
+
+            string keyHash = TenantApiKey.HashKey(apiKey);
+            return tenant.ApiKeys.Any(existing => existing.KeyHash == keyHash);
+        }
+
         /// <summary>
         /// Loads the configuration from file or creates a default configuration file if it doesn't exist.
         /// </summary>
@@ -941,8 +1516,8 @@ namespace ByteShelf.Services
             // Set the parent for this tenant
             tenant.Parent = parent;
 
-            // Rebuild parent relationships for all subtenants
-            foreach (TenantInfo subTenant in tenant.SubTenants.Values)
+            // Rebuild parent relationships for all subtenants, including the ones in the trash
+            foreach (TenantInfo subTenant in tenant.SubTenants.Values.Concat(tenant.DeletedSubTenants.Values))
             {
                 RebuildParentRelationshipsForTenant(subTenant, tenant);
             }
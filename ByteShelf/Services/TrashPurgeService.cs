@@ -0,0 +1,55 @@
+using ByteShelf.Configuration;
+
+namespace ByteShelf.Services
+{
+    /// <summary>
+    /// Background service that purges items from the trash once they have been there for longer than the retention period.
+    /// </summary>
+    /// <remarks>
+    /// The trash is checked when the server starts and then every <see cref="TrashConfiguration.PurgeIntervalMinutes"/> minutes.
+    /// </remarks>
+    public class TrashPurgeService : BackgroundService
+    {
+        private readonly ITrashService _trashService;
+        private readonly TrashConfiguration _configuration;
+        private readonly ILogger<TrashPurgeService> _logger;
+
+        /// <summary>
+        /// Initializes a new instance of the <see cref="TrashPurgeService"/> class.
+        /// </summary>
+        /// <param name="trashService">The trash service that purges the expired items.</param>
+        /// <param name="configuration">The trash configuration with the purge interval.</param>
+        /// <param name="logger">The logger for recording service operations.</param>
+        /// <exception cref="ArgumentNullException">Thrown when any of the parameters is null.</exception>
+        public TrashPurgeService(ITrashService trashService, TrashConfiguration configuration, ILogger<TrashPurgeService> logger)
+        {
+            _trashService = trashService ?? throw new ArgumentNullException(nameof(trashService));
+            _configuration = configuration ?? throw new ArgumentNullException(nameof(configuration));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        /// <inheritdoc/>
+        protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+        {
+            TimeSpan interval = TimeSpan.FromMinutes(Math.Max(1, _configuration.PurgeIntervalMinutes));
+            _logger.LogInformation("Purging items older than {RetentionDays} days from the trash every {Interval}", _trashService.RetentionDays, interval);
+
+            using (PeriodicTimer timer = new PeriodicTimer(interval))
+            {
+                do
+                {
+                    try
+                    {
+                        await _trashService.PurgeExpiredItemsAsync(stoppingToken);
+                    }
+                    catch (Exception ex) when (ex is not OperationCanceledException)
+                    {
+                        // Keep trying on the next tick, a failed purge only means the items stay a little longer
+                        _logger.LogError(ex, "Failed to purge expired items from the trash");
+                    }
+                }
+                while (await timer.WaitForNextTickAsync(stoppingToken));
+            }
+        }
+    }
+}
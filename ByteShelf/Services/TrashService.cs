@@ -0,0 +1,222 @@
+using ByteShelf.Configuration;
+using ByteShelfCommon;
+
+namespace ByteShelf.Services
+{
+    /// <summary>
+    /// Implementation of <see cref="ITrashService"/> on top of the file storage and the tenant configuration.
+    /// </summary>
+    /// <remarks>
+    /// Only the trash of tenants that aren't deleted themselves is searched, so the contents of a deleted
+    /// subtenant are restored or purged together with it and never show up as separate items.
+    /// Items purged because the retention period has passed are recorded in the audit log without a tenant,
+    /// since the server purges them by itself.
+    /// </remarks>
+    public class TrashService : ITrashService
+    {
+        private readonly IFileStorageService _fileStorageService;
+        private readonly ITenantConfigurationService _tenantConfigurationService;
+        private readonly IStorageService _storageService;
+        private readonly IAuditLogService _auditLogService;
+        private readonly TrashConfiguration _configuration;
+        private readonly ILogger<TrashService> _logger;
+
+        /// <summary>
+        /// Initializes a new instance of the <see cref="TrashService"/> class.
+        /// </summary>
+        /// <param name="fileStorageService">The file storage service that holds the deleted files.</param>
+        /// <param name="tenantConfigurationService">The tenant configuration service that holds the deleted subtenants.</param>
+        /// <param name="storageService">The storage service for the sizes of deleted subtenants.</param>
+        /// <param name="auditLogService">The audit log service for recording items purged after the retention period.</param>
+        /// <param name="configuration">The trash configuration with the retention period.</param>
+        /// <param name="logger">The logger for recording service operations.</param>
+        /// <exception cref="ArgumentNullException">Thrown when any of the parameters is null.</exception>
+        public TrashService(
+            IFileStorageService fileStorageService,
+            ITenantConfigurationService tenantConfigurationService,
+            IStorageService storageService,
+            IAuditLogService auditLogService,
+            TrashConfiguration configuration,
+            ILogger<TrashService> logger)
+        {
+            _fileStorageService = fileStorageService ?? throw new ArgumentNullException(nameof(fileStorageService));
+            _tenantConfigurationService = tenantConfigurationService ?? throw new ArgumentNullException(nameof(tenantConfigurationService));
+            _storageService = storageService ?? throw new ArgumentNullException(nameof(storageService));
+            _auditLogService = auditLogService ?? throw new ArgumentNullException(nameof(auditLogService));
+            _configuration = configuration ?? throw new ArgumentNullException(nameof(configuration));
+            _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+        }
+
+        /// <inheritdoc/>
+        public int RetentionDays => Math.Max(0, _configuration.RetentionDays);
+
+        /// <inheritdoc/>
+        public async Task<TrashContentsResponse> GetTrashContentsAsync(string tenantId, CancellationToken cancellationToken = default)
+        {
+            if (string.IsNullOrWhiteSpace(tenantId))
+                throw new ArgumentException("Tenant ID cannot be null or empty", nameof(tenantId));
+
+            List<TrashedFile> files = new List<TrashedFile>();
+            List<TrashedFolder> folders = new List<TrashedFolder>();
+
+            TenantInfo? tenant = _tenantConfigurationService.GetTenant(tenantId);
+            if (tenant != null)
+            {
+                await CollectTrashAsync(tenantId, tenant, new List<FolderPathSegment>(), files, folders, cancellationToken);
+            }
+
+            return new TrashContentsResponse(
+                files.OrderByDescending(file => file.File.DeletedAt).ToList(),
+                folders.OrderByDescending(folder => folder.DeletedAt).ToList(),
+                RetentionDays);
+        }
+
+        /// <inheritdoc/>
+        public async Task<bool> PurgeFolderAsync(string parentTenantId, string subTenantId, CancellationToken cancellationToken = default)
+        {
+            if (_tenantConfigurationService.GetDeletedSubTenant(parentTenantId, subTenantId) == null)
+                return false;
+
+            // Subtenants that were deleted before the folder itself are inside it, so they go too
+            List<string> descendantTenantIds = _tenantConfigurationService.GetAllDescendantTenantIds(subTenantId).ToList();
+
+            int deletedFiles = await _fileStorageService.DeleteAllFilesRecursivelyAsync(subTenantId, descendantTenantIds, cancellationToken);
+            await _fileStorageService.CleanupEmptyDirectoriesAsync(subTenantId, descendantTenantIds, cancellationToken);
+
+            bool deleted = await _tenantConfigurationService.DeleteSubTenantAsync(parentTenantId, subTenantId);
+            if (deleted)
+            {
+                _logger.LogInformation("Purged subtenant {SubTenantId} from the trash with {DeletedFiles} files and {DescendantCount} subtenants",
+                    subTenantId, deletedFiles, descendantTenantIds.Count);
+            }
+
+            return deleted;
+        }
+
+        /// <inheritdoc/>
+        public async Task<int> PurgeExpiredItemsAsync(CancellationToken cancellationToken = default)
+        {
+            DateTimeOffset now = DateTimeOffset.UtcNow;
+            int purgedCount = 0;
+
+            foreach (string rootTenantId in _tenantConfigurationService.GetConfiguration().Tenants.Keys.ToList())
+            {
+                TrashContentsResponse trash = await GetTrashContentsAsync(rootTenantId, cancellationToken);
+
+                foreach (TrashedFile file in trash.Files.Where(file => file.PurgeAt <= now))
+                {
+                    cancellationToken.ThrowIfCancellationRequested();
+
+                    try
+                    {
+                        if (await _fileStorageService.PurgeTrashedFileAsync(file.TenantId, file.File.Id, cancellationToken) == true)
+                        {
+                            purgedCount++;
+                            await RecordExpiredPurgeAsync(AuditAction.FilePurged, file.TenantId, file.File.Id.ToString(), file.File.OriginalFilename);
+                        }
+                    }
+                    catch (Exception ex) when (ex is not OperationCanceledException)
+                    {
+                        _logger.LogError(ex, "Failed to purge file {FileId} of tenant {TenantId} from the trash", file.File.Id, file.TenantId);
+                    }
+                }
+
+                foreach (TrashedFolder folder in trash.Folders.Where(folder => folder.PurgeAt <= now))
+                {
+                    cancellationToken.ThrowIfCancellationRequested();
+
+                    try
+                    {
+                        if (await PurgeFolderAsync(rootTenantId, folder.TenantId, cancellationToken))
+                        {
+                            purgedCount++;
+                            await RecordExpiredPurgeAsync(AuditAction.FolderPurged, rootTenantId, folder.TenantId, folder.DisplayName);
+                        }
+                    }
+                    catch (Exception ex) when (ex is not OperationCanceledException)
+                    {
+                        _logger.LogError(ex, "Failed to purge subtenant {SubTenantId} from the trash", folder.TenantId);
+                    }
+                }
+            }
+
+            if (purgedCount > 0)
+            {
+                _logger.LogInformation("Purged {PurgedCount} items that were in the trash for more than {RetentionDays} days", purgedCount, RetentionDays);
+            }
+
+            return purgedCount;
+        }
+
+        /// <summary>
+        /// Records an item that was purged because the retention period has passed in the audit log.
+        /// </summary>
+        /// <param name="action">The purge operation.</param>
+        /// <param name="targetTenantId">The ID of the tenant the item was purged from.</param>
+        /// <param name="targetId">The ID of the purged item.</param>
+        /// <param name="targetName">The name of the purged item.</param>
+        /// <returns>A task that represents the asynchronous operation.</returns>
+        private Task RecordExpiredPurgeAsync(AuditAction action, string targetTenantId, string targetId, string targetName)
+        {
+            return _auditLogService.RecordAsync(new AuditLogEntry
+            {
+                Timestamp = DateTimeOffset.UtcNow,
+                Action = action,
+                TargetTenantId = targetTenantId,
+                TargetId = targetId,
+                TargetName = targetName,
+                Details = $"In the trash for more than {RetentionDays} days",
+            });
+        }
+
+        /// <summary>
+        /// Recursively collects the trash of a tenant and of its subtenants.
+        /// </summary>
+        /// <param name="tenantId">The tenant ID.</param>
+        /// <param name="tenant">The tenant information.</param>
+        /// <param name="path">The subtenant folders from the requesting tenant down to this tenant.</param>
+        /// <param name="files">The list to add the deleted files to.</param>
+        /// <param name="folders">The list to add the deleted subtenants to.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>A task that represents the asynchronous operation.</returns>
+        private async Task CollectTrashAsync(
+            string tenantId,
+            TenantInfo tenant,
+            List<FolderPathSegment> path,
+            List<TrashedFile> files,
+            List<TrashedFolder> folders,
+            CancellationToken cancellationToken)
+        {
+            foreach (ShelfFileMetadata file in await _fileStorageService.GetTrashedFilesAsync(tenantId, cancellationToken))
+            {
+                files.Add(new TrashedFile(tenantId, path, file, GetPurgeTime(file.DeletedAt)));
+            }
+
+            foreach (KeyValuePair<string, TenantInfo> deletedSubTenant in tenant.DeletedSubTenants.ToList())
+            {
+                DateTimeOffset deletedAt = deletedSubTenant.Value.DeletedAt ?? DateTimeOffset.UtcNow;
+                long sizeBytes = _storageService.GetTotalLogicalUsageIncludingSubTenants(deletedSubTenant.Key);
+                folders.Add(new TrashedFolder(deletedSubTenant.Key, deletedSubTenant.Value.DisplayName, path, sizeBytes, deletedAt, GetPurgeTime(deletedAt)));
+            }
+
+            foreach (KeyValuePair<string, TenantInfo> subTenant in tenant.SubTenants.ToList())
+            {
+                List<FolderPathSegment> subTenantPath = new List<FolderPathSegment>(path)
+                {
+                    new FolderPathSegment(subTenant.Key, subTenant.Value.DisplayName)
+                };
+                await CollectTrashAsync(subTenant.Key, subTenant.Value, subTenantPath, files, folders, cancellationToken);
+            }
+        }
+
+        /// <summary>
+        /// Gets when an item that was deleted at a specific time will be purged.
+        /// </summary>
+        /// <param name="deletedAt">When the item was deleted, or <c>null</c> if that wasn't recorded, in which case the retention period starts now.</param>
+        /// <returns>When the item will be purged.</returns>
+        private DateTimeOffset GetPurgeTime(DateTimeOffset? deletedAt)
+        {
+            return (deletedAt ?? DateTimeOffset.UtcNow).AddDays(RetentionDays);
+        }
+    }
+}
@@ -236,7 +236,8 @@ namespace ByteShelfClient.Tests
 
             // Setup file upload responses
             _messageHandler.SetupResponse("api/chunks/*", "OK", HttpStatusCode.OK);
-            _messageHandler.SetupResponse("api/files/metadata", "OK", HttpStatusCode.Created);
+            ShelfFileMetadata savedMetadata = new ShelfFileMetadata(Guid.NewGuid(), filename, contentType, content.Length, new List<Guid>());
+            _messageHandler.SetupResponse("api/files/metadata", JsonSerializer.Serialize(savedMetadata), HttpStatusCode.Created);
 
             // Act
             Guid fileId = await providerWithApiKey.WriteFileWithQuotaCheckAsync(filename, contentType, contentStream);
@@ -123,6 +123,27 @@ namespace ByteShelfClient.Tests
             Assert.IsNotNull(result.GetContentStream());
         }
 
+        [TestMethod]
+        public async Task ReadFileAsync_WithChunkedOption_RequestsChunksWithFileId()
+        {
+            // Arrange
+            Guid fileId = Guid.NewGuid();
+            ShelfFileMetadata metadata = new ShelfFileMetadata(fileId, "test.txt", "text/plain", 12, new List<Guid> { Guid.NewGuid() });
+            _messageHandler.SetupResponse($"api/files/{fileId}/metadata", JsonSerializer.Serialize(metadata));
+            _messageHandler.SetupResponse($"api/chunks/{metadata.ChunkIds[0]}", "Hello World!");
+
+            // Act
+            ShelfFile result = await _provider.ReadFileAsync(fileId, useChunked: true);
+            using (StreamReader reader = new StreamReader(result.GetContentStream()))
+            {
+                await reader.ReadToEndAsync();
+            }
+
+            // Assert
+            HttpRequestMessage chunkRequest = _messageHandler.Requests.Single(r => r.RequestUri!.PathAndQuery.Contains("api/chunks/"));
+            StringAssert.EndsWith(chunkRequest.RequestUri!.PathAndQuery, $"?fileId={fileId}");
+        }
+
         [TestMethod]
         public async Task WriteFileAsync_UploadsChunksAndMetadata()
         {
@@ -136,7 +157,7 @@ namespace ByteShelfClient.Tests
             string configJson = JsonSerializer.Serialize(config);
             _messageHandler.SetupResponse("api/config/chunk-size", configJson);
             _messageHandler.SetupResponse("api/chunks/*", "OK", HttpStatusCode.OK);
-            _messageHandler.SetupResponse("api/files/metadata", "OK", HttpStatusCode.Created);
+            _messageHandler.SetupResponse("api/files/metadata", CreateSavedMetadataJson(filename, contentType), HttpStatusCode.Created);
 
             // Act
             Guid fileId = await _provider.WriteFileAsync(filename, contentType, contentStream);
@@ -146,6 +167,25 @@ namespace ByteShelfClient.Tests
             Assert.IsTrue(_messageHandler.Requests.Count > 0);
         }
 
+        [TestMethod]
+        public async Task WriteFileAsync_WhenServerKeepsExistingFile_ReturnsItsId()
+        {
+            // Arrange
+            Guid existingFileId = Guid.NewGuid();
+            using MemoryStream contentStream = new MemoryStream(Encoding.UTF8.GetBytes("New version"));
+
+            object config = new { ChunkSizeBytes = 1024 };
+            _messageHandler.SetupResponse("api/config/chunk-size", JsonSerializer.Serialize(config));
+            _messageHandler.SetupResponse("api/chunks/*", "OK", HttpStatusCode.OK);
+            _messageHandler.SetupResponse("api/files/metadata", CreateSavedMetadataJson("test.txt", "text/plain", existingFileId), HttpStatusCode.Created);
+
+            // Act
+            Guid fileId = await _provider.WriteFileAsync("test.txt", "text/plain", contentStream);
+
+            // Assert
+            Assert.AreEqual(existingFileId, fileId);
+        }
+
         [TestMethod]
         public async Task WriteFileAsync_WithLargeFile_CreatesMultipleChunks()
         {
@@ -159,7 +199,7 @@ namespace ByteShelfClient.Tests
             string configJson = JsonSerializer.Serialize(config);
             _messageHandler.SetupResponse("api/config/chunk-size", configJson);
             _messageHandler.SetupResponse("api/chunks/*", "OK", HttpStatusCode.OK);
-            _messageHandler.SetupResponse("api/files/metadata", "OK", HttpStatusCode.Created);
+            _messageHandler.SetupResponse("api/files/metadata", CreateSavedMetadataJson(filename, contentType), HttpStatusCode.Created);
 
             // Act
             Guid fileId = await _provider.WriteFileAsync(filename, contentType, contentStream);
@@ -171,6 +211,95 @@ namespace ByteShelfClient.Tests
             Assert.IsTrue(chunkRequests >= 3);
         }
 
+        [TestMethod]
+        public async Task GetFilesAsync_WithFilter_SendsTagsAndAttributesAsQuery()
+        {
+            // Arrange
+            _messageHandler.SetupResponse("api/files", "[]");
+            FileLabels filter = new FileLabels
+            {
+                Tags = new List<string> { "release" },
+                Attributes = new Dictionary<string, string> { ["project"] = "apollo 2", ["build"] = string.Empty }
+            };
+
+            // Act
+            await _provider.GetFilesAsync(filter);
+
+            // Assert
+            Assert.AreEqual(
+                "/api/files?tag=release&attribute=project%3Dapollo%202&attribute=build",
+                _messageHandler.Requests[0].RequestUri!.PathAndQuery);
+        }
+
+        [TestMethod]
+        public async Task WriteFileAsync_WithLabels_SendsThemWithMetadata()
+        {
+            // Arrange
+            using MemoryStream contentStream = new MemoryStream(Encoding.UTF8.GetBytes("Build output"));
+            FileLabels labels = new FileLabels
+            {
+                Tags = new List<string> { "nightly" },
+                Attributes = new Dictionary<string, string> { ["build"] = "1234" }
+            };
+
+            object config = new { ChunkSizeBytes = 1024 };
+            _messageHandler.SetupResponse("api/config/chunk-size", JsonSerializer.Serialize(config));
+            _messageHandler.SetupResponse("api/chunks/*", "OK", HttpStatusCode.OK);
+            _messageHandler.SetupResponse("api/files/metadata", CreateSavedMetadataJson("build.zip", "application/zip"), HttpStatusCode.Created);
+
+            // Act
+            await _provider.WriteFileAsync("build.zip", "application/zip", contentStream, labels);
+
+            // Assert
+            HttpRequestMessage metadataRequest = _messageHandler.Requests.Single(r => r.RequestUri!.PathAndQuery.Contains("api/files/metadata"));
+            ShelfFileMetadata? sentMetadata = JsonSerializer.Deserialize<ShelfFileMetadata>(
+                await metadataRequest.Content!.ReadAsStringAsync(),
+                new JsonSerializerOptions { PropertyNameCaseInsensitive = true });
+            Assert.IsNotNull(sentMetadata);
+            CollectionAssert.AreEqual(new List<string> { "nightly" }, sentMetadata.Tags);
+            Assert.AreEqual("1234", sentMetadata.Attributes!["build"]);
+        }
+
+        [TestMethod]
+        public async Task UpdateFileLabelsAsync_ReturnsUpdatedMetadata()
+        {
+            // Arrange
+            Guid fileId = Guid.NewGuid();
+            ShelfFileMetadata updated = new ShelfFileMetadata(fileId, "build.zip", "application/zip", 0, new List<Guid>())
+            {
+                Tags = new List<string> { "release" }
+            };
+            _messageHandler.SetupResponse($"api/files/{fileId}/labels", JsonSerializer.Serialize(updated));
+
+            // Act
+            ShelfFileMetadata result = await _provider.UpdateFileLabelsAsync(fileId, new FileLabels { Tags = new List<string> { "release" } });
+
+            // Assert
+            Assert.AreEqual(fileId, result.Id);
+            CollectionAssert.AreEqual(new List<string> { "release" }, result.Tags);
+            Assert.AreEqual(HttpMethod.Put, _messageHandler.Requests[0].Method);
+        }
+
+        [TestMethod]
+        public async Task UpdateFileLabelsAsync_WithBadRequestResponse_ThrowsArgumentException()
+        {
+            // Arrange
+            Guid fileId = Guid.NewGuid();
+            _messageHandler.SetupResponse($"api/files/{fileId}/labels", "Attribute key cannot contain \"=\"", HttpStatusCode.BadRequest);
+
+            // Act & Assert
+            await Assert.ThrowsExceptionAsync<ArgumentException>(() =>
+                _provider.UpdateFileLabelsAsync(fileId, new FileLabels { Attributes = new Dictionary<string, string> { ["a=b"] = "c" } }));
+        }
+
+        [TestMethod]
+        public async Task UpdateFileLabelsAsync_WhenFileNotFound_ThrowsFileNotFoundException()
+        {
+            // Act & Assert
+            await Assert.ThrowsExceptionAsync<FileNotFoundException>(() =>
+                _provider.UpdateFileLabelsAsync(Guid.NewGuid(), new FileLabels()));
+        }
+
         [TestMethod]
         public async Task DeleteFileAsync_SendsDeleteRequest()
         {
@@ -955,6 +1084,10 @@ namespace ByteShelfClient.Tests
             Assert.AreEqual(HttpMethod.Delete, _messageHandler.Requests[0].Method);
         }
 
-
+        private static string CreateSavedMetadataJson(string filename, string contentType, Guid? fileId = null)
+        {
+            ShelfFileMetadata metadata = new ShelfFileMetadata(fileId ?? Guid.NewGuid(), filename, contentType, 0, new List<Guid>());
+            return JsonSerializer.Serialize(metadata);
+        }
     }
 }
\ No newline at end of file
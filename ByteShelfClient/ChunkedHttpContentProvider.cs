@@ -37,7 +37,7 @@ namespace ByteShelfClient
         /// <returns>A stream that reads from the HTTP chunks.</returns>
         public Stream GetStream()
         {
-            return new ChunkedStream(_httpClient, _chunkIds, _cancellationToken);
+            return new ChunkedStream(_httpClient, _fileId, _chunkIds, _cancellationToken);
         }
 
         /// <summary>
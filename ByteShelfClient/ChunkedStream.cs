@@ -6,6 +6,7 @@ namespace ByteShelfClient
     internal class ChunkedStream : Stream
     {
         private readonly HttpClient _httpClient;
+        private readonly Guid _fileId;
         private readonly List<Guid> _chunkIds;
         private readonly CancellationToken _cancellationToken;
         private int _currentChunkIndex;
@@ -16,14 +17,17 @@ namespace ByteShelfClient
         /// Initializes a new instance of the <see cref="ChunkedStream"/> class.
         /// </summary>
         /// <param name="httpClient">The HTTP client to use for chunk requests.</param>
+        /// <param name="fileId">The ID of the file the chunks belong to, which the server records the download of.</param>
         /// <param name="chunkIds">The list of chunk IDs to read from.</param>
         /// <param name="cancellationToken">A cancellation token.</param>
         public ChunkedStream(
             HttpClient httpClient,
+            Guid fileId,
             List<Guid> chunkIds,
             CancellationToken cancellationToken)
         {
             _httpClient = httpClient;
+            _fileId = fileId;
             _chunkIds = chunkIds;
             _cancellationToken = cancellationToken;
             _currentChunkIndex = 0;
@@ -113,7 +117,7 @@ namespace ByteShelfClient
 
             Guid chunkId = _chunkIds[_currentChunkIndex];
             HttpResponseMessage response = await _httpClient.GetAsync(
-                NormalizePath($"api/chunks/{chunkId}"),
+                NormalizePath($"api/chunks/{chunkId}?fileId={_fileId}"),
                 _cancellationToken);
 
             response.EnsureSuccessStatusCode();
@@ -127,6 +127,33 @@ namespace ByteShelfClient
             return response ?? new List<ShelfFileMetadata>();
         }
 
+        /// <summary>
+        /// Retrieves metadata for the stored files that have all of the specified tags and attributes.
+        /// </summary>
+        /// <param name="filter">The tags and attributes the files must have. An attribute with an empty value matches any value.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>A collection of file metadata for the matching files.</returns>
+        /// <exception cref="ArgumentNullException">Thrown when <paramref name="filter"/> is null.</exception>
+        /// <exception cref="HttpRequestException">Thrown when the HTTP request fails or returns an error status code.</exception>
+        /// <remarks>
+        /// This method makes a GET request to the "/api/files" endpoint with "tag" and "attribute" query parameters.
+        /// Tags, attribute keys and attribute values are compared case-insensitively.
+        /// Returns an empty collection if no files match.
+        /// </remarks>
+        public async Task<IEnumerable<ShelfFileMetadata>> GetFilesAsync(
+            FileLabels filter,
+            CancellationToken cancellationToken = default)
+        {
+            if (filter == null) throw new ArgumentNullException(nameof(filter));
+
+            List<ShelfFileMetadata>? response = await _httpClient.GetFromJsonAsync<List<ShelfFileMetadata>>(
+                NormalizePath($"api/files{CreateLabelQuery(filter)}"),
+                _jsonOptions,
+                cancellationToken);
+
+            return response ?? new List<ShelfFileMetadata>();
+        }
+
         /// <summary>
         /// Retrieves metadata for all stored files from a specific tenant.
         /// </summary>
@@ -285,12 +312,42 @@ namespace ByteShelfClient
         /// 2. Splits the content into chunks if it exceeds the chunk size
         /// 3. Uploads each chunk to "/api/chunks/{chunkId}"
         /// 4. Creates and uploads the file metadata to "/api/files/metadata"
+        /// If the tenant already has a file with the same name, the content becomes a new version of it
+        /// and that file's identifier is returned.
         /// The content stream will be read from its current position to the end.
         /// </remarks>
+        public Task<Guid> WriteFileAsync(
+            string originalFilename,
+            string contentType,
+            Stream content,
+            CancellationToken cancellationToken = default)
+        {
+            return WriteFileAsync(originalFilename, contentType, content, null, cancellationToken);
+        }
+
+        /// <summary>
+        /// Writes a file with tags and key/value attributes to the server, automatically chunking it if necessary.
+        /// </summary>
+        /// <param name="originalFilename">The original filename of the file being stored.</param>
+        /// <param name="contentType">The MIME type of the file content.</param>
+        /// <param name="content">A stream containing the file content to be stored.</param>
+        /// <param name="labels">The tags and attributes to label the file with, or <c>null</c> for none.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The unique identifier assigned to the stored file.</returns>
+        /// <exception cref="ArgumentNullException">Thrown when <paramref name="originalFilename"/>, <paramref name="contentType"/>, or <paramref name="content"/> is null.</exception>
+        /// <exception cref="ArgumentException">Thrown when <paramref name="originalFilename"/> or <paramref name="contentType"/> is empty.</exception>
+        /// <exception cref="HttpRequestException">Thrown when any HTTP request fails or returns an error status code.</exception>
+        /// <exception cref="InvalidOperationException">Thrown when the server configuration cannot be retrieved.</exception>
+        /// <remarks>
+        /// This works like <see cref="WriteFileAsync(string, string, Stream, CancellationToken)"/>, with the labels
+        /// sent along with the file metadata. If the upload becomes a new version of an existing file and has
+        /// no labels, the file keeps the labels it had.
+        /// </remarks>
         public async Task<Guid> WriteFileAsync(
             string originalFilename,
             string contentType,
             Stream content,
+            FileLabels? labels,
             CancellationToken cancellationToken = default)
         {
             if (originalFilename == null) throw new ArgumentNullException(nameof(originalFilename));
@@ -339,7 +396,11 @@ namespace ByteShelfClient
                 originalFilename,
                 contentType,
                 totalBytesRead,
-                chunkIds);
+                chunkIds)
+            {
+                Tags = labels?.Tags,
+                Attributes = labels?.Attributes
+            };
 
             HttpResponseMessage metadataResponse = await _httpClient.PostAsJsonAsync(
                 NormalizePath("api/files/metadata"),
@@ -350,7 +411,51 @@ namespace ByteShelfClient
             if (!metadataResponse.IsSuccessStatusCode)
                 throw new Exception($"Failed to create file metadata: {await metadataResponse.Content.ReadAsStringAsync()}");
 
-            return fileId;
+            // A file with the same name already on the server gets a new version, and keeps its own ID
+            ShelfFileMetadata? savedMetadata = await metadataResponse.Content.ReadFromJsonAsync<ShelfFileMetadata>(_jsonOptions, cancellationToken);
+            return savedMetadata?.Id ?? fileId;
+        }
+
+        /// <summary>
+        /// Replaces the tags and key/value attributes of a file on the server.
+        /// </summary>
+        /// <param name="fileId">The unique identifier of the file.</param>
+        /// <param name="labels">The new tags and attributes, which replace all previous ones.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The updated file metadata.</returns>
+        /// <exception cref="ArgumentNullException">Thrown when <paramref name="labels"/> is null.</exception>
+        /// <exception cref="ArgumentException">Thrown when the server does not allow a tag or an attribute.</exception>
+        /// <exception cref="FileNotFoundException">Thrown when the specified file does not exist on the server.</exception>
+        /// <exception cref="HttpRequestException">Thrown when the HTTP request fails or returns an error status code.</exception>
+        /// <remarks>
+        /// This method makes a PUT request to the "/api/files/{fileId}/labels" endpoint.
+        /// The limits on labels are described by <see cref="FileLabelValidator"/>.
+        /// </remarks>
+        public async Task<ShelfFileMetadata> UpdateFileLabelsAsync(Guid fileId, FileLabels labels, CancellationToken cancellationToken = default)
+        {
+            if (labels == null) throw new ArgumentNullException(nameof(labels));
+
+            HttpResponseMessage response = await _httpClient.PutAsJsonAsync(
+                NormalizePath($"api/files/{fileId}/labels"),
+                labels,
+                _jsonOptions,
+                cancellationToken);
+
+            if (response.StatusCode == System.Net.HttpStatusCode.NotFound)
+            {
+                throw new FileNotFoundException($"File with ID {fileId} not found");
+            }
+
+            if (response.StatusCode == System.Net.HttpStatusCode.BadRequest)
+            {
+                string errorContent = await response.Content.ReadAsStringAsync(cancellationToken);
+                throw new ArgumentException($"Cannot update file labels: {errorContent}", nameof(labels));
+            }
+
+            response.EnsureSuccessStatusCode();
+
+            ShelfFileMetadata? metadata = await response.Content.ReadFromJsonAsync<ShelfFileMetadata>(_jsonOptions, cancellationToken);
+            return metadata ?? throw new HttpRequestException("Failed to parse update file labels response");
         }
 
         /// <summary>
@@ -373,6 +478,8 @@ namespace ByteShelfClient
         /// 2. Splits the content into chunks if it exceeds the chunk size
         /// 3. Uploads each chunk to "/api/chunks/{targetTenantId}/{chunkId}"
         /// 4. Creates and uploads the file metadata to "/api/files/{targetTenantId}/metadata"
+        /// If the tenant already has a file with the same name, the content becomes a new version of it
+        /// and that file's identifier is returned.
         /// The authenticated tenant must have access to the specified tenant (either be the same tenant or a parent).
         /// The content stream will be read from its current position to the end.
         /// </remarks>
@@ -449,7 +556,9 @@ namespace ByteShelfClient
                     throw new Exception($"Failed to create file metadata: {await metadataResponse.Content.ReadAsStringAsync()}");
                 }
 
-                return fileId;
+                // A file with the same name already in the tenant gets a new version, and keeps its own ID
+                ShelfFileMetadata? savedMetadata = await metadataResponse.Content.ReadFromJsonAsync<ShelfFileMetadata>(_jsonOptions, cancellationToken);
+                return savedMetadata?.Id ?? fileId;
             }
             catch (HttpRequestException ex) when (ex.StatusCode == System.Net.HttpStatusCode.Unauthorized || ex.StatusCode == System.Net.HttpStatusCode.Forbidden)
             {
@@ -972,6 +1081,29 @@ namespace ByteShelfClient
             response.EnsureSuccessStatusCode();
         }
 
+        /// <summary>
+        /// Creates the query string that filters the file list by tags and attributes.
+        /// </summary>
+        /// <param name="filter">The tags and attributes the files must have.</param>
+        /// <returns>The query string including the leading "?", or an empty string if there is nothing to filter by.</returns>
+        private static string CreateLabelQuery(FileLabels filter)
+        {
+            List<string> parameters = new List<string>();
+
+            foreach (string tag in filter.Tags ?? new List<string>())
+            {
+                parameters.Add($"tag={Uri.EscapeDataString(tag)}");
+            }
+
+            foreach (KeyValuePair<string, string> attribute in filter.Attributes ?? new Dictionary<string, string>())
+            {
+                string value = string.IsNullOrEmpty(attribute.Value) ? attribute.Key : $"{attribute.Key}={attribute.Value}";
+                parameters.Add($"attribute={Uri.EscapeDataString(value)}");
+            }
+
+            return parameters.Count > 0 ? "?" + string.Join("&", parameters) : string.Empty;
+        }
+
         /// <summary>
         /// Reads a file using the efficient single endpoint approach.
         /// </summary>
@@ -0,0 +1,113 @@
+using Microsoft.VisualStudio.TestTools.UnitTesting;
+
+namespace ByteShelfCommon.Tests
+{
+    [TestClass]
+    public class FileLabelValidatorTests
+    {
+        [TestMethod]
+        public void NormalizeTags_TrimsAndDropsDuplicatesIgnoringCase()
+        {
+            // Act
+            List<string>? tags = FileLabelValidator.NormalizeTags(new[] { " release", "nightly ", "Release" });
+
+            // Assert
+            CollectionAssert.AreEqual(new List<string> { "release", "nightly" }, tags);
+        }
+
+        [TestMethod]
+        public void NormalizeTags_WithoutTags_ReturnsNull()
+        {
+            // Act & Assert
+            Assert.IsNull(FileLabelValidator.NormalizeTags(null));
+            Assert.IsNull(FileLabelValidator.NormalizeTags(new List<string>()));
+        }
+
+        [TestMethod]
+        public void NormalizeAttributes_TrimsAndKeepsLastOfKeysThatDifferInCase()
+        {
+            // Arrange
+            List<KeyValuePair<string, string>> attributes = new List<KeyValuePair<string, string>>
+            {
+                new KeyValuePair<string, string>(" project ", " apollo "),
+                new KeyValuePair<string, string>("Project", "gemini")
+            };
+
+            // Act
+            Dictionary<string, string>? normalized = FileLabelValidator.NormalizeAttributes(attributes);
+
+            // Assert
+            Assert.IsNotNull(normalized);
+            Assert.AreEqual(1, normalized.Count);
+            Assert.AreEqual("Project", normalized.Keys.Single());
+            Assert.AreEqual("gemini", normalized["project"]);
+        }
+
+        [TestMethod]
+        public void GetValidationError_WithValidLabels_ReturnsNull()
+        {
+            // Arrange
+            List<string> tags = new List<string> { "release", "retention: 90 days" };
+            Dictionary<string, string> attributes = new Dictionary<string, string> { ["build"] = "1234", ["notes"] = string.Empty };
+
+            // Act & Assert
+            Assert.IsNull(FileLabelValidator.GetValidationError(tags, attributes));
+            Assert.IsNull(FileLabelValidator.GetValidationError(null, null));
+        }
+
+        [TestMethod]
+        public void GetValidationError_WithEmptyTagOrKey_ReturnsMessage()
+        {
+            // Act & Assert
+            Assert.IsNotNull(FileLabelValidator.GetValidationError(new List<string> { string.Empty }, null));
+            Assert.IsNotNull(FileLabelValidator.GetValidationError(null, new Dictionary<string, string> { [" "] = "value" }));
+        }
+
+        [TestMethod]
+        public void GetValidationError_WithEqualsSignInKey_ReturnsMessage()
+        {
+            // Act
+            string? error = FileLabelValidator.GetValidationError(null, new Dictionary<string, string> { ["a=b"] = "c" });
+
+            // Assert
+            Assert.IsNotNull(error);
+            Assert.IsNull(FileLabelValidator.GetValidationError(null, new Dictionary<string, string> { ["a"] = "b=c" }));
+        }
+
+        [TestMethod]
+        public void GetValidationError_WithControlCharacter_ReturnsMessage()
+        {
+            // Act & Assert
+            Assert.IsNotNull(FileLabelValidator.GetValidationError(new List<string> { "line\nbreak" }, null));
+            Assert.IsNotNull(FileLabelValidator.GetValidationError(null, new Dictionary<string, string> { ["notes"] = "line\nbreak" }));
+        }
+
+        [TestMethod]
+        public void GetValidationError_WithTooLongLabels_ReturnsMessage()
+        {
+            // Arrange
+            string longName = new string('a', FileLabelValidator.MaxNameLength + 1);
+            string longValue = new string('a', FileLabelValidator.MaxValueLength + 1);
+
+            // Act & Assert
+            Assert.IsNotNull(FileLabelValidator.GetValidationError(new List<string> { longName }, null));
+            Assert.IsNotNull(FileLabelValidator.GetValidationError(null, new Dictionary<string, string> { [longName] = "value" }));
+            Assert.IsNotNull(FileLabelValidator.GetValidationError(null, new Dictionary<string, string> { ["key"] = longValue }));
+            Assert.IsNull(FileLabelValidator.GetValidationError(new List<string> { longName.Substring(1) }, new Dictionary<string, string> { ["key"] = longValue.Substring(1) }));
+        }
+
+        [TestMethod]
+        public void GetValidationError_WithTooManyTags_ReturnsMessage()
+        {
+            // Arrange
+            List<string> tags = Enumerable.Range(0, FileLabelValidator.MaxTags + 1).Select(index => $"tag{index}").ToList();
+
+            // Act
+            string? error = FileLabelValidator.GetValidationError(tags, null);
+
+            // Assert
+            Assert.IsNotNull(error);
+            Assert.IsNull(FileLabelValidator.GetValidationError(tags.Skip(1).ToList(), null));
+        }
+    }
+}
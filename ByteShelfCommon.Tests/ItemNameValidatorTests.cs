@@ -0,0 +1,91 @@
+using Microsoft.VisualStudio.TestTools.UnitTesting;
+
+namespace ByteShelfCommon.Tests
+{
+    [TestClass]
+    public class ItemNameValidatorTests
+    {
+        [TestMethod]
+        public void GetValidationError_WithValidNames_ReturnsNull()
+        {
+            // Act & Assert
+            Assert.IsNull(ItemNameValidator.GetValidationError("report.pdf"));
+            Assert.IsNull(ItemNameValidator.GetValidationError("Photos 2024"));
+            Assert.IsNull(ItemNameValidator.GetValidationError(".hidden"));
+            Assert.IsNull(ItemNameValidator.GetValidationError("résumé (final).docx"));
+        }
+
+        [TestMethod]
+        public void GetValidationError_WithEmptyName_ReturnsMessage()
+        {
+            // Act & Assert
+            Assert.IsNotNull(ItemNameValidator.GetValidationError(null));
+            Assert.IsNotNull(ItemNameValidator.GetValidationError(string.Empty));
+            Assert.IsNotNull(ItemNameValidator.GetValidationError("   "));
+        }
+
+        [TestMethod]
+        public void GetValidationError_WithPathLikeName_ReturnsMessage()
+        {
+            // Act & Assert
+            Assert.IsNotNull(ItemNameValidator.GetValidationError("."));
+            Assert.IsNotNull(ItemNameValidator.GetValidationError(".."));
+            Assert.IsNotNull(ItemNameValidator.GetValidationError("folder/file.txt"));
+            Assert.IsNotNull(ItemNameValidator.GetValidationError("folder\\file.txt"));
+        }
+
+        [TestMethod]
+        public void GetValidationError_WithControlCharacter_ReturnsMessage()
+        {
+            // Act
+            string? error = ItemNameValidator.GetValidationError("line\nbreak");
+
+            // Assert
+            Assert.IsNotNull(error);
+        }
+
+        [TestMethod]
+        public void GetValidationError_WithTooLongName_ReturnsMessage()
+        {
+            // Arrange
+            string name = new string('a', ItemNameValidator.MaxNameLength + 1);
+
+            // Act
+            string? error = ItemNameValidator.GetValidationError(name);
+
+            // Assert
+            Assert.IsNotNull(error);
+            Assert.IsNull(ItemNameValidator.GetValidationError(name.Substring(1)));
+        }
+
+        [TestMethod]
+        public void GetUniqueName_WhenNameIsFree_ReturnsName()
+        {
+            // Act
+            string name = ItemNameValidator.GetUniqueName("report.pdf", new[] { "other.pdf" }, true);
+
+            // Assert
+            Assert.AreEqual("report.pdf", name);
+        }
+
+        [TestMethod]
+        public void GetUniqueName_WhenNameIsTaken_AddsNumberBeforeExtension()
+        {
+            // Act
+            string name = ItemNameValidator.GetUniqueName("report.pdf", new[] { "Report.pdf", "report (2).pdf" }, true);
+
+            // Assert
+            Assert.AreEqual("report (3).pdf", name);
+        }
+
+        [TestMethod]
+        public void GetUniqueName_WithoutKeepingExtension_AddsNumberAtEnd()
+        {
+            // Act
+            string name = ItemNameValidator.GetUniqueName("Photos 1.5", new[] { "Photos 1.5" }, false);
+
+            // Assert
+            Assert.AreEqual("Photos 1.5 (2)", name);
+        }
+    }
+}
@@ -70,6 +70,66 @@ namespace ByteShelfCommon.Tests
             Assert.AreEqual(originalMetadata.CreatedAt, deserializedMetadata.CreatedAt);
         }
 
+        [TestMethod]
+        public void JsonSerialization_WithEncryption_PreservesEncryptionInfo()
+        {
+            // Arrange
+            ShelfFileMetadata originalMetadata = new ShelfFileMetadata(
+                Guid.NewGuid(),
+                "secret.csv",
+                "text/csv",
+                2048,
+                new List<Guid> { Guid.NewGuid() })
+            {
+                Encryption = new FileEncryptionInfo
+                {
+                    Algorithm = "AES-GCM",
+                    KeyDerivation = "PBKDF2-SHA256",
+                    Iterations = 600000,
+                    Salt = "c2FsdHNhbHRzYWx0c2FsdA==",
+                    PlaintextChunkSize = 1048576,
+                },
+            };
+
+            JsonSerializerOptions options = new JsonSerializerOptions
+            {
+                PropertyNameCaseInsensitive = true,
+            };
+
+            // Act
+            string json = JsonSerializer.Serialize(originalMetadata, options);
+            ShelfFileMetadata? deserializedMetadata = JsonSerializer.Deserialize<ShelfFileMetadata>(json, options);
+
+            // Assert
+            Assert.IsNotNull(deserializedMetadata);
+            Assert.IsNotNull(deserializedMetadata.Encryption);
+            Assert.AreEqual("AES-GCM", deserializedMetadata.Encryption.Algorithm);
+            Assert.AreEqual("PBKDF2-SHA256", deserializedMetadata.Encryption.KeyDerivation);
+            Assert.AreEqual(600000, deserializedMetadata.Encryption.Iterations);
+            Assert.AreEqual("c2FsdHNhbHRzYWx0c2FsdA==", deserializedMetadata.Encryption.Salt);
+            Assert.AreEqual(1048576, deserializedMetadata.Encryption.PlaintextChunkSize);
+        }
+
+        [TestMethod]
+        public void JsonSerialization_WithoutEncryption_LeavesEncryptionNull()
+        {
+            // Arrange
+            ShelfFileMetadata originalMetadata = new ShelfFileMetadata(
+                Guid.NewGuid(),
+                "plain.txt",
+                "text/plain",
+                10,
+                new List<Guid> { Guid.NewGuid() });
+
+            // Act
+            string json = JsonSerializer.Serialize(originalMetadata);
+            ShelfFileMetadata? deserializedMetadata = JsonSerializer.Deserialize<ShelfFileMetadata>(json);
+
+            // Assert
+            Assert.IsNotNull(deserializedMetadata);
+            Assert.IsNull(deserializedMetadata.Encryption);
+        }
+
         [TestMethod]
         public void JsonSerialization_WithEmptyChunkList_WorksCorrectly()
         {
@@ -0,0 +1,122 @@
+namespace ByteShelfCommon
+{
+    /// <summary>
+    /// Describes an API key as shown to the tenant that owns it, without the key itself.
+    /// </summary>
+    public class ApiKeyInfo
+    {
+        /// <summary>
+        /// Initializes a new instance of the <see cref="ApiKeyInfo"/> class.
+        /// </summary>
+        /// <param name="apiKey">The stored key to describe.</param>
+        /// <param name="isCurrent">Whether the request that asks for the description was made with the key.</param>
+        /// <exception cref="ArgumentNullException">Thrown when <paramref name="apiKey"/> is null.</exception>
+        public ApiKeyInfo(TenantApiKey apiKey, bool isCurrent)
+        {
+            if (apiKey == null)
+                throw new ArgumentNullException(nameof(apiKey));
+
+            Id = apiKey.Id;
+            Name = apiKey.Name;
+            Hint = apiKey.Hint;
+            Scopes = apiKey.Scopes.ToList();
+            CreatedAt = apiKey.CreatedAt;
+            ExpiresAt = apiKey.ExpiresAt;
+            LastUsedAt = apiKey.LastUsedAt;
+            IsCurrent = isCurrent;
+        }
+
+        /// <summary>
+        /// Initializes a new instance of the <see cref="ApiKeyInfo"/> class that describes the key a tenant was created with.
+        /// </summary>
+        /// <param name="tenant">The tenant whose key to describe.</param>
+        /// <param name="isCurrent">Whether the request that asks for the description was made with the key.</param>
+        /// <exception cref="ArgumentNullException">Thrown when <paramref name="tenant"/> is null.</exception>
+        /// <remarks>
+        /// The key has full access, and administrative privileges if the tenant has them.
+        /// </remarks>
+        public ApiKeyInfo(TenantInfo tenant, bool isCurrent)
+        {
+            if (tenant == null)
+                throw new ArgumentNullException(nameof(tenant));
+
+            Id = TenantApiKey.TenantKeyId;
+            Name = TenantApiKey.TenantKeyName;
+            Hint = tenant.ApiKey.Length > 4 ? $"…{tenant.ApiKey.Substring(tenant.ApiKey.Length - 4)}" : string.Empty;
+            Scopes = tenant.IsAdmin ? new List<ApiKeyScope> { ApiKeyScope.Admin } : new List<ApiKeyScope>();
+            CreatedAt = tenant.ApiKeyCreatedAt;
+            LastUsedAt = tenant.ApiKeyLastUsedAt;
+            IsCurrent = isCurrent;
+        }
+
+        /// <summary>
+        /// Gets the unique identifier of the key.
+        /// </summary>
+        public Guid Id { get; }
+
+        /// <summary>
+        /// Gets the name the key is listed with.
+        /// </summary>
+        public string Name { get; }
+
+        /// <summary>
+        /// Gets the last characters of the key after an ellipsis.
+        /// </summary>
+        public string Hint { get; }
+
+        /// <summary>
+        /// Gets what the key is allowed to do, or an empty list for full access to the tenant's files.
+        /// </summary>
+        public List<ApiKeyScope> Scopes { get; }
+
+        /// <summary>
+        /// Gets when the key was generated or last rotated, or <c>null</c> if that isn't known, as for a tenant key that was never rotated.
+        /// </summary>
+        public DateTimeOffset? CreatedAt { get; }
+
+        /// <summary>
+        /// Gets when the key stops working, or <c>null</c> if it doesn't expire.
+        /// </summary>
+        public DateTimeOffset? ExpiresAt { get; }
+
+        /// <summary>
+        /// Gets when the key was last used to authenticate, or <c>null</c> if it hasn't been used.
+        /// </summary>
+        public DateTimeOffset? LastUsedAt { get; }
+
+        /// <summary>
+        /// Gets whether the request the key was listed by was made with this key.
+        /// </summary>
+        public bool IsCurrent { get; }
+    }
+
+    /// <summary>
+    /// Response for generating or rotating an API key.
+    /// </summary>
+    /// <remarks>
+    /// This is the only time the key itself is returned, since the server only stores a hash of it.
+    /// </remarks>
+    public class CreateApiKeyResponse
+    {
+        /// <summary>
+        /// Initializes a new instance of the <see cref="CreateApiKeyResponse"/> class.
+        /// </summary>
+        /// <param name="key">The generated key.</param>
+        /// <param name="info">The description of the key.</param>
+        public CreateApiKeyResponse(string key, ApiKeyInfo info)
+        {
+            Key = key;
+            Info = info;
+        }
+
+        /// <summary>
+        /// Gets the generated key, to be sent in the X-API-Key header.
+        /// </summary>
+        public string Key { get; }
+
+        /// <summary>
+        /// Gets the description of the key.
+        /// </summary>
+        public ApiKeyInfo Info { get; }
+    }
+}
@@ -0,0 +1,37 @@
+using System.Text.Json.Serialization;
+
+namespace ByteShelfCommon
+{
+    /// <summary>
+    /// A permission carried by a named API key of a tenant.
+    /// </summary>
+    /// <remarks>
+    /// A key without scopes can read, upload and delete, the same as the key a tenant is created with.
+    /// <see cref="ReadOnly"/>, <see cref="UploadOnly"/> and <see cref="NoDelete"/> narrow that down, and
+    /// keys with any of them can't create, rotate or revoke keys. Only <see cref="Admin"/> widens it.
+    /// </remarks>
+    [JsonConverter(typeof(JsonStringEnumConverter))]
+    public enum ApiKeyScope
+    {
+        /// <summary>
+        /// The key can list, search and download, but can't change anything.
+        /// </summary>
+        ReadOnly,
+
+        /// <summary>
+        /// The key can upload files, and read only what is needed for that, such as the storage quota and the folders.
+        /// Like <see cref="NoDelete"/>, it can't upload a new version of a file that would drop an earlier one.
+        /// </summary>
+        UploadOnly,
+
+        /// <summary>
+        /// The key can do everything except deleting files, folders and earlier versions of files.
+        /// </summary>
+        NoDelete,
+
+        /// <summary>
+        /// The key can use the administrative endpoints, if the tenant is an admin.
+        /// </summary>
+        Admin
+    }
+}
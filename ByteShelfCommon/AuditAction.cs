@@ -0,0 +1,141 @@
+using System.Text.Json.Serialization;
+
+namespace ByteShelfCommon
+{
+    /// <summary>
+    /// An operation recorded in the audit log.
+    /// </summary>
+    /// <remarks>
+    /// Folders are subtenants, so creating, renaming or deleting a folder is recorded as a folder action
+    /// while the same changes made to a tenant in the admin panel are recorded as tenant actions.
+    /// </remarks>
+    [JsonConverter(typeof(JsonStringEnumConverter))]
+    public enum AuditAction
+    {
+        /// <summary>
+        /// A file was uploaded, or a new version of it was.
+        /// </summary>
+        FileUploaded,
+
+        /// <summary>
+        /// A file, an earlier version of a file or a ZIP archive of files and folders was downloaded, whether in one
+        /// request or chunk by chunk.
+        /// </summary>
+        FileDownloaded,
+
+        /// <summary>
+        /// A file was moved to the trash.
+        /// </summary>
+        FileDeleted,
+
+        /// <summary>
+        /// A file was deleted forever from the trash, by hand or once it had been there for the retention period.
+        /// </summary>
+        FilePurged,
+
+        /// <summary>
+        /// A file was restored from the trash.
+        /// </summary>
+        FileRestored,
+
+        /// <summary>
+        /// A file was moved to another folder.
+        /// </summary>
+        FileMoved,
+
+        /// <summary>
+        /// A file was copied to another folder.
+        /// </summary>
+        FileCopied,
+
+        /// <summary>
+        /// A file was renamed.
+        /// </summary>
+        FileRenamed,
+
+        /// <summary>
+        /// The tags and attributes of a file were changed.
+        /// </summary>
+        FileLabelsUpdated,
+
+        /// <summary>
+        /// An earlier version of a file was restored.
+        /// </summary>
+        FileVersionRestored,
+
+        /// <summary>
+        /// A folder was created.
+        /// </summary>
+        FolderCreated,
+
+        /// <summary>
+        /// A folder was renamed or its storage limit was changed.
+        /// </summary>
+        FolderUpdated,
+
+        /// <summary>
+        /// A folder was moved to the trash.
+        /// </summary>
+        FolderDeleted,
+
+        /// <summary>
+        /// A folder was deleted forever from the trash, by hand or once it had been there for the retention period.
+        /// </summary>
+        FolderPurged,
+
+        /// <summary>
+        /// A folder was restored from the trash.
+        /// </summary>
+        FolderRestored,
+
+        /// <summary>
+        /// A tenant was created in the admin panel.
+        /// </summary>
+        TenantCreated,
+
+        /// <summary>
+        /// A tenant's settings were changed.
+        /// </summary>
+        TenantUpdated,
+
+        /// <summary>
+        /// A tenant was deleted in the admin panel.
+        /// </summary>
+        TenantDeleted,
+
+        /// <summary>
+        /// A named API key was created.
+        /// </summary>
+        ApiKeyCreated,
+
+        /// <summary>
+        /// An API key was replaced by a newly generated one.
+        /// </summary>
+        ApiKeyRotated,
+
+        /// <summary>
+        /// An API key was revoked.
+        /// </summary>
+        ApiKeyRevoked,
+
+        /// <summary>
+        /// A share link was created.
+        /// </summary>
+        ShareLinkCreated,
+
+        /// <summary>
+        /// A share link was revoked.
+        /// </summary>
+        ShareLinkRevoked,
+
+        /// <summary>
+        /// A file was downloaded through a share link.
+        /// </summary>
+        ShareLinkUsed,
+
+        /// <summary>
+        /// A request was refused because its API key was missing, unknown or expired, or the password of a share link was wrong.
+        /// </summary>
+        AuthenticationFailed
+    }
+}
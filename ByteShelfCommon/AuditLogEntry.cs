@@ -0,0 +1,62 @@
+namespace ByteShelfCommon
+{
+    /// <summary>
+    /// An operation recorded in the audit log, with who did it, from where and to what.
+    /// </summary>
+    /// <remarks>
+    /// Entries are only ever appended to the audit log, never changed, and are removed once they are older than the retention period.
+    /// </remarks>
+    public class AuditLogEntry
+    {
+        /// <summary>
+        /// Gets or sets when the operation happened.
+        /// </summary>
+        public DateTimeOffset Timestamp { get; set; }
+
+        /// <summary>
+        /// Gets or sets the operation.
+        /// </summary>
+        public AuditAction Action { get; set; }
+
+        /// <summary>
+        /// Gets or sets the ID of the tenant the operation was done as, or <c>null</c> if authentication failed, the request
+        /// came through a share link, or the server did it itself, such as purging the trash.
+        /// </summary>
+        public string? TenantId { get; set; }
+
+        /// <summary>
+        /// Gets or sets the ID of the admin who was browsing as <see cref="TenantId"/>, or <c>null</c> if the tenant acted itself.
+        /// </summary>
+        public string? BrowsingAdminTenantId { get; set; }
+
+        /// <summary>
+        /// Gets or sets the ID of the named API key that was used, or <c>null</c> for the key the tenant was created with.
+        /// </summary>
+        public Guid? ApiKeyId { get; set; }
+
+        /// <summary>
+        /// Gets or sets the ID of the tenant the operation was done in, such as the folder a file was uploaded to.
+        /// </summary>
+        public string? TargetTenantId { get; set; }
+
+        /// <summary>
+        /// Gets or sets the ID of what the operation was done to, such as a file, chunk or folder ID.
+        /// </summary>
+        public string? TargetId { get; set; }
+
+        /// <summary>
+        /// Gets or sets the name of what the operation was done to, such as a filename or folder name.
+        /// </summary>
+        public string? TargetName { get; set; }
+
+        /// <summary>
+        /// Gets or sets more information about the operation, such as why authentication failed.
+        /// </summary>
+        public string? Details { get; set; }
+
+        /// <summary>
+        /// Gets or sets the IP address the request came from.
+        /// </summary>
+        public string? IpAddress { get; set; }
+    }
+}
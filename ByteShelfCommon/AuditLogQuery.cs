@@ -0,0 +1,36 @@
+namespace ByteShelfCommon
+{
+    /// <summary>
+    /// Filters for the entries of the audit log.
+    /// </summary>
+    /// <remarks>
+    /// Filters that are not set match every entry.
+    /// </remarks>
+    public class AuditLogQuery
+    {
+        /// <summary>
+        /// Gets or sets the ID of a tenant that must have done the operation, browsed as the tenant that did it, or been its target.
+        /// </summary>
+        public string? TenantId { get; set; }
+
+        /// <summary>
+        /// Gets or sets the operation the entries must be for.
+        /// </summary>
+        public AuditAction? Action { get; set; }
+
+        /// <summary>
+        /// Gets or sets the earliest time of the entries.
+        /// </summary>
+        public DateTimeOffset? From { get; set; }
+
+        /// <summary>
+        /// Gets or sets the time the entries must be before.
+        /// </summary>
+        public DateTimeOffset? To { get; set; }
+
+        /// <summary>
+        /// Gets or sets the maximum number of entries, which are the most recent ones that match.
+        /// </summary>
+        public int? Limit { get; set; }
+    }
+}
@@ -0,0 +1,13 @@
+namespace ByteShelfCommon
+{
+    /// <summary>
+    /// Request model for asking which chunks a tenant already stores.
+    /// </summary>
+    public class ChunkLookupRequest
+    {
+        /// <summary>
+        /// Gets or sets the hex-encoded SHA-256 hashes of the chunks to look up.
+        /// </summary>
+        public List<string> Hashes { get; set; } = new List<string>();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,26 @@
+namespace ByteShelfCommon
+{
+    /// <summary>
+    /// Response model listing the chunks a tenant already stores.
+    /// </summary>
+    public class ChunkLookupResponse
+    {
+        /// <summary>
+        /// Initializes a new instance of the <see cref="ChunkLookupResponse"/> class.
+        /// </summary>
+        /// <param name="chunks">The IDs of the stored chunks by their lowercase hex-encoded SHA-256 hash.</param>
+        /// <exception cref="ArgumentNullException">Thrown when <paramref name="chunks"/> is null.</exception>
+        public ChunkLookupResponse(Dictionary<string, Guid> chunks)
+        {
+            Chunks = chunks ?? throw new ArgumentNullException(nameof(chunks));
+        }
+
+        /// <summary>
+        /// Gets the IDs of the stored chunks by their lowercase hex-encoded SHA-256 hash.
+        /// </summary>
+        /// <remarks>
+        /// Hashes the tenant doesn't have a chunk for are left out.
+        /// </remarks>
+        public Dictionary<string, Guid> Chunks { get; }
+    }
+}
\ No newline at end of file
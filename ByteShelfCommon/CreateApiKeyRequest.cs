@@ -0,0 +1,27 @@
+namespace ByteShelfCommon
+{
+    /// <summary>
+    /// Request model for generating a named API key.
+    /// </summary>
+    public class CreateApiKeyRequest
+    {
+        /// <summary>
+        /// Gets or sets the name the key is listed with, which must be unique for the tenant.
+        /// </summary>
+        public string Name { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets what the key is allowed to do, or an empty list for full access to the tenant's files.
+        /// </summary>
+        /// <remarks>
+        /// <see cref="ApiKeyScope.ReadOnly"/> and <see cref="ApiKeyScope.UploadOnly"/> can't be combined, and
+        /// <see cref="ApiKeyScope.Admin"/> can only be given by an admin.
+        /// </remarks>
+        public List<ApiKeyScope> Scopes { get; set; } = new List<ApiKeyScope>();
+
+        /// <summary>
+        /// Gets or sets when the key stops working, or <c>null</c> for a key that doesn't expire.
+        /// </summary>
+        public DateTimeOffset? ExpiresAt { get; set; }
+    }
+}
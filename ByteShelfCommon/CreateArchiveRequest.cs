@@ -0,0 +1,23 @@
+namespace ByteShelfCommon
+{
+    /// <summary>
+    /// Request model for downloading files and folders as a ZIP archive.
+    /// </summary>
+    public class CreateArchiveRequest
+    {
+        /// <summary>
+        /// Gets or sets the ID of the tenant that holds the files, or <c>null</c> for the authenticated tenant.
+        /// </summary>
+        public string? TenantId { get; set; }
+
+        /// <summary>
+        /// Gets or sets the IDs of the files to put at the root of the archive.
+        /// </summary>
+        public List<Guid> FileIds { get; set; } = new List<Guid>();
+
+        /// <summary>
+        /// Gets or sets the IDs of the subtenants to put in the archive as directories, including their nested subtenants.
+        /// </summary>
+        public List<string> FolderIds { get; set; } = new List<string>();
+    }
+}
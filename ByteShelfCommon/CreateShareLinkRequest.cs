@@ -0,0 +1,39 @@
+namespace ByteShelfCommon
+{
+    /// <summary>
+    /// Request model for creating a share link to a file or a folder.
+    /// </summary>
+    public class CreateShareLinkRequest
+    {
+        /// <summary>
+        /// Gets or sets the ID of the tenant that holds the shared content.
+        /// </summary>
+        /// <remarks>
+        /// When <c>null</c>, the authenticated tenant is used. It can be any tenant the authenticated tenant has access to.
+        /// </remarks>
+        public string? TenantId { get; set; }
+
+        /// <summary>
+        /// Gets or sets the ID of the file to share.
+        /// </summary>
+        /// <remarks>
+        /// When <c>null</c>, the whole folder given by <see cref="TenantId"/> is shared, including its subfolders.
+        /// </remarks>
+        public Guid? FileId { get; set; }
+
+        /// <summary>
+        /// Gets or sets how many hours the link stays valid.
+        /// </summary>
+        public int ExpiresInHours { get; set; }
+
+        /// <summary>
+        /// Gets or sets how many downloads the link allows, or <c>null</c> for no limit.
+        /// </summary>
+        public int? MaxDownloads { get; set; }
+
+        /// <summary>
+        /// Gets or sets the password needed to use the link, or <c>null</c> for no password.
+        /// </summary>
+        public string? Password { get; set; }
+    }
+}
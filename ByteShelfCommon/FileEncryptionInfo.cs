@@ -0,0 +1,42 @@
+namespace ByteShelfCommon
+{
+    /// <summary>
+    /// Describes how a client-side encrypted file was encrypted.
+    /// </summary>
+    /// <remarks>
+    /// The server never sees the encryption key. It only stores these parameters so that a client
+    /// holding the passphrase can derive the same key again and decrypt the file's chunks.
+    /// Each stored chunk consists of the initialization vector followed by the ciphertext and authentication tag.
+    /// </remarks>
+    public class FileEncryptionInfo
+    {
+        /// <summary>
+        /// Gets or sets the encryption algorithm used for the chunks (e.g., "AES-GCM").
+        /// </summary>
+        public string Algorithm { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the key derivation function used to turn the passphrase into a key (e.g., "PBKDF2-SHA256").
+        /// </summary>
+        public string KeyDerivation { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the number of iterations used by the key derivation function.
+        /// </summary>
+        public int Iterations { get; set; }
+
+        /// <summary>
+        /// Gets or sets the Base64-encoded salt used by the key derivation function.
+        /// </summary>
+        public string Salt { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the number of plaintext bytes in each chunk before encryption.
+        /// </summary>
+        /// <remarks>
+        /// Stored chunks are larger than this because every chunk carries its own
+        /// initialization vector and authentication tag.
+        /// </remarks>
+        public long PlaintextChunkSize { get; set; }
+    }
+}
@@ -0,0 +1,142 @@
+namespace ByteShelfCommon
+{
+    /// <summary>
+    /// Normalizes and validates the tags and key/value attributes of files.
+    /// </summary>
+    /// <remarks>
+    /// Tags and attribute keys are compared case-insensitively, so a file can't have two tags or two
+    /// attribute keys that only differ in case. Keys can't contain "=", which separates them from the
+    /// value when filtering files by attribute.
+    /// </remarks>
+    public static class FileLabelValidator
+    {
+        /// <summary>
+        /// The maximum number of tags a file can have.
+        /// </summary>
+        public const int MaxTags = 50;
+
+        /// <summary>
+        /// The maximum number of attributes a file can have.
+        /// </summary>
+        public const int MaxAttributes = 50;
+
+        /// <summary>
+        /// The maximum length of a tag or an attribute key.
+        /// </summary>
+        public const int MaxNameLength = 64;
+
+        /// <summary>
+        /// The maximum length of an attribute value.
+        /// </summary>
+        public const int MaxValueLength = 1024;
+
+        /// <summary>
+        /// Removes leading and trailing whitespace from tags and drops duplicates.
+        /// </summary>
+        /// <param name="tags">The tags to normalize.</param>
+        /// <returns>The normalized tags in their original order, or <c>null</c> if there are none.</returns>
+        public static List<string>? NormalizeTags(IEnumerable<string?>? tags)
+        {
+            if (tags == null)
+                return null;
+
+            List<string> normalized = tags
+                .Select(tag => tag?.Trim() ?? string.Empty)
+                .Distinct(StringComparer.OrdinalIgnoreCase)
+                .ToList();
+
+            return normalized.Count > 0 ? normalized : null;
+        }
+
+        /// <summary>
+        /// Removes leading and trailing whitespace from attribute keys and values.
+        /// </summary>
+        /// <param name="attributes">The attributes to normalize.</param>
+        /// <returns>The normalized attributes, or <c>null</c> if there are none.</returns>
+        /// <remarks>
+        /// If two keys only differ in case, the last one is kept, and the returned keys are compared
+        /// case-insensitively. A <c>null</c> value becomes an empty string.
+        /// </remarks>
+        public static Dictionary<string, string>? NormalizeAttributes(IEnumerable<KeyValuePair<string, string>>? attributes)
+        {
+            if (attributes == null)
+                return null;
+
+            Dictionary<string, string> normalized = new Dictionary<string, string>(StringComparer.OrdinalIgnoreCase);
+            foreach (KeyValuePair<string, string> attribute in attributes)
+            {
+                string key = attribute.Key.Trim();
+                normalized.Remove(key);
+                normalized[key] = attribute.Value?.Trim() ?? string.Empty;
+            }
+
+            return normalized.Count > 0 ? normalized : null;
+        }
+
+        /// <summary>
+        /// Checks whether tags and attributes can be set on a file.
+        /// </summary>
+        /// <param name="tags">The normalized tags, or <c>null</c> for none.</param>
+        /// <param name="attributes">The normalized attributes, or <c>null</c> for none.</param>
+        /// <returns>A message describing why the labels can't be used, or <c>null</c> if they can.</returns>
+        public static string? GetValidationError(IReadOnlyCollection<string>? tags, IReadOnlyDictionary<string, string>? attributes)
+        {
+            if (tags != null)
+            {
+                if (tags.Count > MaxTags)
+                    return $"A file cannot have more than {MaxTags} tags";
+
+                foreach (string tag in tags)
+                {
+                    string? error = GetNameValidationError(tag, "Tag");
+                    if (error != null)
+                        return error;
+                }
+            }
+
+            if (attributes != null)
+            {
+                if (attributes.Count > MaxAttributes)
+                    return $"A file cannot have more than {MaxAttributes} attributes";
+
+                foreach (KeyValuePair<string, string> attribute in attributes)
+                {
+                    string? error = GetNameValidationError(attribute.Key, "Attribute key");
+                    if (error != null)
+                        return error;
+
+                    if (attribute.Key.Contains('='))
+                        return "Attribute key cannot contain \"=\"";
+
+                    if (attribute.Value.Length > MaxValueLength)
+                        return $"Value of attribute \"{attribute.Key}\" cannot be longer than {MaxValueLength} characters";
+
+                    if (attribute.Value.Any(char.IsControl))
+                        return $"Value of attribute \"{attribute.Key}\" cannot contain control characters";
+                }
+            }
+
+            return null;
+        }
+
+        /// <summary>
+        /// Checks a tag or an attribute key.
+        /// </summary>
+        /// <param name="name">The tag or key to check.</param>
+        /// <param name="description">What the name is, used at the start of the message.</param>
+        /// <returns>A message describing why the name can't be used, or <c>null</c> if it can.</returns>
+        private static string? GetNameValidationError(string name, string description)
+        {
+            if (string.IsNullOrWhiteSpace(name))
+                return $"{description} cannot be empty";
+
+            if (name.Length > MaxNameLength)
+                return $"{description} \"{name}\" cannot be longer than {MaxNameLength} characters";
+
+            if (name.Any(char.IsControl))
+                return $"{description} cannot contain control characters";
+
+            return null;
+        }
+    }
+}
@@ -0,0 +1,29 @@
+namespace ByteShelfCommon
+{
+    /// <summary>
+    /// The tags and key/value attributes of a file.
+    /// </summary>
+    /// <remarks>
+    /// This is the request model for replacing the labels of a file, and is also used by the client
+    /// to set labels when uploading and to filter the file list.
+    /// </remarks>
+    public class FileLabels
+    {
+        /// <summary>
+        /// Gets or sets the tags, such as "release" or "nightly".
+        /// </summary>
+        /// <remarks>
+        /// Leading and trailing whitespace is removed and duplicates are dropped, and the tags must pass <see cref="FileLabelValidator.GetValidationError"/>.
+        /// </remarks>
+        public List<string>? Tags { get; set; }
+
+        /// <summary>
+        /// Gets or sets the key/value attributes, such as "project" or "build".
+        /// </summary>
+        /// <remarks>
+        /// Leading and trailing whitespace is removed from keys and values, and the attributes must pass <see cref="FileLabelValidator.GetValidationError"/>.
+        /// When filtering, an empty value matches every file that has the key.
+        /// </remarks>
+        public Dictionary<string, string>? Attributes { get; set; }
+    }
+}
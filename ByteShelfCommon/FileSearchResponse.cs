@@ -0,0 +1,95 @@
+namespace ByteShelfCommon
+{
+    /// <summary>
+    /// Response model for a search across a tenant and all of its nested subtenants.
+    /// </summary>
+    public class FileSearchResponse
+    {
+        /// <summary>
+        /// Initializes a new instance of the <see cref="FileSearchResponse"/> class.
+        /// </summary>
+        /// <param name="results">The matching files with the folders they are in.</param>
+        /// <param name="isTruncated">Whether more files matched than were returned.</param>
+        /// <exception cref="ArgumentNullException">Thrown when <paramref name="results"/> is null.</exception>
+        public FileSearchResponse(List<FileSearchResult> results, bool isTruncated)
+        {
+            Results = results ?? throw new ArgumentNullException(nameof(results));
+            IsTruncated = isTruncated;
+        }
+
+        /// <summary>
+        /// Gets the matching files with the folders they are in.
+        /// </summary>
+        public List<FileSearchResult> Results { get; }
+
+        /// <summary>
+        /// Gets whether more files matched than were returned.
+        /// </summary>
+        public bool IsTruncated { get; }
+    }
+
+    /// <summary>
+    /// A file found by a search, together with the folder it is in.
+    /// </summary>
+    public class FileSearchResult
+    {
+        /// <summary>
+        /// Initializes a new instance of the <see cref="FileSearchResult"/> class.
+        /// </summary>
+        /// <param name="tenantId">The ID of the tenant that holds the file.</param>
+        /// <param name="path">The subtenant folders from the searching tenant down to the file's tenant.</param>
+        /// <param name="file">The metadata of the file.</param>
+        /// <exception cref="ArgumentNullException">Thrown when <paramref name="tenantId"/>, <paramref name="path"/> or <paramref name="file"/> is null.</exception>
+        public FileSearchResult(string tenantId, List<FolderPathSegment> path, ShelfFileMetadata file)
+        {
+            TenantId = tenantId ?? throw new ArgumentNullException(nameof(tenantId));
+            Path = path ?? throw new ArgumentNullException(nameof(path));
+            File = file ?? throw new ArgumentNullException(nameof(file));
+        }
+
+        /// <summary>
+        /// Gets the ID of the tenant that holds the file.
+        /// </summary>
+        public string TenantId { get; }
+
+        /// <summary>
+        /// Gets the subtenant folders from the searching tenant down to the file's tenant.
+        /// </summary>
+        /// <remarks>
+        /// The searching tenant itself is not included, so the path is empty for its own files.
+        /// </remarks>
+        public List<FolderPathSegment> Path { get; }
+
+        /// <summary>
+        /// Gets the metadata of the file.
+        /// </summary>
+        public ShelfFileMetadata File { get; }
+    }
+
+    /// <summary>
+    /// One subtenant folder in a folder path.
+    /// </summary>
+    public class FolderPathSegment
+    {
+        /// <summary>
+        /// Initializes a new instance of the <see cref="FolderPathSegment"/> class.
+        /// </summary>
+        /// <param name="tenantId">The ID of the subtenant.</param>
+        /// <param name="displayName">The display name of the subtenant.</param>
+        public FolderPathSegment(string tenantId, string displayName)
+        {
+            TenantId = tenantId;
+            DisplayName = displayName;
+        }
+
+        /// <summary>
+        /// Gets the ID of the subtenant.
+        /// </summary>
+        public string TenantId { get; }
+
+        /// <summary>
+        /// Gets the display name of the subtenant.
+        /// </summary>
+        public string DisplayName { get; }
+    }
+}
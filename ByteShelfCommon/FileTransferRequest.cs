@@ -0,0 +1,18 @@
+namespace ByteShelfCommon
+{
+    /// <summary>
+    /// Request model for moving or copying a file to another folder.
+    /// </summary>
+    public class FileTransferRequest
+    {
+        /// <summary>
+        /// Gets or sets the ID of the tenant that holds the file, or <c>null</c> for the authenticated tenant.
+        /// </summary>
+        public string? SourceTenantId { get; set; }
+
+        /// <summary>
+        /// Gets or sets the ID of the tenant to move or copy the file to, or <c>null</c> for the authenticated tenant.
+        /// </summary>
+        public string? TargetTenantId { get; set; }
+    }
+}
@@ -21,6 +21,18 @@ namespace ByteShelfCommon
         /// </remarks>
         Task<IEnumerable<ShelfFileMetadata>> GetFilesAsync(CancellationToken cancellationToken = default);
 
+        /// <summary>
+        /// Retrieves metadata for the stored files that have all of the specified tags and attributes.
+        /// </summary>
+        /// <param name="filter">The tags and attributes the files must have. An attribute with an empty value matches any value.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>A collection of file metadata for the matching files.</returns>
+        /// <exception cref="ArgumentNullException">Thrown when <paramref name="filter"/> is null.</exception>
+        /// <remarks>
+        /// Tags, attribute keys and attribute values are compared case-insensitively.
+        /// </remarks>
+        Task<IEnumerable<ShelfFileMetadata>> GetFilesAsync(FileLabels filter, CancellationToken cancellationToken = default);
+
         /// <summary>
         /// Reads a file by its ID, returning both metadata and content.
         /// </summary>
@@ -69,6 +81,40 @@ namespace ByteShelfCommon
             Stream content,
             CancellationToken cancellationToken = default);
 
+        /// <summary>
+        /// Writes a file with tags and key/value attributes to storage, automatically chunking it if necessary.
+        /// </summary>
+        /// <param name="originalFilename">The original filename of the file being stored.</param>
+        /// <param name="contentType">The MIME type of the file content.</param>
+        /// <param name="content">A stream containing the file content to be stored.</param>
+        /// <param name="labels">The tags and attributes to label the file with, or <c>null</c> for none.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The unique identifier assigned to the stored file.</returns>
+        /// <exception cref="ArgumentNullException">Thrown when <paramref name="originalFilename"/>, <paramref name="contentType"/>, or <paramref name="content"/> is null.</exception>
+        /// <exception cref="ArgumentException">Thrown when <paramref name="originalFilename"/> or <paramref name="contentType"/> is empty.</exception>
+        /// <remarks>
+        /// The labels must pass <see cref="FileLabelValidator.GetValidationError"/>. If the file becomes a new
+        /// version of an existing file and has no labels, it keeps the labels of that file.
+        /// </remarks>
+        Task<Guid> WriteFileAsync(
+            string originalFilename,
+            string contentType,
+            Stream content,
+            FileLabels? labels,
+            CancellationToken cancellationToken = default);
+
+        /// <summary>
+        /// Replaces the tags and key/value attributes of a file.
+        /// </summary>
+        /// <param name="fileId">The unique identifier of the file.</param>
+        /// <param name="labels">The new tags and attributes, which replace all previous ones.</param>
+        /// <param name="cancellationToken">A cancellation token that can be used to cancel the operation.</param>
+        /// <returns>The updated file metadata.</returns>
+        /// <exception cref="ArgumentNullException">Thrown when <paramref name="labels"/> is null.</exception>
+        /// <exception cref="ArgumentException">Thrown when a tag or an attribute is not allowed.</exception>
+        /// <exception cref="FileNotFoundException">Thrown when the specified file does not exist.</exception>
+        Task<ShelfFileMetadata> UpdateFileLabelsAsync(Guid fileId, FileLabels labels, CancellationToken cancellationToken = default);
+
         /// <summary>
         /// Writes a file to storage with quota checking, automatically chunking it if necessary.
         /// </summary>
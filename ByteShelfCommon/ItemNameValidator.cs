@@ -0,0 +1,61 @@
+namespace ByteShelfCommon
+{
+    /// <summary>
+    /// Validates the names of files and subtenant folders.
+    /// </summary>
+    /// <remarks>
+    /// Names are shown in paths and used as file names when downloading, so they can't contain
+    /// path separators or control characters, and can't be "." or "..".
+    /// </remarks>
+    public static class ItemNameValidator
+    {
+        /// <summary>
+        /// The maximum length of a name.
+        /// </summary>
+        public const int MaxNameLength = 255;
+
+        /// <summary>
+        /// Checks whether a name can be used for a file or a folder.
+        /// </summary>
+        /// <param name="name">The name to check, without leading and trailing whitespace.</param>
+        /// <returns>A message describing why the name can't be used, or <c>null</c> if it can.</returns>
+        public static string? GetValidationError(string? name)
+        {
+            if (string.IsNullOrWhiteSpace(name))
+                return "Name is required";
+
+            if (name.Length > MaxNameLength)
+                return $"Name cannot be longer than {MaxNameLength} characters";
+
+            if (name == "." || name == "..")
+                return "Name cannot be \".\" or \"..\"";
+
+            if (name.Any(c => c == '/' || c == '\\' || char.IsControl(c)))
+                return "Name cannot contain slashes or control characters";
+
+            return null;
+        }
+
+        /// <summary>
+        /// Adds a number to a name if another item already has it, as in "report (2).pdf".
+        /// </summary>
+        /// <param name="name">The name to make unique.</param>
+        /// <param name="takenNames">The names of the other items, which are compared case-insensitively.</param>
+        /// <param name="keepExtension">Whether the number goes before the extension, which is the case for files but not for folders.</param>
+        /// <returns>The name itself if it isn't taken, otherwise the first numbered name that isn't.</returns>
+        public static string GetUniqueName(string name, IEnumerable<string> takenNames, bool keepExtension)
+        {
+            HashSet<string> taken = new HashSet<string>(takenNames, StringComparer.OrdinalIgnoreCase);
+            string baseName = keepExtension ? Path.GetFileNameWithoutExtension(name) : name;
+            string extension = keepExtension ? Path.GetExtension(name) : string.Empty;
+
+            string uniqueName = name;
+            for (int number = 2; taken.Contains(uniqueName); number++)
+            {
+                uniqueName = $"{baseName} ({number}){extension}";
+            }
+
+            return uniqueName;
+        }
+    }
+}
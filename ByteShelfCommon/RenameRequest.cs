@@ -0,0 +1,16 @@
+namespace ByteShelfCommon
+{
+    /// <summary>
+    /// Request model for renaming a file or a subtenant folder.
+    /// </summary>
+    public class RenameRequest
+    {
+        /// <summary>
+        /// Gets or sets the new name.
+        /// </summary>
+        /// <remarks>
+        /// Leading and trailing whitespace is removed, and the name must pass <see cref="ItemNameValidator.GetValidationError"/>.
+        /// </remarks>
+        public string Name { get; set; } = string.Empty;
+    }
+}
@@ -0,0 +1,95 @@
+namespace ByteShelfCommon
+{
+    /// <summary>
+    /// Describes a share link as shown to the tenant that created it.
+    /// </summary>
+    public class ShareLinkInfo
+    {
+        /// <summary>
+        /// Initializes a new instance of the <see cref="ShareLinkInfo"/> class.
+        /// </summary>
+        /// <param name="id">The unique identifier of the link.</param>
+        /// <param name="token">The signed token that identifies the link in public URLs.</param>
+        /// <param name="tenantId">The ID of the tenant that holds the shared content.</param>
+        /// <param name="fileId">The ID of the shared file, or <c>null</c> if a folder is shared.</param>
+        /// <param name="name">The name of the shared file or folder.</param>
+        /// <param name="createdAt">When the link was created.</param>
+        /// <param name="expiresAt">When the link stops working.</param>
+        /// <param name="maxDownloads">How many downloads the link allows, or <c>null</c> for no limit.</param>
+        /// <param name="downloadCount">How many downloads have been made through the link.</param>
+        /// <param name="hasPassword">Whether the link is protected by a password.</param>
+        public ShareLinkInfo(
+            Guid id,
+            string token,
+            string tenantId,
+            Guid? fileId,
+            string name,
+            DateTimeOffset createdAt,
+            DateTimeOffset expiresAt,
+            int? maxDownloads,
+            int downloadCount,
+            bool hasPassword)
+        {
+            Id = id;
+            Token = token;
+            TenantId = tenantId;
+            FileId = fileId;
+            Name = name;
+            CreatedAt = createdAt;
+            ExpiresAt = expiresAt;
+            MaxDownloads = maxDownloads;
+            DownloadCount = downloadCount;
+            HasPassword = hasPassword;
+        }
+
+        /// <summary>
+        /// Gets the unique identifier of the link.
+        /// </summary>
+        public Guid Id { get; }
+
+        /// <summary>
+        /// Gets the signed token that identifies the link in public URLs.
+        /// </summary>
+        public string Token { get; }
+
+        /// <summary>
+        /// Gets the ID of the tenant that holds the shared content.
+        /// </summary>
+        public string TenantId { get; }
+
+        /// <summary>
+        /// Gets the ID of the shared file, or <c>null</c> if a folder is shared.
+        /// </summary>
+        public Guid? FileId { get; }
+
+        /// <summary>
+        /// Gets the name of the shared file or folder at the time the link was created.
+        /// </summary>
+        public string Name { get; }
+
+        /// <summary>
+        /// Gets when the link was created.
+        /// </summary>
+        public DateTimeOffset CreatedAt { get; }
+
+        /// <summary>
+        /// Gets when the link stops working.
+        /// </summary>
+        public DateTimeOffset ExpiresAt { get; }
+
+        /// <summary>
+        /// Gets how many downloads the link allows, or <c>null</c> for no limit.
+        /// </summary>
+        public int? MaxDownloads { get; }
+
+        /// <summary>
+        /// Gets how many downloads have been made through the link.
+        /// </summary>
+        public int DownloadCount { get; }
+
+        /// <summary>
+        /// Gets whether the link is protected by a password.
+        /// </summary>
+        public bool HasPassword { get; }
+    }
+}
@@ -0,0 +1,124 @@
+namespace ByteShelfCommon
+{
+    /// <summary>
+    /// Response model describing what a share link gives access to.
+    /// </summary>
+    /// <remarks>
+    /// This is returned by the public share endpoint, so it only contains what the recipient
+    /// of the link needs to see, never chunk IDs or tenant configuration.
+    /// </remarks>
+    public class SharedContentResponse
+    {
+        /// <summary>
+        /// Initializes a new instance of the <see cref="SharedContentResponse"/> class.
+        /// </summary>
+        /// <param name="name">The name of the shared file or folder.</param>
+        /// <param name="isFolder">Whether a folder is shared.</param>
+        /// <param name="expiresAt">When the link stops working.</param>
+        /// <param name="remainingDownloads">How many downloads are left, or <c>null</c> for no limit.</param>
+        /// <param name="folderId">The ID of the folder being listed, or <c>null</c> if a file is shared.</param>
+        /// <param name="files">The shared files in the listed folder, or the single shared file.</param>
+        /// <param name="folders">The display names of the subfolders of the listed folder by their IDs.</param>
+        /// <exception cref="ArgumentNullException">Thrown when <paramref name="name"/>, <paramref name="files"/> or <paramref name="folders"/> is null.</exception>
+        public SharedContentResponse(
+            string name,
+            bool isFolder,
+            DateTimeOffset expiresAt,
+            int? remainingDownloads,
+            string? folderId,
+            List<SharedFileInfo> files,
+            Dictionary<string, string> folders)
+        {
+            Name = name ?? throw new ArgumentNullException(nameof(name));
+            IsFolder = isFolder;
+            ExpiresAt = expiresAt;
+            RemainingDownloads = remainingDownloads;
+            FolderId = folderId;
+            Files = files ?? throw new ArgumentNullException(nameof(files));
+            Folders = folders ?? throw new ArgumentNullException(nameof(folders));
+        }
+
+        /// <summary>
+        /// Gets the name of the shared file or folder.
+        /// </summary>
+        public string Name { get; }
+
+        /// <summary>
+        /// Gets whether a folder is shared.
+        /// </summary>
+        public bool IsFolder { get; }
+
+        /// <summary>
+        /// Gets when the link stops working.
+        /// </summary>
+        public DateTimeOffset ExpiresAt { get; }
+
+        /// <summary>
+        /// Gets how many downloads are left, or <c>null</c> for no limit.
+        /// </summary>
+        public int? RemainingDownloads { get; }
+
+        /// <summary>
+        /// Gets the ID of the folder being listed, or <c>null</c> if a file is shared.
+        /// </summary>
+        public string? FolderId { get; }
+
+        /// <summary>
+        /// Gets the shared files in the listed folder, or the single shared file.
+        /// </summary>
+        public List<SharedFileInfo> Files { get; }
+
+        /// <summary>
+        /// Gets the display names of the subfolders of the listed folder by their IDs.
+        /// </summary>
+        public Dictionary<string, string> Folders { get; }
+    }
+
+    /// <summary>
+    /// Describes a file that can be downloaded through a share link.
+    /// </summary>
+    public class SharedFileInfo
+    {
+        /// <summary>
+        /// Initializes a new instance of the <see cref="SharedFileInfo"/> class.
+        /// </summary>
+        /// <param name="id">The unique identifier of the file.</param>
+        /// <param name="originalFilename">The name of the file.</param>
+        /// <param name="contentType">The MIME type of the file content.</param>
+        /// <param name="fileSize">The size of the file in bytes.</param>
+        /// <param name="createdAt">When the file was uploaded.</param>
+        public SharedFileInfo(Guid id, string originalFilename, string contentType, long fileSize, DateTimeOffset createdAt)
+        {
+            Id = id;
+            OriginalFilename = originalFilename;
+            ContentType = contentType;
+            FileSize = fileSize;
+            CreatedAt = createdAt;
+        }
+
+        /// <summary>
+        /// Gets the unique identifier of the file.
+        /// </summary>
+        public Guid Id { get; }
+
+        /// <summary>
+        /// Gets the name of the file.
+        /// </summary>
+        public string OriginalFilename { get; }
+
+        /// <summary>
+        /// Gets the MIME type of the file content.
+        /// </summary>
+        public string ContentType { get; }
+
+        /// <summary>
+        /// Gets the size of the file in bytes.
+        /// </summary>
+        public long FileSize { get; }
+
+        /// <summary>
+        /// Gets when the file was uploaded.
+        /// </summary>
+        public DateTimeOffset CreatedAt { get; }
+    }
+}
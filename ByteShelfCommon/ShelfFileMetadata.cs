@@ -58,6 +58,68 @@ namespace ByteShelfCommon
         /// </remarks>
         public List<Guid> ChunkIds { get; set; }
 
+        /// <summary>
+        /// Gets or sets the lowercase hex-encoded SHA-256 hash of the complete file.
+        /// </summary>
+        /// <remarks>
+        /// This is the hash of the original file content, so it can be compared against checksums
+        /// computed with other tools. It is <c>null</c> for files uploaded without integrity information.
+        /// </remarks>
+        public string? Sha256 { get; set; }
+
+        /// <summary>
+        /// Gets or sets the lowercase hex-encoded SHA-256 hashes of the stored chunks.
+        /// </summary>
+        /// <remarks>
+        /// The hashes are in the same order as <see cref="ChunkIds"/> and cover the data exactly as it is
+        /// stored, which for encrypted files is the ciphertext. It is <c>null</c> for files uploaded without integrity information.
+        /// </remarks>
+        public List<string>? ChunkHashes { get; set; }
+
+        /// <summary>
+        /// Gets or sets the client-side encryption parameters of the file.
+        /// </summary>
+        /// <remarks>
+        /// This is <c>null</c> for files that were stored unencrypted. When set, the chunks contain
+        /// ciphertext and <see cref="FileSize"/> is the size of the original, unencrypted file.
+        /// </remarks>
+        public FileEncryptionInfo? Encryption { get; set; }
+
+        /// <summary>
+        /// Gets or sets when the file was moved to the trash.
+        /// </summary>
+        /// <remarks>
+        /// This is <c>null</c> for files that are not in the trash.
+        /// </remarks>
+        public DateTimeOffset? DeletedAt { get; set; }
+
+        /// <summary>
+        /// Gets or sets the name of the API key the file was uploaded with.
+        /// </summary>
+        /// <remarks>
+        /// This is set by the server to the name of the named key, or to <see cref="TenantApiKey.TenantKeyName"/> for the key
+        /// the tenant was created with. It is <c>null</c> for files uploaded before this was recorded.
+        /// </remarks>
+        public string? UploadedBy { get; set; }
+
+        /// <summary>
+        /// Gets or sets the tags the file is labeled with, such as "release" or "nightly".
+        /// </summary>
+        /// <remarks>
+        /// Tags are compared case-insensitively and must pass <see cref="FileLabelValidator.GetValidationError"/>.
+        /// This is <c>null</c> for files without tags.
+        /// </remarks>
+        public List<string>? Tags { get; set; }
+
+        /// <summary>
+        /// Gets or sets custom key/value attributes of the file, such as "project" or "build".
+        /// </summary>
+        /// <remarks>
+        /// Keys are compared case-insensitively and must pass <see cref="FileLabelValidator.GetValidationError"/>.
+        /// This is <c>null</c> for files without attributes.
+        /// </remarks>
+        public Dictionary<string, string>? Attributes { get; set; }
+
         /// <summary>
         /// Initializes a new instance of the <see cref="ShelfFileMetadata"/> class.
         /// </summary>
@@ -0,0 +1,211 @@
+namespace ByteShelfCommon
+{
+    /// <summary>
+    /// A breakdown of the storage used by a tenant and its subtenants, or by the whole server.
+    /// </summary>
+    /// <remarks>
+    /// The breakdowns are based on the sizes of the files, so they add up to <see cref="TotalFileSizeBytes"/>
+    /// rather than to the physical usage, which is smaller when files share identical chunks.
+    /// Files in the trash and earlier versions of files are not included.
+    /// </remarks>
+    public class StorageAnalytics
+    {
+        /// <summary>
+        /// Initializes a new instance of the <see cref="StorageAnalytics"/> class.
+        /// </summary>
+        /// <param name="tenantId">The ID of the tenant, or <c>null</c> for the whole server.</param>
+        /// <param name="displayName">The display name of the tenant, or a name for the whole server.</param>
+        /// <param name="fileCount">The number of files.</param>
+        /// <param name="totalFileSizeBytes">The combined size of the files in bytes.</param>
+        /// <param name="usageBytes">The physical storage usage in bytes.</param>
+        /// <param name="byContentType">The files grouped by content type.</param>
+        /// <param name="byFolder">The files grouped by folder.</param>
+        /// <param name="byAge">The files grouped by how long ago they were uploaded.</param>
+        /// <param name="largestFiles">The largest files.</param>
+        /// <param name="history">The daily snapshots of the storage usage.</param>
+        /// <exception cref="ArgumentNullException">Thrown when any of the lists is null.</exception>
+        public StorageAnalytics(
+            string? tenantId,
+            string displayName,
+            int fileCount,
+            long totalFileSizeBytes,
+            long usageBytes,
+            List<StorageBreakdownItem> byContentType,
+            List<StorageBreakdownItem> byFolder,
+            List<StorageBreakdownItem> byAge,
+            List<StorageAnalyticsFile> largestFiles,
+            List<StorageUsageSnapshot> history)
+        {
+            TenantId = tenantId;
+            DisplayName = displayName ?? string.Empty;
+            FileCount = fileCount;
+            TotalFileSizeBytes = totalFileSizeBytes;
+            UsageBytes = usageBytes;
+            ByContentType = byContentType ?? throw new ArgumentNullException(nameof(byContentType));
+            ByFolder = byFolder ?? throw new ArgumentNullException(nameof(byFolder));
+            ByAge = byAge ?? throw new ArgumentNullException(nameof(byAge));
+            LargestFiles = largestFiles ?? throw new ArgumentNullException(nameof(largestFiles));
+            History = history ?? throw new ArgumentNullException(nameof(history));
+        }
+
+        /// <summary>
+        /// Gets the ID of the tenant, or <c>null</c> for the whole server.
+        /// </summary>
+        public string? TenantId { get; }
+
+        /// <summary>
+        /// Gets the display name of the tenant, or a name for the whole server.
+        /// </summary>
+        public string DisplayName { get; }
+
+        /// <summary>
+        /// Gets the number of files.
+        /// </summary>
+        public int FileCount { get; }
+
+        /// <summary>
+        /// Gets the combined size of the files in bytes.
+        /// </summary>
+        public long TotalFileSizeBytes { get; }
+
+        /// <summary>
+        /// Gets the physical storage usage in bytes, which is what storage limits apply to.
+        /// </summary>
+        public long UsageBytes { get; }
+
+        /// <summary>
+        /// Gets the files grouped by content type, largest first.
+        /// </summary>
+        /// <remarks>
+        /// The smallest content types are combined into a single item labelled "Other".
+        /// </remarks>
+        public List<StorageBreakdownItem> ByContentType { get; }
+
+        /// <summary>
+        /// Gets the files grouped by folder, largest first.
+        /// </summary>
+        /// <remarks>
+        /// For a tenant, there is an item for the files directly in the tenant and one for each subtenant with
+        /// its nested subtenants. For the whole server, there is an item for each top-level tenant.
+        /// </remarks>
+        public List<StorageBreakdownItem> ByFolder { get; }
+
+        /// <summary>
+        /// Gets the files grouped by how long ago they were uploaded, newest first.
+        /// </summary>
+        public List<StorageBreakdownItem> ByAge { get; }
+
+        /// <summary>
+        /// Gets the largest files, largest first.
+        /// </summary>
+        public List<StorageAnalyticsFile> LargestFiles { get; }
+
+        /// <summary>
+        /// Gets the daily snapshots of the storage usage, oldest first.
+        /// </summary>
+        public List<StorageUsageSnapshot> History { get; }
+    }
+
+    /// <summary>
+    /// A group of files in a storage breakdown.
+    /// </summary>
+    public class StorageBreakdownItem
+    {
+        /// <summary>
+        /// Initializes a new instance of the <see cref="StorageBreakdownItem"/> class.
+        /// </summary>
+        /// <param name="label">What the files in the group have in common.</param>
+        /// <param name="fileCount">The number of files in the group.</param>
+        /// <param name="sizeBytes">The combined size of the files in bytes.</param>
+        /// <param name="tenantId">The ID of the tenant the group is, for groups of folders.</param>
+        public StorageBreakdownItem(string label, int fileCount, long sizeBytes, string? tenantId = null)
+        {
+            Label = label ?? string.Empty;
+            FileCount = fileCount;
+            SizeBytes = sizeBytes;
+            TenantId = tenantId;
+        }
+
+        /// <summary>
+        /// Gets what the files in the group have in common, such as the content type or the folder name.
+        /// </summary>
+        public string Label { get; }
+
+        /// <summary>
+        /// Gets the number of files in the group.
+        /// </summary>
+        public int FileCount { get; }
+
+        /// <summary>
+        /// Gets the combined size of the files in bytes.
+        /// </summary>
+        public long SizeBytes { get; }
+
+        /// <summary>
+        /// Gets the ID of the tenant the group is, or <c>null</c> for groups that aren't folders.
+        /// </summary>
+        public string? TenantId { get; }
+    }
+
+    /// <summary>
+    /// A file listed in a storage breakdown, with the folder it is in.
+    /// </summary>
+    public class StorageAnalyticsFile
+    {
+        /// <summary>
+        /// Initializes a new instance of the <see cref="StorageAnalyticsFile"/> class.
+        /// </summary>
+        /// <param name="metadata">The metadata of the file.</param>
+        /// <param name="tenantId">The ID of the tenant the file is in.</param>
+        /// <param name="folderName">The display name of the tenant the file is in.</param>
+        /// <exception cref="ArgumentNullException">Thrown when <paramref name="metadata"/> or <paramref name="tenantId"/> is null.</exception>
+        public StorageAnalyticsFile(ShelfFileMetadata metadata, string tenantId, string folderName)
+        {
+            if (metadata == null)
+                throw new ArgumentNullException(nameof(metadata));
+
+            FileId = metadata.Id;
+            Filename = metadata.OriginalFilename;
+            ContentType = metadata.ContentType;
+            FileSize = metadata.FileSize;
+            CreatedAt = metadata.CreatedAt;
+            TenantId = tenantId ?? throw new ArgumentNullException(nameof(tenantId));
+            FolderName = folderName ?? string.Empty;
+        }
+
+        /// <summary>
+        /// Gets the ID of the file.
+        /// </summary>
+        public Guid FileId { get; }
+
+        /// <summary>
+        /// Gets the name of the file.
+        /// </summary>
+        public string Filename { get; }
+
+        /// <summary>
+        /// Gets the content type of the file.
+        /// </summary>
+        public string ContentType { get; }
+
+        /// <summary>
+        /// Gets the size of the file in bytes.
+        /// </summary>
+        public long FileSize { get; }
+
+        /// <summary>
+        /// Gets when the file was uploaded.
+        /// </summary>
+        public DateTimeOffset CreatedAt { get; }
+
+        /// <summary>
+        /// Gets the ID of the tenant the file is in.
+        /// </summary>
+        public string TenantId { get; }
+
+        /// <summary>
+        /// Gets the display name of the tenant the file is in.
+        /// </summary>
+        public string FolderName { get; }
+    }
+}
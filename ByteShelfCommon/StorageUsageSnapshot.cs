@@ -0,0 +1,27 @@
+namespace ByteShelfCommon
+{
+    /// <summary>
+    /// The storage usage of a tenant, or of the whole server, on a given day.
+    /// </summary>
+    /// <remarks>
+    /// The server records a snapshot every day, which is used to chart how storage grows over time.
+    /// Usage recorded later on the same day replaces the snapshot of that day.
+    /// </remarks>
+    public class StorageUsageSnapshot
+    {
+        /// <summary>
+        /// Gets or sets the day the snapshot was recorded, in UTC.
+        /// </summary>
+        public DateOnly Date { get; set; }
+
+        /// <summary>
+        /// Gets or sets the physical storage usage in bytes, including subtenants.
+        /// </summary>
+        public long UsageBytes { get; set; }
+
+        /// <summary>
+        /// Gets or sets the combined size of all files in bytes, including subtenants.
+        /// </summary>
+        public long LogicalUsageBytes { get; set; }
+    }
+}
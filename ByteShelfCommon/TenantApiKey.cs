@@ -0,0 +1,94 @@
+using System.Security.Cryptography;
+using System.Text;
+
+namespace ByteShelfCommon
+{
+    /// <summary>
+    /// A named API key of a tenant, in addition to the key the tenant was created with.
+    /// </summary>
+    /// <remarks>
+    /// Only a hash of the key is stored, so the key itself is shown once when it is generated and can't be recovered.
+    /// </remarks>
+    public class TenantApiKey
+    {
+        /// <summary>
+        /// The name the key a tenant was created with goes by, for example as the uploader of a file.
+        /// </summary>
+        public const string TenantKeyName = "Tenant key";
+
+        /// <summary>
+        /// The ID the key a tenant was created with is listed, rotated and revoked by, next to the named keys.
+        /// </summary>
+        public static readonly Guid TenantKeyId = Guid.Empty;
+
+        /// <summary>
+        /// Gets or sets the unique identifier of the key.
+        /// </summary>
+        public Guid Id { get; set; }
+
+        /// <summary>
+        /// Gets or sets the name the key is listed with, such as "Backup script".
+        /// </summary>
+        public string Name { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the hash of the key, as computed by <see cref="HashKey"/>.
+        /// </summary>
+        public string KeyHash { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets the last characters of the key after an ellipsis, so the key can be recognized without exposing it.
+        /// </summary>
+        public string Hint { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets what the key is allowed to do.
+        /// </summary>
+        /// <remarks>
+        /// An empty list gives full access to the tenant's files, without administrative privileges.
+        /// </remarks>
+        public List<ApiKeyScope> Scopes { get; set; } = new List<ApiKeyScope>();
+
+        /// <summary>
+        /// Gets or sets when the key was generated or last rotated.
+        /// </summary>
+        public DateTimeOffset CreatedAt { get; set; }
+
+        /// <summary>
+        /// Gets or sets when the key stops working, or <c>null</c> if it doesn't expire.
+        /// </summary>
+        public DateTimeOffset? ExpiresAt { get; set; }
+
+        /// <summary>
+        /// Gets or sets when the key was last used to authenticate, or <c>null</c> if it hasn't been used.
+        /// </summary>
+        /// <remarks>
+        /// This is only recorded every few minutes, so it can be slightly behind.
+        /// </remarks>
+        public DateTimeOffset? LastUsedAt { get; set; }
+
+        /// <summary>
+        /// Gets whether the key has expired at the given time.
+        /// </summary>
+        /// <param name="now">The time to check against.</param>
+        /// <returns><c>true</c> if the key has an expiry time that has passed; otherwise, <c>false</c>.</returns>
+        public bool IsExpired(DateTimeOffset now)
+        {
+            return ExpiresAt.HasValue && ExpiresAt.Value <= now;
+        }
+
+        /// <summary>
+        /// Computes the lowercase hex-encoded SHA-256 hash that a key is stored and looked up by.
+        /// </summary>
+        /// <param name="apiKey">The key to hash.</param>
+        /// <returns>The hash of the key.</returns>
+        /// <exception cref="ArgumentNullException">Thrown when <paramref name="apiKey"/> is null.</exception>
+        public static string HashKey(string apiKey)
+        {
+            if (apiKey == null)
+                throw new ArgumentNullException(nameof(apiKey));
+
+            return Convert.ToHexString(SHA256.HashData(Encoding.UTF8.GetBytes(apiKey))).ToLowerInvariant();
+        }
+    }
+}
@@ -11,15 +11,39 @@ namespace ByteShelfCommon
     /// </remarks>
     public class TenantInfo
     {
+        /// <summary>
+        /// The number of earlier versions of each file that are kept when no tenant in the hierarchy sets <see cref="MaxFileVersions"/>.
+        /// </summary>
+        public const int DefaultMaxFileVersions = 10;
+
         /// <summary>
         /// Gets or sets the API key required for authentication.
         /// </summary>
         /// <remarks>
         /// This key must be provided in the X-API-Key header for all API requests.
-        /// The key should be kept secure and not shared between tenants.
+        /// The key should be kept secure and not shared between tenants. It is empty once it has been revoked,
+        /// after which the tenant can only be reached with its named keys.
         /// </remarks>
         public string ApiKey { get; set; } = string.Empty;
 
+        /// <summary>
+        /// Gets or sets when <see cref="ApiKey"/> was last rotated, or <c>null</c> if it hasn't been.
+        /// </summary>
+        public DateTimeOffset? ApiKeyCreatedAt { get; set; }
+
+        /// <summary>
+        /// Gets or sets when <see cref="ApiKey"/> was last used to authenticate, or <c>null</c> if that hasn't been recorded.
+        /// </summary>
+        public DateTimeOffset? ApiKeyLastUsedAt { get; set; }
+
+        /// <summary>
+        /// Gets or sets the named API keys of the tenant, which can be limited by scopes and expire.
+        /// </summary>
+        /// <remarks>
+        /// These work in addition to <see cref="ApiKey"/>, which keeps full access.
+        /// </remarks>
+        public List<TenantApiKey> ApiKeys { get; set; } = new List<TenantApiKey>();
+
         /// <summary>
         /// Gets or sets the maximum storage allowed for this tenant in bytes.
         /// </summary>
@@ -65,6 +89,34 @@ namespace ByteShelfCommon
         /// Subtenants inherit access from their parent but have their own storage limits.
         /// </remarks>
         public Dictionary<string, TenantInfo> SubTenants { get; set; } = new Dictionary<string, TenantInfo>();
+
+        /// <summary>
+        /// Gets or sets the dictionary of subtenants that are in the trash, keyed by tenant ID.
+        /// </summary>
+        /// <remarks>
+        /// Deleted subtenants are kept here with their files until they are restored or purged, so they
+        /// still count towards the storage usage but can't be accessed or used to authenticate.
+        /// </remarks>
+        public Dictionary<string, TenantInfo> DeletedSubTenants { get; set; } = new Dictionary<string, TenantInfo>();
+
+        /// <summary>
+        /// Gets or sets when the tenant was moved to the trash.
+        /// </summary>
+        /// <remarks>
+        /// This is only set for tenants in their parent's <see cref="DeletedSubTenants"/>.
+        /// </remarks>
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public DateTimeOffset? DeletedAt { get; set; }
+
+        /// <summary>
+        /// Gets or sets how many earlier versions of each file are kept when a file is replaced by an upload with the same name.
+        /// </summary>
+        /// <remarks>
+        /// When this is <c>null</c>, the policy of the parent tenant applies, or <see cref="DefaultMaxFileVersions"/>
+        /// for a tenant without a parent. A value of 0 keeps no history, so uploads simply replace the file.
+        /// </remarks>
+        [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+        public int? MaxFileVersions { get; set; }
     }
 
     /// <summary>
@@ -83,9 +135,11 @@ namespace ByteShelfCommon
         /// <param name="displayName">The human-readable display name for the tenant.</param>
         /// <param name="isAdmin">Whether this tenant has administrative privileges.</param>
         /// <param name="storageLimitBytes">The maximum storage allowed for this tenant in bytes.</param>
-        /// <param name="currentUsageBytes">The current storage usage in bytes.</param>
+        /// <param name="currentUsageBytes">The current physical storage usage in bytes.</param>
         /// <param name="availableSpaceBytes">The available storage space in bytes.</param>
         /// <param name="usagePercentage">The percentage of storage used (0-100).</param>
+        /// <param name="logicalUsageBytes">The combined size of all files in bytes.</param>
+        /// <param name="maxFileVersions">How many earlier versions of each file are kept.</param>
         public TenantInfoResponse(
             string tenantId,
             string displayName,
@@ -93,7 +147,9 @@ namespace ByteShelfCommon
             long storageLimitBytes,
             long currentUsageBytes,
             long availableSpaceBytes,
-            double usagePercentage)
+            double usagePercentage,
+            long logicalUsageBytes = 0,
+            int maxFileVersions = TenantInfo.DefaultMaxFileVersions)
         {
             TenantId = tenantId;
             DisplayName = displayName;
@@ -102,6 +158,8 @@ namespace ByteShelfCommon
             CurrentUsageBytes = currentUsageBytes;
             AvailableSpaceBytes = availableSpaceBytes;
             UsagePercentage = usagePercentage;
+            LogicalUsageBytes = logicalUsageBytes;
+            MaxFileVersions = maxFileVersions;
         }
 
         /// <summary>
@@ -125,10 +183,21 @@ namespace ByteShelfCommon
         public long StorageLimitBytes { get; }
 
         /// <summary>
-        /// Gets the current storage usage in bytes.
+        /// Gets the current physical storage usage in bytes.
         /// </summary>
+        /// <remarks>
+        /// This is the space the tenant's chunks take up on disk, which is what the storage limit applies to.
+        /// </remarks>
         public long CurrentUsageBytes { get; }
 
+        /// <summary>
+        /// Gets the logical storage usage in bytes, which is the combined size of all files.
+        /// </summary>
+        /// <remarks>
+        /// Files that share identical chunks each count in full, so this can be larger than <see cref="CurrentUsageBytes"/>.
+        /// </remarks>
+        public long LogicalUsageBytes { get; }
+
         /// <summary>
         /// Gets the available storage space in bytes.
         /// </summary>
@@ -138,5 +207,10 @@ namespace ByteShelfCommon
         /// Gets the percentage of storage used (0-100).
         /// </summary>
         public double UsagePercentage { get; }
+
+        /// <summary>
+        /// Gets how many earlier versions of each file are kept, as set for the tenant or inherited from its parent.
+        /// </summary>
+        public int MaxFileVersions { get; }
     }
 }
\ No newline at end of file
@@ -9,23 +9,26 @@ namespace ByteShelfCommon
         /// Initializes a new instance of the <see cref="TenantStorageInfo"/> class.
         /// </summary>
         /// <param name="tenantId">The tenant ID.</param>
-        /// <param name="currentUsageBytes">The current storage usage in bytes.</param>
+        /// <param name="currentUsageBytes">The current physical storage usage in bytes.</param>
         /// <param name="storageLimitBytes">The storage limit in bytes.</param>
         /// <param name="availableSpaceBytes">The available space in bytes.</param>
         /// <param name="usagePercentage">The usage percentage (0-100).</param>
+        /// <param name="logicalUsageBytes">The combined size of all files in bytes.</param>
         /// <exception cref="ArgumentNullException">Thrown when <paramref name="tenantId"/> is null.</exception>
         public TenantStorageInfo(
             string tenantId,
             long currentUsageBytes,
             long storageLimitBytes,
             long availableSpaceBytes,
-            double usagePercentage)
+            double usagePercentage,
+            long logicalUsageBytes = 0)
         {
             TenantId = tenantId ?? throw new ArgumentNullException(nameof(tenantId));
             CurrentUsageBytes = currentUsageBytes;
             StorageLimitBytes = storageLimitBytes;
             AvailableSpaceBytes = availableSpaceBytes;
             UsagePercentage = usagePercentage;
+            LogicalUsageBytes = logicalUsageBytes;
         }
 
         /// <summary>
@@ -34,10 +37,21 @@ namespace ByteShelfCommon
         public string TenantId { get; }
 
         /// <summary>
-        /// Gets the current storage usage in bytes.
+        /// Gets the current physical storage usage in bytes.
         /// </summary>
+        /// <remarks>
+        /// This is the space the tenant's chunks take up on disk, which is what the storage limit applies to.
+        /// </remarks>
         public long CurrentUsageBytes { get; }
 
+        /// <summary>
+        /// Gets the logical storage usage in bytes, which is the combined size of all files.
+        /// </summary>
+        /// <remarks>
+        /// Files that share identical chunks each count in full, so this can be larger than <see cref="CurrentUsageBytes"/>.
+        /// </remarks>
+        public long LogicalUsageBytes { get; }
+
         /// <summary>
         /// Gets the storage limit in bytes.
         /// </summary>
@@ -0,0 +1,99 @@
+namespace ByteShelfCommon
+{
+    /// <summary>
+    /// A tenant in the tenant tree shown in the admin panel, with the storage usage of its whole subtree.
+    /// </summary>
+    public class TenantTreeNode
+    {
+        /// <summary>
+        /// Initializes a new instance of the <see cref="TenantTreeNode"/> class.
+        /// </summary>
+        /// <param name="tenantId">The tenant ID.</param>
+        /// <param name="displayName">The display name of the tenant.</param>
+        /// <param name="isAdmin">Whether the tenant has administrative privileges.</param>
+        /// <param name="parentTenantId">The ID of the parent tenant, or <c>null</c> for a top-level tenant.</param>
+        /// <param name="storageLimitBytes">The storage limit in bytes.</param>
+        /// <param name="ownUsageBytes">The physical storage usage of the tenant's own files in bytes.</param>
+        /// <param name="totalUsageBytes">The physical storage usage of the tenant and all of its subtenants in bytes.</param>
+        /// <param name="totalLogicalUsageBytes">The combined size of the files of the tenant and all of its subtenants in bytes.</param>
+        /// <param name="subTenants">The subtenants of the tenant.</param>
+        /// <exception cref="ArgumentNullException">Thrown when <paramref name="tenantId"/> or <paramref name="subTenants"/> is null.</exception>
+        public TenantTreeNode(
+            string tenantId,
+            string displayName,
+            bool isAdmin,
+            string? parentTenantId,
+            long storageLimitBytes,
+            long ownUsageBytes,
+            long totalUsageBytes,
+            long totalLogicalUsageBytes,
+            List<TenantTreeNode> subTenants)
+        {
+            TenantId = tenantId ?? throw new ArgumentNullException(nameof(tenantId));
+            DisplayName = displayName ?? string.Empty;
+            IsAdmin = isAdmin;
+            ParentTenantId = parentTenantId;
+            StorageLimitBytes = storageLimitBytes;
+            OwnUsageBytes = ownUsageBytes;
+            TotalUsageBytes = totalUsageBytes;
+            TotalLogicalUsageBytes = totalLogicalUsageBytes;
+            SubTenants = subTenants ?? throw new ArgumentNullException(nameof(subTenants));
+        }
+
+        /// <summary>
+        /// Gets the tenant ID.
+        /// </summary>
+        public string TenantId { get; }
+
+        /// <summary>
+        /// Gets the display name of the tenant.
+        /// </summary>
+        public string DisplayName { get; }
+
+        /// <summary>
+        /// Gets whether the tenant has administrative privileges.
+        /// </summary>
+        public bool IsAdmin { get; }
+
+        /// <summary>
+        /// Gets the ID of the parent tenant, or <c>null</c> for a top-level tenant.
+        /// </summary>
+        public string? ParentTenantId { get; }
+
+        /// <summary>
+        /// Gets the storage limit in bytes.
+        /// </summary>
+        /// <remarks>
+        /// A value of 0 means unlimited. For a subtenant, the limit of its parent applies as well.
+        /// </remarks>
+        public long StorageLimitBytes { get; }
+
+        /// <summary>
+        /// Gets the physical storage usage of the tenant's own files in bytes, without its subtenants.
+        /// </summary>
+        public long OwnUsageBytes { get; }
+
+        /// <summary>
+        /// Gets the physical storage usage of the tenant and all of its subtenants in bytes.
+        /// </summary>
+        /// <remarks>
+        /// This is the usage the storage limit applies to.
+        /// </remarks>
+        public long TotalUsageBytes { get; }
+
+        /// <summary>
+        /// Gets the combined size of the files of the tenant and all of its subtenants in bytes.
+        /// </summary>
+        public long TotalLogicalUsageBytes { get; }
+
+        /// <summary>
+        /// Gets the usage percentage (0-100) of the subtree, or 0 if the tenant has no storage limit.
+        /// </summary>
+        public double UsagePercentage => StorageLimitBytes > 0 ? (double)TotalUsageBytes / StorageLimitBytes * 100 : 0;
+
+        /// <summary>
+        /// Gets the subtenants of the tenant, ordered by display name.
+        /// </summary>
+        public List<TenantTreeNode> SubTenants { get; }
+    }
+}
@@ -0,0 +1,145 @@
+namespace ByteShelfCommon
+{
+    /// <summary>
+    /// Response model for the trash of a tenant and all of its nested subtenants.
+    /// </summary>
+    public class TrashContentsResponse
+    {
+        /// <summary>
+        /// Initializes a new instance of the <see cref="TrashContentsResponse"/> class.
+        /// </summary>
+        /// <param name="files">The deleted files, most recently deleted first.</param>
+        /// <param name="folders">The deleted subtenant folders, most recently deleted first.</param>
+        /// <param name="retentionDays">The number of days items stay in the trash before they are purged.</param>
+        /// <exception cref="ArgumentNullException">Thrown when <paramref name="files"/> or <paramref name="folders"/> is null.</exception>
+        public TrashContentsResponse(List<TrashedFile> files, List<TrashedFolder> folders, int retentionDays)
+        {
+            Files = files ?? throw new ArgumentNullException(nameof(files));
+            Folders = folders ?? throw new ArgumentNullException(nameof(folders));
+            RetentionDays = retentionDays;
+        }
+
+        /// <summary>
+        /// Gets the deleted files, most recently deleted first.
+        /// </summary>
+        public List<TrashedFile> Files { get; }
+
+        /// <summary>
+        /// Gets the deleted subtenant folders, most recently deleted first.
+        /// </summary>
+        /// <remarks>
+        /// The files and subfolders inside a deleted folder are not listed separately, they are restored
+        /// or purged together with it.
+        /// </remarks>
+        public List<TrashedFolder> Folders { get; }
+
+        /// <summary>
+        /// Gets the number of days items stay in the trash before they are purged.
+        /// </summary>
+        public int RetentionDays { get; }
+    }
+
+    /// <summary>
+    /// A file in the trash, together with the folder it was deleted from.
+    /// </summary>
+    public class TrashedFile
+    {
+        /// <summary>
+        /// Initializes a new instance of the <see cref="TrashedFile"/> class.
+        /// </summary>
+        /// <param name="tenantId">The ID of the tenant the file was deleted from.</param>
+        /// <param name="path">The subtenant folders from the requesting tenant down to the file's tenant.</param>
+        /// <param name="file">The metadata of the file.</param>
+        /// <param name="purgeAt">When the file will be purged from the trash.</param>
+        /// <exception cref="ArgumentNullException">Thrown when <paramref name="tenantId"/>, <paramref name="path"/> or <paramref name="file"/> is null.</exception>
+        public TrashedFile(string tenantId, List<FolderPathSegment> path, ShelfFileMetadata file, DateTimeOffset purgeAt)
+        {
+            TenantId = tenantId ?? throw new ArgumentNullException(nameof(tenantId));
+            Path = path ?? throw new ArgumentNullException(nameof(path));
+            File = file ?? throw new ArgumentNullException(nameof(file));
+            PurgeAt = purgeAt;
+        }
+
+        /// <summary>
+        /// Gets the ID of the tenant the file was deleted from.
+        /// </summary>
+        public string TenantId { get; }
+
+        /// <summary>
+        /// Gets the subtenant folders from the requesting tenant down to the file's tenant.
+        /// </summary>
+        /// <remarks>
+        /// The requesting tenant itself is not included, so the path is empty for its own files.
+        /// </remarks>
+        public List<FolderPathSegment> Path { get; }
+
+        /// <summary>
+        /// Gets the metadata of the file, where <see cref="ShelfFileMetadata.DeletedAt"/> is when it was deleted.
+        /// </summary>
+        public ShelfFileMetadata File { get; }
+
+        /// <summary>
+        /// Gets when the file will be purged from the trash.
+        /// </summary>
+        public DateTimeOffset PurgeAt { get; }
+    }
+
+    /// <summary>
+    /// A subtenant folder in the trash, together with the folder it was deleted from.
+    /// </summary>
+    public class TrashedFolder
+    {
+        /// <summary>
+        /// Initializes a new instance of the <see cref="TrashedFolder"/> class.
+        /// </summary>
+        /// <param name="tenantId">The ID of the deleted subtenant.</param>
+        /// <param name="displayName">The display name of the deleted subtenant.</param>
+        /// <param name="path">The subtenant folders from the requesting tenant down to the deleted subtenant's parent.</param>
+        /// <param name="sizeBytes">The combined size of the files in the subtenant and its subtenants in bytes.</param>
+        /// <param name="deletedAt">When the subtenant was deleted.</param>
+        /// <param name="purgeAt">When the subtenant will be purged from the trash.</param>
+        /// <exception cref="ArgumentNullException">Thrown when <paramref name="tenantId"/>, <paramref name="displayName"/> or <paramref name="path"/> is null.</exception>
+        public TrashedFolder(string tenantId, string displayName, List<FolderPathSegment> path, long sizeBytes, DateTimeOffset deletedAt, DateTimeOffset purgeAt)
+        {
+            TenantId = tenantId ?? throw new ArgumentNullException(nameof(tenantId));
+            DisplayName = displayName ?? throw new ArgumentNullException(nameof(displayName));
+            Path = path ?? throw new ArgumentNullException(nameof(path));
+            SizeBytes = sizeBytes;
+            DeletedAt = deletedAt;
+            PurgeAt = purgeAt;
+        }
+
+        /// <summary>
+        /// Gets the ID of the deleted subtenant.
+        /// </summary>
+        public string TenantId { get; }
+
+        /// <summary>
+        /// Gets the display name of the deleted subtenant.
+        /// </summary>
+        public string DisplayName { get; }
+
+        /// <summary>
+        /// Gets the subtenant folders from the requesting tenant down to the deleted subtenant's parent.
+        /// </summary>
+        /// <remarks>
+        /// The requesting tenant itself is not included, so the path is empty for its own subtenants.
+        /// </remarks>
+        public List<FolderPathSegment> Path { get; }
+
+        /// <summary>
+        /// Gets the combined size of the files in the subtenant and its subtenants in bytes.
+        /// </summary>
+        public long SizeBytes { get; }
+
+        /// <summary>
+        /// Gets when the subtenant was deleted.
+        /// </summary>
+        public DateTimeOffset DeletedAt { get; }
+
+        /// <summary>
+        /// Gets when the subtenant will be purged from the trash.
+        /// </summary>
+        public DateTimeOffset PurgeAt { get; }
+    }
+}
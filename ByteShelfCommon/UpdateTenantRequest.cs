@@ -0,0 +1,37 @@
+namespace ByteShelfCommon
+{
+    /// <summary>
+    /// Request model for editing a tenant in the admin panel.
+    /// </summary>
+    /// <remarks>
+    /// All values are replaced, so a request should carry the current values of the ones that don't change.
+    /// </remarks>
+    public class UpdateTenantRequest
+    {
+        /// <summary>
+        /// Gets or sets the display name for the tenant.
+        /// </summary>
+        public string DisplayName { get; set; } = string.Empty;
+
+        /// <summary>
+        /// Gets or sets whether the tenant has administrative privileges.
+        /// </summary>
+        public bool IsAdmin { get; set; } = false;
+
+        /// <summary>
+        /// Gets or sets the storage limit in bytes.
+        /// </summary>
+        /// <remarks>
+        /// A value of 0 means unlimited, which top-level tenants can only have if they are admins.
+        /// </remarks>
+        public long StorageLimitBytes { get; set; }
+
+        /// <summary>
+        /// Gets or sets the ID of the tenant this tenant should be a subtenant of.
+        /// </summary>
+        /// <remarks>
+        /// This is <c>null</c> for a top-level tenant. Changing it moves the tenant with all of its files and subtenants.
+        /// </remarks>
+        public string? ParentTenantId { get; set; }
+    }
+}
@@ -0,0 +1,16 @@
+namespace ByteShelfCommon
+{
+    /// <summary>
+    /// Request model for updating how many earlier versions of each file a tenant keeps.
+    /// </summary>
+    public class UpdateVersionLimitRequest
+    {
+        /// <summary>
+        /// Gets or sets the number of earlier versions to keep.
+        /// </summary>
+        /// <remarks>
+        /// A value of 0 keeps no history. <c>null</c> makes the tenant use the policy of its parent again.
+        /// </remarks>
+        public int? MaxFileVersions { get; set; }
+    }
+}